@@ -1,6 +1,9 @@
-import IOTA from 'iota.lib.js';
+import { createMockNode } from '../../shared/__tests__/__mocks__/iri';
 
-const iota = new IOTA({ provider: 'foo://bar' });
+/**
+ * In-memory IRI node answering intercepted requests, scriptable from tests
+ */
+export const node = createMockNode();
 
 export default (request) => {
     if (request.method() === 'OPTIONS') {
@@ -21,48 +24,10 @@ export default (request) => {
         return request.continue();
     }
 
-    const postData = JSON.parse(request.postData());
-
-    let body = {};
-
-    switch (postData.command) {
-        case 'getNodeInfo':
-            body = {
-                appName: 'IRI',
-                appVersion: '0.0.0-MOCK',
-                latestMilestone: 'ABCDEFGHIJKLMNOPRSTUVXYZABCDEFGHIJKLMNOPRSTUVXYZABCDEFGHIJKLMNOPRSTUVXYZABCDEFGHI',
-                latestMilestoneIndex: 426550,
-                latestSolidSubtangleMilestone:
-                    'ABCDEFGHIJKLMNOPRSTUVXYZABCDEFGHIJKLMNOPRSTUVXYZABCDEFGHIJKLMNOPRSTUVXYZABCDEFGHI',
-                latestSolidSubtangleMilestoneIndex: 426550,
-                time: Number(new Date()),
-                features: ['RemotePOW'],
-            };
-            break;
-
-        case 'wereAddressesSpentFrom':
-            body = { states: Array(postData.addresses.length).fill(false) };
-            break;
-
-        case 'getBalances':
-            body = { balances: Array(postData.addresses.length).fill(0) };
-            break;
-
-        case 'getTrytes': {
-            const transactionObject = iota.utils.transactionObject('9'.repeat(2673));
-            const trytes = iota.utils.transactionTrytes(
-                Object.assign({}, transactionObject, { timestamp: Date.now() }),
-            );
-            body = { trytes: Array(postData.hashes.length).fill(trytes) };
-            break;
-        }
-        case 'findTransactions':
-            body = { trytes: Array(postData.addresses.length).fill('9'.repeat(81)) };
-            break;
-    }
+    const { status, body } = node.handleRequest(JSON.parse(request.postData()));
 
     request.respond({
-        status: 200,
+        status,
         contentType: 'application/json',
         headers: {
             'access-control-allow-origin': '*',
@@ -55,6 +55,17 @@ describe('Balance component', () => {
         expect(wrapper.find('h2').text()).toEqual('$5.50');
     });
 
+    test('Balance market data age', () => {
+        const wrapper = shallow(<Balance {...props} />);
+
+        expect(wrapper.find('p').exists()).toEqual(false);
+
+        const mockProps = Object.assign({}, props, { marketData: { usdPrice: 1, lastUpdated: Date.now() } });
+        const updatedWrapper = shallow(<Balance {...mockProps} />);
+
+        expect(updatedWrapper.find('p').text()).toEqual('global:priceUpdated');
+    });
+
     test('Summary account name', () => {
         const mockProps = Object.assign({}, props, { summary: true, index: -1 });
         const wrapper = shallow(<Balance {...mockProps} />);
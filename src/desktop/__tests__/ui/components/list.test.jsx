@@ -87,6 +87,12 @@ const props = {
         type: 'keychain',
     },
     password: {},
+    transactionMetadata: {},
+    transactionCategories: [],
+    setTransactionMetadata: jest.fn(),
+    currency: 'USD',
+    locale: 'en',
+    generateAlert: jest.fn(),
 };
 
 describe('List component', () => {
@@ -447,6 +447,19 @@ ipc.on('request.deepLink', () => {
     }
 });
 
+/**
+ * Open payment request callback URL in default browser
+ */
+ipc.on('payment.callback', (_e, targetURL) => {
+    try {
+        if (['http:', 'https:'].indexOf(URL.parse(targetURL).protocol) > -1) {
+            shell.openExternal(targetURL);
+        }
+    } catch (error) {
+        console.log(error); //eslint-disable-line no-console
+    }
+});
+
 /**
  * Proxy store update event to tray window
  */
@@ -20,11 +20,12 @@ kdbxweb.CryptoEngine.argon2 = (password, salt, memory, iterations, length, paral
 
 /**
  * Encrypt seed to KDBX database format
- * @param {array} Seeds - Array of byte array seeds an their titles
+ * @param {array} Seeds - Array of byte array seeds an their titles, with optional seed share details
  * @param {string} Password - Plain text password for encryption
+ * @param {string} [Backup] - Serialised wallet backup data, stored in a separate entry
  * @returns {arrayBuffer} Encrypted KDBX binary content
  */
-const exportVault = async (seeds, password) => {
+const exportVault = async (seeds, password, backup) => {
     const credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString(password));
     const db = kdbxweb.Kdbx.create(credentials, 'Trinity');
 
@@ -34,6 +35,19 @@ const exportVault = async (seeds, password) => {
         const entry = db.createEntry(db.getDefaultGroup());
         entry.fields.Title = seeds[i].title || `IOTA Seed #${i + 1}`;
         entry.fields.Seed = kdbxweb.ProtectedValue.fromString(seeds[i].seed.map((byte) => byteToChar(byte)).join(''));
+
+        if (seeds[i].share) {
+            entry.fields.ShareIndex = String(seeds[i].share.index);
+            entry.fields.ShareThreshold = String(seeds[i].share.threshold);
+            entry.fields.ShareCount = String(seeds[i].share.count);
+            entry.fields.SeedChecksum = seeds[i].share.seedChecksum;
+        }
+    }
+
+    if (backup) {
+        const entry = db.createEntry(db.getDefaultGroup());
+        entry.fields.Title = 'Trinity wallet backup';
+        entry.fields.Backup = kdbxweb.ProtectedValue.fromString(backup);
     }
 
     const chunk = await db.save();
@@ -45,7 +59,7 @@ const exportVault = async (seeds, password) => {
  * Get seed from encrypt KDBX database
  * @param {arrayBuffer} Db - Encrypted binary KDBX database
  * @param {string} Password - Plain text password for decryption
- * @returns {array} Array of decrypted byte array seeds
+ * @returns {array} Array of decrypted byte array seeds, with seed share details if stored
  */
 const importVault = async (buffer, password) => {
     const credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString(password));
@@ -62,6 +76,14 @@ const importVault = async (buffer, password) => {
                     .split('')
                     .map((char) => charToByte(char.toUpperCase()))
                     .filter((byte) => byte > -1),
+                share: entries[i].fields.ShareIndex
+                    ? {
+                          index: parseInt(entries[i].fields.ShareIndex, 10),
+                          threshold: parseInt(entries[i].fields.ShareThreshold, 10),
+                          count: parseInt(entries[i].fields.ShareCount, 10),
+                          seedChecksum: entries[i].fields.SeedChecksum,
+                      }
+                    : null,
             });
         }
     }
@@ -69,6 +91,21 @@ const importVault = async (buffer, password) => {
     return seeds;
 };
 
+/**
+ * Get wallet backup data from encrypted KDBX database
+ * @param {arrayBuffer} Db - Encrypted binary KDBX database
+ * @param {string} Password - Plain text password for decryption
+ * @returns {string} Serialised wallet backup data, null if the database does not contain a wallet backup
+ */
+const importBackup = async (buffer, password) => {
+    const credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString(password));
+
+    const db = await kdbxweb.Kdbx.load(buffer, credentials);
+    const entry = db.getDefaultGroup().entries.find((item) => item.fields.Backup);
+
+    return entry ? entry.fields.Backup.getText() : null;
+};
+
 /**
  * Check for valid KDBX database format
  * @param {buffer} Buffer - Encrypted binary KDBX database file content
@@ -92,6 +129,7 @@ const checkFormat = (buffer) => {
 const kdbx = {
     exportVault,
     importVault,
+    importBackup,
     checkFormat,
 };
 
@@ -164,6 +164,15 @@ const Electron = {
         ipc.send('request.deepLink');
     },
 
+    /**
+     * Open paid payment request callback URL in default browser
+     * @param {string} url - Callback URL
+     * @returns {undefined}
+     */
+    openPaymentCallback: (url) => {
+        ipc.send('payment.callback', url);
+    },
+
     /**
      * Get local storage item by item key
      * @param {string} Key - Target item key
@@ -467,6 +476,35 @@ const Electron = {
         }
     },
 
+    /**
+     * Export wallet backup file
+     * @param {array} - Seed object array
+     * @param {string} - Serialised wallet backup data
+     * @param {string} - Plain text password to use for backup file
+     * @returns {boolean | string}
+     */
+    exportWalletBackup: async (seeds, backup, password) => {
+        try {
+            const content = await kdbx.exportVault(seeds, password, backup);
+            const result = await remote.dialog.showSaveDialog(remote.getCurrentWindow(), {
+                title: 'Export wallet backup',
+                defaultPath: `Trinity-backup-${moment().format('YYYYMMDD-HHmm')}.kdbx`,
+                buttonLabel: 'Export',
+                filters: [{ name: 'SeedVault File', extensions: ['kdbx'] }],
+            });
+
+            if (!result || result.canceled) {
+                throw Error('Export cancelled');
+            }
+
+            fs.writeFileSync(result.filePath, Buffer.from(content));
+
+            return false;
+        } catch (error) {
+            return error.message;
+        }
+    },
+
     /**
      * Exports wallet's state
      *
@@ -495,6 +533,112 @@ const Electron = {
             });
     },
 
+    /**
+     * Exports an unsigned or signed offline transfer
+     *
+     * @param {string} - Serialized transfer
+     * @param {string} - Transfer type
+     *
+     * @returns {Promise}
+     */
+    exportOfflineTransfer: (content, type) => {
+        return remote.dialog
+            .showSaveDialog(remote.getCurrentWindow(), {
+                title: 'Export transfer',
+                defaultPath: `Trinity-${type}-${moment().format('YYYYMMDD-HHmm')}.json`,
+                buttonLabel: 'Export',
+                filters: [{ name: 'Transfer File', extensions: ['json'] }],
+            })
+            .then((result) => {
+                if (!result || result.canceled) {
+                    throw new Error(Errors.EXPORT_CANCELLED);
+                }
+
+                return new Promise((resolve, reject) =>
+                    fs.writeFile(result.filePath, content, (err) => (err ? reject(err) : resolve())),
+                );
+            });
+    },
+
+    /**
+     * Exports transaction history
+     *
+     * @param {string} - Serialized transaction history
+     * @param {string} - File extension
+     *
+     * @returns {Promise}
+     */
+    exportHistory: (content, extension) => {
+        return remote.dialog
+            .showSaveDialog(remote.getCurrentWindow(), {
+                title: 'Export history',
+                defaultPath: `Trinity-history-${moment().format('YYYYMMDD-HHmm')}.${extension}`,
+                buttonLabel: 'Export',
+                filters: [{ name: 'History File', extensions: [extension] }],
+            })
+            .then((result) => {
+                if (!result || result.canceled) {
+                    throw new Error(Errors.EXPORT_CANCELLED);
+                }
+
+                return new Promise((resolve, reject) =>
+                    fs.writeFile(result.filePath, content, (err) => (err ? reject(err) : resolve())),
+                );
+            });
+    },
+
+    /**
+     * Exports security audit log
+     *
+     * @param {string} - Serialized audit log
+     *
+     * @returns {Promise}
+     */
+    exportAuditLog: (content) => {
+        return remote.dialog
+            .showSaveDialog(remote.getCurrentWindow(), {
+                title: 'Export audit log',
+                defaultPath: `Trinity-audit-log-${moment().format('YYYYMMDD-HHmm')}.json`,
+                buttonLabel: 'Export',
+                filters: [{ name: 'Audit Log File', extensions: ['json'] }],
+            })
+            .then((result) => {
+                if (!result || result.canceled) {
+                    throw new Error(Errors.EXPORT_CANCELLED);
+                }
+
+                return new Promise((resolve, reject) =>
+                    fs.writeFile(result.filePath, content, (err) => (err ? reject(err) : resolve())),
+                );
+            });
+    },
+
+    /**
+     * Exports watch-only addresses of an account
+     *
+     * @param {string} - Serialized address export
+     *
+     * @returns {Promise}
+     */
+    exportWatchOnlyAddresses: (content) => {
+        return remote.dialog
+            .showSaveDialog(remote.getCurrentWindow(), {
+                title: 'Export watch-only addresses',
+                defaultPath: `Trinity-watchonly-${moment().format('YYYYMMDD-HHmm')}.json`,
+                buttonLabel: 'Export',
+                filters: [{ name: 'Address File', extensions: ['json'] }],
+            })
+            .then((result) => {
+                if (!result || result.canceled) {
+                    throw new Error(Errors.EXPORT_CANCELLED);
+                }
+
+                return new Promise((resolve, reject) =>
+                    fs.writeFile(result.filePath, content, (err) => (err ? reject(err) : resolve())),
+                );
+            });
+    },
+
     /**
      * Decrypt SeedVault file
      * @param {buffer} buffer - SeedVault file content
@@ -506,6 +650,18 @@ const Electron = {
         return seeds;
     },
 
+    /**
+     * Decrypt wallet backup file
+     * @param {buffer} buffer - Wallet backup file content
+     * @param {string} - Plain text password for backup file decryption
+     * @returns {object} Seed object array and serialised wallet backup data
+     */
+    importWalletBackup: async (buffer, password) => {
+        const seeds = await kdbx.importVault(buffer, password);
+        const backup = await kdbx.importBackup(buffer, password);
+        return { seeds, backup };
+    },
+
     /**
      * Check if buffer is a valid SeedVault file
      * @param {buffer} buffer - SeedVault file content
@@ -13,6 +13,7 @@ import Themes from 'themes/themes';
 import { assignAccountIndexIfNecessary } from 'actions/accounts';
 import { mapStorageToState as mapStorageToStateAction } from 'actions/wallet';
 import { updateTheme } from 'actions/settings';
+import { recordQuorumRound } from 'actions/nodeHealth';
 import mapStorageToState from 'libs/storageToStateMappers';
 import getEncryptionKey from 'libs/realm';
 import { changeIotaNode, quorum } from 'libs/iota';
@@ -86,8 +87,12 @@ const init = () => {
                 const node = get(data, 'settings.node');
                 changeIotaNode(assign({}, node, { provider: node.url }));
 
-                // Set quorum size
+                // Set quorum size and consensus policy
                 quorum.setSize(get(data, 'settings.quorum.size'));
+                quorum.setPolicy(get(data, 'settings.quorum'));
+
+                // Keep track of quorum rounds and nodes disagreeing with quorum results
+                quorum.subscribe((round) => store.dispatch(recordQuorumRound(round)));
 
                 // Update store with persisted state
                 store.dispatch(mapStorageToStateAction(data));
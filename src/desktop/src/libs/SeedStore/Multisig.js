@@ -0,0 +1,257 @@
+/* global Electron */
+import { sha256, encrypt, decrypt } from 'libs/crypto';
+import { ALIAS_ACCOUNT } from 'libs/constants';
+import Errors from 'libs/errors';
+import { iota } from 'libs/iota';
+import { byteToTrit } from 'libs/iota/converter';
+import { getMultisigAddresses } from 'libs/iota/multisig';
+
+import SeedStoreCore from './SeedStoreCore';
+
+class Multisig extends SeedStoreCore {
+    /**
+     * Init the vault
+     * @param {array} key - Account decryption key
+     * @param {string} accountId - Account identifier
+     */
+    constructor(key, accountId) {
+        super();
+
+        return (async () => {
+            this.key = key.slice(0);
+            if (accountId) {
+                this.accountId = await sha256(`${ALIAS_ACCOUNT}-${accountId}`);
+            }
+
+            return this;
+        })();
+    }
+
+    /**
+     * If seed is available in plain form
+     * @returns {boolean}
+     */
+    static get isSeedAvailable() {
+        return false;
+    }
+
+    /**
+     * If attaching a message to transactions is available
+     * @returns {boolean}
+     */
+    static get isMessageAvailable() {
+        return true;
+    }
+
+    /**
+     * If account holds a multisig co-signer seed
+     * @returns {boolean}
+     */
+    static get isMultisig() {
+        return true;
+    }
+
+    /**
+     * Placeholder for Trinity compatibillity
+     * Multisig vaults are kept in the keychain and re-encrypted by Keychain.updatePassword
+     * @returns {promise} - Resolves to a success boolean
+     */
+    static updatePassword = () => {
+        return true;
+    };
+
+    /**
+     * Return max supported input count
+     * @returns {number} - 0 for no limit
+     */
+    getMaxInputs = () => {
+        return 0;
+    };
+
+    /**
+     * Create new account
+     * @param {string} accountId - Account identifier
+     * @param {object} vault - Co-signer seed and multisig co-signers ({ seed, security, cosigners })
+     * @returns {promise} - Resolves to a success boolean
+     */
+    addAccount = async (accountId, vault) => {
+        this.accountId = await sha256(`${ALIAS_ACCOUNT}-${accountId}`);
+
+        const encryptedVault = await encrypt(vault, this.key);
+        await Electron.setKeychain(this.accountId, encryptedVault);
+
+        return true;
+    };
+
+    /**
+     * Remove account
+     */
+    removeAccount = async () => {
+        if (!this.accountId) {
+            throw new Error('Account not selected');
+        }
+
+        const isRemoved = await Electron.removeKeychain(this.accountId);
+
+        if (!isRemoved) {
+            throw new Error('Incorrect seed name');
+        }
+
+        return true;
+    };
+
+    /**
+     * Rename account
+     * @param {string} accountName - New account name
+     * @returns {boolean} Account renamed success state
+     */
+    renameAccount = async (accountName) => {
+        const newID = await sha256(`${ALIAS_ACCOUNT}-${accountName}`);
+
+        const vault = await Electron.readKeychain(this.accountId);
+
+        if (!vault) {
+            throw new Error('Incorrect seed name');
+        }
+
+        await decrypt(vault, this.key);
+
+        await Electron.removeKeychain(this.accountId);
+        await Electron.setKeychain(newID, vault);
+
+        this.accountId = newID;
+
+        return true;
+    };
+
+    /**
+     * Get multisig vault from keychain
+     * @returns {object} Decrypted vault ({ seed, security, cosigners })
+     */
+    getVault = async () => {
+        const vault = await Electron.readKeychain(this.accountId);
+
+        if (!vault) {
+            throw new Error('Incorrect seed name');
+        }
+
+        return await decrypt(vault, this.key);
+    };
+
+    /**
+     * Get co-signer seed trits
+     * @returns {object} { trits, security }
+     */
+    getSeedTrits = async () => {
+        const { seed, security } = await this.getVault();
+
+        let trits = [];
+        for (let i = 0; i < seed.length; i++) {
+            trits = trits.concat(byteToTrit(seed[i]));
+        }
+
+        return { trits, security };
+    };
+
+    /**
+     * Get multisig co-signers, in signing order
+     * @returns {array} Co-signers ({ name, security, digests })
+     */
+    getCosigners = async () => {
+        const { cosigners } = await this.getVault();
+
+        return cosigners;
+    };
+
+    /**
+     * Get multisig addresses
+     * @returns {array} Addresses (without checksum) ordered by key index
+     */
+    getAddresses = async () => {
+        const cosigners = await this.getCosigners();
+
+        return getMultisigAddresses(cosigners);
+    };
+
+    /**
+     * Get address from multisig address list
+     * @param {object} options - Address generation options
+     *   @property {number} index - Address index
+     *   @property {number} total - Address count to return
+     * @returns {promise}
+     */
+    generateAddress = async (options) => {
+        const addresses = await this.getAddresses();
+        const total = options.total || 1;
+
+        if (options.index + total > addresses.length) {
+            throw new Error(Errors.MULTISIG_ADDRESSES_EXHAUSTED);
+        }
+
+        return total === 1 ? addresses[options.index] : addresses.slice(options.index, options.index + total);
+    };
+
+    /**
+     * Placeholder for Trinity compatibillity
+     * @returns {boolean}
+     */
+    validateAddress = () => {
+        return true;
+    };
+
+    /**
+     * Get key digest of this co-signer
+     * @param {number} index - Key index
+     * @returns {string} Key digest
+     */
+    getMultisigDigest = async (index) => {
+        const { trits, security } = await this.getSeedTrits();
+
+        return iota.multisig.getDigest(trits, index, security);
+    };
+
+    /**
+     * Get private key of this co-signer
+     * @param {number} index - Key index
+     * @returns {string} Private key trytes
+     */
+    getMultisigKey = async (index) => {
+        const { trits, security } = await this.getSeedTrits();
+
+        return iota.multisig.getKey(trits, index, security);
+    };
+
+    /**
+     * Multisig transfers are signed by each co-signer in turn
+     */
+    prepareTransfers = () => () => {
+        return Promise.reject(new Error(Errors.MULTISIG_ACCOUNT));
+    };
+
+    /**
+     * Co-signer seed is not available in plain form
+     */
+    getSeed = () => {
+        return Promise.reject(new Error(Errors.MULTISIG_ACCOUNT));
+    };
+
+    /**
+     * Multisig vault cannot match a seed
+     * @returns {boolean}
+     */
+    isUniqueSeed = () => {
+        return true;
+    };
+
+    /**
+     * Destroy the vault
+     */
+    destroy = () => {
+        for (let i = 0; i < this.key.length * 3; i++) {
+            this.key[i % this.key.length] = 0;
+        }
+        delete this.key;
+    };
+}
+
+export default Multisig;
@@ -0,0 +1,197 @@
+/* global Electron */
+import { sha256, encrypt, decrypt } from 'libs/crypto';
+import { ALIAS_ACCOUNT } from 'libs/constants';
+import Errors from 'libs/errors';
+
+import SeedStoreCore from './SeedStoreCore';
+
+class WatchOnly extends SeedStoreCore {
+    /**
+     * Init the vault
+     * @param {array} key - Account decryption key
+     * @param {string} accountId - Account identifier
+     */
+    constructor(key, accountId) {
+        super();
+
+        return (async () => {
+            this.key = key.slice(0);
+            if (accountId) {
+                this.accountId = await sha256(`${ALIAS_ACCOUNT}-${accountId}`);
+            }
+
+            return this;
+        })();
+    }
+
+    /**
+     * If seed is available in plain form
+     * @returns {boolean}
+     */
+    static get isSeedAvailable() {
+        return false;
+    }
+
+    /**
+     * If attaching a message to transactions is available
+     * @returns {boolean}
+     */
+    static get isMessageAvailable() {
+        return false;
+    }
+
+    /**
+     * If account only holds addresses and cannot sign
+     * @returns {boolean}
+     */
+    static get isWatchOnly() {
+        return true;
+    }
+
+    /**
+     * Placeholder for Trinity compatibillity
+     * Watch-only vaults are kept in the keychain and re-encrypted by Keychain.updatePassword
+     * @returns {promise} - Resolves to a success boolean
+     */
+    static updatePassword = () => {
+        return true;
+    };
+
+    /**
+     * Return max supported input count
+     * @returns {number} - 0 for no limit
+     */
+    getMaxInputs = () => {
+        return 0;
+    };
+
+    /**
+     * Create new account
+     * @param {string} accountId - Account identifier
+     * @param {array} addresses - Addresses (without checksum) ordered by key index
+     * @returns {promise} - Resolves to a success boolean
+     */
+    addAccount = async (accountId, addresses) => {
+        this.accountId = await sha256(`${ALIAS_ACCOUNT}-${accountId}`);
+
+        const vault = await encrypt(addresses, this.key);
+        await Electron.setKeychain(this.accountId, vault);
+
+        return true;
+    };
+
+    /**
+     * Remove account
+     */
+    removeAccount = async () => {
+        if (!this.accountId) {
+            throw new Error('Account not selected');
+        }
+
+        const isRemoved = await Electron.removeKeychain(this.accountId);
+
+        if (!isRemoved) {
+            throw new Error('Incorrect seed name');
+        }
+
+        return true;
+    };
+
+    /**
+     * Rename account
+     * @param {string} accountName - New account name
+     * @returns {boolean} Account renamed success state
+     */
+    renameAccount = async (accountName) => {
+        const newID = await sha256(`${ALIAS_ACCOUNT}-${accountName}`);
+
+        const vault = await Electron.readKeychain(this.accountId);
+
+        if (!vault) {
+            throw new Error('Incorrect seed name');
+        }
+
+        await decrypt(vault, this.key);
+
+        await Electron.removeKeychain(this.accountId);
+        await Electron.setKeychain(newID, vault);
+
+        this.accountId = newID;
+
+        return true;
+    };
+
+    /**
+     * Get watch-only addresses from keychain
+     * @returns {array} Decrypted addresses
+     */
+    getAddresses = async () => {
+        const vault = await Electron.readKeychain(this.accountId);
+
+        if (!vault) {
+            throw new Error('Incorrect seed name');
+        }
+
+        return await decrypt(vault, this.key);
+    };
+
+    /**
+     * Get address from watch-only address list
+     * @param {object} options - Address generation options
+     *   @property {number} index - Address index
+     *   @property {number} total - Address count to return
+     * @returns {promise}
+     */
+    generateAddress = async (options) => {
+        const addresses = await this.getAddresses();
+        const total = options.total || 1;
+
+        if (options.index + total > addresses.length) {
+            throw new Error(Errors.WATCH_ONLY_ACCOUNT);
+        }
+
+        return total === 1 ? addresses[options.index] : addresses.slice(options.index, options.index + total);
+    };
+
+    /**
+     * Placeholder for Trinity compatibillity
+     * @returns {boolean}
+     */
+    validateAddress = () => {
+        return true;
+    };
+
+    /**
+     * Watch-only accounts cannot sign transfers. Transfers are signed offline instead (See libs/iota/offlineSigning)
+     */
+    prepareTransfers = () => () => {
+        return Promise.reject(new Error(Errors.WATCH_ONLY_ACCOUNT));
+    };
+
+    /**
+     * Watch-only accounts hold no seed
+     */
+    getSeed = () => {
+        return Promise.reject(new Error(Errors.WATCH_ONLY_ACCOUNT));
+    };
+
+    /**
+     * Watch-only addresses cannot match a seed
+     * @returns {boolean}
+     */
+    isUniqueSeed = () => {
+        return true;
+    };
+
+    /**
+     * Destroy the vault
+     */
+    destroy = () => {
+        for (let i = 0; i < this.key.length * 3; i++) {
+            this.key[i % this.key.length] = 0;
+        }
+        delete this.key;
+    };
+}
+
+export default WatchOnly;
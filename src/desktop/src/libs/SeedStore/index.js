@@ -1,7 +1,11 @@
 import Keychain from './Keychain';
 import Ledger from './Ledger';
+import Multisig from './Multisig';
+import WatchOnly from './WatchOnly';
 
 export default {
     keychain: Keychain,
     ledger: Ledger,
+    watchonly: WatchOnly,
+    multisig: Multisig,
 };
@@ -1,5 +1,6 @@
 /* global Electron */
 import { ALIAS_REALM, ALIAS_MAIN } from 'libs/constants';
+import { verifyTwoFactorCode } from 'libs/totp';
 
 // Maximum allowed account title
 export const MAX_ACC_LENGTH = 250;
@@ -133,6 +134,67 @@ export const authorize = async (key) => {
     }
 };
 
+/**
+ * Get two-factor authentication configuration from the main vault
+ * @param {array} key - Vault decryption key
+ * @returns {object | null} Two-factor configuration or null if two-factor authentication is disabled
+ */
+export const getTwoFA = async (key) => {
+    const vault = await Electron.readKeychain(ALIAS_MAIN);
+
+    if (!vault) {
+        throw new Error('Local storage not available');
+    }
+
+    const decryptedVault = await decrypt(vault, key);
+
+    return decryptedVault.twoFA || null;
+};
+
+/**
+ * Store or remove two-factor authentication configuration in the main vault
+ * @param {array} key - Vault encryption key
+ * @param {object | null} twoFA - Two-factor configuration, null to disable two-factor authentication
+ * @returns {boolean}
+ */
+export const setTwoFA = async (key, twoFA) => {
+    const vault = await Electron.readKeychain(ALIAS_MAIN);
+    const decryptedVault = vault === null ? {} : await decrypt(vault, key);
+
+    if (twoFA) {
+        decryptedVault.twoFA = twoFA;
+    } else {
+        delete decryptedVault.twoFA;
+    }
+
+    const updatedVault = await encrypt(decryptedVault, key);
+
+    await Electron.setKeychain(ALIAS_MAIN, updatedVault);
+
+    return true;
+};
+
+/**
+ * Check two-factor authentication or backup code, used backup codes are invalidated
+ * Fails if two-factor authentication configuration is missing from the vault
+ * @param {array} key - Vault decryption key
+ * @param {string} code - Authenticator app or backup code
+ * @returns {object} Verification result - { isBackupCode, backupCodesLeft }
+ */
+export const authorizeTwoFA = async (key, code) => {
+    const twoFA = await getTwoFA(key);
+
+    const { isValid, isBackupCode, config } = verifyTwoFactorCode(twoFA, code);
+
+    if (!isValid) {
+        throw new Error('Two-factor code invalid');
+    }
+
+    await setTwoFA(key, config);
+
+    return { isBackupCode, backupCodesLeft: config.backupCodes.length };
+};
+
 /**
  * Clear the vault
  * @param {array} keepAccounts - Account names that should not be cleared
@@ -7,7 +7,7 @@ import { TransitionGroup, CSSTransition } from 'react-transition-group';
 import i18next from 'libs/i18next';
 import { withTranslation } from 'react-i18next';
 
-import { parseAddress } from 'libs/iota/utils';
+import { parsePaymentUri, getPaymentUriCallbackUrl } from 'libs/paymentUri';
 import { ALIAS_MAIN } from 'libs/constants';
 import { fetchVersions, fetchIsSeedMigrationUp, VALID_IOTA_SUBDOMAIN_REGEX } from 'libs/utils';
 
@@ -18,7 +18,6 @@ import {
     setPassword,
     clearWalletData,
     initiateDeepLinkRequest,
-    setDeepLinkContent,
     setSeedIndex,
     shouldUpdate,
     forceUpdate,
@@ -27,8 +26,10 @@ import {
 } from 'actions/wallet';
 
 import { updateTheme } from 'actions/settings';
+import { verifyPaymentUriContent } from 'actions/transfers';
+import { setPaymentUriContent } from 'actions/ui';
 import { fetchNodeList } from 'actions/polling';
-import { dismissAlert, generateAlert } from 'actions/alerts';
+import { dismissAlert, generateAlert, generatePaymentUriErrorAlert } from 'actions/alerts';
 
 import Theme from 'ui/global/Theme';
 import Idle from 'ui/global/Idle';
@@ -76,6 +77,8 @@ class App extends React.Component {
         /** @ignore */
         generateAlert: PropTypes.func.isRequired,
         /** @ignore */
+        generatePaymentUriErrorAlert: PropTypes.func.isRequired,
+        /** @ignore */
         dismissAlert: PropTypes.func.isRequired,
         /** @ignore */
         clearWalletData: PropTypes.func.isRequired,
@@ -104,7 +107,11 @@ class App extends React.Component {
         /** @ignore */
         initiateDeepLinkRequest: PropTypes.func.isRequired,
         /** @ignore */
-        setDeepLinkContent: PropTypes.func.isRequired,
+        paymentUriContent: PropTypes.object.isRequired,
+        /** @ignore */
+        verifyPaymentUriContent: PropTypes.func.isRequired,
+        /** @ignore */
+        setPaymentUriContent: PropTypes.func.isRequired,
         /** @ignore */
         displaySeedMigrationAlert: PropTypes.func.isRequired,
         /** @ignore */
@@ -174,6 +181,19 @@ class App extends React.Component {
         if (this.props.location.pathname !== nextProps.location.pathname) {
             this.props.dismissAlert();
         }
+
+        /* On paid payment request with a callback */
+        if (!this.props.paymentUriContent.bundle && nextProps.paymentUriContent.bundle) {
+            const { callback, bundle } = nextProps.paymentUriContent;
+
+            Electron.openPaymentCallback(getPaymentUriCallbackUrl(callback, bundle));
+            this.props.setPaymentUriContent({});
+            this.props.generateAlert(
+                'success',
+                this.props.t('paymentUri:callbackOpened'),
+                this.props.t('paymentUri:callbackOpenedExplanation'),
+            );
+        }
     }
 
     componentWillUnmount() {
@@ -185,7 +205,7 @@ class App extends React.Component {
     /**
      * Parse and verify deep link
      * Set valid deep link data to state
-     * Navigate to Send view if wallet authenticated
+     * Navigate to Send (or batch payments) view if wallet authenticated
      * @param {string} Data - data passed
      */
     setDeepUrl(data) {
@@ -197,19 +217,16 @@ class App extends React.Component {
             return generateAlert('info', t('deepLink:deepLinkingInfoTitle'), t('deepLink:deepLinkingInfoMessage'));
         }
 
-        const parsedData = parseAddress(data);
+        let request = null;
 
-        if (parsedData) {
-            this.props.setDeepLinkContent(
-                parsedData.amount ? String(parsedData.amount) : '0',
-                parsedData.address,
-                parsedData.message || '',
-            );
-            if (this.props.wallet.ready === true) {
-                this.props.history.push('/wallet/send');
-            }
-        } else {
-            generateAlert('error', t('send:invalidAddress'), t('send:invalidAddressExplanation1'));
+        try {
+            request = parsePaymentUri(data);
+        } catch (error) {
+            return this.props.generatePaymentUriErrorAlert(error);
+        }
+
+        if (this.props.verifyPaymentUriContent(request) && this.props.wallet.ready === true) {
+            this.props.history.push(request.recipients.length > 1 ? '/wallet/batch' : '/wallet/send');
         }
     }
 
@@ -380,6 +397,7 @@ const mapStateToProps = (state) => ({
     onboardingComplete: state.accounts.onboardingComplete,
     hasErrorFetchingFullAccountInfo: state.ui.hasErrorFetchingFullAccountInfo,
     deepLinking: state.settings.deepLinking,
+    paymentUriContent: state.ui.paymentUriContent,
     isBusy:
         !state.wallet.ready || state.ui.isSyncing || state.ui.isSendingTransfer || state.ui.isGeneratingReceiveAddress,
     alerts: state.alerts,
@@ -389,10 +407,12 @@ const mapDispatchToProps = {
     clearWalletData,
     setPassword,
     initiateDeepLinkRequest,
-    setDeepLinkContent,
+    verifyPaymentUriContent,
+    setPaymentUriContent,
     setSeedIndex,
     dismissAlert,
     generateAlert,
+    generatePaymentUriErrorAlert,
     fetchNodeList,
     updateTheme,
     setOnboardingComplete,
@@ -8,6 +8,8 @@ import { getAccountNamesFromState } from 'selectors/accounts';
 import { accumulateBalance } from 'libs/iota/addresses';
 import { formatUnit, formatIotas } from 'libs/iota/utils';
 import { getFiatBalance, formatFiatBalance } from 'libs/currency';
+import { formatTimeAgo, isWithinMinutes } from 'libs/date';
+import { MARKET_DATA_STALE_MINUTES } from 'libs/marketData';
 
 import Icon from 'ui/components/Icon';
 
@@ -97,6 +99,15 @@ export class BalanceComponent extends React.PureComponent {
                     <small>{`${formatUnit(accountBalance)}`}</small>
                 </h1>
                 <h2>{formatFiatBalance(settings.locale, settings.currency, fiatBalance)}</h2>
+                {marketData.lastUpdated > 0 && (
+                    <p
+                        className={
+                            isWithinMinutes(marketData.lastUpdated, MARKET_DATA_STALE_MINUTES) ? null : css.outdated
+                        }
+                    >
+                        {t('global:priceUpdated', { age: formatTimeAgo(settings.locale, marketData.lastUpdated) })}
+                    </p>
+                )}
             </div>
         );
     }
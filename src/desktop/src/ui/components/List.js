@@ -5,6 +5,7 @@ import classNames from 'classnames';
 import { withTranslation } from 'react-i18next';
 
 import { formatIotas } from 'libs/iota/utils';
+import { formatFiatBalance } from 'libs/currency';
 import { filterTransactions } from 'libs/iota/transfers';
 import { formatTime, formatModalTime, convertUnixTimeToJSDate, detectedTimezone } from 'libs/date';
 import SeedStore from 'libs/SeedStore';
@@ -13,6 +14,7 @@ import Clipboard from 'ui/components/Clipboard';
 import Icon from 'ui/components/Icon';
 import Scrollbar from 'ui/components/Scrollbar';
 import Button from 'ui/components/Button';
+import Text from 'ui/components/input/Text';
 
 import withListData from 'containers/components/List';
 
@@ -66,12 +68,33 @@ export class ListComponent extends React.PureComponent {
         accountMeta: PropTypes.object.isRequired,
         /** @ignore */
         password: PropTypes.object.isRequired,
+        /** Private transaction labels, notes and categories keyed by bundle hash */
+        transactionMetadata: PropTypes.object.isRequired,
+        /** Transaction categories in use */
+        transactionCategories: PropTypes.array.isRequired,
+        /** Set private transaction label, note and category
+         * @param {string} bundle - bundle hash
+         * @param {object} metadata - { label, note, category }
+         */
+        setTransactionMetadata: PropTypes.func.isRequired,
+        /** Selected fiat currency */
+        currency: PropTypes.string.isRequired,
+        /** Wallet locale */
+        locale: PropTypes.string.isRequired,
+        /** Create a notification message
+         * @param {string} type - notification type - success, error
+         * @param {string} title - notification title
+         * @param {string} text - notification explanation
+         * @ignore
+         */
+        generateAlert: PropTypes.func.isRequired,
     };
 
     state = {
         filter: 'All',
         search: '',
         loaded: true,
+        details: null,
     };
 
     switchFilter(filter) {
@@ -120,6 +143,121 @@ export class ListComponent extends React.PureComponent {
         );
     }
 
+    listFiatValues(tx) {
+        const { currency, locale, t } = this.props;
+
+        const formatValue = (value) =>
+            value === null ? t('history:valueUnavailable') : formatFiatBalance(locale, currency, value);
+
+        return (
+            <div className={css.fiat}>
+                <p>
+                    <strong>{t('history:valueThen')}:</strong>
+                    <span>{formatValue(tx.fiatValueThen)}</span>
+                </p>
+                <p>
+                    <strong>{t('history:valueNow')}:</strong>
+                    <span>{formatValue(tx.fiatValueNow)}</span>
+                </p>
+            </div>
+        );
+    }
+
+    setDetailsField(field, value) {
+        this.setState((prevState) => ({ details: { ...prevState.details, [field]: value } }));
+    }
+
+    saveDetails(e, bundle) {
+        e.stopPropagation();
+
+        const { t } = this.props;
+
+        this.props.setTransactionMetadata(bundle, this.state.details);
+        this.props.generateAlert('success', t('history:detailsSaved'), t('history:detailsSavedExplanation'));
+
+        this.setState({ details: null });
+    }
+
+    closeItem() {
+        this.setState({ details: null });
+        this.props.setItem(null);
+    }
+
+    listDetails(tx) {
+        const { transactionMetadata, transactionCategories, t } = this.props;
+        const { details } = this.state;
+
+        const metadata = transactionMetadata[tx.bundle] || { label: '', note: '', category: '' };
+
+        if (!details) {
+            return (
+                <div className={css.details}>
+                    <strong>{t('history:privateDetails')}:</strong>
+                    {metadata.label || metadata.note || metadata.category ? (
+                        <p>
+                            {metadata.label && <span>{metadata.label}</span>}
+                            {metadata.category && <mark>{metadata.category}</mark>}
+                            {metadata.note && <em>{metadata.note}</em>}
+                        </p>
+                    ) : (
+                        <p>
+                            <em>{t('history:noDetails')}</em>
+                        </p>
+                    )}
+                    <a
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            this.setState({
+                                details: { label: metadata.label, note: metadata.note, category: metadata.category },
+                            });
+                        }}
+                    >
+                        {t('history:editDetails')}
+                    </a>
+                </div>
+            );
+        }
+
+        return (
+            <div className={css.details} onClick={(e) => e.stopPropagation()}>
+                <Text
+                    value={details.label}
+                    label={t('history:label')}
+                    onChange={(value) => this.setDetailsField('label', value)}
+                    focus
+                />
+                <Text
+                    value={details.category}
+                    label={t('history:category')}
+                    onChange={(value) => this.setDetailsField('category', value)}
+                />
+                {transactionCategories.length > 0 && (
+                    <p>
+                        {transactionCategories.map((category) => (
+                            <a key={category} onClick={() => this.setDetailsField('category', category)}>
+                                {category}
+                            </a>
+                        ))}
+                    </p>
+                )}
+                <Text
+                    value={details.note}
+                    label={t('history:note')}
+                    onChange={(value) => this.setDetailsField('note', value)}
+                />
+                <small>{t('history:privateDetailsExplanation')}</small>
+                <nav>
+                    <Button className="small" variant="dark" onClick={() => this.setState({ details: null })}>
+                        {t('cancel')}
+                    </Button>
+                    <Button className="small" onClick={(e) => this.saveDetails(e, tx.bundle)}>
+                        {t('history:saveDetails')}
+                    </Button>
+                </nav>
+            </div>
+        );
+    }
+
     async promoteTransaction(e, bundle) {
         e.stopPropagation();
 
@@ -149,6 +287,7 @@ export class ListComponent extends React.PureComponent {
             toggleEmptyTransactions,
             updateAccount,
             transactions,
+            transactionMetadata,
             setItem,
             currentItem,
             t,
@@ -162,6 +301,7 @@ export class ListComponent extends React.PureComponent {
             hideEmptyTransactions,
             filter,
             search,
+            transactionMetadata,
         );
 
         const activeTx = currentItem ? filteredTransactions.filter((tx) => tx.bundle === currentItem)[0] : null;
@@ -228,6 +368,12 @@ export class ListComponent extends React.PureComponent {
                                     <li>
                                         <strong>&lt;100i</strong> {t('history:searchHelpLess')}
                                     </li>
+                                    <li>
+                                        <strong>ABC</strong> {t('history:searchHelpDetails')}
+                                    </li>
+                                    <li>
+                                        <strong>tag:XYZ</strong> {t('history:searchHelpTag')}
+                                    </li>
                                 </ul>
                             )}
                         </div>
@@ -246,6 +392,9 @@ export class ListComponent extends React.PureComponent {
                             filteredTransactions.map((transaction, key) => {
                                 const isReceived = transaction.incoming;
                                 const isConfirmed = transaction.persistence;
+                                const label = transactionMetadata[transaction.bundle]
+                                    ? transactionMetadata[transaction.bundle].label
+                                    : '';
 
                                 return (
                                     <a
@@ -268,6 +417,7 @@ export class ListComponent extends React.PureComponent {
                                                     detectedTimezone,
                                                     convertUnixTimeToJSDate(transaction.timestamp),
                                                 )}
+                                                {label && <small>{label}</small>}
                                             </span>
                                             <span>
                                                 {!isConfirmed
@@ -293,7 +443,7 @@ export class ListComponent extends React.PureComponent {
                         )}
                     </Scrollbar>
                 </div>
-                <div className={classNames(css.popup, activeTx ? css.on : null)} onClick={() => setItem(null)}>
+                <div className={classNames(css.popup, activeTx ? css.on : null)} onClick={() => this.closeItem()}>
                     <div>
                         {activeTx ? (
                             <div
@@ -330,6 +480,19 @@ export class ListComponent extends React.PureComponent {
                                         success={t('history:bundleHashCopiedExplanation')}
                                     />
                                 </p>
+                                {activeTx.tag ? (
+                                    <React.Fragment>
+                                        <h6>{t('send:tag')}:</h6>
+                                        <p className={css.hash}>
+                                            <Clipboard
+                                                text={activeTx.tag}
+                                                title={t('history:tagCopied')}
+                                                success={t('history:tagCopiedExplanation')}
+                                            />
+                                        </p>
+                                    </React.Fragment>
+                                ) : null}
+                                {this.listFiatValues(activeTx)}
                                 {mode === 'Advanced' && this.listAddresses(activeTx)}
                                 <div className={css.message}>
                                     <strong>{t('send:message')}:</strong>
@@ -341,6 +504,7 @@ export class ListComponent extends React.PureComponent {
                                         />
                                     </Scrollbar>
                                 </div>
+                                {this.listDetails(activeTx)}
                                 {!activeTx.persistence && (
                                     <nav>
                                         {isActiveFailed && (
@@ -26,10 +26,12 @@ export default class SeedPrint extends PureComponent {
         seed: PropTypes.array,
         /** Seed checksum */
         checksum: PropTypes.string.isRequired,
+        /** Optional label printed below the seed, e.g. seed share details */
+        label: PropTypes.string,
     };
 
     render() {
-        const { filled, seed, checksum } = this.props;
+        const { filled, seed, checksum, label } = this.props;
 
         const qr = new QRCode(-1, 1);
         if (seed) {
@@ -82,6 +84,11 @@ export default class SeedPrint extends PureComponent {
                                         />
                                     );
                                 })}
+                            {label && (
+                                <text className={css.label} x="297.5" y="790" textAnchor="middle">
+                                    {label}
+                                </text>
+                            )}
                         </svg>
                     )}
                 <img width="auto" height="100vh" src={filled ? wallets.paperWalletFilled : wallets.paperWallet} />
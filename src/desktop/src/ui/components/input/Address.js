@@ -2,7 +2,8 @@ import React from 'react';
 import QrReader from 'react-qr-reader';
 import PropTypes from 'prop-types';
 import classNames from 'classnames';
-import { ADDRESS_LENGTH, parseAddress, parseCDALink } from 'libs/iota/utils';
+import { ADDRESS_LENGTH, parseCDALink } from 'libs/iota/utils';
+import { parsePaymentUri } from 'libs/paymentUri';
 
 import Modal from 'ui/components/modal/Modal';
 import Button from 'ui/components/Button';
@@ -35,6 +36,8 @@ export default class Address extends React.PureComponent {
         disabled: PropTypes.bool,
         /** Verify CDA Content and set fields */
         verifyCDAContent: PropTypes.func.isRequired,
+        /** Verify payment URI content and set fields */
+        verifyPaymentUriContent: PropTypes.func.isRequired,
     };
 
     state = {
@@ -66,8 +69,11 @@ export default class Address extends React.PureComponent {
                 }
             }
 
-            const input = parseAddress(data);
-            this.props.onChange(input.address, input.message, input.amount);
+            try {
+                this.props.verifyPaymentUriContent(parsePaymentUri(data));
+            } catch (error) {
+                this.props.onChange(data);
+            }
         }
     };
 
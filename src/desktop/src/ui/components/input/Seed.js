@@ -37,6 +37,7 @@ export class SeedComponent extends React.PureComponent {
         closeLabel: PropTypes.string.isRequired,
         /** Seed change event function
          * @param {array} value - Current seed value
+         * @param {object} share - Seed share details, if imported SeedVault entry is a seed share
          */
         onChange: PropTypes.func.isRequired,
         /** @ignore */
@@ -224,7 +225,7 @@ export class SeedComponent extends React.PureComponent {
             if (!accounts.length) {
                 throw Error('SeedNotFound');
             } else if (accounts.length === 1) {
-                this.props.onChange(accounts[0].seed);
+                this.props.onChange(accounts[0].seed, accounts[0].share);
 
                 if (updateImportName && accounts[0].title.length < MAX_ACC_LENGTH) {
                     this.props.setAccountInfoDuringSetup({ name: accounts[0].title });
@@ -258,7 +259,7 @@ export class SeedComponent extends React.PureComponent {
         e.preventDefault();
         const account = this.state.accounts[this.state.accountIndex];
 
-        this.props.onChange(account.seed);
+        this.props.onChange(account.seed, account.share);
 
         if (this.props.updateImportName && account.title.length < MAX_ACC_LENGTH) {
             this.props.setAccountInfoDuringSetup({ name: account.title });
@@ -4,11 +4,12 @@ import PropTypes from 'prop-types';
 import { withTranslation } from 'react-i18next';
 import { connect } from 'react-redux';
 
-import { hash, authorize } from 'libs/crypto';
+import { hash, authorize, getTwoFA, authorizeTwoFA } from 'libs/crypto';
 
 import { generateAlert } from 'actions/alerts';
 
 import Password from 'ui/components/input/Password';
+import Text from 'ui/components/input/Text';
 import Button from 'ui/components/Button';
 import Modal from 'ui/components/modal/Modal';
 
@@ -52,36 +53,52 @@ class ModalPassword extends PureComponent {
         t: PropTypes.func.isRequired,
         /** Determines whether user is entering SeedVault key */
         isSeedVaultField: PropTypes.bool,
+        /** Determines whether a two-factor authentication code is required (if enabled) after the password */
+        isTwoFARequired: PropTypes.bool,
+        /** @ignore */
+        is2FAEnabled: PropTypes.bool.isRequired,
     };
 
     static defaultProps = {
         isSeedVaultField: false,
+        isTwoFARequired: false,
     };
 
     state = {
         password: '',
+        code: '',
+        isEnteringCode: false,
     };
 
     componentWillReceiveProps(nextProps) {
         if (this.props.isOpen !== nextProps.isOpen) {
+            this.passwordHash = null;
+
             this.setState({
                 password: '',
+                code: '',
+                isEnteringCode: false,
             });
         }
     }
 
     componentWillUnmount() {
+        this.passwordHash = null;
         setTimeout(() => Electron.garbageCollect(), 1000);
     }
 
     handleSubmit = async (e) => {
-        const { password } = this.state;
-        const { onSuccess, onSubmit, generateAlert, t } = this.props;
+        const { password, isEnteringCode } = this.state;
+        const { onSuccess, onSubmit, isTwoFARequired, generateAlert, t } = this.props;
 
         if (e) {
             e.preventDefault();
         }
 
+        if (isEnteringCode) {
+            return this.verifyCode();
+        }
+
         if (onSubmit) {
             return onSubmit(password);
         }
@@ -99,23 +116,75 @@ class ModalPassword extends PureComponent {
             return;
         }
 
+        if (isTwoFARequired && (this.props.is2FAEnabled || (await getTwoFA(passwordHash)))) {
+            this.passwordHash = passwordHash;
+            this.setState({
+                isEnteringCode: true,
+            });
+            return;
+        }
+
         onSuccess(passwordHash);
     };
 
+    /**
+     * Verify two-factor authentication code and trigger success callback
+     * @returns {undefined}
+     */
+    verifyCode = async () => {
+        const { code } = this.state;
+        const { onSuccess, generateAlert, t } = this.props;
+
+        if (!code.trim().length) {
+            generateAlert('error', t('twoFA:emptyCode'), t('twoFA:emptyCodeExplanation'));
+            return;
+        }
+
+        try {
+            const { isBackupCode, backupCodesLeft } = await authorizeTwoFA(this.passwordHash, code);
+
+            if (isBackupCode) {
+                generateAlert(
+                    'info',
+                    t('twoFA:backupCodeUsed'),
+                    t('twoFA:backupCodeUsedExplanation', { count: backupCodesLeft }),
+                );
+            }
+        } catch (err) {
+            generateAlert('error', t('twoFA:wrongCode'), t('twoFA:wrongCodeExplanation'));
+            return;
+        }
+
+        onSuccess(this.passwordHash);
+    };
+
     passwordContent = () => {
         const { content, category, isOpen, isForced, onClose, t, isSeedVaultField } = this.props;
-        const { password } = this.state;
+        const { password, code, isEnteringCode } = this.state;
         return (
             <React.Fragment>
                 {content.title ? <h1 className={category ? category : null}>{content.title}</h1> : null}
-                {content.message ? <p>{content.message}</p> : null}
+                {isEnteringCode ? (
+                    <p>{t('twoFA:enterCodeExplanation')}</p>
+                ) : content.message ? (
+                    <p>{content.message}</p>
+                ) : null}
                 <form onSubmit={(e) => this.handleSubmit(e)}>
-                    <Password
-                        value={password}
-                        focus={isOpen}
-                        label={isSeedVaultField ? t('seedVault:key') : t('password')}
-                        onChange={(value) => this.setState({ password: value })}
-                    />
+                    {isEnteringCode ? (
+                        <Text
+                            value={code}
+                            focus={isEnteringCode}
+                            label={t('twoFA:code')}
+                            onChange={(value) => this.setState({ code: value })}
+                        />
+                    ) : (
+                        <Password
+                            value={password}
+                            focus={isOpen}
+                            label={isSeedVaultField ? t('seedVault:key') : t('password')}
+                            onChange={(value) => this.setState({ password: value })}
+                        />
+                    )}
                     <footer>
                         {!isForced && (
                             <Button onClick={() => onClose()} variant="dark">
@@ -142,11 +211,15 @@ class ModalPassword extends PureComponent {
     }
 }
 
+const mapStateToProps = (state) => ({
+    is2FAEnabled: state.settings.is2FAEnabled,
+});
+
 const mapDispatchToProps = {
     generateAlert,
 };
 
 export default connect(
-    null,
+    mapStateToProps,
     mapDispatchToProps,
 )(withTranslation()(ModalPassword));
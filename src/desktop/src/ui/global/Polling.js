@@ -1,6 +1,8 @@
 /* global Electron */
 import head from 'lodash/head';
 import filter from 'lodash/filter';
+import find from 'lodash/find';
+import has from 'lodash/has';
 import React from 'react';
 import isEmpty from 'lodash/isEmpty';
 import keys from 'lodash/keys';
@@ -9,8 +11,11 @@ import size from 'lodash/size';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import SeedStore from 'libs/SeedStore';
+import { getDueScheduledPayments } from 'libs/scheduledPayments';
 import {
     getAccountNamesFromState,
+    getAccountInfoFromState,
+    getScheduledPaymentsFromState,
     isSettingUpNewAccount,
     getPromotableBundlesFromState,
     getSelectedAccountName,
@@ -23,6 +28,7 @@ import {
     setPollFor,
     promoteTransfer,
     getAccountInfoForAllAccounts,
+    runScheduledPayment,
 } from 'actions/polling';
 import { retryFailedTransaction } from 'actions/transfers';
 
@@ -65,6 +71,14 @@ class Polling extends React.PureComponent {
         /** @ignore */
         retryFailedTransaction: PropTypes.func.isRequired,
         /** @ignore */
+        accountInfo: PropTypes.object.isRequired,
+        /** @ignore */
+        scheduledPayments: PropTypes.array.isRequired,
+        /** @ignore */
+        runScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        isRunningScheduledPayment: PropTypes.bool.isRequired,
+        /** @ignore */
         password: PropTypes.object.isRequired,
         /** @ignore */
         isPollingPrice: PropTypes.bool.isRequired,
@@ -129,6 +143,7 @@ class Polling extends React.PureComponent {
             nodeList: this.props.fetchNodeList,
             accountInfo: this.fetchLatestAccountInfo,
             broadcast: this.retryFailedTransaction,
+            scheduledPayments: this.runScheduledPayment,
         };
 
         dict[service] ? dict[service]() : this.props.setPollFor(this.props.allPollingServices[0]);
@@ -165,6 +180,31 @@ class Polling extends React.PureComponent {
         }
     };
 
+    /**
+     * Sends (or asks for confirmation of) the oldest due scheduled payment
+     *
+     * @method runScheduledPayment
+     *
+     * @returns {undefined}
+     */
+    runScheduledPayment = async () => {
+        const { accountInfo, scheduledPayments, password } = this.props;
+
+        const payment = find(getDueScheduledPayments(scheduledPayments), ({ accountName }) =>
+            has(accountInfo, accountName),
+        );
+
+        if (payment && !isEmpty(password)) {
+            const { meta } = accountInfo[payment.accountName];
+
+            const seedStore = await new SeedStore[meta.type](password, payment.accountName, meta);
+
+            this.props.runScheduledPayment(payment.id, seedStore);
+        } else {
+            this.moveToNextPollService();
+        }
+    };
+
     promote = async () => {
         const { unconfirmedBundleTails, autoPromotion, selectedAccountType, password } = this.props;
 
@@ -205,7 +245,8 @@ class Polling extends React.PureComponent {
             this.props.isPollingChartData ||
             this.props.isPollingMarketData ||
             this.props.isPollingAccountInfo ||
-            this.props.isAutoPromoting;
+            this.props.isAutoPromoting ||
+            this.props.isRunningScheduledPayment;
 
         return isAlreadyDoingSomeHeavyLifting || isAlreadyPollingSomething;
     }
@@ -223,6 +264,7 @@ const mapStateToProps = (state) => ({
     isPollingMarketData: state.polling.isFetchingMarketData,
     isPollingAccountInfo: state.polling.isFetchingAccountInfo,
     isAutoPromoting: state.polling.isAutoPromoting,
+    isRunningScheduledPayment: state.polling.isRunningScheduledPayment,
     isSyncing: state.ui.isSyncing,
     addingAdditionalAccount: isSettingUpNewAccount(state),
     isGeneratingReceiveAddress: state.ui.isGeneratingReceiveAddress,
@@ -237,6 +279,8 @@ const mapStateToProps = (state) => ({
     isRetryingFailedTransaction: state.ui.isRetryingFailedTransaction,
     failedBundleHashes: getFailedBundleHashes(state),
     password: state.wallet.password,
+    accountInfo: getAccountInfoFromState(state),
+    scheduledPayments: getScheduledPaymentsFromState(state).list,
 });
 
 const mapDispatchToProps = {
@@ -246,6 +290,7 @@ const mapDispatchToProps = {
     promoteTransfer,
     getAccountInfoForAllAccounts,
     retryFailedTransaction,
+    runScheduledPayment,
 };
 
 export default connect(mapStateToProps, mapDispatchToProps)(Polling);
@@ -7,6 +7,8 @@ import { withTranslation } from 'react-i18next';
 import { zxcvbn } from 'libs/exports';
 
 import { generateAlert } from 'actions/alerts';
+import { logAuditEvent } from 'actions/auditLog';
+import { AUDIT_EVENTS } from 'libs/auditLog';
 import { MAX_SEED_LENGTH } from 'libs/iota/utils';
 
 import passwordReasons from 'libs/password';
@@ -26,6 +28,13 @@ export class SeedExportComponent extends PureComponent {
         seed: PropTypes.array.isRequired,
         /** Seed title */
         title: PropTypes.string,
+        /** Seed share details, if target seed is a seed share */
+        share: PropTypes.shape({
+            index: PropTypes.number.isRequired,
+            threshold: PropTypes.number.isRequired,
+            count: PropTypes.number.isRequired,
+            seedChecksum: PropTypes.string.isRequired,
+        }),
         /** On close event callback
          * @returns {undefined}
          */
@@ -34,6 +43,8 @@ export class SeedExportComponent extends PureComponent {
         t: PropTypes.func.isRequired,
         /** @ignore */
         generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
     };
 
     state = {
@@ -66,7 +77,7 @@ export class SeedExportComponent extends PureComponent {
      * @returns {undefined}
      */
     exportSeed = async (event) => {
-        const { seed, title, generateAlert, onClose, t } = this.props;
+        const { seed, title, share, generateAlert, onClose, t } = this.props;
         const { password, passwordConfirm } = this.state;
 
         if (event) {
@@ -104,6 +115,7 @@ export class SeedExportComponent extends PureComponent {
                 {
                     title: title,
                     seed: seed,
+                    share: share,
                 },
             ],
             password,
@@ -126,6 +138,7 @@ export class SeedExportComponent extends PureComponent {
                 );
             }
         } else {
+            this.props.logAuditEvent(AUDIT_EVENTS.seedVaultExported, { accountName: title });
             generateAlert('success', t('seedVault:exportSuccess'), t('seedVault:exportSuccessExplanation'));
         }
 
@@ -203,6 +216,7 @@ export class SeedExportComponent extends PureComponent {
 
 const mapDispatchToProps = {
     generateAlert,
+    logAuditEvent,
 };
 
 export default connect(
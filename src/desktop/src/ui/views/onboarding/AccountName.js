@@ -56,7 +56,7 @@ class AccountName extends React.PureComponent {
     setName = async (event) => {
         event.preventDefault();
 
-        const { wallet, accountNames, history, generateAlert, t } = this.props;
+        const { wallet, accountNames, additionalAccountMeta, history, generateAlert, t } = this.props;
 
         const name = this.state.name.replace(/^\s+|\s+$/g, '');
 
@@ -88,7 +88,11 @@ class AccountName extends React.PureComponent {
             history.push('/onboarding/seed-save');
         } else {
             if (accountNames.length > 0) {
-                const seedStore = await new SeedStore.keychain(wallet.password);
+                const seedStoreType =
+                    ['watchonly', 'multisig'].indexOf(additionalAccountMeta.type) > -1
+                        ? additionalAccountMeta.type
+                        : 'keychain';
+                const seedStore = await new SeedStore[seedStoreType](wallet.password);
                 await seedStore.addAccount(this.state.name, Electron.getOnboardingSeed());
 
                 history.push('/onboarding/login');
@@ -109,6 +113,16 @@ class AccountName extends React.PureComponent {
             return history.push('/onboarding/seed-ledger');
         }
 
+        if (additionalAccountMeta.type === 'watchonly') {
+            Electron.setOnboardingSeed(null);
+            return history.push('/onboarding/seed-watchonly');
+        }
+
+        if (additionalAccountMeta.type === 'multisig') {
+            Electron.setOnboardingSeed(null);
+            return history.push('/onboarding/seed-multisig');
+        }
+
         if (Electron.getOnboardingGenerated()) {
             history.push('/onboarding/seed-generate');
         } else {
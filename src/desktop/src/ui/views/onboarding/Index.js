@@ -17,11 +17,15 @@ import SeedIntro from 'ui/views/onboarding/SeedIntro';
 import GenerateSeed from 'ui/views/onboarding/SeedGenerate';
 import SaveYourSeedOptions from 'ui/views/onboarding/SeedSave';
 import SeedEnter from 'ui/views/onboarding/SeedVerify';
+import SeedShares from 'ui/views/onboarding/SeedShares';
+import RestoreBackup from 'ui/views/onboarding/RestoreBackup';
 import SeedName from 'ui/views/onboarding/AccountName';
 import SecurityEnter from 'ui/views/onboarding/AccountPassword';
 import Done from 'ui/views/onboarding/Done';
 
 import Ledger from 'ui/views/onboarding/seedStore/Ledger';
+import WatchOnly from 'ui/views/onboarding/seedStore/WatchOnly';
+import Multisig from 'ui/views/onboarding/seedStore/Multisig';
 
 import css from './index.scss';
 
@@ -128,9 +132,13 @@ class Onboarding extends React.PureComponent {
                             <Switch location={location}>
                                 <Route path="/onboarding/seed-intro" component={SeedIntro} />
                                 <Route path="/onboarding/seed-ledger" component={Ledger} />
+                                <Route path="/onboarding/seed-watchonly" component={WatchOnly} />
+                                <Route path="/onboarding/seed-multisig" component={Multisig} />
                                 <Route path="/onboarding/seed-generate" component={GenerateSeed} />
                                 <Route path="/onboarding/seed-save" component={SaveYourSeedOptions} />
                                 <Route path="/onboarding/seed-verify" component={SeedEnter} />
+                                <Route path="/onboarding/seed-shares" component={SeedShares} />
+                                <Route path="/onboarding/restore-backup" component={RestoreBackup} />
                                 <Route path="/onboarding/account-name" component={SeedName} />
                                 <Route path="/onboarding/account-password" component={SecurityEnter} />
                                 <Route path="/onboarding/done" component={Done} />
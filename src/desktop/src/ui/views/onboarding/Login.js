@@ -5,17 +5,20 @@ import { withTranslation } from 'react-i18next';
 import { connect } from 'react-redux';
 
 import { generateAlert } from 'actions/alerts';
+import { logAuditEvent } from 'actions/auditLog';
 import { fetchMarketData } from 'actions/polling';
 import { getAccountInfo, getFullAccountInfo } from 'actions/accounts';
 import { clearWalletData, setPassword } from 'actions/wallet';
 
 import { getSelectedAccountName, getSelectedAccountMeta, isSettingUpNewAccount } from 'selectors/accounts';
 
+import { AUDIT_EVENTS } from 'libs/auditLog';
 import { capitalize } from 'libs/iota/converter';
-import { hash, authorize } from 'libs/crypto';
+import { hash, authorize, getTwoFA, authorizeTwoFA } from 'libs/crypto';
 import SeedStore from 'libs/SeedStore';
 
 import PasswordInput from 'ui/components/input/Password';
+import Text from 'ui/components/input/Text';
 import Button from 'ui/components/Button';
 import Loading from 'ui/components/Loading';
 
@@ -59,13 +62,19 @@ class Login extends React.Component {
         /** @ignore */
         getFullAccountInfo: PropTypes.func.isRequired,
         /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
         t: PropTypes.func.isRequired,
         /** @ignore */
         themeName: PropTypes.string.isRequired,
+        /** @ignore */
+        is2FAEnabled: PropTypes.bool.isRequired,
     };
 
     state = {
         password: '',
+        code: '',
+        isEnteringCode: false,
         shouldMigrate: false,
     };
 
@@ -91,6 +100,7 @@ class Login extends React.Component {
     }
 
     componentWillUnmount() {
+        this.passwordHash = null;
         setTimeout(() => Electron.garbageCollect(), 1000);
     }
 
@@ -147,8 +157,12 @@ class Login extends React.Component {
             e.preventDefault();
         }
 
-        const { password } = this.state;
-        const { setPassword, generateAlert, t, completedMigration } = this.props;
+        const { password, isEnteringCode } = this.state;
+        const { generateAlert, t } = this.props;
+
+        if (isEnteringCode) {
+            return this.verifyCode();
+        }
 
         let passwordHash = null;
         let authorised = false;
@@ -162,36 +176,109 @@ class Login extends React.Component {
         try {
             authorised = await authorize(passwordHash);
         } catch (err) {
+            this.props.logAuditEvent(AUDIT_EVENTS.loginFailed, { reason: 'password' });
             generateAlert('error', t('unrecognisedPassword'), t('unrecognisedPasswordExplanation'));
         }
 
         if (authorised) {
-            setPassword(passwordHash);
-
             this.setState({
                 password: '',
             });
 
-            if (!completedMigration) {
-                this.setState({ shouldMigrate: true });
+            if (this.props.is2FAEnabled || (await getTwoFA(passwordHash))) {
+                this.passwordHash = passwordHash;
+                this.setState({
+                    isEnteringCode: true,
+                });
                 return;
             }
 
-            try {
-                await this.setupAccount();
-            } catch (err) {
+            this.completeLogin(passwordHash);
+        }
+    };
+
+    /**
+     * Verify two-factor authentication code and trigger account setup
+     * @returns {undefined}
+     */
+    verifyCode = async () => {
+        const { code } = this.state;
+        const { generateAlert, t } = this.props;
+
+        if (!code.trim().length) {
+            generateAlert('error', t('twoFA:emptyCode'), t('twoFA:emptyCodeExplanation'));
+            return;
+        }
+
+        try {
+            const { isBackupCode, backupCodesLeft } = await authorizeTwoFA(this.passwordHash, code);
+
+            if (isBackupCode) {
                 generateAlert(
-                    'error',
-                    t('unrecognisedAccount'),
-                    t('unrecognisedAccountExplanation', { accountName: err.accountName }),
+                    'info',
+                    t('twoFA:backupCodeUsed'),
+                    t('twoFA:backupCodeUsedExplanation', { count: backupCodesLeft }),
                 );
             }
+        } catch (err) {
+            this.props.logAuditEvent(AUDIT_EVENTS.loginFailed, { reason: 'twoFA' });
+            generateAlert('error', t('twoFA:wrongCode'), t('twoFA:wrongCodeExplanation'));
+            return;
         }
+
+        const passwordHash = this.passwordHash;
+        this.passwordHash = null;
+
+        this.setState({
+            code: '',
+            isEnteringCode: false,
+        });
+
+        this.completeLogin(passwordHash);
+    };
+
+    /**
+     * Store password hash and trigger account setup
+     * @param {array} passwordHash - Authorised password hash
+     * @returns {undefined}
+     */
+    completeLogin = async (passwordHash) => {
+        const { setPassword, generateAlert, t, completedMigration } = this.props;
+
+        setPassword(passwordHash);
+        this.props.logAuditEvent(AUDIT_EVENTS.login);
+
+        if (!completedMigration) {
+            this.setState({ shouldMigrate: true });
+            return;
+        }
+
+        try {
+            await this.setupAccount();
+        } catch (err) {
+            generateAlert(
+                'error',
+                t('unrecognisedAccount'),
+                t('unrecognisedAccountExplanation', { accountName: err.accountName }),
+            );
+        }
+    };
+
+    /**
+     * Cancel two-factor authentication and return to password entry
+     */
+    cancelCode = () => {
+        this.passwordHash = null;
+
+        this.setState({
+            code: '',
+            isEnteringCode: false,
+        });
     };
 
     render() {
         const { forceUpdate, t, addingAdditionalAccount, ui, completedMigration, themeName } = this.props;
-        const { shouldMigrate } = this.state;
+        const { shouldMigrate, isEnteringCode, code } = this.state;
 
         if (ui.isFetchingAccountInfo) {
             return (
@@ -208,6 +295,32 @@ class Login extends React.Component {
             return <Migration />;
         }
 
+        if (isEnteringCode) {
+            return (
+                <form className={css.padded} onSubmit={(e) => this.handleSubmit(e)}>
+                    <section>
+                        <Text
+                            focus
+                            value={code}
+                            label={t('twoFA:enterCode')}
+                            onChange={(value) => this.setState({ code: value })}
+                        />
+                        <p>
+                            <strong>{t('twoFA:lostDevice')}</strong> {t('twoFA:lostDeviceExplanation')}
+                        </p>
+                    </section>
+                    <footer>
+                        <Button onClick={this.cancelCode} className="square" variant="dark">
+                            {t('back')}
+                        </Button>
+                        <Button type="submit" className="square" variant="primary">
+                            {capitalize(t('login:login'))}
+                        </Button>
+                    </footer>
+                </form>
+            );
+        }
+
         return (
             <React.Fragment>
                 <form className={css.padded} onSubmit={(e) => this.handleSubmit(e)}>
@@ -246,6 +359,7 @@ const mapStateToProps = (state) => ({
     forceUpdate: state.wallet.forceUpdate,
     completedMigration: state.settings.completedMigration,
     themeName: state.settings.themeName,
+    is2FAEnabled: state.settings.is2FAEnabled,
 });
 
 const mapDispatchToProps = {
@@ -255,6 +369,7 @@ const mapDispatchToProps = {
     fetchMarketData,
     getFullAccountInfo,
     getAccountInfo,
+    logAuditEvent,
 };
 
 export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(Login));
@@ -0,0 +1,307 @@
+/* global Electron */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { withTranslation } from 'react-i18next';
+import { zxcvbn } from 'libs/exports';
+
+import { generateAlert } from 'actions/alerts';
+import { setPassword, restoreWalletBackup } from 'actions/wallet';
+
+import Errors from 'libs/errors';
+import getEncryptionKey from 'libs/realm';
+import SeedStore from 'libs/SeedStore';
+import { hash, initKeychain, initVault } from 'libs/crypto';
+import { MAX_SEED_LENGTH } from 'libs/iota/utils';
+import passwordReasons from 'libs/password';
+import { getWalletBackupAccounts, parseWalletBackup } from 'libs/walletBackup';
+
+import Button from 'ui/components/Button';
+import Dropzone from 'ui/components/Dropzone';
+import ModalPassword from 'ui/components/modal/Password';
+import PasswordInput from 'ui/components/input/Password';
+
+/**
+ * Onboarding, restore wallet from a wallet backup file
+ */
+class RestoreBackup extends React.PureComponent {
+    static propTypes = {
+        /** @ignore */
+        history: PropTypes.shape({
+            push: PropTypes.func.isRequired,
+        }).isRequired,
+        /** @ignore */
+        setPassword: PropTypes.func.isRequired,
+        /** @ignore */
+        restoreWalletBackup: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = {
+        importBuffer: null,
+        accountNames: [],
+        password: '',
+        passwordConfirm: '',
+        loading: false,
+    };
+
+    componentWillUnmount() {
+        this.clearBackup();
+        setTimeout(() => Electron.garbageCollect(), 1000);
+    }
+
+    /**
+     * Set dropped backup file content
+     * @param {buffer} buffer - Backup file content
+     */
+    onDrop = (buffer) => {
+        const { generateAlert, t } = this.props;
+
+        if (!buffer) {
+            return generateAlert('error', t('seedVault:seedFileError'), t('seedVault:seedFileErrorExplanation'));
+        }
+
+        if (!Electron.validateVault(buffer)) {
+            return generateAlert('error', t('walletBackup:invalidBackup'), t('walletBackup:invalidBackupExplanation'));
+        }
+
+        this.setState({
+            importBuffer: buffer,
+        });
+    };
+
+    /**
+     * Only backup files are accepted
+     */
+    onTextDrop = () => {
+        const { generateAlert, t } = this.props;
+        generateAlert('error', t('walletBackup:invalidBackup'), t('walletBackup:invalidBackupExplanation'));
+    };
+
+    /**
+     * Decrypt and validate backup file
+     * @param {string} password - Backup file password
+     */
+    decryptFile = async (password) => {
+        const { generateAlert, t } = this.props;
+
+        try {
+            const { seeds, backup } = await Electron.importWalletBackup(this.state.importBuffer, password);
+
+            this.backup = parseWalletBackup(backup);
+            this.accounts = getWalletBackupAccounts(
+                this.backup,
+                seeds.filter(({ seed }) => seed.length === MAX_SEED_LENGTH),
+            );
+
+            this.setState({
+                importBuffer: null,
+                accountNames: this.accounts.map(({ name }) => name),
+            });
+        } catch (error) {
+            this.setState({
+                importBuffer: null,
+            });
+
+            if (typeof error.code === 'string' && error.code === 'InvalidKey') {
+                generateAlert('error', t('seedVault:unrecognisedKey'), t('seedVault:unrecognisedKeyExplanation'));
+            } else if (error.message === Errors.UNSUPPORTED_WALLET_BACKUP_VERSION) {
+                generateAlert(
+                    'error',
+                    t('walletBackup:unsupportedVersion'),
+                    t('walletBackup:unsupportedVersionExplanation'),
+                );
+            } else {
+                generateAlert('error', t('walletBackup:invalidBackup'), t('walletBackup:invalidBackupExplanation'));
+            }
+        }
+
+        Electron.garbageCollect();
+    };
+
+    /**
+     * Clear decrypted backup data
+     */
+    clearBackup = () => {
+        if (this.accounts) {
+            this.accounts.forEach(({ seed }) => {
+                for (let i = 0; i < seed.length; i++) {
+                    seed[i] = 0;
+                }
+            });
+        }
+
+        this.accounts = null;
+        this.backup = null;
+    };
+
+    /**
+     * Check for valid password, add backed up accounts and restore wallet data
+     * @param {Event} event - Form submit event
+     * @returns {undefined}
+     */
+    restoreBackup = async (event) => {
+        const { setPassword, restoreWalletBackup, history, generateAlert, t } = this.props;
+        const { password, passwordConfirm, loading } = this.state;
+
+        event.preventDefault();
+
+        if (loading) {
+            return;
+        }
+
+        const score = zxcvbn(password);
+
+        if (score.score < 4) {
+            const reason = score.feedback.warning
+                ? t(`changePassword:${passwordReasons[score.feedback.warning]}`)
+                : t('changePassword:passwordTooWeakReason');
+
+            return generateAlert('error', t('changePassword:passwordTooWeak'), reason);
+        }
+
+        if (password !== passwordConfirm) {
+            return generateAlert(
+                'error',
+                t('changePassword:passwordsDoNotMatch'),
+                t('changePassword:passwordsDoNotMatchExplanation'),
+            );
+        }
+
+        this.setState({
+            loading: true,
+        });
+
+        try {
+            await initKeychain();
+        } catch (err) {
+            this.setState({
+                loading: false,
+            });
+
+            return generateAlert(
+                'error',
+                t('errorAccessingKeychain'),
+                t('errorAccessingKeychainExplanation'),
+                20000,
+                err,
+            );
+        }
+
+        const passwordHash = await hash(password);
+
+        try {
+            await initVault(passwordHash);
+
+            for (let i = 0; i < this.accounts.length; i++) {
+                const { name, meta, seed } = this.accounts[i];
+                const seedStore = await new SeedStore[meta.type](passwordHash);
+                await seedStore.addAccount(name, seed);
+            }
+
+            await restoreWalletBackup(this.backup, getEncryptionKey);
+        } catch (err) {
+            this.setState({
+                loading: false,
+            });
+
+            return generateAlert(
+                'error',
+                t('global:somethingWentWrong'),
+                t('global:somethingWentWrongTryAgain'),
+                20000,
+                err,
+            );
+        }
+
+        setPassword(passwordHash);
+
+        generateAlert(
+            'success',
+            t('walletBackup:restoreSuccess'),
+            t('walletBackup:restoreSuccessExplanation', { count: this.accounts.length }),
+        );
+
+        this.clearBackup();
+
+        history.push('/onboarding/done');
+    };
+
+    render() {
+        const { t } = this.props;
+        const { importBuffer, accountNames, password, passwordConfirm } = this.state;
+
+        if (!accountNames.length) {
+            return (
+                <form>
+                    <section>
+                        <h1>{t('walletBackup:restore')}</h1>
+                        <p>{t('walletBackup:restoreExplanation')}</p>
+                        <Dropzone onDrop={this.onDrop} onTextDrop={this.onTextDrop} />
+                    </section>
+                    <footer>
+                        <Button to="/onboarding/seed-intro" className="square" variant="dark">
+                            {t('goBackStep')}
+                        </Button>
+                    </footer>
+                    <ModalPassword
+                        content={{
+                            title: t('seedVault:enterKeyExplanation'),
+                            confirm: t('walletBackup:restore'),
+                        }}
+                        isSeedVaultField
+                        isOpen={importBuffer !== null}
+                        onClose={() => this.setState({ importBuffer: null })}
+                        onSubmit={this.decryptFile}
+                    />
+                </form>
+            );
+        }
+
+        const score = zxcvbn(password);
+
+        return (
+            <form onSubmit={this.restoreBackup}>
+                <section>
+                    <h1>{t('setPassword:choosePassword')}</h1>
+                    <p>{t('walletBackup:accountsInBackup', { accounts: accountNames.join(', ') })}</p>
+                    <PasswordInput
+                        focus
+                        value={password}
+                        label={t('password')}
+                        showScore
+                        showValid
+                        onChange={(value) => this.setState({ password: value })}
+                    />
+                    <PasswordInput
+                        value={passwordConfirm}
+                        label={t('setPassword:retypePassword')}
+                        showValid
+                        disabled={score.score < 4}
+                        match={password}
+                        onChange={(value) => this.setState({ passwordConfirm: value })}
+                    />
+                </section>
+                <footer>
+                    <Button to="/onboarding/seed-intro" className="square" variant="dark">
+                        {t('goBackStep')}
+                    </Button>
+                    <Button type="submit" className="square" variant="primary">
+                        {t('walletBackup:restore')}
+                    </Button>
+                </footer>
+            </form>
+        );
+    }
+}
+
+const mapDispatchToProps = {
+    setPassword,
+    restoreWalletBackup,
+    generateAlert,
+};
+
+export default connect(null, mapDispatchToProps)(withTranslation()(RestoreBackup));
@@ -22,6 +22,8 @@ class SeedIntro extends React.PureComponent {
         /** @ignore */
         themeName: PropTypes.string.isRequired,
         /** @ignore */
+        hasPassword: PropTypes.bool.isRequired,
+        /** @ignore */
         setAccountInfoDuringSetup: PropTypes.func.isRequired,
         /** @ignore */
         history: PropTypes.object,
@@ -60,7 +62,7 @@ class SeedIntro extends React.PureComponent {
     }
 
     render() {
-        const { t, themeName, setAccountInfoDuringSetup } = this.props;
+        const { t, themeName, hasPassword, setAccountInfoDuringSetup } = this.props;
         const { ledger } = this.state;
 
         return (
@@ -83,6 +85,20 @@ class SeedIntro extends React.PureComponent {
                         <Lottie width={240} height={200} data={getAnimation('ledger', themeName)} paused={!ledger} />
                     </div>
                     <p>{ledger ? t('ledger:ready') : t('ledger:notReady')}</p>
+                    <Button to="/onboarding/seed-watchonly" className="small" variant="dark">
+                        {t('watchOnly:addWatchOnlyAccount')}
+                    </Button>
+                    <Button to="/onboarding/seed-multisig" className="small" variant="dark">
+                        {t('multisig:addMultisigAccount')}
+                    </Button>
+                    <Button onClick={() => this.stepForward('seed-shares', true)} className="small" variant="dark">
+                        {t('seedShares:recover')}
+                    </Button>
+                    {!hasPassword && (
+                        <Button to="/onboarding/restore-backup" className="small" variant="dark">
+                            {t('walletBackup:restore')}
+                        </Button>
+                    )}
                 </section>
                 <footer className={!ledger ? css.choiceDefault : css.choiceLedger}>
                     <div>
@@ -130,6 +146,7 @@ class SeedIntro extends React.PureComponent {
 
 const mapStateToProps = (state) => ({
     themeName: state.settings.themeName,
+    hasPassword: state.wallet.password.length > 0,
 });
 
 const mapDispatchToProps = {
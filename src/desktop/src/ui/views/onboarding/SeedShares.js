@@ -0,0 +1,213 @@
+/* global Electron */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { withTranslation } from 'react-i18next';
+
+import { MAX_SEED_LENGTH } from 'libs/iota/utils';
+import { byteToChar, charToByte } from 'libs/iota/converter';
+import {
+    MIN_SEED_SHARES_THRESHOLD,
+    MAX_SEED_SHARES_COUNT,
+    isValidSeedShareIndex,
+    recoverSeedFromShares,
+} from 'libs/seedShares';
+import Errors from 'libs/errors';
+import SeedStore from 'libs/SeedStore';
+
+import { generateAlert } from 'actions/alerts';
+
+import Button from 'ui/components/Button';
+import Number from 'ui/components/input/Number';
+import SeedInput from 'ui/components/input/Seed';
+import Text from 'ui/components/input/Text';
+
+import css from './index.scss';
+
+/**
+ * Onboarding, recover an existing seed from seed shares
+ */
+class SeedShares extends React.PureComponent {
+    static propTypes = {
+        /** @ignore */
+        wallet: PropTypes.object.isRequired,
+        /** @ignore */
+        history: PropTypes.shape({
+            push: PropTypes.func.isRequired,
+        }).isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = {
+        share: [],
+        index: 1,
+        seedChecksum: '',
+        shares: [],
+    };
+
+    /**
+     * Set share input, prefill share number and seed checksum if imported from a seed share SeedVault
+     * @param {array} value - Share byte array
+     * @param {object} share - Seed share details
+     */
+    onShareChange = (value, share) => {
+        this.setState(() =>
+            share
+                ? {
+                      share: value,
+                      index: share.index,
+                      seedChecksum: share.seedChecksum,
+                  }
+                : {
+                      share: value,
+                  },
+        );
+    };
+
+    /**
+     * Validate and add current share input to the share list
+     * @param {event} event - Form submit event
+     */
+    addShare = (e) => {
+        e.preventDefault();
+
+        const { generateAlert, t } = this.props;
+        const { share, index, shares } = this.state;
+
+        if (share.length !== MAX_SEED_LENGTH || !isValidSeedShareIndex(index)) {
+            return generateAlert(
+                'error',
+                t('seedShares:invalidShare'),
+                t('seedShares:invalidShareExplanation', { maxCount: MAX_SEED_SHARES_COUNT }),
+            );
+        }
+
+        if (shares.some((item) => item.index === index)) {
+            return generateAlert('error', t('seedShares:duplicateShare'), t('seedShares:duplicateShareExplanation'));
+        }
+
+        this.setState({
+            share: [],
+            index: index < MAX_SEED_SHARES_COUNT ? index + 1 : index,
+            shares: [...shares, { index, share: share.map((byte) => byteToChar(byte)).join('') }],
+        });
+    };
+
+    /**
+     * Recover seed from added shares, set onboarding seed state
+     * @returns {Promise}
+     */
+    recoverSeed = async () => {
+        const { wallet, history, generateAlert, t } = this.props;
+        const { shares, seedChecksum } = this.state;
+
+        let seed;
+
+        try {
+            seed = recoverSeedFromShares(shares, seedChecksum.toUpperCase())
+                .split('')
+                .map((char) => charToByte(char));
+        } catch (error) {
+            switch (error.message) {
+                case Errors.NOT_ENOUGH_SEED_SHARES:
+                    return generateAlert(
+                        'error',
+                        t('seedShares:notEnoughShares'),
+                        t('seedShares:notEnoughSharesExplanation', { minCount: MIN_SEED_SHARES_THRESHOLD }),
+                    );
+                case Errors.DUPLICATE_SEED_SHARES:
+                    return generateAlert(
+                        'error',
+                        t('seedShares:duplicateShare'),
+                        t('seedShares:duplicateShareExplanation'),
+                    );
+                case Errors.SEED_SHARES_CHECKSUM_MISMATCH:
+                    return generateAlert(
+                        'error',
+                        t('seedShares:checksumMismatch'),
+                        t('seedShares:checksumMismatchExplanation'),
+                    );
+                default:
+                    return generateAlert(
+                        'error',
+                        t('seedShares:invalidShare'),
+                        t('seedShares:invalidShareExplanation', { maxCount: MAX_SEED_SHARES_COUNT }),
+                    );
+            }
+        }
+
+        if (wallet.password.length) {
+            const seedStore = await new SeedStore.keychain(wallet.password);
+            const isUniqueSeed = await seedStore.isUniqueSeed(seed);
+            if (!isUniqueSeed) {
+                generateAlert('error', t('addAdditionalSeed:seedInUse'), t('addAdditionalSeed:seedInUseExplanation'));
+                return;
+            }
+        }
+
+        generateAlert('success', t('seedShares:seedRecovered'), t('seedShares:seedRecoveredExplanation'));
+
+        Electron.setOnboardingSeed(seed, false);
+        history.push('/onboarding/account-name');
+    };
+
+    render() {
+        const { t } = this.props;
+        const { share, index, seedChecksum, shares } = this.state;
+
+        return (
+            <form className={css.seedShares} onSubmit={this.addShare}>
+                <section>
+                    <h1>{t('seedShares:recover')}</h1>
+                    <p>{t('seedShares:recoverExplanation')}</p>
+                    <SeedInput
+                        seed={share}
+                        focus
+                        onChange={this.onShareChange}
+                        label={t('seedShares:shareInput', { index })}
+                        closeLabel={t('back')}
+                    />
+                    <div>
+                        <Number
+                            value={index}
+                            min={1}
+                            max={MAX_SEED_SHARES_COUNT}
+                            label={t('seedShares:shareNumber')}
+                            onChange={(value) => this.setState({ index: value })}
+                        />
+                        <Text
+                            value={seedChecksum}
+                            label={t('seedShares:seedChecksum')}
+                            onChange={(value) => this.setState({ seedChecksum: value })}
+                        />
+                    </div>
+                    <Button type="submit" className="small" variant="dark">
+                        {t('seedShares:addShare')}
+                    </Button>
+                    <p>{t('seedShares:sharesAdded', { count: shares.length })}</p>
+                </section>
+                <footer>
+                    <Button to="/onboarding/seed-intro" className="square" variant="dark">
+                        {t('goBackStep')}
+                    </Button>
+                    <Button onClick={this.recoverSeed} className="square" variant="primary">
+                        {t('seedShares:recoverSeed')}
+                    </Button>
+                </footer>
+            </form>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    wallet: state.wallet,
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(SeedShares));
@@ -0,0 +1,265 @@
+/* global Electron */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { withTranslation } from 'react-i18next';
+
+import { iota } from 'libs/iota';
+import { byteToTrit } from 'libs/iota/converter';
+import { MAX_SEED_LENGTH } from 'libs/iota/utils';
+import Errors from 'libs/errors';
+import {
+    MULTISIG_DIGESTS_EXPORT_TYPE,
+    getMultisigDigests,
+    createMultisigDigestsExport,
+    parseMultisigDigestsExport,
+    addCosigner,
+    getMultisigAddresses,
+} from 'libs/iota/multisig';
+import { DEFAULT_SECURITY } from 'config';
+
+import { generateAlert } from 'actions/alerts';
+import { setAccountInfoDuringSetup } from 'actions/accounts';
+
+import Button from 'ui/components/Button';
+import SeedInput from 'ui/components/input/Seed';
+import Text from 'ui/components/input/Text';
+
+import css from './index.scss';
+
+/**
+ * Onboarding, set up a multisig account from a co-signer seed and exchanged co-signer digests
+ */
+class Multisig extends React.PureComponent {
+    static propTypes = {
+        /** @ignore */
+        setAccountInfoDuringSetup: PropTypes.func.isRequired,
+        /** @ignore */
+        history: PropTypes.object.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = {
+        seed: [],
+        name: '',
+        cosigners: [],
+        ownCosigner: null,
+        isComputing: false,
+    };
+
+    /**
+     * Derive key digests of the co-signer seed
+     * @param {Event} e - Form submit event
+     * @returns {undefined}
+     */
+    setSeed = (e) => {
+        e.preventDefault();
+
+        const { generateAlert, t } = this.props;
+        const { seed } = this.state;
+        const name = this.state.name.trim();
+
+        if (seed.length !== MAX_SEED_LENGTH) {
+            return generateAlert(
+                'error',
+                seed.length < MAX_SEED_LENGTH ? t('enterSeed:seedTooShort') : t('enterSeed:seedTooLong'),
+                t('enterSeed:seedTooShortExplanation', { maxLength: MAX_SEED_LENGTH, currentLength: seed.length }),
+            );
+        }
+
+        if (!name.length) {
+            return generateAlert('error', t('multisig:noCosignerName'), t('multisig:noCosignerNameExplanation'));
+        }
+
+        this.setState({ isComputing: true });
+
+        // Let the loading state render, as digest derivation blocks for a few seconds
+        setTimeout(() => {
+            const trits = seed.reduce((acc, byte) => acc.concat(byteToTrit(byte)), []);
+            const ownCosigner = { name, security: DEFAULT_SECURITY, digests: getMultisigDigests(trits) };
+
+            this.setState({ ownCosigner, cosigners: [ownCosigner], isComputing: false });
+        });
+    };
+
+    exportDigests = () => {
+        const { generateAlert, t } = this.props;
+        const { name, security, digests } = this.state.ownCosigner;
+
+        Electron.exportOfflineTransfer(
+            JSON.stringify(createMultisigDigestsExport(name, security, digests)),
+            MULTISIG_DIGESTS_EXPORT_TYPE,
+        )
+            .then(() => {
+                generateAlert('success', t('multisig:digestsExported'), t('multisig:digestsExportedExplanation'));
+            })
+            .catch((error) => {
+                if (error.message !== Errors.EXPORT_CANCELLED) {
+                    generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    );
+                }
+            });
+    };
+
+    openFileDialog = () => {
+        this.fileInput.value = null;
+        this.fileInput.click();
+    };
+
+    /**
+     * Import exported digests of other co-signers
+     * @param {Event} e - File input change event
+     * @returns {undefined}
+     */
+    importDigests = (e) => {
+        const { generateAlert, t } = this.props;
+
+        Array.from(e.target.files).forEach((file) => {
+            const reader = new FileReader();
+
+            reader.onload = (event) => {
+                try {
+                    const cosigner = parseMultisigDigestsExport(event.target.result);
+
+                    this.setState((prevState) => ({ cosigners: addCosigner(prevState.cosigners, cosigner) }));
+                } catch (error) {
+                    generateAlert('error', t('multisig:invalidDigests'), t('multisig:invalidDigestsExplanation'));
+                }
+            };
+
+            reader.readAsText(file);
+        });
+    };
+
+    /**
+     * Store co-signer seed and co-signers, and continue to account name
+     * @returns {undefined}
+     */
+    setCosigners = () => {
+        const { history, generateAlert, t } = this.props;
+        const { seed, ownCosigner, cosigners } = this.state;
+
+        if (cosigners.length < 2) {
+            return generateAlert(
+                'error',
+                t('multisig:notEnoughCosigners'),
+                t('multisig:notEnoughCosignersExplanation'),
+            );
+        }
+
+        Electron.setOnboardingSeed({ seed, security: ownCosigner.security, cosigners });
+
+        this.props.setAccountInfoDuringSetup({
+            meta: { type: 'multisig' },
+            usedExistingSeed: true,
+        });
+
+        history.push('/onboarding/account-name');
+    };
+
+    renderCosigners() {
+        const { t } = this.props;
+        const { cosigners } = this.state;
+
+        return (
+            <section>
+                <h1>{t('multisig:cosigners')}</h1>
+                <p>{t('multisig:exchangeDigestsExplanation')}</p>
+                <nav>
+                    <Button onClick={this.exportDigests} className="small" variant="dark">
+                        {t('multisig:exportDigests')}
+                    </Button>
+                    <Button onClick={this.openFileDialog} className="small" variant="dark">
+                        {t('multisig:importDigests')}
+                    </Button>
+                </nav>
+                <input
+                    type="file"
+                    multiple
+                    accept=".json,application/json"
+                    style={{ display: 'none' }}
+                    onChange={this.importDigests}
+                    ref={(el) => {
+                        this.fileInput = el;
+                    }}
+                />
+                <ol>
+                    {cosigners.map((cosigner) => (
+                        <li key={cosigner.digests[0]}>{cosigner.name}</li>
+                    ))}
+                </ol>
+                {cosigners.length > 1 && (
+                    <React.Fragment>
+                        <p>{t('multisig:verifyFirstAddress')}</p>
+                        <strong>{iota.utils.addChecksum(getMultisigAddresses(cosigners)[0])}</strong>
+                    </React.Fragment>
+                )}
+            </section>
+        );
+    }
+
+    render() {
+        const { t } = this.props;
+        const { seed, name, ownCosigner, isComputing } = this.state;
+
+        if (ownCosigner) {
+            return (
+                <div className={css.multisig}>
+                    {this.renderCosigners()}
+                    <footer>
+                        <Button onClick={() => this.setState({ ownCosigner: null })} className="square" variant="dark">
+                            {t('goBackStep')}
+                        </Button>
+                        <Button onClick={this.setCosigners} className="square" variant="primary">
+                            {t('continue')}
+                        </Button>
+                    </footer>
+                </div>
+            );
+        }
+
+        return (
+            <form className={css.multisig} onSubmit={this.setSeed}>
+                <section>
+                    <h1>{t('multisig:addMultisigAccount')}</h1>
+                    <p>{t('multisig:cosignerSeedExplanation')}</p>
+                    <SeedInput
+                        seed={seed}
+                        focus
+                        onChange={(value) => this.setState({ seed: value })}
+                        label={t('multisig:cosignerSeed')}
+                        closeLabel={t('back')}
+                    />
+                    <Text
+                        value={name}
+                        label={t('multisig:cosignerName')}
+                        onChange={(value) => this.setState({ name: value })}
+                    />
+                </section>
+                <footer>
+                    <Button to="/onboarding/seed-intro" className="square" variant="dark">
+                        {t('goBackStep')}
+                    </Button>
+                    <Button type="submit" className="square" variant="primary" loading={isComputing}>
+                        {t('continue')}
+                    </Button>
+                </footer>
+            </form>
+        );
+    }
+}
+
+const mapDispatchToProps = {
+    generateAlert,
+    setAccountInfoDuringSetup,
+};
+
+export default connect(null, mapDispatchToProps)(withTranslation()(Multisig));
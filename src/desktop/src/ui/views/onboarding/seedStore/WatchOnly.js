@@ -0,0 +1,136 @@
+/* global Electron */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { connect } from 'react-redux';
+import { withTranslation } from 'react-i18next';
+
+import { parseWatchOnlyAddresses } from 'libs/iota/watchOnly';
+
+import { generateAlert } from 'actions/alerts';
+import { setAccountInfoDuringSetup } from 'actions/accounts';
+
+import Button from 'ui/components/Button';
+
+import css from './index.scss';
+
+/**
+ * Onboarding, enter addresses of a watch-only account
+ */
+class WatchOnly extends React.PureComponent {
+    static propTypes = {
+        /** @ignore */
+        setAccountInfoDuringSetup: PropTypes.func.isRequired,
+        /** @ignore */
+        history: PropTypes.object.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = {
+        addresses: '',
+    };
+
+    openFileDialog = () => {
+        this.fileInput.value = null;
+        this.fileInput.click();
+    };
+
+    importFile = (e) => {
+        const file = e.target.files[0];
+
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            this.setAddresses(event.target.result);
+        };
+
+        reader.readAsText(file);
+    };
+
+    onSubmit = (e) => {
+        e.preventDefault();
+
+        this.setAddresses(this.state.addresses);
+    };
+
+    /**
+     * Validate addresses and continue to account name
+     * @param {string} content - Address list or address export
+     * @returns {undefined}
+     */
+    setAddresses = (content) => {
+        const { history, generateAlert, t } = this.props;
+
+        let addresses;
+
+        try {
+            addresses = parseWatchOnlyAddresses(content);
+        } catch (error) {
+            return generateAlert('error', t('watchOnly:invalidAddresses'), t('watchOnly:invalidAddressesExplanation'));
+        }
+
+        Electron.setOnboardingSeed(addresses);
+
+        this.props.setAccountInfoDuringSetup({
+            meta: { type: 'watchonly' },
+            usedExistingSeed: true,
+        });
+
+        history.push('/onboarding/account-name');
+    };
+
+    render() {
+        const { t } = this.props;
+        const { addresses } = this.state;
+
+        return (
+            <form className={css.watchOnly} onSubmit={this.onSubmit}>
+                <section>
+                    <h1>{t('watchOnly:addWatchOnlyAccount')}</h1>
+                    <p>{t('watchOnly:enterAddresses')}</p>
+                    <textarea
+                        value={addresses}
+                        placeholder={t('watchOnly:addresses')}
+                        onChange={(e) => this.setState({ addresses: e.target.value })}
+                    />
+                    <Button onClick={this.openFileDialog} className="small" variant="dark">
+                        {t('watchOnly:importAddresses')}
+                    </Button>
+                    <input
+                        type="file"
+                        accept=".json,.txt,.csv,application/json,text/plain"
+                        style={{ display: 'none' }}
+                        onChange={this.importFile}
+                        ref={(el) => {
+                            this.fileInput = el;
+                        }}
+                    />
+                </section>
+                <footer>
+                    <Button to="/onboarding/seed-intro" className="square" variant="dark">
+                        {t('goBackStep')}
+                    </Button>
+                    <Button type="submit" className="square" variant="primary">
+                        {t('continue')}
+                    </Button>
+                </footer>
+            </form>
+        );
+    }
+}
+
+const mapDispatchToProps = {
+    generateAlert,
+    setAccountInfoDuringSetup,
+};
+
+export default connect(
+    null,
+    mapDispatchToProps,
+)(withTranslation()(WatchOnly));
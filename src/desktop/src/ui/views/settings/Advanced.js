@@ -11,6 +11,8 @@ import getEncryptionKey from 'libs/realm';
 import { serialise } from 'libs/utils';
 import { iota, quorum } from 'libs/iota';
 import Errors from 'libs/errors';
+import { parseStateSnapshot } from 'libs/stateSnapshot';
+import { __DEV__ } from 'config';
 
 import {
     changeAutoPromotionSettings,
@@ -22,6 +24,7 @@ import {
 } from 'actions/settings';
 
 import { generateAlert } from 'actions/alerts';
+import { loadStateSnapshot, unloadStateSnapshot } from 'actions/wallet';
 
 import { reinitialise as reinitialiseStorage } from 'storage';
 
@@ -65,6 +68,10 @@ class Advanced extends PureComponent {
         /** @ignore */
         generateAlert: PropTypes.func.isRequired,
         /** @ignore */
+        loadStateSnapshot: PropTypes.func.isRequired,
+        /** @ignore */
+        unloadStateSnapshot: PropTypes.func.isRequired,
+        /** @ignore */
         t: PropTypes.func.isRequired,
     };
 
@@ -104,9 +111,13 @@ class Advanced extends PureComponent {
      * @returns {undefined}
      */
     resetWallet = async () => {
-        const { t, generateAlert } = this.props;
+        const { wallet, t, generateAlert } = this.props;
 
         try {
+            if (wallet && wallet.isStateSnapshotLoaded) {
+                this.props.unloadStateSnapshot();
+            }
+
             await clearVault(ALIAS_REALM);
             localStorage.clear();
             Electron.clearStorage();
@@ -198,6 +209,71 @@ class Advanced extends PureComponent {
             });
     };
 
+    /**
+     * Opens state snapshot file dialog
+     *
+     * @method openStateSnapshotDialog
+     *
+     * @returns {void}
+     */
+    openStateSnapshotDialog = () => {
+        this.stateSnapshotInput.value = null;
+        this.stateSnapshotInput.click();
+    };
+
+    /**
+     * Loads a state export file as a read-only state snapshot
+     *
+     * @method loadStateSnapshot
+     *
+     * @returns {void}
+     */
+    loadStateSnapshot = (e) => {
+        const { generateAlert, t } = this.props;
+        const file = e.target.files[0];
+
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            let snapshot = null;
+
+            try {
+                snapshot = parseStateSnapshot(event.target.result);
+            } catch (error) {
+                return generateAlert(
+                    'error',
+                    t('stateSnapshot:invalidSnapshot'),
+                    t('stateSnapshot:invalidSnapshotExplanation'),
+                );
+            }
+
+            this.props
+                .loadStateSnapshot(snapshot, getEncryptionKey)
+                .then(() =>
+                    generateAlert(
+                        'success',
+                        t('stateSnapshot:snapshotLoaded'),
+                        t('stateSnapshot:loadSuccessExplanation'),
+                    ),
+                )
+                .catch((error) =>
+                    generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    ),
+                );
+        };
+
+        reader.readAsText(file);
+    };
+
     render() {
         const {
             settings,
@@ -312,6 +388,34 @@ class Advanced extends PureComponent {
                             <hr />
                         </React.Fragment>
 
+                        {__DEV__ && wallet && wallet.ready ? (
+                            <React.Fragment>
+                                <h3>{t('stateSnapshot:stateSnapshot')}</h3>
+                                <p>{t('stateSnapshot:explanation')}</p>
+                                {wallet.isStateSnapshotLoaded ? (
+                                    <Button className="small" onClick={this.props.unloadStateSnapshot} variant="dark">
+                                        {t('stateSnapshot:unload')}
+                                    </Button>
+                                ) : (
+                                    <React.Fragment>
+                                        <Button className="small" onClick={this.openStateSnapshotDialog} variant="dark">
+                                            {t('stateSnapshot:load')}
+                                        </Button>
+                                        <input
+                                            type="file"
+                                            accept=".txt,text/plain"
+                                            style={{ display: 'none' }}
+                                            onChange={this.loadStateSnapshot}
+                                            ref={(el) => {
+                                                this.stateSnapshotInput = el;
+                                            }}
+                                        />
+                                    </React.Fragment>
+                                )}
+                                <hr />
+                            </React.Fragment>
+                        ) : null}
+
                         <h3>{t('settings:reset')}</h3>
                         <Trans i18nKey="walletResetConfirmation:warning">
                             <p>
@@ -389,6 +493,8 @@ const mapStateToProps = (state) => ({
 
 const mapDispatchToProps = {
     generateAlert,
+    loadStateSnapshot,
+    unloadStateSnapshot,
     changeAutoPromotionSettings,
     changeDeepLinkingSettings,
     setLockScreenTimeout,
@@ -0,0 +1,132 @@
+/* global Electron */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { generateAlert } from 'actions/alerts';
+import { logAuditEvent } from 'actions/auditLog';
+import { getAuditLogFromState, isAuditLogIntact } from 'selectors/global';
+import { AUDIT_EVENTS, filterAuditLog, getAuditLogEntrySummary, serialiseAuditLog } from 'libs/auditLog';
+import { formatModalTime, convertUnixTimeToJSDate, detectedTimezone } from 'libs/date';
+import Errors from 'libs/errors';
+
+import Button from 'ui/components/Button';
+import Info from 'ui/components/Info';
+import Scrollbar from 'ui/components/Scrollbar';
+import Select from 'ui/components/input/Select';
+import Text from 'ui/components/input/Text';
+
+import css from './index.scss';
+
+/**
+ * Security audit log component
+ */
+const AuditLog = ({ entries, isIntact, generateAlert, logAuditEvent, t }) => {
+    const [type, setType] = useState('');
+    const [search, setSearch] = useState('');
+
+    const visibleEntries = filterAuditLog(entries, type, search);
+
+    const exportAuditLog = () => {
+        Electron.exportAuditLog(serialiseAuditLog(visibleEntries, detectedTimezone))
+            .then(() => {
+                logAuditEvent(AUDIT_EVENTS.auditLogExported, { count: visibleEntries.length });
+                generateAlert(
+                    'success',
+                    t('auditLog:exported'),
+                    t('auditLog:exportedExplanation', { count: visibleEntries.length }),
+                );
+            })
+            .catch((error) => {
+                if (error.message !== Errors.EXPORT_CANCELLED) {
+                    generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    );
+                }
+            });
+    };
+
+    return (
+        <form className={css.auditLog}>
+            <fieldset>
+                <p>{t('auditLog:explanation')}</p>
+                {!isIntact && (
+                    <Info>
+                        <p>{t('auditLog:brokenChain')}</p>
+                    </Info>
+                )}
+                <div className={css.column}>
+                    <Select
+                        value={type}
+                        valueLabel={type ? t(`auditLog:${type}`) : t('auditLog:allEvents')}
+                        label={t('auditLog:event')}
+                        onChange={setType}
+                        options={[
+                            { value: '', label: t('auditLog:allEvents') },
+                            ...Object.keys(AUDIT_EVENTS).map((item) => ({ value: item, label: t(`auditLog:${item}`) })),
+                        ]}
+                    />
+                    <Text value={search} label={t('auditLog:search')} onChange={setSearch} />
+                </div>
+                {visibleEntries.length ? (
+                    <ul>
+                        <Scrollbar>
+                            {visibleEntries.map((entry) => (
+                                <li key={entry.index}>
+                                    <div>
+                                        <strong>{t(`auditLog:${entry.type}`)}</strong>
+                                        <small>{getAuditLogEntrySummary(entry, t)}</small>
+                                    </div>
+                                    <em>
+                                        {formatModalTime(
+                                            navigator.language,
+                                            detectedTimezone,
+                                            convertUnixTimeToJSDate(entry.timestamp),
+                                        )}
+                                    </em>
+                                </li>
+                            ))}
+                        </Scrollbar>
+                    </ul>
+                ) : (
+                    <p>{t('auditLog:noEntries')}</p>
+                )}
+            </fieldset>
+            <footer>
+                <Button onClick={exportAuditLog} className="square" variant="primary" disabled={!visibleEntries.length}>
+                    {t('auditLog:export')}
+                </Button>
+            </footer>
+        </form>
+    );
+};
+
+AuditLog.propTypes = {
+    /** @ignore */
+    entries: PropTypes.array.isRequired,
+    /** @ignore */
+    isIntact: PropTypes.bool.isRequired,
+    /** @ignore */
+    generateAlert: PropTypes.func.isRequired,
+    /** @ignore */
+    logAuditEvent: PropTypes.func.isRequired,
+    /** @ignore */
+    t: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = (state) => ({
+    entries: getAuditLogFromState(state),
+    isIntact: isAuditLogIntact(state),
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+    logAuditEvent,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(AuditLog));
@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { generateAlert } from 'actions/alerts';
+import { addContact, updateContact, removeContact } from 'actions/contacts';
+import { getContactsList } from 'selectors/global';
+import { ADDRESS_LENGTH, MAX_MESSAGE_LENGTH, MAX_TAG_LENGTH } from 'libs/iota/utils';
+
+import Button from 'ui/components/Button';
+import Icon from 'ui/components/Icon';
+import Scrollbar from 'ui/components/Scrollbar';
+import Text from 'ui/components/input/Text';
+import Confirm from 'ui/components/modal/Confirm';
+
+import css from './index.scss';
+
+const emptyContact = { name: '', address: '', message: '', tag: '', notes: '' };
+
+/**
+ * Address book contacts management component
+ */
+const Contacts = ({ contacts, addContact, updateContact, removeContact, generateAlert, t }) => {
+    const [contact, setContact] = useState(emptyContact);
+    const [editAddress, setEditAddress] = useState(null);
+    const [removeTarget, setRemoveTarget] = useState(null);
+
+    const setField = (field) => (value) => setContact({ ...contact, [field]: value });
+
+    const resetForm = () => {
+        setContact(emptyContact);
+        setEditAddress(null);
+    };
+
+    const saveContact = (e) => {
+        if (e) {
+            e.preventDefault();
+        }
+
+        const saved = editAddress ? updateContact(editAddress, contact) : addContact(contact);
+
+        if (saved) {
+            resetForm();
+        }
+    };
+
+    const confirmRemove = () => {
+        removeContact(removeTarget.address);
+        generateAlert(
+            'success',
+            t('contacts:contactRemoved'),
+            t('contacts:contactRemovedExplanation', { name: removeTarget.name }),
+        );
+
+        if (editAddress === removeTarget.address) {
+            resetForm();
+        }
+
+        setRemoveTarget(null);
+    };
+
+    return (
+        <form className={css.contacts} onSubmit={saveContact}>
+            <Confirm
+                category="negative"
+                isOpen={removeTarget !== null}
+                onCancel={() => setRemoveTarget(null)}
+                onConfirm={confirmRemove}
+                content={{
+                    title: t('contacts:removeContact'),
+                    message: removeTarget ? t('contacts:removeContactConfirmation', { name: removeTarget.name }) : null,
+                    cancel: t('cancel'),
+                    confirm: t('contacts:removeContact'),
+                }}
+            />
+            <fieldset>
+                <div className={css.column}>
+                    <Text value={contact.name} label={t('contacts:contactName')} onChange={setField('name')} />
+                    <Text
+                        value={contact.tag}
+                        label={t('contacts:defaultTag')}
+                        maxLength={MAX_TAG_LENGTH}
+                        onChange={(value) => setField('tag')(value.toUpperCase())}
+                    />
+                </div>
+                <Text
+                    value={contact.address}
+                    label={t('address')}
+                    maxLength={ADDRESS_LENGTH}
+                    onChange={(value) => setField('address')(value.trim())}
+                />
+                <Text
+                    value={contact.message}
+                    label={t('contacts:defaultMessage')}
+                    maxLength={MAX_MESSAGE_LENGTH}
+                    onChange={setField('message')}
+                />
+                <Text value={contact.notes} label={t('contacts:notes')} onChange={setField('notes')} />
+            </fieldset>
+            <hr />
+            {contacts.length ? (
+                <ul>
+                    <Scrollbar>
+                        {contacts.map((item) => (
+                            <li key={item.address} className={item.spent ? css.spent : null}>
+                                <a
+                                    onClick={() => {
+                                        setContact({
+                                            name: item.name,
+                                            address: item.address,
+                                            message: item.message,
+                                            tag: item.tag,
+                                            notes: item.notes,
+                                        });
+                                        setEditAddress(item.address);
+                                    }}
+                                >
+                                    <strong>{item.name}</strong>
+                                    <small>
+                                        {item.address.slice(0, 12)}...
+                                        {item.spent && ` (${t('contacts:spent')})`}
+                                    </small>
+                                </a>
+                                <a onClick={() => setRemoveTarget(item)}>
+                                    <Icon icon="cross" size={16} />
+                                </a>
+                            </li>
+                        ))}
+                    </Scrollbar>
+                </ul>
+            ) : (
+                <p>{t('contacts:noContacts')}</p>
+            )}
+            <footer>
+                {editAddress && (
+                    <Button onClick={resetForm} className="square" variant="dark">
+                        {t('cancel')}
+                    </Button>
+                )}
+                <Button
+                    type="submit"
+                    className="square"
+                    variant="primary"
+                    disabled={!contact.name.length || !contact.address.length}
+                >
+                    {editAddress ? t('contacts:saveContact') : t('contacts:addContact')}
+                </Button>
+            </footer>
+        </form>
+    );
+};
+
+Contacts.propTypes = {
+    /** @ignore */
+    contacts: PropTypes.array.isRequired,
+    /** @ignore */
+    addContact: PropTypes.func.isRequired,
+    /** @ignore */
+    updateContact: PropTypes.func.isRequired,
+    /** @ignore */
+    removeContact: PropTypes.func.isRequired,
+    /** @ignore */
+    generateAlert: PropTypes.func.isRequired,
+    /** @ignore */
+    t: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = (state) => ({
+    contacts: getContactsList(state),
+});
+
+const mapDispatchToProps = {
+    addContact,
+    updateContact,
+    removeContact,
+    generateAlert,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(Contacts));
@@ -1,3 +1,4 @@
+import find from 'lodash/find';
 import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import { withTranslation } from 'react-i18next';
@@ -19,24 +20,45 @@ class SetCurrency extends PureComponent {
         /** @ignore */
         setCurrency: PropTypes.func.isRequired,
         /** @ignore */
+        marketDataProvider: PropTypes.string.isRequired,
+        /** @ignore */
+        marketDataProviders: PropTypes.arrayOf(
+            PropTypes.shape({ id: PropTypes.string.isRequired, name: PropTypes.string.isRequired }),
+        ).isRequired,
+        /** @ignore */
+        setMarketDataProvider: PropTypes.func.isRequired,
+        /** @ignore */
         t: PropTypes.func.isRequired,
     };
 
     state = {
         selection: null,
+        providerSelection: null,
+    };
+
+    onSubmit = (e) => {
+        const { currency, marketDataProvider, setCurrency, setMarketDataProvider } = this.props;
+        const { selection, providerSelection } = this.state;
+
+        e.preventDefault();
+
+        if (selection && selection !== currency) {
+            setCurrency(selection);
+        }
+
+        if (providerSelection && providerSelection !== marketDataProvider) {
+            setMarketDataProvider(providerSelection);
+        }
     };
 
     render() {
-        const { currency, currencies, setCurrency, t } = this.props;
-        const { selection } = this.state;
+        const { currency, currencies, marketDataProvider, marketDataProviders, t } = this.props;
+        const { selection, providerSelection } = this.state;
+
+        const provider = find(marketDataProviders, { id: providerSelection || marketDataProvider });
 
         return (
-            <form
-                onSubmit={(e) => {
-                    e.preventDefault();
-                    setCurrency(this.state.selection);
-                }}
-            >
+            <form onSubmit={this.onSubmit}>
                 <fieldset>
                     <Select
                         value={selection || currency}
@@ -49,9 +71,23 @@ class SetCurrency extends PureComponent {
                                 return { value: item, label: item };
                             })}
                     />
+                    <Select
+                        value={providerSelection || marketDataProvider}
+                        valueLabel={provider ? provider.name : ''}
+                        label={t('currencySelection:marketDataProvider')}
+                        onChange={(value) => this.setState({ providerSelection: value })}
+                        options={marketDataProviders.map(({ id, name }) => ({ value: id, label: name }))}
+                    />
                 </fieldset>
                 <footer>
-                    <Button className="square" disabled={!selection || selection === currency} type="submit">
+                    <Button
+                        className="square"
+                        disabled={
+                            (!selection || selection === currency) &&
+                            (!providerSelection || providerSelection === marketDataProvider)
+                        }
+                        type="submit"
+                    >
                         {t('save')}
                     </Button>
                 </footer>
@@ -0,0 +1,189 @@
+/* global Electron */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { generateAlert } from 'actions/alerts';
+import { getAccountInfoFromState, getAccountNamesFromState } from 'selectors/accounts';
+import { getTransactionMetadataFromState, getFiatPriceNow, getHistoricalFiatPriceGetter } from 'selectors/global';
+import { detectedTimezone, isValid } from 'libs/date';
+import { HISTORY_EXPORT_FORMATS, prepareHistoryExport, serialiseHistory } from 'libs/historyExport';
+import Errors from 'libs/errors';
+
+import Button from 'ui/components/Button';
+import Checkbox from 'ui/components/Checkbox';
+import Select from 'ui/components/input/Select';
+import Text from 'ui/components/input/Text';
+
+import css from './index.scss';
+
+const FILTERS = ['All', 'Sent', 'Received', 'Pending'];
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Transaction history export component
+ */
+const HistoryExport = ({
+    accountInfo,
+    accountNames,
+    settings,
+    metadata,
+    getHistoricalFiatPrice,
+    fiatPriceNow,
+    generateAlert,
+    t,
+}) => {
+    const [accountName, setAccountName] = useState('');
+    const [format, setFormat] = useState('csv');
+    const [filter, setFilter] = useState('All');
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [search, setSearch] = useState('');
+    const [hideEmptyTransactions, setHideEmptyTransactions] = useState(false);
+
+    const exportHistory = (e) => {
+        if (e) {
+            e.preventDefault();
+        }
+
+        if ((from && !isValid(from, DATE_FORMAT)) || (to && !isValid(to, DATE_FORMAT))) {
+            return generateAlert(
+                'error',
+                t('historyExport:invalidDate'),
+                t('historyExport:invalidDateExplanation', { format: DATE_FORMAT }),
+            );
+        }
+
+        const rows = prepareHistoryExport(accountInfo, {
+            accountNames: accountName ? [accountName] : [],
+            from,
+            to,
+            filter,
+            search,
+            hideEmptyTransactions,
+            metadata,
+            currency: settings.currency,
+            getFiatPrice: getHistoricalFiatPrice,
+            fiatPriceNow,
+            timezone: detectedTimezone,
+        });
+
+        if (!rows.length) {
+            return generateAlert(
+                'error',
+                t('historyExport:noTransactions'),
+                t('historyExport:noTransactionsExplanation'),
+            );
+        }
+
+        Electron.exportHistory(serialiseHistory(format, rows), HISTORY_EXPORT_FORMATS[format].extension)
+            .then(() => {
+                generateAlert(
+                    'success',
+                    t('historyExport:exported'),
+                    t('historyExport:exportedExplanation', { count: rows.length }),
+                );
+            })
+            .catch((error) => {
+                if (error.message !== Errors.EXPORT_CANCELLED) {
+                    generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    );
+                }
+            });
+    };
+
+    return (
+        <form className={css.historyExport} onSubmit={exportHistory}>
+            <fieldset>
+                <p>{t('historyExport:explanation')}</p>
+                <div className={css.column}>
+                    <Select
+                        value={accountName}
+                        valueLabel={accountName || t('historyExport:allAccounts')}
+                        label={t('historyExport:account')}
+                        onChange={setAccountName}
+                        options={[
+                            { value: '', label: t('historyExport:allAccounts') },
+                            ...accountNames.map((name) => ({ value: name, label: name })),
+                        ]}
+                    />
+                    <Select
+                        value={format}
+                        valueLabel={format.toUpperCase()}
+                        label={t('historyExport:format')}
+                        onChange={setFormat}
+                        options={Object.keys(HISTORY_EXPORT_FORMATS).map((item) => ({
+                            value: item,
+                            label: item.toUpperCase(),
+                        }))}
+                    />
+                </div>
+                <div className={css.column}>
+                    <Text value={from} label={t('historyExport:from')} placeholder={DATE_FORMAT} onChange={setFrom} />
+                    <Text value={to} label={t('historyExport:to')} placeholder={DATE_FORMAT} onChange={setTo} />
+                </div>
+                <div className={css.column}>
+                    <Select
+                        value={filter}
+                        valueLabel={t(`global:${filter.toLowerCase()}`)}
+                        label={t('historyExport:filter')}
+                        onChange={setFilter}
+                        options={FILTERS.map((item) => ({ value: item, label: t(`global:${item.toLowerCase()}`) }))}
+                    />
+                    <Text value={search} label={t('historyExport:search')} onChange={setSearch} />
+                </div>
+                <Checkbox
+                    checked={hideEmptyTransactions}
+                    label={t('history:hideZeroBalance')}
+                    className="small"
+                    onChange={setHideEmptyTransactions}
+                />
+            </fieldset>
+            <footer>
+                <Button type="submit" className="square" variant="primary">
+                    {t('historyExport:export')}
+                </Button>
+            </footer>
+        </form>
+    );
+};
+
+HistoryExport.propTypes = {
+    /** @ignore */
+    accountInfo: PropTypes.object.isRequired,
+    /** @ignore */
+    accountNames: PropTypes.array.isRequired,
+    /** @ignore */
+    settings: PropTypes.object.isRequired,
+    /** @ignore */
+    metadata: PropTypes.object.isRequired,
+    /** @ignore */
+    getHistoricalFiatPrice: PropTypes.func.isRequired,
+    /** @ignore */
+    fiatPriceNow: PropTypes.number,
+    /** @ignore */
+    generateAlert: PropTypes.func.isRequired,
+    /** @ignore */
+    t: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = (state) => ({
+    accountInfo: getAccountInfoFromState(state),
+    accountNames: getAccountNamesFromState(state),
+    settings: state.settings,
+    metadata: getTransactionMetadataFromState(state),
+    getHistoricalFiatPrice: getHistoricalFiatPriceGetter(state),
+    fiatPriceNow: getFiatPriceNow(state),
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(HistoryExport));
@@ -14,15 +14,22 @@ import Scrollbar from 'ui/components/Scrollbar';
 import Language from 'ui/views/settings/Language';
 import Theme from 'ui/views/settings/Theme';
 import SetNode from 'ui/views/settings/Node';
+import NodeHealth from 'ui/views/settings/NodeHealth';
 import Currency from 'ui/views/settings/Currency';
 import Password from 'ui/views/settings/Password';
+import TwoFA from 'ui/views/settings/TwoFA';
 import Mode from 'ui/views/settings/Mode';
 import Advanced from 'ui/views/settings/Advanced';
+import Contacts from 'ui/views/settings/Contacts';
+import HistoryExport from 'ui/views/settings/HistoryExport';
+import AuditLog from 'ui/views/settings/AuditLog';
+import WalletBackup from 'ui/views/settings/WalletBackup';
 
 import AccountName from 'ui/views/settings/account/Name';
 import AccountSeed from 'ui/views/settings/account/Seed';
 import AccountAddresses from 'ui/views/settings/account/Addresses';
 import AccountTools from 'ui/views/settings/account/Tools';
+import AccountSendPolicy from 'ui/views/settings/account/SendPolicy';
 import AccountRemove from 'ui/views/settings/account/Remove';
 
 import css from './index.scss';
@@ -72,6 +79,23 @@ const Settings = ({ accounts, accountNames, location, match, wallet, history, t
                                 <NavLink to="/settings/password">
                                     <Icon icon="password" size={16} /> <strong>{t('settings:changePassword')}</strong>
                                 </NavLink>
+                                <NavLink to="/settings/twoFa">
+                                    <Icon icon="twoFA" size={16} /> <strong>{t('settings:twoFA')}</strong>
+                                </NavLink>
+                                <NavLink to="/settings/contacts">
+                                    <Icon icon="user" size={16} /> <strong>{t('contacts:contacts')}</strong>
+                                </NavLink>
+                                <NavLink to="/settings/history-export">
+                                    <Icon icon="history" size={16} />{' '}
+                                    <strong>{t('historyExport:historyExport')}</strong>
+                                </NavLink>
+                                <NavLink to="/settings/audit-log">
+                                    <Icon icon="security" size={16} /> <strong>{t('settings:auditLog')}</strong>
+                                </NavLink>
+                                <NavLink to="/settings/backup">
+                                    <Icon icon="seedVault" size={16} />{' '}
+                                    <strong>{t('walletBackup:walletBackup')}</strong>
+                                </NavLink>
                                 <hr />
                                 <NavLink to="/settings/mode">
                                     <Icon icon="mode" size={16} /> <strong>{t('settings:mode')}</strong>
@@ -113,6 +137,10 @@ const Settings = ({ accounts, accountNames, location, match, wallet, history, t
                                                 <Icon icon="settingsAlt" size={16} />{' '}
                                                 <strong>{t('accountManagement:tools')}</strong>
                                             </NavLink>
+                                            <NavLink to={`/settings/account/send-policy/${accountIndex}`}>
+                                                <Icon icon="security" size={16} />{' '}
+                                                <strong>{t('sendPolicies:sendPolicy')}</strong>
+                                            </NavLink>
                                             {accountNames.length > 1 && (
                                                 <React.Fragment>
                                                     <hr />
@@ -139,10 +167,16 @@ const Settings = ({ accounts, accountNames, location, match, wallet, history, t
                 <Switch location={location}>
                     <Route path="/settings/language" component={Language} />
                     <Route path="/settings/theme" component={Theme} />
+                    <Route path="/settings/node-health" component={NodeHealth} />
                     <Route path="/settings/node" component={SetNode} />
                     <Route path="/settings/currency" component={Currency} />
                     <Route path="/settings/password" component={Password} />
+                    <Route path="/settings/twoFa" component={TwoFA} />
                     <Route path="/settings/mode" component={Mode} />
+                    <Route path="/settings/contacts" component={Contacts} />
+                    <Route path="/settings/history-export" component={HistoryExport} />
+                    <Route path="/settings/audit-log" component={AuditLog} />
+                    <Route path="/settings/backup" component={WalletBackup} />
                     <Route path="/settings/advanced" component={Advanced} />
                     <Route
                         path="/settings/account/name/:accountIndex"
@@ -160,6 +194,10 @@ const Settings = ({ accounts, accountNames, location, match, wallet, history, t
                         path="/settings/account/tools/:accountIndex"
                         render={() => <AccountTools setWalletBusy={setWalletBusy} account={account} />}
                     />
+                    <Route
+                        path="/settings/account/send-policy/:accountIndex"
+                        render={() => <AccountSendPolicy account={account} />}
+                    />
                     <Route
                         path="/settings/account/remove/:accountIndex"
                         render={() => <AccountRemove history={history} account={account} />}
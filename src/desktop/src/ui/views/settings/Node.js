@@ -1,6 +1,7 @@
 import React, { useEffect, useState } from 'react';
 import PropTypes from 'prop-types';
 import unionBy from 'lodash/unionBy';
+import find from 'lodash/find';
 import get from 'lodash/get';
 import sample from 'lodash/sample';
 import { withTranslation } from 'react-i18next';
@@ -8,6 +9,7 @@ import { withTranslation } from 'react-i18next';
 import withNodeData from 'containers/settings/Node';
 
 import { initialState as defaultSettings } from 'reducers/settings';
+import { QUORUM_POLICIES, setQuorumMethodPolicy } from 'libs/iota/quorum';
 
 import Button from 'ui/components/Button';
 import Toggle from 'ui/components/Toggle';
@@ -30,6 +32,9 @@ const NodeSettings = ({ customNodes, generateAlert, loading, nodes, settings, ac
         defaultSettings.nodeAutoSwitch === settings.nodeAutoSwitch &&
         defaultSettings.quorum.enabled === settings.quorumEnabled &&
         defaultSettings.quorum.size === settings.quorumSize &&
+        defaultSettings.quorum.policy === settings.quorumPolicy &&
+        defaultSettings.quorum.threshold === settings.quorumThreshold &&
+        defaultSettings.quorum.methodPolicies.length === settings.quorumMethodPolicies.length &&
         defaultSettings.node.url === settings.node.url &&
         defaultSettings.powNodeAutoSwitch === settings.powNodeAutoSwitch;
 
@@ -39,6 +44,9 @@ const NodeSettings = ({ customNodes, generateAlert, loading, nodes, settings, ac
     const [primaryNode, setPrimaryNode] = useState(settings.node);
     const [quorumEnabled, setQuorumEnabled] = useState(settings.quorumEnabled);
     const [quorumSize, setQuorumSize] = useState(settings.quorumSize);
+    const [quorumPolicy, setQuorumPolicy] = useState(settings.quorumPolicy);
+    const [quorumThreshold, setQuorumThreshold] = useState(settings.quorumThreshold);
+    const [quorumMethodPolicies, setQuorumMethodPolicies] = useState(settings.quorumMethodPolicies);
     const [showCustomNodes, setshowCustomNodes] = useState(false);
     const [powNode, setPowNode] = useState(settings.powNode);
     const [powNodeAutoSwitch, setPowNodeAutoSwitch] = useState(settings.powNodeAutoSwitch);
@@ -46,6 +54,12 @@ const NodeSettings = ({ customNodes, generateAlert, loading, nodes, settings, ac
 
     const availableNodes = unionBy(customNodes, autoNodeList && nodes, nodeAutoSwitch && [DEFAULT_NODE], 'url');
     const availablePowNodes = availableNodes.filter(({ pow }) => pow);
+    const unanimousSpentCheck =
+        get(find(quorumMethodPolicies, { method: 'wereAddressesSpentFrom' }), 'policy') === 'unanimous';
+    const quorumPolicyChanged =
+        quorumPolicy !== settings.quorumPolicy ||
+        quorumThreshold !== settings.quorumThreshold ||
+        quorumMethodPolicies !== settings.quorumMethodPolicies;
 
     useEffect(() => {
         if (!loading && settings.node.url !== primaryNode.url) {
@@ -105,6 +119,9 @@ const NodeSettings = ({ customNodes, generateAlert, loading, nodes, settings, ac
             setPrimaryNode(defaultSettings.node);
             setQuorumEnabled(defaultSettings.quorum.enabled);
             setQuorumSize(defaultSettings.quorum.size);
+            setQuorumPolicy(defaultSettings.quorum.policy);
+            setQuorumThreshold(defaultSettings.quorum.threshold);
+            setQuorumMethodPolicies(defaultSettings.quorum.methodPolicies);
             setPowNode(defaultSettings.powNode);
             setPowNodeAutoSwitch(defaultSettings.powNodeAutoSwitch);
             setQuorumSize(defaultSettings.quorum.size);
@@ -122,8 +139,14 @@ const NodeSettings = ({ customNodes, generateAlert, loading, nodes, settings, ac
         if (nodeAutoSwitch !== settings.nodeAutoSwitch) {
             actions.updateNodeAutoSwitchSetting(nodeAutoSwitch);
         }
-        if (quorumEnabled !== settings.quorumEnabled || quorumSize !== settings.quorumSize) {
-            actions.updateQuorumConfig({ enabled: quorumEnabled, size: quorumSize });
+        if (quorumEnabled !== settings.quorumEnabled || quorumSize !== settings.quorumSize || quorumPolicyChanged) {
+            actions.updateQuorumConfig({
+                enabled: quorumEnabled,
+                size: quorumSize,
+                policy: quorumPolicy,
+                threshold: quorumThreshold,
+                methodPolicies: quorumMethodPolicies,
+            });
         }
         if (powNode !== settings.powNode) {
             actions.setPowNode(powNode);
@@ -163,6 +186,10 @@ const NodeSettings = ({ customNodes, generateAlert, loading, nodes, settings, ac
                             {t('nodeSettings:addCustomNodes')}
                         </Button>
 
+                        <Button to="/settings/node-health" className="small">
+                            {t('nodeHealth:nodeHealth')}
+                        </Button>
+
                         <Toggle inline={t('nodeSettings:outsourcePow')} checked={remotePoW} onChange={setRemotePoW} />
 
                         {!autoNodeSelection && (
@@ -225,6 +252,42 @@ const NodeSettings = ({ customNodes, generateAlert, loading, nodes, settings, ac
                                         onChange={setQuorumSize}
                                     />
                                 )}
+                                {quorumEnabled && (
+                                    <Select
+                                        label={t('nodeSettings:quorumPolicy')}
+                                        value={quorumPolicy}
+                                        valueLabel={t(`nodeSettings:${quorumPolicy}`)}
+                                        onChange={setQuorumPolicy}
+                                        options={QUORUM_POLICIES.map((policy) => {
+                                            return { value: policy, label: t(`nodeSettings:${policy}`) };
+                                        })}
+                                    />
+                                )}
+                                {quorumEnabled && quorumPolicy === 'supermajority' && (
+                                    <Number
+                                        inline
+                                        min={51}
+                                        max={99}
+                                        value={quorumThreshold}
+                                        label={t('nodeSettings:quorumThreshold')}
+                                        onChange={setQuorumThreshold}
+                                    />
+                                )}
+                                {quorumEnabled && (
+                                    <Toggle
+                                        inline={t('nodeSettings:unanimousSpentCheck')}
+                                        checked={unanimousSpentCheck}
+                                        onChange={() =>
+                                            setQuorumMethodPolicies(
+                                                setQuorumMethodPolicy(
+                                                    quorumMethodPolicies,
+                                                    'wereAddressesSpentFrom',
+                                                    unanimousSpentCheck ? null : 'unanimous',
+                                                ),
+                                            )
+                                        }
+                                    />
+                                )}
                             </div>
                         )}
                     </article>
@@ -239,6 +302,7 @@ const NodeSettings = ({ customNodes, generateAlert, loading, nodes, settings, ac
                         nodeAutoSwitch === settings.nodeAutoSwitch &&
                         quorumEnabled === settings.quorumEnabled &&
                         quorumSize === settings.quorumSize &&
+                        !quorumPolicyChanged &&
                         primaryNode.url === settings.node.url &&
                         primaryNode.username === settings.node.username &&
                         primaryNode.password === settings.node.password &&
@@ -268,6 +332,9 @@ NodeSettings.propTypes = {
         powNode: PropTypes.string.isRequired,
         quorumEnabled: PropTypes.bool.isRequired,
         quorumSize: PropTypes.number.isRequired,
+        quorumPolicy: PropTypes.string.isRequired,
+        quorumThreshold: PropTypes.number.isRequired,
+        quorumMethodPolicies: PropTypes.array.isRequired,
         remotePoW: PropTypes.bool.isRequired,
         powNodeAutoSwitch: PropTypes.bool.isRequired,
     }),
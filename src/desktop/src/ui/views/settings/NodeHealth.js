@@ -0,0 +1,121 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { checkNodesHealth, clearNodeHealth } from 'actions/nodeHealth';
+import { getNodesRankedByHealth, getQuorumDisagreements } from 'selectors/global';
+import { formatTimeAs, detectedTimezone } from 'libs/date';
+
+import Button from 'ui/components/Button';
+import Scrollbar from 'ui/components/Scrollbar';
+
+import css from './index.scss';
+
+/**
+ * Node health dashboard, ranking nodes by latency, milestone lag and historical reliability
+ */
+const NodeHealth = ({ nodes, quorumDisagreements, isCheckingNodeHealth, checkNodesHealth, clearNodeHealth, t }) => {
+    const formatValue = (value, suffix = '') => (value === null ? '-' : `${value}${suffix}`);
+    const formatDate = (time) => formatTimeAs.dayMonthYearHoursMinutes(navigator.language, detectedTimezone, time);
+
+    return (
+        <form className={css.nodeHealth} onSubmit={(e) => e.preventDefault()}>
+            <fieldset>
+                <p>{t('nodeHealth:explanation')}</p>
+                <ul>
+                    <Scrollbar>
+                        {nodes.map((node) => (
+                            <li key={node.url} className={node.consecutiveFailures > 0 ? css.failing : null}>
+                                <div>
+                                    <strong>{node.url}</strong>
+                                    <small>
+                                        {node.lastError
+                                            ? t('nodeHealth:lastError', {
+                                                  error: node.lastError,
+                                                  date: formatDate(node.lastFailureAt),
+                                              })
+                                            : t('nodeHealth:noErrors')}
+                                    </small>
+                                </div>
+                                <dl>
+                                    <dt>{t('nodeHealth:score')}</dt>
+                                    <dd>{node.score}</dd>
+                                    <dt>{t('nodeHealth:latency')}</dt>
+                                    <dd>{formatValue(node.latency, ' ms')}</dd>
+                                    <dt>{t('nodeHealth:milestoneLag')}</dt>
+                                    <dd>{formatValue(node.milestoneLag)}</dd>
+                                    <dt>{t('nodeHealth:pow')}</dt>
+                                    <dd>{node.pow === null ? '-' : node.pow ? t('yes') : t('no')}</dd>
+                                    <dt>{t('nodeHealth:failures')}</dt>
+                                    <dd>
+                                        {node.failures} / {node.requests}
+                                    </dd>
+                                </dl>
+                            </li>
+                        ))}
+                    </Scrollbar>
+                </ul>
+                <h3>{t('nodeHealth:quorumDisagreements')}</h3>
+                {quorumDisagreements.length ? (
+                    quorumDisagreements.map((round) => (
+                        <p key={`${round.method}-${round.timestamp}`}>
+                            <small>
+                                {t('nodeHealth:outliers', {
+                                    method: round.method,
+                                    outliers: round.outliers.join(', '),
+                                    date: formatDate(round.timestamp),
+                                })}
+                            </small>
+                        </p>
+                    ))
+                ) : (
+                    <p>
+                        <small>{t('nodeHealth:noQuorumDisagreements')}</small>
+                    </p>
+                )}
+            </fieldset>
+            <footer>
+                <Button onClick={clearNodeHealth} className="square" variant="dark">
+                    {t('nodeHealth:clearHistory')}
+                </Button>
+                <Button
+                    onClick={() => checkNodesHealth(nodes)}
+                    loading={isCheckingNodeHealth}
+                    className="square"
+                    variant="primary"
+                >
+                    {t('nodeHealth:checkNow')}
+                </Button>
+            </footer>
+        </form>
+    );
+};
+
+NodeHealth.propTypes = {
+    /** @ignore */
+    nodes: PropTypes.array.isRequired,
+    /** @ignore */
+    quorumDisagreements: PropTypes.array.isRequired,
+    /** @ignore */
+    isCheckingNodeHealth: PropTypes.bool.isRequired,
+    /** @ignore */
+    checkNodesHealth: PropTypes.func.isRequired,
+    /** @ignore */
+    clearNodeHealth: PropTypes.func.isRequired,
+    /** @ignore */
+    t: PropTypes.func.isRequired,
+};
+
+const mapStateToProps = (state) => ({
+    nodes: getNodesRankedByHealth(state),
+    quorumDisagreements: getQuorumDisagreements(state),
+    isCheckingNodeHealth: state.nodeHealth.isCheckingNodeHealth,
+});
+
+const mapDispatchToProps = {
+    checkNodesHealth,
+    clearNodeHealth,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(NodeHealth));
@@ -6,12 +6,15 @@ import { zxcvbn } from 'libs/exports';
 
 import { generateAlert } from 'actions/alerts';
 import { setPassword } from 'actions/wallet';
+import { logAuditEvent } from 'actions/auditLog';
 
 import passwordReasons from 'libs/password';
+import { AUDIT_EVENTS } from 'libs/auditLog';
 import SeedStore from 'libs/SeedStore';
-import { hash } from 'libs/crypto';
+import { hash, authorize, authorizeTwoFA } from 'libs/crypto';
 
 import Password from 'ui/components/input/Password';
+import Text from 'ui/components/input/Text';
 import Button from 'ui/components/Button';
 
 /**
@@ -22,10 +25,14 @@ class PasswordSettings extends PureComponent {
         /** @ignore */
         accounts: PropTypes.object.isRequired,
         /** @ignore */
+        is2FAEnabled: PropTypes.bool.isRequired,
+        /** @ignore */
         setPassword: PropTypes.func.isRequired,
         /** @ignore */
         generateAlert: PropTypes.func.isRequired,
         /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
         t: PropTypes.func.isRequired,
     };
 
@@ -33,6 +40,7 @@ class PasswordSettings extends PureComponent {
         passwordCurrent: '',
         passwordNew: '',
         passwordConfirm: '',
+        code: '',
     };
 
     /**
@@ -42,7 +50,7 @@ class PasswordSettings extends PureComponent {
     changePassword = async (event) => {
         event.preventDefault();
 
-        const { passwordCurrent, passwordNew, passwordConfirm } = this.state;
+        const { passwordCurrent, passwordNew, passwordConfirm, code } = this.state;
         const { accounts, setPassword, generateAlert, t } = this.props;
 
         if (passwordNew !== passwordConfirm) {
@@ -64,9 +72,37 @@ class PasswordSettings extends PureComponent {
             return generateAlert('error', t('changePassword:passwordTooWeak'), reason);
         }
 
+        let passwordCurrentHash = null;
+
+        try {
+            passwordCurrentHash = await hash(passwordCurrent);
+            await authorize(passwordCurrentHash);
+        } catch (err) {
+            generateAlert(
+                'error',
+                t('changePassword:incorrectPassword'),
+                t('changePassword:incorrectPasswordExplanation'),
+            );
+            return;
+        }
+
+        try {
+            const { isBackupCode, backupCodesLeft } = await authorizeTwoFA(passwordCurrentHash, code);
+
+            if (isBackupCode) {
+                generateAlert(
+                    'info',
+                    t('twoFA:backupCodeUsed'),
+                    t('twoFA:backupCodeUsedExplanation', { count: backupCodesLeft }),
+                );
+            }
+        } catch (err) {
+            generateAlert('error', t('twoFA:wrongCode'), t('twoFA:wrongCodeExplanation'));
+            return;
+        }
+
         try {
             const passwordNewHash = await hash(passwordNew);
-            const passwordCurrentHash = await hash(passwordCurrent);
 
             const accountTypes = Object.keys(accounts)
                 .map((accountName) => (accounts[accountName].meta ? accounts[accountName].meta.type : 'keychain'))
@@ -81,11 +117,13 @@ class PasswordSettings extends PureComponent {
             }
 
             setPassword(passwordNewHash);
+            this.props.logAuditEvent(AUDIT_EVENTS.passwordChanged);
 
             this.setState({
                 passwordCurrent: '',
                 passwordNew: '',
                 passwordConfirm: '',
+                code: '',
             });
 
             generateAlert(
@@ -104,8 +142,8 @@ class PasswordSettings extends PureComponent {
     };
 
     render() {
-        const { t } = this.props;
-        const { passwordCurrent, passwordNew, passwordConfirm } = this.state;
+        const { is2FAEnabled, t } = this.props;
+        const { passwordCurrent, passwordNew, passwordConfirm, code } = this.state;
 
         return (
             <form onSubmit={(e) => this.changePassword(e)}>
@@ -126,12 +164,24 @@ class PasswordSettings extends PureComponent {
                         label={t('changePassword:confirmPassword')}
                         onChange={(value) => this.setState({ passwordConfirm: value })}
                     />
+                    {is2FAEnabled && (
+                        <Text
+                            value={code}
+                            label={t('twoFA:code')}
+                            onChange={(value) => this.setState({ code: value })}
+                        />
+                    )}
                 </fieldset>
                 <footer>
                     <Button
                         className="square"
                         type="submit"
-                        disabled={!passwordCurrent.length || !passwordNew.length || !passwordConfirm.length}
+                        disabled={
+                            !passwordCurrent.length ||
+                            !passwordNew.length ||
+                            !passwordConfirm.length ||
+                            (is2FAEnabled && !code.length)
+                        }
                     >
                         {t('settings:changePassword')}
                     </Button>
@@ -143,11 +193,13 @@ class PasswordSettings extends PureComponent {
 
 const mapStateToProps = (state) => ({
     accounts: state.accounts.accountInfo,
+    is2FAEnabled: state.settings.is2FAEnabled,
 });
 
 const mapDispatchToProps = {
     generateAlert,
     setPassword,
+    logAuditEvent,
 };
 
 export default connect(
@@ -0,0 +1,280 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { generateAlert } from 'actions/alerts';
+import { set2FAStatus } from 'actions/settings';
+import { logAuditEvent } from 'actions/auditLog';
+
+import {
+    formatBackupCode,
+    generateBackupCodes,
+    generateTwoFactorConfig,
+    getTwoFactorUri,
+    verifyTwoFactorCode,
+} from 'libs/totp';
+import { AUDIT_EVENTS } from 'libs/auditLog';
+import { randomBytes, getTwoFA, setTwoFA, authorizeTwoFA } from 'libs/crypto';
+
+import Text from 'ui/components/input/Text';
+import Button from 'ui/components/Button';
+import Clipboard from 'ui/components/Clipboard';
+import QR from 'ui/components/QR';
+
+/**
+ * Two-factor authentication settings component
+ */
+class TwoFA extends PureComponent {
+    static propTypes = {
+        /** @ignore */
+        password: PropTypes.object.isRequired,
+        /** @ignore */
+        is2FAEnabled: PropTypes.bool.isRequired,
+        /** @ignore */
+        set2FAStatus: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = {
+        config: null,
+        code: '',
+        backupCodes: null,
+    };
+
+    /**
+     * Generate a new two-factor secret and backup codes for enrolment
+     */
+    startEnrolment = async () => {
+        const config = await generateTwoFactorConfig(randomBytes);
+
+        this.setState({
+            config,
+            code: '',
+        });
+    };
+
+    /**
+     * Check the first authenticator app code and enable two-factor authentication
+     * @param {event} event - Form submit event
+     */
+    enable = async (event) => {
+        event.preventDefault();
+
+        const { password, generateAlert, t } = this.props;
+        const { config, code } = this.state;
+
+        // Only accept an authenticator app code to make sure the secret was added correctly
+        const { isValid, isBackupCode, config: updatedConfig } = verifyTwoFactorCode(config, code);
+
+        if (!isValid || isBackupCode) {
+            return generateAlert('error', t('twoFA:wrongCode'), t('twoFA:wrongCodeExplanation'));
+        }
+
+        await setTwoFA(password, updatedConfig);
+        this.props.set2FAStatus(true);
+        this.props.logAuditEvent(AUDIT_EVENTS.twoFAEnabled);
+
+        this.setState({
+            config: null,
+            code: '',
+            backupCodes: updatedConfig.backupCodes,
+        });
+
+        generateAlert('success', t('twoFA:twoFAEnabled'), t('twoFA:twoFAEnabledExplanation'));
+    };
+
+    /**
+     * Verify entered code against stored two-factor configuration
+     * @returns {boolean}
+     */
+    verifyCode = async () => {
+        const { password, generateAlert, t } = this.props;
+        const { code } = this.state;
+
+        try {
+            await authorizeTwoFA(password, code);
+            return true;
+        } catch (err) {
+            generateAlert('error', t('twoFA:wrongCode'), t('twoFA:wrongCodeExplanation'));
+            return false;
+        }
+    };
+
+    /**
+     * Disable two-factor authentication
+     */
+    disable = async () => {
+        const { password, generateAlert, t } = this.props;
+
+        if (!(await this.verifyCode())) {
+            return;
+        }
+
+        await setTwoFA(password, null);
+        this.props.set2FAStatus(false);
+        this.props.logAuditEvent(AUDIT_EVENTS.twoFADisabled);
+
+        this.setState({
+            code: '',
+        });
+
+        generateAlert('success', t('twoFA:twoFADisabled'), t('twoFA:twoFADisabledExplanation'));
+    };
+
+    /**
+     * Replace backup codes with a new set
+     */
+    renewBackupCodes = async () => {
+        const { password, generateAlert, t } = this.props;
+
+        if (!(await this.verifyCode())) {
+            return;
+        }
+
+        const twoFA = await getTwoFA(password);
+        const backupCodes = await generateBackupCodes(randomBytes);
+
+        await setTwoFA(password, { ...twoFA, backupCodes });
+
+        this.setState({
+            code: '',
+            backupCodes,
+        });
+
+        generateAlert('success', t('twoFA:backupCodesUpdated'), t('twoFA:backupCodesUpdatedExplanation'));
+    };
+
+    renderBackupCodes() {
+        const { t } = this.props;
+        const { backupCodes } = this.state;
+
+        return (
+            <form>
+                <fieldset>
+                    <h3>{t('twoFA:backupCodes')}</h3>
+                    <p>{t('twoFA:backupCodesExplanation')}</p>
+                    <Clipboard
+                        text={backupCodes.map(formatBackupCode).join('\n')}
+                        title={t('twoFA:backupCodesCopied')}
+                        success={t('twoFA:backupCodesCopiedExplanation')}
+                    >
+                        <p>
+                            {backupCodes.map((backupCode) => (
+                                <React.Fragment key={backupCode}>
+                                    <strong>{formatBackupCode(backupCode)}</strong>
+                                    <br />
+                                </React.Fragment>
+                            ))}
+                        </p>
+                    </Clipboard>
+                </fieldset>
+                <footer>
+                    <Button className="square" onClick={() => this.setState({ backupCodes: null })}>
+                        {t('twoFA:savedBackupCodes')}
+                    </Button>
+                </footer>
+            </form>
+        );
+    }
+
+    renderEnrolment() {
+        const { t } = this.props;
+        const { config, code } = this.state;
+
+        return (
+            <form onSubmit={this.enable}>
+                <fieldset>
+                    <p>{t('twoFA:scanQrCode')}</p>
+                    <QR data={getTwoFactorUri(config.secret)} />
+                    <Clipboard
+                        text={config.secret}
+                        title={t('twoFA:keyCopied')}
+                        success={t('twoFA:keyCopiedExplanation')}
+                    >
+                        <p>
+                            {t('twoFA:key')}: <strong>{config.secret}</strong>
+                        </p>
+                    </Clipboard>
+                    <Text
+                        value={code}
+                        focus
+                        label={t('twoFA:enterCode')}
+                        onChange={(value) => this.setState({ code: value })}
+                    />
+                </fieldset>
+                <footer>
+                    <Button className="square" variant="dark" onClick={() => this.setState({ config: null })}>
+                        {t('cancel')}
+                    </Button>
+                    <Button className="square" type="submit" disabled={!code.length}>
+                        {t('twoFA:enable')}
+                    </Button>
+                </footer>
+            </form>
+        );
+    }
+
+    render() {
+        const { is2FAEnabled, t } = this.props;
+        const { config, code, backupCodes } = this.state;
+
+        if (backupCodes) {
+            return this.renderBackupCodes();
+        }
+
+        if (config) {
+            return this.renderEnrolment();
+        }
+
+        if (!is2FAEnabled) {
+            return (
+                <form>
+                    <fieldset>
+                        <p>{t('twoFA:twoFAExplanation')}</p>
+                    </fieldset>
+                    <footer>
+                        <Button className="square" onClick={this.startEnrolment}>
+                            {t('twoFA:enable')}
+                        </Button>
+                    </footer>
+                </form>
+            );
+        }
+
+        return (
+            <form onSubmit={(e) => e.preventDefault()}>
+                <fieldset>
+                    <p>{t('twoFA:manageExplanation')}</p>
+                    <Text value={code} label={t('twoFA:code')} onChange={(value) => this.setState({ code: value })} />
+                </fieldset>
+                <footer>
+                    <Button className="square" variant="dark" disabled={!code.length} onClick={this.renewBackupCodes}>
+                        {t('twoFA:newBackupCodes')}
+                    </Button>
+                    <Button className="square" variant="negative" disabled={!code.length} onClick={this.disable}>
+                        {t('twoFA:disable')}
+                    </Button>
+                </footer>
+            </form>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    password: state.wallet.password,
+    is2FAEnabled: state.settings.is2FAEnabled,
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+    set2FAStatus,
+    logAuditEvent,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(TwoFA));
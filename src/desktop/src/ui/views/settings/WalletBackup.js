@@ -0,0 +1,193 @@
+/* global Electron */
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import { zxcvbn } from 'libs/exports';
+
+import { generateAlert } from 'actions/alerts';
+import { logAuditEvent } from 'actions/auditLog';
+import { AUDIT_EVENTS } from 'libs/auditLog';
+import { createWalletBackup, getSkippedWalletBackupAccounts } from 'libs/walletBackup';
+import passwordReasons from 'libs/password';
+import SeedStore from 'libs/SeedStore';
+import { getBackupData } from 'storage';
+
+import Button from 'ui/components/Button';
+import ModalPassword from 'ui/components/modal/Password';
+import PasswordInput from 'ui/components/input/Password';
+
+/**
+ * Wallet backup export component
+ */
+class WalletBackup extends PureComponent {
+    static propTypes = {
+        /** @ignore */
+        accounts: PropTypes.object.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = {
+        password: '',
+        passwordConfirm: '',
+        isAuthorising: false,
+    };
+
+    /**
+     * Check for valid backup password and request wallet password
+     * @param {Event} event - Form submit event
+     * @returns {undefined}
+     */
+    confirmPassword = (event) => {
+        const { generateAlert, t } = this.props;
+        const { password, passwordConfirm } = this.state;
+
+        event.preventDefault();
+
+        const score = zxcvbn(password);
+
+        if (score.score < 4) {
+            const reason = score.feedback.warning
+                ? t(`changePassword:${passwordReasons[score.feedback.warning]}`)
+                : t('changePassword:passwordTooWeakReason');
+
+            return generateAlert('error', t('changePassword:passwordTooWeak'), reason);
+        }
+
+        if (password !== passwordConfirm) {
+            return generateAlert(
+                'error',
+                t('changePassword:passwordsDoNotMatch'),
+                t('changePassword:passwordsDoNotMatchExplanation'),
+            );
+        }
+
+        this.setState({ isAuthorising: true });
+    };
+
+    /**
+     * Get seeds of all accounts, trigger wallet backup file export
+     * @param {array} passwordHash - Wallet password hash
+     * @returns {undefined}
+     */
+    exportBackup = async (passwordHash) => {
+        const { accounts, generateAlert, t } = this.props;
+        const { password } = this.state;
+
+        const accountNames = Object.keys(accounts);
+        const seeds = [];
+
+        for (let i = 0; i < accountNames.length; i++) {
+            const { meta } = accounts[accountNames[i]];
+
+            if (SeedStore[meta.type].isSeedAvailable) {
+                const seedStore = await new SeedStore[meta.type](passwordHash, accountNames[i], meta);
+                seeds.push({ title: accountNames[i], seed: await seedStore.getSeed() });
+            }
+        }
+
+        const backup = createWalletBackup(
+            getBackupData(),
+            seeds.map(({ title }) => title),
+        );
+        const error = await Electron.exportWalletBackup(seeds, backup, password);
+
+        for (let i = 0; i < seeds.length; i++) {
+            for (let j = 0; j < seeds[i].seed.length; j++) {
+                seeds[i].seed[j] = 0;
+            }
+        }
+
+        this.setState({
+            password: '',
+            passwordConfirm: '',
+            isAuthorising: false,
+        });
+
+        if (error) {
+            if (error !== 'Export cancelled') {
+                generateAlert('error', t('seedVault:exportFail'), t('seedVault:exportFailExplanation'), 10000, error);
+            }
+        } else {
+            this.props.logAuditEvent(AUDIT_EVENTS.walletBackupExported, { count: seeds.length });
+            generateAlert(
+                'success',
+                t('walletBackup:exportSuccess'),
+                t('walletBackup:exportSuccessExplanation', { count: seeds.length }),
+            );
+        }
+
+        Electron.garbageCollect();
+    };
+
+    render() {
+        const { accounts, t } = this.props;
+        const { password, passwordConfirm, isAuthorising } = this.state;
+
+        const score = zxcvbn(password);
+        const skippedAccounts = getSkippedWalletBackupAccounts(
+            accounts,
+            Object.keys(accounts).filter((name) => SeedStore[accounts[name].meta.type].isSeedAvailable),
+        );
+
+        return (
+            <React.Fragment>
+                <form onSubmit={this.confirmPassword}>
+                    <fieldset>
+                        <p>{t('walletBackup:explanation')}</p>
+                        <p>{t('walletBackup:notIncluded')}</p>
+                        {skippedAccounts.length > 0 && (
+                            <p>{t('walletBackup:skippedAccounts', { accounts: skippedAccounts.join(', ') })}</p>
+                        )}
+                        <PasswordInput
+                            value={password}
+                            label={t('walletBackup:key')}
+                            showScore
+                            showValid
+                            onChange={(value) => this.setState({ password: value })}
+                        />
+                        <PasswordInput
+                            value={passwordConfirm}
+                            label={t('walletBackup:retypeKey')}
+                            showValid
+                            disabled={score.score < 4}
+                            match={password}
+                            onChange={(value) => this.setState({ passwordConfirm: value })}
+                        />
+                    </fieldset>
+                    <footer>
+                        <Button type="submit" className="square" variant="primary">
+                            {t('walletBackup:export')}
+                        </Button>
+                    </footer>
+                </form>
+                <ModalPassword
+                    isOpen={isAuthorising}
+                    isTwoFARequired
+                    onSuccess={this.exportBackup}
+                    onClose={() => this.setState({ isAuthorising: false })}
+                    content={{
+                        title: t('login:enterPassword'),
+                        confirm: t('walletBackup:export'),
+                    }}
+                />
+            </React.Fragment>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    accounts: state.accounts.accountInfo,
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+    logAuditEvent,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(WalletBackup));
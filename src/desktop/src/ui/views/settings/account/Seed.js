@@ -2,6 +2,11 @@
 import React, { PureComponent, Fragment } from 'react';
 import PropTypes from 'prop-types';
 import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { logAuditEvent } from 'actions/auditLog';
+
+import { AUDIT_EVENTS } from 'libs/auditLog';
 
 import { MAX_SEED_LENGTH } from 'libs/iota/utils';
 import { byteToChar, capitalize } from 'libs/iota/converter';
@@ -13,6 +18,8 @@ import ModalPassword from 'ui/components/modal/Password';
 import SeedPrint from 'ui/components/SeedPrint';
 import SeedExport from 'ui/global/SeedExport';
 
+import SeedShares from './SeedShares';
+
 import css from './seed.scss';
 import cssIndex from '../index.scss';
 
@@ -24,6 +31,8 @@ class Seed extends PureComponent {
         /** @ignore */
         account: PropTypes.object.isRequired,
         /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
         t: PropTypes.func.isRequired,
     };
 
@@ -62,6 +71,10 @@ class Seed extends PureComponent {
         const seedStore = await new SeedStore[meta.type](password, accountName, meta);
         this.seed = await seedStore.getSeed();
 
+        if (this.state.action !== 'export') {
+            this.props.logAuditEvent(AUDIT_EVENTS.seedViewed, { accountName, method: this.state.action });
+        }
+
         this.setState({
             seed: true,
         });
@@ -105,6 +118,7 @@ class Seed extends PureComponent {
                 <ModalPassword
                     isOpen
                     inline
+                    isTwoFARequired
                     onSuccess={this.setSeed}
                     onClose={() => this.setState({ action: null })}
                     seedName={accountName}
@@ -115,12 +129,24 @@ class Seed extends PureComponent {
                                 ? t('accountManagement:viewSeed')
                                 : action === 'export'
                                 ? t('seedVault:exportSeedVault')
+                                : action === 'shares'
+                                ? t('seedShares:seedShares')
                                 : t('paperWallet'),
                     }}
                 />
             );
         }
 
+        if (seed && action === 'shares') {
+            return (
+                <SeedShares
+                    seed={this.seed}
+                    accountName={accountName}
+                    onClose={() => this.setState({ action: null })}
+                />
+            );
+        }
+
         const checksum = seed ? Electron.getChecksum(this.seed) : '';
 
         return (
@@ -168,6 +194,9 @@ class Seed extends PureComponent {
                         <Button className="small" onClick={() => this.setState({ action: 'export' })}>
                             {t('seedVault:exportSeedVault')}
                         </Button>
+                        <Button className="small" onClick={() => this.setState({ action: 'shares' })}>
+                            {t('seedShares:seedShares')}
+                        </Button>
                     </fieldset>
                     <SeedPrint seed={this.seed} checksum={checksum} filled />
                 </form>
@@ -187,4 +216,8 @@ class Seed extends PureComponent {
     }
 }
 
-export default withTranslation()(Seed);
+const mapDispatchToProps = {
+    logAuditEvent,
+};
+
+export default connect(null, mapDispatchToProps)(withTranslation()(Seed));
@@ -0,0 +1,193 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { generateAlert } from 'actions/alerts';
+
+import {
+    MIN_SEED_SHARES_THRESHOLD,
+    MAX_SEED_SHARES_COUNT,
+    createSeedShares,
+    isValidSeedSharesConfig,
+} from 'libs/seedShares';
+import { byteToChar, charToByte } from 'libs/iota/converter';
+import { randomBytes } from 'libs/crypto';
+
+import Button from 'ui/components/Button';
+import Modal from 'ui/components/modal/Modal';
+import Number from 'ui/components/input/Number';
+import SeedPrint from 'ui/components/SeedPrint';
+import SeedExport from 'ui/global/SeedExport';
+
+import css from './seed.scss';
+
+/**
+ * Account seed shares component, splits the seed into M-of-N printable and exportable shares
+ */
+class SeedShares extends PureComponent {
+    static propTypes = {
+        /** Seed byte array */
+        seed: PropTypes.array.isRequired,
+        /** Account name */
+        accountName: PropTypes.string.isRequired,
+        /** On close event callback */
+        onClose: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = {
+        threshold: 2,
+        count: 3,
+        shares: [],
+        printIndex: -1,
+        exportIndex: -1,
+    };
+
+    /**
+     * Trigger share print after component is updated
+     */
+    componentDidUpdate(_prevProps, prevState) {
+        if (this.state.printIndex > -1 && prevState.printIndex !== this.state.printIndex) {
+            window.print();
+        }
+    }
+
+    /**
+     * Splits the seed into shares
+     * @param {event} event - Form submit event
+     */
+    createShares = async (event) => {
+        event.preventDefault();
+
+        const { seed, generateAlert, t } = this.props;
+        const { threshold, count } = this.state;
+
+        if (!isValidSeedSharesConfig(threshold, count)) {
+            return generateAlert(
+                'error',
+                t('seedShares:invalidConfig'),
+                t('seedShares:invalidConfigExplanation', { maxCount: MAX_SEED_SHARES_COUNT }),
+            );
+        }
+
+        const shares = await createSeedShares(
+            seed.map((byte) => byteToChar(byte)).join(''),
+            threshold,
+            count,
+            randomBytes,
+        );
+
+        this.setState({ shares, printIndex: -1, exportIndex: -1 });
+    };
+
+    render() {
+        const { accountName, onClose, t } = this.props;
+        const { threshold, count, shares, printIndex, exportIndex } = this.state;
+
+        const printShare = shares[printIndex];
+        const exportShare = shares[exportIndex];
+
+        return (
+            <React.Fragment>
+                <form onSubmit={this.createShares}>
+                    <fieldset>
+                        <p>{t('seedShares:explanation')}</p>
+                        <div className={css.shareConfig}>
+                            <Number
+                                value={threshold}
+                                min={MIN_SEED_SHARES_THRESHOLD}
+                                max={MAX_SEED_SHARES_COUNT}
+                                label={t('seedShares:threshold')}
+                                onChange={(value) => this.setState({ threshold: value })}
+                            />
+                            <Number
+                                value={count}
+                                min={MIN_SEED_SHARES_THRESHOLD}
+                                max={MAX_SEED_SHARES_COUNT}
+                                label={t('seedShares:count')}
+                                onChange={(value) => this.setState({ count: value })}
+                            />
+                        </div>
+                    </fieldset>
+                    {shares.length > 0 && (
+                        <fieldset>
+                            <ul className={css.shares}>
+                                {shares.map((share, index) => (
+                                    <li key={share.index}>
+                                        <div>
+                                            <strong>
+                                                {t('seedShares:share', { index: share.index, count: share.count })}
+                                            </strong>
+                                            <small>
+                                                {t('seedShares:shareChecksum')}: {share.checksum} ·{' '}
+                                                {t('seedShares:shareInfo', {
+                                                    threshold: share.threshold,
+                                                    count: share.count,
+                                                    seedChecksum: share.seedChecksum,
+                                                })}
+                                            </small>
+                                        </div>
+                                        <Button
+                                            className="small"
+                                            onClick={() =>
+                                                printIndex === index
+                                                    ? window.print()
+                                                    : this.setState({ printIndex: index })
+                                            }
+                                        >
+                                            {t('seedShares:printShare')}
+                                        </Button>
+                                        <Button className="small" onClick={() => this.setState({ exportIndex: index })}>
+                                            {t('seedShares:exportShare')}
+                                        </Button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </fieldset>
+                    )}
+                    {printShare && (
+                        <SeedPrint
+                            seed={printShare.share.split('').map((char) => charToByte(char))}
+                            checksum={printShare.checksum}
+                            label={t('seedShares:printLabel', printShare)}
+                            filled
+                        />
+                    )}
+                    <footer>
+                        <Button className="square" variant="dark" onClick={onClose}>
+                            {t('back')}
+                        </Button>
+                        <Button className="square" type="submit">
+                            {t('seedShares:create')}
+                        </Button>
+                    </footer>
+                </form>
+                <Modal variant="fullscreen" isOpen={!!exportShare} onClose={() => this.setState({ exportIndex: -1 })}>
+                    {exportShare && (
+                        <SeedExport
+                            seed={exportShare.share.split('').map((char) => charToByte(char))}
+                            title={`${accountName} ${t('seedShares:share', exportShare)}`}
+                            share={{
+                                index: exportShare.index,
+                                threshold: exportShare.threshold,
+                                count: exportShare.count,
+                                seedChecksum: exportShare.seedChecksum,
+                            }}
+                            onClose={() => this.setState({ exportIndex: -1 })}
+                        />
+                    )}
+                </Modal>
+            </React.Fragment>
+        );
+    }
+}
+
+const mapDispatchToProps = {
+    generateAlert,
+};
+
+export default connect(null, mapDispatchToProps)(withTranslation()(SeedShares));
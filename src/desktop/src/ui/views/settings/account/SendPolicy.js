@@ -0,0 +1,212 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { getSendPolicy, isSendPolicyRelaxed } from 'libs/sendPolicies';
+
+import { updateSendPolicy } from 'actions/sendPolicies';
+import { setSendPasswordConfirmed } from 'actions/ui';
+
+import AmountInput from 'ui/components/input/Amount';
+import Text from 'ui/components/input/Text';
+import Checkbox from 'ui/components/Checkbox';
+import Button from 'ui/components/Button';
+import ModalPassword from 'ui/components/modal/Password';
+
+/**
+ * Formats a policy amount for an input field
+ * @param {number} value
+ * @returns {string}
+ */
+const toField = (value) => (value > 0 ? String(value) : '');
+
+/**
+ * Parses a policy amount from an input field
+ * @param {string} value
+ * @returns {number}
+ */
+const fromField = (value) => (value.trim().length ? Number(value) : 0);
+
+/**
+ * Account send policy (spending limits and large transfer confirmations) settings component
+ */
+class SendPolicy extends PureComponent {
+    static propTypes = {
+        /** @ignore */
+        account: PropTypes.object.isRequired,
+        /** @ignore */
+        settings: PropTypes.shape({
+            conversionRate: PropTypes.number.isRequired,
+            currency: PropTypes.string.isRequired,
+            usdPrice: PropTypes.number.isRequired,
+        }),
+        /** @ignore */
+        updateSendPolicy: PropTypes.func.isRequired,
+        /** @ignore */
+        setSendPasswordConfirmed: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    /**
+     * Get form fields for a send policy
+     * @param {object|null} sendPolicy
+     * @returns {object}
+     */
+    static getFields(sendPolicy) {
+        const { dailyLimit, weeklyLimit, passwordThreshold, allowlistOnly, newRecipientDelay } = getSendPolicy(
+            sendPolicy,
+        );
+
+        return {
+            dailyLimit: toField(dailyLimit),
+            weeklyLimit: toField(weeklyLimit),
+            passwordThreshold: toField(passwordThreshold),
+            allowlistOnly,
+            newRecipientDelay: toField(newRecipientDelay),
+            isPasswordModalVisible: false,
+        };
+    }
+
+    state = SendPolicy.getFields(this.props.account.sendPolicy);
+
+    componentWillReceiveProps(nextProps) {
+        if (nextProps.account.accountName !== this.props.account.accountName) {
+            this.setState(SendPolicy.getFields(nextProps.account.sendPolicy));
+        }
+    }
+
+    setField = (field) => (value) => this.setState({ [field]: value });
+
+    /**
+     * Get send policy from form fields
+     * @returns {object}
+     */
+    getPolicy() {
+        const { dailyLimit, weeklyLimit, passwordThreshold, allowlistOnly, newRecipientDelay } = this.state;
+
+        return {
+            dailyLimit: fromField(dailyLimit),
+            weeklyLimit: fromField(weeklyLimit),
+            passwordThreshold: fromField(passwordThreshold),
+            allowlistOnly,
+            newRecipientDelay: fromField(newRecipientDelay),
+        };
+    }
+
+    /**
+     * Validate and save send policy
+     * Changes that loosen the current policy require the password to be re-entered
+     * @param {Event} e - Form submit event
+     * @returns {undefined}
+     */
+    savePolicy = (e) => {
+        const { account } = this.props;
+        const policy = this.getPolicy();
+
+        e.preventDefault();
+
+        if (isSendPolicyRelaxed(account.sendPolicy, policy)) {
+            return this.setState({ isPasswordModalVisible: true });
+        }
+
+        this.props.updateSendPolicy(account.accountName, policy);
+    };
+
+    confirmPassword = () => {
+        this.setState({
+            isPasswordModalVisible: false,
+        });
+
+        this.props.setSendPasswordConfirmed(true);
+        this.props.updateSendPolicy(this.props.account.accountName, this.getPolicy());
+    };
+
+    render() {
+        const { settings, t } = this.props;
+        const {
+            dailyLimit,
+            weeklyLimit,
+            passwordThreshold,
+            allowlistOnly,
+            newRecipientDelay,
+            isPasswordModalVisible,
+        } = this.state;
+
+        return (
+            <form onSubmit={this.savePolicy}>
+                <fieldset>
+                    <p>{t('sendPolicies:sendPolicyExplanation')}</p>
+                    <AmountInput
+                        amount={dailyLimit}
+                        settings={settings}
+                        label={t('sendPolicies:dailyLimit')}
+                        labelMax={t('send:max')}
+                        balance={0}
+                        onChange={this.setField('dailyLimit')}
+                    />
+                    <AmountInput
+                        amount={weeklyLimit}
+                        settings={settings}
+                        label={t('sendPolicies:weeklyLimit')}
+                        labelMax={t('send:max')}
+                        balance={0}
+                        onChange={this.setField('weeklyLimit')}
+                    />
+                    <AmountInput
+                        amount={passwordThreshold}
+                        settings={settings}
+                        label={t('sendPolicies:passwordThreshold')}
+                        labelMax={t('send:max')}
+                        balance={0}
+                        onChange={this.setField('passwordThreshold')}
+                    />
+                    <Text
+                        value={newRecipientDelay}
+                        label={t('sendPolicies:newRecipientDelay')}
+                        placeholder={t('sendPolicies:hours')}
+                        onChange={this.setField('newRecipientDelay')}
+                    />
+                    <Checkbox
+                        className="small"
+                        checked={allowlistOnly}
+                        label={t('sendPolicies:allowlistOnly')}
+                        onChange={this.setField('allowlistOnly')}
+                    />
+                    <small>{t('sendPolicies:disabledRulesExplanation')}</small>
+                </fieldset>
+                <footer>
+                    <Button className="square" type="submit">
+                        {t('save')}
+                    </Button>
+                </footer>
+                <ModalPassword
+                    isOpen={isPasswordModalVisible}
+                    onSuccess={this.confirmPassword}
+                    onClose={() => this.setState({ isPasswordModalVisible: false })}
+                    content={{
+                        title: t('sendPolicies:enterPassword'),
+                        message: t('sendPolicies:enterPasswordToRelax'),
+                        confirm: t('save'),
+                    }}
+                />
+            </form>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    settings: {
+        currency: state.settings.currency,
+        conversionRate: state.settings.conversionRate,
+        usdPrice: state.marketData.usdPrice,
+    },
+});
+
+const mapDispatchToProps = {
+    updateSendPolicy,
+    setSendPasswordConfirmed,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(SendPolicy));
@@ -4,7 +4,9 @@ import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import { withTranslation } from 'react-i18next';
 
-import { manuallySyncAccount } from 'actions/accounts';
+import { manuallySyncAccount, setInputSelectionStrategy } from 'actions/accounts';
+import { generateAlert } from 'actions/alerts';
+import { planConsolidation, consolidateFunds, setConsolidationPlan } from 'actions/consolidation';
 
 import {
     transitionForSnapshot,
@@ -15,12 +17,17 @@ import {
 
 import { getAddressesForSelectedAccount } from 'selectors/accounts';
 
-import { formatValue, formatUnit } from 'libs/iota/utils';
+import { formatValue, formatUnit, formatIotas } from 'libs/iota/utils';
 import { round } from 'libs/utils';
 import SeedStore from 'libs/SeedStore';
+import { createWatchOnlyExport, WATCH_ONLY_EXPORT_LOOKAHEAD } from 'libs/iota/watchOnly';
+import { INPUT_SELECTION_STRATEGIES } from 'libs/iota/inputSelection';
+import { DEFAULT_SECURITY, DEFAULT_INPUT_SELECTION_STRATEGY } from 'config';
+import Errors from 'libs/errors';
 
 import Scrollbar from 'ui/components/Scrollbar';
 import Button from 'ui/components/Button';
+import Select from 'ui/components/input/Select';
 import Loading from 'ui/components/Loading';
 import ModalConfirm from 'ui/components/modal/Confirm';
 import size from 'lodash/size';
@@ -51,8 +58,18 @@ class Tools extends PureComponent {
         /** @ignore */
         setWalletBusy: PropTypes.func.isRequired,
         /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
         transitionForSnapshot: PropTypes.func.isRequired,
         /** @ignore */
+        setInputSelectionStrategy: PropTypes.func.isRequired,
+        /** @ignore */
+        planConsolidation: PropTypes.func.isRequired,
+        /** @ignore */
+        consolidateFunds: PropTypes.func.isRequired,
+        /** @ignore */
+        setConsolidationPlan: PropTypes.func.isRequired,
+        /** @ignore */
         activeStepIndex: PropTypes.number.isRequired,
         /** @ignore */
         activeSteps: PropTypes.array.isRequired,
@@ -80,12 +97,21 @@ class Tools extends PureComponent {
             prevProps.ui.isTransitioning === ui.isTransitioning &&
             prevProps.ui.isAttachingToTangle === ui.isAttachingToTangle &&
             prevProps.wallet.balanceCheckFlag === wallet.balanceCheckFlag &&
-            prevProps.ui.isSyncing === ui.isSyncing
+            prevProps.ui.isSyncing === ui.isSyncing &&
+            prevProps.ui.isPlanningConsolidation === ui.isPlanningConsolidation &&
+            prevProps.ui.isConsolidatingFunds === ui.isConsolidatingFunds
         ) {
             return;
         }
 
-        if (ui.isSyncing || ui.isTransitioning || ui.isAttachingToTangle || wallet.balanceCheckFlag) {
+        if (
+            ui.isSyncing ||
+            ui.isTransitioning ||
+            ui.isAttachingToTangle ||
+            ui.isPlanningConsolidation ||
+            ui.isConsolidatingFunds ||
+            wallet.balanceCheckFlag
+        ) {
             Electron.updateMenu('enabled', false);
             this.props.setWalletBusy(true);
         } else {
@@ -151,8 +177,117 @@ class Tools extends PureComponent {
         this.props.generateAddressesAndGetBalance(seedStore, currentIndex, accountName);
     };
 
+    /**
+     * Plan consolidation of account funds
+     * @returns {Promise}
+     */
+    planConsolidation = async () => {
+        const { wallet } = this.props;
+        const { accountName, meta } = this.props.account;
+
+        const seedStore = await new SeedStore[meta.type](wallet.password, accountName, meta);
+
+        this.props.planConsolidation(seedStore, accountName);
+    };
+
+    /**
+     * Send (remaining) planned consolidation transfers
+     * @returns {Promise}
+     */
+    consolidateFunds = async () => {
+        const { wallet } = this.props;
+        const { accountName, meta } = this.props.account;
+
+        const seedStore = await new SeedStore[meta.type](wallet.password, accountName, meta);
+
+        this.props.consolidateFunds(seedStore, accountName);
+    };
+
+    /**
+     * Render planned consolidation transfers
+     * @param {object} plan - Consolidation plan
+     * @returns {React.Component}
+     */
+    renderConsolidationPlan(plan) {
+        const { t } = this.props;
+
+        return (
+            <React.Fragment>
+                <p>
+                    {t('consolidation:planSummary', {
+                        transfers: plan.chunks.length,
+                        inputs: plan.chunks.reduce((acc, chunk) => acc + chunk.inputs.length, 0),
+                        amount: formatIotas(
+                            plan.chunks.reduce((acc, chunk) => acc + chunk.value, 0),
+                            false,
+                            true,
+                        ),
+                    })}
+                    <br />
+                    <strong>{plan.address}</strong>
+                </p>
+                <ul>
+                    {plan.chunks.map((chunk, index) => (
+                        <li key={`chunk-${index}`}>
+                            {t('consolidation:transfer', {
+                                index: index + 1,
+                                inputs: chunk.inputs.length,
+                                amount: formatIotas(chunk.value, false, true),
+                            })}
+                            {index < plan.completedChunks && ` (${t('consolidation:completed')})`}
+                        </li>
+                    ))}
+                </ul>
+                {plan.completedChunks > 0 && (
+                    <p>
+                        {t('consolidation:pendingPlan', {
+                            completed: plan.completedChunks,
+                            total: plan.chunks.length,
+                        })}
+                    </p>
+                )}
+            </React.Fragment>
+        );
+    }
+
+    /**
+     * Export account addresses for a watch-only account
+     * @returns {Promise}
+     */
+    exportWatchOnlyAddresses = async () => {
+        const { wallet, addresses, generateAlert, t } = this.props;
+        const { accountName, meta } = this.props.account;
+
+        try {
+            const seedStore = await new SeedStore[meta.type](wallet.password, accountName, meta);
+            const exportAddresses = await seedStore.generateAddress({
+                index: 0,
+                security: DEFAULT_SECURITY,
+                total: addresses.length + WATCH_ONLY_EXPORT_LOOKAHEAD,
+            });
+
+            await Electron.exportWatchOnlyAddresses(JSON.stringify(createWatchOnlyExport(exportAddresses)));
+
+            generateAlert('success', t('watchOnly:exported'), t('watchOnly:exportedExplanation'));
+        } catch (error) {
+            if (error.message !== Errors.EXPORT_CANCELLED) {
+                generateAlert(
+                    'error',
+                    t('global:somethingWentWrong'),
+                    t('global:somethingWentWrongTryAgain'),
+                    10000,
+                    error,
+                );
+            }
+        }
+    };
+
     render() {
-        const { ui, wallet, t, activeStepIndex, activeSteps, themeName } = this.props;
+        const { ui, wallet, account, t, activeStepIndex, activeSteps, themeName } = this.props;
+        const isWatchOnly = SeedStore[account.meta.type].isWatchOnly;
+        const canConsolidate = !isWatchOnly && !SeedStore[account.meta.type].isMultisig;
+        const consolidationPlan = account.consolidation;
+        const inputSelectionStrategy = account.inputSelectionStrategy || DEFAULT_INPUT_SELECTION_STRATEGY;
         const sizeOfActiveSteps = size(activeSteps);
 
         if ((ui.isTransitioning || ui.isAttachingToTangle) && !wallet.balanceCheckFlag) {
@@ -182,38 +317,63 @@ class Tools extends PureComponent {
             );
         }
 
+        if (ui.isConsolidatingFunds) {
+            return (
+                <Loading
+                    loop
+                    transparent={false}
+                    title={t('consolidation:consolidating')}
+                    subtitle={
+                        <div>
+                            {t('loading:thisMayTake')} {t('global:pleaseWaitEllipses')} <br />
+                            {activeStepIndex !== -1 &&
+                                t('consolidation:progress', {
+                                    current: activeStepIndex + 1,
+                                    total: sizeOfActiveSteps,
+                                })}
+                        </div>
+                    }
+                    themeName={themeName}
+                />
+            );
+        }
+
         return (
             <div className={css.scroll}>
                 <Scrollbar>
                     <article>
-                        <h3>{t('advancedSettings:snapshotTransition')}</h3>
-                        <p>
-                            {t('snapshotTransition:snapshotExplanation')} <br />
-                            {t('snapshotTransition:hasSnapshotTakenPlace')}
-                        </p>
-                        <Button
-                            className="small"
-                            onClick={this.startSnapshotTransition}
-                            loading={ui.isTransitioning || ui.isAttachingToTangle}
-                        >
-                            {t('snapshotTransition:transition')}
-                        </Button>
-                        <ModalConfirm
-                            isOpen={wallet.balanceCheckFlag}
-                            category="primary"
-                            onConfirm={this.transitionBalanceOk}
-                            onCancel={this.transitionBalanceWrong}
-                            content={{
-                                title: t('snapshotTransition:detectedBalance', {
-                                    amount: round(formatValue(wallet.transitionBalance), 1),
-                                    unit: formatUnit(wallet.transitionBalance),
-                                }),
-                                message: t('snapshotTransition:isThisCorrect'),
-                                confirm: t('global:yes'),
-                                cancel: t('global:no'),
-                            }}
-                        />
-                        <hr />
+                        {!isWatchOnly && (
+                            <React.Fragment>
+                                <h3>{t('advancedSettings:snapshotTransition')}</h3>
+                                <p>
+                                    {t('snapshotTransition:snapshotExplanation')} <br />
+                                    {t('snapshotTransition:hasSnapshotTakenPlace')}
+                                </p>
+                                <Button
+                                    className="small"
+                                    onClick={this.startSnapshotTransition}
+                                    loading={ui.isTransitioning || ui.isAttachingToTangle}
+                                >
+                                    {t('snapshotTransition:transition')}
+                                </Button>
+                                <ModalConfirm
+                                    isOpen={wallet.balanceCheckFlag}
+                                    category="primary"
+                                    onConfirm={this.transitionBalanceOk}
+                                    onCancel={this.transitionBalanceWrong}
+                                    content={{
+                                        title: t('snapshotTransition:detectedBalance', {
+                                            amount: round(formatValue(wallet.transitionBalance), 1),
+                                            unit: formatUnit(wallet.transitionBalance),
+                                        }),
+                                        message: t('snapshotTransition:isThisCorrect'),
+                                        confirm: t('global:yes'),
+                                        cancel: t('global:no'),
+                                    }}
+                                />
+                                <hr />
+                            </React.Fragment>
+                        )}
 
                         <h3>{t('advancedSettings:manualSync')}</h3>
                         {ui.isSyncing ? (
@@ -235,6 +395,84 @@ class Tools extends PureComponent {
                         >
                             {t('manualSync:syncAccount')}
                         </Button>
+                        {!isWatchOnly && (
+                            <React.Fragment>
+                                <hr />
+                                <h3>{t('inputSelection:inputSelection')}</h3>
+                                <p>{t(`inputSelection:${inputSelectionStrategy}Explanation`)}</p>
+                                <Select
+                                    value={inputSelectionStrategy}
+                                    valueLabel={t(`inputSelection:${inputSelectionStrategy}`)}
+                                    label={t('inputSelection:strategy')}
+                                    onChange={(strategy) =>
+                                        this.props.setInputSelectionStrategy({
+                                            accountName: account.accountName,
+                                            strategy,
+                                        })
+                                    }
+                                    options={Object.keys(INPUT_SELECTION_STRATEGIES).map((strategy) => ({
+                                        value: strategy,
+                                        label: t(`inputSelection:${strategy}`),
+                                    }))}
+                                />
+                            </React.Fragment>
+                        )}
+                        {canConsolidate && (
+                            <React.Fragment>
+                                <hr />
+                                <h3>{t('consolidation:consolidateFunds')}</h3>
+                                <p>{t('consolidation:consolidateFundsExplanation')}</p>
+                                {consolidationPlan ? (
+                                    <React.Fragment>
+                                        {this.renderConsolidationPlan(consolidationPlan)}
+                                        <Button
+                                            onClick={() =>
+                                                this.props.setConsolidationPlan({
+                                                    accountName: account.accountName,
+                                                    plan: null,
+                                                })
+                                            }
+                                            className="small"
+                                            variant="secondary"
+                                        >
+                                            {t('global:cancel')}
+                                        </Button>
+                                        <Button
+                                            onClick={this.consolidateFunds}
+                                            className="small"
+                                            disabled={ui.isSyncing || ui.isTransitioning || ui.isAttachingToTangle}
+                                        >
+                                            {consolidationPlan.completedChunks > 0
+                                                ? t('consolidation:resume')
+                                                : t('consolidation:consolidate')}
+                                        </Button>
+                                    </React.Fragment>
+                                ) : (
+                                    <Button
+                                        onClick={this.planConsolidation}
+                                        className="small"
+                                        loading={ui.isPlanningConsolidation}
+                                        disabled={ui.isSyncing || ui.isTransitioning || ui.isAttachingToTangle}
+                                    >
+                                        {t('consolidation:planConsolidation')}
+                                    </Button>
+                                )}
+                            </React.Fragment>
+                        )}
+                        {SeedStore[account.meta.type].isSeedAvailable && (
+                            <React.Fragment>
+                                <hr />
+                                <h3>{t('watchOnly:exportAddresses')}</h3>
+                                <p>{t('watchOnly:exportAddressesExplanation')}</p>
+                                <Button
+                                    onClick={this.exportWatchOnlyAddresses}
+                                    className="small"
+                                    disabled={ui.isSyncing || ui.isTransitioning || ui.isAttachingToTangle}
+                                >
+                                    {t('watchOnly:exportAddresses')}
+                                </Button>
+                            </React.Fragment>
+                        )}
                     </article>
                 </Scrollbar>
             </div>
@@ -254,10 +492,15 @@ const mapStateToProps = (state) => ({
 
 const mapDispatchToProps = {
     completeSnapshotTransition,
+    generateAlert,
     manuallySyncAccount,
     transitionForSnapshot,
     generateAddressesAndGetBalance,
     setBalanceCheckFlag,
+    setInputSelectionStrategy,
+    planConsolidation,
+    consolidateFunds,
+    setConsolidationPlan,
 };
 
 export default connect(
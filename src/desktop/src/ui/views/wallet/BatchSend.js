@@ -0,0 +1,368 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+
+import { formatIotas, MAX_MESSAGE_LENGTH, MAX_TAG_LENGTH } from 'libs/iota/utils';
+import { formatMonetaryValue } from 'libs/currency';
+import { getBatchPaymentValidationError, getBatchPaymentsTotal, parseBatchPaymentAmount } from 'libs/batchPayments';
+
+import SeedStore from 'libs/SeedStore';
+
+import Text from 'ui/components/input/Text';
+import Icon from 'ui/components/Icon';
+import Button from 'ui/components/Button';
+import Progress from 'ui/components/Progress';
+import Scrollbar from 'ui/components/Scrollbar';
+import Confirm from 'ui/components/modal/Confirm';
+import ModalPassword from 'ui/components/modal/Password';
+import withSendData from 'containers/wallet/Send';
+
+import css from './send.scss';
+
+const emptyRecipient = { address: '', amount: '', message: '', tag: '' };
+
+/**
+ * Batch payments (multiple recipients in a single bundle) component
+ */
+class BatchSend extends React.PureComponent {
+    static propTypes = {
+        /** @ignore */
+        isSending: PropTypes.bool.isRequired,
+        /** @ignore */
+        password: PropTypes.object.isRequired,
+        /** @ignore */
+        accountMeta: PropTypes.object.isRequired,
+        /** @ignore */
+        accountName: PropTypes.string.isRequired,
+        /** @ignore */
+        settings: PropTypes.shape({
+            conversionRate: PropTypes.number.isRequired,
+            currency: PropTypes.string.isRequired,
+            usdPrice: PropTypes.number.isRequired,
+        }),
+        /** @ignore */
+        progress: PropTypes.shape({
+            progress: PropTypes.number,
+            title: PropTypes.string,
+        }),
+        /** @ignore */
+        paymentUriContent: PropTypes.object.isRequired,
+        /** @ignore */
+        validateBatchRecipients: PropTypes.func.isRequired,
+        /** @ignore */
+        importBatchRecipients: PropTypes.func.isRequired,
+        /** @ignore */
+        sendBatchTransfer: PropTypes.func.isRequired,
+        /** @ignore */
+        isPasswordRequired: PropTypes.func.isRequired,
+        /** @ignore */
+        confirmPassword: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** @ignore */
+        themeName: PropTypes.string.isRequired,
+    };
+
+    state = {
+        recipient: emptyRecipient,
+        recipients: [],
+        isTransferModalVisible: false,
+        isPasswordModalVisible: false,
+    };
+
+    componentDidMount() {
+        this.setPaymentUriRecipients(this.props.paymentUriContent);
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (this.props.isSending && !nextProps.isSending) {
+            this.setState({ recipients: [] });
+        }
+
+        if (this.props.paymentUriContent !== nextProps.paymentUriContent) {
+            this.setPaymentUriRecipients(nextProps.paymentUriContent);
+        }
+    }
+
+    /**
+     * Set recipients of an opened (unpaid) payment URI with multiple recipients
+     * @param {object} content - Payment URI content
+     */
+    setPaymentUriRecipients = ({ recipients, bundle }) => {
+        if (recipients && recipients.length > 1 && !bundle) {
+            this.setState({ recipients });
+        }
+    };
+
+    setField = (field) => (value) => {
+        this.setState((prevState) => ({ recipient: { ...prevState.recipient, [field]: value } }));
+    };
+
+    addRecipient = () => {
+        const { generateAlert, t } = this.props;
+        const { recipient, recipients } = this.state;
+
+        const newRecipient = {
+            address: recipient.address,
+            value: recipient.amount === '' ? 0 : parseBatchPaymentAmount(recipient.amount),
+            message: recipient.message,
+            tag: recipient.tag,
+        };
+
+        const error = getBatchPaymentValidationError(newRecipient, recipients);
+
+        if (error) {
+            generateAlert(
+                'error',
+                t('batchPayments:invalidRecipient', { row: recipients.length + 1 }),
+                t(`batchPayments:${error}`),
+            );
+            return;
+        }
+
+        this.setState({
+            recipient: emptyRecipient,
+            recipients: [...recipients, newRecipient],
+        });
+    };
+
+    removeRecipient = (address) => {
+        this.setState((prevState) => ({
+            recipients: prevState.recipients.filter((recipient) => recipient.address !== address),
+        }));
+    };
+
+    openFileDialog = () => {
+        this.fileInput.value = null;
+        this.fileInput.click();
+    };
+
+    importFile = (e) => {
+        const { generateAlert, t } = this.props;
+        const file = e.target.files[0];
+
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            const recipients = this.props.importBatchRecipients(event.target.result);
+
+            if (recipients) {
+                this.setState({ recipients });
+            }
+        };
+
+        reader.onerror = () => {
+            generateAlert('error', t('batchPayments:csvReadError'), t('batchPayments:csvReadErrorExplanation'));
+        };
+
+        reader.readAsText(file);
+    };
+
+    validateInputs = (e) => {
+        e.preventDefault();
+
+        this.setState((prevState) => ({
+            isTransferModalVisible: this.props.validateBatchRecipients(prevState.recipients),
+        }));
+    };
+
+    confirmTransfer = () => {
+        // Transfers above the send policy threshold require the password to be re-entered
+        if (this.props.isPasswordRequired(getBatchPaymentsTotal(this.state.recipients))) {
+            this.setState({
+                isTransferModalVisible: false,
+                isPasswordModalVisible: true,
+            });
+        } else {
+            this.setState({
+                isTransferModalVisible: false,
+            });
+            this.sendTransfer();
+        }
+    };
+
+    confirmPassword = () => {
+        this.setState({
+            isPasswordModalVisible: false,
+        });
+
+        this.props.confirmPassword();
+        this.sendTransfer();
+    };
+
+    sendTransfer = async () => {
+        const { password, accountName, accountMeta, sendBatchTransfer } = this.props;
+
+        const seedStore = await new SeedStore[accountMeta.type](password, accountName, accountMeta);
+
+        sendBatchTransfer(seedStore, this.state.recipients);
+    };
+
+    render() {
+        const { themeName, accountMeta, isSending, settings, progress, t } = this.props;
+        const { recipient, recipients, isTransferModalVisible, isPasswordModalVisible } = this.state;
+
+        const total = getBatchPaymentsTotal(recipients);
+        const totalContents = `${formatIotas(total, false, true)} (${formatMonetaryValue(
+            total,
+            settings.usdPrice * settings.conversionRate,
+            settings.currency,
+        )})`;
+
+        if (['ledger', 'watchonly', 'multisig'].indexOf(accountMeta.type) > -1) {
+            return (
+                <div className={css.batch}>
+                    <p>
+                        {accountMeta.type === 'watchonly'
+                            ? t('watchOnly:watchOnlyAccountExplanation')
+                            : accountMeta.type === 'multisig'
+                            ? t('multisig:multisigAccountExplanation')
+                            : t('batchPayments:ledgerNotSupported')}
+                    </p>
+                    <footer>
+                        <Button to="/wallet/send" variant="secondary" className="outlineSmall">
+                            {t('back')}
+                        </Button>
+                    </footer>
+                </div>
+            );
+        }
+
+        return (
+            <form className={css.batch} onSubmit={this.validateInputs}>
+                <Confirm
+                    category="primary"
+                    isOpen={isTransferModalVisible}
+                    onCancel={() => this.setState({ isTransferModalVisible: false })}
+                    onConfirm={this.confirmTransfer}
+                    themeName={themeName}
+                    content={{
+                        title: t('batchPayments:youAreAbout', { total: totalContents, count: recipients.length }),
+                        message: (
+                            <ul className={css.recipients}>
+                                {recipients.map((item) => (
+                                    <li key={item.address}>
+                                        <span>{item.address.slice(0, 12)}...</span>
+                                        <strong>{formatIotas(item.value, false, true)}</strong>
+                                    </li>
+                                ))}
+                            </ul>
+                        ),
+                        confirm: t('send'),
+                        cancel: t('cancel'),
+                        animation: { name: 'sendingDesktop', loop: true, segments: [89, 624] },
+                    }}
+                />
+                <ModalPassword
+                    isOpen={isPasswordModalVisible}
+                    onSuccess={this.confirmPassword}
+                    onClose={() => this.setState({ isPasswordModalVisible: false })}
+                    content={{
+                        title: t('sendPolicies:enterPassword'),
+                        message: t('sendPolicies:enterPasswordExplanation'),
+                        confirm: t('send'),
+                    }}
+                />
+                <div className={isSending ? css.sending : null}>
+                    <fieldset>
+                        <Text
+                            value={recipient.address}
+                            label={t('send:recipientAddress')}
+                            onChange={(value) => this.setField('address')(value.trim())}
+                        />
+                        <div className={css.column}>
+                            <Text
+                                value={recipient.amount}
+                                label={t('batchPayments:amount')}
+                                onChange={this.setField('amount')}
+                            />
+                            <Text
+                                value={recipient.tag}
+                                label={t('batchPayments:tag')}
+                                maxLength={MAX_TAG_LENGTH}
+                                onChange={(value) => this.setField('tag')(value.toUpperCase())}
+                            />
+                        </div>
+                        <Text
+                            value={recipient.message}
+                            label={t('send:message')}
+                            maxLength={MAX_MESSAGE_LENGTH}
+                            onChange={this.setField('message')}
+                        />
+                        <nav>
+                            <Button
+                                onClick={this.addRecipient}
+                                className="small"
+                                variant="dark"
+                                disabled={!recipient.address.length}
+                            >
+                                {t('batchPayments:addRecipient')}
+                            </Button>
+                            <Button onClick={this.openFileDialog} className="small" variant="dark">
+                                {t('batchPayments:importCsv')}
+                            </Button>
+                            <input
+                                type="file"
+                                accept=".csv,text/csv,text/plain"
+                                style={{ display: 'none' }}
+                                onChange={this.importFile}
+                                ref={(el) => {
+                                    this.fileInput = el;
+                                }}
+                            />
+                        </nav>
+                        <small>{t('batchPayments:importCsvExplanation')}</small>
+                    </fieldset>
+                    <div>
+                        <h6>
+                            {t('batchPayments:recipients')} ({recipients.length})
+                            <span>
+                                {t('batchPayments:total')}: {formatIotas(total, false, true)}
+                            </span>
+                        </h6>
+                        {recipients.length ? (
+                            <ul className={css.recipients}>
+                                <Scrollbar>
+                                    {recipients.map((item) => (
+                                        <li key={item.address}>
+                                            <span>{item.address.slice(0, 12)}...</span>
+                                            <em>{item.message}</em>
+                                            <strong>{formatIotas(item.value, false, true)}</strong>
+                                            <a onClick={() => this.removeRecipient(item.address)}>
+                                                <Icon icon="cross" size={12} />
+                                            </a>
+                                        </li>
+                                    ))}
+                                </Scrollbar>
+                            </ul>
+                        ) : (
+                            <p>{t('batchPayments:noRecipients')}</p>
+                        )}
+                    </div>
+                </div>
+                <footer>
+                    {!isSending ? (
+                        <React.Fragment>
+                            <Button to="/wallet/send" variant="secondary" className="outlineSmall">
+                                {t('back')}
+                            </Button>
+                            <Button type="submit" className="small" variant="primary" disabled={!recipients.length}>
+                                {t('batchPayments:sendBatch')}
+                            </Button>
+                        </React.Fragment>
+                    ) : (
+                        <Progress {...progress} />
+                    )}
+                </footer>
+            </form>
+        );
+    }
+}
+
+export default withTranslation()(withSendData(BatchSend));
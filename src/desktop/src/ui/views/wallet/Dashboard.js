@@ -22,6 +22,11 @@ import Balance from 'ui/components/Balance';
 
 import Receive from 'ui/views/wallet/Receive';
 import Send from 'ui/views/wallet/Send';
+import BatchSend from 'ui/views/wallet/BatchSend';
+import OfflineSigning from 'ui/views/wallet/OfflineSigning';
+import Multisig from 'ui/views/wallet/Multisig';
+import PaymentRequests from 'ui/views/wallet/PaymentRequests';
+import ScheduledPayments from 'ui/views/wallet/ScheduledPayments';
 
 import css from './dashboard.scss';
 
@@ -43,6 +48,8 @@ class Dashboard extends React.PureComponent {
         /** @ignore */
         isDeepLinkActive: PropTypes.bool,
         /** @ignore */
+        paymentUriContent: PropTypes.object.isRequired,
+        /** @ignore */
         location: PropTypes.object,
         /** @ignore */
         history: PropTypes.shape({
@@ -54,7 +61,8 @@ class Dashboard extends React.PureComponent {
 
     componentWillMount() {
         if (this.props.isDeepLinkActive) {
-            this.props.history.push('/wallet/send');
+            const { recipients } = this.props.paymentUriContent;
+            this.props.history.push(recipients && recipients.length > 1 ? '/wallet/batch' : '/wallet/send');
         }
     }
 
@@ -95,8 +103,9 @@ class Dashboard extends React.PureComponent {
         const route = location.pathname.split('/')[2] || '/';
         const subroute = location.pathname.split('/')[3] || null;
 
-        const balanceOpen = ['send', 'receive'].indexOf(route) > -1;
-        const sendOpen = ['send'].indexOf(route) > -1;
+        const balanceOpen =
+            ['send', 'batch', 'offline', 'multisig', 'receive', 'requests', 'scheduled'].indexOf(route) > -1;
+        const sendOpen = ['send', 'batch', 'offline', 'multisig'].indexOf(route) > -1;
         const historyOpen = ['history'].indexOf(route) > -1;
 
         const os = Electron.getOS();
@@ -126,7 +135,12 @@ class Dashboard extends React.PureComponent {
                         <div className={sendOpen ? css.openRight : balanceOpen ? css.openLeft : css.close}>
                             <Switch location={location}>
                                 <Route path="/wallet/send" component={Send} />
+                                <Route path="/wallet/batch" component={BatchSend} />
+                                <Route path="/wallet/offline" component={OfflineSigning} />
+                                <Route path="/wallet/multisig" component={Multisig} />
                                 <Route path="/wallet/receive" component={Receive} />
+                                <Route path="/wallet/requests" component={PaymentRequests} />
+                                <Route path="/wallet/scheduled" component={ScheduledPayments} />
                             </Switch>
                         </div>
                     </section>
@@ -155,6 +169,7 @@ const mapStateToProps = (state) => ({
     accountMeta: getSelectedAccountMeta(state),
     password: state.wallet.password,
     isDeepLinkActive: state.wallet.deepLinkRequestActive,
+    paymentUriContent: state.ui.paymentUriContent,
 });
 
 const mapDispatchToProps = {
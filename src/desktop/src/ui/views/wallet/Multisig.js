@@ -0,0 +1,513 @@
+/* global Electron */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+
+import { getSelectedAccountName, getSelectedAccountMeta, getSendPolicyForSelectedAccount } from 'selectors/accounts';
+
+import { generateAlert } from 'actions/alerts';
+import { setSendPasswordConfirmed } from 'actions/ui';
+import { prepareMultisigTransfer, addMultisigSignature, broadcastSignedTransfer } from 'actions/transfers';
+
+import SeedStore from 'libs/SeedStore';
+import Errors from 'libs/errors';
+import { formatIotas, MAX_MESSAGE_LENGTH } from 'libs/iota/utils';
+import { parseBatchPaymentAmount } from 'libs/batchPayments';
+import { isPasswordRequiredForTransfer } from 'libs/sendPolicies';
+import {
+    OFFLINE_TRANSFER_TYPES,
+    serializeOfflineTransfer,
+    parseOfflineTransfer,
+    getUnsignedTransferSummary,
+    getSignedTransferSummary,
+    getQrFrames,
+} from 'libs/iota/offlineSigning';
+import { getMultisigSignatureStatus, isFullySignedMultisigTransfer } from 'libs/iota/multisig';
+
+import Text from 'ui/components/input/Text';
+import Button from 'ui/components/Button';
+import QR from 'ui/components/QR';
+import ModalPassword from 'ui/components/modal/Password';
+
+import css from './send.scss';
+
+/** Animated QR code frame duration in milliseconds */
+const QR_FRAME_DURATION = 300;
+
+/**
+ * Multisig transfer component, to initiate, co-sign and broadcast multisig transfers
+ */
+class Multisig extends React.PureComponent {
+    static propTypes = {
+        /** @ignore */
+        accountName: PropTypes.string.isRequired,
+        /** @ignore */
+        accountMeta: PropTypes.object.isRequired,
+        /** @ignore */
+        password: PropTypes.object,
+        /** @ignore */
+        sendPolicy: PropTypes.object,
+        /** @ignore */
+        isSyncing: PropTypes.bool.isRequired,
+        /** @ignore */
+        isSending: PropTypes.bool.isRequired,
+        /** @ignore */
+        isPreparing: PropTypes.bool.isRequired,
+        /** @ignore */
+        prepareMultisigTransfer: PropTypes.func.isRequired,
+        /** @ignore */
+        addMultisigSignature: PropTypes.func.isRequired,
+        /** @ignore */
+        broadcastSignedTransfer: PropTypes.func.isRequired,
+        /** @ignore */
+        setSendPasswordConfirmed: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = {
+        step: 'prepare',
+        address: '',
+        amount: '',
+        message: '',
+        transfer: null,
+        isPasswordModalVisible: false,
+        cosigners: [],
+        isSigning: false,
+        qrFrames: [],
+        qrIndex: 0,
+    };
+
+    componentDidMount() {
+        this.loadCosigners();
+    }
+
+    componentWillReceiveProps(nextProps) {
+        if (this.props.isSending && !nextProps.isSending) {
+            this.setState({ transfer: null });
+        }
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.qrInterval);
+    }
+
+    /**
+     * Loads co-signers of the selected multisig account, for signature status
+     *
+     * @method loadCosigners
+     */
+    async loadCosigners() {
+        const { password, accountName, accountMeta } = this.props;
+
+        if (!SeedStore[accountMeta.type].isMultisig) {
+            return;
+        }
+
+        const seedStore = await new SeedStore[accountMeta.type](password, accountName, accountMeta);
+        const cosigners = await seedStore.getCosigners();
+
+        this.setState({ cosigners });
+    }
+
+    /**
+     * Switches between prepare, sign and broadcast steps
+     *
+     * @method setStep
+     * @param {string} step
+     */
+    setStep(step) {
+        this.hideQr();
+        this.setState({ step, transfer: null });
+    }
+
+    /**
+     * Creates the unsigned multisig bundle (online)
+     *
+     * @method prepare
+     */
+    prepare = (e) => {
+        e.preventDefault();
+
+        const { sendPolicy, isSyncing, generateAlert, t } = this.props;
+
+        if (isSyncing) {
+            generateAlert('error', t('global:syncInProgress'), t('global:syncInProgressExplanation'));
+            return;
+        }
+
+        const value = parseBatchPaymentAmount(this.state.amount);
+
+        if (!Number.isInteger(value)) {
+            generateAlert('error', t('batchPayments:invalidRecipient', { row: 1 }), t('batchPayments:invalidAmount'));
+            return;
+        }
+
+        // Transfers above the send policy threshold require the password to be re-entered
+        if (isPasswordRequiredForTransfer(sendPolicy, value)) {
+            this.setState({ isPasswordModalVisible: true });
+            return;
+        }
+
+        this.prepareTransfer(value);
+    };
+
+    confirmPassword = () => {
+        this.setState({
+            isPasswordModalVisible: false,
+        });
+
+        this.props.setSendPasswordConfirmed(true);
+        this.prepareTransfer(parseBatchPaymentAmount(this.state.amount));
+    };
+
+    /**
+     * Prepares the transfer with the entered recipient and value
+     *
+     * @method prepareTransfer
+     * @param {number} value
+     */
+    prepareTransfer = async (value) => {
+        const { password, accountName, accountMeta } = this.props;
+        const { address, message } = this.state;
+
+        const seedStore = await new SeedStore[accountMeta.type](password, accountName, accountMeta);
+        const transfer = await this.props.prepareMultisigTransfer(
+            seedStore,
+            [{ address, value, message }],
+            accountName,
+        );
+
+        if (transfer) {
+            this.setState({ transfer });
+        }
+    };
+
+    /**
+     * Adds this co-signer's signature to the imported multisig bundle
+     *
+     * @method sign
+     */
+    sign = async () => {
+        const { password, accountName, accountMeta, generateAlert, t } = this.props;
+
+        this.setState({ isSigning: true });
+
+        const seedStore = await new SeedStore[accountMeta.type](password, accountName, accountMeta);
+        const transfer = await this.props.addMultisigSignature(seedStore, this.state.transfer, accountName);
+
+        this.setState({ isSigning: false });
+
+        if (transfer) {
+            this.setState({ transfer });
+            generateAlert('success', t('offlineSigning:signed'), t('multisig:signedExplanation'));
+        }
+    };
+
+    /**
+     * Attaches and broadcasts the imported fully signed multisig bundle
+     *
+     * @method broadcast
+     */
+    broadcast = async () => {
+        const { password, accountName, accountMeta } = this.props;
+
+        const seedStore = await new SeedStore[accountMeta.type](password, accountName, accountMeta);
+
+        this.props.broadcastSignedTransfer(seedStore, this.state.transfer, accountName);
+    };
+
+    /**
+     * Exports current multisig bundle to a file
+     *
+     * @method exportFile
+     */
+    exportFile = () => {
+        const { generateAlert, t } = this.props;
+        const { transfer } = this.state;
+
+        Electron.exportOfflineTransfer(serializeOfflineTransfer(transfer), transfer.type)
+            .then(() => {
+                generateAlert('success', t('offlineSigning:exported'), t('multisig:exportedExplanation'));
+            })
+            .catch((error) => {
+                if (error.message !== Errors.EXPORT_CANCELLED) {
+                    generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    );
+                }
+            });
+    };
+
+    openFileDialog = () => {
+        this.fileInput.value = null;
+        this.fileInput.click();
+    };
+
+    /**
+     * Imports a multisig bundle from a file
+     *
+     * @method importFile
+     */
+    importFile = (e) => {
+        const { generateAlert, t } = this.props;
+        const file = e.target.files[0];
+
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = (event) => {
+            try {
+                this.setState({ transfer: parseOfflineTransfer(event.target.result, OFFLINE_TRANSFER_TYPES.multisig) });
+            } catch (error) {
+                generateAlert(
+                    'error',
+                    t('offlineSigning:invalidTransfer'),
+                    error.message === Errors.UNSUPPORTED_OFFLINE_TRANSFER_VERSION
+                        ? t('offlineSigning:unsupportedVersionExplanation')
+                        : t('offlineSigning:invalidTransferExplanation'),
+                );
+            }
+        };
+
+        reader.readAsText(file);
+    };
+
+    /**
+     * Shows current multisig bundle as an animated QR code
+     *
+     * @method showQr
+     */
+    showQr = () => {
+        const { transfer } = this.state;
+
+        clearInterval(this.qrInterval);
+
+        this.setState({ qrFrames: getQrFrames(serializeOfflineTransfer(transfer)), qrIndex: 0 });
+
+        this.qrInterval = setInterval(() => {
+            this.setState((prevState) => ({ qrIndex: (prevState.qrIndex + 1) % prevState.qrFrames.length }));
+        }, QR_FRAME_DURATION);
+    };
+
+    hideQr = () => {
+        clearInterval(this.qrInterval);
+        this.setState({ qrFrames: [], qrIndex: 0 });
+    };
+
+    renderSummary() {
+        const { t } = this.props;
+        const { transfer, cosigners, qrFrames, qrIndex } = this.state;
+
+        if (qrFrames.length) {
+            return (
+                <div className={css.qr}>
+                    <QR data={qrFrames[qrIndex]} />
+                    <small>{t('offlineSigning:frame', { index: qrIndex + 1, total: qrFrames.length })}</small>
+                </div>
+            );
+        }
+
+        const { outputs, value, remainderValue, remainderAddress } = getUnsignedTransferSummary(transfer);
+
+        return (
+            <React.Fragment>
+                <h6>
+                    {t('offlineSigning:summary')}
+                    <span>
+                        {t('batchPayments:total')}: {formatIotas(value, false, true)}
+                    </span>
+                </h6>
+                <small>{t('offlineSigning:verifySummary')}</small>
+                <ul className={css.recipients}>
+                    {outputs.map((output) => (
+                        <li key={output.address}>
+                            <span>{output.address.slice(0, 30)}...</span>
+                            <strong>{formatIotas(output.value, false, true)}</strong>
+                        </li>
+                    ))}
+                    {remainderValue > 0 && (
+                        <li>
+                            <span>{remainderAddress.slice(0, 30)}...</span>
+                            <em>{t('offlineSigning:remainder')}</em>
+                            <strong>{formatIotas(remainderValue, false, true)}</strong>
+                        </li>
+                    )}
+                    <li>
+                        <em>
+                            {t('offlineSigning:bundle')}: {getSignedTransferSummary(transfer).bundle}
+                        </em>
+                    </li>
+                </ul>
+                <h6>{t('multisig:signatures')}</h6>
+                <ul className={css.recipients}>
+                    {getMultisigSignatureStatus(transfer, cosigners).map((cosigner) => (
+                        <li key={cosigner.name}>
+                            <span>{cosigner.name}</span>
+                            <strong>{cosigner.isSigned ? t('multisig:signed') : t('multisig:notSigned')}</strong>
+                        </li>
+                    ))}
+                </ul>
+            </React.Fragment>
+        );
+    }
+
+    renderActions() {
+        const { isSending, isPreparing, t } = this.props;
+        const { step, transfer, isSigning, qrFrames } = this.state;
+
+        if (!transfer) {
+            return step === 'prepare' ? (
+                <Button type="submit" className="small" variant="primary" loading={isPreparing}>
+                    {t('offlineSigning:prepare')}
+                </Button>
+            ) : (
+                <React.Fragment>
+                    <Button onClick={this.openFileDialog} className="small" variant="dark">
+                        {t('multisig:importTransfer')}
+                    </Button>
+                    <input
+                        type="file"
+                        accept=".json,application/json"
+                        style={{ display: 'none' }}
+                        onChange={this.importFile}
+                        ref={(el) => {
+                            this.fileInput = el;
+                        }}
+                    />
+                </React.Fragment>
+            );
+        }
+
+        if (step === 'broadcast') {
+            return (
+                <Button onClick={this.broadcast} className="small" variant="primary" loading={isSending}>
+                    {t('offlineSigning:broadcast')}
+                </Button>
+            );
+        }
+
+        return (
+            <nav>
+                {!isFullySignedMultisigTransfer(transfer) && (
+                    <Button onClick={this.sign} className="small" variant="primary" loading={isSigning}>
+                        {t('offlineSigning:sign')}
+                    </Button>
+                )}
+                <Button onClick={this.exportFile} className="small" variant="dark">
+                    {t('offlineSigning:exportFile')}
+                </Button>
+                <Button onClick={qrFrames.length ? this.hideQr : this.showQr} className="small" variant="dark">
+                    {qrFrames.length ? t('offlineSigning:hideQr') : t('offlineSigning:showQr')}
+                </Button>
+            </nav>
+        );
+    }
+
+    render() {
+        const { accountMeta, t } = this.props;
+        const { step, address, amount, message, transfer, isPasswordModalVisible } = this.state;
+
+        if (!SeedStore[accountMeta.type].isMultisig) {
+            return (
+                <div className={css.batch}>
+                    <p>{t('multisig:notMultisigAccount')}</p>
+                    <footer>
+                        <Button to="/wallet/send" variant="secondary" className="outlineSmall">
+                            {t('back')}
+                        </Button>
+                    </footer>
+                </div>
+            );
+        }
+
+        return (
+            <form className={css.batch} onSubmit={this.prepare}>
+                <nav className={css.steps}>
+                    {['prepare', 'sign', 'broadcast'].map((item) => (
+                        <a key={item} className={step === item ? css.active : null} onClick={() => this.setStep(item)}>
+                            {t(`offlineSigning:${item}`)}
+                        </a>
+                    ))}
+                </nav>
+                <div>
+                    <fieldset>
+                        <p>{t(`multisig:${step}Explanation`)}</p>
+                        {step === 'prepare' && !transfer && (
+                            <React.Fragment>
+                                <Text
+                                    value={address}
+                                    label={t('send:recipientAddress')}
+                                    onChange={(value) => this.setState({ address: value.trim() })}
+                                />
+                                <Text
+                                    value={amount}
+                                    label={t('batchPayments:amount')}
+                                    onChange={(value) => this.setState({ amount: value })}
+                                />
+                                <Text
+                                    value={message}
+                                    label={t('send:message')}
+                                    maxLength={MAX_MESSAGE_LENGTH}
+                                    onChange={(value) => this.setState({ message: value })}
+                                />
+                            </React.Fragment>
+                        )}
+                        {this.renderActions()}
+                    </fieldset>
+                    <div>{transfer ? this.renderSummary() : <p>{t('offlineSigning:noTransfer')}</p>}</div>
+                </div>
+                <footer>
+                    <Button to="/wallet/send" variant="secondary" className="outlineSmall">
+                        {t('back')}
+                    </Button>
+                    {transfer && (
+                        <Button onClick={() => this.setStep(step)} variant="secondary" className="outlineSmall">
+                            {t('offlineSigning:startOver')}
+                        </Button>
+                    )}
+                </footer>
+                <ModalPassword
+                    isOpen={isPasswordModalVisible}
+                    onSuccess={this.confirmPassword}
+                    onClose={() => this.setState({ isPasswordModalVisible: false })}
+                    content={{
+                        title: t('sendPolicies:enterPassword'),
+                        message: t('sendPolicies:enterPasswordExplanation'),
+                        confirm: t('offlineSigning:prepare'),
+                    }}
+                />
+            </form>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    accountName: getSelectedAccountName(state),
+    accountMeta: getSelectedAccountMeta(state),
+    password: state.wallet.password,
+    sendPolicy: getSendPolicyForSelectedAccount(state),
+    isSyncing: state.ui.isSyncing,
+    isSending: state.ui.isSendingTransfer,
+    isPreparing: state.ui.isPreparingUnsignedTransfer,
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+    setSendPasswordConfirmed,
+    prepareMultisigTransfer,
+    addMultisigSignature,
+    broadcastSignedTransfer,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(Multisig));
@@ -0,0 +1,100 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { connect } from 'react-redux';
+import { withTranslation } from 'react-i18next';
+
+import { formatIotas } from 'libs/iota/utils';
+import { formatTimeAs, detectedTimezone } from 'libs/date';
+import { createPaymentRequestLink } from 'libs/paymentRequests';
+
+import { getPaymentRequestsForSelectedAccount } from 'selectors/accounts';
+import { removePaymentRequest } from 'actions/paymentRequests';
+
+import Button from 'ui/components/Button';
+import Clipboard from 'ui/components/Clipboard';
+import Scrollbar from 'ui/components/Scrollbar';
+
+import css from './send.scss';
+
+/**
+ * Payment requests list component
+ */
+class PaymentRequests extends React.PureComponent {
+    static propTypes = {
+        /** @ignore */
+        paymentRequests: PropTypes.array.isRequired,
+        /** @ignore */
+        removePaymentRequest: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    renderRequest(request) {
+        const { t } = this.props;
+        const { address, message, expectedAmount, receivedAmount, timeoutAt, status } = request;
+
+        return (
+            <li key={address}>
+                <span>{message || `${address.slice(0, 20)}...`}</span>
+                <em>
+                    {formatIotas(receivedAmount, false, true)}
+                    {expectedAmount > 0 && ` / ${formatIotas(expectedAmount, false, true)}`}
+                    {' · '}
+                    {t('paymentRequests:expires', {
+                        date: formatTimeAs.dayMonthYearHoursMinutes(
+                            navigator.language,
+                            detectedTimezone,
+                            timeoutAt * 1000,
+                        ),
+                    })}
+                </em>
+                <strong>{t(`paymentRequests:${status}`)}</strong>
+                <Clipboard
+                    text={createPaymentRequestLink(request)}
+                    title={t('paymentRequests:linkCopied')}
+                    success={t('paymentRequests:linkCopiedExplanation')}
+                >
+                    <a>{t('paymentRequests:copyLink')}</a>
+                </Clipboard>
+                <a onClick={() => this.props.removePaymentRequest(address)}>{t('paymentRequests:remove')}</a>
+            </li>
+        );
+    }
+
+    render() {
+        const { paymentRequests, t } = this.props;
+
+        return (
+            <div className={classNames(css.batch, css.requests)}>
+                <div>
+                    <div>
+                        <h6>{t('paymentRequests:paymentRequests')}</h6>
+                        {paymentRequests.length ? (
+                            <ul className={css.recipients}>
+                                <Scrollbar>{paymentRequests.map((request) => this.renderRequest(request))}</Scrollbar>
+                            </ul>
+                        ) : (
+                            <p>{t('paymentRequests:noPaymentRequests')}</p>
+                        )}
+                    </div>
+                </div>
+                <footer>
+                    <Button to="/wallet/receive" variant="secondary" className="outlineSmall">
+                        {t('back')}
+                    </Button>
+                </footer>
+            </div>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    paymentRequests: getPaymentRequestsForSelectedAccount(state),
+});
+
+const mapDispatchToProps = {
+    removePaymentRequest,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(PaymentRequests));
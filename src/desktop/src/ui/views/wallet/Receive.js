@@ -3,6 +3,7 @@ import PropTypes from 'prop-types';
 import classNames from 'classnames';
 import { withTranslation } from 'react-i18next';
 import { connect } from 'react-redux';
+import { Link } from 'react-router-dom';
 
 import {
     selectLatestAddressFromAccountFactory,
@@ -13,6 +14,7 @@ import {
 
 import { generateAlert } from 'actions/alerts';
 import { generateNewAddress, addressValidationRequest, addressValidationSuccess } from 'actions/wallet';
+import { createPaymentRequest } from 'actions/paymentRequests';
 
 import SeedStore from 'libs/SeedStore';
 import { randomBytes } from 'libs/crypto';
@@ -20,11 +22,15 @@ import Errors from 'libs/errors';
 import { byteToChar } from 'libs/iota/converter';
 import { getLatestAddressObject } from 'libs/iota/addresses';
 import { ADDRESS_LENGTH, MAX_MESSAGE_LENGTH } from 'libs/iota/utils';
+import { PAYMENT_REQUEST_TIMEOUTS, createPaymentRequestLink } from 'libs/paymentRequests';
+import { serialisePaymentUri } from 'libs/paymentUri';
 
 import Button from 'ui/components/Button';
 import Icon from 'ui/components/Icon';
 import Clipboard from 'ui/components/Clipboard';
 import Text from 'ui/components/input/Text';
+import AmountInput from 'ui/components/input/Amount';
+import Select from 'ui/components/input/Select';
 import QR from 'ui/components/QR';
 
 import css from './receive.scss';
@@ -68,10 +74,21 @@ class Receive extends React.PureComponent {
         addressValidationSuccess: PropTypes.func.isRequired,
         /** @ignore */
         isValidatingAddress: PropTypes.bool.isRequired,
+        /** @ignore */
+        settings: PropTypes.shape({
+            conversionRate: PropTypes.number.isRequired,
+            currency: PropTypes.string.isRequired,
+            usdPrice: PropTypes.number.isRequired,
+        }).isRequired,
+        /** @ignore */
+        createPaymentRequest: PropTypes.func.isRequired,
     };
 
     state = {
         message: '',
+        amount: '',
+        timeout: 'day',
+        paymentRequest: null,
         scramble: new Array(ADDRESS_LENGTH).fill(0),
         hasSyncedAddress: false,
     };
@@ -83,6 +100,7 @@ class Receive extends React.PureComponent {
             this.setState({
                 scramble: randomBytes(ADDRESS_LENGTH),
                 hasSyncedAddress: true,
+                paymentRequest: null,
             });
 
             this.unscramble();
@@ -148,6 +166,35 @@ class Receive extends React.PureComponent {
         }
     };
 
+    /**
+     * Create a payment request (Conditional Deposit Address) for the generated address
+     * @returns {undefined}
+     */
+    onRequestPaymentPress = () => {
+        const { accountName, receiveAddress, generateAlert, t } = this.props;
+        const { message, amount, timeout, hasSyncedAddress } = this.state;
+
+        if (!hasSyncedAddress) {
+            return generateAlert(
+                'error',
+                t('receive:generateAnAddressTitle'),
+                t('receive:generateAnAddressExplanation'),
+            );
+        }
+
+        const paymentRequest = this.props.createPaymentRequest({
+            accountName,
+            address: receiveAddress,
+            expectedAmount: parseInt(amount || '0', 10),
+            message,
+            timeoutAt: Math.floor(Date.now() / 1000) + PAYMENT_REQUEST_TIMEOUTS[timeout],
+        });
+
+        if (paymentRequest) {
+            this.setState({ paymentRequest });
+        }
+    };
+
     unscramble() {
         const { scramble } = this.state;
 
@@ -181,14 +228,25 @@ class Receive extends React.PureComponent {
     }
 
     render() {
-        const { t, receiveAddress, isGeneratingReceiveAddress, hadErrorGeneratingNewAddress } = this.props;
-        const { message, scramble, hasSyncedAddress } = this.state;
+        const { t, receiveAddress, isGeneratingReceiveAddress, hadErrorGeneratingNewAddress, settings } = this.props;
+        const { message, amount, timeout, paymentRequest, scramble, hasSyncedAddress } = this.state;
+
+        const paymentRequestLink = paymentRequest ? createPaymentRequestLink(paymentRequest) : null;
 
         return (
             <div className={classNames(css.receive, receiveAddress.length < 2 ? css.empty : css.full)}>
                 {!hadErrorGeneratingNewAddress && hasSyncedAddress ? (
                     <div className={isGeneratingReceiveAddress ? css.loading : null}>
-                        <QR data={JSON.stringify({ address: receiveAddress, message: message })} />
+                        <QR
+                            data={
+                                paymentRequestLink ||
+                                serialisePaymentUri({
+                                    recipients: [
+                                        { address: receiveAddress, amount: parseInt(amount || '0', 10), message },
+                                    ],
+                                })
+                            }
+                        />
                         {receiveAddress && (
                             <Clipboard
                                 text={receiveAddress}
@@ -243,9 +301,45 @@ class Receive extends React.PureComponent {
                     <Text
                         value={message}
                         label={t('send:message')}
-                        onChange={(value) => this.setState({ message: value })}
+                        onChange={(value) => this.setState({ message: value, paymentRequest: null })}
                         maxLength={MAX_MESSAGE_LENGTH}
                     />
+                    <AmountInput
+                        amount={amount}
+                        settings={settings}
+                        label={t('paymentRequests:requestedAmount')}
+                        labelMax={t('send:max')}
+                        balance={0}
+                        onChange={(value) => this.setState({ amount: value, paymentRequest: null })}
+                    />
+                    <Select
+                        value={timeout}
+                        label={t('paymentRequests:expiresIn')}
+                        valueLabel={t(`paymentRequests:${timeout}`)}
+                        onChange={(value) => this.setState({ timeout: value, paymentRequest: null })}
+                        options={Object.keys(PAYMENT_REQUEST_TIMEOUTS).map((item) => ({
+                            value: item,
+                            label: t(`paymentRequests:${item}`),
+                        }))}
+                    />
+                    <div className={css.paymentRequest}>
+                        {paymentRequestLink ? (
+                            <Clipboard
+                                text={paymentRequestLink}
+                                title={t('paymentRequests:linkCopied')}
+                                success={t('paymentRequests:linkCopiedExplanation')}
+                            >
+                                <Button className="small" variant="dark" onClick={() => {}}>
+                                    {t('paymentRequests:copyLink')}
+                                </Button>
+                            </Clipboard>
+                        ) : (
+                            <Button className="small" variant="dark" onClick={this.onRequestPaymentPress}>
+                                {t('paymentRequests:requestPayment')}
+                            </Button>
+                        )}
+                        <Link to="/wallet/requests">{t('paymentRequests:paymentRequests')}</Link>
+                    </div>
                     <footer>
                         <Button id="to-wallet" to="/wallet/" variant="secondary" className="outlineSmall">
                             {t('close')}
@@ -277,6 +371,11 @@ const mapStateToProps = (state) => ({
     accountMeta: getSelectedAccountMeta(state),
     password: state.wallet.password,
     isValidatingAddress: state.wallet.isValidatingAddress,
+    settings: {
+        currency: state.settings.currency,
+        conversionRate: state.settings.conversionRate,
+        usdPrice: state.marketData.usdPrice,
+    },
 });
 
 const mapDispatchToProps = {
@@ -284,6 +383,7 @@ const mapDispatchToProps = {
     generateNewAddress,
     addressValidationRequest,
     addressValidationSuccess,
+    createPaymentRequest,
 };
 
 export default connect(
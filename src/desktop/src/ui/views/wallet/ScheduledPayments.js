@@ -0,0 +1,426 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { connect } from 'react-redux';
+import { withTranslation } from 'react-i18next';
+
+import { formatIotas, MAX_MESSAGE_LENGTH } from 'libs/iota/utils';
+import { formatTimeAs, detectedTimezone } from 'libs/date';
+import {
+    SCHEDULED_PAYMENT_AMOUNT_TYPES,
+    SCHEDULED_PAYMENT_FREQUENCIES,
+    SCHEDULED_PAYMENT_STATUSES,
+    getScheduledPaymentName,
+    isScheduledPaymentPasswordRequired,
+    parseScheduledPaymentStartTime,
+} from 'libs/scheduledPayments';
+
+import SeedStore from 'libs/SeedStore';
+
+import {
+    getScheduledPaymentsForSelectedAccount,
+    getSelectedAccountName,
+    getSelectedAccountMeta,
+    getSendPolicyForSelectedAccount,
+} from 'selectors/accounts';
+import { getMarketDataFromState } from 'selectors/global';
+import { generateAlert } from 'actions/alerts';
+import { setSendPasswordConfirmed } from 'actions/ui';
+import {
+    createScheduledPayment,
+    executeScheduledPayment,
+    skipScheduledPayment,
+    removeScheduledPayment,
+} from 'actions/scheduledPayments';
+
+import Text from 'ui/components/input/Text';
+import AmountInput from 'ui/components/input/Amount';
+import Select from 'ui/components/input/Select';
+import Checkbox from 'ui/components/Checkbox';
+import Button from 'ui/components/Button';
+import Scrollbar from 'ui/components/Scrollbar';
+import ModalPassword from 'ui/components/modal/Password';
+
+import css from './send.scss';
+
+const initialState = {
+    address: '',
+    label: '',
+    message: '',
+    amountType: SCHEDULED_PAYMENT_AMOUNT_TYPES.iota,
+    amount: '',
+    fiatAmount: '',
+    frequency: SCHEDULED_PAYMENT_FREQUENCIES.monthly,
+    date: '',
+    time: '',
+    requiresConfirmation: false,
+    expandedPayment: null,
+    passwordPaymentId: null,
+};
+
+/**
+ * Scheduled (one-off and recurring) payments component
+ */
+class ScheduledPayments extends React.PureComponent {
+    static propTypes = {
+        /** @ignore */
+        scheduledPayments: PropTypes.array.isRequired,
+        /** @ignore */
+        accountName: PropTypes.string.isRequired,
+        /** @ignore */
+        accountMeta: PropTypes.object.isRequired,
+        /** @ignore */
+        password: PropTypes.object.isRequired,
+        /** @ignore */
+        isSending: PropTypes.bool.isRequired,
+        /** @ignore */
+        sendPolicy: PropTypes.object,
+        /** @ignore */
+        marketData: PropTypes.object.isRequired,
+        /** @ignore */
+        settings: PropTypes.shape({
+            conversionRate: PropTypes.number.isRequired,
+            currency: PropTypes.string.isRequired,
+            usdPrice: PropTypes.number.isRequired,
+        }),
+        /** @ignore */
+        createScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        executeScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        skipScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        removeScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        setSendPasswordConfirmed: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    state = initialState;
+
+    setField = (field) => (value) => this.setState({ [field]: value });
+
+    /**
+     * Validate and store scheduled payment
+     * @param {Event} e - Form submit event
+     * @returns {undefined}
+     */
+    schedulePayment = (e) => {
+        const { accountName, settings } = this.props;
+        const { address, label, message, amountType, amount, fiatAmount, frequency, date, time } = this.state;
+
+        e.preventDefault();
+
+        const payment = this.props.createScheduledPayment({
+            accountName,
+            address,
+            label,
+            message,
+            amountType,
+            value: parseInt(amount || '0', 10),
+            fiatAmount: parseFloat(fiatAmount),
+            currency: settings.currency,
+            frequency,
+            startAt: parseScheduledPaymentStartTime(date, time),
+            requiresConfirmation: this.state.requiresConfirmation,
+        });
+
+        if (payment) {
+            this.setState(initialState);
+        }
+    };
+
+    /**
+     * Send a scheduled payment awaiting confirmation
+     * Payments above the send policy threshold require the password to be re-entered
+     * @param {object} payment - Scheduled payment
+     * @returns {undefined}
+     */
+    confirmPayment = (payment) => {
+        const { sendPolicy, marketData, isSending, t } = this.props;
+
+        if (isSending) {
+            return this.props.generateAlert('error', t('global:pleaseWait'), t('global:pleaseWaitExplanation'));
+        }
+
+        if (isScheduledPaymentPasswordRequired(payment, sendPolicy, marketData)) {
+            return this.setState({ passwordPaymentId: payment.id });
+        }
+
+        this.sendPayment(payment.id);
+    };
+
+    confirmPassword = () => {
+        const { passwordPaymentId } = this.state;
+
+        this.setState({
+            passwordPaymentId: null,
+        });
+
+        this.props.setSendPasswordConfirmed(true);
+        this.sendPayment(passwordPaymentId);
+    };
+
+    /**
+     * Send a scheduled payment
+     * @param {string} id - Scheduled payment id
+     * @returns {undefined}
+     */
+    sendPayment = async (id) => {
+        const { accountName, accountMeta, password } = this.props;
+
+        const seedStore = await new SeedStore[accountMeta.type](password, accountName, accountMeta);
+
+        this.props.executeScheduledPayment(id, seedStore);
+    };
+
+    renderPayment(payment) {
+        const { isSending, t } = this.props;
+        const { expandedPayment } = this.state;
+        const { id, amountType, value, fiatAmount, currency, frequency, nextExecutionAt, status, executions } = payment;
+
+        return (
+            <li key={id}>
+                <div>
+                    <span>{getScheduledPaymentName(payment)}</span>
+                    <em>
+                        {amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat
+                            ? `${fiatAmount} ${currency}`
+                            : formatIotas(value, false, true)}
+                        {' · '}
+                        {t(`scheduledPayments:${frequency}`)}
+                        {' · '}
+                        {status === SCHEDULED_PAYMENT_STATUSES.active
+                            ? t('scheduledPayments:nextPayment', {
+                                  date: formatTimeAs.dayMonthYearHoursMinutes(
+                                      navigator.language,
+                                      detectedTimezone,
+                                      nextExecutionAt * 1000,
+                                  ),
+                              })
+                            : t(`scheduledPayments:${status}`)}
+                    </em>
+                    {status === SCHEDULED_PAYMENT_STATUSES.awaitingConfirmation && !isSending && (
+                        <React.Fragment>
+                            <a onClick={() => this.confirmPayment(payment)}>{t('scheduledPayments:confirm')}</a>
+                            <a onClick={() => this.props.skipScheduledPayment(id)}>{t('scheduledPayments:skip')}</a>
+                        </React.Fragment>
+                    )}
+                    <a onClick={() => this.setState({ expandedPayment: expandedPayment === id ? null : id })}>
+                        {t('scheduledPayments:history')}
+                    </a>
+                    <a onClick={() => this.props.removeScheduledPayment(id)}>{t('scheduledPayments:remove')}</a>
+                </div>
+                {expandedPayment === id && (
+                    <ul>
+                        {executions.length ? (
+                            executions
+                                .slice()
+                                .reverse()
+                                .map((execution) => (
+                                    <li key={execution.executedAt}>
+                                        <em>
+                                            {formatTimeAs.dayMonthYearHoursMinutes(
+                                                navigator.language,
+                                                detectedTimezone,
+                                                execution.executedAt * 1000,
+                                            )}
+                                        </em>
+                                        <em>{execution.value > 0 && formatIotas(execution.value, false, true)}</em>
+                                        <strong title={execution.error}>
+                                            {t(`scheduledPayments:${execution.status}`)}
+                                        </strong>
+                                    </li>
+                                ))
+                        ) : (
+                            <li>
+                                <em>{t('scheduledPayments:noExecutions')}</em>
+                            </li>
+                        )}
+                    </ul>
+                )}
+            </li>
+        );
+    }
+
+    render() {
+        const { scheduledPayments, accountMeta, settings, t } = this.props;
+        const {
+            address,
+            label,
+            message,
+            amountType,
+            amount,
+            fiatAmount,
+            frequency,
+            date,
+            time,
+            passwordPaymentId,
+        } = this.state;
+
+        if (['ledger', 'watchonly', 'multisig'].indexOf(accountMeta.type) > -1) {
+            return (
+                <div className={css.batch}>
+                    <p>
+                        {accountMeta.type === 'watchonly'
+                            ? t('watchOnly:watchOnlyAccountExplanation')
+                            : accountMeta.type === 'multisig'
+                            ? t('multisig:multisigAccountExplanation')
+                            : t('scheduledPayments:ledgerNotSupported')}
+                    </p>
+                    <footer>
+                        <Button to="/wallet/send" variant="secondary" className="outlineSmall">
+                            {t('back')}
+                        </Button>
+                    </footer>
+                </div>
+            );
+        }
+
+        return (
+            <form className={classNames(css.batch, css.scheduled)} onSubmit={this.schedulePayment}>
+                <div>
+                    <fieldset>
+                        <Text
+                            value={address}
+                            label={t('scheduledPayments:recipientAddress')}
+                            onChange={(value) => this.setField('address')(value.trim())}
+                        />
+                        <Select
+                            value={amountType}
+                            label={t('scheduledPayments:amount')}
+                            valueLabel={
+                                amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat
+                                    ? t('scheduledPayments:amountInFiat', { currency: settings.currency })
+                                    : t('scheduledPayments:amountInIota')
+                            }
+                            onChange={this.setField('amountType')}
+                            options={[
+                                {
+                                    value: SCHEDULED_PAYMENT_AMOUNT_TYPES.iota,
+                                    label: t('scheduledPayments:amountInIota'),
+                                },
+                                {
+                                    value: SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat,
+                                    label: t('scheduledPayments:amountInFiat', { currency: settings.currency }),
+                                },
+                            ]}
+                        />
+                        {amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat ? (
+                            <Text
+                                value={fiatAmount}
+                                label={settings.currency}
+                                placeholder={t('scheduledPayments:fiatAmountExplanation')}
+                                onChange={this.setField('fiatAmount')}
+                            />
+                        ) : (
+                            <AmountInput
+                                amount={amount}
+                                settings={settings}
+                                label={t('scheduledPayments:amount')}
+                                labelMax={t('send:max')}
+                                balance={0}
+                                onChange={this.setField('amount')}
+                            />
+                        )}
+                        <Select
+                            value={frequency}
+                            label={t('scheduledPayments:frequency')}
+                            valueLabel={t(`scheduledPayments:${frequency}`)}
+                            onChange={this.setField('frequency')}
+                            options={Object.keys(SCHEDULED_PAYMENT_FREQUENCIES).map((item) => ({
+                                value: item,
+                                label: t(`scheduledPayments:${item}`),
+                            }))}
+                        />
+                        <div className={css.column}>
+                            <Text
+                                value={date}
+                                label={t('scheduledPayments:startDate')}
+                                placeholder={t('scheduledPayments:datePlaceholder')}
+                                onChange={this.setField('date')}
+                            />
+                            <Text
+                                value={time}
+                                label={t('scheduledPayments:startTime')}
+                                placeholder={t('scheduledPayments:timePlaceholder')}
+                                onChange={this.setField('time')}
+                            />
+                        </div>
+                        <Text value={label} label={t('scheduledPayments:label')} onChange={this.setField('label')} />
+                        <Text
+                            value={message}
+                            label={t('scheduledPayments:message')}
+                            maxLength={MAX_MESSAGE_LENGTH}
+                            onChange={this.setField('message')}
+                        />
+                        <Checkbox
+                            className="small"
+                            checked={this.state.requiresConfirmation}
+                            label={t('scheduledPayments:requiresConfirmation')}
+                            onChange={this.setField('requiresConfirmation')}
+                        />
+                        <small>{t('scheduledPayments:scheduledPaymentsExplanation')}</small>
+                    </fieldset>
+                    <div>
+                        <h6>{t('scheduledPayments:scheduledPayments')}</h6>
+                        {scheduledPayments.length ? (
+                            <ul className={css.recipients}>
+                                <Scrollbar>{scheduledPayments.map((payment) => this.renderPayment(payment))}</Scrollbar>
+                            </ul>
+                        ) : (
+                            <p>{t('scheduledPayments:noScheduledPayments')}</p>
+                        )}
+                    </div>
+                </div>
+                <footer>
+                    <Button to="/wallet/send" variant="secondary" className="outlineSmall">
+                        {t('back')}
+                    </Button>
+                    <Button type="submit" className="small" variant="primary" disabled={!address.length}>
+                        {t('scheduledPayments:schedulePayment')}
+                    </Button>
+                </footer>
+                <ModalPassword
+                    isOpen={passwordPaymentId !== null}
+                    onSuccess={this.confirmPassword}
+                    onClose={() => this.setState({ passwordPaymentId: null })}
+                    content={{
+                        title: t('sendPolicies:enterPassword'),
+                        message: t('sendPolicies:enterPasswordExplanation'),
+                        confirm: t('scheduledPayments:confirm'),
+                    }}
+                />
+            </form>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    scheduledPayments: getScheduledPaymentsForSelectedAccount(state),
+    accountName: getSelectedAccountName(state),
+    accountMeta: getSelectedAccountMeta(state),
+    password: state.wallet.password,
+    isSending: state.ui.isSendingTransfer,
+    sendPolicy: getSendPolicyForSelectedAccount(state),
+    marketData: getMarketDataFromState(state),
+    settings: {
+        currency: state.settings.currency,
+        conversionRate: state.settings.conversionRate,
+        usdPrice: state.marketData.usdPrice,
+    },
+});
+
+const mapDispatchToProps = {
+    createScheduledPayment,
+    executeScheduledPayment,
+    skipScheduledPayment,
+    removeScheduledPayment,
+    setSendPasswordConfirmed,
+    generateAlert,
+};
+
+export default connect(mapStateToProps, mapDispatchToProps)(withTranslation()(ScheduledPayments));
@@ -1,10 +1,13 @@
 import isUndefined from 'lodash/isUndefined';
 import isEmpty from 'lodash/isEmpty';
+import includes from 'lodash/includes';
+import without from 'lodash/without';
 import React from 'react';
 import PropTypes from 'prop-types';
 import { withTranslation } from 'react-i18next';
+import { Link } from 'react-router-dom';
 
-import { formatIotas, MAX_MESSAGE_LENGTH } from 'libs/iota/utils';
+import { formatIotas, MAX_MESSAGE_LENGTH, MAX_TAG_LENGTH } from 'libs/iota/utils';
 import { formatMonetaryValue } from 'libs/currency';
 
 import SeedStore from 'libs/SeedStore';
@@ -12,12 +15,15 @@ import SeedStore from 'libs/SeedStore';
 import AddressInput from 'ui/components/input/Address';
 import AmountInput from 'ui/components/input/Amount';
 import TextInput from 'ui/components/input/Text';
+import Select from 'ui/components/input/Select';
+import Checkbox from 'ui/components/Checkbox';
 import Icon from 'ui/components/Icon';
 import Button from 'ui/components/Button';
 import Progress from 'ui/components/Progress';
 import Balance from 'ui/components/Balance';
 import Checksum from 'ui/components/Checksum';
 import Confirm from 'ui/components/modal/Confirm';
+import ModalPassword from 'ui/components/modal/Password';
 import withSendData from 'containers/wallet/Send';
 
 import css from './send.scss';
@@ -32,6 +38,7 @@ class Send extends React.PureComponent {
             address: PropTypes.string.isRequired,
             amount: PropTypes.string.isRequired,
             message: PropTypes.string.isRequired,
+            tag: PropTypes.string.isRequired,
         }),
         /** @ignore */
         isSending: PropTypes.bool.isRequired,
@@ -59,12 +66,18 @@ class Send extends React.PureComponent {
         /** @ignore */
         sendTransfer: PropTypes.func.isRequired,
         /** @ignore */
+        isPasswordRequired: PropTypes.func.isRequired,
+        /** @ignore */
+        confirmPassword: PropTypes.func.isRequired,
+        /** @ignore */
         setSendAddressField: PropTypes.func.isRequired,
         /** @ignore */
         setSendAmountField: PropTypes.func.isRequired,
         /** @ignore */
         setSendMessageField: PropTypes.func.isRequired,
         /** @ignore */
+        setSendTagField: PropTypes.func.isRequired,
+        /** @ignore */
         t: PropTypes.func.isRequired,
         /** @ignore */
         themeName: PropTypes.string.isRequired,
@@ -76,30 +89,108 @@ class Send extends React.PureComponent {
         CDAContent: PropTypes.object.isRequired,
         /** @ignore */
         verifyCDAContent: PropTypes.func.isRequired,
+        /** @ignore */
+        verifyPaymentUriContent: PropTypes.func.isRequired,
+        /** @ignore */
+        contacts: PropTypes.array.isRequired,
+        /** @ignore */
+        selectContact: PropTypes.func.isRequired,
+        /** @ignore */
+        selectableInputs: PropTypes.array.isRequired,
+        /** @ignore */
+        selectableRemainderAddressData: PropTypes.array.isRequired,
     };
 
     state = {
         isTransferModalVisible: false,
+        isPasswordModalVisible: false,
         isUnitsVisible: false,
+        isAdvancedSend: false,
+        selectedInputs: [],
+        remainderAddress: '',
     };
 
+    /**
+     * Get currently selected inputs that can still be spent from
+     * @returns {array}
+     */
+    getSelectedInputs() {
+        const { selectableInputs } = this.props;
+        const { selectedInputs } = this.state;
+
+        return selectableInputs.filter((input) => input.selectable && includes(selectedInputs, input.address));
+    }
+
+    /**
+     * Get coin control options for current transfer
+     * @returns {object|null}
+     */
+    getCoinControl() {
+        const { isAdvancedSend, remainderAddress } = this.state;
+
+        if (!isAdvancedSend) {
+            return null;
+        }
+
+        return {
+            inputs: this.getSelectedInputs().map((input) => input.address),
+            remainderAddress: remainderAddress || null,
+        };
+    }
+
+    toggleInput(input) {
+        const { selectedInputs } = this.state;
+
+        if (!input.selectable) {
+            return;
+        }
+
+        this.setState({
+            selectedInputs: includes(selectedInputs, input.address)
+                ? without(selectedInputs, input.address)
+                : selectedInputs.concat(input.address),
+        });
+    }
+
     validateInputs = (e) => {
         const { validateInputs } = this.props;
+        const { isAdvancedSend } = this.state;
 
         e.preventDefault();
 
         this.setState({
-            isTransferModalVisible: validateInputs(),
+            isTransferModalVisible: validateInputs(isAdvancedSend ? this.getSelectedInputs() : null),
         });
     };
 
-    confirmTransfer = async () => {
-        const { fields, password, accountName, accountMeta, sendTransfer } = this.props;
+    confirmTransfer = () => {
+        const { fields, isPasswordRequired } = this.props;
+        // Transfers above the send policy threshold require the password to be re-entered
+        const isPasswordModalVisible = isPasswordRequired(parseInt(fields.amount) || 0);
 
         this.setState({
             isTransferModalVisible: false,
+            isPasswordModalVisible,
         });
 
+        if (!isPasswordModalVisible) {
+            this.sendTransfer();
+        }
+    };
+
+    confirmPassword = () => {
+        this.setState({
+            isPasswordModalVisible: false,
+        });
+
+        this.props.confirmPassword();
+        this.sendTransfer();
+    };
+
+    sendTransfer = async () => {
+        const { fields, password, accountName, accountMeta, sendTransfer } = this.props;
+        const coinControl = this.getCoinControl();
+
         const seedStore = await new SeedStore[accountMeta.type](password, accountName, accountMeta);
 
         const message =
@@ -107,7 +198,7 @@ class Send extends React.PureComponent {
                 ? fields.message
                 : '';
 
-        sendTransfer(seedStore, fields.address, parseInt(fields.amount) || 0, message);
+        sendTransfer(seedStore, fields.address, parseInt(fields.amount) || 0, message, coinControl, fields.tag);
     };
 
     updateFields(address, message, amount) {
@@ -128,6 +219,55 @@ class Send extends React.PureComponent {
         this.props.clearSendFields();
     }
 
+    renderCoinControl() {
+        const { selectableInputs, selectableRemainderAddressData, t } = this.props;
+        const { selectedInputs, remainderAddress } = this.state;
+
+        const shortAddress = (address) => `${address.substr(0, 9)}...${address.substr(-9)}`;
+        const selectedTotal = this.getSelectedInputs().reduce((total, input) => total + input.balance, 0);
+
+        return (
+            <div className={css.coinControl}>
+                <h6>{t('coinControl:inputs')}</h6>
+                {selectableInputs.length ? (
+                    selectableInputs.map((input) => (
+                        <Checkbox
+                            key={input.address}
+                            className="small"
+                            checked={includes(selectedInputs, input.address) && input.selectable}
+                            disabled={!input.selectable}
+                            label={`${shortAddress(input.address)} · ${formatIotas(input.balance, false, true)}${
+                                input.spent
+                                    ? ` (${t('coinControl:spent')})`
+                                    : input.hasPendingOutgoingTransactions
+                                    ? ` (${t('coinControl:pendingOutgoing')})`
+                                    : ''
+                            }`}
+                            onChange={() => this.toggleInput(input)}
+                        />
+                    ))
+                ) : (
+                    <p>{t('coinControl:noInputs')}</p>
+                )}
+                <p>
+                    {t('coinControl:selectedTotal')}: <strong>{formatIotas(selectedTotal, false, true)}</strong>
+                </p>
+                <Select
+                    value={remainderAddress}
+                    valueLabel={remainderAddress ? shortAddress(remainderAddress) : t('coinControl:automatic')}
+                    label={t('coinControl:remainderAddress')}
+                    onChange={(address) => this.setState({ remainderAddress: address })}
+                    options={[{ value: '', label: t('coinControl:automatic') }].concat(
+                        selectableRemainderAddressData.map(({ address, index }) => ({
+                            value: address,
+                            label: `#${index} ${shortAddress(address)}`,
+                        })),
+                    )}
+                />
+            </div>
+        );
+    }
+
     render() {
         const {
             CDAContent,
@@ -138,9 +278,10 @@ class Send extends React.PureComponent {
             availableBalance,
             settings,
             progress,
+            contacts,
             t,
         } = this.props;
-        const { isTransferModalVisible, isUnitsVisible } = this.state;
+        const { isTransferModalVisible, isPasswordModalVisible, isUnitsVisible, isAdvancedSend } = this.state;
 
         const transferContents =
             parseInt(fields.amount) > 0
@@ -153,6 +294,46 @@ class Send extends React.PureComponent {
 
         const isMessageAvailable = SeedStore[accountMeta.type].isMessageAvailable;
 
+        if (SeedStore[accountMeta.type].isWatchOnly) {
+            return (
+                <div className={css.send}>
+                    <Balance />
+                    <div>
+                        <p>{t('watchOnly:watchOnlyAccountExplanation')}</p>
+                        <div className={css.batchLink}>
+                            <Link to="/wallet/offline">{t('offlineSigning:offlineSigning')}</Link>
+                        </div>
+                        <footer>
+                            <Button to="/wallet/" variant="secondary" className="outlineSmall">
+                                {t('close')}
+                            </Button>
+                        </footer>
+                    </div>
+                </div>
+            );
+        }
+
+        if (SeedStore[accountMeta.type].isMultisig) {
+            return (
+                <div className={css.send}>
+                    <Balance />
+                    <div>
+                        <p>{t('multisig:multisigAccountExplanation')}</p>
+                        <footer>
+                            <Button to="/wallet/" variant="secondary" className="outlineSmall">
+                                {t('close')}
+                            </Button>
+                            <Button to="/wallet/multisig" variant="primary" className="small">
+                                {t('multisig:multisigTransfer')}
+                            </Button>
+                        </footer>
+                    </div>
+                </div>
+            );
+        }
+
+        const selectedContact = contacts.find((contact) => contact.address === fields.address);
+
         return (
             <form className={css.send} onSubmit={(e) => this.validateInputs(e)}>
                 <Balance />
@@ -178,6 +359,30 @@ class Send extends React.PureComponent {
                             animation: { name: 'sendingDesktop', loop: true, segments: [89, 624] },
                         }}
                     />
+                    <ModalPassword
+                        isOpen={isPasswordModalVisible}
+                        onSuccess={this.confirmPassword}
+                        onClose={() => this.setState({ isPasswordModalVisible: false })}
+                        content={{
+                            title: t('sendPolicies:enterPassword'),
+                            message: t('sendPolicies:enterPasswordExplanation'),
+                            confirm: t('send'),
+                        }}
+                    />
+                    {contacts.length > 0 && isEmpty(CDAContent) && (
+                        <Select
+                            value={selectedContact ? selectedContact.address : ''}
+                            valueLabel={selectedContact ? selectedContact.name : t('contacts:selectContact')}
+                            label={t('contacts:addressBook')}
+                            onChange={(address) =>
+                                this.props.selectContact(contacts.find((contact) => contact.address === address))
+                            }
+                            options={contacts.map((contact) => ({
+                                value: contact.address,
+                                label: contact.spent ? `${contact.name} (${t('contacts:spent')})` : contact.name,
+                            }))}
+                        />
+                    )}
                     <AddressInput
                         id="recipient-address"
                         address={fields.address}
@@ -188,6 +393,7 @@ class Send extends React.PureComponent {
                         closeLabel={t('back')}
                         disabled={!isEmpty(CDAContent)}
                         verifyCDAContent={(data) => this.props.verifyCDAContent(data)}
+                        verifyPaymentUriContent={(request) => this.props.verifyPaymentUriContent(request)}
                     />
                     <AmountInput
                         id="send-amount"
@@ -208,6 +414,31 @@ class Send extends React.PureComponent {
                         onChange={(value) => this.props.setSendMessageField(value)}
                         maxLength={MAX_MESSAGE_LENGTH}
                     />
+                    <TextInput
+                        value={fields.tag}
+                        label={t('send:tag')}
+                        disabled={!isEmpty(CDAContent)}
+                        onChange={(value) => this.props.setSendTagField(value.toUpperCase())}
+                        maxLength={MAX_TAG_LENGTH}
+                    />
+                    {isEmpty(CDAContent) && (
+                        <div className={css.batchLink}>
+                            <Link to="/wallet/batch">{t('batchPayments:batchPayments')}</Link>
+                            <Link to="/wallet/offline">{t('offlineSigning:offlineSigning')}</Link>
+                            <Link to="/wallet/scheduled">{t('scheduledPayments:scheduledPayments')}</Link>
+                        </div>
+                    )}
+                    {isEmpty(CDAContent) && (
+                        <div>
+                            <Checkbox
+                                className="small"
+                                checked={isAdvancedSend}
+                                label={t('coinControl:advancedSend')}
+                                onChange={(value) => this.setState({ isAdvancedSend: value })}
+                            />
+                        </div>
+                    )}
+                    {isEmpty(CDAContent) && isAdvancedSend && this.renderCoinControl()}
                     <footer>
                         {!isSending ? (
                             <React.Fragment>
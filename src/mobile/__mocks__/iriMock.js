@@ -0,0 +1,17 @@
+import { createMockNode } from 'shared-modules/__tests__/__mocks__/iri';
+
+/**
+ * In-memory IRI node listening on the default (test) node, scriptable from tests
+ */
+export const node = createMockNode();
+
+/**
+ * Serves the mock node while the tests of a file run, with a fresh tangle for every test
+ */
+export default () => {
+    beforeAll(() => node.listen());
+
+    beforeEach(() => node.reset());
+
+    afterAll(() => node.close());
+};
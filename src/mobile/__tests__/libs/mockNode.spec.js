@@ -0,0 +1,45 @@
+import map from 'lodash/map';
+import padEnd from 'lodash/padEnd';
+import { iota } from 'shared-modules/libs/iota/index';
+import { getBalancesAsync, isNodeHealthy } from 'shared-modules/libs/iota/extendedApi';
+import { getAccountData } from 'shared-modules/libs/iota/accounts';
+import serveMockNode, { node } from '../../__mocks__/iriMock';
+
+const generateAddress = (index) => padEnd(iota.utils.toTrytes(`ADDRESS${index}`), 81, '9');
+
+const seedStore = {
+    generateAddress: ({ index, total }) =>
+        Promise.resolve(
+            total
+                ? map(
+                      Array.from(Array(total), (_, idx) => index + idx),
+                      generateAddress,
+                  )
+                : generateAddress(index),
+        ),
+};
+
+describe('Testing shared-modules/libs/iota against mock node', () => {
+    serveMockNode();
+
+    it('should report node as healthy', () => {
+        return isNodeHealthy().then((isHealthy) => expect(isHealthy).toEqual(true));
+    });
+
+    it('should return balances of addresses', () => {
+        node.setBalance(generateAddress(0), 100);
+
+        return getBalancesAsync(
+            null,
+            false,
+        )([generateAddress(0), generateAddress(1)]).then(({ balances }) => expect(balances).toEqual(['100', '0']));
+    });
+
+    it('should sync account', () => {
+        node.setBalance(generateAddress(0), 100);
+
+        return getAccountData(null, false)(seedStore, 'TEST').then(({ addressData }) =>
+            expect(map(addressData, ({ balance }) => balance)).toEqual([100, 0]),
+        );
+    });
+});
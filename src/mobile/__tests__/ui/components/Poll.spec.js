@@ -47,6 +47,10 @@ const getProps = (overrides) =>
             retryFailedTransaction: noop,
             password: new Uint8Array(),
             selectedAccountType: 'keychain',
+            accountInfo: {},
+            scheduledPayments: [],
+            runScheduledPayment: noop,
+            isRunningScheduledPayment: false,
         },
         overrides,
     );
@@ -61,6 +61,9 @@ const getProps = (overrides) =>
             isFailedTransaction: false,
             retryFailedTransaction: noop,
             isRetryingFailedTransaction: false,
+            theme: { body: { color: 'white', bg: 'black' }, input: { color: 'white', bg: 'black' } },
+            setTransactionMetadata: noop,
+            currency: 'USD',
         },
         overrides,
     );
@@ -26,6 +26,7 @@ const getProps = (overrides) =>
         {},
         {
             accountName: '',
+            accountMeta: { type: 'keychain' },
             componentId: 'foo',
             accountNames: [],
             generateAlert: noop,
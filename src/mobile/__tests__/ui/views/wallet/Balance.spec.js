@@ -23,6 +23,7 @@ const getProps = (overrides) =>
         {},
         {
             usdPrice: 1,
+            marketDataLastUpdated: 0,
             seedIndex: 0,
             balance: 0,
             addresses: [],
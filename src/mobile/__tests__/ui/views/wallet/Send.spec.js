@@ -54,6 +54,9 @@ const getProps = (overrides) =>
             timeTakenByEachProgressStep: [],
             remotePoW: false,
             makeTransaction: noop,
+            makeBatchTransaction: noop,
+            prepareUnsignedTransfer: noop,
+            broadcastSignedTransfer: noop,
             generateTransferErrorAlert: noop,
             availableBalance: 100,
             CDAContent: {},
@@ -72,6 +75,13 @@ const getProps = (overrides) =>
             clearCDAContent: noop,
             verifyCDAContent: noop,
             clearSendFields: noop,
+            contacts: [],
+            selectableInputs: [],
+            selectableRemainderAddressData: [],
+            sendPolicy: null,
+            transfers: {},
+            addresses: [],
+            setSendPasswordConfirmed: noop,
         },
         overrides,
     );
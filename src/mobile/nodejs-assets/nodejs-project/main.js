@@ -27,9 +27,10 @@ kdbxweb.CryptoEngine.argon2 = (password, salt, memory, iterations, length, paral
  * @param {string} seed - Seed to be encrypted
  * @param {string} title - Account name
  * @param {string} password - Password for encryption
+ * @param {object} [share] - Seed share details, if seed is a seed share
  * @returns {arrayBuffer} Encrypted .kdbx binary data
  */
-const createSeedVault = async (seed, title, password) => {
+const createSeedVault = async (seed, title, password, share) => {
     const credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString(password));
     const db = kdbxweb.Kdbx.create(credentials, 'Trinity');
     const entry = db.createEntry(db.getDefaultGroup());
@@ -37,6 +38,40 @@ const createSeedVault = async (seed, title, password) => {
     entry.fields.Title = title;
     entry.fields.Seed = kdbxweb.ProtectedValue.fromString(seed);
 
+    if (share) {
+        entry.fields.ShareIndex = String(share.index);
+        entry.fields.ShareThreshold = String(share.threshold);
+        entry.fields.ShareCount = String(share.count);
+        entry.fields.SeedChecksum = share.seedChecksum;
+    }
+
+    const chunk = await db.save();
+    return chunk;
+};
+
+/**
+ * Encrypt seeds and wallet backup data to .kdbx database format
+ * @method createWalletBackupVault
+ *
+ * @param {array} seeds - Seeds to be encrypted and their account names
+ * @param {string} backup - Serialised wallet backup data
+ * @param {string} password - Password for encryption
+ * @returns {arrayBuffer} Encrypted .kdbx binary data
+ */
+const createWalletBackupVault = async (seeds, backup, password) => {
+    const credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString(password));
+    const db = kdbxweb.Kdbx.create(credentials, 'Trinity');
+
+    seeds.forEach(({ seed, title }) => {
+        const entry = db.createEntry(db.getDefaultGroup());
+        entry.fields.Title = title;
+        entry.fields.Seed = kdbxweb.ProtectedValue.fromString(seed);
+    });
+
+    const entry = db.createEntry(db.getDefaultGroup());
+    entry.fields.Title = 'Trinity wallet backup';
+    entry.fields.Backup = kdbxweb.ProtectedValue.fromString(backup);
+
     const chunk = await db.save();
     return chunk;
 };
@@ -47,18 +82,37 @@ const createSeedVault = async (seed, title, password) => {
  *
  * @param {arrayBuffer} Db - Encrypted binary KDBX database
  * @param {string} Password - Password for decryption
- * @returns {string} Serialised decrypted seed byte array and title
+ * @returns {string} Serialised decrypted seed byte array, title and seed share details.
+ * Includes all seeds and wallet backup data if vault is a wallet backup
  */
 const getSeedFromVault = async (buffer, password) => {
     const credentials = new kdbxweb.Credentials(kdbxweb.ProtectedValue.fromString(password));
     const db = await kdbxweb.Kdbx.load(buffer, credentials);
 
-    const entry = db.getDefaultGroup().entries[0];
+    const entries = db.getDefaultGroup().entries;
+    const entry = entries[0];
+    const backupEntry = entries.find((item) => item.fields.Backup);
 
     const seed = entry.fields.Seed.getText();
     const title = entry.fields.Title;
+    const share = entry.fields.ShareIndex
+        ? {
+              index: parseInt(entry.fields.ShareIndex, 10),
+              threshold: parseInt(entry.fields.ShareThreshold, 10),
+              count: parseInt(entry.fields.ShareCount, 10),
+              seedChecksum: entry.fields.SeedChecksum,
+          }
+        : null;
+
+    if (backupEntry) {
+        const seeds = entries
+            .filter((item) => item.fields.Seed)
+            .map((item) => ({ seed: item.fields.Seed.getText(), title: item.fields.Title }));
+
+        return JSON.stringify({ seed, title, share, seeds, backup: backupEntry.fields.Backup.getText() });
+    }
 
-    return JSON.stringify({ seed, title });
+    return JSON.stringify({ seed, title, share });
 };
 
 /**
@@ -83,14 +137,25 @@ rnBridge.channel.on('message', async (msg) => {
     const message = msg.slice(7);
     const password = getPassword(message.split('~'));
     if (msg.slice(0, 7).match('export~')) {
-        // data -> { seed, title }
+        // data -> { seed, title, share }
         const data = JSON.parse(message.split('~')[0]);
 
         if (typeof data.seed !== 'string' || typeof data.title !== 'string') {
             return rnBridge.channel.send('error');
         }
 
-        const vault = await createSeedVault(data.seed, data.title, password);
+        const vault = await createSeedVault(data.seed, data.title, password, data.share);
+        const vaultUint8 = new Uint8Array(vault);
+        return rnBridge.channel.send(vaultUint8);
+    } else if (msg.slice(0, 7).match('backup~')) {
+        // data -> { seeds, content }
+        const data = JSON.parse(message.split('~')[0]);
+
+        if (!Array.isArray(data.seeds) || typeof data.content !== 'string') {
+            return rnBridge.channel.send('error');
+        }
+
+        const vault = await createWalletBackupVault(data.seeds, data.content, password);
         const vaultUint8 = new Uint8Array(vault);
         return rnBridge.channel.send(vaultUint8);
     } else if (msg.slice(0, 7).match('import~')) {
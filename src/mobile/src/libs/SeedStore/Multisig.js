@@ -0,0 +1,215 @@
+import isEmpty from 'lodash/isEmpty';
+import omit from 'lodash/omit';
+import cloneDeep from 'lodash/cloneDeep';
+import { createAndStoreBoxInKeychain, getSecretBoxFromKeychainAndOpenIt, keychain, ALIAS_SEEDS } from 'libs/keychain';
+import { sha256 } from 'libs/crypto';
+import Errors from 'shared-modules/libs/errors';
+import { iota } from 'shared-modules/libs/iota';
+import { getMultisigAddresses } from 'shared-modules/libs/iota/multisig';
+import SeedStoreCore from './SeedStoreCore';
+
+class Multisig extends SeedStoreCore {
+    /**
+     * Init the vault
+     * @param {array} key - Account decryption key
+     * @param {string} accountId - Account identifier
+     */
+    constructor(key, accountId) {
+        super();
+        return (async () => {
+            this.key = cloneDeep(key);
+            if (accountId) {
+                this.accountId = await sha256(accountId);
+            }
+            return this;
+        })();
+    }
+
+    /**
+     * If account holds a multisig co-signer seed
+     * @returns {boolean}
+     */
+    static get isMultisig() {
+        return true;
+    }
+
+    /**
+     * Return max supported input count
+     * @returns {number} - 0 for no limit
+     */
+    get maxInputs() {
+        return 0;
+    }
+
+    /**
+     * Return max supported input count
+     * @returns {number} - 0 for no limit
+     */
+    getMaxInputs = () => {
+        return 0;
+    };
+
+    /**
+     * Create new account
+     * @param {string} accountId - Account identifier
+     * @param {object} vault - Co-signer seed trits and multisig co-signers ({ seed, security, cosigners })
+     * @returns {promise} - Resolves to a success boolean
+     */
+    addAccount = async (accountId, vault) => {
+        this.accountId = await sha256(accountId);
+        const existingInfo = await keychain.get(ALIAS_SEEDS);
+        // Store vault as is, as it is not a basic trit array
+        const info = { [this.accountId]: { ...vault, seed: Array.from(vault.seed) } };
+
+        if (isEmpty(existingInfo)) {
+            return await createAndStoreBoxInKeychain(this.key, info, ALIAS_SEEDS);
+        }
+
+        const existingSeedInfo = await this.getSeeds();
+        const updatedSeedInfo = Object.assign({}, existingSeedInfo, info);
+        return await createAndStoreBoxInKeychain(this.key, updatedSeedInfo, ALIAS_SEEDS);
+    };
+
+    /**
+     * Rename account
+     * @param {string} accountId - New account name
+     * @returns {boolean} Account renamed success state
+     */
+    accountRename = async (accountId) => {
+        const seedInfo = await this.getSeeds();
+        const newAccountId = await sha256(accountId);
+        let newSeedInfo = {};
+
+        if (this.accountId !== newAccountId) {
+            newSeedInfo = Object.assign({}, seedInfo, { [newAccountId]: seedInfo[this.accountId] });
+            delete newSeedInfo[this.accountId];
+        }
+
+        this.accountId = newAccountId;
+
+        return await createAndStoreBoxInKeychain(this.key, newSeedInfo, ALIAS_SEEDS);
+    };
+
+    /**
+     * Remove account
+     */
+    removeAccount = async () => {
+        const seedInfo = await this.getSeeds();
+        if (seedInfo) {
+            const newSeedInfo = omit(seedInfo, this.accountId);
+            return await createAndStoreBoxInKeychain(this.key, newSeedInfo, ALIAS_SEEDS);
+        }
+        throw new Error('Something went wrong while deleting from keychain.');
+    };
+
+    /**
+     * Get all seeds (and multisig vaults) from keychain
+     * @returns {object} Seed items object
+     */
+    getSeeds = async () => {
+        try {
+            return await getSecretBoxFromKeychainAndOpenIt(ALIAS_SEEDS, this.key);
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Get multisig vault from keychain
+     * @returns {object} Vault ({ seed, security, cosigners })
+     */
+    getVault = async () => {
+        const seeds = await this.getSeeds();
+        const vault = seeds ? seeds[this.accountId] : null;
+
+        if (!vault || !vault.cosigners) {
+            throw new Error(Errors.FOUND_INVALID_SEED_IN_KEYCHAIN);
+        }
+
+        return vault;
+    };
+
+    /**
+     * Get multisig co-signers, in signing order
+     * @returns {array} Co-signers ({ name, security, digests })
+     */
+    getCosigners = async () => {
+        const { cosigners } = await this.getVault();
+
+        return cosigners;
+    };
+
+    /**
+     * Get multisig addresses
+     * @returns {array} Addresses (without checksum) ordered by key index
+     */
+    getAddresses = async () => {
+        const cosigners = await this.getCosigners();
+
+        return getMultisigAddresses(cosigners);
+    };
+
+    /**
+     * Get address from multisig address list
+     * @param {object} options - Address generation options
+     *   @property {number} index - Address index
+     *   @property {number} total - Address count to return
+     * @returns {promise}
+     */
+    generateAddress = async (options) => {
+        const addresses = await this.getAddresses();
+        const total = options.total || 1;
+
+        if (options.index + total > addresses.length) {
+            throw new Error(Errors.MULTISIG_ADDRESSES_EXHAUSTED);
+        }
+
+        return total === 1 ? addresses[options.index] : addresses.slice(options.index, options.index + total);
+    };
+
+    /**
+     * Get key digest of this co-signer
+     * @param {number} index - Key index
+     * @returns {string} Key digest
+     */
+    getMultisigDigest = async (index) => {
+        const { seed, security } = await this.getVault();
+
+        return iota.multisig.getDigest(seed, index, security);
+    };
+
+    /**
+     * Get private key of this co-signer
+     * @param {number} index - Key index
+     * @returns {string} Private key trytes
+     */
+    getMultisigKey = async (index) => {
+        const { seed, security } = await this.getVault();
+
+        return iota.multisig.getKey(seed, index, security);
+    };
+
+    /**
+     * Multisig transfers are signed by each co-signer in turn
+     */
+    prepareTransfers = () => () => {
+        return Promise.reject(new Error(Errors.MULTISIG_ACCOUNT));
+    };
+
+    /**
+     * Co-signer seed is not available in plain form
+     */
+    getSeed = () => {
+        return Promise.reject(new Error(Errors.MULTISIG_ACCOUNT));
+    };
+
+    /**
+     * Multisig vault cannot match a seed
+     * @returns {boolean}
+     */
+    isUniqueSeed = () => {
+        return true;
+    };
+}
+
+export default Multisig;
@@ -0,0 +1,170 @@
+import isEmpty from 'lodash/isEmpty';
+import omit from 'lodash/omit';
+import cloneDeep from 'lodash/cloneDeep';
+import { createAndStoreBoxInKeychain, getSecretBoxFromKeychainAndOpenIt, keychain, ALIAS_SEEDS } from 'libs/keychain';
+import { sha256 } from 'libs/crypto';
+import Errors from 'shared-modules/libs/errors';
+import SeedStoreCore from './SeedStoreCore';
+
+class WatchOnly extends SeedStoreCore {
+    /**
+     * Init the vault
+     * @param {array} key - Account decryption key
+     * @param {string} accountId - Account identifier
+     */
+    constructor(key, accountId) {
+        super();
+        return (async () => {
+            this.key = cloneDeep(key);
+            if (accountId) {
+                this.accountId = await sha256(accountId);
+            }
+            return this;
+        })();
+    }
+
+    /**
+     * If account only holds addresses and cannot sign
+     * @returns {boolean}
+     */
+    static get isWatchOnly() {
+        return true;
+    }
+
+    /**
+     * Return max supported input count
+     * @returns {number} - 0 for no limit
+     */
+    get maxInputs() {
+        return 0;
+    }
+
+    /**
+     * Return max supported input count
+     * @returns {number} - 0 for no limit
+     */
+    getMaxInputs = () => {
+        return 0;
+    };
+
+    /**
+     * Create new account
+     * @param {string} accountId - Account identifier
+     * @param {array} addresses - Addresses (without checksum) ordered by key index
+     * @returns {promise} - Resolves to a success boolean
+     */
+    addAccount = async (accountId, addresses) => {
+        this.accountId = await sha256(accountId);
+        const existingInfo = await keychain.get(ALIAS_SEEDS);
+        const info = { [this.accountId]: addresses };
+
+        if (isEmpty(existingInfo)) {
+            return await createAndStoreBoxInKeychain(this.key, info, ALIAS_SEEDS);
+        }
+
+        const existingSeedInfo = await this.getSeeds();
+        const updatedSeedInfo = Object.assign({}, existingSeedInfo, info);
+        return await createAndStoreBoxInKeychain(this.key, updatedSeedInfo, ALIAS_SEEDS);
+    };
+
+    /**
+     * Rename account
+     * @param {string} accountId - New account name
+     * @returns {boolean} Account renamed success state
+     */
+    accountRename = async (accountId) => {
+        const seedInfo = await this.getSeeds();
+        const newAccountId = await sha256(accountId);
+        let newSeedInfo = {};
+
+        if (this.accountId !== newAccountId) {
+            newSeedInfo = Object.assign({}, seedInfo, { [newAccountId]: seedInfo[this.accountId] });
+            delete newSeedInfo[this.accountId];
+        }
+
+        this.accountId = newAccountId;
+
+        return await createAndStoreBoxInKeychain(this.key, newSeedInfo, ALIAS_SEEDS);
+    };
+
+    /**
+     * Remove account
+     */
+    removeAccount = async () => {
+        const seedInfo = await this.getSeeds();
+        if (seedInfo) {
+            const newSeedInfo = omit(seedInfo, this.accountId);
+            return await createAndStoreBoxInKeychain(this.key, newSeedInfo, ALIAS_SEEDS);
+        }
+        throw new Error('Something went wrong while deleting from keychain.');
+    };
+
+    /**
+     * Get all seeds (and watch-only addresses) from keychain
+     * @returns {object} Seed items object
+     */
+    getSeeds = async () => {
+        try {
+            return await getSecretBoxFromKeychainAndOpenIt(ALIAS_SEEDS, this.key);
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Get watch-only addresses from keychain
+     * @returns {array} Addresses (without checksum) ordered by key index
+     */
+    getAddresses = async () => {
+        const seeds = await this.getSeeds();
+        const addresses = seeds ? seeds[this.accountId] : null;
+
+        if (!addresses) {
+            throw new Error(Errors.INVALID_WATCH_ONLY_ADDRESSES);
+        }
+
+        return addresses;
+    };
+
+    /**
+     * Get address from watch-only address list
+     * @param {object} options - Address generation options
+     *   @property {number} index - Address index
+     *   @property {number} total - Address count to return
+     * @returns {promise}
+     */
+    generateAddress = async (options) => {
+        const addresses = await this.getAddresses();
+        const total = options.total || 1;
+
+        if (options.index + total > addresses.length) {
+            throw new Error(Errors.WATCH_ONLY_ACCOUNT);
+        }
+
+        return total === 1 ? addresses[options.index] : addresses.slice(options.index, options.index + total);
+    };
+
+    /**
+     * Watch-only accounts cannot sign transfers. Transfers are signed offline instead (See libs/iota/offlineSigning)
+     */
+    prepareTransfers = () => () => {
+        return Promise.reject(new Error(Errors.WATCH_ONLY_ACCOUNT));
+    };
+
+    /**
+     * Watch-only accounts hold no seed
+     */
+    getSeed = () => {
+        return Promise.reject(new Error(Errors.WATCH_ONLY_ACCOUNT));
+    };
+
+    /**
+     * Watch-only addresses cannot match a seed
+     * @returns {boolean}
+     */
+    isUniqueSeed = () => {
+        return true;
+    };
+}
+
+export default WatchOnly;
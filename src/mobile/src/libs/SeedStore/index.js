@@ -1,5 +1,9 @@
 import Keychain from './Keychain';
+import Multisig from './Multisig';
+import WatchOnly from './WatchOnly';
 
 export default {
     keychain: Keychain,
+    watchonly: WatchOnly,
+    multisig: Multisig,
 };
@@ -7,6 +7,7 @@ import { getVersion } from 'react-native-device-info';
 import { serialise } from 'shared-modules/libs/utils';
 import { trytesToTrits } from 'shared-modules/libs/iota/converter';
 import Errors from 'shared-modules/libs/errors';
+import { verifyTwoFactorCode } from 'shared-modules/libs/totp';
 import {
     getNonce,
     createSecretBox,
@@ -155,6 +156,74 @@ export const authorize = async (pwdHash) => {
     return true;
 };
 
+/**
+ * Stores two-factor authentication configuration (secret and backup codes) in keychain
+ *
+ * @method storeTwoFactorAuthKeyInKeychain
+ * @param {Uint8Array} pwdHash
+ * @param {object} config - { secret, backupCodes, lastUsedStep }
+ *
+ * @returns {Promise}
+ */
+export const storeTwoFactorAuthKeyInKeychain = async (pwdHash, config) => {
+    // Two-factor authentication can only be enabled if the wallet has (password protected) seeds
+    const info = await keychain.get(ALIAS_SEEDS);
+
+    if (!info) {
+        throw new Error(Errors.MISSING_FROM_KEYCHAIN(ALIAS_SEEDS));
+    }
+
+    return await createAndStoreBoxInKeychain(pwdHash, config, ALIAS_AUTH);
+};
+
+/**
+ * Gets two-factor authentication configuration from keychain
+ *
+ * @method getTwoFactorAuthKeyFromKeychain
+ * @param {Uint8Array} pwdHash
+ *
+ * @returns {Promise<object|null>} Configuration or null if two-factor authentication is disabled
+ */
+export const getTwoFactorAuthKeyFromKeychain = async (pwdHash) => {
+    const config = await getSecretBoxFromKeychainAndOpenIt(ALIAS_AUTH, pwdHash);
+
+    return isEmpty(config) ? null : config;
+};
+
+/**
+ * Removes two-factor authentication configuration from keychain
+ *
+ * @method clearTwoFactorAuthKeyFromKeychain
+ *
+ * @returns {Promise}
+ */
+export const clearTwoFactorAuthKeyFromKeychain = () => {
+    return keychain.clear(ALIAS_AUTH);
+};
+
+/**
+ * Verifies a two-factor authentication (authenticator app or backup code) code.
+ * Used backup codes are invalidated. Codes are invalid if the configuration is missing from keychain
+ *
+ * @method authorizeTwoFactor
+ * @param {Uint8Array} pwdHash
+ * @param {string} code
+ *
+ * @returns {Promise<object>} { isValid, isBackupCode, backupCodesLeft }
+ */
+export const authorizeTwoFactor = async (pwdHash, code) => {
+    const config = await getTwoFactorAuthKeyFromKeychain(pwdHash);
+    const { isValid, isBackupCode, config: updatedConfig } = verifyTwoFactorCode(config, code);
+
+    if (!isValid) {
+        return { isValid, isBackupCode, backupCodesLeft: 0 };
+    }
+
+    await createAndStoreBoxInKeychain(pwdHash, updatedConfig, ALIAS_AUTH);
+
+    return { isValid, isBackupCode, backupCodesLeft: updatedConfig.backupCodes.length };
+};
+
 export const clearKeychain = async () => {
     await keychain.clear(ALIAS_SEEDS);
     await keychain.clear(ALIAS_AUTH);
@@ -207,6 +276,7 @@ export const setRealmEncryptionKeyInKeychain = (encryptionKey) => {
  */
 export const changePassword = async (oldPwdHash, newPwdHash, salt) => {
     const seedInfo = await getSecretBoxFromKeychainAndOpenIt(ALIAS_SEEDS, oldPwdHash);
+    const twoFactorConfig = await getTwoFactorAuthKeyFromKeychain(oldPwdHash);
     // Clear keychain for alias "seeds"
     await keychain.clear(ALIAS_SEEDS);
     // Clear salt and store new salt in keychain
@@ -214,6 +284,10 @@ export const changePassword = async (oldPwdHash, newPwdHash, salt) => {
     await storeSaltInKeychain(salt);
     // Create a secret box with new password hash
     await createAndStoreBoxInKeychain(newPwdHash, seedInfo, ALIAS_SEEDS);
+    // Re-encrypt two-factor authentication configuration with new password hash
+    if (twoFactorConfig) {
+        await createAndStoreBoxInKeychain(newPwdHash, twoFactorConfig, ALIAS_AUTH);
+    }
     return Promise.resolve();
 };
 
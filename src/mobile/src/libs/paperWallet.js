@@ -0,0 +1,130 @@
+import each from 'lodash/each';
+import QRCode from 'qr.js/lib/QRCode';
+import { getChecksum } from 'shared-modules/libs/iota/utils';
+import { paperWalletFilled } from 'shared-modules/images/PaperWallets';
+import { isAndroid } from 'libs/device';
+
+/**
+ * Generates html for seed qr
+ *
+ * @method getQrHTMLString
+ * @param {string} seed
+ *
+ * @returns {string}
+ */
+const getQrHTMLString = (seed) => {
+    const qr = new QRCode(-1, 1);
+    each(seed, (char) => {
+        qr.addData(char);
+    });
+    qr.make();
+    const cells = qr.modules;
+
+    let qrString = '';
+    cells.forEach((row, rowIndex) => {
+        row.forEach((cell, cellIndex) => {
+            qrString += `<rect
+                    height="1.6"
+                    key="${cellIndex}"
+                    style="fill: ${cell ? '#000000' : 'none'}"
+                    width="1.6"
+                    x="${161 + cellIndex * 1.6}"
+                    y="${699 + rowIndex * 1.6}"
+                />`;
+        });
+    });
+    return qrString;
+};
+
+/**
+ * Constructs html text components for all seed characters
+ *
+ * @method getSeedHTMLString
+ * @param {string} seed
+ *
+ * @returns {string}
+ */
+const getSeedHTMLString = (seed) => {
+    let seedChars = '';
+    for (let i = 0; i < seed.length; i++) {
+        const space = i % 9 > 5 ? 38 : i % 9 > 2 ? 19 : 0;
+        const x = 193 + (i % 9) * 26 + space;
+        const y = 365 + Math.floor(i / 9) * 32.8;
+        const currentChar = `<text transform="matrix(1 0 0 1 ${x} ${y})" font-size="16">
+                ${seed.charAt(i)}
+            </text>`;
+        seedChars = seedChars + currentChar;
+    }
+    return seedChars;
+};
+
+/**
+ * Constructs paper wallet svg string
+ *
+ * @method getPaperWalletSVG
+ * @param {string} seed - Seed trytes
+ * @param {string} [label] - Optional label printed below the seed, e.g. seed share details
+ *
+ * @returns {string}
+ */
+export const getPaperWalletSVG = (seed, label) => {
+    const checksumString = `<text x="372.7" y="735">${getChecksum(seed)}</text>`;
+    const labelString = label
+        ? `<text x="297.5" y="790" text-anchor="middle" style="font-size: 11px">${label}</text>`
+        : '';
+
+    return (
+        '<svg viewBox="0 0 595 841" xmlns="http://www.w3.org/2000/svg">' +
+        getSeedHTMLString(seed) +
+        getQrHTMLString(seed) +
+        checksumString +
+        labelString +
+        '</svg>'
+    );
+};
+
+/**
+ * Constructs printable paper wallet html document
+ *
+ * @method getPaperWalletHTML
+ * @param {string} seed - Seed trytes
+ * @param {string} [label] - Optional label printed below the seed
+ *
+ * @returns {string}
+ */
+export const getPaperWalletHTML = (seed, label) => `
+    <!DOCTYPE html>
+    <html>
+      <head>
+         <meta charset="utf-8">
+      </head>
+      <style>
+         html,
+         body,
+         #wallet {
+            padding: 0px;
+            margin: 0px;
+            text-align: center;
+            overflow: hidden;
+            height: ${isAndroid ? '100vh' : null};
+            width: ${isAndroid ? '100vw' : null};
+         }
+         svg {
+            height: ${isAndroid ? '100vh' : '120vh'};
+            width: ${isAndroid ? '100vw' : '120vw'};
+            position: absolute;
+            top: 0;
+            left: 0;
+         }
+         text {
+           font-size: 20px;
+           fill: #231f20;
+           font-family: Monospace;
+         }
+         @font-face { font-family: "Monospace"; src: "shared-modules/custom-fonts/SourceCodePro-Medium.ttf"
+      </style>
+      <body>
+        ${getPaperWalletSVG(seed, label)}
+        ${paperWalletFilled}
+      </body>
+    </html>`;
@@ -147,6 +147,7 @@ export default function withBackPress(C) {
                 case 'snapshotTransition':
                 case 'pow':
                 case 'autoPromotion':
+                case 'stateSnapshot':
                     this.props.setSetting('advancedSettings');
                     break;
                 case 'viewSeed':
@@ -155,12 +156,16 @@ export default function withBackPress(C) {
                 case 'deleteAccount':
                 case 'addNewAccount':
                 case 'exportSeedVault':
+                case 'seedShares':
                     this.props.setSetting('accountManagement');
                     break;
                 case 'addExistingSeed':
                     this.props.setSetting('addNewAccount');
                     break;
                 case 'changePassword':
+                case 'twoFactorAuth':
+                case 'auditLog':
+                case 'walletBackup':
                     this.props.setSetting('securitySettings');
                     break;
                 default:
@@ -171,6 +176,7 @@ export default function withBackPress(C) {
         withBackPressNavigateNodeOptions(loginRoute) {
             switch (loginRoute) {
                 case 'nodeOptions':
+                case 'complete2FA':
                     this.props.setLoginRoute('login');
                     break;
                 case 'nodeSelection':
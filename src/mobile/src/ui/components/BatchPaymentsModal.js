@@ -0,0 +1,441 @@
+import map from 'lodash/map';
+import isEmpty from 'lodash/isEmpty';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text, ScrollView, TouchableOpacity, PermissionsAndroid, Keyboard } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import DocumentPicker from 'react-native-document-picker';
+import RNFetchBlob from 'rn-fetch-blob';
+import {
+    ADDRESS_LENGTH,
+    MAX_MESSAGE_LENGTH,
+    MAX_TAG_LENGTH,
+    formatValue,
+    formatUnit,
+} from 'shared-modules/libs/iota/utils';
+import {
+    getBatchPaymentValidationError,
+    getBatchPaymentsTotal,
+    parseBatchPaymentAmount,
+    parseBatchPaymentsCsv,
+} from 'shared-modules/libs/batchPayments';
+import { width, height } from 'libs/dimensions';
+import { isAndroid } from 'libs/device';
+import { Styling } from 'ui/theme/general';
+import Icon from 'ui/theme/icons';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomTextInput from './CustomTextInput';
+import ModalView from './ModalView';
+
+const emptyRecipient = { address: '', amount: '', message: '', tag: '' };
+const maxScrollViewHeight = height / 5;
+
+const styles = StyleSheet.create({
+    titleText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize5,
+        textAlign: 'center',
+        paddingBottom: height / 60,
+    },
+    infoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+        textAlign: 'center',
+    },
+    fieldsContainer: {
+        height: height / 2.4,
+        justifyContent: 'space-around',
+        alignItems: 'center',
+    },
+    actionsContainer: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        width: Styling.contentWidth,
+        paddingVertical: height / 60,
+    },
+    actionText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+    recipientRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        width: Styling.contentWidth,
+        paddingVertical: height / 150,
+    },
+    recipientAddress: {
+        flex: 1,
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize1,
+    },
+    recipientValue: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+        paddingHorizontal: width / 30,
+    },
+    totalText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        paddingTop: height / 60,
+    },
+});
+
+/**
+ * Batch payments (multiple recipients in a single bundle) modal (Send screen)
+ */
+export class BatchPaymentsModal extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Hide active modal */
+        hideModal: PropTypes.func.isRequired,
+        /** Balance of selected account */
+        balance: PropTypes.number.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** Triggered when user confirms the batch transfer
+         * @param {array} recipients
+         */
+        onSend: PropTypes.func.isRequired,
+        /** Recipients of an opened payment request */
+        recipients: PropTypes.array,
+    };
+
+    static defaultProps = {
+        recipients: [],
+    };
+
+    constructor(props) {
+        super(props);
+        this.state = {
+            recipient: emptyRecipient,
+            recipients: props.recipients,
+            isConfirming: false,
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('BatchPayments');
+    }
+
+    /**
+     * Updates a single recipient field
+     *
+     * @method setField
+     * @param {string} field
+     * @param {string} value
+     */
+    setField(field, value) {
+        this.setState((prevState) => ({ recipient: { ...prevState.recipient, [field]: value } }));
+    }
+
+    /**
+     * Validates and adds recipient to the list of recipients
+     *
+     * @method addRecipient
+     */
+    addRecipient() {
+        const { t } = this.props;
+        const { recipient, recipients } = this.state;
+
+        const newRecipient = {
+            address: recipient.address,
+            value: recipient.amount === '' ? 0 : parseBatchPaymentAmount(recipient.amount),
+            message: recipient.message,
+            tag: recipient.tag,
+        };
+
+        const error = getBatchPaymentValidationError(newRecipient, recipients);
+
+        if (error) {
+            return this.props.generateAlert(
+                'error',
+                t('batchPayments:invalidRecipient', { row: recipients.length + 1 }),
+                t(`batchPayments:${error}`),
+            );
+        }
+
+        Keyboard.dismiss();
+        this.setState({ recipient: emptyRecipient, recipients: [...recipients, newRecipient] });
+    }
+
+    /**
+     * Removes recipient from the list of recipients
+     *
+     * @method removeRecipient
+     * @param {string} address
+     */
+    removeRecipient(address) {
+        this.setState((prevState) => ({
+            recipients: prevState.recipients.filter((recipient) => recipient.address !== address),
+        }));
+    }
+
+    /**
+     * Sets recipients from CSV content
+     *
+     * @method importCsv
+     * @param {string} csv
+     */
+    importCsv(csv) {
+        const { t } = this.props;
+        const { recipients, errors } = parseBatchPaymentsCsv(csv);
+
+        if (errors.length) {
+            return this.props.generateAlert(
+                'error',
+                t('batchPayments:invalidRecipient', { row: errors[0].row }),
+                t(`batchPayments:${errors[0].error}`),
+            );
+        }
+
+        if (isEmpty(recipients)) {
+            return this.props.generateAlert(
+                'error',
+                t('batchPayments:noRecipients'),
+                t('batchPayments:csvEmptyExplanation'),
+            );
+        }
+
+        this.setState({ recipients });
+        this.props.generateAlert(
+            'success',
+            t('batchPayments:recipientsImported'),
+            t('batchPayments:recipientsImportedExplanation', { count: recipients.length }),
+        );
+    }
+
+    /**
+     * Opens document picker and imports recipients from chosen CSV file
+     *
+     * @method showDocumentPicker
+     */
+    showDocumentPicker() {
+        const { t } = this.props;
+
+        (isAndroid
+            ? PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.READ_EXTERNAL_STORAGE)
+            : Promise.resolve(true)
+        )
+            .then((granted) => {
+                if (granted !== true && granted !== PermissionsAndroid.RESULTS.GRANTED) {
+                    throw new Error('Read permissions not granted.');
+                }
+
+                return DocumentPicker.pick({
+                    type: isAndroid
+                        ? ['text/csv', 'text/plain']
+                        : ['public.comma-separated-values-text', 'public.text'],
+                });
+            })
+            .then((res) => {
+                let path = res.uri;
+                if (path.startsWith('file://')) {
+                    path = path.slice(7);
+                }
+
+                return RNFetchBlob.fs
+                    .readFile(path, 'utf8')
+                    .then((data) => this.importCsv(data))
+                    .catch(() =>
+                        this.props.generateAlert(
+                            'error',
+                            t('batchPayments:csvReadError'),
+                            t('batchPayments:csvReadErrorExplanation'),
+                        ),
+                    );
+            })
+            .catch((error) => {
+                if (typeof error.message === 'string' && error.message === 'Read permissions not granted.') {
+                    return this.props.generateAlert(
+                        'error',
+                        t('global:missingPermission'),
+                        t('global:missingPermissionExplanation'),
+                    );
+                }
+                // Do not show an alert if user cancels and does not pick a file
+                if (!DocumentPicker.isCancel(error)) {
+                    return this.props.generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    );
+                }
+            });
+    }
+
+    /**
+     * Validates the list of recipients against balance and shows transfer confirmation
+     *
+     * @method onSendPress
+     */
+    onSendPress() {
+        const { t, balance } = this.props;
+        const { recipients } = this.state;
+
+        if (isEmpty(recipients)) {
+            return this.props.generateAlert(
+                'error',
+                t('batchPayments:noRecipients'),
+                t('batchPayments:noRecipientsExplanation'),
+            );
+        }
+
+        if (getBatchPaymentsTotal(recipients) > balance) {
+            return this.props.generateAlert('error', t('send:notEnoughFunds'), t('send:notEnoughFundsExplanation'));
+        }
+
+        Keyboard.dismiss();
+        this.setState({ isConfirming: true });
+    }
+
+    renderRecipients() {
+        const { theme } = this.props;
+        const textColor = { color: theme.body.color };
+
+        return map(this.state.recipients, (recipient) => (
+            <View key={recipient.address} style={styles.recipientRow}>
+                <Text style={[styles.recipientAddress, textColor]} numberOfLines={1} ellipsizeMode="middle">
+                    {recipient.address}
+                </Text>
+                <Text style={[styles.recipientValue, textColor]}>
+                    {formatValue(recipient.value)} {formatUnit(recipient.value)}
+                </Text>
+                <TouchableOpacity
+                    onPress={() => this.removeRecipient(recipient.address)}
+                    hitSlop={{ top: height / 60, bottom: height / 60, left: width / 30, right: width / 30 }}
+                >
+                    <Icon name="cross" size={width / 28} color={theme.body.color} />
+                </TouchableOpacity>
+            </View>
+        ));
+    }
+
+    renderConfirmation() {
+        const { t, theme } = this.props;
+        const { recipients } = this.state;
+        const textColor = { color: theme.body.color };
+        const total = getBatchPaymentsTotal(recipients);
+
+        return (
+            <ModalView
+                dualButtons
+                onLeftButtonPress={() => this.setState({ isConfirming: false })}
+                onRightButtonPress={() => this.props.onSend(recipients)}
+                leftButtonText={t('global:cancel')}
+                rightButtonText={t('global:confirm')}
+            >
+                <View style={{ flex: 1 }} />
+                <Text style={[styles.titleText, textColor]}>
+                    {t('batchPayments:youAreAbout', {
+                        total: `${formatValue(total)} ${formatUnit(total)}`,
+                        count: recipients.length,
+                    })}
+                </Text>
+                <ScrollView style={{ maxHeight: height / 2 }}>{this.renderRecipients()}</ScrollView>
+                <View style={{ flex: 1 }} />
+            </ModalView>
+        );
+    }
+
+    render() {
+        const { t, theme } = this.props;
+        const { recipient, recipients, isConfirming } = this.state;
+        const textColor = { color: theme.body.color };
+        const total = getBatchPaymentsTotal(recipients);
+
+        if (isConfirming) {
+            return this.renderConfirmation();
+        }
+
+        return (
+            <ModalView
+                dualButtons
+                onLeftButtonPress={() => this.props.hideModal()}
+                onRightButtonPress={() => this.onSendPress()}
+                leftButtonText={t('global:back')}
+                rightButtonText={t('batchPayments:sendBatch')}
+                disableRightButton={isEmpty(recipients)}
+            >
+                <Text style={[styles.titleText, textColor]}>{t('batchPayments:batchPayments')}</Text>
+                <View style={styles.fieldsContainer}>
+                    <CustomTextInput
+                        label={t('global:address')}
+                        onValidTextChange={(text) => this.setField('address', text.trim())}
+                        autoCapitalize="characters"
+                        autoCorrect={false}
+                        maxLength={ADDRESS_LENGTH}
+                        theme={theme}
+                        value={recipient.address}
+                    />
+                    <CustomTextInput
+                        label={t('batchPayments:amount')}
+                        onValidTextChange={(text) => this.setField('amount', text)}
+                        autoCorrect={false}
+                        theme={theme}
+                        value={recipient.amount}
+                    />
+                    <CustomTextInput
+                        label={t('send:message')}
+                        onValidTextChange={(text) => this.setField('message', text)}
+                        autoCorrect={false}
+                        maxLength={MAX_MESSAGE_LENGTH}
+                        theme={theme}
+                        value={recipient.message}
+                    />
+                    <CustomTextInput
+                        label={t('batchPayments:tag')}
+                        onValidTextChange={(text) => this.setField('tag', text.toUpperCase())}
+                        autoCapitalize="characters"
+                        autoCorrect={false}
+                        maxLength={MAX_TAG_LENGTH}
+                        theme={theme}
+                        value={recipient.tag}
+                    />
+                </View>
+                <View style={styles.actionsContainer}>
+                    <TouchableOpacity onPress={() => this.addRecipient()} disabled={recipient.address === ''}>
+                        <Text
+                            style={[
+                                styles.actionText,
+                                { color: theme.primary.color, opacity: recipient.address === '' ? 0.4 : 1 },
+                            ]}
+                        >
+                            {t('batchPayments:addRecipient')}
+                        </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => this.showDocumentPicker()}>
+                        <Text style={[styles.actionText, { color: theme.primary.color }]}>
+                            {t('batchPayments:importCsv')}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+                <Text style={[styles.infoText, textColor]}>{t('batchPayments:importCsvExplanation')}</Text>
+                {recipients.length ? (
+                    <ScrollView style={{ maxHeight: maxScrollViewHeight, marginTop: height / 60 }}>
+                        {this.renderRecipients()}
+                    </ScrollView>
+                ) : (
+                    <Text style={[styles.infoText, textColor, { paddingTop: height / 60 }]}>
+                        {t('batchPayments:noRecipients')}
+                    </Text>
+                )}
+                <Text style={[styles.totalText, textColor]}>
+                    {t('batchPayments:total')}: {formatValue(total)} {formatUnit(total)} ({recipients.length})
+                </Text>
+            </ModalView>
+        );
+    }
+}
+
+export default withTranslation(['global', 'batchPayments'])(BatchPaymentsModal);
@@ -0,0 +1,216 @@
+import map from 'lodash/map';
+import includes from 'lodash/includes';
+import without from 'lodash/without';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text, ScrollView, TouchableOpacity } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { formatIotas } from 'shared-modules/libs/iota/utils';
+import { height } from 'libs/dimensions';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import Toggle from './Toggle';
+import ModalView from './ModalView';
+
+const styles = StyleSheet.create({
+    titleText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize5,
+        textAlign: 'center',
+        paddingBottom: height / 60,
+    },
+    sectionText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+        paddingVertical: height / 60,
+    },
+    infoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        width: Styling.contentWidth,
+        paddingBottom: height / 80,
+    },
+    addressText: {
+        flex: 1,
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize1,
+        paddingRight: height / 80,
+    },
+    scrollView: {
+        maxHeight: height / 2,
+        width: Styling.contentWidth,
+    },
+});
+
+/**
+ * Coin control modal, manually selecting inputs and remainder address of a transfer (Send screen)
+ */
+export class CoinControlModal extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Account inputs (see getSelectableInputs) */
+        selectableInputs: PropTypes.array.isRequired,
+        /** Account addresses that can be used as remainder address */
+        selectableRemainderAddressData: PropTypes.array.isRequired,
+        /** Previously chosen coin control options */
+        coinControl: PropTypes.shape({
+            inputs: PropTypes.array,
+            remainderAddress: PropTypes.string,
+        }),
+        /** Triggered when user confirms coin control options
+         * @param {object|null} coinControl - { inputs, remainderAddress }, null if disabled
+         */
+        onConfirm: PropTypes.func.isRequired,
+    };
+
+    constructor(props) {
+        super(props);
+        this.state = {
+            selectedInputs: props.coinControl ? props.coinControl.inputs : [],
+            remainderAddress: props.coinControl ? props.coinControl.remainderAddress : null,
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('CoinControl');
+    }
+
+    /**
+     * Selects or deselects an input
+     *
+     * @method toggleInput
+     * @param {object} input
+     */
+    toggleInput(input) {
+        const { selectedInputs } = this.state;
+
+        if (!input.selectable) {
+            return;
+        }
+
+        this.setState({
+            selectedInputs: includes(selectedInputs, input.address)
+                ? without(selectedInputs, input.address)
+                : selectedInputs.concat(input.address),
+        });
+    }
+
+    /**
+     * Passes on selected inputs and remainder address
+     *
+     * @method confirm
+     */
+    confirm() {
+        const { selectableInputs } = this.props;
+        const { selectedInputs, remainderAddress } = this.state;
+
+        this.props.onConfirm({
+            inputs: map(
+                selectableInputs.filter((input) => input.selectable && includes(selectedInputs, input.address)),
+                (input) => input.address,
+            ),
+            remainderAddress,
+        });
+    }
+
+    renderInputs() {
+        const { t, theme, selectableInputs } = this.props;
+        const { selectedInputs } = this.state;
+        const textColor = { color: theme.body.color };
+
+        if (!selectableInputs.length) {
+            return <Text style={[styles.infoText, textColor]}>{t('coinControl:noInputs')}</Text>;
+        }
+
+        return map(selectableInputs, (input) => (
+            <TouchableOpacity key={input.address} onPress={() => this.toggleInput(input)}>
+                <View style={[styles.row, { opacity: input.selectable ? 1 : 0.5 }]}>
+                    <Text style={[styles.addressText, textColor]} numberOfLines={1} ellipsizeMode="middle">
+                        {input.address}
+                    </Text>
+                    <Text style={[styles.infoText, textColor, { paddingRight: height / 80 }]}>
+                        {input.spent
+                            ? t('coinControl:spent')
+                            : input.hasPendingOutgoingTransactions
+                            ? t('coinControl:pendingOutgoing')
+                            : formatIotas(input.balance, false, true)}
+                    </Text>
+                    <Toggle
+                        active={input.selectable && includes(selectedInputs, input.address)}
+                        bodyColor={theme.body.color}
+                        primaryColor={theme.primary.color}
+                        scale={0.8}
+                    />
+                </View>
+            </TouchableOpacity>
+        ));
+    }
+
+    renderRemainderAddresses() {
+        const { t, theme, selectableRemainderAddressData } = this.props;
+        const { remainderAddress } = this.state;
+        const textColor = { color: theme.body.color };
+        const options = [{ address: null, label: t('coinControl:automatic') }].concat(
+            map(selectableRemainderAddressData, ({ address, index }) => ({ address, label: `#${index} ${address}` })),
+        );
+
+        return map(options, ({ address, label }) => (
+            <TouchableOpacity key={address || 'automatic'} onPress={() => this.setState({ remainderAddress: address })}>
+                <View style={styles.row}>
+                    <Text style={[styles.addressText, textColor]} numberOfLines={1} ellipsizeMode="middle">
+                        {label}
+                    </Text>
+                    <Toggle
+                        active={remainderAddress === address}
+                        bodyColor={theme.body.color}
+                        primaryColor={theme.primary.color}
+                        scale={0.8}
+                    />
+                </View>
+            </TouchableOpacity>
+        ));
+    }
+
+    render() {
+        const { t, theme, selectableInputs } = this.props;
+        const { selectedInputs } = this.state;
+        const textColor = { color: theme.body.color };
+        const selectedTotal = selectableInputs
+            .filter((input) => input.selectable && includes(selectedInputs, input.address))
+            .reduce((total, input) => total + input.balance, 0);
+
+        return (
+            <ModalView
+                dualButtons
+                onLeftButtonPress={() => this.props.onConfirm(null)}
+                onRightButtonPress={() => this.confirm()}
+                leftButtonText={t('coinControl:disable')}
+                rightButtonText={t('global:done')}
+            >
+                <Text style={[styles.titleText, textColor]}>{t('coinControl:advancedSend')}</Text>
+                <ScrollView style={styles.scrollView}>
+                    <Text style={[styles.sectionText, textColor]}>{t('coinControl:inputs')}</Text>
+                    {this.renderInputs()}
+                    <Text style={[styles.infoText, textColor]}>
+                        {t('coinControl:selectedTotal')}: {formatIotas(selectedTotal, false, true)}
+                    </Text>
+                    <Text style={[styles.sectionText, textColor]}>{t('coinControl:remainderAddress')}</Text>
+                    {this.renderRemainderAddresses()}
+                </ScrollView>
+            </ModalView>
+        );
+    }
+}
+
+export default withTranslation(['global', 'coinControl'])(CoinControlModal);
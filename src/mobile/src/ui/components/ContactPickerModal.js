@@ -0,0 +1,136 @@
+import React, { PureComponent } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text, ListView, TouchableOpacity } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { height } from 'libs/dimensions';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import ModalView from './ModalView';
+
+const ds = new ListView.DataSource({ rowHasChanged: (r1, r2) => r1 !== r2 });
+const maxScrollViewHeight = height / 2;
+
+const styles = StyleSheet.create({
+    titleText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize6,
+        textAlign: 'center',
+        paddingBottom: height / 20,
+    },
+    contactName: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize4,
+    },
+    contactAddress: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize2,
+        paddingTop: height / 200,
+    },
+    infoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+    },
+    separator: {
+        height: height / 40,
+    },
+});
+
+/**
+ * Address book contact picker (Send screen)
+ */
+export class ContactPickerModal extends PureComponent {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** Hide active modal */
+        hideModal: PropTypes.func.isRequired,
+        /** Address book contacts */
+        contacts: PropTypes.array.isRequired,
+        /** Triggered when a contact is selected
+         * @param {object} contact
+         */
+        onSelect: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            scrollable: false,
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('ContactPicker');
+    }
+
+    setScrollable(y) {
+        if (y >= maxScrollViewHeight) {
+            return this.setState({ scrollable: true });
+        }
+        this.setState({ scrollable: false });
+    }
+
+    render() {
+        const {
+            t,
+            contacts,
+            theme: { body, negative },
+        } = this.props;
+        const textColor = { color: body.color };
+
+        return (
+            <ModalView displayTopBar buttonText={t('back')} onButtonPress={() => this.props.hideModal()}>
+                <View style={{ flex: 2 }} />
+                <Text style={[styles.titleText, textColor]}>{t('contacts:selectContact')}</Text>
+                {contacts.length ? (
+                    <ListView
+                        dataSource={ds.cloneWithRows(contacts)}
+                        renderRow={(contact) => (
+                            <TouchableOpacity
+                                onPress={() => this.props.onSelect(contact)}
+                                style={{ width: Styling.contentWidth }}
+                            >
+                                <Text style={[styles.contactName, textColor]}>
+                                    {contact.name}
+                                    {contact.spent && (
+                                        <Text style={{ color: negative.color }}> ({t('contacts:spent')})</Text>
+                                    )}
+                                </Text>
+                                <Text
+                                    style={[
+                                        styles.contactAddress,
+                                        contact.spent ? { color: negative.color } : textColor,
+                                    ]}
+                                    numberOfLines={1}
+                                    ellipsizeMode="middle"
+                                >
+                                    {contact.address}
+                                </Text>
+                            </TouchableOpacity>
+                        )}
+                        scrollEnabled={this.state.scrollable}
+                        renderSeparator={(sectionId, rowId) => <View key={rowId} style={styles.separator} />}
+                        enableEmptySections
+                        style={{
+                            maxHeight: maxScrollViewHeight,
+                            width: Styling.contentWidth,
+                        }}
+                        onContentSizeChange={(x, y) => this.setScrollable(y)}
+                    />
+                ) : (
+                    <Text style={[styles.infoText, textColor]}>{t('contacts:noContacts')}</Text>
+                )}
+                <View style={{ flex: 2 }} />
+            </ModalView>
+        );
+    }
+}
+
+export default withTranslation(['global', 'contacts'])(ContactPickerModal);
@@ -126,6 +126,8 @@ class CustomTextInput extends Component {
         denominationText: PropTypes.string,
         /** Press event (Qr widget) callback function */
         onQRPress: PropTypes.func,
+        /** Press event (Contacts widget) callback function */
+        onContactsPress: PropTypes.func,
         /** Boolean for displaying fingerprint widget */
         fingerprintAuthentication: PropTypes.bool,
         /** Press event (Fingerprint widget) callback function */
@@ -178,6 +180,7 @@ class CustomTextInput extends Component {
         widgets: [],
         onDenominationPress: () => {},
         onQRPress: () => {},
+        onContactsPress: () => {},
         denominationText: 'i',
         bodyColor: 'white',
         negativeColor: '#F7D002',
@@ -269,6 +272,8 @@ class CustomTextInput extends Component {
                 return this.renderFingerprintAuthentication(false);
             case 'qr':
                 return this.renderQR();
+            case 'contacts':
+                return this.renderContacts();
             case 'mask':
                 return this.renderSecretMask();
             case 'search':
@@ -315,6 +320,19 @@ class CustomTextInput extends Component {
         );
     }
 
+    renderContacts() {
+        const { theme, onContactsPress, containerStyle } = this.props;
+        return (
+            <TouchableOpacity
+                onPress={() => onContactsPress()}
+                style={styles.widgetButton}
+                hitSlop={{ top: height / 60, bottom: height / 60, left: width / 75, right: width / 75 }}
+            >
+                <Icon name="user" size={containerStyle.width / 17} color={theme.input.alt} />
+            </TouchableOpacity>
+        );
+    }
+
     renderSearch() {
         const { theme, containerStyle, searchValue } = this.props;
         return (
@@ -3,9 +3,11 @@ import { Linking } from 'react-native';
 import { withTranslation } from 'react-i18next';
 import { connect } from 'react-redux';
 import PropTypes from 'prop-types';
-import { initiateDeepLinkRequest, setDeepLinkContent, setSetting } from 'shared-modules/actions/wallet';
-import { parseAddress, ADDRESS_LENGTH } from 'shared-modules/libs/iota/utils';
-import { generateAlert } from 'shared-modules/actions/alerts';
+import { initiateDeepLinkRequest, setSetting } from 'shared-modules/actions/wallet';
+import { verifyPaymentUriContent } from 'shared-modules/actions/transfers';
+import { setPaymentUriContent } from 'shared-modules/actions/ui';
+import { parsePaymentUri, getPaymentUriCallbackUrl } from 'shared-modules/libs/paymentUri';
+import { generateAlert, generatePaymentUriErrorAlert } from 'shared-modules/actions/alerts';
 import { changeHomeScreenRoute } from 'shared-modules/actions/home';
 import { isAndroid } from 'libs/device';
 
@@ -27,6 +29,22 @@ export default () => (C) => {
             }
         }
 
+        componentWillReceiveProps(newProps) {
+            // On paid payment request with a callback
+            if (!this.props.paymentUriContent.bundle && newProps.paymentUriContent.bundle) {
+                const { t } = this.props;
+                const { callback, bundle } = newProps.paymentUriContent;
+
+                Linking.openURL(getPaymentUriCallbackUrl(callback, bundle));
+                this.props.setPaymentUriContent({});
+                this.props.generateAlert(
+                    'success',
+                    t('paymentUri:callbackOpened'),
+                    t('paymentUri:callbackOpenedExplanation'),
+                );
+            }
+        }
+
         componentWillUnmount() {
             Linking.removeEventListener('url', this.setDeepUrl);
         }
@@ -44,20 +62,16 @@ export default () => (C) => {
                 return generateAlert('info', t('deepLink:deepLinkingInfoTitle'), t('deepLink:deepLinkingInfoMessage'));
             }
             this.props.changeHomeScreenRoute('send');
-            const parsedData = parseAddress(data.url || data);
-            if (parsedData) {
-                this.props.setDeepLinkContent(
-                    parsedData.amount.toString() || '0',
-                    parsedData.address,
-                    parsedData.message || null,
-                );
-            } else {
-                generateAlert(
-                    'error',
-                    t('send:invalidAddress'),
-                    t('send:invalidAddressExplanation1', { maxLength: ADDRESS_LENGTH }),
-                );
+
+            let request = null;
+
+            try {
+                request = parsePaymentUri(data.url || data);
+            } catch (error) {
+                return this.props.generatePaymentUriErrorAlert(error);
             }
+
+            this.props.verifyPaymentUriContent(request);
         }
 
         /**
@@ -83,7 +97,13 @@ export default () => (C) => {
         /** @ignore */
         initiateDeepLinkRequest: PropTypes.func.isRequired,
         /** @ignore */
-        setDeepLinkContent: PropTypes.func.isRequired,
+        generatePaymentUriErrorAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        verifyPaymentUriContent: PropTypes.func.isRequired,
+        /** @ignore */
+        setPaymentUriContent: PropTypes.func.isRequired,
+        /** @ignore */
+        paymentUriContent: PropTypes.object.isRequired,
         /** @ignore */
         changeHomeScreenRoute: PropTypes.func.isRequired,
         /** @ignore */
@@ -92,15 +112,18 @@ export default () => (C) => {
 
     const mapStateToProps = (state) => ({
         deepLinking: state.settings.deepLinking,
+        paymentUriContent: state.ui.paymentUriContent,
     });
 
     const mapDispatchToProps = {
         initiateDeepLinkRequest,
-        setDeepLinkContent,
+        verifyPaymentUriContent,
+        setPaymentUriContent,
         generateAlert,
+        generatePaymentUriErrorAlert,
         changeHomeScreenRoute,
         setSetting,
     };
 
-    return withTranslation(['global'])(connect(mapStateToProps, mapDispatchToProps)(WithDeepLinking));
+    return withTranslation(['global', 'paymentUri'])(connect(mapStateToProps, mapDispatchToProps)(WithDeepLinking));
 };
@@ -0,0 +1,103 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { StyleSheet, View, Text, TouchableWithoutFeedback, Keyboard } from 'react-native';
+import { width } from 'libs/dimensions';
+import Header from 'ui/components/Header';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import { Styling } from 'ui/theme/general';
+import CustomTextInput from './CustomTextInput';
+import DualFooterButtons from './DualFooterButtons';
+
+const styles = StyleSheet.create({
+    topContainer: {
+        flex: 2.6,
+        alignItems: 'center',
+        justifyContent: 'flex-start',
+    },
+    midContainer: {
+        flex: 3,
+        width,
+        alignItems: 'center',
+    },
+    bottomContainer: {
+        flex: 0.7,
+        alignItems: 'center',
+        justifyContent: 'flex-end',
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        backgroundColor: 'transparent',
+        width: Styling.contentWidth,
+        paddingTop: width / 15,
+    },
+});
+
+/** Two-factor authentication code entry on login */
+export class EnterCodeOnLogin extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** Two-factor authentication code text */
+        code: PropTypes.string,
+        /** Verify two factor authentication code */
+        onCompletePress: PropTypes.func.isRequired,
+        /** Return to password entry */
+        onBackPress: PropTypes.func.isRequired,
+        /** Sets two-factor authentication code text */
+        setCode: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    static defaultProps = {
+        code: '',
+    };
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('EnterCodeOnLogin');
+    }
+
+    render() {
+        const { t, theme, code } = this.props;
+
+        return (
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+                <View>
+                    <View style={styles.topContainer}>
+                        <Header textColor={theme.body.color} />
+                    </View>
+                    <View style={styles.midContainer}>
+                        <CustomTextInput
+                            label={t('twoFA:enterCode')}
+                            onValidTextChange={(code) => this.props.setCode(code)}
+                            containerStyle={{ width: Styling.contentWidth }}
+                            autoCapitalize="characters"
+                            autoCorrect={false}
+                            enablesReturnKeyAutomatically
+                            returnKeyType="done"
+                            onSubmitEditing={this.props.onCompletePress}
+                            theme={theme}
+                            value={code}
+                        />
+                        <Text style={[styles.infoText, { color: theme.body.color }]}>
+                            {t('twoFA:lostDeviceExplanation')}
+                        </Text>
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <DualFooterButtons
+                            onLeftButtonPress={this.props.onBackPress}
+                            onRightButtonPress={this.props.onCompletePress}
+                            leftButtonText={t('global:back')}
+                            rightButtonText={t('login')}
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+export default withTranslation(['login', 'global', 'twoFA'])(EnterCodeOnLogin);
@@ -21,6 +21,16 @@ import QrScanner from 'ui/components/QrScanner';
 import Print from 'ui/components/PrintModal';
 import BiometricInfo from 'ui/components/BiometricInfoModal';
 import NotificationLog from 'ui/components/NotificationLogModal';
+import ContactPicker from 'ui/components/ContactPickerModal';
+import BatchPayments from 'ui/components/BatchPaymentsModal';
+import OfflineSigning from 'ui/components/OfflineSigningModal';
+import WatchOnlyAddresses from 'ui/components/WatchOnlyAddressesModal';
+import MultisigTransfer from 'ui/components/MultisigTransferModal';
+import MultisigCosigners from 'ui/components/MultisigCosignersModal';
+import SeedShares from 'ui/components/SeedSharesModal';
+import PaymentRequests from 'ui/components/PaymentRequestsModal';
+import CoinControl from 'ui/components/CoinControlModal';
+import TwoFactorCode from 'ui/components/TwoFactorCodeModal';
 import { isAndroid, isIPhoneX } from 'libs/device';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import { Styling } from 'ui/theme/general';
@@ -56,6 +66,16 @@ const MODAL_CONTENT = {
     biometricInfo: BiometricInfo,
     notificationLog: NotificationLog,
     checksum: Checksum,
+    contactPicker: ContactPicker,
+    batchPayments: BatchPayments,
+    offlineSigning: OfflineSigning,
+    watchOnlyAddresses: WatchOnlyAddresses,
+    multisigTransfer: MultisigTransfer,
+    multisigCosigners: MultisigCosigners,
+    seedShares: SeedShares,
+    paymentRequests: PaymentRequests,
+    coinControl: CoinControl,
+    twoFactorCode: TwoFactorCode,
 };
 
 const fadeInUpCustom = {
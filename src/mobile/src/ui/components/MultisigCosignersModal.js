@@ -0,0 +1,406 @@
+import map from 'lodash/map';
+import size from 'lodash/size';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text, TouchableOpacity, PermissionsAndroid, Keyboard } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { QRscanner } from 'react-native-qr-scanner';
+import DocumentPicker from 'react-native-document-picker';
+import RNFetchBlob from 'rn-fetch-blob';
+import { iota } from 'shared-modules/libs/iota';
+import { getQrFrames, addQrFrame, joinQrFrames } from 'shared-modules/libs/iota/offlineSigning';
+import {
+    getMultisigDigests,
+    createMultisigDigestsExport,
+    parseMultisigDigestsExport,
+    addCosigner,
+    getMultisigAddresses,
+} from 'shared-modules/libs/iota/multisig';
+import { DEFAULT_SECURITY } from 'shared-modules/config';
+import { width, height } from 'libs/dimensions';
+import { isAndroid } from 'libs/device';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomTextInput from './CustomTextInput';
+import CustomQRCode from './CustomQRCode';
+import ModalView from './ModalView';
+
+/** Animated QR code frame duration in milliseconds */
+const QR_FRAME_DURATION = 300;
+
+const emptyScannedFrames = { total: 0, parts: {} };
+
+const styles = StyleSheet.create({
+    titleText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize5,
+        textAlign: 'center',
+        paddingBottom: height / 60,
+    },
+    infoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+        textAlign: 'center',
+        width: Styling.contentWidth,
+        paddingBottom: height / 60,
+    },
+    addressText: {
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize1,
+        textAlign: 'center',
+        width: Styling.contentWidth,
+    },
+    scannerContainer: {
+        width: width * 0.8,
+        height: width * 0.8,
+        overflow: 'hidden',
+    },
+    qrContainer: {
+        padding: width / 30,
+        backgroundColor: 'white',
+    },
+    actionsContainer: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        width: Styling.contentWidth,
+        paddingVertical: height / 60,
+    },
+    actionText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+});
+
+/**
+ * Multisig co-signers modal, exchanging key digests between co-signers (Enter seed screen)
+ */
+export class MultisigCosignersModal extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Hide active modal */
+        hideModal: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** Co-signer seed trits */
+        seed: PropTypes.oneOfType([PropTypes.array, PropTypes.object]).isRequired,
+        /** Triggered when user confirms co-signers
+         * @param {object} vault - { seed, security, cosigners }
+         */
+        onCosignersEntered: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            name: '',
+            ownCosigner: null,
+            cosigners: [],
+            isScanning: false,
+            scannedFrames: emptyScannedFrames,
+            qrFrames: [],
+            qrIndex: 0,
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('MultisigCosigners');
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.qrInterval);
+    }
+
+    /**
+     * Derives key digests of the co-signer seed
+     *
+     * @method setName
+     */
+    setName() {
+        const { t } = this.props;
+        const name = this.state.name.trim();
+
+        if (!name.length) {
+            return this.props.generateAlert(
+                'error',
+                t('multisig:noCosignerName'),
+                t('multisig:noCosignerNameExplanation'),
+            );
+        }
+
+        Keyboard.dismiss();
+
+        const ownCosigner = {
+            name,
+            security: DEFAULT_SECURITY,
+            digests: getMultisigDigests(Array.from(this.props.seed)),
+        };
+
+        this.setState({ ownCosigner, cosigners: [ownCosigner] });
+    }
+
+    /**
+     * Adds co-signer from exported digests
+     *
+     * @method importDigests
+     * @param {string} content
+     */
+    importDigests(content) {
+        const { t } = this.props;
+
+        try {
+            const cosigner = parseMultisigDigestsExport(content);
+
+            this.setState((prevState) => ({ cosigners: addCosigner(prevState.cosigners, cosigner) }));
+        } catch (error) {
+            this.props.generateAlert('error', t('multisig:invalidDigests'), t('multisig:invalidDigestsExplanation'));
+        }
+    }
+
+    /**
+     * Shows own digests as an animated QR code
+     *
+     * @method showDigests
+     */
+    showDigests() {
+        const { name, security, digests } = this.state.ownCosigner;
+
+        clearInterval(this.qrInterval);
+
+        this.setState({
+            qrFrames: getQrFrames(JSON.stringify(createMultisigDigestsExport(name, security, digests))),
+            qrIndex: 0,
+        });
+
+        this.qrInterval = setInterval(() => {
+            this.setState((prevState) => ({ qrIndex: (prevState.qrIndex + 1) % prevState.qrFrames.length }));
+        }, QR_FRAME_DURATION);
+    }
+
+    /**
+     * Starts scanning animated QR code frames
+     *
+     * @method startScanning
+     */
+    startScanning() {
+        if (isAndroid) {
+            PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.CAMERA);
+        }
+
+        this.setState({ isScanning: true, scannedFrames: emptyScannedFrames });
+    }
+
+    /**
+     * Collects scanned frames and adds the co-signer once all frames are scanned
+     *
+     * @method onQRRead
+     * @param {string} data
+     */
+    onQRRead(data) {
+        const scannedFrames = addQrFrame(this.state.scannedFrames, data);
+        const content = joinQrFrames(scannedFrames);
+
+        if (content === null) {
+            return this.setState({ scannedFrames });
+        }
+
+        this.setState({ isScanning: false, scannedFrames: emptyScannedFrames });
+        this.importDigests(content);
+    }
+
+    /**
+     * Opens document picker and imports digests from chosen file
+     *
+     * @method showDocumentPicker
+     */
+    showDocumentPicker() {
+        const { t } = this.props;
+
+        (isAndroid
+            ? PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.READ_EXTERNAL_STORAGE)
+            : Promise.resolve(true)
+        )
+            .then((granted) => {
+                if (granted !== true && granted !== PermissionsAndroid.RESULTS.GRANTED) {
+                    throw new Error('Read permissions not granted.');
+                }
+
+                return DocumentPicker.pick({ type: isAndroid ? ['application/json'] : ['public.json'] });
+            })
+            .then((res) => {
+                let path = res.uri;
+                if (path.startsWith('file://')) {
+                    path = path.slice(7);
+                }
+
+                return RNFetchBlob.fs.readFile(path, 'utf8').then((data) => this.importDigests(data));
+            })
+            .catch((error) => {
+                if (typeof error.message === 'string' && error.message === 'Read permissions not granted.') {
+                    return this.props.generateAlert(
+                        'error',
+                        t('global:missingPermission'),
+                        t('global:missingPermissionExplanation'),
+                    );
+                }
+                // Do not show an alert if user cancels and does not pick a file
+                if (!DocumentPicker.isCancel(error)) {
+                    return this.props.generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    );
+                }
+            });
+    }
+
+    /**
+     * Passes on co-signer seed and co-signers
+     *
+     * @method setCosigners
+     */
+    setCosigners() {
+        const { t, seed } = this.props;
+        const { ownCosigner, cosigners } = this.state;
+
+        if (cosigners.length < 2) {
+            return this.props.generateAlert(
+                'error',
+                t('multisig:notEnoughCosigners'),
+                t('multisig:notEnoughCosignersExplanation'),
+            );
+        }
+
+        this.props.onCosignersEntered({ seed, security: ownCosigner.security, cosigners });
+    }
+
+    hideQr() {
+        clearInterval(this.qrInterval);
+        this.setState({ qrFrames: [], qrIndex: 0 });
+    }
+
+    renderCosigners() {
+        const { t, theme } = this.props;
+        const { cosigners } = this.state;
+        const textColor = { color: theme.body.color };
+        const actionColor = { color: theme.primary.color };
+
+        return (
+            <View style={{ alignItems: 'center' }}>
+                <Text style={[styles.infoText, textColor]}>{t('multisig:exchangeDigestsExplanation')}</Text>
+                <View style={styles.actionsContainer}>
+                    <TouchableOpacity onPress={() => this.showDigests()}>
+                        <Text style={[styles.actionText, actionColor]}>{t('multisig:showDigests')}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => this.startScanning()}>
+                        <Text style={[styles.actionText, actionColor]}>{t('offlineSigning:scanQr')}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => this.showDocumentPicker()}>
+                        <Text style={[styles.actionText, actionColor]}>{t('multisig:importDigests')}</Text>
+                    </TouchableOpacity>
+                </View>
+                {map(cosigners, (cosigner, index) => (
+                    <Text key={cosigner.digests[0]} style={[styles.infoText, textColor]}>
+                        {index + 1}. {cosigner.name}
+                    </Text>
+                ))}
+                {cosigners.length > 1 && (
+                    <View>
+                        <Text style={[styles.infoText, textColor]}>{t('multisig:verifyFirstAddress')}</Text>
+                        <Text style={[styles.addressText, textColor]}>
+                            {iota.utils.addChecksum(getMultisigAddresses(cosigners)[0])}
+                        </Text>
+                    </View>
+                )}
+            </View>
+        );
+    }
+
+    renderContent() {
+        const { t, theme } = this.props;
+        const { name, ownCosigner, isScanning, scannedFrames, qrFrames, qrIndex } = this.state;
+        const textColor = { color: theme.body.color };
+
+        if (qrFrames.length) {
+            return (
+                <TouchableOpacity style={{ alignItems: 'center' }} onPress={() => this.hideQr()}>
+                    <View style={styles.qrContainer}>
+                        <CustomQRCode value={qrFrames[qrIndex]} size={width / 1.6} />
+                    </View>
+                    <Text style={[styles.infoText, textColor, { paddingTop: height / 40 }]}>
+                        {t('offlineSigning:frame', { index: qrIndex + 1, total: qrFrames.length })}
+                    </Text>
+                </TouchableOpacity>
+            );
+        }
+
+        if (isScanning) {
+            return (
+                <View style={{ alignItems: 'center' }}>
+                    <View style={styles.scannerContainer}>
+                        <QRscanner
+                            onRead={(data) => this.onQRRead(data.data)}
+                            rectHeight={width * 0.7}
+                            rectWidth={width * 0.7}
+                            hintText=""
+                            bottomHeight={0}
+                            cornerColor={theme.primary.color}
+                            scanBarColor={theme.primary.color}
+                        />
+                    </View>
+                    <Text style={[styles.infoText, textColor, { paddingTop: height / 40 }]}>
+                        {t('offlineSigning:scannedFrames', {
+                            scanned: size(scannedFrames.parts),
+                            total: scannedFrames.total || '?',
+                        })}
+                    </Text>
+                </View>
+            );
+        }
+
+        if (ownCosigner) {
+            return this.renderCosigners();
+        }
+
+        return (
+            <View style={{ alignItems: 'center' }}>
+                <Text style={[styles.infoText, textColor]}>{t('multisig:cosignerSeedExplanation')}</Text>
+                <CustomTextInput
+                    label={t('multisig:cosignerName')}
+                    onValidTextChange={(text) => this.setState({ name: text })}
+                    autoCorrect={false}
+                    theme={theme}
+                    value={name}
+                />
+            </View>
+        );
+    }
+
+    render() {
+        const { t, theme } = this.props;
+        const { ownCosigner, isScanning, qrFrames } = this.state;
+
+        return (
+            <ModalView
+                dualButtons
+                onLeftButtonPress={() => this.props.hideModal()}
+                onRightButtonPress={() => (ownCosigner ? this.setCosigners() : this.setName())}
+                leftButtonText={t('global:back')}
+                rightButtonText={t('global:continue')}
+                disableRightButton={isScanning || qrFrames.length > 0}
+            >
+                <Text style={[styles.titleText, { color: theme.body.color }]}>{t('multisig:addMultisigAccount')}</Text>
+                {this.renderContent()}
+            </ModalView>
+        );
+    }
+}
+
+export default withTranslation(['global', 'multisig'])(MultisigCosignersModal);
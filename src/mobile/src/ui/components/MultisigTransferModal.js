@@ -0,0 +1,517 @@
+import map from 'lodash/map';
+import size from 'lodash/size';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text, TouchableOpacity, Keyboard, PermissionsAndroid } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { QRscanner } from 'react-native-qr-scanner';
+import { ADDRESS_LENGTH, MAX_MESSAGE_LENGTH, formatValue, formatUnit } from 'shared-modules/libs/iota/utils';
+import { parseBatchPaymentAmount } from 'shared-modules/libs/batchPayments';
+import {
+    OFFLINE_TRANSFER_TYPES,
+    serializeOfflineTransfer,
+    parseOfflineTransfer,
+    getUnsignedTransferSummary,
+    getSignedTransferSummary,
+    getQrFrames,
+    addQrFrame,
+    joinQrFrames,
+} from 'shared-modules/libs/iota/offlineSigning';
+import { getMultisigSignatureStatus, isFullySignedMultisigTransfer } from 'shared-modules/libs/iota/multisig';
+import Errors from 'shared-modules/libs/errors';
+import { width, height } from 'libs/dimensions';
+import { isAndroid } from 'libs/device';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomTextInput from './CustomTextInput';
+import CustomQRCode from './CustomQRCode';
+import ModalView from './ModalView';
+
+/** Animated QR code frame duration in milliseconds */
+const QR_FRAME_DURATION = 300;
+
+const STEPS = ['prepare', 'sign', 'broadcast'];
+
+const emptyScannedFrames = { total: 0, parts: {} };
+
+const styles = StyleSheet.create({
+    stepsContainer: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        width: Styling.contentWidth,
+        paddingBottom: height / 40,
+    },
+    stepText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+    infoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        width: Styling.contentWidth,
+        paddingBottom: height / 40,
+    },
+    fieldsContainer: {
+        height: height / 3.5,
+        justifyContent: 'space-around',
+        alignItems: 'center',
+    },
+    scannerContainer: {
+        width: width * 0.8,
+        height: width * 0.8,
+        overflow: 'hidden',
+    },
+    qrContainer: {
+        padding: width / 30,
+        backgroundColor: 'white',
+    },
+    summaryRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        width: Styling.contentWidth,
+        paddingVertical: height / 150,
+    },
+    summaryAddress: {
+        flex: 1,
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize1,
+    },
+    summaryValue: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+        paddingLeft: width / 30,
+    },
+    actionText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+        paddingTop: height / 40,
+    },
+});
+
+/**
+ * Multisig transfer modal, exchanging partially signed bundles between co-signers with animated QR codes (Send screen)
+ */
+export class MultisigTransferModal extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Hide active modal */
+        hideModal: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** Gets co-signers of selected account
+         * @returns {Promise<array>}
+         */
+        getCosigners: PropTypes.func.isRequired,
+        /** Creates an unsigned multisig bundle
+         * @param {object} recipient
+         * @param {string} password - Re-entered password (See isPasswordRequired)
+         * @returns {Promise<object|null>}
+         */
+        onPrepare: PropTypes.func.isRequired,
+        /** Determines if password must be re-entered (send policy) before a transfer is prepared
+         * @param {number} value
+         * @returns {boolean}
+         */
+        isPasswordRequired: PropTypes.func.isRequired,
+        /** Adds this co-signer's signature to a multisig bundle
+         * @param {object} transfer
+         * @returns {Promise<object|null>}
+         */
+        onSign: PropTypes.func.isRequired,
+        /** Broadcasts a fully signed multisig bundle
+         * @param {object} transfer
+         */
+        onBroadcast: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            step: 'prepare',
+            address: '',
+            amount: '',
+            message: '',
+            password: '',
+            transfer: null,
+            cosigners: [],
+            isScanning: false,
+            scannedFrames: emptyScannedFrames,
+            qrFrames: [],
+            qrIndex: 0,
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('MultisigTransfer');
+
+        this.props.getCosigners().then((cosigners) => this.setState({ cosigners }));
+    }
+
+    componentWillUnmount() {
+        clearInterval(this.qrInterval);
+    }
+
+    /**
+     * Switches between prepare, sign and broadcast steps
+     *
+     * @method setStep
+     * @param {string} step
+     */
+    setStep(step) {
+        clearInterval(this.qrInterval);
+        this.setState({
+            step,
+            transfer: null,
+            isScanning: false,
+            scannedFrames: emptyScannedFrames,
+            qrFrames: [],
+        });
+    }
+
+    /**
+     * Creates an unsigned multisig bundle
+     *
+     * @method prepare
+     */
+    prepare() {
+        const { t } = this.props;
+        const { address, amount, message, password } = this.state;
+        const value = parseBatchPaymentAmount(amount);
+
+        if (!Number.isInteger(value)) {
+            return this.props.generateAlert(
+                'error',
+                t('batchPayments:invalidRecipient', { row: 1 }),
+                t('batchPayments:invalidAmount'),
+            );
+        }
+
+        Keyboard.dismiss();
+
+        return this.props.onPrepare({ address, value, message }, password).then((transfer) => {
+            this.setState({ password: '' });
+
+            if (transfer) {
+                this.setState({ transfer });
+            }
+        });
+    }
+
+    /**
+     * Signs the multisig bundle and shows it as an animated QR code, for the next co-signer
+     *
+     * @method sign
+     */
+    sign() {
+        return this.props.onSign(this.state.transfer).then((transfer) => {
+            if (transfer) {
+                this.showTransfer(transfer);
+            }
+        });
+    }
+
+    /**
+     * Animates QR code frames of a multisig bundle
+     *
+     * @method showTransfer
+     * @param {object} transfer
+     */
+    showTransfer(transfer) {
+        clearInterval(this.qrInterval);
+
+        this.setState({ transfer, qrFrames: getQrFrames(serializeOfflineTransfer(transfer)), qrIndex: 0 });
+
+        this.qrInterval = setInterval(() => {
+            this.setState((prevState) => ({ qrIndex: (prevState.qrIndex + 1) % prevState.qrFrames.length }));
+        }, QR_FRAME_DURATION);
+    }
+
+    /**
+     * Starts scanning animated QR code frames
+     *
+     * @method startScanning
+     */
+    startScanning() {
+        if (isAndroid) {
+            PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.CAMERA);
+        }
+
+        this.setState({ isScanning: true, scannedFrames: emptyScannedFrames });
+    }
+
+    /**
+     * Collects scanned frames and parses the multisig bundle once all frames are scanned
+     *
+     * @method onQRRead
+     * @param {string} data
+     */
+    onQRRead(data) {
+        const { t } = this.props;
+        const scannedFrames = addQrFrame(this.state.scannedFrames, data);
+        const content = joinQrFrames(scannedFrames);
+
+        if (content === null) {
+            return this.setState({ scannedFrames });
+        }
+
+        try {
+            this.setState({
+                transfer: parseOfflineTransfer(content, OFFLINE_TRANSFER_TYPES.multisig),
+                isScanning: false,
+            });
+        } catch (error) {
+            this.setState({ isScanning: false, scannedFrames: emptyScannedFrames });
+            this.props.generateAlert(
+                'error',
+                t('offlineSigning:invalidTransfer'),
+                error.message === Errors.UNSUPPORTED_OFFLINE_TRANSFER_VERSION
+                    ? t('offlineSigning:unsupportedVersionExplanation')
+                    : t('offlineSigning:invalidTransferExplanation'),
+            );
+        }
+    }
+
+    renderSteps() {
+        const { t, theme } = this.props;
+
+        return (
+            <View style={styles.stepsContainer}>
+                {map(STEPS, (step) => (
+                    <TouchableOpacity key={step} onPress={() => this.setStep(step)}>
+                        <Text
+                            style={[
+                                styles.stepText,
+                                { color: step === this.state.step ? theme.primary.color : theme.body.color },
+                            ]}
+                        >
+                            {t(`offlineSigning:${step}`)}
+                        </Text>
+                    </TouchableOpacity>
+                ))}
+            </View>
+        );
+    }
+
+    renderForm() {
+        const { t, theme } = this.props;
+        const { address, amount, message, password } = this.state;
+
+        return (
+            <View style={styles.fieldsContainer}>
+                <CustomTextInput
+                    label={t('global:address')}
+                    onValidTextChange={(text) => this.setState({ address: text.trim() })}
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                    maxLength={ADDRESS_LENGTH}
+                    theme={theme}
+                    value={address}
+                />
+                <CustomTextInput
+                    label={t('batchPayments:amount')}
+                    onValidTextChange={(text) => this.setState({ amount: text })}
+                    autoCorrect={false}
+                    theme={theme}
+                    value={amount}
+                />
+                <CustomTextInput
+                    label={t('send:message')}
+                    onValidTextChange={(text) => this.setState({ message: text })}
+                    autoCorrect={false}
+                    maxLength={MAX_MESSAGE_LENGTH}
+                    theme={theme}
+                    value={message}
+                />
+                {this.props.isPasswordRequired(parseBatchPaymentAmount(amount)) && (
+                    <CustomTextInput
+                        label={t('global:password')}
+                        onValidTextChange={(text) => this.setState({ password: text })}
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                        secureTextEntry
+                        theme={theme}
+                        value={password}
+                    />
+                )}
+            </View>
+        );
+    }
+
+    renderScanner() {
+        const { t, theme } = this.props;
+        const { scannedFrames } = this.state;
+
+        return (
+            <View style={{ alignItems: 'center' }}>
+                <View style={styles.scannerContainer}>
+                    <QRscanner
+                        onRead={(data) => this.onQRRead(data.data)}
+                        rectHeight={width * 0.7}
+                        rectWidth={width * 0.7}
+                        hintText=""
+                        bottomHeight={0}
+                        cornerColor={theme.primary.color}
+                        scanBarColor={theme.primary.color}
+                    />
+                </View>
+                <Text style={[styles.infoText, { color: theme.body.color, paddingTop: height / 40 }]}>
+                    {t('offlineSigning:scannedFrames', {
+                        scanned: size(scannedFrames.parts),
+                        total: scannedFrames.total || '?',
+                    })}
+                </Text>
+            </View>
+        );
+    }
+
+    renderSummary() {
+        const { t, theme } = this.props;
+        const { transfer, cosigners } = this.state;
+        const textColor = { color: theme.body.color };
+        const { outputs, value, remainderValue, remainderAddress } = getUnsignedTransferSummary(transfer);
+        const rows = remainderValue > 0 ? [...outputs, { address: remainderAddress, value: remainderValue }] : outputs;
+
+        return (
+            <View style={{ alignItems: 'center' }}>
+                <Text style={[styles.infoText, textColor]}>{t('offlineSigning:verifySummary')}</Text>
+                {map(rows, (row, index) => (
+                    <View key={row.address} style={styles.summaryRow}>
+                        <Text style={[styles.summaryAddress, textColor]} numberOfLines={1} ellipsizeMode="middle">
+                            {index === outputs.length ? `${t('offlineSigning:remainder')}: ` : ''}
+                            {row.address}
+                        </Text>
+                        <Text style={[styles.summaryValue, textColor]}>
+                            {formatValue(row.value)} {formatUnit(row.value)}
+                        </Text>
+                    </View>
+                ))}
+                <Text style={[styles.infoText, textColor, { paddingTop: height / 60 }]}>
+                    {t('batchPayments:total')}: {formatValue(value)} {formatUnit(value)}
+                </Text>
+                <Text style={[styles.summaryAddress, textColor]} numberOfLines={1} ellipsizeMode="middle">
+                    {t('offlineSigning:bundle')}: {getSignedTransferSummary(transfer).bundle}
+                </Text>
+                {map(getMultisigSignatureStatus(transfer, cosigners), (cosigner) => (
+                    <View key={cosigner.name} style={styles.summaryRow}>
+                        <Text style={[styles.summaryValue, textColor, { paddingLeft: 0 }]}>{cosigner.name}</Text>
+                        <Text style={[styles.summaryValue, textColor]}>
+                            {cosigner.isSigned ? t('multisig:signed') : t('multisig:notSigned')}
+                        </Text>
+                    </View>
+                ))}
+                {this.state.step !== 'broadcast' && (
+                    <TouchableOpacity onPress={() => this.showTransfer(transfer)}>
+                        <Text style={[styles.actionText, { color: theme.primary.color }]}>
+                            {t('offlineSigning:showQr')}
+                        </Text>
+                    </TouchableOpacity>
+                )}
+            </View>
+        );
+    }
+
+    renderQr() {
+        const { t, theme } = this.props;
+        const { qrFrames, qrIndex } = this.state;
+
+        return (
+            <View style={{ alignItems: 'center' }}>
+                <View style={styles.qrContainer}>
+                    <CustomQRCode value={qrFrames[qrIndex]} size={width / 1.6} />
+                </View>
+                <Text style={[styles.infoText, { color: theme.body.color, paddingTop: height / 40 }]}>
+                    {t('offlineSigning:frame', { index: qrIndex + 1, total: qrFrames.length })}
+                </Text>
+            </View>
+        );
+    }
+
+    renderContent() {
+        const { t, theme } = this.props;
+        const { step, transfer, isScanning, qrFrames } = this.state;
+        const actionColor = { color: theme.primary.color };
+
+        if (qrFrames.length) {
+            return this.renderQr();
+        }
+
+        if (isScanning) {
+            return this.renderScanner();
+        }
+
+        if (transfer) {
+            return this.renderSummary();
+        }
+
+        if (step === 'prepare') {
+            return this.renderForm();
+        }
+
+        return (
+            <View style={{ alignItems: 'center' }}>
+                <Text style={[styles.infoText, { color: theme.body.color }]}>{t(`multisig:${step}Explanation`)}</Text>
+                <TouchableOpacity onPress={() => this.startScanning()}>
+                    <Text style={[styles.actionText, actionColor]}>{t('offlineSigning:scanQr')}</Text>
+                </TouchableOpacity>
+            </View>
+        );
+    }
+
+    /**
+     * Returns label and action of right footer button for current state
+     *
+     * @method getAction
+     * @returns {object|null}
+     */
+    getAction() {
+        const { t } = this.props;
+        const { step, transfer, isScanning, qrFrames, address } = this.state;
+
+        if (qrFrames.length || isScanning) {
+            return null;
+        }
+
+        if (step === 'prepare' && !transfer && address !== '') {
+            return { text: t('offlineSigning:prepare'), onPress: () => this.prepare() };
+        }
+
+        if (step === 'broadcast' && transfer) {
+            return { text: t('offlineSigning:broadcast'), onPress: () => this.props.onBroadcast(transfer) };
+        }
+
+        if (transfer && !isFullySignedMultisigTransfer(transfer)) {
+            return { text: t('offlineSigning:sign'), onPress: () => this.sign() };
+        }
+
+        return null;
+    }
+
+    render() {
+        const { t } = this.props;
+        const action = this.getAction();
+
+        return (
+            <ModalView
+                dualButtons
+                onLeftButtonPress={() => this.props.hideModal()}
+                onRightButtonPress={() => action && action.onPress()}
+                leftButtonText={t('global:back')}
+                rightButtonText={action ? action.text : t('multisig:multisigTransfer')}
+                disableRightButton={action === null}
+            >
+                {this.renderSteps()}
+                {this.renderContent()}
+            </ModalView>
+        );
+    }
+}
+
+export default withTranslation(['global', 'multisig'])(MultisigTransferModal);
@@ -0,0 +1,270 @@
+import map from 'lodash/map';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text, TouchableOpacity, ScrollView, Clipboard } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import { formatValue, formatUnit } from 'shared-modules/libs/iota/utils';
+import { PAYMENT_REQUEST_TIMEOUTS, createPaymentRequestLink } from 'shared-modules/libs/paymentRequests';
+import { createPaymentRequest, removePaymentRequest } from 'shared-modules/actions/paymentRequests';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { getSelectedAccountName, getPaymentRequestsForSelectedAccount } from 'shared-modules/selectors/accounts';
+import { width, height } from 'libs/dimensions';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomQRCode from './CustomQRCode';
+import ModalView from './ModalView';
+
+const styles = StyleSheet.create({
+    infoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        width: Styling.contentWidth,
+        paddingBottom: height / 40,
+    },
+    timeoutsContainer: {
+        flexDirection: 'row',
+        justifyContent: 'space-around',
+        width: Styling.contentWidth,
+        paddingBottom: height / 40,
+    },
+    timeoutText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+    qrContainer: {
+        padding: width / 30,
+        backgroundColor: 'white',
+    },
+    actionText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+        paddingVertical: height / 60,
+    },
+    requestsContainer: {
+        maxHeight: height / 4,
+        width: Styling.contentWidth,
+    },
+    requestRow: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        paddingVertical: height / 150,
+    },
+    requestText: {
+        flex: 1,
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+    },
+    requestValue: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+        paddingLeft: width / 30,
+    },
+});
+
+/**
+ * Payment requests modal, creating Conditional Deposit Address links for the generated address (Receive screen)
+ */
+export class PaymentRequestsModal extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Hide active modal */
+        hideModal: PropTypes.func.isRequired,
+        /** Generated receive address, empty if no address was generated */
+        address: PropTypes.string.isRequired,
+        /** Requested amount */
+        expectedAmount: PropTypes.number.isRequired,
+        /** Requested message */
+        message: PropTypes.string.isRequired,
+        /** @ignore */
+        accountName: PropTypes.string.isRequired,
+        /** @ignore */
+        paymentRequests: PropTypes.array.isRequired,
+        /** @ignore */
+        createPaymentRequest: PropTypes.func.isRequired,
+        /** @ignore */
+        removePaymentRequest: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+
+        this.state = {
+            timeout: 'day',
+            paymentRequest: null,
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('PaymentRequests');
+    }
+
+    /**
+     * Creates a payment request for the generated address
+     *
+     * @method requestPayment
+     */
+    requestPayment() {
+        const { accountName, address, expectedAmount, message } = this.props;
+
+        const paymentRequest = this.props.createPaymentRequest({
+            accountName,
+            address,
+            expectedAmount,
+            message,
+            timeoutAt: Math.floor(Date.now() / 1000) + PAYMENT_REQUEST_TIMEOUTS[this.state.timeout],
+        });
+
+        if (paymentRequest) {
+            this.setState({ paymentRequest });
+        }
+    }
+
+    /**
+     * Copies payment request link to clipboard
+     *
+     * @method copyLink
+     * @param {object} paymentRequest
+     */
+    copyLink(paymentRequest) {
+        const { t } = this.props;
+
+        Clipboard.setString(createPaymentRequestLink(paymentRequest));
+        this.props.generateAlert(
+            'success',
+            t('paymentRequests:linkCopied'),
+            t('paymentRequests:linkCopiedExplanation'),
+        );
+    }
+
+    renderForm() {
+        const { t, theme, address, expectedAmount, message } = this.props;
+        const { timeout, paymentRequest } = this.state;
+        const textColor = { color: theme.body.color };
+
+        if (paymentRequest) {
+            return (
+                <View style={{ alignItems: 'center' }}>
+                    <View style={styles.qrContainer}>
+                        <CustomQRCode value={createPaymentRequestLink(paymentRequest)} size={width / 2.5} />
+                    </View>
+                    <TouchableOpacity onPress={() => this.copyLink(paymentRequest)}>
+                        <Text style={[styles.actionText, { color: theme.primary.color }]}>
+                            {t('paymentRequests:copyLink')}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            );
+        }
+
+        if (!address) {
+            return <Text style={[styles.infoText, textColor]}>{t('receive:generateAnAddressExplanation')}</Text>;
+        }
+
+        return (
+            <View style={{ alignItems: 'center' }}>
+                <Text style={[styles.infoText, textColor]}>
+                    {expectedAmount > 0
+                        ? `${formatValue(expectedAmount)} ${formatUnit(expectedAmount)}`
+                        : t('paymentRequests:anyAmount')}
+                    {message ? ` · ${message}` : ''}
+                </Text>
+                <Text style={[styles.infoText, textColor, { paddingBottom: height / 80 }]}>
+                    {t('paymentRequests:expiresIn')}
+                </Text>
+                <View style={styles.timeoutsContainer}>
+                    {map(Object.keys(PAYMENT_REQUEST_TIMEOUTS), (item) => (
+                        <TouchableOpacity key={item} onPress={() => this.setState({ timeout: item })}>
+                            <Text
+                                style={[
+                                    styles.timeoutText,
+                                    { color: item === timeout ? theme.primary.color : theme.body.color },
+                                ]}
+                            >
+                                {t(`paymentRequests:${item}`)}
+                            </Text>
+                        </TouchableOpacity>
+                    ))}
+                </View>
+            </View>
+        );
+    }
+
+    renderRequests() {
+        const { t, theme, paymentRequests } = this.props;
+        const textColor = { color: theme.body.color };
+
+        if (!paymentRequests.length) {
+            return <Text style={[styles.infoText, textColor]}>{t('paymentRequests:noPaymentRequests')}</Text>;
+        }
+
+        return (
+            <ScrollView style={styles.requestsContainer}>
+                {map(paymentRequests, (request) => (
+                    <View key={request.address} style={styles.requestRow}>
+                        <TouchableOpacity style={{ flex: 1 }} onPress={() => this.copyLink(request)}>
+                            <Text style={[styles.requestText, textColor]} numberOfLines={1} ellipsizeMode="tail">
+                                {request.message || request.address}
+                            </Text>
+                        </TouchableOpacity>
+                        <Text style={[styles.requestValue, textColor]}>
+                            {formatValue(request.receivedAmount)} {formatUnit(request.receivedAmount)}
+                        </Text>
+                        <Text style={[styles.requestValue, textColor]}>{t(`paymentRequests:${request.status}`)}</Text>
+                        <TouchableOpacity onPress={() => this.props.removePaymentRequest(request.address)}>
+                            <Text style={[styles.requestValue, { color: theme.primary.color }]}>
+                                {t('paymentRequests:remove')}
+                            </Text>
+                        </TouchableOpacity>
+                    </View>
+                ))}
+            </ScrollView>
+        );
+    }
+
+    render() {
+        const { t, theme, address } = this.props;
+
+        return (
+            <ModalView
+                dualButtons
+                onLeftButtonPress={() => this.props.hideModal()}
+                onRightButtonPress={() => this.requestPayment()}
+                leftButtonText={t('global:back')}
+                rightButtonText={t('paymentRequests:requestPayment')}
+                disableRightButton={!address || this.state.paymentRequest !== null}
+            >
+                {this.renderForm()}
+                <Text style={[styles.infoText, { color: theme.body.color, paddingTop: height / 40 }]}>
+                    {t('paymentRequests:paymentRequests')}
+                </Text>
+                {this.renderRequests()}
+            </ModalView>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    accountName: getSelectedAccountName(state),
+    paymentRequests: getPaymentRequestsForSelectedAccount(state),
+});
+
+const mapDispatchToProps = {
+    createPaymentRequest,
+    removePaymentRequest,
+    generateAlert,
+};
+
+export default withTranslation(['global', 'paymentRequests'])(
+    connect(mapStateToProps, mapDispatchToProps)(PaymentRequestsModal),
+);
@@ -1,4 +1,6 @@
 import filter from 'lodash/filter';
+import find from 'lodash/find';
+import has from 'lodash/has';
 import head from 'lodash/head';
 import isEmpty from 'lodash/isEmpty';
 import keys from 'lodash/keys';
@@ -10,7 +12,10 @@ import { connect } from 'react-redux';
 import timer from 'react-native-timer';
 import { AppState } from 'react-native';
 import SeedStore from 'libs/SeedStore';
+import { getDueScheduledPayments } from 'shared-modules/libs/scheduledPayments';
 import {
+    getAccountInfoFromState,
+    getScheduledPaymentsFromState,
     getSelectedAccountName,
     getPromotableBundlesFromState,
     getAccountNamesFromState,
@@ -24,6 +29,7 @@ import {
     setPollFor,
     getAccountInfoForAllAccounts,
     promoteTransfer,
+    runScheduledPayment,
 } from 'shared-modules/actions/polling';
 import { retryFailedTransaction } from 'shared-modules/actions/transfers';
 
@@ -63,6 +69,14 @@ export class Poll extends Component {
         /** @ignore */
         password: PropTypes.object.isRequired,
         /** @ignore */
+        accountInfo: PropTypes.object.isRequired,
+        /** @ignore */
+        scheduledPayments: PropTypes.array.isRequired,
+        /** @ignore */
+        runScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        isRunningScheduledPayment: PropTypes.bool.isRequired,
+        /** @ignore */
         isPollingPrice: PropTypes.bool.isRequired,
         /** @ignore */
         isPollingNodeList: PropTypes.bool.isRequired,
@@ -98,6 +112,7 @@ export class Poll extends Component {
         this.fetchLatestAccountInfo = this.fetchLatestAccountInfo.bind(this);
         this.promote = this.promote.bind(this);
         this.retryFailedTransaction = this.retryFailedTransaction.bind(this);
+        this.runScheduledPayment = this.runScheduledPayment.bind(this);
 
         this.state = {
             autoPromoteSkips: 0,
@@ -139,7 +154,8 @@ export class Poll extends Component {
             this.props.isPollingChartData ||
             this.props.isPollingMarketData ||
             this.props.isPollingAccountInfo ||
-            this.props.isAutoPromoting;
+            this.props.isAutoPromoting ||
+            this.props.isRunningScheduledPayment;
 
         return isAlreadyDoingSomeHeavyLifting || isAlreadyPollingSomething;
     }
@@ -171,6 +187,7 @@ export class Poll extends Component {
             nodeList: this.props.fetchNodeList,
             accountInfo: this.fetchLatestAccountInfo,
             broadcast: this.retryFailedTransaction,
+            scheduledPayments: this.runScheduledPayment,
         };
 
         // In case something messed up, reinitialize
@@ -209,6 +226,31 @@ export class Poll extends Component {
         }
     }
 
+    /**
+     * Sends (or asks for confirmation of) the oldest due scheduled payment
+     *
+     * @method runScheduledPayment
+     *
+     * @returns {undefined}
+     */
+    async runScheduledPayment() {
+        const { accountInfo, scheduledPayments, password } = this.props;
+
+        const payment = find(getDueScheduledPayments(scheduledPayments), ({ accountName }) =>
+            has(accountInfo, accountName),
+        );
+
+        if (payment) {
+            const { meta } = accountInfo[payment.accountName];
+
+            const seedStore = await new SeedStore[meta.type](password, payment.accountName);
+
+            this.props.runScheduledPayment(payment.id, seedStore);
+        } else {
+            this.moveToNextPollService();
+        }
+    }
+
     startBackgroundProcesses() {
         timer.setInterval(this, 'polling', () => this.fetch(this.props.pollFor), 8000);
     }
@@ -260,6 +302,7 @@ const mapStateToProps = (state) => ({
     isPollingMarketData: state.polling.isFetchingMarketData,
     isPollingAccountInfo: state.polling.isFetchingAccountInfo,
     isAutoPromoting: state.polling.isAutoPromoting,
+    isRunningScheduledPayment: state.polling.isRunningScheduledPayment,
     isAutoPromotionEnabled: state.settings.autoPromotion,
     isPromotingTransaction: state.ui.isPromotingTransaction,
     isRetryingFailedTransaction: state.ui.isRetryingFailedTransaction,
@@ -276,6 +319,8 @@ const mapStateToProps = (state) => ({
     isTransitioning: state.ui.isTransitioning,
     failedBundleHashes: getFailedBundleHashes(state),
     password: state.wallet.password,
+    accountInfo: getAccountInfoFromState(state),
+    scheduledPayments: getScheduledPaymentsFromState(state).list,
 });
 
 const mapDispatchToProps = {
@@ -285,6 +330,7 @@ const mapDispatchToProps = {
     getAccountInfoForAllAccounts,
     promoteTransfer,
     retryFailedTransaction,
+    runScheduledPayment,
 };
 
 export default connect(mapStateToProps, mapDispatchToProps)(Poll);
@@ -0,0 +1,217 @@
+import map from 'lodash/map';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text, TouchableOpacity, Keyboard } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { trytesToTrits } from 'shared-modules/libs/iota/converter';
+import { MAX_SEED_LENGTH, VALID_SEED_REGEX } from 'shared-modules/libs/iota/utils';
+import {
+    MIN_SEED_SHARES_THRESHOLD,
+    MAX_SEED_SHARES_COUNT,
+    isValidSeedShareIndex,
+    recoverSeedFromShares,
+} from 'shared-modules/libs/seedShares';
+import Errors from 'shared-modules/libs/errors';
+import { height } from 'libs/dimensions';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomTextInput from './CustomTextInput';
+import ModalView from './ModalView';
+
+const styles = StyleSheet.create({
+    titleText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize5,
+        textAlign: 'center',
+        paddingBottom: height / 60,
+    },
+    infoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+        textAlign: 'center',
+        width: Styling.contentWidth,
+        paddingBottom: height / 60,
+    },
+    field: {
+        paddingBottom: height / 60,
+    },
+    actionText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+        paddingVertical: height / 60,
+    },
+});
+
+/**
+ * Seed shares modal, recovering a seed from seed shares (Enter seed screen)
+ */
+export class SeedSharesModal extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Hide active modal */
+        hideModal: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** Triggered when seed is recovered
+         * @param {Int8Array} seed - Seed trits
+         */
+        onSeedRecovered: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            share: '',
+            index: '1',
+            seedChecksum: '',
+            shares: [],
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('SeedShares');
+    }
+
+    componentWillUnmount() {
+        delete this.state.share;
+        delete this.state.shares;
+    }
+
+    /**
+     * Validates and adds current share input to the share list
+     *
+     * @method addShare
+     */
+    addShare() {
+        const { t } = this.props;
+        const share = this.state.share.trim().toUpperCase();
+        const index = parseInt(this.state.index, 10);
+
+        if (share.length !== MAX_SEED_LENGTH || !VALID_SEED_REGEX.test(share) || !isValidSeedShareIndex(index)) {
+            return this.props.generateAlert(
+                'error',
+                t('seedShares:invalidShare'),
+                t('seedShares:invalidShareExplanation', { maxCount: MAX_SEED_SHARES_COUNT }),
+            );
+        }
+
+        if (this.state.shares.some((item) => item.index === index)) {
+            return this.props.generateAlert(
+                'error',
+                t('seedShares:duplicateShare'),
+                t('seedShares:duplicateShareExplanation'),
+            );
+        }
+
+        Keyboard.dismiss();
+
+        this.setState((prevState) => ({
+            share: '',
+            index: String(Math.min(index + 1, MAX_SEED_SHARES_COUNT)),
+            shares: [...prevState.shares, { index, share }],
+        }));
+    }
+
+    /**
+     * Recovers seed from added shares and passes it on
+     *
+     * @method recoverSeed
+     */
+    recoverSeed() {
+        const { t } = this.props;
+        const { shares, seedChecksum } = this.state;
+
+        try {
+            const seed = recoverSeedFromShares(shares, seedChecksum.trim().toUpperCase());
+
+            this.props.generateAlert(
+                'success',
+                t('seedShares:seedRecovered'),
+                t('seedShares:seedRecoveredExplanation'),
+            );
+            this.props.onSeedRecovered(trytesToTrits(seed));
+        } catch (error) {
+            switch (error.message) {
+                case Errors.NOT_ENOUGH_SEED_SHARES:
+                    return this.props.generateAlert(
+                        'error',
+                        t('seedShares:notEnoughShares'),
+                        t('seedShares:notEnoughSharesExplanation', { minCount: MIN_SEED_SHARES_THRESHOLD }),
+                    );
+                case Errors.SEED_SHARES_CHECKSUM_MISMATCH:
+                    return this.props.generateAlert(
+                        'error',
+                        t('seedShares:checksumMismatch'),
+                        t('seedShares:checksumMismatchExplanation'),
+                    );
+                default:
+                    return this.props.generateAlert(
+                        'error',
+                        t('seedShares:invalidShare'),
+                        t('seedShares:invalidShareExplanation', { maxCount: MAX_SEED_SHARES_COUNT }),
+                    );
+            }
+        }
+    }
+
+    render() {
+        const { t, theme } = this.props;
+        const { share, index, seedChecksum, shares } = this.state;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <ModalView
+                dualButtons
+                onLeftButtonPress={() => this.props.hideModal()}
+                onRightButtonPress={() => this.recoverSeed()}
+                leftButtonText={t('global:back')}
+                rightButtonText={t('seedShares:recoverSeed')}
+            >
+                <Text style={[styles.titleText, textColor]}>{t('seedShares:recover')}</Text>
+                <Text style={[styles.infoText, textColor]}>{t('seedShares:recoverExplanation')}</Text>
+                <View style={styles.field}>
+                    <CustomTextInput
+                        label={t('seedShares:shareInput', { index })}
+                        onValidTextChange={(text) => this.setState({ share: text })}
+                        autoCapitalize="characters"
+                        autoCorrect={false}
+                        theme={theme}
+                        value={share}
+                    />
+                </View>
+                <View style={styles.field}>
+                    <CustomTextInput
+                        label={t('seedShares:shareNumber')}
+                        onValidTextChange={(text) => this.setState({ index: text })}
+                        keyboardType="numeric"
+                        theme={theme}
+                        value={index}
+                    />
+                </View>
+                <CustomTextInput
+                    label={t('seedShares:seedChecksum')}
+                    onValidTextChange={(text) => this.setState({ seedChecksum: text })}
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                    theme={theme}
+                    value={seedChecksum}
+                />
+                <TouchableOpacity onPress={() => this.addShare()}>
+                    <Text style={[styles.actionText, { color: theme.primary.color }]}>{t('seedShares:addShare')}</Text>
+                </TouchableOpacity>
+                <Text style={[styles.infoText, textColor]}>
+                    {t('seedShares:sharesAdded', { count: shares.length })}{' '}
+                    {map(shares, (item) => `#${item.index}`).join(' ')}
+                </Text>
+            </ModalView>
+        );
+    }
+}
+
+export default withTranslation(['global', 'seedShares'])(SeedSharesModal);
@@ -7,6 +7,7 @@ import { Animated, Text, View, StyleSheet, Keyboard, Easing } from 'react-native
 import { connect } from 'react-redux';
 import { withTranslation } from 'react-i18next';
 import { generateAlert } from 'shared-modules/actions/alerts';
+import { logAuditEvent } from 'shared-modules/actions/auditLog';
 import { getSelectedAccountName, getSelectedAccountMeta } from 'shared-modules/selectors/accounts';
 import timer from 'react-native-timer';
 import Share from 'react-native-share';
@@ -23,11 +24,13 @@ import { SEED_VAULT_DEFAULT_TITLE } from 'shared-modules/config';
 import { tritsToChars } from 'shared-modules/libs/iota/converter';
 import { MAX_SEED_TRITS } from 'shared-modules/libs/iota/utils';
 import { moment } from 'shared-modules/libs/exports';
+import { AUDIT_EVENTS } from 'shared-modules/libs/auditLog';
 import { UInt8ToString } from 'libs/crypto';
 import InfoBox from './InfoBox';
 import Button from './Button';
 import CustomTextInput from './CustomTextInput';
 import PasswordFields from './PasswordFields';
+import withTwoFactorConfirmation from './WithTwoFactorConfirmation';
 
 const steps = [
     'isValidatingWalletPassword',
@@ -74,6 +77,8 @@ class SeedVaultExportComponent extends Component {
         seed: PropTypes.string,
         /** @ignore */
         generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
         /** Name for selected account */
         selectedAccountName: PropTypes.string,
         /** Type for selected account */
@@ -92,6 +97,24 @@ class SeedVaultExportComponent extends Component {
         isAuthenticated: PropTypes.bool.isRequired,
         /** Triggered when user enters the correct wallet password */
         setAuthenticated: PropTypes.func,
+        /** @ignore */
+        confirmTwoFactorCode: PropTypes.func.isRequired,
+        /** SeedVault entry title, defaults to selected account name */
+        title: PropTypes.string,
+        /** Seed share details, if exported seed is a seed share */
+        share: PropTypes.shape({
+            index: PropTypes.number.isRequired,
+            threshold: PropTypes.number.isRequired,
+            count: PropTypes.number.isRequired,
+            seedChecksum: PropTypes.string.isRequired,
+        }),
+        /** Wallet backup to export instead of a single seed */
+        backup: PropTypes.shape({
+            /** Seeds and their account names */
+            seeds: PropTypes.array.isRequired,
+            /** Serialised wallet backup data */
+            content: PropTypes.string.isRequired,
+        }),
     };
 
     static defaultProps = {
@@ -169,13 +192,8 @@ class SeedVaultExportComponent extends Component {
         if (isAndroid) {
             await getAndroidFileSystemPermissions();
         }
-        const { t, selectedAccountName } = this.props;
-        const path = SeedVaultExportComponent.getPath(
-            removeNonAlphaNumeric(
-                isEmpty(global.onboardingSeed) ? selectedAccountName : '',
-                SEED_VAULT_DEFAULT_TITLE,
-            ).trim(),
-        );
+        const { t } = this.props;
+        const path = SeedVaultExportComponent.getPath(this.getTitle().trim());
 
         this.setState({ path });
 
@@ -227,7 +245,14 @@ class SeedVaultExportComponent extends Component {
      * @method onExportSuccess
      */
     onExportSuccess() {
-        const { t } = this.props;
+        const { t, selectedAccountName, backup } = this.props;
+        if (backup) {
+            this.props.logAuditEvent(AUDIT_EVENTS.walletBackupExported, { count: backup.seeds.length });
+        } else {
+            this.props.logAuditEvent(AUDIT_EVENTS.seedVaultExported, {
+                accountName: isEmpty(global.onboardingSeed) ? selectedAccountName : undefined,
+            });
+        }
         if (isAndroid) {
             this.props.goBack();
             return timer.setTimeout(
@@ -263,7 +288,14 @@ class SeedVaultExportComponent extends Component {
      * @method onExportPress
      */
     onExportPress() {
-        const { t, selectedAccountName } = this.props;
+        const { t, share, backup } = this.props;
+        if (backup) {
+            // Escape separator characters in backup data, JSON.parse restores them
+            // FIXME: Password should be UInt8, not string
+            return nodejs.channel.send(
+                'backup~' + serialise(backup).replace(/~/g, '\\u007e') + '~' + UInt8ToString(this.state.password),
+            );
+        }
         if (this.state.seed.length !== MAX_SEED_TRITS) {
             return this.props.generateAlert(
                 'error',
@@ -274,20 +306,33 @@ class SeedVaultExportComponent extends Component {
         // FIXME: Password should be UInt8, not string
         return nodejs.channel.send(
             'export~' +
-                // selectedAccountName would be undefined if seed is being exported during onboarding
-                // If it's undefined, use the fallback title
                 serialise({
                     seed: tritsToChars(this.state.seed),
-                    title: removeNonAlphaNumeric(
-                        isEmpty(global.onboardingSeed) ? selectedAccountName : '',
-                        SEED_VAULT_DEFAULT_TITLE,
-                    ),
+                    title: this.getTitle(),
+                    share,
                 }) +
                 '~' +
                 UInt8ToString(this.state.password),
         );
     }
 
+    /**
+     * Gets SeedVault entry title
+     *
+     * @method getTitle
+     *
+     * @returns {string}
+     */
+    getTitle() {
+        const { title, selectedAccountName } = this.props;
+        // selectedAccountName would be undefined if seed is being exported during onboarding
+        // If it's undefined, use the fallback title
+        return removeNonAlphaNumeric(
+            title || (isEmpty(global.onboardingSeed) ? selectedAccountName : ''),
+            SEED_VAULT_DEFAULT_TITLE,
+        );
+    }
+
     /**
      * Initiates screen transition animation or navigates back to SeedBackupOptions, depending on user step
      *
@@ -331,6 +376,9 @@ class SeedVaultExportComponent extends Component {
         } else {
             const enteredPasswordHash = await hash(currentPassword);
             if (isEqual(enteredPasswordHash, global.passwordHash)) {
+                if (!(await this.props.confirmTwoFactorCode(enteredPasswordHash))) {
+                    return;
+                }
                 const seedStore = await new SeedStore[selectedAccountMeta.type](
                     enteredPasswordHash,
                     selectedAccountName,
@@ -470,11 +518,14 @@ const mapStateToProps = (state) => ({
 
 const mapDispatchToProps = {
     generateAlert,
+    logAuditEvent,
 };
 
-export default withTranslation(['seedVault', 'global'])(
-    connect(
-        mapStateToProps,
-        mapDispatchToProps,
-    )(SeedVaultExportComponent),
+export default withTwoFactorConfirmation()(
+    withTranslation(['seedVault', 'global'])(
+        connect(
+            mapStateToProps,
+            mapDispatchToProps,
+        )(SeedVaultExportComponent),
+    ),
 );
@@ -49,6 +49,8 @@ export class SeedVaultImportComponent extends Component {
         openPasswordValidationModal: PropTypes.func.isRequired,
         /** Triggered when seed is obtained from SeedVault */
         onSeedImport: PropTypes.func.isRequired,
+        /** Triggered when a wallet backup is obtained from SeedVault */
+        onBackupImport: PropTypes.func,
         /** Returns the rendered component instance
          * @param {object} instance - Component instance
          */
@@ -81,6 +83,10 @@ export class SeedVaultImportComponent extends Component {
 
                 const data = parse(msg);
 
+                if (data.backup && this.props.onBackupImport) {
+                    return this.props.onBackupImport(data);
+                }
+
                 this.props.onSeedImport(trytesToTrits(data.seed));
 
                 // Set account name so that it can be auto-filled
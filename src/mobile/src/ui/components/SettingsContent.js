@@ -16,18 +16,30 @@ import AddNewAccount from 'ui/views/wallet/AddNewAccount';
 import UseExistingSeed from 'ui/views/wallet/UseExistingSeed';
 import NodeSettingsComponent from 'ui/views/wallet/NodeSettings';
 import AddCustomNodeComponent from 'ui/views/wallet/AddCustomNode';
+import NodeHealthComponent from 'ui/views/wallet/NodeHealth';
 import CurrencySelectionComponent from 'ui/views/wallet/CurrencySelection';
 import ModeSelection from 'ui/views/wallet/ModeSelection';
+import InputSelection from 'ui/views/wallet/InputSelection';
+import SendPolicy from 'ui/views/wallet/SendPolicy';
 import LanguageSelection from 'ui/views/wallet/LanguageSelection';
 import ChangePassword from 'ui/views/wallet/ChangePassword';
+import TwoFactorAuth from 'ui/views/wallet/TwoFactorAuth';
+import AuditLogComponent from 'ui/views/wallet/AuditLog';
 import ManualSyncComponent from 'ui/views/wallet/ManualSync';
+import ConsolidateFundsComponent from 'ui/views/wallet/ConsolidateFunds';
+import ScheduledPaymentsComponent from 'ui/views/wallet/ScheduledPayments';
 import ThemeCustomisation from 'ui/views/wallet/ThemeCustomisation';
 import SnapshotTransitionComponent from 'ui/views/wallet/SnapshotTransition';
 import SecuritySettings from 'ui/views/wallet/SecuritySettings';
 import Help from 'ui/views/wallet/Help';
 import SeedVaultSettings from 'ui/views/wallet/SeedVaultSettings';
+import SeedShares from 'ui/views/wallet/SeedShares';
+import WalletBackup from 'ui/views/wallet/WalletBackup';
 import StateExportComponent from 'ui/views/wallet/StateExport';
+import StateSnapshotComponent from 'ui/views/wallet/StateSnapshot';
+import HistoryExportComponent from 'ui/views/wallet/HistoryExport';
 import About from 'ui/views/wallet/About';
+import ContactsComponent from 'ui/views/wallet/Contacts';
 import SettingsRowsContainer from 'ui/components/SettingsRowsContainer';
 import SettingsBackButton from 'ui/components/SettingsBackButton';
 import SettingsDualFooter from 'ui/components/SettingsDualFooter';
@@ -44,20 +56,32 @@ const SETTINGS_COMPONENTS = {
     addExistingSeed: UseExistingSeed,
     nodeSettings: NodeSettingsComponent,
     addCustomNode: AddCustomNodeComponent,
+    nodeHealth: NodeHealthComponent,
     currencySelection: CurrencySelectionComponent,
     languageSelection: LanguageSelection,
     changePassword: ChangePassword,
+    twoFactorAuth: TwoFactorAuth,
+    auditLog: AuditLogComponent,
+    walletBackup: WalletBackup,
     manualSync: ManualSyncComponent,
+    consolidateFunds: ConsolidateFundsComponent,
+    scheduledPayments: ScheduledPaymentsComponent,
     themeCustomisation: ThemeCustomisation,
     snapshotTransition: SnapshotTransitionComponent,
     securitySettings: SecuritySettings,
     modeSelection: ModeSelection,
+    inputSelection: InputSelection,
+    sendPolicy: SendPolicy,
     autoPromotion: AutoPromotion,
     deepLinking: DeepLinking,
     about: About,
     exportSeedVault: SeedVaultSettings,
+    seedShares: SeedShares,
     stateExport: StateExportComponent,
+    stateSnapshot: StateSnapshotComponent,
+    historyExport: HistoryExportComponent,
     help: Help,
+    contacts: ContactsComponent,
 };
 
 const SettingsContent = ({ component, ...props }) => {
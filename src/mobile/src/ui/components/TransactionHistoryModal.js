@@ -3,15 +3,18 @@ import React, { PureComponent } from 'react';
 import PropTypes from 'prop-types';
 import { Clipboard, TouchableOpacity, View, Text, StyleSheet, FlatList, ScrollView } from 'react-native';
 import { formatModalTime, convertUnixTimeToJSDate } from 'shared-modules/libs/date';
+import { formatFiatBalance } from 'shared-modules/libs/currency';
 import { Styling } from 'ui/theme/general';
 import { width, height } from 'libs/dimensions';
 import { locale, timezone } from 'libs/device';
 import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
 import ModalView from './ModalView';
+import CustomTextInput from './CustomTextInput';
 import DualFooterButtons from './DualFooterButtons';
 import SingleFooterButton from './SingleFooterButton';
 
 const contentWidth = width - width / 10;
+const emptyMetadata = { label: '', note: '', category: '' };
 
 const styles = StyleSheet.create({
     container: {
@@ -124,6 +127,28 @@ const styles = StyleSheet.create({
         fontSize: Styling.fontSize1,
         textAlign: 'right',
     },
+    detailsText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+    },
+    detailsInfoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize1,
+        paddingTop: height / 150,
+    },
+    detailsInput: {
+        width: contentWidth,
+        paddingTop: height / 100,
+    },
+    fiatValuesContainer: {
+        flexDirection: 'row',
+        width: contentWidth,
+    },
+    fiatValueWrapper: {
+        flex: 1,
+    },
 });
 
 export default class TransactionHistoryModal extends PureComponent {
@@ -154,6 +179,8 @@ export default class TransactionHistoryModal extends PureComponent {
         time: PropTypes.number.isRequired,
         /** Transaction message */
         message: PropTypes.string,
+        /** Transaction tag */
+        tag: PropTypes.string,
         /** Transaction bundle hash */
         bundle: PropTypes.string.isRequired,
         /** Determines whether the modal buttons should disable onPress event */
@@ -173,6 +200,7 @@ export default class TransactionHistoryModal extends PureComponent {
             titleColor: PropTypes.string.isRequired,
             defaultTextColor: PropTypes.shape({ color: PropTypes.string.isRequired }).isRequired,
             backgroundColor: PropTypes.string.isRequired,
+            primaryColor: PropTypes.string.isRequired,
         }).isRequired,
         /** Determines whether the current bundle is being promoted */
         bundleIsBeingPromoted: PropTypes.bool.isRequired,
@@ -183,10 +211,33 @@ export default class TransactionHistoryModal extends PureComponent {
         retryFailedTransaction: PropTypes.func.isRequired,
         /** @ignore */
         isRetryingFailedTransaction: PropTypes.bool.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** Private transaction label, note and category */
+        metadata: PropTypes.shape({
+            label: PropTypes.string,
+            note: PropTypes.string,
+            category: PropTypes.string,
+        }),
+        /** Sets private transaction label, note and category
+         * @param {string} bundle - bundle hash
+         * @param {object} metadata - { label, note, category }
+         */
+        setTransactionMetadata: PropTypes.func.isRequired,
+        /** Selected fiat currency */
+        currency: PropTypes.string.isRequired,
+        /** Fiat value at the time of the transaction */
+        fiatValueThen: PropTypes.number,
+        /** Fiat value at current price */
+        fiatValueNow: PropTypes.number,
     };
 
     static defaultProps = {
         message: 'Empty',
+        tag: '',
+        metadata: emptyMetadata,
+        fiatValueThen: null,
+        fiatValueNow: null,
     };
 
     constructor(props) {
@@ -194,6 +245,8 @@ export default class TransactionHistoryModal extends PureComponent {
         this.state = {
             addressesScrollable: false,
             messagesScrollable: false,
+            metadata: props.metadata,
+            details: null,
         };
     }
 
@@ -222,6 +275,7 @@ export default class TransactionHistoryModal extends PureComponent {
             bundle: [t('bundleHashCopied'), t('bundleHashCopiedExplanation')],
             address: [t('addressCopied'), t('addressCopiedExplanation')],
             message: [t('messageCopied'), t('messageCopiedExplanation')],
+            tag: [t('tagCopied'), t('tagCopiedExplanation')],
         };
 
         Clipboard.setString(item);
@@ -231,6 +285,25 @@ export default class TransactionHistoryModal extends PureComponent {
         }
     }
 
+    setDetailsField(field, value) {
+        this.setState((prevState) => ({ details: { ...prevState.details, [field]: value } }));
+    }
+
+    /**
+     * Saves private transaction label, note and category on device
+     *
+     * @method saveDetails
+     */
+    saveDetails() {
+        const { t, bundle } = this.props;
+        const { details } = this.state;
+
+        this.props.setTransactionMetadata(bundle, details);
+        this.props.generateAlert('success', t('history:detailsSaved'), t('history:detailsSavedExplanation'));
+
+        this.setState({ metadata: details, details: null });
+    }
+
     computeStatusText(outputs, persistence, incoming) {
         const { t } = this.props;
         const receiveStatus = persistence ? t('global:youReceived') : t('global:receiving');
@@ -277,6 +350,96 @@ export default class TransactionHistoryModal extends PureComponent {
         );
     }
 
+    renderFiatValues() {
+        const { t, style, currency, fiatValueThen, fiatValueNow } = this.props;
+
+        const formatValue = (value) =>
+            value === null ? t('history:valueUnavailable') : formatFiatBalance(locale, currency, value);
+
+        return (
+            <View style={styles.fiatValuesContainer}>
+                <View style={styles.fiatValueWrapper}>
+                    <Text style={[styles.heading, style.defaultTextColor]}>{t('history:valueThen')}:</Text>
+                    <Text style={[styles.detailsText, style.defaultTextColor]}>{formatValue(fiatValueThen)}</Text>
+                </View>
+                <View style={styles.fiatValueWrapper}>
+                    <Text style={[styles.heading, style.defaultTextColor]}>{t('history:valueNow')}:</Text>
+                    <Text style={[styles.detailsText, style.defaultTextColor]}>{formatValue(fiatValueNow)}</Text>
+                </View>
+            </View>
+        );
+    }
+
+    renderDetails() {
+        const { t, style } = this.props;
+        const { metadata } = this.state;
+        const hasDetails = metadata.label || metadata.note || metadata.category;
+
+        return (
+            <TouchableOpacity
+                onPress={() =>
+                    this.setState({
+                        details: { label: metadata.label, note: metadata.note, category: metadata.category },
+                    })
+                }
+                style={{ width: contentWidth }}
+            >
+                {(hasDetails && (
+                    <View>
+                        {!!metadata.label && (
+                            <Text style={[styles.detailsText, style.defaultTextColor]}>{metadata.label}</Text>
+                        )}
+                        {!!metadata.category && (
+                            <Text style={[styles.detailsText, { color: style.primaryColor }]}>
+                                {metadata.category}
+                            </Text>
+                        )}
+                        {!!metadata.note && (
+                            <Text style={[styles.detailsText, style.defaultTextColor]}>{metadata.note}</Text>
+                        )}
+                    </View>
+                )) || <Text style={[styles.detailsText, style.defaultTextColor]}>{t('history:noDetails')}</Text>}
+                <Text style={[styles.detailsInfoText, style.defaultTextColor]}>{t('history:editDetails')}</Text>
+            </TouchableOpacity>
+        );
+    }
+
+    renderDetailsInputs() {
+        const { t, theme } = this.props;
+        const { details } = this.state;
+
+        return (
+            <View style={{ width: contentWidth }}>
+                <CustomTextInput
+                    label={t('history:label')}
+                    onValidTextChange={(text) => this.setDetailsField('label', text)}
+                    containerStyle={styles.detailsInput}
+                    autoCorrect={false}
+                    theme={theme}
+                    value={details.label}
+                />
+                <CustomTextInput
+                    label={t('history:category')}
+                    onValidTextChange={(text) => this.setDetailsField('category', text)}
+                    containerStyle={styles.detailsInput}
+                    autoCorrect={false}
+                    theme={theme}
+                    value={details.category}
+                />
+                <CustomTextInput
+                    label={t('history:note')}
+                    onValidTextChange={(text) => this.setDetailsField('note', text)}
+                    containerStyle={styles.detailsInput}
+                    theme={theme}
+                    value={details.note}
+                />
+                <Text style={[styles.detailsInfoText, this.props.style.defaultTextColor]}>
+                    {t('history:privateDetailsExplanation')}
+                </Text>
+            </View>
+        );
+    }
+
     renderButton(buttonProps) {
         const { disableWhen, t, hideModal, bundleIsBeingPromoted, isRetryingFailedTransaction } = this.props;
         const opacity = { opacity: disableWhen ? 0.6 : 1 };
@@ -304,6 +467,7 @@ export default class TransactionHistoryModal extends PureComponent {
             time,
             bundle,
             message,
+            tag,
             t,
             style,
             mode,
@@ -313,11 +477,19 @@ export default class TransactionHistoryModal extends PureComponent {
             isFailedTransaction,
             bundleIsBeingPromoted,
         } = this.props;
-        const { addressesScrollable, messagesScrollable } = this.state;
+        const { addressesScrollable, messagesScrollable, details } = this.state;
 
         return (
             <ModalView
                 modalButtons={
+                    (details !== null && (
+                        <DualFooterButtons
+                            onLeftButtonPress={() => this.setState({ details: null })}
+                            onRightButtonPress={() => this.saveDetails()}
+                            leftButtonText={t('global:cancel')}
+                            rightButtonText={t('history:saveDetails')}
+                        />
+                    )) ||
                     (!persistence &&
                         !isFailedTransaction &&
                         this.renderButton({
@@ -379,6 +551,15 @@ export default class TransactionHistoryModal extends PureComponent {
                             <View style={styles.bundleSeparator} />
                         </TouchableOpacity>
                     </View>
+                    {tag ? (
+                        <View style={{ width: contentWidth }}>
+                            <Text style={[styles.heading, style.defaultTextColor]}>{t('send:tag')}:</Text>
+                            <TouchableOpacity onPress={() => this.copy(tag, 'tag')}>
+                                <Text style={[styles.messageText, style.defaultTextColor]}>{tag}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    ) : null}
+                    {this.renderFiatValues()}
                     {mode === 'Advanced' && (
                         <View style={{ width: contentWidth }}>
                             <Text style={[styles.heading, style.defaultTextColor]}>{t('addresses')}:</Text>
@@ -413,6 +594,8 @@ export default class TransactionHistoryModal extends PureComponent {
                             </TouchableOpacity>
                         </View>
                     </ScrollView>
+                    <Text style={[styles.heading, style.defaultTextColor]}>{t('history:privateDetails')}:</Text>
+                    {details === null ? this.renderDetails() : this.renderDetailsInputs()}
                 </View>
                 <View style={{ flex: 3 }} />
             </ModalView>
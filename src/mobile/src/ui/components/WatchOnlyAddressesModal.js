@@ -0,0 +1,194 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, Text, TextInput, TouchableOpacity, PermissionsAndroid, Keyboard } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import DocumentPicker from 'react-native-document-picker';
+import RNFetchBlob from 'rn-fetch-blob';
+import { parseWatchOnlyAddresses } from 'shared-modules/libs/iota/watchOnly';
+import { height } from 'libs/dimensions';
+import { isAndroid } from 'libs/device';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import ModalView from './ModalView';
+
+const styles = StyleSheet.create({
+    titleText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize5,
+        textAlign: 'center',
+        paddingBottom: height / 60,
+    },
+    infoText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+        textAlign: 'center',
+        paddingBottom: height / 60,
+    },
+    addressesInput: {
+        width: Styling.contentWidth,
+        height: height / 3.5,
+        padding: height / 70,
+        borderRadius: Styling.borderRadius,
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize1,
+        textAlignVertical: 'top',
+    },
+    actionsContainer: {
+        flexDirection: 'row',
+        justifyContent: 'center',
+        width: Styling.contentWidth,
+        paddingVertical: height / 60,
+    },
+    actionText: {
+        backgroundColor: 'transparent',
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+});
+
+/**
+ * Watch-only account addresses modal (Enter seed screen)
+ */
+export class WatchOnlyAddressesModal extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Hide active modal */
+        hideModal: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** Triggered when user confirms valid addresses
+         * @param {array} addresses
+         */
+        onAddressesEntered: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            addresses: '',
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('WatchOnlyAddresses');
+    }
+
+    /**
+     * Validates addresses and passes them on
+     *
+     * @method setAddresses
+     * @param {string} content - Address list or address export
+     */
+    setAddresses(content) {
+        const { t } = this.props;
+
+        let addresses;
+
+        try {
+            addresses = parseWatchOnlyAddresses(content);
+        } catch (error) {
+            return this.props.generateAlert(
+                'error',
+                t('watchOnly:invalidAddresses'),
+                t('watchOnly:invalidAddressesExplanation'),
+            );
+        }
+
+        Keyboard.dismiss();
+        this.props.onAddressesEntered(addresses);
+    }
+
+    /**
+     * Opens document picker and imports addresses from chosen file
+     *
+     * @method showDocumentPicker
+     */
+    showDocumentPicker() {
+        const { t } = this.props;
+
+        (isAndroid
+            ? PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.READ_EXTERNAL_STORAGE)
+            : Promise.resolve(true)
+        )
+            .then((granted) => {
+                if (granted !== true && granted !== PermissionsAndroid.RESULTS.GRANTED) {
+                    throw new Error('Read permissions not granted.');
+                }
+
+                return DocumentPicker.pick({
+                    type: isAndroid ? ['application/json', 'text/plain'] : ['public.json', 'public.text'],
+                });
+            })
+            .then((res) => {
+                let path = res.uri;
+                if (path.startsWith('file://')) {
+                    path = path.slice(7);
+                }
+
+                return RNFetchBlob.fs.readFile(path, 'utf8').then((data) => this.setAddresses(data));
+            })
+            .catch((error) => {
+                if (typeof error.message === 'string' && error.message === 'Read permissions not granted.') {
+                    return this.props.generateAlert(
+                        'error',
+                        t('global:missingPermission'),
+                        t('global:missingPermissionExplanation'),
+                    );
+                }
+                // Do not show an alert if user cancels and does not pick a file
+                if (!DocumentPicker.isCancel(error)) {
+                    return this.props.generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    );
+                }
+            });
+    }
+
+    render() {
+        const { t, theme } = this.props;
+        const { addresses } = this.state;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <ModalView
+                dualButtons
+                onLeftButtonPress={() => this.props.hideModal()}
+                onRightButtonPress={() => this.setAddresses(addresses)}
+                leftButtonText={t('global:back')}
+                rightButtonText={t('global:continue')}
+                disableRightButton={addresses.trim() === ''}
+            >
+                <Text style={[styles.titleText, textColor]}>{t('watchOnly:addWatchOnlyAccount')}</Text>
+                <Text style={[styles.infoText, textColor]}>{t('watchOnly:enterAddresses')}</Text>
+                <TextInput
+                    style={[styles.addressesInput, { color: theme.input.color, backgroundColor: theme.input.bg }]}
+                    value={addresses}
+                    onChangeText={(text) => this.setState({ addresses: text })}
+                    placeholder={t('watchOnly:addresses')}
+                    placeholderTextColor={theme.input.alt}
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                    multiline
+                />
+                <View style={styles.actionsContainer}>
+                    <TouchableOpacity onPress={() => this.showDocumentPicker()}>
+                        <Text style={[styles.actionText, { color: theme.primary.color }]}>
+                            {t('watchOnly:importAddresses')}
+                        </Text>
+                    </TouchableOpacity>
+                </View>
+            </ModalView>
+        );
+    }
+}
+
+export default withTranslation(['global', 'watchOnly'])(WatchOnlyAddressesModal);
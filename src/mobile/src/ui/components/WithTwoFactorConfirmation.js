@@ -0,0 +1,106 @@
+import React, { Component } from 'react';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import PropTypes from 'prop-types';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { toggleModalActivity } from 'shared-modules/actions/ui';
+import { getThemeFromState } from 'shared-modules/selectors/global';
+import { authorizeTwoFactor, getTwoFactorAuthKeyFromKeychain } from 'libs/keychain';
+
+export default () => (C) => {
+    class WithTwoFactorConfirmation extends Component {
+        constructor() {
+            super();
+            this.confirmTwoFactorCode = this.confirmTwoFactorCode.bind(this);
+        }
+
+        /**
+         * Asks user for a two-factor authentication code if two-factor authentication is enabled
+         *
+         * @method confirmTwoFactorCode
+         * @param {Uint8Array} pwdHash
+         *
+         * @returns {Promise<boolean>} True if two-factor authentication is disabled or a valid code was provided
+         */
+        async confirmTwoFactorCode(pwdHash) {
+            const { theme, is2FAEnabled, t } = this.props;
+
+            if (!is2FAEnabled && !(await getTwoFactorAuthKeyFromKeychain(pwdHash))) {
+                return true;
+            }
+
+            return new Promise((resolve) => {
+                this.props.toggleModalActivity('twoFactorCode', {
+                    theme,
+                    isDashboard: true,
+                    hideModal: () => {
+                        this.props.toggleModalActivity();
+                        resolve(false);
+                    },
+                    validateCode: async (code) => {
+                        if (!code) {
+                            return this.props.generateAlert(
+                                'error',
+                                t('twoFA:emptyCode'),
+                                t('twoFA:emptyCodeExplanation'),
+                            );
+                        }
+
+                        const { isValid, isBackupCode, backupCodesLeft } = await authorizeTwoFactor(pwdHash, code);
+
+                        if (!isValid) {
+                            return this.props.generateAlert(
+                                'error',
+                                t('twoFA:wrongCode'),
+                                t('twoFA:wrongCodeExplanation'),
+                            );
+                        }
+
+                        this.props.toggleModalActivity();
+
+                        if (isBackupCode) {
+                            this.props.generateAlert(
+                                'info',
+                                t('twoFA:backupCodeUsed'),
+                                t('twoFA:backupCodeUsedExplanation', { count: backupCodesLeft }),
+                            );
+                        }
+
+                        resolve(true);
+                    },
+                });
+            });
+        }
+
+        render() {
+            return <C {...this.props} confirmTwoFactorCode={this.confirmTwoFactorCode} />;
+        }
+    }
+
+    WithTwoFactorConfirmation.propTypes = {
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        is2FAEnabled: PropTypes.bool.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        toggleModalActivity: PropTypes.func.isRequired,
+    };
+
+    const mapStateToProps = (state) => ({
+        theme: getThemeFromState(state),
+        is2FAEnabled: state.settings.is2FAEnabled,
+    });
+
+    const mapDispatchToProps = {
+        generateAlert,
+        toggleModalActivity,
+    };
+
+    return withTranslation(['global', 'twoFA'])(
+        connect(mapStateToProps, mapDispatchToProps)(WithTwoFactorConfirmation),
+    );
+};
@@ -21,6 +21,7 @@ import Themes from 'shared-modules/themes/themes';
 import { mapStorageToState as mapStorageToStateAction } from 'shared-modules/actions/wallet';
 import { WalletActionTypes } from 'shared-modules/types';
 import { setRealmMigrationStatus } from 'shared-modules/actions/migrations';
+import { recordQuorumRound } from 'shared-modules/actions/nodeHealth';
 import i18next, { i18nextInit } from 'shared-modules/libs/i18next';
 import axios from 'axios';
 import { getLocaleFromLabel } from 'shared-modules/libs/i18n';
@@ -157,8 +158,12 @@ const fetchNodeList = (store) => {
             provider: node.url,
         }),
     );
-    // Set quorum size
+    // Set quorum size and consensus policy
     quorum.setSize(get(settings, 'quorum.size'));
+    quorum.setPolicy(get(settings, 'quorum'));
+
+    // Keep track of quorum rounds and nodes disagreeing with quorum results
+    quorum.subscribe((round) => store.dispatch(recordQuorumRound(round)));
 
     store.dispatch(fetchNodes());
 };
@@ -1,7 +1,7 @@
 import size from 'lodash/size';
 import React from 'react';
 import { withTranslation } from 'react-i18next';
-import { StyleSheet, View, Text, TouchableWithoutFeedback, Keyboard } from 'react-native';
+import { StyleSheet, View, Text, TouchableWithoutFeedback, TouchableOpacity, Keyboard } from 'react-native';
 import navigator from 'libs/navigation';
 import { toggleModalActivity, setDoNotMinimise } from 'shared-modules/actions/ui';
 import { setAccountInfoDuringSetup } from 'shared-modules/actions/accounts';
@@ -23,6 +23,8 @@ import { Styling } from 'ui/theme/general';
 import Header from 'ui/components/Header';
 import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
 import { trytesToTrits } from 'shared-modules/libs/iota/converter';
+import { getWalletBackupAccounts, parseWalletBackup } from 'shared-modules/libs/walletBackup';
+import Errors from 'shared-modules/libs/errors';
 
 console.ignoredYellowBox = ['Native TextInput']; // eslint-disable-line no-console
 
@@ -65,6 +67,12 @@ const styles = StyleSheet.create({
         alignItems: 'center',
         justifyContent: 'center',
     },
+    watchOnlyText: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        backgroundColor: 'transparent',
+    },
 });
 
 /** Enter seed component */
@@ -86,6 +94,8 @@ class EnterSeed extends React.Component {
         setAccountInfoDuringSetup: PropTypes.func.isRequired,
         /** @ignore */
         setDoNotMinimise: PropTypes.func.isRequired,
+        /** @ignore */
+        onboardingComplete: PropTypes.bool.isRequired,
     };
 
     constructor(props) {
@@ -113,6 +123,25 @@ class EnterSeed extends React.Component {
      * Validate seed
      */
     onDonePress() {
+        const { seed } = this.state;
+        if (this.isValidSeed()) {
+            if (isAndroid) {
+                FlagSecure.deactivate();
+            }
+            delete global.onboardingBackup;
+            global.onboardingSeed = seed;
+            // Since this seed was not generated in Trinity, mark "usedExistingSeed" as true.
+            this.props.setAccountInfoDuringSetup({ usedExistingSeed: true, meta: { type: 'keychain' } });
+            navigator.push('setAccountName');
+        }
+    }
+
+    /**
+     * Checks entered seed length, and alerts if invalid
+     * @method isValidSeed
+     * @returns {boolean}
+     */
+    isValidSeed() {
         const { t } = this.props;
         const { seed } = this.state;
         if (seed === null || seed.length !== MAX_SEED_TRITS) {
@@ -121,15 +150,9 @@ class EnterSeed extends React.Component {
                 seed && size(seed) > MAX_SEED_TRITS ? t('seedTooLong') : t('seedTooShort'),
                 t('seedTooShortExplanation', { maxLength: MAX_SEED_LENGTH, currentLength: seed ? size(seed) / 3 : 0 }),
             );
-        } else {
-            if (isAndroid) {
-                FlagSecure.deactivate();
-            }
-            global.onboardingSeed = seed;
-            // Since this seed was not generated in Trinity, mark "usedExistingSeed" as true.
-            this.props.setAccountInfoDuringSetup({ usedExistingSeed: true });
-            navigator.push('setAccountName');
+            return false;
         }
+        return true;
     }
 
     /**
@@ -169,6 +192,75 @@ class EnterSeed extends React.Component {
         this.hideModal();
     }
 
+    /**
+     * Stores watch-only addresses and navigates to account name setup
+     * @method onWatchOnlyAddressesEntered
+     * @param {array} addresses
+     */
+    onWatchOnlyAddressesEntered(addresses) {
+        global.onboardingSeed = addresses;
+        this.props.setAccountInfoDuringSetup({ usedExistingSeed: true, meta: { type: 'watchonly' } });
+        this.hideModal();
+        navigator.push('setAccountName');
+    }
+
+    /**
+     * Stores multisig co-signer seed and co-signers, and navigates to account name setup
+     * @method onMultisigCosignersEntered
+     * @param {object} vault - { seed, security, cosigners }
+     */
+    onMultisigCosignersEntered(vault) {
+        if (isAndroid) {
+            FlagSecure.deactivate();
+        }
+        global.onboardingSeed = vault;
+        this.props.setAccountInfoDuringSetup({ usedExistingSeed: true, meta: { type: 'multisig' } });
+        this.hideModal();
+        navigator.push('setAccountName');
+    }
+
+    /**
+     * Stores wallet backup accounts and data, and navigates to password setup
+     * @method onBackupImport
+     * @param {object} data - { seeds, backup }
+     */
+    onBackupImport(data) {
+        const { t } = this.props;
+
+        try {
+            const backup = parseWalletBackup(data.backup);
+            const accounts = getWalletBackupAccounts(
+                backup,
+                data.seeds.map(({ seed, title }) => ({ title, seed: trytesToTrits(seed) })),
+            );
+
+            global.onboardingBackup = { backup, accounts };
+        } catch (error) {
+            this.hideModal();
+
+            if (error.message === Errors.UNSUPPORTED_WALLET_BACKUP_VERSION) {
+                return this.props.generateAlert(
+                    'error',
+                    t('walletBackup:unsupportedVersion'),
+                    t('walletBackup:unsupportedVersionExplanation'),
+                );
+            }
+
+            return this.props.generateAlert(
+                'error',
+                t('walletBackup:invalidBackup'),
+                t('walletBackup:invalidBackupExplanation'),
+            );
+        }
+
+        if (isAndroid) {
+            FlagSecure.deactivate();
+        }
+        this.props.setAccountInfoDuringSetup({ usedExistingSeed: true, meta: { type: 'keychain' } });
+        this.hideModal();
+        navigator.push('setPassword');
+    }
+
     hideModal = () => this.props.toggleModalActivity();
 
     showModal = (modalContent) => {
@@ -188,11 +280,36 @@ class EnterSeed extends React.Component {
                     hideModal: () => this.props.toggleModalActivity(),
                     theme,
                 });
+            case 'watchOnlyAddresses':
+                return this.props.toggleModalActivity(modalContent, {
+                    theme,
+                    generateAlert: this.props.generateAlert,
+                    onAddressesEntered: (addresses) => this.onWatchOnlyAddressesEntered(addresses),
+                    hideModal: () => this.props.toggleModalActivity(),
+                });
+            case 'multisigCosigners':
+                return this.props.toggleModalActivity(modalContent, {
+                    theme,
+                    seed: this.state.seed,
+                    generateAlert: this.props.generateAlert,
+                    onCosignersEntered: (vault) => this.onMultisigCosignersEntered(vault),
+                    hideModal: () => this.props.toggleModalActivity(),
+                });
+            case 'seedShares':
+                return this.props.toggleModalActivity(modalContent, {
+                    theme,
+                    generateAlert: this.props.generateAlert,
+                    onSeedRecovered: (seed) => {
+                        this.setState({ seed });
+                        this.hideModal();
+                    },
+                    hideModal: () => this.props.toggleModalActivity(),
+                });
         }
     };
 
     render() {
-        const { t, theme, minimised } = this.props;
+        const { t, theme, minimised, onboardingComplete } = this.props;
 
         return (
             <TouchableWithoutFeedback style={{ flex: 0.8 }} onPress={Keyboard.dismiss} accessible={false}>
@@ -259,11 +376,31 @@ class EnterSeed extends React.Component {
                                             this.setState({ seed });
                                             this.hideModal();
                                         }}
+                                        onBackupImport={
+                                            onboardingComplete ? undefined : (data) => this.onBackupImport(data)
+                                        }
                                         onRef={(ref) => {
                                             this.SeedVaultImport = ref;
                                         }}
                                     />
                                 </AnimatedComponent>
+                                <TouchableOpacity onPress={() => this.showModal('watchOnlyAddresses')}>
+                                    <Text style={[styles.watchOnlyText, { color: theme.primary.color }]}>
+                                        {t('watchOnly:addWatchOnlyAccount')}
+                                    </Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity
+                                    onPress={() => this.isValidSeed() && this.showModal('multisigCosigners')}
+                                >
+                                    <Text style={[styles.watchOnlyText, { color: theme.primary.color }]}>
+                                        {t('multisig:addMultisigAccount')}
+                                    </Text>
+                                </TouchableOpacity>
+                                <TouchableOpacity onPress={() => this.showModal('seedShares')}>
+                                    <Text style={[styles.watchOnlyText, { color: theme.primary.color }]}>
+                                        {t('seedShares:recover')}
+                                    </Text>
+                                </TouchableOpacity>
                                 <View style={{ flex: 0.6 }} />
                             </View>
                             <View style={styles.bottomContainer}>
@@ -293,6 +430,7 @@ class EnterSeed extends React.Component {
 const mapStateToProps = (state) => ({
     theme: getThemeFromState(state),
     minimised: state.ui.minimised,
+    onboardingComplete: state.accounts.onboardingComplete,
 });
 
 const mapDispatchToProps = {
@@ -303,7 +441,7 @@ const mapDispatchToProps = {
 };
 
 export default WithUserActivity()(
-    withTranslation(['enterSeed', 'global'])(
+    withTranslation(['enterSeed', 'global', 'walletBackup'])(
         connect(
             mapStateToProps,
             mapDispatchToProps,
@@ -10,6 +10,7 @@ import { toggleModalActivity } from 'shared-modules/actions/ui';
 import { MAX_SEED_LENGTH } from 'shared-modules/libs/iota/utils';
 import { generateSecureRandom } from 'react-native-securerandom';
 import { generateAlert } from 'shared-modules/actions/alerts';
+import { setAccountInfoDuringSetup } from 'shared-modules/actions/accounts';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import { generateNewSeed, randomiseSeedCharacter } from 'shared-modules/libs/crypto';
 import AnimatedComponent from 'ui/components/AnimatedComponent';
@@ -100,6 +101,8 @@ class NewSeedSetup extends Component {
         minimised: PropTypes.bool.isRequired,
         /** @ignore */
         toggleModalActivity: PropTypes.func.isRequired,
+        /** @ignore */
+        setAccountInfoDuringSetup: PropTypes.func.isRequired,
     };
 
     constructor() {
@@ -157,6 +160,7 @@ class NewSeedSetup extends Component {
         }
         if (this.state.hasGeneratedSeed) {
             global.onboardingSeed = trytesToTrits(this.state.seed);
+            this.props.setAccountInfoDuringSetup({ meta: { type: 'keychain' } });
             navigator.push('saveYourSeed');
         } else {
             this.props.generateAlert('error', t('seedNotGenerated'), t('seedNotGeneratedExplanation'));
@@ -304,6 +308,7 @@ const mapStateToProps = (state) => ({
 const mapDispatchToProps = {
     generateAlert,
     toggleModalActivity,
+    setAccountInfoDuringSetup,
 };
 
 export default WithUserActivity()(
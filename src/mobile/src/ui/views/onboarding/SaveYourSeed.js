@@ -1,4 +1,3 @@
-import each from 'lodash/each';
 import React, { Component } from 'react';
 import { withTranslation, Trans } from 'react-i18next';
 import { StyleSheet, View, Text } from 'react-native';
@@ -7,14 +6,11 @@ import { connect } from 'react-redux';
 import RNPrint from 'react-native-print';
 import { Navigation } from 'react-native-navigation';
 import navigator from 'libs/navigation';
-import { getChecksum } from 'shared-modules/libs/iota/utils';
 import { generateAlert } from 'shared-modules/actions/alerts';
-import { paperWalletFilled } from 'shared-modules/images/PaperWallets';
 import { setSeedShareTutorialVisitationStatus } from 'shared-modules/actions/settings';
 import { toggleModalActivity } from 'shared-modules/actions/ui';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import timer from 'react-native-timer';
-import QRCode from 'qr.js/lib/QRCode';
 import Button from 'ui/components/Button';
 import DualFooterButtons from 'ui/components/DualFooterButtons';
 import AnimatedComponent from 'ui/components/AnimatedComponent';
@@ -23,6 +19,7 @@ import { width, height } from 'libs/dimensions';
 import Header from 'ui/components/Header';
 import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
 import { isAndroid } from 'libs/device';
+import { getPaperWalletHTML } from 'libs/paperWallet';
 import { tritsToChars } from 'shared-modules/libs/iota/converter';
 
 const styles = StyleSheet.create({
@@ -141,71 +138,6 @@ class SaveYourSeed extends Component {
         navigator.push('seedVaultBackup');
     }
 
-    /**
-     * Generates html for seed qr
-     * @method getQrHTMLString
-     */
-    getQrHTMLString(seed) {
-        const qr = new QRCode(-1, 1);
-        each(seed, (char) => {
-            qr.addData(char);
-        });
-        qr.make();
-        const cells = qr.modules;
-
-        let qrString = '';
-        cells.forEach((row, rowIndex) => {
-            row.forEach((cell, cellIndex) => {
-                qrString += `<rect
-                        height="1.6"
-                        key="${cellIndex}"
-                        style="fill: ${cell ? '#000000' : 'none'}"
-                        width="1.6"
-                        x="${161 + cellIndex * 1.6}"
-                        y="${699 + rowIndex * 1.6}"
-                    />`;
-            });
-        });
-        return qrString;
-    }
-
-    /**
-     * Constructs html text components for all seed characters
-     * @method getSeedHTMLString
-     */
-    getSeedHTMLString(seed) {
-        let seedChars = '';
-        for (let i = 0; i < seed.length; i++) {
-            const space = i % 9 > 5 ? 38 : i % 9 > 2 ? 19 : 0;
-            const x = 193 + (i % 9) * 26 + space;
-            const y = 365 + Math.floor(i / 9) * 32.8;
-            const currentChar = `<text transform="matrix(1 0 0 1 ${x} ${y})" font-size="16">
-                    ${seed.charAt(i)}
-                </text>`;
-            seedChars = seedChars + currentChar;
-        }
-        return seedChars;
-    }
-
-    /**
-     * Constructs paper wallet html string for printing
-     * @method getHTMLContent
-     */
-    getHTMLContent() {
-        const seed = tritsToChars(global.onboardingSeed);
-        const checksumString = `<text x="372.7" y="735">${getChecksum(seed)}</text>`;
-        const qrString = this.getQrHTMLString(seed);
-        const seedString = this.getSeedHTMLString(seed);
-
-        return (
-            '<svg viewBox="0 0 595 841" xmlns="http://www.w3.org/2000/svg">' +
-            seedString +
-            qrString +
-            checksumString +
-            '</svg>'
-        );
-    }
-
     showModal = (modalContent) => {
         const { theme } = this.props;
         switch (modalContent) {
@@ -239,42 +171,7 @@ class SaveYourSeed extends Component {
             theme: { body },
         } = this.props;
         this.props.toggleModalActivity();
-        const paperWalletHTML = `
-        <!DOCTYPE html>
-        <html>
-          <head>
-             <meta charset="utf-8">
-          </head>
-          <style>
-             html,
-             body,
-             #wallet {
-                padding: 0px;
-                margin: 0px;
-                text-align: center;
-                overflow: hidden;
-                height: ${isAndroid ? '100vh' : null};
-                width: ${isAndroid ? '100vw' : null};
-             }
-             svg {
-                height: ${isAndroid ? '100vh' : '120vh'};
-                width: ${isAndroid ? '100vw' : '120vw'};
-                position: absolute;
-                top: 0;
-                left: 0;
-             }
-             text {
-               font-size: 20px;
-               fill: #231f20;
-               font-family: Monospace;
-             }
-             @font-face { font-family: "Monospace"; src: "shared-modules/custom-fonts/SourceCodePro-Medium.ttf"
-          </style>
-          <body>
-            ${this.getHTMLContent()}
-            ${paperWalletFilled}
-          </body>
-        </html>`;
+        const paperWalletHTML = getPaperWalletHTML(tritsToChars(global.onboardingSeed));
         try {
             // Delay print to allow for modal close animation
             timer.setTimeout(
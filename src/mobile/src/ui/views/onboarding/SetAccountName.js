@@ -72,6 +72,8 @@ export class SetAccountName extends Component {
         shouldPreventAction: PropTypes.bool.isRequired,
         /** Temporarily stored account name during account setup */
         accountName: PropTypes.string.isRequired,
+        /** Temporarily stored account meta during account setup */
+        accountMeta: PropTypes.object.isRequired,
     };
 
     async componentDidMount() {
@@ -93,8 +95,9 @@ export class SetAccountName extends Component {
      * @method onDonePress
      */
     async onDonePress() {
-        const { t, onboardingComplete, accountNames, shouldPreventAction } = this.props;
+        const { t, onboardingComplete, accountNames, accountMeta, shouldPreventAction } = this.props;
         const accountName = trim(this.props.accountName);
+        const seedStoreType = accountMeta.type || 'keychain';
 
         if (shouldPreventAction) {
             return this.props.generateAlert('error', t('global:pleaseWait'), t('global:pleaseWaitExplanation'));
@@ -116,7 +119,7 @@ export class SetAccountName extends Component {
         }
 
         if (onboardingComplete) {
-            const seedStore = await new SeedStore.keychain(global.passwordHash);
+            const seedStore = await new SeedStore[seedStoreType](global.passwordHash);
             const isSeedUnique = await seedStore.isUniqueSeed(global.onboardingSeed);
             if (!isSeedUnique) {
                 return this.props.generateAlert(
@@ -129,12 +132,12 @@ export class SetAccountName extends Component {
 
         this.props.setAccountInfoDuringSetup({
             name: accountName,
-            meta: { type: 'keychain' },
+            meta: { type: seedStoreType },
             completed: true,
         });
 
         if (onboardingComplete) {
-            const seedStore = await new SeedStore.keychain(global.passwordHash);
+            const seedStore = await new SeedStore[seedStoreType](global.passwordHash);
             seedStore.addAccount(accountName, global.onboardingSeed);
             delete global.onboardingSeed;
             navigator.setStackRoot('loading');
@@ -224,6 +227,7 @@ const mapStateToProps = (state) => ({
     theme: getThemeFromState(state),
     shouldPreventAction: shouldPreventAction(state),
     accountName: state.accounts.accountInfoDuringSetup.name,
+    accountMeta: state.accounts.accountInfoDuringSetup.meta,
 });
 
 const mapDispatchToProps = {
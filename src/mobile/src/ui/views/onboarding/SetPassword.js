@@ -5,11 +5,12 @@ import { StyleSheet, View, Text, TouchableWithoutFeedback, Keyboard } from 'reac
 import navigator from 'libs/navigation';
 import { connect } from 'react-redux';
 import { setOnboardingComplete } from 'shared-modules/actions/accounts';
-import { clearWalletData } from 'shared-modules/actions/wallet';
+import { clearWalletData, restoreWalletBackup } from 'shared-modules/actions/wallet';
 import { generateAlert } from 'shared-modules/actions/alerts';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import SeedStore from 'libs/SeedStore';
 import { storeSaltInKeychain } from 'libs/keychain';
+import getEncryptionKey from 'libs/realm';
 import { generatePasswordHash, getSalt } from 'libs/crypto';
 import DualFooterButtons from 'ui/components/DualFooterButtons';
 import AnimatedComponent from 'ui/components/AnimatedComponent';
@@ -71,11 +72,15 @@ class SetPassword extends Component {
         /** @ignore */
         clearWalletData: PropTypes.func.isRequired,
         /** @ignore */
+        restoreWalletBackup: PropTypes.func.isRequired,
+        /** @ignore */
         generateAlert: PropTypes.func.isRequired,
         /** @ignore */
         theme: PropTypes.object.isRequired,
         /** @ignore */
         accountName: PropTypes.string.isRequired,
+        /** @ignore */
+        accountMeta: PropTypes.object.isRequired,
     };
 
     constructor() {
@@ -101,13 +106,17 @@ class SetPassword extends Component {
      * @returns {Promise<void>}
      */
     async onAcceptPassword() {
-        const { t, accountName } = this.props;
+        const { t, accountName, accountMeta } = this.props;
         const salt = await getSalt();
         global.passwordHash = await generatePasswordHash(this.state.password, salt);
         delete this.state.password;
         await storeSaltInKeychain(salt);
 
-        const seedStore = await new SeedStore.keychain(global.passwordHash);
+        if (global.onboardingBackup) {
+            return this.restoreBackup();
+        }
+
+        const seedStore = await new SeedStore[accountMeta.type](global.passwordHash);
         const isUniqueSeed = await seedStore.isUniqueSeed(global.onboardingSeed);
         if (!isUniqueSeed) {
             return this.props.generateAlert(
@@ -123,6 +132,43 @@ class SetPassword extends Component {
         this.navigateToOnboardingComplete();
     }
 
+    /**
+     * Stores wallet backup seeds in keychain and restores backed up wallet data
+     * @method restoreBackup
+     * @returns {Promise<void>}
+     */
+    async restoreBackup() {
+        const { t } = this.props;
+        const { backup, accounts } = global.onboardingBackup;
+
+        try {
+            for (let i = 0; i < accounts.length; i++) {
+                const seedStore = await new SeedStore[accounts[i].meta.type](global.passwordHash);
+                await seedStore.addAccount(accounts[i].name, accounts[i].seed);
+            }
+
+            await this.props.restoreWalletBackup(backup, getEncryptionKey);
+        } catch (error) {
+            return this.props.generateAlert(
+                'error',
+                t('global:somethingWentWrong'),
+                t('global:somethingWentWrongTryAgain'),
+                10000,
+                error,
+            );
+        }
+
+        delete global.onboardingBackup;
+        this.props.clearWalletData();
+        this.props.setOnboardingComplete(true);
+        this.props.generateAlert(
+            'success',
+            t('walletBackup:restoreSuccess'),
+            t('walletBackup:restoreSuccessExplanation', { count: accounts.length }),
+        );
+        this.navigateToOnboardingComplete();
+    }
+
     /**
      * Triggers password validation
      * @method onDonePress
@@ -136,6 +182,7 @@ class SetPassword extends Component {
      * @method onBackPress
      */
     onBackPress() {
+        delete global.onboardingBackup;
         navigator.pop(this.props.componentId);
     }
 
@@ -215,16 +262,18 @@ class SetPassword extends Component {
 
 const mapStateToProps = (state) => ({
     accountName: state.accounts.accountInfoDuringSetup.name,
+    accountMeta: state.accounts.accountInfoDuringSetup.meta,
     theme: getThemeFromState(state),
 });
 
 const mapDispatchToProps = {
     setOnboardingComplete,
     clearWalletData,
+    restoreWalletBackup,
     generateAlert,
 };
 
-export default withTranslation(['setPassword', 'global', 'addAdditionalSeed'])(
+export default withTranslation(['setPassword', 'global', 'addAdditionalSeed', 'walletBackup'])(
     connect(
         mapStateToProps,
         mapDispatchToProps,
@@ -67,6 +67,16 @@ class AccountManagement extends Component {
         const rows = [
             { name: t('viewAddresses'), icon: 'addresses', function: () => this.props.setSetting('viewAddresses') },
             { name: t('editAccountName'), icon: 'edit', function: () => this.props.setSetting('editAccountName') },
+            {
+                name: t('inputSelection:inputSelection'),
+                icon: 'settingsAlt',
+                function: () => this.props.setSetting('inputSelection'),
+            },
+            {
+                name: t('sendPolicies:sendPolicy'),
+                icon: 'security',
+                function: () => this.props.setSetting('sendPolicy'),
+            },
             { name: t('deleteAccount'), icon: 'trash', function: () => this.deleteAccount() },
             { name: t('addNewAccount'), icon: 'plusAlt', function: () => this.props.setSetting('addNewAccount') },
             { name: 'separator' },
@@ -76,6 +86,11 @@ class AccountManagement extends Component {
                 icon: 'key',
                 function: () => this.props.setSetting('exportSeedVault'),
             },
+            {
+                name: t('seedShares:seedShares'),
+                icon: 'key',
+                function: () => this.props.setSetting('seedShares'),
+            },
             { name: 'back', function: () => this.props.setSetting('mainSettings') },
         ];
 
@@ -97,6 +112,6 @@ const mapDispatchToProps = {
     setSetting,
 };
 
-export default withTranslation(['accountManagement', 'global'])(
+export default withTranslation(['accountManagement', 'global', 'sendPolicies', 'seedShares'])(
     connect(mapStateToProps, mapDispatchToProps)(AccountManagement),
 );
@@ -4,9 +4,12 @@ import { withTranslation } from 'react-i18next';
 import { connect } from 'react-redux';
 import { StyleSheet, View } from 'react-native';
 import navigator from 'libs/navigation';
+import SeedStore from 'libs/SeedStore';
 import { setSetting } from 'shared-modules/actions/wallet';
 import { getThemeFromState } from 'shared-modules/selectors/global';
+import { getSelectedAccountMeta } from 'shared-modules/selectors/accounts';
 import { generateAlert } from 'shared-modules/actions/alerts';
+import { __DEV__ } from 'shared-modules/config';
 import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
 import { renderSettingsRows } from 'ui/components/SettingsContent';
 
@@ -35,6 +38,8 @@ export class AdvancedSettings extends PureComponent {
         generateAlert: PropTypes.func.isRequired,
         /** @ignore */
         isSendingTransfer: PropTypes.bool.isRequired,
+        /** Account meta for selected account */
+        selectedAccountMeta: PropTypes.object.isRequired,
     };
 
     constructor() {
@@ -77,7 +82,8 @@ export class AdvancedSettings extends PureComponent {
      * @returns {function}
      */
     renderSettingsContent() {
-        const { theme, t, autoPromotion, deepLinking, isSendingTransfer } = this.props;
+        const { theme, t, autoPromotion, deepLinking, isSendingTransfer, selectedAccountMeta } = this.props;
+        const { isWatchOnly, isMultisig } = SeedStore[selectedAccountMeta.type];
         const rows = [
             {
                 name: t('settings:nodeSettings'),
@@ -108,11 +114,39 @@ export class AdvancedSettings extends PureComponent {
                 function: () => this.props.setSetting('snapshotTransition'),
             },
             { name: t('manualSync'), icon: 'sync', function: () => this.props.setSetting('manualSync') },
+            ...(isWatchOnly || isMultisig
+                ? []
+                : [
+                      {
+                          name: t('consolidation:consolidateFunds'),
+                          icon: 'addresses',
+                          function: () => this.props.setSetting('consolidateFunds'),
+                      },
+                      {
+                          name: t('scheduledPayments:scheduledPayments'),
+                          icon: 'history',
+                          function: () => this.props.setSetting('scheduledPayments'),
+                      },
+                  ]),
             {
                 name: t('stateExport'),
                 icon: 'copy',
                 function: () => this.props.setSetting('stateExport'),
             },
+            {
+                name: t('historyExport:historyExport'),
+                icon: 'history',
+                function: () => this.props.setSetting('historyExport'),
+            },
+            ...(__DEV__
+                ? [
+                      {
+                          name: t('stateSnapshot:stateSnapshot'),
+                          icon: 'copy',
+                          function: () => this.props.setSetting('stateSnapshot'),
+                      },
+                  ]
+                : []),
             { name: 'separator' },
             { name: t('settings:reset'), icon: 'trash', function: this.reset },
             { name: 'back', function: () => this.props.setSetting('mainSettings') },
@@ -130,6 +164,7 @@ const mapStateToProps = (state) => ({
     autoPromotion: state.settings.autoPromotion,
     deepLinking: state.settings.deepLinking,
     isSendingTransfer: state.ui.isSendingTransfer,
+    selectedAccountMeta: getSelectedAccountMeta(state),
 });
 
 const mapDispatchToProps = {
@@ -137,7 +172,15 @@ const mapDispatchToProps = {
     generateAlert,
 };
 
-export default withTranslation(['advancedSettings', 'settings', 'global'])(
+export default withTranslation([
+    'advancedSettings',
+    'settings',
+    'historyExport',
+    'consolidation',
+    'scheduledPayments',
+    'stateSnapshot',
+    'global',
+])(
     connect(
         mapStateToProps,
         mapDispatchToProps,
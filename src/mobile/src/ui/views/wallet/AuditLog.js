@@ -0,0 +1,263 @@
+import find from 'lodash/find';
+import keys from 'lodash/keys';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, Text, StyleSheet, TouchableWithoutFeedback, Keyboard, ScrollView } from 'react-native';
+import { connect } from 'react-redux';
+import Share from 'react-native-share';
+import RNFetchBlob from 'rn-fetch-blob';
+import { withTranslation } from 'react-i18next';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { logAuditEvent } from 'shared-modules/actions/auditLog';
+import { getThemeFromState, getAuditLogFromState, isAuditLogIntact } from 'shared-modules/selectors/global';
+import { moment } from 'shared-modules/libs/exports';
+import { formatTimeAs } from 'shared-modules/libs/date';
+import { AUDIT_EVENTS, filterAuditLog, getAuditLogEntrySummary, serialiseAuditLog } from 'shared-modules/libs/auditLog';
+import { width, height } from 'libs/dimensions';
+import { isAndroid, getAndroidFileSystemPermissions, locale, timezone } from 'libs/device';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomTextInput from 'ui/components/CustomTextInput';
+import DropdownComponent from 'ui/components/Dropdown';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import { Styling } from 'ui/theme/general';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    topContainer: {
+        flex: 10,
+        justifyContent: 'flex-start',
+        alignItems: 'center',
+        width,
+    },
+    fieldsContainer: {
+        alignItems: 'center',
+        paddingTop: height / 30,
+    },
+    field: {
+        paddingBottom: height / 30,
+    },
+    listContainer: {
+        flex: 1,
+        width,
+    },
+    entryRow: {
+        width,
+        paddingHorizontal: width / 15,
+        paddingVertical: height / 80,
+    },
+    entryHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    entryType: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+    entryDetails: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        paddingTop: height / 20,
+    },
+    warningText: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+        textAlign: 'center',
+        width: width / 1.2,
+        paddingBottom: height / 40,
+    },
+});
+
+/** Security audit log component */
+export class AuditLog extends Component {
+    static propTypes = {
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
+        entries: PropTypes.array.isRequired,
+        /** @ignore */
+        isIntact: PropTypes.bool.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            type: '',
+            search: '',
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('AuditLog');
+    }
+
+    /**
+     * Serialises visible audit log entries and opens the share sheet
+     *
+     * @method exportAuditLog
+     * @param {array} entries
+     */
+    async exportAuditLog(entries) {
+        const { t, generateAlert } = this.props;
+
+        if (!entries.length) {
+            return generateAlert('error', t('auditLog:noEntries'), t('auditLog:explanation'));
+        }
+
+        if (isAndroid) {
+            await getAndroidFileSystemPermissions();
+        }
+
+        const path = `${
+            isAndroid ? RNFetchBlob.fs.dirs.DownloadDir : RNFetchBlob.fs.dirs.CacheDir
+        }/Trinity-audit-log-${moment().format('YYYYMMDD-HHmm')}.json`;
+
+        const fs = RNFetchBlob.fs;
+
+        try {
+            const fileExists = await fs.exists(path);
+            if (fileExists) {
+                await fs.unlink(path);
+            }
+            await fs.createFile(path, serialiseAuditLog(entries, timezone), 'utf8');
+            Share.open({
+                url: isAndroid ? 'file://' + path : path,
+                type: 'application/json',
+            })
+                .then(() => {
+                    this.props.logAuditEvent(AUDIT_EVENTS.auditLogExported, { count: entries.length });
+                    generateAlert(
+                        'success',
+                        t('auditLog:exported'),
+                        t('auditLog:exportedExplanation', { count: entries.length }),
+                    );
+                })
+                .catch(() => fs.unlink(path));
+        } catch (err) {
+            fs.unlink(path);
+            generateAlert('error', t('global:somethingWentWrong'), t('global:somethingWentWrongTryAgain'), 10000, err);
+        }
+    }
+
+    renderEntry(entry) {
+        const { t, theme } = this.props;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <View key={entry.index} style={styles.entryRow}>
+                <View style={styles.entryHeader}>
+                    <Text style={[styles.entryType, textColor]}>{t(`auditLog:${entry.type}`)}</Text>
+                    <Text style={[styles.entryDetails, textColor]}>
+                        {formatTimeAs.dayMonthYearHoursMinutes(locale, timezone, entry.timestamp * 1000)}
+                    </Text>
+                </View>
+                <Text style={[styles.entryDetails, textColor]}>{getAuditLogEntrySummary(entry, t)}</Text>
+            </View>
+        );
+    }
+
+    render() {
+        const { t, theme, entries, isIntact } = this.props;
+        const { type, search } = this.state;
+
+        const visibleEntries = filterAuditLog(entries, type, search);
+        const allEvents = t('auditLog:allEvents');
+        const eventLabels = keys(AUDIT_EVENTS).map((item) => t(`auditLog:${item}`));
+
+        return (
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        <View style={styles.fieldsContainer}>
+                            {!isIntact && (
+                                <Text style={[styles.warningText, { color: theme.negative.color }]}>
+                                    {t('auditLog:brokenChain')}
+                                </Text>
+                            )}
+                            <View style={styles.field}>
+                                <DropdownComponent
+                                    onRef={(c) => {
+                                        this.typeDropdown = c;
+                                    }}
+                                    title={t('auditLog:event')}
+                                    options={[allEvents, ...eventLabels]}
+                                    value={type ? t(`auditLog:${type}`) : allEvents}
+                                    dropdownStyle={{ width: width / 1.5 }}
+                                    saveSelection={(selection) =>
+                                        this.setState({
+                                            type:
+                                                find(
+                                                    keys(AUDIT_EVENTS),
+                                                    (item, index) => eventLabels[index] === selection,
+                                                ) || '',
+                                        })
+                                    }
+                                />
+                            </View>
+                            <CustomTextInput
+                                label={t('auditLog:search')}
+                                onValidTextChange={(text) => this.setState({ search: text })}
+                                autoCorrect={false}
+                                theme={theme}
+                                value={search}
+                            />
+                        </View>
+                        <ScrollView style={styles.listContainer}>
+                            {visibleEntries.length ? (
+                                visibleEntries.map((entry) => this.renderEntry(entry))
+                            ) : (
+                                <Text style={[styles.infoText, { color: theme.body.color }]}>
+                                    {t('auditLog:noEntries')}
+                                </Text>
+                            )}
+                        </ScrollView>
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            hideActionButton={!visibleEntries.length}
+                            backFunction={() => this.props.setSetting('securitySettings')}
+                            actionFunction={() => this.exportAuditLog(visibleEntries)}
+                            actionName={t('auditLog:export')}
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    entries: getAuditLogFromState(state),
+    isIntact: isAuditLogIntact(state),
+    theme: getThemeFromState(state),
+});
+
+const mapDispatchToProps = {
+    setSetting,
+    generateAlert,
+    logAuditEvent,
+};
+
+export default withTranslation(['auditLog', 'global'])(connect(mapStateToProps, mapDispatchToProps)(AuditLog));
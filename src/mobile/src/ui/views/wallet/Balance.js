@@ -25,6 +25,8 @@ import {
     getAddressesForSelectedAccount,
 } from 'shared-modules/selectors/accounts';
 import { getLocaleFromLabel } from 'shared-modules/libs/i18n';
+import { formatTimeAgo, isWithinMinutes } from 'shared-modules/libs/date';
+import { MARKET_DATA_STALE_MINUTES } from 'shared-modules/libs/marketData';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import WithManualRefresh from 'ui/components/ManualRefresh';
 import SimpleTransactionRow from 'ui/components/SimpleTransactionRow';
@@ -70,6 +72,12 @@ const styles = StyleSheet.create({
         fontSize: Styling.fontSize4,
         backgroundColor: 'transparent',
     },
+    priceUpdated: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize0,
+        backgroundColor: 'transparent',
+        paddingTop: height / 200,
+    },
     noTransactions: {
         fontFamily: 'SourceSansPro-Light',
         fontSize: Styling.fontSize1,
@@ -97,6 +105,8 @@ export class Balance extends Component {
     static propTypes = {
         /** @ignore */
         usdPrice: PropTypes.number.isRequired,
+        /** Time (ms) market data was last fetched */
+        marketDataLastUpdated: PropTypes.number.isRequired,
         /** @ignore */
         seedIndex: PropTypes.number.isRequired,
         /** Balance for currently selected account */
@@ -240,12 +250,14 @@ export class Balance extends Component {
             conversionRate,
             currency,
             usdPrice,
+            marketDataLastUpdated,
             theme,
             isRefreshing,
             animateChartOnMount,
             language,
+            t,
         } = this.props;
-        const { body, primary } = theme;
+        const { body, primary, negative } = theme;
 
         const shortenedBalance =
             roundDown(formatValue(balance), 1) +
@@ -284,6 +296,20 @@ export class Balance extends Component {
                                 <Text style={[styles.fiatBalance, textColor]}>
                                     {formatFiatBalance(getLocaleFromLabel(language), currency, fiatBalance)}
                                 </Text>
+                                {marketDataLastUpdated > 0 && (
+                                    <Text
+                                        style={[
+                                            styles.priceUpdated,
+                                            isWithinMinutes(marketDataLastUpdated, MARKET_DATA_STALE_MINUTES)
+                                                ? textColor
+                                                : { color: negative.color },
+                                        ]}
+                                    >
+                                        {t('priceUpdated', {
+                                            age: formatTimeAgo(getLocaleFromLabel(language), marketDataLastUpdated),
+                                        })}
+                                    </Text>
+                                )}
                             </View>
                         </TouchableWithoutFeedback>
                         <View style={styles.transactionsContainer}>
@@ -303,6 +329,7 @@ export class Balance extends Component {
 
 const mapStateToProps = (state) => ({
     usdPrice: state.marketData.usdPrice,
+    marketDataLastUpdated: state.marketData.lastUpdated,
     seedIndex: state.wallet.seedIndex,
     balance: getBalanceForSelectedAccount(state),
     transactions: getTransactionsForSelectedAccount(state),
@@ -7,7 +7,9 @@ import { StyleSheet, View, Text, TouchableWithoutFeedback, Keyboard } from 'reac
 import { connect } from 'react-redux';
 import { setSetting } from 'shared-modules/actions/wallet';
 import { generateAlert } from 'shared-modules/actions/alerts';
+import { logAuditEvent } from 'shared-modules/actions/auditLog';
 import { getThemeFromState } from 'shared-modules/selectors/global';
+import { AUDIT_EVENTS } from 'shared-modules/libs/auditLog';
 import { changePassword, hash } from 'libs/keychain';
 import { generatePasswordHash, getSalt } from 'libs/crypto';
 import { Styling } from 'ui/theme/general';
@@ -15,6 +17,7 @@ import CustomTextInput from 'ui/components/CustomTextInput';
 import SettingsDualFooter from 'ui/components/SettingsDualFooter';
 import InfoBox from 'ui/components/InfoBox';
 import PasswordFields from 'ui/components/PasswordFields';
+import withTwoFactorConfirmation from 'ui/components/WithTwoFactorConfirmation';
 import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
 
 const styles = StyleSheet.create({
@@ -49,9 +52,13 @@ class ChangePassword extends Component {
         /** @ignore */
         generateAlert: PropTypes.func.isRequired,
         /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
         theme: PropTypes.object.isRequired,
         /** @ignore */
         t: PropTypes.func.isRequired,
+        /** @ignore */
+        confirmTwoFactorCode: PropTypes.func.isRequired,
     };
 
     constructor() {
@@ -81,11 +88,15 @@ class ChangePassword extends Component {
     async onAcceptPassword() {
         const { generateAlert, t } = this.props;
         const { newPassword } = this.state;
+        if (!(await this.props.confirmTwoFactorCode(global.passwordHash))) {
+            return;
+        }
         const salt = await getSalt();
         const newPwdHash = await generatePasswordHash(newPassword, salt);
         changePassword(global.passwordHash, newPwdHash, salt)
             .then(() => {
                 global.passwordHash = newPwdHash;
+                this.props.logAuditEvent(AUDIT_EVENTS.passwordChanged);
                 generateAlert('success', t('passwordUpdated'), t('passwordUpdatedExplanation'));
                 this.props.setSetting('securitySettings');
             })
@@ -172,11 +183,14 @@ const mapStateToProps = (state) => ({
 const mapDispatchToProps = {
     setSetting,
     generateAlert,
+    logAuditEvent,
 };
 
-export default withTranslation(['changePassword', 'global'])(
-    connect(
-        mapStateToProps,
-        mapDispatchToProps,
-    )(ChangePassword),
+export default withTwoFactorConfirmation()(
+    withTranslation(['changePassword', 'global'])(
+        connect(
+            mapStateToProps,
+            mapDispatchToProps,
+        )(ChangePassword),
+    ),
 );
@@ -0,0 +1,349 @@
+import map from 'lodash/map';
+import reduce from 'lodash/reduce';
+import size from 'lodash/size';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { StyleSheet, View, Text, ScrollView, ActivityIndicator } from 'react-native';
+import { connect } from 'react-redux';
+import KeepAwake from 'react-native-keep-awake';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { planConsolidation, consolidateFunds, setConsolidationPlan } from 'shared-modules/actions/consolidation';
+import { shouldPreventAction, getThemeFromState } from 'shared-modules/selectors/global';
+import {
+    getSelectedAccountName,
+    getSelectedAccountMeta,
+    getConsolidationPlanForSelectedAccount,
+} from 'shared-modules/selectors/accounts';
+import { formatIotas } from 'shared-modules/libs/iota/utils';
+import SeedStore from 'libs/SeedStore';
+import { width, height } from 'libs/dimensions';
+import CtaButton from 'ui/components/CtaButton';
+import InfoBox from 'ui/components/InfoBox';
+import OldProgressBar from 'ui/components/OldProgressBar';
+import SettingsBackButton from 'ui/components/SettingsBackButton';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    topContainer: {
+        flex: 11,
+        justifyContent: 'center',
+    },
+    innerContainer: {
+        flex: 4,
+        justifyContent: 'center',
+    },
+    buttonContainer: {
+        flex: 0.7,
+        alignItems: 'center',
+        justifyContent: 'center',
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        backgroundColor: 'transparent',
+    },
+    addressText: {
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize2,
+        textAlign: 'center',
+        backgroundColor: 'transparent',
+        paddingTop: height / 80,
+    },
+    transfers: {
+        maxHeight: height / 5,
+        marginTop: height / 50,
+    },
+    transferText: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+        backgroundColor: 'transparent',
+        paddingVertical: height / 200,
+    },
+    activityIndicator: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        marginTop: height / 40,
+    },
+});
+
+/** Consolidate funds component */
+export class ConsolidateFunds extends Component {
+    static propTypes = {
+        /** @ignore */
+        isPlanningConsolidation: PropTypes.bool.isRequired,
+        /** @ignore */
+        isConsolidatingFunds: PropTypes.bool.isRequired,
+        /** Pending consolidation plan for selected account */
+        consolidationPlan: PropTypes.object,
+        /** Determines whether to allow consolidation actions */
+        shouldPreventAction: PropTypes.bool.isRequired,
+        /** Account name for selected account */
+        selectedAccountName: PropTypes.string.isRequired,
+        /** Account meta for selected account */
+        selectedAccountMeta: PropTypes.object.isRequired,
+        /** @ignore */
+        activeStepIndex: PropTypes.number.isRequired,
+        /** @ignore */
+        activeSteps: PropTypes.array.isRequired,
+        /** @ignore */
+        planConsolidation: PropTypes.func.isRequired,
+        /** @ignore */
+        consolidateFunds: PropTypes.func.isRequired,
+        /** @ignore */
+        setConsolidationPlan: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    static renderProgressBarChildren(activeStepIndex, sizeOfActiveSteps, t) {
+        if (activeStepIndex === -1) {
+            return null;
+        }
+
+        return t('progress', { current: activeStepIndex + 1, total: sizeOfActiveSteps });
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('ConsolidateFunds');
+    }
+
+    componentWillReceiveProps(newProps) {
+        const { isConsolidatingFunds } = this.props;
+        if (!isConsolidatingFunds && newProps.isConsolidatingFunds) {
+            KeepAwake.activate();
+        } else if (isConsolidatingFunds && !newProps.isConsolidatingFunds) {
+            KeepAwake.deactivate();
+        }
+    }
+
+    /**
+     * Gets seed store for selected account
+     *
+     * @method getSeedStore
+     * @returns {Promise<object>}
+     */
+    getSeedStore() {
+        const { selectedAccountName, selectedAccountMeta } = this.props;
+
+        return new SeedStore[selectedAccountMeta.type](global.passwordHash, selectedAccountName);
+    }
+
+    /**
+     * Plans consolidation transfers for selected account
+     *
+     * @method plan
+     */
+    async plan() {
+        const { selectedAccountName, shouldPreventAction, t } = this.props;
+
+        if (shouldPreventAction) {
+            return this.props.generateAlert('error', t('global:pleaseWait'), t('global:pleaseWaitExplanation'));
+        }
+
+        const seedStore = await this.getSeedStore();
+        this.props.planConsolidation(seedStore, selectedAccountName);
+    }
+
+    /**
+     * Sends (remaining) planned consolidation transfers
+     *
+     * @method consolidate
+     */
+    async consolidate() {
+        const { selectedAccountName, shouldPreventAction, t } = this.props;
+
+        if (shouldPreventAction) {
+            return this.props.generateAlert('error', t('global:pleaseWait'), t('global:pleaseWaitExplanation'));
+        }
+
+        const seedStore = await this.getSeedStore();
+        this.props.consolidateFunds(seedStore, selectedAccountName);
+    }
+
+    renderPlan(textColor) {
+        const { consolidationPlan, selectedAccountName, theme, t } = this.props;
+
+        return (
+            <View style={styles.innerContainer}>
+                <InfoBox>
+                    <Text style={[styles.infoText, textColor]}>
+                        {t('planSummary', {
+                            transfers: size(consolidationPlan.chunks),
+                            inputs: reduce(consolidationPlan.chunks, (acc, chunk) => acc + size(chunk.inputs), 0),
+                            amount: formatIotas(
+                                reduce(consolidationPlan.chunks, (acc, chunk) => acc + chunk.value, 0),
+                                false,
+                                true,
+                            ),
+                        })}
+                    </Text>
+                    <Text style={[styles.addressText, textColor]}>{consolidationPlan.address}</Text>
+                    <ScrollView style={styles.transfers}>
+                        {map(consolidationPlan.chunks, (chunk, index) => (
+                            <Text key={`chunk-${index}`} style={[styles.transferText, textColor]}>
+                                {t('transfer', {
+                                    index: index + 1,
+                                    inputs: size(chunk.inputs),
+                                    amount: formatIotas(chunk.value, false, true),
+                                })}
+                                {index < consolidationPlan.completedChunks && ` (${t('completed')})`}
+                            </Text>
+                        ))}
+                    </ScrollView>
+                    {consolidationPlan.completedChunks > 0 && (
+                        <Text style={[styles.infoText, textColor, { paddingTop: height / 50 }]}>
+                            {t('pendingPlan', {
+                                completed: consolidationPlan.completedChunks,
+                                total: size(consolidationPlan.chunks),
+                            })}
+                        </Text>
+                    )}
+                </InfoBox>
+                <View style={styles.buttonContainer}>
+                    <CtaButton
+                        ctaColor={theme.secondary.color}
+                        secondaryCtaColor={theme.secondary.body}
+                        text={t('global:cancel')}
+                        onPress={() =>
+                            this.props.setConsolidationPlan({ accountName: selectedAccountName, plan: null })
+                        }
+                        ctaWidth={width / 2}
+                        ctaHeight={height / 16}
+                    />
+                </View>
+            </View>
+        );
+    }
+
+    render() {
+        const {
+            isPlanningConsolidation,
+            isConsolidatingFunds,
+            consolidationPlan,
+            activeStepIndex,
+            activeSteps,
+            theme,
+            t,
+        } = this.props;
+        const textColor = { color: theme.body.color };
+        const sizeOfActiveSteps = size(activeSteps);
+
+        return (
+            <View style={styles.container}>
+                <View style={styles.topContainer}>
+                    <View style={{ flex: 0.8 }} />
+                    {isConsolidatingFunds && (
+                        <View style={styles.innerContainer}>
+                            <InfoBox>
+                                <Text style={[styles.infoText, textColor]}>{t('consolidating')}</Text>
+                                <Text style={[styles.infoText, textColor, { paddingTop: height / 50 }]}>
+                                    {t('loading:thisMayTake')}
+                                </Text>
+                                <Text style={[styles.infoText, textColor, { paddingTop: height / 50 }]}>
+                                    {t('global:pleaseWaitEllipses')}
+                                </Text>
+                            </InfoBox>
+                            <View style={styles.buttonContainer}>
+                                <OldProgressBar
+                                    indeterminate={activeStepIndex === -1}
+                                    progress={activeStepIndex / sizeOfActiveSteps}
+                                    color={theme.primary.color}
+                                    textColor={theme.body.color}
+                                >
+                                    {ConsolidateFunds.renderProgressBarChildren(activeStepIndex, sizeOfActiveSteps, t)}
+                                </OldProgressBar>
+                            </View>
+                        </View>
+                    )}
+                    {!isConsolidatingFunds && consolidationPlan && this.renderPlan(textColor)}
+                    {!isConsolidatingFunds && !consolidationPlan && (
+                        <View style={styles.innerContainer}>
+                            <InfoBox>
+                                <Text style={[styles.infoText, textColor]}>{t('consolidateFundsExplanation')}</Text>
+                            </InfoBox>
+                            {(isPlanningConsolidation && (
+                                <ActivityIndicator
+                                    animating={isPlanningConsolidation}
+                                    style={styles.activityIndicator}
+                                    size="large"
+                                    color={theme.primary.color}
+                                />
+                            )) || (
+                                <View style={styles.buttonContainer}>
+                                    <CtaButton
+                                        ctaColor={theme.primary.color}
+                                        secondaryCtaColor={theme.primary.body}
+                                        text={t('planConsolidation')}
+                                        onPress={() => this.plan()}
+                                        ctaWidth={width / 2}
+                                        ctaHeight={height / 16}
+                                    />
+                                </View>
+                            )}
+                        </View>
+                    )}
+                </View>
+                <View style={styles.bottomContainer}>
+                    {(!isConsolidatingFunds && consolidationPlan && (
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() => this.props.setSetting('advancedSettings')}
+                            actionFunction={() => this.consolidate()}
+                            actionName={consolidationPlan.completedChunks > 0 ? t('resume') : t('consolidate')}
+                        />
+                    )) || (
+                        <SettingsBackButton
+                            theme={theme}
+                            backFunction={() => this.props.setSetting('advancedSettings')}
+                            inactive={isPlanningConsolidation || isConsolidatingFunds}
+                        />
+                    )}
+                </View>
+            </View>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    isPlanningConsolidation: state.ui.isPlanningConsolidation,
+    isConsolidatingFunds: state.ui.isConsolidatingFunds,
+    consolidationPlan: getConsolidationPlanForSelectedAccount(state),
+    activeStepIndex: state.progress.activeStepIndex,
+    activeSteps: state.progress.activeSteps,
+    theme: getThemeFromState(state),
+    selectedAccountName: getSelectedAccountName(state),
+    selectedAccountMeta: getSelectedAccountMeta(state),
+    shouldPreventAction: shouldPreventAction(state),
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+    setSetting,
+    planConsolidation,
+    consolidateFunds,
+    setConsolidationPlan,
+};
+
+export default withTranslation(['consolidation', 'global'])(
+    connect(mapStateToProps, mapDispatchToProps)(ConsolidateFunds),
+);
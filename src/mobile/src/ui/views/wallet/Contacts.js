@@ -0,0 +1,283 @@
+import map from 'lodash/map';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, Text, StyleSheet, TouchableOpacity, TouchableWithoutFeedback, Keyboard, ScrollView } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { addContact, updateContact, removeContact } from 'shared-modules/actions/contacts';
+import { getThemeFromState, getContactsList } from 'shared-modules/selectors/global';
+import { ADDRESS_LENGTH, MAX_MESSAGE_LENGTH, MAX_TAG_LENGTH } from 'shared-modules/libs/iota/utils';
+import { width, height } from 'libs/dimensions';
+import CustomTextInput from 'ui/components/CustomTextInput';
+import SettingsSeparator from 'ui/components/SettingsSeparator';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import Icon from 'ui/theme/icons';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+
+const emptyContact = { name: '', address: '', message: '', tag: '', notes: '' };
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    topContainer: {
+        flex: 11,
+        justifyContent: 'flex-start',
+        alignItems: 'center',
+        width,
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    fieldsContainer: {
+        flex: 6,
+        justifyContent: 'space-around',
+        alignItems: 'center',
+        width,
+    },
+    listContainer: {
+        flex: 4,
+        width,
+    },
+    contactRow: {
+        height: height / 14,
+        width,
+        flexDirection: 'row',
+        paddingHorizontal: width / 15,
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    contactName: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+    contactAddress: {
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize1,
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+    },
+});
+
+/**
+ * Address book contacts component
+ */
+export class Contacts extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Address book contacts */
+        contacts: PropTypes.array.isRequired,
+        /** @ignore */
+        addContact: PropTypes.func.isRequired,
+        /** @ignore */
+        updateContact: PropTypes.func.isRequired,
+        /** @ignore */
+        removeContact: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            contact: emptyContact,
+            editAddress: null,
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('Contacts');
+    }
+
+    /**
+     * Updates a single contact field
+     *
+     * @method setField
+     * @param {string} field
+     * @param {string} value
+     */
+    setField(field, value) {
+        this.setState((prevState) => ({ contact: { ...prevState.contact, [field]: value } }));
+    }
+
+    /**
+     * Adds a new contact or saves the contact being edited
+     *
+     * @method saveContact
+     */
+    saveContact() {
+        const { contact, editAddress } = this.state;
+
+        const saved = editAddress ? this.props.updateContact(editAddress, contact) : this.props.addContact(contact);
+
+        if (saved) {
+            this.setState({ contact: emptyContact, editAddress: null });
+        }
+    }
+
+    /**
+     * Removes contact from address book
+     *
+     * @method removeContact
+     * @param {object} contact
+     */
+    removeContact(contact) {
+        const { t } = this.props;
+
+        this.props.removeContact(contact.address);
+        this.props.generateAlert(
+            'success',
+            t('contacts:contactRemoved'),
+            t('contacts:contactRemovedExplanation', { name: contact.name }),
+        );
+
+        if (this.state.editAddress === contact.address) {
+            this.setState({ contact: emptyContact, editAddress: null });
+        }
+    }
+
+    renderContacts() {
+        const { theme, contacts } = this.props;
+
+        return map(contacts, (contact) => {
+            const textColor = { color: contact.spent ? theme.negative.color : theme.body.color };
+
+            return (
+                <View key={contact.address} style={styles.contactRow}>
+                    <TouchableOpacity
+                        style={{ flex: 1 }}
+                        onPress={() =>
+                            this.setState({
+                                contact: {
+                                    name: contact.name,
+                                    address: contact.address,
+                                    message: contact.message,
+                                    tag: contact.tag,
+                                    notes: contact.notes,
+                                },
+                                editAddress: contact.address,
+                            })
+                        }
+                    >
+                        <Text style={[styles.contactName, textColor]}>{contact.name}</Text>
+                        <Text style={[styles.contactAddress, textColor]} numberOfLines={1} ellipsizeMode="middle">
+                            {contact.address}
+                        </Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                        onPress={() => this.removeContact(contact)}
+                        hitSlop={{ top: height / 60, bottom: height / 60, left: width / 30, right: width / 30 }}
+                        style={{ paddingLeft: width / 30 }}
+                    >
+                        <Icon name="cross" size={width / 28} color={theme.body.color} />
+                    </TouchableOpacity>
+                </View>
+            );
+        });
+    }
+
+    render() {
+        const { t, theme, contacts } = this.props;
+        const { contact, editAddress } = this.state;
+
+        return (
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        <View style={styles.fieldsContainer}>
+                            <CustomTextInput
+                                label={t('contacts:contactName')}
+                                onValidTextChange={(text) => this.setField('name', text)}
+                                autoCorrect={false}
+                                theme={theme}
+                                value={contact.name}
+                            />
+                            <CustomTextInput
+                                label={t('global:address')}
+                                onValidTextChange={(text) => this.setField('address', text.trim())}
+                                autoCapitalize="characters"
+                                autoCorrect={false}
+                                maxLength={ADDRESS_LENGTH}
+                                theme={theme}
+                                value={contact.address}
+                            />
+                            <CustomTextInput
+                                label={t('contacts:defaultMessage')}
+                                onValidTextChange={(text) => this.setField('message', text)}
+                                autoCorrect={false}
+                                maxLength={MAX_MESSAGE_LENGTH}
+                                theme={theme}
+                                value={contact.message}
+                            />
+                            <CustomTextInput
+                                label={t('contacts:defaultTag')}
+                                onValidTextChange={(text) => this.setField('tag', text.toUpperCase())}
+                                autoCapitalize="characters"
+                                autoCorrect={false}
+                                maxLength={MAX_TAG_LENGTH}
+                                theme={theme}
+                                value={contact.tag}
+                            />
+                            <CustomTextInput
+                                label={t('contacts:notes')}
+                                onValidTextChange={(text) => this.setField('notes', text)}
+                                theme={theme}
+                                value={contact.notes}
+                            />
+                        </View>
+                        <SettingsSeparator color={theme.body.color} />
+                        {(contacts.length > 0 && (
+                            <ScrollView style={styles.listContainer}>{this.renderContacts()}</ScrollView>
+                        )) || (
+                            <View style={[styles.listContainer, { justifyContent: 'center', alignItems: 'center' }]}>
+                                <Text style={[styles.infoText, { color: theme.body.color }]}>
+                                    {t('contacts:noContacts')}
+                                </Text>
+                            </View>
+                        )}
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() =>
+                                editAddress
+                                    ? this.setState({ contact: emptyContact, editAddress: null })
+                                    : this.props.setSetting('mainSettings')
+                            }
+                            actionFunction={() => this.saveContact()}
+                            actionName={editAddress ? t('contacts:saveContact') : t('contacts:addContact')}
+                            hideActionButton={contact.name === '' || contact.address === ''}
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    theme: getThemeFromState(state),
+    contacts: getContactsList(state),
+});
+
+const mapDispatchToProps = {
+    setSetting,
+    generateAlert,
+    addContact,
+    updateContact,
+    removeContact,
+};
+
+export default withTranslation(['contacts', 'global'])(connect(mapStateToProps, mapDispatchToProps)(Contacts));
@@ -1,15 +1,17 @@
+import find from 'lodash/find';
 import includes from 'lodash/includes';
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
 import { View, StyleSheet, TouchableWithoutFeedback } from 'react-native';
 import { connect } from 'react-redux';
-import { setCurrency } from 'shared-modules/actions/settings';
+import { setCurrency, setMarketDataProvider } from 'shared-modules/actions/settings';
 import { setQrDenomination, setSendDenomination } from 'shared-modules/actions/ui';
 import { IOTA_DENOMINATIONS } from 'shared-modules/libs/iota/utils';
+import { MARKET_DATA_PROVIDERS, getMarketDataProvider } from 'shared-modules/libs/marketData';
 import { setSetting } from 'shared-modules/actions/wallet';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import { withTranslation } from 'react-i18next';
-import { width } from 'libs/dimensions';
+import { width, height } from 'libs/dimensions';
 import DropdownComponent from 'ui/components/Dropdown';
 import SettingsDualFooter from 'ui/components/SettingsDualFooter';
 import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
@@ -32,6 +34,9 @@ const styles = StyleSheet.create({
         flex: 5,
         justifyContent: 'center',
     },
+    field: {
+        paddingBottom: height / 30,
+    },
 });
 
 /** Currency Selection component */
@@ -54,6 +59,10 @@ export class CurrencySelection extends Component {
         /** @ignore */
         setCurrency: PropTypes.func.isRequired,
         /** @ignore */
+        marketDataProvider: PropTypes.string.isRequired,
+        /** @ignore */
+        setMarketDataProvider: PropTypes.func.isRequired,
+        /** @ignore */
         setQrDenomination: PropTypes.func.isRequired,
         /** @ignore */
         setSendDenomination: PropTypes.func.isRequired,
@@ -63,6 +72,7 @@ export class CurrencySelection extends Component {
         super(props);
         this.state = {
             currency: props.currency,
+            marketDataProvider: props.marketDataProvider,
         };
     }
 
@@ -72,13 +82,21 @@ export class CurrencySelection extends Component {
 
     updateCurrency() {
         const props = this.props;
-        const { currency } = this.state;
+        const { currency, marketDataProvider } = this.state;
 
-        props.setCurrency(currency);
+        if (marketDataProvider !== props.marketDataProvider) {
+            props.setMarketDataProvider(marketDataProvider);
+        }
 
         // Navigate to main settings
         props.setSetting('mainSettings');
 
+        if (currency === props.currency) {
+            return;
+        }
+
+        props.setCurrency(currency);
+
         if (!includes(IOTA_DENOMINATIONS, props.qrDenomination)) {
             props.setQrDenomination(currency);
         }
@@ -89,32 +107,51 @@ export class CurrencySelection extends Component {
     }
 
     render() {
-        const { currency, availableCurrencies, t, theme } = this.props;
+        const { currency, marketDataProvider, availableCurrencies, t, theme } = this.props;
         return (
             <TouchableWithoutFeedback
                 onPress={() => {
                     if (this.dropdown) {
                         this.dropdown.closeDropdown();
                     }
+                    if (this.providerDropdown) {
+                        this.providerDropdown.closeDropdown();
+                    }
                 }}
             >
                 <View style={styles.container}>
                     <View style={styles.topContainer}>
+                        <View style={styles.field}>
+                            <DropdownComponent
+                                onRef={(c) => {
+                                    this.dropdown = c;
+                                }}
+                                title={t('currency')}
+                                options={availableCurrencies}
+                                value={currency}
+                                dropdownStyle={{ width: width / 2 }}
+                                saveSelection={(currency) => this.setState({ currency })}
+                            />
+                        </View>
                         <DropdownComponent
                             onRef={(c) => {
-                                this.dropdown = c;
+                                this.providerDropdown = c;
                             }}
-                            title={t('currency')}
-                            options={availableCurrencies}
-                            value={currency}
+                            title={t('marketDataProvider')}
+                            options={MARKET_DATA_PROVIDERS.map(({ name }) => name)}
+                            value={getMarketDataProvider(marketDataProvider).name}
                             dropdownStyle={{ width: width / 2 }}
-                            saveSelection={(currency) => this.setState({ currency })}
+                            saveSelection={(name) =>
+                                this.setState({ marketDataProvider: find(MARKET_DATA_PROVIDERS, { name }).id })
+                            }
                         />
                     </View>
                     <View style={styles.bottomContainer}>
                         <SettingsDualFooter
                             theme={theme}
-                            hideActionButton={this.state.currency === currency}
+                            hideActionButton={
+                                this.state.currency === currency && this.state.marketDataProvider === marketDataProvider
+                            }
                             backFunction={() => this.props.setSetting('mainSettings')}
                             actionFunction={() => this.updateCurrency()}
                             actionName={t('global:save')}
@@ -128,6 +165,7 @@ export class CurrencySelection extends Component {
 
 const mapStateToProps = (state) => ({
     currency: state.settings.currency,
+    marketDataProvider: state.settings.marketDataProvider,
     sendDenomination: state.ui.sendDenomination,
     qrDenomination: state.ui.qrDenomination,
     availableCurrencies: Object.keys(state.marketData.rates),
@@ -136,6 +174,7 @@ const mapStateToProps = (state) => ({
 
 const mapDispatchToProps = {
     setCurrency,
+    setMarketDataProvider,
     setSetting,
     setQrDenomination,
     setSendDenomination,
@@ -11,13 +11,14 @@ import { generateAlert } from 'shared-modules/actions/alerts';
 import { computeStatusText, formatRelevantTransactions, filterTransactions } from 'shared-modules/libs/iota/transfers';
 import { promoteTransaction, retryFailedTransaction } from 'shared-modules/actions/transfers';
 import { toggleEmptyTransactions } from 'shared-modules/actions/settings';
+import { setTransactionMetadata } from 'shared-modules/actions/transactionMetadata';
 import {
-    getTransactionsForSelectedAccount,
+    getTransactionsWithFiatValuesForSelectedAccount,
     getSelectedAccountName,
     getSelectedAccountMeta,
     getAddressesForSelectedAccount,
 } from 'shared-modules/selectors/accounts';
-import { getThemeFromState } from 'shared-modules/selectors/global';
+import { getThemeFromState, getTransactionMetadataFromState } from 'shared-modules/selectors/global';
 import SeedStore from 'libs/SeedStore';
 import { OptimizedFlatList } from 'react-native-optimized-flatlist';
 import { round } from 'shared-modules/libs/utils';
@@ -181,6 +182,12 @@ class History extends Component {
         hideEmptyTransactions: PropTypes.bool.isRequired,
         /** @ignore */
         toggleEmptyTransactions: PropTypes.func.isRequired,
+        /** Private transaction labels, notes and categories keyed by bundle hash */
+        transactionMetadata: PropTypes.object.isRequired,
+        /** @ignore */
+        setTransactionMetadata: PropTypes.func.isRequired,
+        /** @ignore */
+        currency: PropTypes.string.isRequired,
     };
 
     constructor() {
@@ -282,6 +289,8 @@ class History extends Component {
             isPromotingTransaction,
             isRetryingFailedTransaction,
             hideEmptyTransactions,
+            transactionMetadata,
+            currency,
         } = this.props;
         const { filter, search } = this.state;
 
@@ -291,6 +300,7 @@ class History extends Component {
             hideEmptyTransactions,
             filter,
             search,
+            transactionMetadata,
         );
 
         const withUnitAndChecksum = (item) => ({
@@ -309,7 +319,10 @@ class History extends Component {
                 outputs,
                 bundle,
                 message,
+                tag,
                 broadcasted,
+                fiatValueThen,
+                fiatValueNow,
             } = transfer;
             const value = round(formatValue(transferValue), 1);
             return {
@@ -320,6 +333,7 @@ class History extends Component {
                 unit: formatUnit(transferValue),
                 time: timestamp,
                 message,
+                tag,
                 mode,
                 incoming,
                 addresses,
@@ -343,6 +357,13 @@ class History extends Component {
                             promote: (bundle) => this.promoteTransaction(bundle),
                             hideModal: () => this.props.toggleModalActivity(),
                             generateAlert: (type, title, message) => this.props.generateAlert(type, title, message),
+                            setTransactionMetadata: (bundle, metadata) =>
+                                this.props.setTransactionMetadata(bundle, metadata),
+                            metadata: transactionMetadata[bundle],
+                            currency,
+                            fiatValueThen,
+                            fiatValueNow,
+                            theme: this.props.theme,
                             bundle,
                             relevantAddresses: [
                                 ...map(inputs, withUnitAndChecksum),
@@ -390,6 +411,8 @@ class History extends Component {
                 '100Mi': t('history:searchHelpUnits'),
                 '>100': t('history:searchHelpMore'),
                 '<100i': t('history:searchHelpLess'),
+                ABC: t('history:searchHelpDetails'),
+                'tag:XYZ': t('history:searchHelpTag'),
             };
             return (
                 <View style={[styles.searchHelpContainer, { backgroundColor: input.bg }]}>
@@ -485,7 +508,7 @@ class History extends Component {
 }
 
 const mapStateToProps = (state) => ({
-    transactions: getTransactionsForSelectedAccount(state),
+    transactions: getTransactionsWithFiatValuesForSelectedAccount(state),
     selectedAccountName: getSelectedAccountName(state),
     selectedAccountMeta: getSelectedAccountMeta(state),
     addresses: getAddressesForSelectedAccount(state),
@@ -504,6 +527,8 @@ const mapStateToProps = (state) => ({
     modalContent: state.ui.modalContent,
     password: state.wallet.password,
     hideEmptyTransactions: state.settings.hideEmptyTransactions,
+    transactionMetadata: getTransactionMetadataFromState(state),
+    currency: state.settings.currency,
 });
 
 const mapDispatchToProps = {
@@ -513,6 +538,7 @@ const mapDispatchToProps = {
     retryFailedTransaction,
     updateModalProps,
     toggleEmptyTransactions,
+    setTransactionMetadata,
 };
 
 export default WithManualRefresh()(
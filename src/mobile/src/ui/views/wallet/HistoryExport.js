@@ -0,0 +1,282 @@
+import find from 'lodash/find';
+import keys from 'lodash/keys';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, StyleSheet, TouchableWithoutFeedback, Keyboard, ScrollView } from 'react-native';
+import { connect } from 'react-redux';
+import Share from 'react-native-share';
+import RNFetchBlob from 'rn-fetch-blob';
+import { withTranslation } from 'react-i18next';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { getAccountInfoFromState, getAccountNamesFromState } from 'shared-modules/selectors/accounts';
+import {
+    getThemeFromState,
+    getTransactionMetadataFromState,
+    getFiatPriceNow,
+    getHistoricalFiatPriceGetter,
+} from 'shared-modules/selectors/global';
+import { moment } from 'shared-modules/libs/exports';
+import { detectedTimezone, isValid } from 'shared-modules/libs/date';
+import { HISTORY_EXPORT_FORMATS, prepareHistoryExport, serialiseHistory } from 'shared-modules/libs/historyExport';
+import { width, height } from 'libs/dimensions';
+import { isAndroid, getAndroidFileSystemPermissions } from 'libs/device';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomTextInput from 'ui/components/CustomTextInput';
+import DropdownComponent from 'ui/components/Dropdown';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    topContainer: {
+        flex: 10,
+        justifyContent: 'flex-start',
+    },
+    fieldsContainer: {
+        alignItems: 'center',
+        paddingTop: height / 30,
+    },
+    field: {
+        paddingBottom: height / 30,
+    },
+});
+
+const FILTERS = ['All', 'Sent', 'Received', 'Pending'];
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+/** Transaction history export component */
+export class HistoryExport extends Component {
+    static propTypes = {
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        accountInfo: PropTypes.object.isRequired,
+        /** @ignore */
+        accountNames: PropTypes.array.isRequired,
+        /** @ignore */
+        settings: PropTypes.object.isRequired,
+        /** @ignore */
+        metadata: PropTypes.object.isRequired,
+        /** @ignore */
+        getHistoricalFiatPrice: PropTypes.func.isRequired,
+        /** @ignore */
+        fiatPriceNow: PropTypes.number,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            accountName: '',
+            format: 'csv',
+            filter: 'All',
+            from: '',
+            to: '',
+            search: '',
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('HistoryExport');
+    }
+
+    /**
+     * Serialises selected transaction history and opens the share sheet
+     *
+     * @method exportHistory
+     */
+    async exportHistory() {
+        const { accountInfo, settings, metadata, getHistoricalFiatPrice, fiatPriceNow, t, generateAlert } = this.props;
+        const { accountName, format, filter, from, to, search } = this.state;
+
+        if ((from && !isValid(from, DATE_FORMAT)) || (to && !isValid(to, DATE_FORMAT))) {
+            return generateAlert(
+                'error',
+                t('historyExport:invalidDate'),
+                t('historyExport:invalidDateExplanation', { format: DATE_FORMAT }),
+            );
+        }
+
+        const rows = prepareHistoryExport(accountInfo, {
+            accountNames: accountName ? [accountName] : [],
+            from,
+            to,
+            filter,
+            search,
+            hideEmptyTransactions: settings.hideEmptyTransactions,
+            metadata,
+            currency: settings.currency,
+            getFiatPrice: getHistoricalFiatPrice,
+            fiatPriceNow,
+            timezone: detectedTimezone,
+        });
+
+        if (!rows.length) {
+            return generateAlert(
+                'error',
+                t('historyExport:noTransactions'),
+                t('historyExport:noTransactionsExplanation'),
+            );
+        }
+
+        if (isAndroid) {
+            await getAndroidFileSystemPermissions();
+        }
+
+        const path = `${
+            isAndroid ? RNFetchBlob.fs.dirs.DownloadDir : RNFetchBlob.fs.dirs.CacheDir
+        }/Trinity-history-${moment().format('YYYYMMDD-HHmm')}.${HISTORY_EXPORT_FORMATS[format].extension}`;
+
+        const fs = RNFetchBlob.fs;
+
+        try {
+            const fileExists = await fs.exists(path);
+            if (fileExists) {
+                await fs.unlink(path);
+            }
+            await fs.createFile(path, serialiseHistory(format, rows), 'utf8');
+            Share.open({
+                url: isAndroid ? 'file://' + path : path,
+                type: HISTORY_EXPORT_FORMATS[format].mimeType,
+            })
+                .then(() => {
+                    generateAlert(
+                        'success',
+                        t('historyExport:exported'),
+                        t('historyExport:exportedExplanation', { count: rows.length }),
+                    );
+                })
+                .catch(() => fs.unlink(path));
+        } catch (err) {
+            fs.unlink(path);
+            generateAlert('error', t('global:somethingWentWrong'), t('global:somethingWentWrongTryAgain'), 10000, err);
+        }
+    }
+
+    render() {
+        const { t, theme, accountNames } = this.props;
+        const { accountName, format, filter, from, to, search } = this.state;
+
+        const allAccounts = t('historyExport:allAccounts');
+        const filterLabels = FILTERS.map((item) => t(`global:${item.toLowerCase()}`));
+
+        return (
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        <ScrollView contentContainerStyle={styles.fieldsContainer}>
+                            <View style={styles.field}>
+                                <DropdownComponent
+                                    onRef={(c) => {
+                                        this.accountDropdown = c;
+                                    }}
+                                    title={t('historyExport:account')}
+                                    options={[allAccounts, ...accountNames]}
+                                    value={accountName || allAccounts}
+                                    dropdownStyle={{ width: width / 1.5 }}
+                                    saveSelection={(selection) =>
+                                        this.setState({ accountName: selection === allAccounts ? '' : selection })
+                                    }
+                                />
+                            </View>
+                            <View style={styles.field}>
+                                <DropdownComponent
+                                    onRef={(c) => {
+                                        this.formatDropdown = c;
+                                    }}
+                                    title={t('historyExport:format')}
+                                    options={keys(HISTORY_EXPORT_FORMATS).map((item) => item.toUpperCase())}
+                                    value={format.toUpperCase()}
+                                    dropdownStyle={{ width: width / 1.5 }}
+                                    saveSelection={(selection) => this.setState({ format: selection.toLowerCase() })}
+                                />
+                            </View>
+                            <View style={styles.field}>
+                                <DropdownComponent
+                                    onRef={(c) => {
+                                        this.filterDropdown = c;
+                                    }}
+                                    title={t('historyExport:filter')}
+                                    options={filterLabels}
+                                    value={filterLabels[FILTERS.indexOf(filter)]}
+                                    dropdownStyle={{ width: width / 1.5 }}
+                                    saveSelection={(selection) =>
+                                        this.setState({
+                                            filter: find(FILTERS, (item, index) => filterLabels[index] === selection),
+                                        })
+                                    }
+                                />
+                            </View>
+                            <View style={styles.field}>
+                                <CustomTextInput
+                                    label={t('historyExport:from')}
+                                    onValidTextChange={(text) => this.setState({ from: text.trim() })}
+                                    placeholder={DATE_FORMAT}
+                                    autoCorrect={false}
+                                    theme={theme}
+                                    value={from}
+                                />
+                            </View>
+                            <View style={styles.field}>
+                                <CustomTextInput
+                                    label={t('historyExport:to')}
+                                    onValidTextChange={(text) => this.setState({ to: text.trim() })}
+                                    placeholder={DATE_FORMAT}
+                                    autoCorrect={false}
+                                    theme={theme}
+                                    value={to}
+                                />
+                            </View>
+                            <CustomTextInput
+                                label={t('historyExport:search')}
+                                onValidTextChange={(text) => this.setState({ search: text })}
+                                autoCorrect={false}
+                                theme={theme}
+                                value={search}
+                            />
+                        </ScrollView>
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() => this.props.setSetting('advancedSettings')}
+                            actionFunction={() => this.exportHistory()}
+                            actionName={t('historyExport:export')}
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    accountInfo: getAccountInfoFromState(state),
+    accountNames: getAccountNamesFromState(state),
+    settings: state.settings,
+    metadata: getTransactionMetadataFromState(state),
+    getHistoricalFiatPrice: getHistoricalFiatPriceGetter(state),
+    fiatPriceNow: getFiatPriceNow(state),
+    theme: getThemeFromState(state),
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+    setSetting,
+};
+
+export default withTranslation(['historyExport', 'global'])(
+    connect(mapStateToProps, mapDispatchToProps)(HistoryExport),
+);
@@ -0,0 +1,129 @@
+import map from 'lodash/map';
+import keys from 'lodash/keys';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { StyleSheet, View, Text, TouchableOpacity } from 'react-native';
+import { connect } from 'react-redux';
+import { setInputSelectionStrategy } from 'shared-modules/actions/accounts';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { getThemeFromState } from 'shared-modules/selectors/global';
+import { getSelectedAccountName, getInputSelectionStrategyForSelectedAccount } from 'shared-modules/selectors/accounts';
+import { INPUT_SELECTION_STRATEGIES } from 'shared-modules/libs/iota/inputSelection';
+import Fonts from 'ui/theme/fonts';
+import { width, height } from 'libs/dimensions';
+import SettingsBackButton from 'ui/components/SettingsBackButton';
+import InfoBox from 'ui/components/InfoBox';
+import Toggle from 'ui/components/Toggle';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    topContainer: {
+        flex: 11,
+        justifyContent: 'space-around',
+        alignItems: 'center',
+    },
+    infoText: {
+        fontFamily: Fonts.secondary,
+        fontSize: Styling.fontSize3,
+        backgroundColor: 'transparent',
+        textAlign: 'center',
+    },
+    strategyRow: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        width: Styling.contentWidth,
+        paddingVertical: height / 90,
+    },
+    strategyText: {
+        fontFamily: Fonts.secondary,
+        fontSize: Styling.fontSize4,
+        backgroundColor: 'transparent',
+        marginRight: width / 45,
+    },
+});
+
+/** Input selection strategy component (per account) */
+class InputSelection extends Component {
+    static propTypes = {
+        /** @ignore */
+        accountName: PropTypes.string.isRequired,
+        /** @ignore */
+        inputSelectionStrategy: PropTypes.string.isRequired,
+        /** @ignore */
+        setInputSelectionStrategy: PropTypes.func.isRequired,
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('InputSelection');
+    }
+
+    render() {
+        const { t, theme, accountName, inputSelectionStrategy } = this.props;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <View style={styles.container}>
+                <View style={styles.topContainer}>
+                    <View style={{ flex: 0.5 }} />
+                    <InfoBox>
+                        <Text style={[styles.infoText, textColor]}>
+                            {t(`inputSelection:${inputSelectionStrategy}Explanation`)}
+                        </Text>
+                    </InfoBox>
+                    <View style={{ flex: 0.3 }} />
+                    {map(keys(INPUT_SELECTION_STRATEGIES), (strategy) => (
+                        <TouchableOpacity
+                            key={strategy}
+                            onPress={() => this.props.setInputSelectionStrategy({ accountName, strategy })}
+                        >
+                            <View style={styles.strategyRow}>
+                                <Text style={[styles.strategyText, textColor]}>{t(`inputSelection:${strategy}`)}</Text>
+                                <Toggle
+                                    active={inputSelectionStrategy === strategy}
+                                    bodyColor={theme.body.color}
+                                    primaryColor={theme.primary.color}
+                                />
+                            </View>
+                        </TouchableOpacity>
+                    ))}
+                    <View style={{ flex: 1 }} />
+                </View>
+                <View style={styles.bottomContainer}>
+                    <SettingsBackButton theme={theme} backFunction={() => this.props.setSetting('accountManagement')} />
+                </View>
+            </View>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    accountName: getSelectedAccountName(state),
+    inputSelectionStrategy: getInputSelectionStrategyForSelectedAccount(state),
+    theme: getThemeFromState(state),
+});
+
+const mapDispatchToProps = {
+    setInputSelectionStrategy,
+    setSetting,
+};
+
+export default withTranslation(['inputSelection', 'global'])(
+    connect(mapStateToProps, mapDispatchToProps)(InputSelection),
+);
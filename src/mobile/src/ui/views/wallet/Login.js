@@ -14,14 +14,17 @@ import { setSetting } from 'shared-modules/actions/wallet';
 import { setUserActivity, setLoginRoute } from 'shared-modules/actions/ui';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import { generateAlert } from 'shared-modules/actions/alerts';
+import { logAuditEvent } from 'shared-modules/actions/auditLog';
+import { AUDIT_EVENTS } from 'shared-modules/libs/auditLog';
 import { getSelectedAccountName, getSelectedAccountMeta } from 'shared-modules/selectors/accounts';
 import WithDeepLinking from 'ui/components/DeepLinking';
 import NodeSettingsComponent from 'ui/views/wallet/NodeSettings';
 import AddCustomNodeComponent from 'ui/views/wallet/AddCustomNode';
 import EnterPasswordOnLoginComponent from 'ui/components/EnterPasswordOnLogin';
+import EnterCodeOnLoginComponent from 'ui/components/EnterCodeOnLogin';
 import AnimatedComponent from 'ui/components/AnimatedComponent';
 import SeedStore from 'libs/SeedStore';
-import { authorize, hash } from 'libs/keychain';
+import { authorize, authorizeTwoFactor, getTwoFactorAuthKeyFromKeychain, hash } from 'libs/keychain';
 import { isAndroid } from 'libs/device';
 
 const styles = StyleSheet.create({
@@ -48,8 +51,12 @@ class Login extends Component {
         /** @ignore */
         setLoginRoute: PropTypes.func.isRequired,
         /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
         isFingerprintEnabled: PropTypes.bool.isRequired,
         /** @ignore */
+        is2FAEnabled: PropTypes.bool.isRequired,
+        /** @ignore */
         completedMigration: PropTypes.bool.isRequired,
         /** @ignore */
         forceUpdate: PropTypes.bool.isRequired,
@@ -66,8 +73,11 @@ class Login extends Component {
         this.state = {
             nextLoginRoute: props.loginRoute,
             password: null,
+            code: '',
         };
         this.onLoginPress = this.onLoginPress.bind(this);
+        this.onCompleteTwoFactorPress = this.onCompleteTwoFactorPress.bind(this);
+        this.onTwoFactorBackPress = this.onTwoFactorBackPress.bind(this);
     }
 
     componentDidMount() {
@@ -97,6 +107,7 @@ class Login extends Component {
         timer.clearTimeout('delayRouteChange' + this.props.loginRoute);
         timer.clearTimeout('delayNavigation');
         delete this.state.password;
+        delete this.pwdHash;
     }
 
     /**
@@ -105,14 +116,7 @@ class Login extends Component {
      * @returns {Promise<void>}
      */
     async onLoginPress() {
-        const {
-            t,
-            hasConnection,
-            forceUpdate,
-            completedMigration,
-            selectedAccountMeta,
-            selectedAccountName,
-        } = this.props;
+        const { t, hasConnection, forceUpdate } = this.props;
         if (!hasConnection || forceUpdate) {
             return;
         }
@@ -123,16 +127,14 @@ class Login extends Component {
             const pwdHash = await hash(this.state.password);
             try {
                 await authorize(pwdHash);
-                const seedStore = await new SeedStore[(get(selectedAccountMeta, 'type', 'keychain'))](
-                    pwdHash,
-                    selectedAccountName,
-                );
-                // FIXME: To be deprecated
-                const completedSeedMigration = typeof (await seedStore.getSeeds())[selectedAccountName] !== 'string';
-                global.passwordHash = pwdHash;
                 delete this.state.password;
-                this.navigateTo(completedMigration && completedSeedMigration ? 'loading' : 'migration');
+                if (this.props.is2FAEnabled || (await getTwoFactorAuthKeyFromKeychain(pwdHash))) {
+                    this.pwdHash = pwdHash;
+                    return this.props.setLoginRoute('complete2FA');
+                }
+                await this.completeLogin(pwdHash);
             } catch (error) {
+                this.props.logAuditEvent(AUDIT_EVENTS.loginFailed, { reason: 'password' });
                 this.props.generateAlert(
                     'error',
                     t('global:unrecognisedPassword'),
@@ -142,6 +144,64 @@ class Login extends Component {
         }
     }
 
+    /**
+     * Validates two-factor authentication code and logs in user if accepted
+     * @method onCompleteTwoFactorPress
+     * @returns {Promise<void>}
+     */
+    async onCompleteTwoFactorPress() {
+        const { t } = this.props;
+        const { code } = this.state;
+        if (size(code) === 0) {
+            return this.props.generateAlert('error', t('twoFA:emptyCode'), t('twoFA:emptyCodeExplanation'));
+        }
+        const { isValid, isBackupCode, backupCodesLeft } = await authorizeTwoFactor(this.pwdHash, code);
+        if (!isValid) {
+            this.props.logAuditEvent(AUDIT_EVENTS.loginFailed, { reason: 'twoFA' });
+            return this.props.generateAlert('error', t('twoFA:wrongCode'), t('twoFA:wrongCodeExplanation'));
+        }
+        if (isBackupCode) {
+            this.props.generateAlert(
+                'info',
+                t('twoFA:backupCodeUsed'),
+                t('twoFA:backupCodeUsedExplanation', { count: backupCodesLeft }),
+            );
+        }
+        this.animationOutType = ['fadeOut'];
+        await this.completeLogin(this.pwdHash);
+        delete this.pwdHash;
+    }
+
+    /**
+     * Returns to password entry from two-factor authentication code entry
+     * @method onTwoFactorBackPress
+     */
+    onTwoFactorBackPress() {
+        delete this.pwdHash;
+        this.setState({ code: '' });
+        this.props.setLoginRoute('login');
+    }
+
+    /**
+     * Stores password hash and navigates to loading (or migration) screen
+     * @method completeLogin
+     *
+     * @param {Uint8Array} pwdHash
+     * @returns {Promise<void>}
+     */
+    async completeLogin(pwdHash) {
+        const { completedMigration, selectedAccountMeta, selectedAccountName } = this.props;
+        const seedStore = await new SeedStore[(get(selectedAccountMeta, 'type', 'keychain'))](
+            pwdHash,
+            selectedAccountName,
+        );
+        // FIXME: To be deprecated
+        const completedSeedMigration = typeof (await seedStore.getSeeds())[selectedAccountName] !== 'string';
+        global.passwordHash = pwdHash;
+        this.props.logAuditEvent(AUDIT_EVENTS.login);
+        this.navigateTo(completedMigration && completedSeedMigration ? 'loading' : 'migration');
+    }
+
     /**
      * Gets animation according to current and next login route
      *
@@ -151,7 +211,7 @@ class Login extends Component {
      * @returns {object}
      */
     getAnimation(currentLoginRoute, nextLoginRoute, animationIn = true) {
-        const routes = ['login', 'nodeSettings', 'addCustomNode'];
+        const routes = ['complete2FA', 'login', 'nodeSettings', 'addCustomNode'];
         if (routes.indexOf(currentLoginRoute) < routes.indexOf(nextLoginRoute)) {
             if (animationIn) {
                 return ['slideInRightSmall', 'fadeIn'];
@@ -207,7 +267,16 @@ class Login extends Component {
                         isFingerprintEnabled={isFingerprintEnabled}
                     />
                 )}
-                {nextLoginRoute !== 'login' && (
+                {nextLoginRoute === 'complete2FA' && (
+                    <EnterCodeOnLoginComponent
+                        theme={theme}
+                        onCompletePress={this.onCompleteTwoFactorPress}
+                        onBackPress={this.onTwoFactorBackPress}
+                        setCode={(code) => this.setState({ code })}
+                        code={this.state.code}
+                    />
+                )}
+                {nextLoginRoute !== 'login' && nextLoginRoute !== 'complete2FA' && (
                     <View style={{ flex: 1 }}>
                         <View style={{ flex: 0.15 }} />
                         {nextLoginRoute === 'nodeSettings' && <NodeSettingsComponent login />}
@@ -227,6 +296,7 @@ const mapStateToProps = (state) => ({
     loginRoute: state.ui.loginRoute,
     hasConnection: state.wallet.hasConnection,
     isFingerprintEnabled: state.settings.isFingerprintEnabled,
+    is2FAEnabled: state.settings.is2FAEnabled,
     completedMigration: state.settings.completedMigration,
     forceUpdate: state.wallet.forceUpdate,
     selectedAccountName: getSelectedAccountName(state),
@@ -239,10 +309,11 @@ const mapDispatchToProps = {
     setSetting,
     setUserActivity,
     setLoginRoute,
+    logAuditEvent,
 };
 
 export default WithDeepLinking()(
-    withTranslation(['login', 'global'])(
+    withTranslation(['login', 'global', 'twoFA'])(
         connect(
             mapStateToProps,
             mapDispatchToProps,
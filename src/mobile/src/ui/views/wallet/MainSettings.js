@@ -94,6 +94,7 @@ export class MainSettings extends Component {
             },
             { name: 'separator' },
             { name: t('accountManagement'), icon: 'user', function: () => this.props.setSetting('accountManagement') },
+            { name: t('contacts:contacts'), icon: 'bookmark', function: () => this.props.setSetting('contacts') },
             {
                 name: t('securitySettings'),
                 icon: 'security',
@@ -0,0 +1,199 @@
+import map from 'lodash/map';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, Text, StyleSheet, ScrollView } from 'react-native';
+import { connect } from 'react-redux';
+import { withTranslation } from 'react-i18next';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { checkNodesHealth, clearNodeHealth } from 'shared-modules/actions/nodeHealth';
+import { getThemeFromState, getNodesRankedByHealth, getQuorumDisagreements } from 'shared-modules/selectors/global';
+import { formatTimeAs } from 'shared-modules/libs/date';
+import { width, height } from 'libs/dimensions';
+import { locale, timezone } from 'libs/device';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import { Styling } from 'ui/theme/general';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    topContainer: {
+        flex: 10,
+        justifyContent: 'flex-start',
+        width,
+    },
+    nodesContainer: {
+        paddingHorizontal: width / 15,
+        paddingTop: height / 60,
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        backgroundColor: 'transparent',
+        paddingBottom: height / 40,
+    },
+    nodeContainer: {
+        paddingBottom: height / 50,
+    },
+    nodeText: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+        backgroundColor: 'transparent',
+    },
+    detailText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+        backgroundColor: 'transparent',
+        paddingTop: height / 200,
+    },
+    clearText: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+        backgroundColor: 'transparent',
+        textAlign: 'center',
+        paddingVertical: height / 60,
+    },
+});
+
+/** Node health dashboard component, ranking nodes by latency, milestone lag and historical reliability */
+export class NodeHealth extends Component {
+    static propTypes = {
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        nodes: PropTypes.array.isRequired,
+        /** @ignore */
+        quorumDisagreements: PropTypes.array.isRequired,
+        /** @ignore */
+        isCheckingNodeHealth: PropTypes.bool.isRequired,
+        /** @ignore */
+        checkNodesHealth: PropTypes.func.isRequired,
+        /** @ignore */
+        clearNodeHealth: PropTypes.func.isRequired,
+    };
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('NodeHealth');
+    }
+
+    /**
+     * Formats node health details
+     *
+     * @method getNodeDetails
+     * @param {object} node
+     *
+     * @returns {string}
+     */
+    getNodeDetails(node) {
+        const { t } = this.props;
+        const format = (value, suffix = '') => (value === null ? '-' : `${value}${suffix}`);
+
+        return [
+            `${t('nodeHealth:score')}: ${node.score}`,
+            `${t('nodeHealth:latency')}: ${format(node.latency, ' ms')}`,
+            `${t('nodeHealth:milestoneLag')}: ${format(node.milestoneLag)}`,
+            `${t('nodeHealth:pow')}: ${node.pow === null ? '-' : t(node.pow ? 'global:yes' : 'global:no')}`,
+            `${t('nodeHealth:failures')}: ${node.failures} / ${node.requests}`,
+        ].join(' · ');
+    }
+
+    renderQuorumDisagreements() {
+        const { t, theme, quorumDisagreements } = this.props;
+        const textColor = { color: theme.body.color };
+
+        if (!quorumDisagreements.length) {
+            return <Text style={[styles.detailText, textColor]}>{t('nodeHealth:noQuorumDisagreements')}</Text>;
+        }
+
+        return map(quorumDisagreements, (round) => (
+            <Text key={`${round.method}-${round.timestamp}`} style={[styles.detailText, textColor]}>
+                {t('nodeHealth:outliers', {
+                    method: round.method,
+                    outliers: round.outliers.join(', '),
+                    date: formatTimeAs.dayMonthYearHoursMinutes(locale, timezone, round.timestamp),
+                })}
+            </Text>
+        ));
+    }
+
+    render() {
+        const { t, theme, nodes, isCheckingNodeHealth } = this.props;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <View style={styles.container}>
+                <View style={styles.topContainer}>
+                    <ScrollView contentContainerStyle={styles.nodesContainer}>
+                        <Text style={[styles.infoText, textColor]}>{t('nodeHealth:explanation')}</Text>
+                        {map(nodes, (node) => (
+                            <View key={node.url} style={styles.nodeContainer}>
+                                <Text style={[styles.nodeText, textColor]} numberOfLines={1} ellipsizeMode="middle">
+                                    {node.url}
+                                </Text>
+                                <Text style={[styles.detailText, textColor]}>{this.getNodeDetails(node)}</Text>
+                                {node.lastError.length > 0 && (
+                                    <Text
+                                        style={[
+                                            styles.detailText,
+                                            {
+                                                color:
+                                                    node.consecutiveFailures > 0
+                                                        ? theme.negative.color
+                                                        : textColor.color,
+                                            },
+                                        ]}
+                                        numberOfLines={2}
+                                    >
+                                        {node.lastError}
+                                    </Text>
+                                )}
+                            </View>
+                        ))}
+                        <Text style={[styles.nodeText, textColor]}>{t('nodeHealth:quorumDisagreements')}</Text>
+                        {this.renderQuorumDisagreements()}
+                        <Text
+                            style={[styles.clearText, { color: theme.primary.color }]}
+                            onPress={this.props.clearNodeHealth}
+                        >
+                            {t('nodeHealth:clearHistory')}
+                        </Text>
+                    </ScrollView>
+                </View>
+                <View style={styles.bottomContainer}>
+                    <SettingsDualFooter
+                        theme={theme}
+                        backFunction={() => this.props.setSetting('nodeSettings')}
+                        actionFunction={() => this.props.checkNodesHealth(nodes)}
+                        actionName={t('nodeHealth:checkNow')}
+                        actionButtonLoading={isCheckingNodeHealth}
+                    />
+                </View>
+            </View>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    nodes: getNodesRankedByHealth(state),
+    quorumDisagreements: getQuorumDisagreements(state),
+    isCheckingNodeHealth: state.nodeHealth.isCheckingNodeHealth,
+    theme: getThemeFromState(state),
+});
+
+const mapDispatchToProps = {
+    setSetting,
+    checkNodesHealth,
+    clearNodeHealth,
+};
+
+export default withTranslation(['nodeHealth', 'global'])(connect(mapStateToProps, mapDispatchToProps)(NodeHealth));
@@ -24,7 +24,15 @@ import {
 import { setLoginRoute } from 'shared-modules/actions/ui';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import { generateAlert } from 'shared-modules/actions/alerts';
-import { DEFAULT_NODE, MINIMUM_QUORUM_SIZE, MAXIMUM_QUORUM_SIZE, QUORUM_SIZE } from 'shared-modules/config';
+import {
+    DEFAULT_NODE,
+    MINIMUM_QUORUM_SIZE,
+    MAXIMUM_QUORUM_SIZE,
+    QUORUM_SIZE,
+    QUORUM_POLICY,
+    QUORUM_THRESHOLD,
+} from 'shared-modules/config';
+import { QUORUM_POLICIES, setQuorumMethodPolicy } from 'shared-modules/libs/iota/quorum';
 import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
 import { renderSettingsRows } from 'ui/components/SettingsContent';
 
@@ -33,9 +41,14 @@ const defaultState = {
     nodeAutoSwitch: true,
     quorumEnabled: true,
     quorumSize: QUORUM_SIZE.toString(),
+    quorumPolicy: QUORUM_POLICY,
+    quorumThreshold: QUORUM_THRESHOLD.toString(),
+    quorumMethodPolicies: [],
     powNodeAutoSwitch: true,
 };
 
+const QUORUM_THRESHOLD_OPTIONS = ['51', '60', '66', '75', '80', '90'];
+
 const styles = StyleSheet.create({
     container: {
         flex: 1,
@@ -88,6 +101,12 @@ export class NodeSettings extends PureComponent {
         /** @ignore */
         quorumSize: PropTypes.string.isRequired,
         /** @ignore */
+        quorumPolicy: PropTypes.string.isRequired,
+        /** @ignore */
+        quorumThreshold: PropTypes.string.isRequired,
+        /** @ignore */
+        quorumMethodPolicies: PropTypes.array.isRequired,
+        /** @ignore */
         setFullNode: PropTypes.func.isRequired,
         /** @ignore */
         isChangingNode: PropTypes.bool.isRequired,
@@ -104,6 +123,9 @@ export class NodeSettings extends PureComponent {
             nodeAutoSwitch: props.nodeAutoSwitch,
             quorumEnabled: props.quorumEnabled,
             quorumSize: props.quorumSize,
+            quorumPolicy: props.quorumPolicy,
+            quorumThreshold: props.quorumThreshold,
+            quorumMethodPolicies: props.quorumMethodPolicies,
             node: props.node,
             powNode: props.powNode,
             powNodeAutoSwitch: props.powNodeAutoSwitch,
@@ -126,6 +148,9 @@ export class NodeSettings extends PureComponent {
         const { t } = this.props;
         const {
             quorumSize,
+            quorumPolicy,
+            quorumThreshold,
+            quorumMethodPolicies,
             autoNodeList,
             nodeAutoSwitch,
             quorumEnabled,
@@ -141,8 +166,20 @@ export class NodeSettings extends PureComponent {
         if (nodeAutoSwitch !== this.props.nodeAutoSwitch) {
             this.props.updateNodeAutoSwitchSetting(nodeAutoSwitch);
         }
-        if (quorumEnabled !== this.props.quorumEnabled || quorumSize !== this.props.quorumSize) {
-            this.props.updateQuorumConfig({ enabled: quorumEnabled, size: parseInt(quorumSize) });
+        if (
+            quorumEnabled !== this.props.quorumEnabled ||
+            quorumSize !== this.props.quorumSize ||
+            quorumPolicy !== this.props.quorumPolicy ||
+            quorumThreshold !== this.props.quorumThreshold ||
+            !isEqual(quorumMethodPolicies, this.props.quorumMethodPolicies)
+        ) {
+            this.props.updateQuorumConfig({
+                enabled: quorumEnabled,
+                size: parseInt(quorumSize),
+                policy: quorumPolicy,
+                threshold: parseInt(quorumThreshold),
+                methodPolicies: quorumMethodPolicies,
+            });
         }
         if (powNode !== this.props.powNode) {
             this.props.setPowNode(powNode);
@@ -210,13 +247,28 @@ export class NodeSettings extends PureComponent {
             nodeAutoSwitch,
             quorumEnabled,
             quorumSize,
+            quorumPolicy,
+            quorumThreshold,
+            quorumMethodPolicies,
             node,
             powNode,
             powNodeAutoSwitch,
             remotePoW,
         } = this.props;
         return isEqual(
-            { autoNodeList, nodeAutoSwitch, quorumEnabled, quorumSize, node, powNode, powNodeAutoSwitch, remotePoW },
+            {
+                autoNodeList,
+                nodeAutoSwitch,
+                quorumEnabled,
+                quorumSize,
+                quorumPolicy,
+                quorumThreshold,
+                quorumMethodPolicies,
+                node,
+                powNode,
+                powNodeAutoSwitch,
+                remotePoW,
+            },
             omit(this.state, ['autoNodeManagement']),
         );
     }
@@ -322,12 +374,18 @@ export class NodeSettings extends PureComponent {
             nodeAutoSwitch,
             quorumEnabled,
             quorumSize,
+            quorumPolicy,
+            quorumThreshold,
+            quorumMethodPolicies,
             node,
             powNode,
             remotePoW,
             powNodeAutoSwitch,
         } = this.state;
 
+        const unanimousSpentCheck =
+            get(find(quorumMethodPolicies, { method: 'wereAddressesSpentFrom' }), 'policy') === 'unanimous';
+
         const rows = [
             {
                 name: t('nodeSettings:automaticNodeManagement'),
@@ -341,6 +399,12 @@ export class NodeSettings extends PureComponent {
                         ? this.props.setLoginRoute('addCustomNode')
                         : this.props.setSetting('addCustomNode'),
             },
+            {
+                name: t('nodeHealth:nodeHealth'),
+                function: () => this.props.setSetting('nodeHealth'),
+                // Node health dashboard is only available from settings
+                hidden: loginRoute === 'nodeSettings',
+            },
             {
                 name: t('nodeSettings:outsourcePow'),
                 function: () => this.setState({ remotePoW: !remotePoW }),
@@ -397,6 +461,36 @@ export class NodeSettings extends PureComponent {
                 dropdownOptions: this.getQuorumSizeOptions(),
                 currentSetting: (!quorumEnabled && '0') || quorumSize,
             },
+            {
+                name: t('nodeSettings:quorumPolicy'),
+                function: (selection) =>
+                    this.setState({
+                        quorumPolicy: find(QUORUM_POLICIES, (policy) => t(`nodeSettings:${policy}`) === selection),
+                    }),
+                hidden: autoNodeManagement || !quorumEnabled,
+                dropdownOptions: map(QUORUM_POLICIES, (policy) => t(`nodeSettings:${policy}`)),
+                currentSetting: t(`nodeSettings:${quorumPolicy}`),
+            },
+            {
+                name: t('nodeSettings:quorumThreshold'),
+                function: (quorumThreshold) => (quorumThreshold ? this.setState({ quorumThreshold }) : {}),
+                hidden: autoNodeManagement || !quorumEnabled || quorumPolicy !== 'supermajority',
+                dropdownOptions: QUORUM_THRESHOLD_OPTIONS,
+                currentSetting: quorumThreshold,
+            },
+            {
+                name: t('nodeSettings:unanimousSpentCheck'),
+                function: () =>
+                    this.setState({
+                        quorumMethodPolicies: setQuorumMethodPolicy(
+                            quorumMethodPolicies,
+                            'wereAddressesSpentFrom',
+                            unanimousSpentCheck ? null : 'unanimous',
+                        ),
+                    }),
+                toggle: unanimousSpentCheck,
+                hidden: autoNodeManagement || !quorumEnabled,
+            },
             {
                 name: 'dualFooter',
                 backFunction: () =>
@@ -429,6 +523,9 @@ const mapStateToProps = (state) => ({
     autoNodeList: state.settings.autoNodeList,
     quorumSize: state.settings.quorum.size.toString(),
     quorumEnabled: state.settings.quorum.enabled,
+    quorumPolicy: state.settings.quorum.policy,
+    quorumThreshold: state.settings.quorum.threshold.toString(),
+    quorumMethodPolicies: state.settings.quorum.methodPolicies,
     isChangingNode: state.ui.isChangingNode,
     loginRoute: state.ui.loginRoute,
 });
@@ -17,6 +17,7 @@ import { captureRef } from 'react-native-view-shot';
 import { connect } from 'react-redux';
 import { generateNewAddress } from 'shared-modules/actions/wallet';
 import { generateAlert } from 'shared-modules/actions/alerts';
+import { toggleModalActivity } from 'shared-modules/actions/ui';
 import {
     selectAccountInfo,
     getSelectedAccountName,
@@ -25,6 +26,7 @@ import {
 import { getCurrencySymbol, getIOTAUnitMultiplier } from 'shared-modules/libs/currency';
 import { getFromKeychainRequest, getFromKeychainSuccess, getFromKeychainError } from 'shared-modules/actions/keychain';
 import { isValidAmount } from 'shared-modules/libs/iota/utils';
+import { serialisePaymentUri } from 'shared-modules/libs/paymentUri';
 import { getThemeFromState } from 'shared-modules/selectors/global';
 import timer from 'react-native-timer';
 import SeedStore from 'libs/SeedStore';
@@ -114,6 +116,18 @@ const styles = StyleSheet.create({
         borderBottomLeftRadius: 6,
         borderBottomRightRadius: 6,
     },
+    leftFooterButton: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        borderBottomLeftRadius: 6,
+    },
+    rightFooterButton: {
+        flex: 1,
+        justifyContent: 'center',
+        alignItems: 'center',
+        borderBottomRightRadius: 6,
+    },
     refreshIconBackgroundAndroid: {
         width: width / 7,
         height: width / 7,
@@ -215,6 +229,8 @@ class Receive extends Component {
         conversionRate: PropTypes.number.isRequired,
         /** @ignore */
         hadErrorGeneratingNewAddress: PropTypes.bool.isRequired,
+        /** @ignore */
+        toggleModalActivity: PropTypes.func.isRequired,
     };
 
     constructor(props) {
@@ -346,7 +362,24 @@ class Receive extends Component {
     }
 
     /**
-     *   Gets transaction value for QR code JSON.
+     *   Opens payment requests modal for the generated address and QR options.
+     *   @method onRequestPaymentPress
+     **/
+    onRequestPaymentPress() {
+        const { theme, qrMessage, receiveAddress, isGeneratingReceiveAddress } = this.props;
+        const hasAddress = this.state.hasSuccessfullyGeneratedAddress && !isGeneratingReceiveAddress;
+
+        this.props.toggleModalActivity('paymentRequests', {
+            address: hasAddress ? receiveAddress : '',
+            expectedAmount: this.getQrValue(),
+            message: qrMessage,
+            hideModal: () => this.props.toggleModalActivity(),
+            theme,
+        });
+    }
+
+    /**
+     *   Gets transaction value for QR code payment URI.
      *   If amount field is empty or invalid set value to 0.
      *   @method getQrValue
      *   @returns {number}
@@ -533,11 +566,8 @@ class Receive extends Component {
             displayCard,
             displayInfo,
         } = this.state;
-        const qrContent = JSON.stringify({
-            address: receiveAddress,
-            amount: this.getQrValue(),
-            message: qrMessage,
-            tag: qrTag,
+        const qrContent = serialisePaymentUri({
+            recipients: [{ address: receiveAddress, amount: this.getQrValue(), message: qrMessage, tag: qrTag }],
         });
         const qrOptionsActive = this.getQrValue() !== 0 || qrMessage.length > 0 || qrTag.length > 0;
         const rotateStyle = { rotate: this.rotateInterpolate };
@@ -759,9 +789,17 @@ class Receive extends Component {
                                 <View style={[styles.multiInputContainer, { backgroundColor: dark.color }]}>
                                     <MultiTextInput multiplier={this.getUnitMultiplier()} />
                                 </View>
-                                <View style={styles.footerButtonContainer}>
+                                <View style={[styles.footerButtonContainer, { flexDirection: 'row' }]}>
+                                    <TouchableOpacity
+                                        style={[styles.leftFooterButton, { backgroundColor: dark.color }]}
+                                        onPress={() => this.onRequestPaymentPress()}
+                                    >
+                                        <Text style={[styles.buttonText, { color: dark.body }]}>
+                                            {t('paymentRequests:requestPayment')}
+                                        </Text>
+                                    </TouchableOpacity>
                                     <TouchableOpacity
-                                        style={[styles.footerButton, { backgroundColor: primary.color }]}
+                                        style={[styles.rightFooterButton, { backgroundColor: primary.color }]}
                                         onPress={() => this.onShareQRCodePress()}
                                     >
                                         <Text style={[styles.buttonText, { color: primary.body }]}>{t('shareQr')}</Text>
@@ -801,6 +839,7 @@ const mapDispatchToProps = {
     getFromKeychainRequest,
     getFromKeychainSuccess,
     getFromKeychainError,
+    toggleModalActivity,
 };
 
 export default withTranslation(['receive', 'global'])(connect(mapStateToProps, mapDispatchToProps)(Receive));
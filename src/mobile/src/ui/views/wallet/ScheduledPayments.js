@@ -0,0 +1,524 @@
+import isEqual from 'lodash/isEqual';
+import map from 'lodash/map';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, Text, StyleSheet, TouchableOpacity, TouchableWithoutFeedback, Keyboard, ScrollView } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { setSendPasswordConfirmed } from 'shared-modules/actions/ui';
+import {
+    createScheduledPayment,
+    executeScheduledPayment,
+    skipScheduledPayment,
+    removeScheduledPayment,
+} from 'shared-modules/actions/scheduledPayments';
+import { getThemeFromState, getMarketDataFromState, shouldPreventAction } from 'shared-modules/selectors/global';
+import {
+    getScheduledPaymentsForSelectedAccount,
+    getSelectedAccountName,
+    getSelectedAccountMeta,
+    getSendPolicyForSelectedAccount,
+} from 'shared-modules/selectors/accounts';
+import {
+    SCHEDULED_PAYMENT_AMOUNT_TYPES,
+    SCHEDULED_PAYMENT_FREQUENCIES,
+    SCHEDULED_PAYMENT_STATUSES,
+    getScheduledPaymentName,
+    isScheduledPaymentPasswordRequired,
+    parseScheduledPaymentStartTime,
+} from 'shared-modules/libs/scheduledPayments';
+import { formatTimeAs } from 'shared-modules/libs/date';
+import { ADDRESS_LENGTH, MAX_MESSAGE_LENGTH, formatIotas } from 'shared-modules/libs/iota/utils';
+import SeedStore from 'libs/SeedStore';
+import { hash } from 'libs/keychain';
+import { width, height } from 'libs/dimensions';
+import { locale, timezone } from 'libs/device';
+import CustomTextInput from 'ui/components/CustomTextInput';
+import Toggle from 'ui/components/Toggle';
+import SettingsSeparator from 'ui/components/SettingsSeparator';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import Icon from 'ui/theme/icons';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+
+const emptyPayment = {
+    address: '',
+    label: '',
+    message: '',
+    amountType: SCHEDULED_PAYMENT_AMOUNT_TYPES.iota,
+    amount: '',
+    frequency: SCHEDULED_PAYMENT_FREQUENCIES.monthly,
+    date: '',
+    time: '',
+    requiresConfirmation: false,
+};
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    topContainer: {
+        flex: 11,
+        justifyContent: 'flex-start',
+        alignItems: 'center',
+        width,
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    fieldsContainer: {
+        flex: 1,
+        width,
+    },
+    listContainer: {
+        flex: 1,
+        width,
+    },
+    optionRow: {
+        height: height / 14,
+        width,
+        flexDirection: 'row',
+        paddingHorizontal: width / 15,
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    paymentRow: {
+        width,
+        paddingHorizontal: width / 15,
+        paddingVertical: height / 80,
+    },
+    paymentHeader: {
+        flexDirection: 'row',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    paymentName: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+    paymentDetails: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+    },
+    actions: {
+        flexDirection: 'row',
+        paddingTop: height / 100,
+    },
+    actionText: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+        textDecorationLine: 'underline',
+        marginRight: width / 15,
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+    },
+});
+
+/**
+ * Scheduled (one-off and recurring) payments component
+ */
+export class ScheduledPayments extends Component {
+    static propTypes = {
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** Scheduled payments of selected account */
+        scheduledPayments: PropTypes.array.isRequired,
+        /** Account name for selected account */
+        selectedAccountName: PropTypes.string.isRequired,
+        /** Account meta for selected account */
+        selectedAccountMeta: PropTypes.object.isRequired,
+        /** Determines whether to allow sending */
+        shouldPreventAction: PropTypes.bool.isRequired,
+        /** @ignore */
+        currency: PropTypes.string.isRequired,
+        /** Send policy of selected account */
+        sendPolicy: PropTypes.object,
+        /** @ignore */
+        marketData: PropTypes.object.isRequired,
+        /** @ignore */
+        createScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        executeScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        skipScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        removeScheduledPayment: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        setSendPasswordConfirmed: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            payment: emptyPayment,
+            isAddingPayment: false,
+            expandedPayment: null,
+            password: '',
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('ScheduledPayments');
+    }
+
+    /**
+     * Updates a single payment field
+     *
+     * @method setField
+     * @param {string} field
+     * @param {*} value
+     */
+    setField(field, value) {
+        this.setState((prevState) => ({ payment: { ...prevState.payment, [field]: value } }));
+    }
+
+    /**
+     * Cycles through available values of a payment field
+     *
+     * @method cycleField
+     * @param {string} field
+     * @param {object} values
+     */
+    cycleField(field, values) {
+        const options = Object.keys(values);
+        const index = options.indexOf(this.state.payment[field]);
+
+        this.setField(field, options[(index + 1) % options.length]);
+    }
+
+    /**
+     * Validates and stores scheduled payment
+     *
+     * @method schedulePayment
+     */
+    schedulePayment() {
+        const { selectedAccountName, currency } = this.props;
+        const { address, label, message, amountType, amount, frequency, date, time } = this.state.payment;
+
+        const isFiat = amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat;
+
+        const payment = this.props.createScheduledPayment({
+            accountName: selectedAccountName,
+            address,
+            label,
+            message,
+            amountType,
+            value: isFiat ? 0 : Number(amount),
+            fiatAmount: isFiat ? parseFloat(amount) : 0,
+            currency,
+            frequency,
+            startAt: parseScheduledPaymentStartTime(date, time),
+            requiresConfirmation: this.state.payment.requiresConfirmation,
+        });
+
+        if (payment) {
+            this.setState({ payment: emptyPayment, isAddingPayment: false });
+        }
+    }
+
+    /**
+     * Determines if password must be re-entered before a scheduled payment is sent
+     *
+     * @method isPasswordRequired
+     * @param {object} payment
+     * @returns {boolean}
+     */
+    isPasswordRequired(payment) {
+        return isScheduledPaymentPasswordRequired(payment, this.props.sendPolicy, this.props.marketData);
+    }
+
+    /**
+     * Sends a scheduled payment awaiting confirmation
+     *
+     * @method confirmPayment
+     * @param {object} payment
+     */
+    async confirmPayment(payment) {
+        const { selectedAccountName, selectedAccountMeta, t } = this.props;
+        const { id } = payment;
+
+        if (this.props.shouldPreventAction) {
+            return this.props.generateAlert('error', t('global:pleaseWait'), t('global:pleaseWaitExplanation'));
+        }
+
+        if (this.isPasswordRequired(payment)) {
+            if (!isEqual(global.passwordHash, await hash(this.state.password))) {
+                return this.props.generateAlert(
+                    'error',
+                    t('global:unrecognisedPassword'),
+                    t('global:unrecognisedPasswordExplanation'),
+                );
+            }
+
+            this.setState({ password: '' });
+            this.props.setSendPasswordConfirmed(true);
+        }
+
+        const seedStore = await new SeedStore[selectedAccountMeta.type](global.passwordHash, selectedAccountName);
+        this.props.executeScheduledPayment(id, seedStore);
+    }
+
+    renderPayments() {
+        const { theme, scheduledPayments, t } = this.props;
+        const { expandedPayment } = this.state;
+        const textColor = { color: theme.body.color };
+
+        return map(scheduledPayments, (payment) => {
+            const { id, amountType, value, fiatAmount, currency, frequency, nextExecutionAt, status } = payment;
+
+            return (
+                <View key={id} style={styles.paymentRow}>
+                    <View style={styles.paymentHeader}>
+                        <TouchableOpacity
+                            style={{ flex: 1 }}
+                            onPress={() => this.setState({ expandedPayment: expandedPayment === id ? null : id })}
+                        >
+                            <Text style={[styles.paymentName, textColor]} numberOfLines={1}>
+                                {getScheduledPaymentName(payment)}
+                            </Text>
+                            <Text style={[styles.paymentDetails, textColor]}>
+                                {amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat
+                                    ? `${fiatAmount} ${currency}`
+                                    : formatIotas(value, false, true)}
+                                {' · '}
+                                {t(`scheduledPayments:${frequency}`)}
+                                {' · '}
+                                {status === SCHEDULED_PAYMENT_STATUSES.active
+                                    ? t('scheduledPayments:nextPayment', {
+                                          date: formatTimeAs.dayMonthYearHoursMinutes(
+                                              locale,
+                                              timezone,
+                                              nextExecutionAt * 1000,
+                                          ),
+                                      })
+                                    : t(`scheduledPayments:${status}`)}
+                            </Text>
+                        </TouchableOpacity>
+                        <TouchableOpacity
+                            onPress={() => this.props.removeScheduledPayment(id)}
+                            hitSlop={{ top: height / 60, bottom: height / 60, left: width / 30, right: width / 30 }}
+                            style={{ paddingLeft: width / 30 }}
+                        >
+                            <Icon name="cross" size={width / 28} color={theme.body.color} />
+                        </TouchableOpacity>
+                    </View>
+                    {status === SCHEDULED_PAYMENT_STATUSES.awaitingConfirmation && this.isPasswordRequired(payment) && (
+                        <CustomTextInput
+                            label={t('global:password')}
+                            onValidTextChange={(text) => this.setState({ password: text })}
+                            autoCapitalize="none"
+                            autoCorrect={false}
+                            secureTextEntry
+                            theme={theme}
+                            value={this.state.password}
+                        />
+                    )}
+                    {status === SCHEDULED_PAYMENT_STATUSES.awaitingConfirmation && (
+                        <View style={styles.actions}>
+                            <TouchableOpacity onPress={() => this.confirmPayment(payment)}>
+                                <Text style={[styles.actionText, textColor]}>{t('scheduledPayments:confirm')}</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity onPress={() => this.props.skipScheduledPayment(id)}>
+                                <Text style={[styles.actionText, textColor]}>{t('scheduledPayments:skip')}</Text>
+                            </TouchableOpacity>
+                        </View>
+                    )}
+                    {expandedPayment === id && this.renderExecutions(payment)}
+                </View>
+            );
+        });
+    }
+
+    renderExecutions({ executions }) {
+        const { theme, t } = this.props;
+        const textColor = { color: theme.body.color };
+
+        if (!executions.length) {
+            return <Text style={[styles.paymentDetails, textColor]}>{t('scheduledPayments:noExecutions')}</Text>;
+        }
+
+        return map(executions.slice().reverse(), (execution) => (
+            <Text key={execution.executedAt} style={[styles.paymentDetails, textColor]}>
+                {formatTimeAs.dayMonthYearHoursMinutes(locale, timezone, execution.executedAt * 1000)}
+                {execution.value > 0 && ` · ${formatIotas(execution.value, false, true)}`}
+                {` · ${t(`scheduledPayments:${execution.status}`)}`}
+            </Text>
+        ));
+    }
+
+    renderForm() {
+        const { theme, currency, t } = this.props;
+        const { payment } = this.state;
+        const textColor = { color: theme.body.color };
+        const isFiat = payment.amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat;
+
+        return (
+            <ScrollView style={styles.fieldsContainer} contentContainerStyle={{ alignItems: 'center' }}>
+                <CustomTextInput
+                    label={t('scheduledPayments:recipientAddress')}
+                    onValidTextChange={(text) => this.setField('address', text.trim())}
+                    autoCapitalize="characters"
+                    autoCorrect={false}
+                    maxLength={ADDRESS_LENGTH}
+                    theme={theme}
+                    value={payment.address}
+                />
+                <TouchableOpacity
+                    style={styles.optionRow}
+                    onPress={() => this.cycleField('amountType', SCHEDULED_PAYMENT_AMOUNT_TYPES)}
+                >
+                    <Text style={[styles.infoText, textColor]}>{t('scheduledPayments:amount')}</Text>
+                    <Text style={[styles.paymentName, textColor]}>
+                        {isFiat
+                            ? t('scheduledPayments:amountInFiat', { currency })
+                            : t('scheduledPayments:amountInIota')}
+                    </Text>
+                </TouchableOpacity>
+                <CustomTextInput
+                    label={isFiat ? currency : t('scheduledPayments:amount')}
+                    onValidTextChange={(text) => this.setField('amount', text)}
+                    keyboardType="numeric"
+                    theme={theme}
+                    value={payment.amount}
+                />
+                <TouchableOpacity
+                    style={styles.optionRow}
+                    onPress={() => this.cycleField('frequency', SCHEDULED_PAYMENT_FREQUENCIES)}
+                >
+                    <Text style={[styles.infoText, textColor]}>{t('scheduledPayments:frequency')}</Text>
+                    <Text style={[styles.paymentName, textColor]}>{t(`scheduledPayments:${payment.frequency}`)}</Text>
+                </TouchableOpacity>
+                <CustomTextInput
+                    label={t('scheduledPayments:startDate')}
+                    onValidTextChange={(text) => this.setField('date', text)}
+                    placeholder={t('scheduledPayments:datePlaceholder')}
+                    theme={theme}
+                    value={payment.date}
+                />
+                <CustomTextInput
+                    label={t('scheduledPayments:startTime')}
+                    onValidTextChange={(text) => this.setField('time', text)}
+                    placeholder={t('scheduledPayments:timePlaceholder')}
+                    theme={theme}
+                    value={payment.time}
+                />
+                <CustomTextInput
+                    label={t('scheduledPayments:label')}
+                    onValidTextChange={(text) => this.setField('label', text)}
+                    theme={theme}
+                    value={payment.label}
+                />
+                <CustomTextInput
+                    label={t('scheduledPayments:message')}
+                    onValidTextChange={(text) => this.setField('message', text)}
+                    autoCorrect={false}
+                    maxLength={MAX_MESSAGE_LENGTH}
+                    theme={theme}
+                    value={payment.message}
+                />
+                <TouchableOpacity
+                    style={styles.optionRow}
+                    onPress={() => this.setField('requiresConfirmation', !payment.requiresConfirmation)}
+                >
+                    <Text style={[styles.infoText, textColor]}>{t('scheduledPayments:requiresConfirmation')}</Text>
+                    <Toggle
+                        active={payment.requiresConfirmation}
+                        bodyColor={theme.body.color}
+                        primaryColor={theme.primary.color}
+                    />
+                </TouchableOpacity>
+            </ScrollView>
+        );
+    }
+
+    render() {
+        const { t, theme, scheduledPayments } = this.props;
+        const { payment, isAddingPayment } = this.state;
+
+        return (
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        {(isAddingPayment && this.renderForm()) || (
+                            <View style={styles.listContainer}>
+                                <Text
+                                    style={[
+                                        styles.paymentDetails,
+                                        { color: theme.body.color, padding: width / 15, textAlign: 'center' },
+                                    ]}
+                                >
+                                    {t('scheduledPayments:scheduledPaymentsExplanation')}
+                                </Text>
+                                <SettingsSeparator color={theme.body.color} />
+                                {(scheduledPayments.length > 0 && <ScrollView>{this.renderPayments()}</ScrollView>) || (
+                                    <View
+                                        style={[
+                                            styles.listContainer,
+                                            { justifyContent: 'center', alignItems: 'center' },
+                                        ]}
+                                    >
+                                        <Text style={[styles.infoText, { color: theme.body.color }]}>
+                                            {t('scheduledPayments:noScheduledPayments')}
+                                        </Text>
+                                    </View>
+                                )}
+                            </View>
+                        )}
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() =>
+                                isAddingPayment
+                                    ? this.setState({ payment: emptyPayment, isAddingPayment: false })
+                                    : this.props.setSetting('advancedSettings')
+                            }
+                            actionFunction={() =>
+                                isAddingPayment ? this.schedulePayment() : this.setState({ isAddingPayment: true })
+                            }
+                            actionName={t('scheduledPayments:schedulePayment')}
+                            hideActionButton={isAddingPayment && payment.address === ''}
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    theme: getThemeFromState(state),
+    scheduledPayments: getScheduledPaymentsForSelectedAccount(state),
+    selectedAccountName: getSelectedAccountName(state),
+    selectedAccountMeta: getSelectedAccountMeta(state),
+    shouldPreventAction: shouldPreventAction(state),
+    currency: state.settings.currency,
+    sendPolicy: getSendPolicyForSelectedAccount(state),
+    marketData: getMarketDataFromState(state),
+});
+
+const mapDispatchToProps = {
+    setSetting,
+    generateAlert,
+    setSendPasswordConfirmed,
+    createScheduledPayment,
+    executeScheduledPayment,
+    skipScheduledPayment,
+    removeScheduledPayment,
+};
+
+export default withTranslation(['scheduledPayments', 'global'])(
+    connect(mapStateToProps, mapDispatchToProps)(ScheduledPayments),
+);
@@ -26,6 +26,8 @@ class SecuritySettings extends Component {
         theme: PropTypes.object.isRequired,
         /** @ignore */
         isFingerprintEnabled: PropTypes.bool.isRequired,
+        /** @ignore */
+        is2FAEnabled: PropTypes.bool.isRequired,
     };
 
     componentDidMount() {
@@ -41,9 +43,21 @@ class SecuritySettings extends Component {
     }
 
     renderSettingsContent() {
-        const { theme, t, isFingerprintEnabled } = this.props;
+        const { theme, t, isFingerprintEnabled, is2FAEnabled } = this.props;
         const rows = [
             { name: t('changePassword'), icon: 'password', function: () => this.props.setSetting('changePassword') },
+            {
+                name: t('twoFA'),
+                icon: 'twoFA',
+                function: () => this.props.setSetting('twoFactorAuth'),
+                currentSetting: is2FAEnabled ? t('enabled') : t('disabled'),
+            },
+            { name: t('auditLog'), icon: 'security', function: () => this.props.setSetting('auditLog') },
+            {
+                name: t('walletBackup:walletBackup'),
+                icon: 'key',
+                function: () => this.props.setSetting('walletBackup'),
+            },
             { name: 'separator' },
             {
                 name: t('fingerprint'),
@@ -64,13 +78,14 @@ class SecuritySettings extends Component {
 const mapStateToProps = (state) => ({
     theme: getThemeFromState(state),
     isFingerprintEnabled: state.settings.isFingerprintEnabled,
+    is2FAEnabled: state.settings.is2FAEnabled,
 });
 
 const mapDispatchToProps = {
     setSetting,
 };
 
-export default withTranslation(['settings', 'global'])(
+export default withTranslation(['settings', 'global', 'walletBackup'])(
     connect(
         mapStateToProps,
         mapDispatchToProps,
@@ -0,0 +1,399 @@
+import isEqual from 'lodash/isEqual';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, Text, StyleSheet, TouchableOpacity, TouchableWithoutFeedback, Keyboard, ScrollView } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import RNPrint from 'react-native-print';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { logAuditEvent } from 'shared-modules/actions/auditLog';
+import { getSelectedAccountName, getSelectedAccountMeta } from 'shared-modules/selectors/accounts';
+import { getThemeFromState } from 'shared-modules/selectors/global';
+import { tritsToChars, trytesToTrits } from 'shared-modules/libs/iota/converter';
+import { AUDIT_EVENTS } from 'shared-modules/libs/auditLog';
+import { MAX_SEED_SHARES_COUNT, createSeedShares, isValidSeedSharesConfig } from 'shared-modules/libs/seedShares';
+import SeedStore from 'libs/SeedStore';
+import { getRandomBytes } from 'libs/crypto';
+import { hash } from 'libs/keychain';
+import { getPaperWalletHTML } from 'libs/paperWallet';
+import { width, height } from 'libs/dimensions';
+import { isAndroid } from 'libs/device';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomTextInput from 'ui/components/CustomTextInput';
+import SeedVaultExportComponent from 'ui/components/SeedVaultExportComponent';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import withTwoFactorConfirmation from 'ui/components/WithTwoFactorConfirmation';
+import { Styling } from 'ui/theme/general';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    topContainer: {
+        flex: 11,
+        justifyContent: 'flex-start',
+        alignItems: 'center',
+        width,
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    fieldsContainer: {
+        alignItems: 'center',
+        paddingTop: height / 30,
+    },
+    field: {
+        paddingBottom: height / 30,
+    },
+    listContainer: {
+        flex: 1,
+        width,
+    },
+    shareRow: {
+        width,
+        paddingHorizontal: width / 15,
+        paddingVertical: height / 80,
+    },
+    shareName: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize3,
+    },
+    shareDetails: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+    },
+    actions: {
+        flexDirection: 'row',
+        paddingTop: height / 100,
+    },
+    actionText: {
+        fontFamily: 'SourceSansPro-Regular',
+        fontSize: Styling.fontSize2,
+        textDecorationLine: 'underline',
+        marginRight: width / 15,
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        paddingHorizontal: width / 15,
+        paddingTop: height / 30,
+    },
+});
+
+/** Seed shares component, splits the seed into M-of-N printable and exportable shares */
+class SeedShares extends Component {
+    static propTypes = {
+        /** Name for selected account */
+        selectedAccountName: PropTypes.string.isRequired,
+        /** Type for selected account */
+        selectedAccountMeta: PropTypes.object.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
+        confirmTwoFactorCode: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            password: null,
+            isAuthenticated: false,
+            threshold: '2',
+            count: '3',
+            shares: [],
+            exportShare: null,
+            exportStep: 'isViewingGeneralInfo',
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('SeedShares');
+    }
+
+    componentWillUnmount() {
+        delete this.state.password;
+        delete this.state.shares;
+        delete this.seed;
+    }
+
+    /**
+     * Determines course of action on right button press dependent on current progress step
+     *
+     * @method onNextPress
+     */
+    onNextPress() {
+        const { isAuthenticated, exportShare, exportStep } = this.state;
+
+        if (exportShare) {
+            if (exportStep === 'isExporting' && !isAndroid) {
+                return this.SeedVaultExportComponent.onExportPress();
+            } else if (exportStep === 'isSelectingSaveMethodAndroid') {
+                return this.closeExport();
+            }
+            return this.SeedVaultExportComponent.onNextPress();
+        }
+
+        if (!isAuthenticated) {
+            return this.verifyPassword();
+        }
+
+        return this.createShares();
+    }
+
+    /**
+     * Determines previous step transition
+     *
+     * @method onBackPress
+     */
+    onBackPress() {
+        if (this.state.exportShare) {
+            return this.SeedVaultExportComponent.onBackPress();
+        }
+        this.props.setSetting('accountManagement');
+    }
+
+    /**
+     * Gets seed from keychain if correct password is provided
+     *
+     * @method verifyPassword
+     * @returns {Promise<void>}
+     */
+    async verifyPassword() {
+        const { t, selectedAccountName, selectedAccountMeta } = this.props;
+        if (!this.state.password) {
+            return this.props.generateAlert('error', t('login:emptyPassword'), t('login:emptyPasswordExplanation'));
+        }
+        const pwdHash = await hash(this.state.password);
+        if (isEqual(global.passwordHash, pwdHash)) {
+            if (!(await this.props.confirmTwoFactorCode(pwdHash))) {
+                return;
+            }
+            const seedStore = await new SeedStore[selectedAccountMeta.type](pwdHash, selectedAccountName);
+            this.seed = await seedStore.getSeed();
+            this.setState({ isAuthenticated: true, password: null });
+            this.props.logAuditEvent(AUDIT_EVENTS.seedViewed, { accountName: selectedAccountName, method: 'shares' });
+        } else {
+            this.props.generateAlert(
+                'error',
+                t('global:unrecognisedPassword'),
+                t('global:unrecognisedPasswordExplanation'),
+            );
+        }
+    }
+
+    /**
+     * Splits the seed into shares
+     *
+     * @method createShares
+     * @returns {Promise<void>}
+     */
+    async createShares() {
+        const { t } = this.props;
+        const threshold = parseInt(this.state.threshold, 10);
+        const count = parseInt(this.state.count, 10);
+
+        Keyboard.dismiss();
+
+        if (!isValidSeedSharesConfig(threshold, count)) {
+            return this.props.generateAlert(
+                'error',
+                t('seedShares:invalidConfig'),
+                t('seedShares:invalidConfigExplanation', { maxCount: MAX_SEED_SHARES_COUNT }),
+            );
+        }
+
+        const shares = await createSeedShares(tritsToChars(this.seed), threshold, count, getRandomBytes);
+
+        this.setState({ shares });
+    }
+
+    /**
+     * Prints share as a paper wallet
+     *
+     * @method printShare
+     * @param {object} share
+     */
+    printShare(share) {
+        const { t } = this.props;
+
+        RNPrint.print({ html: getPaperWalletHTML(share.share, t('seedShares:printLabel', share)) });
+    }
+
+    /**
+     * Returns to share list from SeedVault export
+     *
+     * @method closeExport
+     */
+    closeExport() {
+        this.setState({ exportShare: null, exportStep: 'isViewingGeneralInfo' });
+    }
+
+    renderPassword() {
+        const { t, theme } = this.props;
+
+        return (
+            <View style={styles.fieldsContainer}>
+                <Text style={[styles.infoText, { color: theme.body.color, paddingBottom: height / 30 }]}>
+                    {t('seedShares:explanation')}
+                </Text>
+                <CustomTextInput
+                    label={t('global:password')}
+                    onValidTextChange={(password) => this.setState({ password })}
+                    containerStyle={{ width: Styling.contentWidth }}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    enablesReturnKeyAutomatically
+                    returnKeyType="done"
+                    secureTextEntry
+                    onSubmitEditing={() => this.verifyPassword()}
+                    value={this.state.password}
+                    theme={theme}
+                    isPasswordInput
+                />
+            </View>
+        );
+    }
+
+    renderShare(share) {
+        const { t, theme } = this.props;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <View key={share.index} style={styles.shareRow}>
+                <Text style={[styles.shareName, textColor]}>{t('seedShares:share', share)}</Text>
+                <Text style={[styles.shareDetails, textColor]}>
+                    {t('seedShares:shareChecksum')}: {share.checksum} · {t('seedShares:shareInfo', share)}
+                </Text>
+                <View style={styles.actions}>
+                    <TouchableOpacity onPress={() => this.printShare(share)}>
+                        <Text style={[styles.actionText, textColor]}>{t('seedShares:printShare')}</Text>
+                    </TouchableOpacity>
+                    <TouchableOpacity onPress={() => this.setState({ exportShare: share })}>
+                        <Text style={[styles.actionText, textColor]}>{t('seedShares:exportShare')}</Text>
+                    </TouchableOpacity>
+                </View>
+            </View>
+        );
+    }
+
+    renderShares() {
+        const { t, theme } = this.props;
+        const { threshold, count, shares } = this.state;
+
+        return (
+            <View style={styles.listContainer}>
+                <View style={styles.fieldsContainer}>
+                    <View style={styles.field}>
+                        <CustomTextInput
+                            label={t('seedShares:threshold')}
+                            onValidTextChange={(threshold) => this.setState({ threshold })}
+                            containerStyle={{ width: Styling.contentWidth }}
+                            keyboardType="numeric"
+                            theme={theme}
+                            value={threshold}
+                        />
+                    </View>
+                    <CustomTextInput
+                        label={t('seedShares:count')}
+                        onValidTextChange={(count) => this.setState({ count })}
+                        containerStyle={{ width: Styling.contentWidth }}
+                        keyboardType="numeric"
+                        theme={theme}
+                        value={count}
+                    />
+                </View>
+                <ScrollView style={styles.listContainer}>{shares.map((share) => this.renderShare(share))}</ScrollView>
+            </View>
+        );
+    }
+
+    renderExport() {
+        const { selectedAccountName } = this.props;
+        const { exportShare, exportStep } = this.state;
+
+        return (
+            <SeedVaultExportComponent
+                step={exportStep}
+                setProgressStep={(step) => this.setState({ exportStep: step })}
+                goBack={() => this.closeExport()}
+                onRef={(ref) => {
+                    this.SeedVaultExportComponent = ref;
+                }}
+                isAuthenticated
+                seed={trytesToTrits(exportShare.share)}
+                title={`${selectedAccountName}-share-${exportShare.index}-of-${exportShare.count}`}
+                share={{
+                    index: exportShare.index,
+                    threshold: exportShare.threshold,
+                    count: exportShare.count,
+                    seedChecksum: exportShare.seedChecksum,
+                }}
+            />
+        );
+    }
+
+    render() {
+        const { t, theme } = this.props;
+        const { isAuthenticated, exportShare, exportStep } = this.state;
+
+        return (
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        {exportShare
+                            ? this.renderExport()
+                            : isAuthenticated
+                            ? this.renderShares()
+                            : this.renderPassword()}
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() => this.onBackPress()}
+                            actionFunction={() => this.onNextPress()}
+                            actionName={
+                                !exportShare
+                                    ? isAuthenticated
+                                        ? t('seedShares:create')
+                                        : t('global:next')
+                                    : exportStep === 'isExporting' && !isAndroid
+                                    ? t('global:export')
+                                    : exportStep === 'isSelectingSaveMethodAndroid'
+                                    ? t('global:done')
+                                    : t('global:next')
+                            }
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    selectedAccountName: getSelectedAccountName(state),
+    selectedAccountMeta: getSelectedAccountMeta(state),
+    theme: getThemeFromState(state),
+});
+
+const mapDispatchToProps = {
+    setSetting,
+    generateAlert,
+    logAuditEvent,
+};
+
+export default withTwoFactorConfirmation()(
+    withTranslation(['seedShares', 'global'])(connect(mapStateToProps, mapDispatchToProps)(SeedShares)),
+);
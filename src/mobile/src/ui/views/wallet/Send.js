@@ -1,5 +1,7 @@
 import size from 'lodash/size';
+import includes from 'lodash/includes';
 import isEmpty from 'lodash/isEmpty';
+import isEqual from 'lodash/isEqual';
 import isUndefined from 'lodash/isUndefined';
 import React, { Component } from 'react';
 import PropTypes from 'prop-types';
@@ -10,42 +12,71 @@ import { connect } from 'react-redux';
 import {
     isValidAddress,
     isValidMessage,
+    isValidTag,
     isValidAmount,
     VALID_ADDRESS_WITH_CHECKSUM_REGEX,
     VALID_SEED_REGEX,
     ADDRESS_LENGTH,
     MAX_MESSAGE_LENGTH,
+    MAX_TAG_LENGTH,
     parseCDALink,
 } from 'shared-modules/libs/iota/utils';
 import { completeDeepLinkRequest } from 'shared-modules/actions/wallet';
 import { getCurrencySymbol, getIOTAUnitMultiplier } from 'shared-modules/libs/currency';
 import { getFromKeychainRequest, getFromKeychainSuccess, getFromKeychainError } from 'shared-modules/actions/keychain';
-import { makeTransaction, verifyCDAContent, clearCDAContent } from 'shared-modules/actions/transfers';
+import {
+    makeTransaction,
+    makeBatchTransaction,
+    prepareUnsignedTransfer,
+    prepareMultisigTransfer,
+    addMultisigSignature,
+    broadcastSignedTransfer,
+    verifyCDAContent,
+    verifyPaymentUriContent,
+    clearCDAContent,
+} from 'shared-modules/actions/transfers';
 import {
     setSendAddressField,
     setSendAmountField,
     setSendMessageField,
+    setSendTagField,
     setSendDenomination,
     setDoNotMinimise,
     toggleModalActivity,
     clearSendFields,
+    setSendPasswordConfirmed,
 } from 'shared-modules/actions/ui';
-import { round, parse } from 'shared-modules/libs/utils';
+import { round } from 'shared-modules/libs/utils';
+import { parsePaymentUri } from 'shared-modules/libs/paymentUri';
+import { getBatchPaymentsTotal } from 'shared-modules/libs/batchPayments';
+import { signUnsignedTransfer } from 'shared-modules/libs/iota/offlineSigning';
+import { getInputSelectionValidationError } from 'shared-modules/libs/iota/inputs';
+import {
+    SEND_POLICY_ERRORS,
+    getSendPolicyViolation,
+    isPasswordRequiredForTransfer,
+} from 'shared-modules/libs/sendPolicies';
 import {
     getBalanceForSelectedAccount,
     getAvailableBalanceForSelectedAccount,
     getSelectedAccountName,
     getSelectedAccountMeta,
+    getSelectableInputsForSelectedAccount,
+    getSelectableRemainderAddressDataForSelectedAccount,
+    getSendPolicyForSelectedAccount,
+    getTransactionsForSelectedAccount,
+    getAddressesForSelectedAccount,
 } from 'shared-modules/selectors/accounts';
 import { startTrackingProgress } from 'shared-modules/actions/progress';
-import { generateAlert, generateTransferErrorAlert } from 'shared-modules/actions/alerts';
-import { getThemeFromState } from 'shared-modules/selectors/global';
+import { generateAlert, generateTransferErrorAlert, generatePaymentUriErrorAlert } from 'shared-modules/actions/alerts';
+import { getThemeFromState, getContactsList } from 'shared-modules/selectors/global';
 import FingerprintScanner from 'react-native-fingerprint-scanner';
 import KeepAwake from 'react-native-keep-awake';
 import Toggle from 'ui/components/Toggle';
 import SendProgressBar from 'ui/components/SendProgressBar';
 import ProgressSteps from 'libs/progressSteps';
 import SeedStore from 'libs/SeedStore';
+import { hash } from 'libs/keychain';
 import CustomTextInput from 'ui/components/CustomTextInput';
 import AmountTextInput from 'ui/components/AmountTextInput';
 import Icon from 'ui/theme/icons';
@@ -141,6 +172,24 @@ export class Send extends Component {
         /** @ignore */
         makeTransaction: PropTypes.func.isRequired,
         /** @ignore */
+        makeBatchTransaction: PropTypes.func.isRequired,
+        /** Send policy for selected account */
+        sendPolicy: PropTypes.object,
+        /** Transfers for selected account */
+        transfers: PropTypes.object.isRequired,
+        /** Addresses for selected account */
+        addresses: PropTypes.array.isRequired,
+        /** @ignore */
+        setSendPasswordConfirmed: PropTypes.func.isRequired,
+        /** @ignore */
+        prepareUnsignedTransfer: PropTypes.func.isRequired,
+        /** @ignore */
+        prepareMultisigTransfer: PropTypes.func.isRequired,
+        /** @ignore */
+        addMultisigSignature: PropTypes.func.isRequired,
+        /** @ignore */
+        broadcastSignedTransfer: PropTypes.func.isRequired,
+        /** @ignore */
         generateAlert: PropTypes.func.isRequired,
         /** @ignore */
         getFromKeychainRequest: PropTypes.func.isRequired,
@@ -163,12 +212,16 @@ export class Send extends Component {
         /** @ignore */
         message: PropTypes.string.isRequired,
         /** @ignore */
+        tag: PropTypes.string.isRequired,
+        /** @ignore */
         setSendAddressField: PropTypes.func.isRequired,
         /** @ignore */
         setSendAmountField: PropTypes.func.isRequired,
         /** @ignore */
         setSendMessageField: PropTypes.func.isRequired,
         /** @ignore */
+        setSendTagField: PropTypes.func.isRequired,
+        /** @ignore */
         setSendDenomination: PropTypes.func.isRequired,
         /** @ignore */
         startTrackingProgress: PropTypes.func.isRequired,
@@ -203,7 +256,19 @@ export class Send extends Component {
         /** @ignore */
         verifyCDAContent: PropTypes.func.isRequired,
         /** @ignore */
+        paymentUriContent: PropTypes.object.isRequired,
+        /** @ignore */
+        verifyPaymentUriContent: PropTypes.func.isRequired,
+        /** @ignore */
+        generatePaymentUriErrorAlert: PropTypes.func.isRequired,
+        /** @ignore */
         clearSendFields: PropTypes.func.isRequired,
+        /** Address book contacts */
+        contacts: PropTypes.array.isRequired,
+        /** Inputs of selected account (coin control) */
+        selectableInputs: PropTypes.array.isRequired,
+        /** Addresses of selected account that can be used as remainder (coin control) */
+        selectableRemainderAddressData: PropTypes.array.isRequired,
     };
 
     constructor(props) {
@@ -219,6 +284,7 @@ export class Send extends Component {
             sending: false,
             currencySymbol: getCurrencySymbol(this.props.currency),
             shouldInteruptSendAnimation: false,
+            coinControl: null,
         };
         this.detectAddressInClipboard = this.detectAddressInClipboard.bind(this);
     }
@@ -292,6 +358,7 @@ export class Send extends Component {
         timer.clearTimeout('invalidAddressAlert');
         timer.clearTimeout('modalShow');
         timer.clearTimeout('delaySend');
+        timer.clearTimeout('batchPaymentsModal');
     }
 
     onMaxPress() {
@@ -333,7 +400,7 @@ export class Send extends Component {
      * @returns {function}
      */
     onSendPress() {
-        const { t, amount, address, message, denomination, CDAContent } = this.props;
+        const { t, amount, address, message, tag, denomination, CDAContent } = this.props;
         const { currencySymbol } = this.state;
         const multiplier = this.getUnitMultiplier();
         const isFiat = denomination === currencySymbol;
@@ -361,14 +428,67 @@ export class Send extends Component {
             this.interuptSendAnimation();
             return this.props.generateAlert('error', t('invalidMessage'), t('invalidMessageExplanation'));
         }
+        if (!isValidTag(tag)) {
+            this.interuptSendAnimation();
+            return this.props.generateAlert(
+                'error',
+                t('invalidTag'),
+                t('invalidTagExplanation', { maxLength: MAX_TAG_LENGTH }),
+            );
+        }
+        if (this.state.coinControl) {
+            const inputSelectionError = getInputSelectionValidationError(
+                this.props.selectableInputs.filter((input) => includes(this.state.coinControl.inputs, input.address)),
+                parseInt(parseFloat(amount || 0) * multiplier, 10),
+            );
+
+            if (inputSelectionError) {
+                this.interuptSendAnimation();
+                return this.props.generateAlert(
+                    'error',
+                    t(`coinControl:${inputSelectionError}`),
+                    t(`coinControl:${inputSelectionError}Explanation`),
+                );
+            }
+        }
+        if (!this.validateSendPolicy([{ address, value: parseInt(parseFloat(amount || 0) * multiplier, 10) }])) {
+            this.interuptSendAnimation();
+            return;
+        }
         this.showModal('transferConfirmation');
     }
 
+    /**
+     * Fills send fields with selected contact details
+     *
+     * @method onContactSelect
+     * @param {object} contact
+     */
+    onContactSelect(contact) {
+        const { t } = this.props;
+
+        this.hideModal();
+        this.props.setSendAddressField(contact.address);
+        this.props.setSendMessageField(contact.message);
+        this.props.setSendTagField(contact.tag || '');
+
+        if (contact.spent) {
+            timer.setTimeout(
+                'spentContactAlert',
+                () =>
+                    this.props.generateAlert(
+                        'error',
+                        t('contacts:contactAddressSpent'),
+                        t('contacts:spentContactWarning', { name: contact.name }),
+                    ),
+                500,
+            );
+        }
+    }
+
     onQRRead(data) {
         const dataString = data.toString();
         const { t } = this.props;
-        const parsedData = parse(data);
-        const dataSubstring = data.substring(5);
 
         const _sendError = (title, explanation) => {
             timer.setTimeout('invalidAddressAlert', () => this.props.generateAlert('error', title, explanation), 500);
@@ -379,30 +499,28 @@ export class Send extends Component {
         // Reset send denomination on QR scan
         this.props.setSendDenomination('i');
 
-        if (parsedData.address) {
-            // For codes containing JSON (iotaledger and Trinity)
-            this.props.setSendAddressField(parsedData.address);
-            if (parsedData.message) {
-                this.props.setSendMessageField(parsedData.message);
-            }
-            if (parsedData.amount) {
-                this.props.setSendAmountField(parsedData.amount.toString());
-            }
-        } else if (dataString.startsWith('http')) {
+        if (dataString.startsWith('http')) {
             const parsedLink = parseCDALink(dataString);
             if (parsedLink) {
                 this.props.verifyCDAContent(parsedLink);
             } else {
                 _sendError(t('invalidAddress'), t('invalidAddressExplanationGeneric'));
             }
-        } else if (dataString.startsWith('iota:') && dataSubstring.match(VALID_ADDRESS_WITH_CHECKSUM_REGEX)) {
-            // For codes with iota: at the front (TheTangle.org)
-            this.props.setSendAddressField(dataSubstring);
-        } else if (dataString.match(VALID_ADDRESS_WITH_CHECKSUM_REGEX)) {
-            // For codes with plain text (Bitfinex, Binance, and IOTASear.ch)
-            this.props.setSendAddressField(data);
-        } else {
-            _sendError(t('invalidAddress'), t('invalidAddressExplanationGeneric'));
+            return;
+        }
+
+        let request = null;
+
+        try {
+            // For payment URIs (iota: at the front), codes containing JSON (iotaledger and Trinity)
+            // and plain text addresses (Bitfinex, Binance, and IOTASear.ch)
+            request = parsePaymentUri(dataString);
+        } catch (error) {
+            return this.props.generatePaymentUriErrorAlert(error);
+        }
+
+        if (this.props.verifyPaymentUriContent(request) && request.recipients.length > 1) {
+            timer.setTimeout('batchPaymentsModal', () => this.showModal('batchPayments'), 500);
         }
     }
 
@@ -540,13 +658,64 @@ export class Send extends Component {
                     onUnmount: () => this.props.setDoNotMinimise(false),
                     displayTopBar: true,
                 });
+            case 'contactPicker':
+                return this.props.toggleModalActivity(modalContent, {
+                    contacts: this.props.contacts,
+                    onSelect: (contact) => this.onContactSelect(contact),
+                    hideModal: () => this.hideModal(),
+                    theme,
+                });
+            case 'batchPayments': {
+                const { recipients, bundle } = this.props.paymentUriContent;
+
+                return this.props.toggleModalActivity(modalContent, {
+                    balance: this.props.balance,
+                    recipients: size(recipients) > 1 && !bundle ? recipients : [],
+                    generateAlert: this.props.generateAlert,
+                    onSend: (recipients) => this.sendBatchTransfer(recipients),
+                    hideModal: () => this.hideModal(),
+                    theme,
+                });
+            }
+            case 'coinControl':
+                return this.props.toggleModalActivity(modalContent, {
+                    selectableInputs: this.props.selectableInputs,
+                    selectableRemainderAddressData: this.props.selectableRemainderAddressData,
+                    coinControl: this.state.coinControl,
+                    onConfirm: (coinControl) => {
+                        this.setState({ coinControl });
+                        this.hideModal();
+                    },
+                    theme,
+                });
+            case 'offlineSigning':
+                return this.props.toggleModalActivity(modalContent, {
+                    generateAlert: this.props.generateAlert,
+                    onPrepare: (recipient, password) => this.prepareUnsignedTransfer(recipient, password),
+                    isPasswordRequired: (value) => isPasswordRequiredForTransfer(this.props.sendPolicy, value),
+                    onSign: (unsignedTransfer) => this.signUnsignedTransfer(unsignedTransfer),
+                    onBroadcast: (signedTransfer) => this.broadcastSignedTransfer(signedTransfer),
+                    hideModal: () => this.hideModal(),
+                    theme,
+                });
+            case 'multisigTransfer':
+                return this.props.toggleModalActivity(modalContent, {
+                    generateAlert: this.props.generateAlert,
+                    getCosigners: () => this.getSeedStore().then((seedStore) => seedStore.getCosigners()),
+                    onPrepare: (recipient, password) => this.prepareMultisigTransfer(recipient, password),
+                    isPasswordRequired: (value) => isPasswordRequiredForTransfer(this.props.sendPolicy, value),
+                    onSign: (transfer) => this.addMultisigSignature(transfer),
+                    onBroadcast: (transfer) => this.broadcastSignedTransfer(transfer),
+                    hideModal: () => this.hideModal(),
+                    theme,
+                });
             case 'transferConfirmation':
                 return this.props.toggleModalActivity(modalContent, {
                     value: parseFloat(amount) * this.getUnitMultiplier(),
                     amount,
                     conversionText: this.getConversionTextIOTA(),
                     address: address,
-                    sendTransfer: () => this.sendTransfer(),
+                    sendTransfer: () => this.confirmPassword(this.getTransferValue(), () => this.sendTransfer()),
                     onBackButtonPress: () => {
                         this.interuptSendAnimation();
                         this.hideModal();
@@ -592,7 +761,7 @@ export class Send extends Component {
                     onSuccess: () => {
                         this.setSendingTransferFlag();
                         this.hideModal();
-                        this.sendTransfer();
+                        this.confirmPassword(this.getTransferValue(), () => this.sendTransfer());
                     },
                 });
             default:
@@ -617,6 +786,10 @@ export class Send extends Component {
         const { t } = this.props;
         this.props.generateAlert('success', t('deepLink:autofill'), t('deepLink:autofillExplanation'));
         this.props.completeDeepLinkRequest();
+
+        if (size(this.props.paymentUriContent.recipients) > 1) {
+            timer.setTimeout('batchPaymentsModal', () => this.showModal('batchPayments'), 500);
+        }
     }
 
     /**
@@ -646,6 +819,85 @@ export class Send extends Component {
         return false;
     }
 
+    /**
+     * Gets value (iotas) of entered amount
+     *
+     * @method getTransferValue
+     * @returns {number}
+     */
+    getTransferValue() {
+        const { amount } = this.props;
+
+        return parseInt(parseFloat(amount === '' ? 0 : amount) * this.getUnitMultiplier(), 10);
+    }
+
+    /**
+     * Checks recipients against the send policy of selected account and displays an alert if transfer is not allowed
+     *
+     * @method validateSendPolicy
+     * @param {array} recipients - [{ address, value }]
+     * @returns {boolean}
+     */
+    validateSendPolicy(recipients) {
+        const { t, sendPolicy, contacts, transfers, addresses } = this.props;
+        const violation = getSendPolicyViolation(sendPolicy, recipients, { contacts, transfers, addresses });
+
+        if (violation) {
+            this.props.generateAlert(
+                'error',
+                t(`sendPolicies:${SEND_POLICY_ERRORS[violation]}`),
+                t(`sendPolicies:${SEND_POLICY_ERRORS[violation]}Explanation`),
+            );
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Asks user to re-enter password before sending, if required by the send policy of selected account
+     *
+     * @method confirmPassword
+     * @param {number} value - Transfer value
+     * @param {function} send - Sends the transfer
+     */
+    confirmPassword(value, send) {
+        const { t, theme, sendPolicy } = this.props;
+
+        if (!isPasswordRequiredForTransfer(sendPolicy, value)) {
+            return send();
+        }
+
+        // Delay allows for the previous modal to close
+        timer.setTimeout(
+            'delayPasswordValidation',
+            () =>
+                this.props.toggleModalActivity('passwordValidation', {
+                    theme,
+                    validatePassword: async (password) => {
+                        if (!isEqual(global.passwordHash, await hash(password))) {
+                            return this.props.generateAlert(
+                                'error',
+                                t('global:unrecognisedPassword'),
+                                t('global:unrecognisedPasswordExplanation'),
+                            );
+                        }
+
+                        this.hideModal();
+                        this.props.setSendPasswordConfirmed(true);
+                        send();
+                    },
+                    hideModal: () => {
+                        this.setState({ sending: false });
+                        this.interuptSendAnimation();
+                        this.hideModal();
+                    },
+                    isDashboard: true,
+                }),
+            300,
+        );
+    }
+
     /**
      * Activates progress bar steps
      * @param {boolean} isZeroValueTransaction
@@ -669,9 +921,10 @@ export class Send extends Component {
             isSyncing,
             isTransitioning,
             message,
-            amount,
+            tag,
             address,
         } = this.props;
+        const { coinControl } = this.state;
 
         if (isSyncing) {
             this.props.generateAlert('error', t('global:syncInProgress'), t('global:syncInProgressExplanation'));
@@ -687,8 +940,7 @@ export class Send extends Component {
             return;
         }
         // For sending a message
-        const formattedAmount = amount === '' ? 0 : amount;
-        const value = parseInt(parseFloat(formattedAmount) * this.getUnitMultiplier(), 10);
+        const value = this.getTransferValue();
 
         // Start tracking progress for each transaction step
         this.startTrackingTransactionProgress(value === 0);
@@ -704,7 +956,16 @@ export class Send extends Component {
                     );
                     this.props.getFromKeychainSuccess('send', 'makeTransaction');
 
-                    return this.props.makeTransaction(seedStore, address, value, message, selectedAccountName);
+                    return this.props.makeTransaction(
+                        seedStore,
+                        address,
+                        value,
+                        message,
+                        selectedAccountName,
+                        true,
+                        coinControl,
+                        tag,
+                    );
                 } catch (error) {
                     this.props.getFromKeychainError('send', 'makeTransaction');
                     this.props.generateTransferErrorAlert(error);
@@ -714,6 +975,224 @@ export class Send extends Component {
         );
     }
 
+    /**
+     * Gets seed from keychain and initiates batch transfer to multiple recipients
+     *
+     * @method sendBatchTransfer
+     * @param {array} recipients - [{ address, value, message, tag }]
+     */
+    sendBatchTransfer(recipients) {
+        const { t, selectedAccountName, selectedAccountMeta, isSyncing, isTransitioning } = this.props;
+
+        this.hideModal();
+
+        if (isSyncing) {
+            this.props.generateAlert('error', t('global:syncInProgress'), t('global:syncInProgressExplanation'));
+            return;
+        }
+
+        if (isTransitioning) {
+            this.props.generateAlert(
+                'error',
+                t('snapshotTransitionInProgress'),
+                t('snapshotTransitionInProgressExplanation'),
+            );
+            return;
+        }
+
+        if (!this.validateSendPolicy(recipients)) {
+            return;
+        }
+
+        this.setSendingTransferFlag();
+
+        this.confirmPassword(getBatchPaymentsTotal(recipients), () => {
+            this.startTrackingTransactionProgress(getBatchPaymentsTotal(recipients) === 0);
+
+            timer.setTimeout(
+                'delaySend',
+                async () => {
+                    this.props.getFromKeychainRequest('send', 'makeTransaction');
+                    try {
+                        const seedStore = await new SeedStore[selectedAccountMeta.type](
+                            global.passwordHash,
+                            selectedAccountName,
+                        );
+                        this.props.getFromKeychainSuccess('send', 'makeTransaction');
+
+                        return this.props.makeBatchTransaction(seedStore, recipients, selectedAccountName);
+                    } catch (error) {
+                        this.props.getFromKeychainError('send', 'makeTransaction');
+                        this.props.generateTransferErrorAlert(error);
+                    }
+                },
+                200,
+            );
+        });
+    }
+
+    /**
+     * Gets seed store of selected account from keychain
+     *
+     * @method getSeedStore
+     * @returns {Promise<object>}
+     */
+    async getSeedStore() {
+        const { selectedAccountName, selectedAccountMeta } = this.props;
+
+        this.props.getFromKeychainRequest('send', 'makeTransaction');
+        try {
+            const seedStore = await new SeedStore[selectedAccountMeta.type](global.passwordHash, selectedAccountName);
+            this.props.getFromKeychainSuccess('send', 'makeTransaction');
+
+            return seedStore;
+        } catch (error) {
+            this.props.getFromKeychainError('send', 'makeTransaction');
+            throw error;
+        }
+    }
+
+    /**
+     * Checks password re-entered before preparing an offline or multisig transfer, if required by the send policy
+     *
+     * @method validateTransferPassword
+     * @param {number} value - Transfer value
+     * @param {string} [password]
+     * @returns {Promise<boolean>}
+     */
+    async validateTransferPassword(value, password) {
+        const { t, sendPolicy } = this.props;
+
+        if (!isPasswordRequiredForTransfer(sendPolicy, value)) {
+            return true;
+        }
+
+        if (!isEqual(global.passwordHash, await hash(password || ''))) {
+            this.props.generateAlert(
+                'error',
+                t('global:unrecognisedPassword'),
+                t('global:unrecognisedPasswordExplanation'),
+            );
+
+            return false;
+        }
+
+        this.props.setSendPasswordConfirmed(true);
+
+        return true;
+    }
+
+    /**
+     * Prepares an unsigned transfer for offline signing
+     *
+     * @method prepareUnsignedTransfer
+     * @param {object} recipient - { address, value, message }
+     * @param {string} [password] - Re-entered password, if required by the send policy of selected account
+     * @returns {Promise<object|null>}
+     */
+    async prepareUnsignedTransfer(recipient, password) {
+        const { t, selectedAccountName, isSyncing } = this.props;
+
+        if (isSyncing) {
+            this.props.generateAlert('error', t('global:syncInProgress'), t('global:syncInProgressExplanation'));
+            return null;
+        }
+
+        if (!(await this.validateTransferPassword(recipient.value, password))) {
+            return null;
+        }
+
+        try {
+            const seedStore = await this.getSeedStore();
+
+            return this.props.prepareUnsignedTransfer(seedStore, [recipient], selectedAccountName);
+        } catch (error) {
+            this.props.generateTransferErrorAlert(error);
+            return null;
+        }
+    }
+
+    /**
+     * Signs an unsigned transfer with the seed of selected account
+     *
+     * @method signUnsignedTransfer
+     * @param {object} unsignedTransfer
+     * @returns {Promise<object>} Signed transfer
+     */
+    async signUnsignedTransfer(unsignedTransfer) {
+        const seedStore = await this.getSeedStore();
+
+        return signUnsignedTransfer(seedStore, unsignedTransfer);
+    }
+
+    /**
+     * Creates an unsigned multisig bundle, to be signed by each co-signer in turn
+     *
+     * @method prepareMultisigTransfer
+     * @param {object} recipient - { address, value, message }
+     * @param {string} [password] - Re-entered password, if required by the send policy of selected account
+     * @returns {Promise<object|null>}
+     */
+    async prepareMultisigTransfer(recipient, password) {
+        const { t, selectedAccountName, isSyncing } = this.props;
+
+        if (isSyncing) {
+            this.props.generateAlert('error', t('global:syncInProgress'), t('global:syncInProgressExplanation'));
+            return null;
+        }
+
+        if (!(await this.validateTransferPassword(recipient.value, password))) {
+            return null;
+        }
+
+        try {
+            const seedStore = await this.getSeedStore();
+
+            return this.props.prepareMultisigTransfer(seedStore, [recipient], selectedAccountName);
+        } catch (error) {
+            this.props.generateTransferErrorAlert(error);
+            return null;
+        }
+    }
+
+    /**
+     * Adds the signature of selected (multisig) account to a multisig bundle
+     *
+     * @method addMultisigSignature
+     * @param {object} transfer
+     * @returns {Promise<object|null>} Signed transfer
+     */
+    async addMultisigSignature(transfer) {
+        const seedStore = await this.getSeedStore();
+
+        return this.props.addMultisigSignature(seedStore, transfer, this.props.selectedAccountName);
+    }
+
+    /**
+     * Attaches and broadcasts a signed transfer
+     *
+     * @method broadcastSignedTransfer
+     * @param {object} signedTransfer
+     */
+    async broadcastSignedTransfer(signedTransfer) {
+        const { t, selectedAccountName, isSyncing, isTransitioning } = this.props;
+
+        this.hideModal();
+
+        if (isSyncing || isTransitioning) {
+            this.props.generateAlert('error', t('global:syncInProgress'), t('global:syncInProgressExplanation'));
+            return;
+        }
+
+        try {
+            const seedStore = await this.getSeedStore();
+
+            return this.props.broadcastSignedTransfer(seedStore, signedTransfer, selectedAccountName);
+        } catch (error) {
+            this.props.generateTransferErrorAlert(error);
+        }
+    }
+
     /**
      * Activates fingerprint scanner
      *
@@ -740,7 +1219,7 @@ export class Send extends Component {
     }
 
     /**
-     * Blurs out address, amount and message text fields
+     * Blurs out address, amount, message and tag text fields
      *
      * @method blurTextFields
      */
@@ -748,6 +1227,7 @@ export class Send extends Component {
         this.addressField.blur();
         this.amountField.blur();
         this.messageField.blur();
+        this.tagField.blur();
     }
 
     /**
@@ -761,18 +1241,20 @@ export class Send extends Component {
     }
 
     render() {
-        const { maxPressed, maxColor, maxText, sending } = this.state;
+        const { maxPressed, maxColor, maxText, sending, coinControl } = this.state;
         const {
             t,
             isSendingTransfer,
             address,
             amount,
             message,
+            tag,
             denomination,
             theme,
             isKeyboardActive,
             themeName,
             CDAContent,
+            selectedAccountMeta,
             theme: { primary, body },
         } = this.props;
         const textColor = { color: theme.body.color };
@@ -820,12 +1302,17 @@ export class Send extends Component {
                                     this.amountField.focus();
                                 }
                             }}
-                            widgets={['qr']}
+                            widgets={['qr', 'contacts']}
                             onQRPress={() => {
                                 if (!isSending && isEmpty(CDAContent)) {
                                     this.showModal('qrScanner');
                                 }
                             }}
+                            onContactsPress={() => {
+                                if (!isSending && isEmpty(CDAContent)) {
+                                    this.showModal('contactPicker');
+                                }
+                            }}
                             theme={theme}
                             value={address}
                             disabled={!isEmpty(CDAContent) || isSending}
@@ -901,6 +1388,25 @@ export class Send extends Component {
                             multiplier={this.getUnitMultiplier()}
                             disabled={!isUndefined(CDAContent.message) || isSending}
                         />
+                        <View style={{ flex: 0.03 }} />
+                        <CustomTextInput
+                            onRef={(c) => {
+                                this.tagField = c;
+                            }}
+                            maxLength={MAX_TAG_LENGTH}
+                            keyboardType="default"
+                            label={t('tag')}
+                            onValidTextChange={(text) => this.props.setSendTagField(text.toUpperCase())}
+                            autoCapitalize="characters"
+                            autoCorrect={false}
+                            enablesReturnKeyAutomatically
+                            returnKeyType="done"
+                            blurOnSubmit
+                            onSubmitEditing={() => Keyboard.dismiss()}
+                            theme={theme}
+                            value={tag}
+                            disabled={!isEmpty(CDAContent) || isSending}
+                        />
                         <View style={{ flex: 0.1 }} />
                     </View>
                     <View style={styles.bottomContainer}>
@@ -949,6 +1455,52 @@ export class Send extends Component {
                                     <Text style={[styles.infoText, textColor]}>{t('iotaUnits')}</Text>
                                 </View>
                             </TouchableOpacity>
+                            <TouchableOpacity
+                                onPress={() => this.showModal('batchPayments')}
+                                hitSlop={{ top: width / 30, bottom: width / 30, left: width / 30, right: width / 30 }}
+                                style={{ marginTop: height / 80 }}
+                            >
+                                <Text style={[styles.infoText, textColor]}>{t('batchPayments:batchPayments')}</Text>
+                            </TouchableOpacity>
+                            <TouchableOpacity
+                                onPress={() => this.showModal('offlineSigning')}
+                                hitSlop={{ top: width / 30, bottom: width / 30, left: width / 30, right: width / 30 }}
+                                style={{ marginTop: height / 80 }}
+                            >
+                                <Text style={[styles.infoText, textColor]}>{t('offlineSigning:offlineSigning')}</Text>
+                            </TouchableOpacity>
+                            {isEmpty(CDAContent) && (
+                                <TouchableOpacity
+                                    onPress={() => this.showModal('coinControl')}
+                                    hitSlop={{
+                                        top: width / 30,
+                                        bottom: width / 30,
+                                        left: width / 30,
+                                        right: width / 30,
+                                    }}
+                                    style={{ marginTop: height / 80 }}
+                                >
+                                    <Text style={[styles.infoText, textColor]}>
+                                        {coinControl
+                                            ? t('coinControl:advancedSendInputs', { count: coinControl.inputs.length })
+                                            : t('coinControl:advancedSend')}
+                                    </Text>
+                                </TouchableOpacity>
+                            )}
+                            {SeedStore[selectedAccountMeta.type].isMultisig && (
+                                <TouchableOpacity
+                                    onPress={() => this.showModal('multisigTransfer')}
+                                    hitSlop={{
+                                        top: width / 30,
+                                        bottom: width / 30,
+                                        left: width / 30,
+                                        right: width / 30,
+                                    }}
+                                    style={{ marginTop: height / 80 }}
+                                >
+                                    <Text style={[styles.infoText, textColor]}>{t('multisig:multisigTransfer')}</Text>
+                                </TouchableOpacity>
+                            )}
                         </View>
                         <View style={{ flex: 0.3 }} />
                     </View>
@@ -975,6 +1527,7 @@ const mapStateToProps = (state) => ({
     address: state.ui.sendAddressFieldText,
     amount: state.ui.sendAmountFieldText,
     message: state.ui.sendMessageFieldText,
+    tag: state.ui.sendTagFieldText,
     denomination: state.ui.sendDenomination,
     activeStepIndex: state.progress.activeStepIndex,
     activeSteps: state.progress.activeSteps,
@@ -984,10 +1537,22 @@ const mapStateToProps = (state) => ({
     isKeyboardActive: state.ui.isKeyboardActive,
     themeName: state.settings.themeName,
     CDAContent: state.ui.CDAContent,
+    paymentUriContent: state.ui.paymentUriContent,
+    contacts: getContactsList(state),
+    selectableInputs: getSelectableInputsForSelectedAccount(state),
+    selectableRemainderAddressData: getSelectableRemainderAddressDataForSelectedAccount(state),
+    sendPolicy: getSendPolicyForSelectedAccount(state),
+    transfers: getTransactionsForSelectedAccount(state),
+    addresses: getAddressesForSelectedAccount(state),
 });
 
 const mapDispatchToProps = {
     makeTransaction,
+    makeBatchTransaction,
+    prepareUnsignedTransfer,
+    prepareMultisigTransfer,
+    addMultisigSignature,
+    broadcastSignedTransfer,
     generateAlert,
     getFromKeychainRequest,
     getFromKeychainSuccess,
@@ -995,6 +1560,7 @@ const mapDispatchToProps = {
     setSendAddressField,
     setSendAmountField,
     setSendMessageField,
+    setSendTagField,
     setSendDenomination,
     startTrackingProgress,
     generateTransferErrorAlert,
@@ -1003,7 +1569,10 @@ const mapDispatchToProps = {
     toggleModalActivity,
     clearCDAContent,
     verifyCDAContent,
+    verifyPaymentUriContent,
+    generatePaymentUriErrorAlert,
     clearSendFields,
+    setSendPasswordConfirmed,
 };
 
 export default withTranslation(['send', 'global'])(connect(mapStateToProps, mapDispatchToProps)(Send));
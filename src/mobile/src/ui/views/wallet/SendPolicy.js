@@ -0,0 +1,275 @@
+import isEqual from 'lodash/isEqual';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, Text, StyleSheet, TouchableOpacity, TouchableWithoutFeedback, Keyboard, ScrollView } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { setSendPasswordConfirmed } from 'shared-modules/actions/ui';
+import { updateSendPolicy } from 'shared-modules/actions/sendPolicies';
+import { getSelectedAccountName, getSendPolicyForSelectedAccount } from 'shared-modules/selectors/accounts';
+import { getThemeFromState } from 'shared-modules/selectors/global';
+import { getSendPolicy, isSendPolicyRelaxed } from 'shared-modules/libs/sendPolicies';
+import { width, height } from 'libs/dimensions';
+import { hash } from 'libs/keychain';
+import CustomTextInput from 'ui/components/CustomTextInput';
+import Toggle from 'ui/components/Toggle';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import { Styling } from 'ui/theme/general';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    topContainer: {
+        flex: 11,
+        justifyContent: 'flex-start',
+        alignItems: 'center',
+        width,
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    fieldsContainer: {
+        flex: 1,
+        width,
+    },
+    optionRow: {
+        height: height / 14,
+        width,
+        flexDirection: 'row',
+        paddingHorizontal: width / 15,
+        justifyContent: 'space-between',
+        alignItems: 'center',
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+    },
+    explanation: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize2,
+        padding: width / 15,
+        textAlign: 'center',
+    },
+});
+
+/**
+ * Formats a policy amount for a text field
+ * @param {number} value
+ * @returns {string}
+ */
+const toField = (value) => (value > 0 ? String(value) : '');
+
+/**
+ * Parses a policy amount from a text field
+ * @param {string} value
+ * @returns {number}
+ */
+const fromField = (value) => (value.trim().length ? Number(value) : 0);
+
+/**
+ * Send policy (spending limits and large transfer confirmations) component
+ */
+class SendPolicy extends Component {
+    static propTypes = {
+        /** Name for selected account */
+        selectedAccountName: PropTypes.string.isRequired,
+        /** Send policy for selected account */
+        sendPolicy: PropTypes.object,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        updateSendPolicy: PropTypes.func.isRequired,
+        /** @ignore */
+        setSendPasswordConfirmed: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    /**
+     * Gets text field values for a send policy (amounts are in iotas)
+     *
+     * @method getFields
+     * @param {object|null} sendPolicy
+     * @returns {object}
+     */
+    static getFields(sendPolicy) {
+        const { dailyLimit, weeklyLimit, passwordThreshold, allowlistOnly, newRecipientDelay } = getSendPolicy(
+            sendPolicy,
+        );
+
+        return {
+            dailyLimit: toField(dailyLimit),
+            weeklyLimit: toField(weeklyLimit),
+            passwordThreshold: toField(passwordThreshold),
+            allowlistOnly,
+            newRecipientDelay: toField(newRecipientDelay),
+            password: '',
+        };
+    }
+
+    constructor(props) {
+        super(props);
+
+        this.state = SendPolicy.getFields(props.sendPolicy);
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('SendPolicy');
+    }
+
+    componentWillReceiveProps(newProps) {
+        if (this.props.selectedAccountName !== newProps.selectedAccountName) {
+            this.setState(SendPolicy.getFields(newProps.sendPolicy));
+        }
+    }
+
+    /**
+     * Gets send policy from text field values
+     *
+     * @method getPolicy
+     * @returns {object}
+     */
+    getPolicy() {
+        const { dailyLimit, weeklyLimit, passwordThreshold, allowlistOnly, newRecipientDelay } = this.state;
+
+        return {
+            dailyLimit: fromField(dailyLimit),
+            weeklyLimit: fromField(weeklyLimit),
+            passwordThreshold: fromField(passwordThreshold),
+            allowlistOnly,
+            newRecipientDelay: fromField(newRecipientDelay),
+        };
+    }
+
+    /**
+     * Validates and saves send policy.
+     * Changes that loosen the current policy require the password to be re-entered
+     *
+     * @method save
+     */
+    async save() {
+        const { selectedAccountName, sendPolicy, t } = this.props;
+        const policy = this.getPolicy();
+
+        if (isSendPolicyRelaxed(sendPolicy, policy)) {
+            if (!isEqual(global.passwordHash, await hash(this.state.password))) {
+                return this.props.generateAlert(
+                    'error',
+                    t('global:unrecognisedPassword'),
+                    t('global:unrecognisedPasswordExplanation'),
+                );
+            }
+
+            this.setState({ password: '' });
+            this.props.setSendPasswordConfirmed(true);
+        }
+
+        const isUpdated = this.props.updateSendPolicy(selectedAccountName, policy);
+
+        if (isUpdated) {
+            this.props.setSetting('accountManagement');
+        }
+    }
+
+    renderAmountField(field, label) {
+        const { theme } = this.props;
+
+        return (
+            <CustomTextInput
+                label={label}
+                onValidTextChange={(text) => this.setState({ [field]: text.trim() })}
+                keyboardType="numeric"
+                theme={theme}
+                value={this.state[field]}
+            />
+        );
+    }
+
+    render() {
+        const { t, theme } = this.props;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        <ScrollView style={styles.fieldsContainer} contentContainerStyle={{ alignItems: 'center' }}>
+                            <Text style={[styles.explanation, textColor]}>
+                                {t('sendPolicies:sendPolicyExplanation')}
+                            </Text>
+                            {this.renderAmountField('dailyLimit', t('sendPolicies:dailyLimitInIota'))}
+                            {this.renderAmountField('weeklyLimit', t('sendPolicies:weeklyLimitInIota'))}
+                            {this.renderAmountField('passwordThreshold', t('sendPolicies:passwordThresholdInIota'))}
+                            {this.renderAmountField('newRecipientDelay', t('sendPolicies:newRecipientDelay'))}
+                            <TouchableOpacity
+                                style={styles.optionRow}
+                                onPress={() =>
+                                    this.setState((prevState) => ({ allowlistOnly: !prevState.allowlistOnly }))
+                                }
+                            >
+                                <Text style={[styles.infoText, textColor]}>{t('sendPolicies:allowlistOnly')}</Text>
+                                <Toggle
+                                    active={this.state.allowlistOnly}
+                                    bodyColor={theme.body.color}
+                                    primaryColor={theme.primary.color}
+                                />
+                            </TouchableOpacity>
+                            <Text style={[styles.explanation, textColor]}>
+                                {t('sendPolicies:disabledRulesExplanation')}
+                            </Text>
+                            {isSendPolicyRelaxed(this.props.sendPolicy, this.getPolicy()) && (
+                                <View style={{ alignItems: 'center' }}>
+                                    <Text style={[styles.explanation, textColor]}>
+                                        {t('sendPolicies:enterPasswordToRelax')}
+                                    </Text>
+                                    <CustomTextInput
+                                        label={t('global:password')}
+                                        onValidTextChange={(text) => this.setState({ password: text })}
+                                        autoCapitalize="none"
+                                        autoCorrect={false}
+                                        secureTextEntry
+                                        theme={theme}
+                                        value={this.state.password}
+                                    />
+                                </View>
+                            )}
+                        </ScrollView>
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() => this.props.setSetting('accountManagement')}
+                            actionFunction={() => this.save()}
+                            actionName={t('global:save')}
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    selectedAccountName: getSelectedAccountName(state),
+    sendPolicy: getSendPolicyForSelectedAccount(state),
+    theme: getThemeFromState(state),
+});
+
+const mapDispatchToProps = {
+    setSetting,
+    updateSendPolicy,
+    setSendPasswordConfirmed,
+    generateAlert,
+};
+
+export default withTranslation(['sendPolicies', 'global'])(connect(mapStateToProps, mapDispatchToProps)(SendPolicy));
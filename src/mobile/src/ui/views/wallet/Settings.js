@@ -102,20 +102,31 @@ class Settings extends Component {
             modeSelection: 3,
             viewAddresses: 3,
             editAccountName: 3,
+            inputSelection: 3,
+            sendPolicy: 3,
             deleteAccount: 3,
             viewSeed: 3,
             exportSeedVault: 3,
+            seedShares: 3,
             changePassword: 3,
+            twoFactorAuth: 3,
+            auditLog: 3,
+            walletBackup: 3,
             nodeSettings: 3,
             pow: 3,
             autoPromotion: 3,
             snapshotTransition: 3,
             manualSync: 3,
+            consolidateFunds: 3,
+            scheduledPayments: 3,
             stateExport: 3,
+            stateSnapshot: 3,
+            historyExport: 3,
             about: 3,
             deepLinking: 3,
             nodeSelection: 4,
             addCustomNode: 4,
+            nodeHealth: 4,
         };
 
         if (animationIn) {
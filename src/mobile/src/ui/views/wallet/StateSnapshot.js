@@ -0,0 +1,180 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, Text, StyleSheet, TouchableWithoutFeedback, PermissionsAndroid } from 'react-native';
+import { connect } from 'react-redux';
+import { withTranslation } from 'react-i18next';
+import DocumentPicker from 'react-native-document-picker';
+import RNFetchBlob from 'rn-fetch-blob';
+import { getThemeFromState } from 'shared-modules/selectors/global';
+import { setSetting, loadStateSnapshot, unloadStateSnapshot } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { parseStateSnapshot } from 'shared-modules/libs/stateSnapshot';
+import getEncryptionKey from 'libs/realm';
+import { isAndroid } from 'libs/device';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import { Styling } from 'ui/theme/general';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import InfoBox from 'ui/components/InfoBox';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    topContainer: {
+        flex: 10,
+        justifyContent: 'flex-start',
+    },
+    infoBoxText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        backgroundColor: 'transparent',
+    },
+});
+
+/** State snapshot component, loads a state export into read-only storage (development only) */
+export class StateSnapshot extends Component {
+    static propTypes = {
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        isStateSnapshotLoaded: PropTypes.bool.isRequired,
+        /** @ignore */
+        loadStateSnapshot: PropTypes.func.isRequired,
+        /** @ignore */
+        unloadStateSnapshot: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+    };
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('StateSnapshot');
+    }
+
+    /**
+     * Opens document picker and loads chosen state export file as a state snapshot
+     *
+     * @method showDocumentPicker
+     */
+    showDocumentPicker() {
+        const { t } = this.props;
+
+        (isAndroid
+            ? PermissionsAndroid.request(PermissionsAndroid.PERMISSIONS.READ_EXTERNAL_STORAGE)
+            : Promise.resolve(true)
+        )
+            .then((granted) => {
+                if (granted !== true && granted !== PermissionsAndroid.RESULTS.GRANTED) {
+                    throw new Error('Read permissions not granted.');
+                }
+
+                return DocumentPicker.pick({
+                    type: isAndroid ? ['text/plain'] : ['public.text'],
+                });
+            })
+            .then((res) => {
+                let path = res.uri;
+                if (path.startsWith('file://')) {
+                    path = path.slice(7);
+                }
+
+                return RNFetchBlob.fs.readFile(path, 'utf8');
+            })
+            .then((data) => this.loadStateSnapshot(data))
+            .catch((error) => {
+                if (typeof error.message === 'string' && error.message === 'Read permissions not granted.') {
+                    return this.props.generateAlert(
+                        'error',
+                        t('global:missingPermission'),
+                        t('global:missingPermissionExplanation'),
+                    );
+                }
+                // Do not show an alert if user cancels and does not pick a file
+                if (!DocumentPicker.isCancel(error)) {
+                    return this.props.generateAlert(
+                        'error',
+                        t('global:somethingWentWrong'),
+                        t('global:somethingWentWrongTryAgain'),
+                        10000,
+                        error,
+                    );
+                }
+            });
+    }
+
+    /**
+     * Validates state export content and loads it as a state snapshot
+     *
+     * @method loadStateSnapshot
+     * @param {string} content
+     *
+     * @returns {Promise<void>}
+     */
+    loadStateSnapshot(content) {
+        const { t } = this.props;
+        let snapshot = null;
+
+        try {
+            snapshot = parseStateSnapshot(content);
+        } catch (error) {
+            return this.props.generateAlert('error', t('invalidSnapshot'), t('invalidSnapshotExplanation'));
+        }
+
+        return this.props
+            .loadStateSnapshot(snapshot, getEncryptionKey)
+            .then(() => this.props.generateAlert('success', t('snapshotLoaded'), t('loadSuccessExplanation')));
+    }
+
+    render() {
+        const { t, theme, isStateSnapshotLoaded } = this.props;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <TouchableWithoutFeedback>
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        <View style={{ flex: 0.5 }} />
+                        <InfoBox>
+                            <Text style={[styles.infoBoxText, textColor]}>{t('explanation')}</Text>
+                        </InfoBox>
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() => this.props.setSetting('advancedSettings')}
+                            actionFunction={() =>
+                                isStateSnapshotLoaded ? this.props.unloadStateSnapshot() : this.showDocumentPicker()
+                            }
+                            actionName={isStateSnapshotLoaded ? t('unload') : t('load')}
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    isStateSnapshotLoaded: state.wallet.isStateSnapshotLoaded,
+    theme: getThemeFromState(state),
+});
+
+const mapDispatchToProps = {
+    generateAlert,
+    setSetting,
+    loadStateSnapshot,
+    unloadStateSnapshot,
+};
+
+export default withTranslation(['stateSnapshot', 'global'])(
+    connect(mapStateToProps, mapDispatchToProps)(StateSnapshot),
+);
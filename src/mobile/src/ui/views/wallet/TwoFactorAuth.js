@@ -0,0 +1,409 @@
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { withTranslation } from 'react-i18next';
+import { StyleSheet, View, Text, TouchableOpacity, TouchableWithoutFeedback, Keyboard, Clipboard } from 'react-native';
+import { connect } from 'react-redux';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { set2FAStatus } from 'shared-modules/actions/settings';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { logAuditEvent } from 'shared-modules/actions/auditLog';
+import { getThemeFromState } from 'shared-modules/selectors/global';
+import { AUDIT_EVENTS } from 'shared-modules/libs/auditLog';
+import {
+    formatBackupCode,
+    generateBackupCodes,
+    generateTwoFactorConfig,
+    getTwoFactorUri,
+    verifyTwoFactorCode,
+} from 'shared-modules/libs/totp';
+import {
+    authorizeTwoFactor,
+    clearTwoFactorAuthKeyFromKeychain,
+    getTwoFactorAuthKeyFromKeychain,
+    storeTwoFactorAuthKeyInKeychain,
+} from 'libs/keychain';
+import { getRandomBytes } from 'libs/crypto';
+import { width, height } from 'libs/dimensions';
+import { Styling } from 'ui/theme/general';
+import CustomTextInput from 'ui/components/CustomTextInput';
+import CustomQRCode from 'ui/components/CustomQRCode';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import InfoBox from 'ui/components/InfoBox';
+import Button from 'ui/components/Button';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    topContainer: {
+        flex: 11,
+        justifyContent: 'space-around',
+        alignItems: 'center',
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        backgroundColor: 'transparent',
+    },
+    keyText: {
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize2,
+        textAlign: 'center',
+        backgroundColor: 'transparent',
+    },
+    backupCodesText: {
+        fontFamily: 'SourceCodePro-Medium',
+        fontSize: Styling.fontSize4,
+        lineHeight: Styling.fontSize4 * 1.6,
+        textAlign: 'center',
+        backgroundColor: 'transparent',
+    },
+    qrContainer: {
+        backgroundColor: 'white',
+        padding: width / 40,
+        borderRadius: Styling.borderRadius,
+    },
+});
+
+/**
+ * Two-factor authentication settings component
+ */
+class TwoFactorAuth extends Component {
+    static propTypes = {
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        set2FAStatus: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
+        is2FAEnabled: PropTypes.bool.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            config: null,
+            code: '',
+            backupCodes: null,
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('TwoFactorAuth');
+    }
+
+    componentWillUnmount() {
+        delete this.state.config;
+        delete this.state.backupCodes;
+    }
+
+    /**
+     * Generates a new two-factor secret and backup codes for enrolment
+     *
+     * @method startEnrolment
+     */
+    async startEnrolment() {
+        const config = await generateTwoFactorConfig(getRandomBytes);
+
+        this.setState({ config, code: '' });
+    }
+
+    /**
+     * Checks the first authenticator app code and enables two-factor authentication
+     *
+     * @method enable
+     */
+    async enable() {
+        const { t, generateAlert } = this.props;
+        const { config, code } = this.state;
+
+        // Only accept an authenticator app code to make sure the secret was added correctly
+        const { isValid, isBackupCode, config: updatedConfig } = verifyTwoFactorCode(config, code);
+
+        if (!isValid || isBackupCode) {
+            return generateAlert('error', t('twoFA:wrongCode'), t('twoFA:wrongCodeExplanation'));
+        }
+
+        try {
+            await storeTwoFactorAuthKeyInKeychain(global.passwordHash, updatedConfig);
+        } catch (err) {
+            return generateAlert('error', t('global:somethingWentWrong'), t('global:somethingWentWrongTryAgain'));
+        }
+
+        this.props.set2FAStatus(true);
+        this.props.logAuditEvent(AUDIT_EVENTS.twoFAEnabled);
+        this.setState({ config: null, code: '', backupCodes: updatedConfig.backupCodes });
+        generateAlert('success', t('twoFA:twoFAEnabled'), t('twoFA:twoFAEnabledExplanation'));
+    }
+
+    /**
+     * Verifies entered code against stored two-factor configuration
+     *
+     * @method verifyCode
+     * @returns {Promise<boolean>}
+     */
+    async verifyCode() {
+        const { t, generateAlert } = this.props;
+        const { isValid } = await authorizeTwoFactor(global.passwordHash, this.state.code);
+
+        if (!isValid) {
+            generateAlert('error', t('twoFA:wrongCode'), t('twoFA:wrongCodeExplanation'));
+        }
+
+        return isValid;
+    }
+
+    /**
+     * Disables two-factor authentication
+     *
+     * @method disable
+     */
+    async disable() {
+        const { t, generateAlert } = this.props;
+
+        if (!(await this.verifyCode())) {
+            return;
+        }
+
+        await clearTwoFactorAuthKeyFromKeychain();
+        this.props.set2FAStatus(false);
+        this.props.logAuditEvent(AUDIT_EVENTS.twoFADisabled);
+        this.setState({ code: '' });
+        generateAlert('success', t('twoFA:twoFADisabled'), t('twoFA:twoFADisabledExplanation'));
+    }
+
+    /**
+     * Replaces backup codes with a new set
+     *
+     * @method renewBackupCodes
+     */
+    async renewBackupCodes() {
+        const { t, generateAlert } = this.props;
+
+        if (!(await this.verifyCode())) {
+            return;
+        }
+
+        const config = await getTwoFactorAuthKeyFromKeychain(global.passwordHash);
+        const backupCodes = await generateBackupCodes(getRandomBytes);
+
+        await storeTwoFactorAuthKeyInKeychain(global.passwordHash, { ...config, backupCodes });
+        this.setState({ code: '', backupCodes });
+        generateAlert('success', t('twoFA:backupCodesUpdated'), t('twoFA:backupCodesUpdatedExplanation'));
+    }
+
+    /**
+     * Copies text to clipboard
+     *
+     * @method copy
+     * @param {string} text
+     * @param {string} title
+     * @param {string} explanation
+     */
+    copy(text, title, explanation) {
+        Clipboard.setString(text);
+        this.props.generateAlert('success', title, explanation);
+    }
+
+    renderBackupCodes() {
+        const { t, theme } = this.props;
+        const { backupCodes } = this.state;
+        const textColor = { color: theme.body.color };
+        const formattedCodes = backupCodes.map(formatBackupCode).join('\n');
+
+        return (
+            <View style={styles.container}>
+                <View style={styles.topContainer}>
+                    <InfoBox>
+                        <Text style={[styles.infoText, textColor]}>{t('twoFA:backupCodesExplanation')}</Text>
+                    </InfoBox>
+                    <TouchableOpacity
+                        onPress={() =>
+                            this.copy(
+                                formattedCodes,
+                                t('twoFA:backupCodesCopied'),
+                                t('twoFA:backupCodesCopiedExplanation'),
+                            )
+                        }
+                    >
+                        <Text style={[styles.backupCodesText, textColor]}>{formattedCodes}</Text>
+                    </TouchableOpacity>
+                </View>
+                <View style={styles.bottomContainer}>
+                    <SettingsDualFooter
+                        theme={theme}
+                        backFunction={() => this.setState({ backupCodes: null })}
+                        actionFunction={() => this.setState({ backupCodes: null })}
+                        actionName={t('twoFA:savedBackupCodes')}
+                    />
+                </View>
+            </View>
+        );
+    }
+
+    renderEnrolment() {
+        const { t, theme } = this.props;
+        const { config, code } = this.state;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <View style={styles.container}>
+                <View style={styles.topContainer}>
+                    <Text style={[styles.infoText, textColor]}>{t('twoFA:scanQrCode')}</Text>
+                    <View style={styles.qrContainer}>
+                        <CustomQRCode value={getTwoFactorUri(config.secret)} size={height / 5} />
+                    </View>
+                    <TouchableOpacity
+                        onPress={() => this.copy(config.secret, t('twoFA:keyCopied'), t('twoFA:keyCopiedExplanation'))}
+                    >
+                        <Text style={[styles.keyText, textColor]}>{config.secret}</Text>
+                    </TouchableOpacity>
+                    <CustomTextInput
+                        label={t('twoFA:code')}
+                        onValidTextChange={(code) => this.setState({ code })}
+                        containerStyle={{ width: Styling.contentWidth }}
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                        enablesReturnKeyAutomatically
+                        keyboardType="numeric"
+                        returnKeyType="done"
+                        onSubmitEditing={() => this.enable()}
+                        theme={theme}
+                        value={code}
+                    />
+                </View>
+                <View style={styles.bottomContainer}>
+                    <SettingsDualFooter
+                        theme={theme}
+                        hideActionButton={code === ''}
+                        backFunction={() => this.setState({ config: null, code: '' })}
+                        actionFunction={() => this.enable()}
+                        actionName={t('twoFA:enable')}
+                    />
+                </View>
+            </View>
+        );
+    }
+
+    renderManagement() {
+        const { t, theme } = this.props;
+        const { code } = this.state;
+        const textColor = { color: theme.body.color };
+
+        return (
+            <View style={styles.container}>
+                <View style={styles.topContainer}>
+                    <InfoBox>
+                        <Text style={[styles.infoText, textColor]}>{t('twoFA:manageExplanation')}</Text>
+                    </InfoBox>
+                    <CustomTextInput
+                        label={t('twoFA:code')}
+                        onValidTextChange={(code) => this.setState({ code })}
+                        containerStyle={{ width: Styling.contentWidth }}
+                        autoCapitalize="characters"
+                        autoCorrect={false}
+                        enablesReturnKeyAutomatically
+                        returnKeyType="done"
+                        theme={theme}
+                        value={code}
+                    />
+                    <Button
+                        onPress={() => this.renewBackupCodes()}
+                        style={{
+                            wrapper: {
+                                width: width / 1.36,
+                                height: height / 13,
+                                borderRadius: height / 90,
+                                backgroundColor: theme.secondary.color,
+                            },
+                            children: { color: theme.primary.body },
+                        }}
+                        disable={code === ''}
+                    >
+                        {t('twoFA:newBackupCodes')}
+                    </Button>
+                    <View style={{ flex: 0.2 }} />
+                </View>
+                <View style={styles.bottomContainer}>
+                    <SettingsDualFooter
+                        theme={theme}
+                        hideActionButton={code === ''}
+                        backFunction={() => this.props.setSetting('securitySettings')}
+                        actionFunction={() => this.disable()}
+                        actionName={t('twoFA:disable')}
+                    />
+                </View>
+            </View>
+        );
+    }
+
+    render() {
+        const { t, theme, is2FAEnabled } = this.props;
+        const { config, backupCodes } = this.state;
+
+        let content;
+
+        if (backupCodes) {
+            content = this.renderBackupCodes();
+        } else if (config) {
+            content = this.renderEnrolment();
+        } else if (is2FAEnabled) {
+            content = this.renderManagement();
+        } else {
+            content = (
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        <InfoBox>
+                            <Text style={[styles.infoText, { color: theme.body.color }]}>
+                                {t('twoFA:twoFAExplanation')}
+                            </Text>
+                        </InfoBox>
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() => this.props.setSetting('securitySettings')}
+                            actionFunction={() => this.startEnrolment()}
+                            actionName={t('twoFA:enable')}
+                        />
+                    </View>
+                </View>
+            );
+        }
+
+        return <TouchableWithoutFeedback onPress={Keyboard.dismiss}>{content}</TouchableWithoutFeedback>;
+    }
+}
+
+const mapStateToProps = (state) => ({
+    theme: getThemeFromState(state),
+    is2FAEnabled: state.settings.is2FAEnabled,
+});
+
+const mapDispatchToProps = {
+    setSetting,
+    set2FAStatus,
+    generateAlert,
+    logAuditEvent,
+};
+
+export default withTranslation(['twoFA', 'global'])(
+    connect(
+        mapStateToProps,
+        mapDispatchToProps,
+    )(TwoFactorAuth),
+);
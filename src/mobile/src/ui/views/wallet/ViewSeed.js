@@ -6,6 +6,7 @@ import { withTranslation } from 'react-i18next';
 import { View, Text, StyleSheet, Keyboard, TouchableWithoutFeedback, AppState, Animated, Easing } from 'react-native';
 import { setSetting } from 'shared-modules/actions/wallet';
 import { generateAlert } from 'shared-modules/actions/alerts';
+import { logAuditEvent } from 'shared-modules/actions/auditLog';
 import { toggleModalActivity } from 'shared-modules/actions/ui';
 import { getSelectedAccountName, getSelectedAccountMeta } from 'shared-modules/selectors/accounts';
 import { getThemeFromState } from 'shared-modules/selectors/global';
@@ -22,8 +23,10 @@ import SettingsBackButton from 'ui/components/SettingsBackButton';
 import { isAndroid } from 'libs/device';
 import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
 import { tritsToChars } from 'shared-modules/libs/iota/converter';
+import { AUDIT_EVENTS } from 'shared-modules/libs/auditLog';
 import ChecksumComponent from 'ui/components/Checksum';
 import { hash } from 'libs/keychain';
+import withTwoFactorConfirmation from 'ui/components/WithTwoFactorConfirmation';
 
 const styles = StyleSheet.create({
     container: {
@@ -93,6 +96,10 @@ class ViewSeed extends Component {
         generateAlert: PropTypes.func.isRequired,
         /** @ignore */
         toggleModalActivity: PropTypes.func.isRequired,
+        /** @ignore */
+        logAuditEvent: PropTypes.func.isRequired,
+        /** @ignore */
+        confirmTwoFactorCode: PropTypes.func.isRequired,
     };
 
     constructor(props) {
@@ -189,11 +196,15 @@ class ViewSeed extends Component {
         }
         const pwdHash = await hash(this.state.password);
         if (isEqual(global.passwordHash, pwdHash)) {
+            if (!(await this.props.confirmTwoFactorCode(pwdHash))) {
+                return;
+            }
             const seedStore = await new SeedStore[selectedAccountMeta.type](pwdHash, selectedAccountName);
             if (isAndroid) {
                 FlagSecure.activate();
             }
             this.setState({ seed: await seedStore.getSeed() });
+            this.props.logAuditEvent(AUDIT_EVENTS.seedViewed, { accountName: selectedAccountName, method: 'view' });
             this.navigateToStep('isViewingSeed');
         } else {
             this.props.generateAlert(
@@ -330,6 +341,9 @@ const mapDispatchToProps = {
     setSetting,
     generateAlert,
     toggleModalActivity,
+    logAuditEvent,
 };
 
-export default withTranslation(['viewSeed', 'global'])(connect(mapStateToProps, mapDispatchToProps)(ViewSeed));
+export default withTwoFactorConfirmation()(
+    withTranslation(['viewSeed', 'global'])(connect(mapStateToProps, mapDispatchToProps)(ViewSeed)),
+);
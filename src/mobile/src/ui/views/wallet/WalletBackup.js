@@ -0,0 +1,250 @@
+import isEqual from 'lodash/isEqual';
+import keys from 'lodash/keys';
+import React, { Component } from 'react';
+import PropTypes from 'prop-types';
+import { View, Text, StyleSheet, TouchableWithoutFeedback, Keyboard } from 'react-native';
+import { withTranslation } from 'react-i18next';
+import { connect } from 'react-redux';
+import { setSetting } from 'shared-modules/actions/wallet';
+import { generateAlert } from 'shared-modules/actions/alerts';
+import { getAccountInfoFromState } from 'shared-modules/selectors/accounts';
+import { getThemeFromState } from 'shared-modules/selectors/global';
+import { tritsToChars } from 'shared-modules/libs/iota/converter';
+import { createWalletBackup, getSkippedWalletBackupAccounts } from 'shared-modules/libs/walletBackup';
+import { getBackupData } from 'shared-modules/storage';
+import SeedStore from 'libs/SeedStore';
+import { hash } from 'libs/keychain';
+import { width, height } from 'libs/dimensions';
+import { isAndroid } from 'libs/device';
+import { leaveNavigationBreadcrumb } from 'libs/bugsnag';
+import CustomTextInput from 'ui/components/CustomTextInput';
+import SeedVaultExportComponent from 'ui/components/SeedVaultExportComponent';
+import SettingsDualFooter from 'ui/components/SettingsDualFooter';
+import withTwoFactorConfirmation from 'ui/components/WithTwoFactorConfirmation';
+import { Styling } from 'ui/theme/general';
+
+const styles = StyleSheet.create({
+    container: {
+        flex: 1,
+        alignItems: 'center',
+        justifyContent: 'space-between',
+    },
+    topContainer: {
+        flex: 11,
+        justifyContent: 'flex-start',
+        alignItems: 'center',
+        width,
+    },
+    bottomContainer: {
+        flex: 1,
+    },
+    fieldsContainer: {
+        alignItems: 'center',
+        paddingTop: height / 30,
+    },
+    infoText: {
+        fontFamily: 'SourceSansPro-Light',
+        fontSize: Styling.fontSize3,
+        textAlign: 'center',
+        paddingHorizontal: width / 15,
+        paddingBottom: height / 30,
+    },
+});
+
+/** Wallet backup component, exports seeds, accounts, nodes and settings to a password encrypted file */
+class WalletBackup extends Component {
+    static propTypes = {
+        /** @ignore */
+        accountInfo: PropTypes.object.isRequired,
+        /** @ignore */
+        theme: PropTypes.object.isRequired,
+        /** @ignore */
+        t: PropTypes.func.isRequired,
+        /** @ignore */
+        setSetting: PropTypes.func.isRequired,
+        /** @ignore */
+        generateAlert: PropTypes.func.isRequired,
+        /** @ignore */
+        confirmTwoFactorCode: PropTypes.func.isRequired,
+    };
+
+    constructor() {
+        super();
+        this.state = {
+            password: null,
+            isAuthenticated: false,
+            exportStep: 'isViewingGeneralInfo',
+        };
+    }
+
+    componentDidMount() {
+        leaveNavigationBreadcrumb('WalletBackup');
+    }
+
+    componentWillUnmount() {
+        delete this.state.password;
+        delete this.backup;
+    }
+
+    /**
+     * Determines course of action on right button press dependent on current progress step
+     *
+     * @method onNextPress
+     */
+    onNextPress() {
+        const { isAuthenticated, exportStep } = this.state;
+
+        if (!isAuthenticated) {
+            return this.verifyPassword();
+        }
+
+        if (exportStep === 'isExporting' && !isAndroid) {
+            return this.SeedVaultExportComponent.onExportPress();
+        } else if (exportStep === 'isSelectingSaveMethodAndroid') {
+            return this.onBackPress();
+        }
+        return this.SeedVaultExportComponent.onNextPress();
+    }
+
+    /**
+     * Determines previous step transition
+     *
+     * @method onBackPress
+     */
+    onBackPress() {
+        if (this.state.isAuthenticated && this.state.exportStep !== 'isViewingGeneralInfo') {
+            return this.SeedVaultExportComponent.onBackPress();
+        }
+        this.props.setSetting('securitySettings');
+    }
+
+    /**
+     * Gets seeds from keychain and creates wallet backup if correct password is provided
+     *
+     * @method verifyPassword
+     * @returns {Promise<void>}
+     */
+    async verifyPassword() {
+        const { t, accountInfo } = this.props;
+        if (!this.state.password) {
+            return this.props.generateAlert('error', t('login:emptyPassword'), t('login:emptyPasswordExplanation'));
+        }
+        const pwdHash = await hash(this.state.password);
+        if (isEqual(global.passwordHash, pwdHash)) {
+            if (!(await this.props.confirmTwoFactorCode(pwdHash))) {
+                return;
+            }
+            const accountNames = keys(accountInfo).filter((name) => accountInfo[name].meta.type === 'keychain');
+            const seeds = [];
+
+            for (let i = 0; i < accountNames.length; i++) {
+                const seedStore = await new SeedStore.keychain(pwdHash, accountNames[i]);
+                seeds.push({ title: accountNames[i], seed: tritsToChars(await seedStore.getSeed()) });
+            }
+
+            this.backup = { seeds, content: createWalletBackup(getBackupData(), accountNames) };
+            this.setState({ isAuthenticated: true, password: null });
+        } else {
+            this.props.generateAlert(
+                'error',
+                t('global:unrecognisedPassword'),
+                t('global:unrecognisedPasswordExplanation'),
+            );
+        }
+    }
+
+    renderPassword() {
+        const { t, theme, accountInfo } = this.props;
+        const skippedAccounts = getSkippedWalletBackupAccounts(
+            accountInfo,
+            keys(accountInfo).filter((name) => accountInfo[name].meta.type === 'keychain'),
+        );
+
+        return (
+            <View style={styles.fieldsContainer}>
+                <Text style={[styles.infoText, { color: theme.body.color }]}>{t('walletBackup:explanation')}</Text>
+                <Text style={[styles.infoText, { color: theme.body.color }]}>{t('walletBackup:notIncluded')}</Text>
+                {skippedAccounts.length > 0 && (
+                    <Text style={[styles.infoText, { color: theme.body.color }]}>
+                        {t('walletBackup:skippedAccounts', { accounts: skippedAccounts.join(', ') })}
+                    </Text>
+                )}
+                <CustomTextInput
+                    label={t('global:password')}
+                    onValidTextChange={(password) => this.setState({ password })}
+                    containerStyle={{ width: Styling.contentWidth }}
+                    autoCapitalize="none"
+                    autoCorrect={false}
+                    enablesReturnKeyAutomatically
+                    returnKeyType="done"
+                    secureTextEntry
+                    onSubmitEditing={() => this.verifyPassword()}
+                    value={this.state.password}
+                    theme={theme}
+                    isPasswordInput
+                />
+            </View>
+        );
+    }
+
+    renderExport() {
+        const { exportStep } = this.state;
+
+        return (
+            <SeedVaultExportComponent
+                step={exportStep}
+                setProgressStep={(step) => this.setState({ exportStep: step })}
+                goBack={() => this.props.setSetting('securitySettings')}
+                onRef={(ref) => {
+                    this.SeedVaultExportComponent = ref;
+                }}
+                isAuthenticated
+                title="Trinity-backup"
+                backup={this.backup}
+            />
+        );
+    }
+
+    render() {
+        const { t, theme } = this.props;
+        const { isAuthenticated, exportStep } = this.state;
+
+        return (
+            <TouchableWithoutFeedback onPress={Keyboard.dismiss}>
+                <View style={styles.container}>
+                    <View style={styles.topContainer}>
+                        {isAuthenticated ? this.renderExport() : this.renderPassword()}
+                    </View>
+                    <View style={styles.bottomContainer}>
+                        <SettingsDualFooter
+                            theme={theme}
+                            backFunction={() => this.onBackPress()}
+                            actionFunction={() => this.onNextPress()}
+                            actionName={
+                                exportStep === 'isExporting' && !isAndroid
+                                    ? t('global:export')
+                                    : exportStep === 'isSelectingSaveMethodAndroid'
+                                    ? t('global:done')
+                                    : t('global:next')
+                            }
+                        />
+                    </View>
+                </View>
+            </TouchableWithoutFeedback>
+        );
+    }
+}
+
+const mapStateToProps = (state) => ({
+    accountInfo: getAccountInfoFromState(state),
+    theme: getThemeFromState(state),
+});
+
+const mapDispatchToProps = {
+    setSetting,
+    generateAlert,
+};
+
+export default withTwoFactorConfirmation()(
+    withTranslation(['walletBackup', 'global'])(connect(mapStateToProps, mapDispatchToProps)(WalletBackup)),
+);
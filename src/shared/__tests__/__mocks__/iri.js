@@ -0,0 +1,533 @@
+import http from 'http';
+import IOTA from 'iota.lib.js';
+import assign from 'lodash/assign';
+import every from 'lodash/every';
+import filter from 'lodash/filter';
+import includes from 'lodash/includes';
+import isEmpty from 'lodash/isEmpty';
+import isFunction from 'lodash/isFunction';
+import last from 'lodash/last';
+import map from 'lodash/map';
+import padEnd from 'lodash/padEnd';
+import reduce from 'lodash/reduce';
+import some from 'lodash/some';
+import sumBy from 'lodash/sumBy';
+import union from 'lodash/union';
+import uniq from 'lodash/uniq';
+import values from 'lodash/values';
+
+const iota = new IOTA();
+
+/**
+ * Port the mock node listens on by default (DEFAULT_NODE in test environment)
+ */
+export const MOCK_NODE_PORT = 14265;
+
+/**
+ * Address milestones are issued from
+ */
+export const COORDINATOR_ADDRESS = padEnd('COORDINATOR', 81, '9');
+
+const EMPTY_HASH_TRYTES = '9'.repeat(81);
+const EMPTY_TAG_TRYTES = '9'.repeat(27);
+
+const MAX_TIMESTAMP_VALUE = (Math.pow(3, 27) - 1) / 2;
+
+/**
+ * Creates trytes for a (zero value) milestone transaction
+ *
+ * @method createMilestoneTrytes
+ * @param {number} index - Milestone index
+ * @param {string} trunkTransaction - Previous milestone
+ * @param {string} branchTransaction - Confirmed transaction
+ *
+ * @returns {string}
+ */
+const createMilestoneTrytes = (index, trunkTransaction, branchTransaction) =>
+    iota.utils.transactionTrytes({
+        signatureMessageFragment: '9'.repeat(2187),
+        address: COORDINATOR_ADDRESS,
+        value: 0,
+        obsoleteTag: EMPTY_TAG_TRYTES,
+        timestamp: Math.floor(Date.now() / 1000),
+        currentIndex: 0,
+        lastIndex: 0,
+        bundle: padEnd(iota.utils.toTrytes(`MILESTONE${index}`), 81, '9'),
+        trunkTransaction,
+        branchTransaction,
+        tag: padEnd(iota.utils.toTrytes(`${index}`), 27, '9'),
+        attachmentTimestamp: Date.now(),
+        attachmentTimestampLowerBound: 0,
+        attachmentTimestampUpperBound: MAX_TIMESTAMP_VALUE,
+        nonce: EMPTY_TAG_TRYTES,
+    });
+
+/**
+ * Strips checksums from (90 trytes) addresses
+ *
+ * @method removeChecksums
+ * @param {array} addresses
+ *
+ * @returns {array}
+ */
+const removeChecksums = (addresses) => map(addresses, (address) => address.slice(0, 81));
+
+/**
+ * Creates a scriptable IRI node, backed by an in-memory tangle.
+ * Implements the API commands used by libs/iota/extendedApi, so that wallet flows can be run end-to-end against it
+ *
+ * @method createMockNode
+ * @param {object} [options]
+ * @param {string} [options.appVersion]
+ * @param {array} [options.features] - Leave out 'RemotePOW' to disable attachToTangle
+ * @param {number} [options.milestoneIndex] - Index of the initial milestone
+ *
+ * @returns {object}
+ */
+export const createMockNode = ({ appVersion = '1.8.6', features = ['RemotePOW'], milestoneIndex = 1 } = {}) => {
+    // Transaction objects (including trytes) keyed by hash
+    let transactions = {};
+    // Hashes of confirmed transactions
+    let confirmed = [];
+    // Balances carried over from the last (global) snapshot, keyed by address
+    let snapshotBalances = {};
+    let spentAddresses = [];
+    let milestone = null;
+    let responses = {};
+    let server = null;
+
+    const requests = [];
+
+    /**
+     * Adds transaction trytes to the tangle
+     *
+     * @method addTransactions
+     * @param {array} trytes
+     *
+     * @returns {array} - Transaction objects
+     */
+    const addTransactions = (trytes) =>
+        map(trytes, (tryteString) => {
+            const transaction = assign({}, iota.utils.transactionObject(tryteString), { trytes: tryteString });
+
+            transactions[transaction.hash] = transaction;
+
+            return transaction;
+        });
+
+    /**
+     * Issues a new milestone, confirming the provided transactions
+     *
+     * @method issueMilestone
+     * @param {array} [hashes]
+     *
+     * @returns {object} - Milestone transaction object
+     */
+    const issueMilestone = (hashes = []) => {
+        const index = milestone ? milestone.index + 1 : milestoneIndex;
+        const trunkTransaction = milestone ? milestone.hash : EMPTY_HASH_TRYTES;
+        const branchTransaction = hashes.length ? last(hashes) : trunkTransaction;
+
+        const [transaction] = addTransactions([createMilestoneTrytes(index, trunkTransaction, branchTransaction)]);
+
+        milestone = { index, hash: transaction.hash };
+        confirmed = union(confirmed, hashes, [transaction.hash]);
+
+        return transaction;
+    };
+
+    /**
+     * Gets all transactions of a bundle (instance) by its tail transaction
+     *
+     * @method getBundleInstance
+     * @param {string} tailTransactionHash
+     *
+     * @returns {array}
+     */
+    const getBundleInstance = (tailTransactionHash) => {
+        const bundle = [];
+        let transaction = transactions[tailTransactionHash];
+
+        while (transaction) {
+            bundle.push(transaction);
+
+            transaction =
+                transaction.currentIndex < transaction.lastIndex ? transactions[transaction.trunkTransaction] : null;
+        }
+
+        return bundle;
+    };
+
+    /**
+     * Confirms transactions (and the rest of their bundles if tail transactions are provided)
+     *
+     * @method confirm
+     * @param {array} hashes
+     *
+     * @returns {object} - Milestone transaction object
+     */
+    const confirm = (hashes) =>
+        issueMilestone(
+            uniq(
+                reduce(
+                    hashes,
+                    (acc, hash) => [...acc, hash, ...map(getBundleInstance(hash), (transaction) => transaction.hash)],
+                    [],
+                ),
+            ),
+        );
+
+    /**
+     * Gets confirmed balance of an address
+     *
+     * @method getBalance
+     * @param {string} address
+     *
+     * @returns {number}
+     */
+    const getBalance = (address) =>
+        (snapshotBalances[address] || 0) +
+        sumBy(
+            filter(values(transactions), (transaction) => transaction.address === address),
+            (transaction) => (includes(confirmed, transaction.hash) ? transaction.value : 0),
+        );
+
+    /**
+     * Sets the (snapshot) balance of an address
+     *
+     * @method setBalance
+     * @param {string} address
+     * @param {number} balance
+     */
+    const setBalance = (address, balance) => {
+        const confirmedBalance = getBalance(address) - (snapshotBalances[address] || 0);
+
+        snapshotBalances[address] = balance - confirmedBalance;
+    };
+
+    /**
+     * Marks an address as spent
+     *
+     * @method setSpent
+     * @param {string} address
+     */
+    const setSpent = (address) => {
+        spentAddresses = union(spentAddresses, [address]);
+    };
+
+    /**
+     * Checks if an address was spent from, either by a spent address record or a (pending) input transaction
+     *
+     * @method wasSpentFrom
+     * @param {string} address
+     *
+     * @returns {boolean}
+     */
+    const wasSpentFrom = (address) =>
+        includes(spentAddresses, address) ||
+        some(values(transactions), (transaction) => transaction.address === address && transaction.value < 0);
+
+    /**
+     * Performs a global snapshot. Confirmed balances are kept, all transactions are pruned
+     *
+     * @method snapshot
+     */
+    const snapshot = () => {
+        const addresses = uniq(map(values(transactions), (transaction) => transaction.address));
+
+        snapshotBalances = reduce(
+            union(Object.keys(snapshotBalances), addresses),
+            (acc, address) => assign(acc, { [address]: getBalance(address) }),
+            {},
+        );
+        spentAddresses = filter(union(spentAddresses, addresses), wasSpentFrom);
+        transactions = {};
+        confirmed = [];
+        milestone = null;
+
+        issueMilestone();
+    };
+
+    /**
+     * Attaches transaction trytes like IRI does, but without performing proof-of-work
+     *
+     * @method attachToTangle
+     * @param {string} trunkTransaction
+     * @param {string} branchTransaction
+     * @param {array} trytes
+     *
+     * @returns {array}
+     */
+    const attachToTangle = (trunkTransaction, branchTransaction, trytes) => {
+        let previousTransactionHash = null;
+
+        return map(trytes, (tryteString) => {
+            const attachedTrytes = iota.utils.transactionTrytes(
+                assign({}, iota.utils.transactionObject(tryteString, EMPTY_HASH_TRYTES), {
+                    trunkTransaction: previousTransactionHash || trunkTransaction,
+                    branchTransaction: previousTransactionHash ? trunkTransaction : branchTransaction,
+                    attachmentTimestamp: Date.now(),
+                    attachmentTimestampLowerBound: 0,
+                    attachmentTimestampUpperBound: MAX_TIMESTAMP_VALUE,
+                }),
+            );
+
+            previousTransactionHash = iota.utils.transactionObject(attachedTrytes).hash;
+
+            return attachedTrytes;
+        });
+    };
+
+    /**
+     * Finds transaction hashes like IRI does, intersecting results of each provided search field
+     *
+     * @method findTransactions
+     * @param {object} fields - { addresses, bundles, tags, approvees }
+     *
+     * @returns {array}
+     */
+    const findTransactions = ({ addresses, bundles, tags, approvees }) => {
+        const criteria = filter(
+            [
+                addresses && ((transaction) => includes(removeChecksums(addresses), transaction.address)),
+                bundles && ((transaction) => includes(bundles, transaction.bundle)),
+                tags &&
+                    ((transaction) =>
+                        includes(
+                            map(tags, (tag) => padEnd(tag, 27, '9')),
+                            transaction.tag,
+                        )),
+                approvees &&
+                    ((transaction) =>
+                        includes(approvees, transaction.trunkTransaction) ||
+                        includes(approvees, transaction.branchTransaction)),
+            ],
+            isFunction,
+        );
+
+        return map(
+            filter(values(transactions), (transaction) => every(criteria, (criterion) => criterion(transaction))),
+            (transaction) => transaction.hash,
+        );
+    };
+
+    const commands = {
+        getNodeInfo: () => ({
+            appName: 'IRI',
+            appVersion,
+            latestMilestone: milestone.hash,
+            latestMilestoneIndex: milestone.index,
+            latestSolidSubtangleMilestone: milestone.hash,
+            latestSolidSubtangleMilestoneIndex: milestone.index,
+            milestoneStartIndex: milestoneIndex,
+            neighbors: 0,
+            tips: 0,
+            transactionsToRequest: 0,
+            time: Date.now(),
+            features,
+            coordinatorAddress: COORDINATOR_ADDRESS,
+        }),
+        getBalances: ({ addresses }) => ({
+            balances: map(removeChecksums(addresses), (address) => String(getBalance(address))),
+            references: [milestone.hash],
+            milestoneIndex: milestone.index,
+        }),
+        wereAddressesSpentFrom: ({ addresses }) => ({
+            states: map(removeChecksums(addresses), wasSpentFrom),
+        }),
+        findTransactions: (request) => ({
+            hashes: findTransactions(request),
+        }),
+        getTrytes: ({ hashes }) => ({
+            trytes: map(hashes, (hash) => (transactions[hash] ? transactions[hash].trytes : '9'.repeat(2673))),
+        }),
+        getInclusionStates: ({ transactions: hashes }) => ({
+            states: map(hashes, (hash) => includes(confirmed, hash)),
+        }),
+        getTransactionsToApprove: ({ reference }) => {
+            if (reference && !transactions[reference]) {
+                throw new Error('Invalid parameters');
+            }
+
+            return {
+                trunkTransaction: reference || milestone.hash,
+                branchTransaction: milestone.hash,
+                duration: 0,
+            };
+        },
+        attachToTangle: ({ trunkTransaction, branchTransaction, trytes }) => {
+            if (!includes(features, 'RemotePOW')) {
+                throw new Error('COMMAND attachToTangle is not available on this node');
+            }
+
+            if (!trunkTransaction || !branchTransaction || isEmpty(trytes)) {
+                throw new Error('Invalid parameters');
+            }
+
+            return { trytes: attachToTangle(trunkTransaction, branchTransaction, trytes) };
+        },
+        storeTransactions: ({ trytes }) => {
+            addTransactions(trytes);
+
+            return {};
+        },
+        broadcastTransactions: ({ trytes }) => {
+            addTransactions(trytes);
+
+            return {};
+        },
+        checkConsistency: ({ tails }) => {
+            const state = every(tails, (hash) => transactions[hash] && transactions[hash].currentIndex === 0);
+
+            return state ? { state } : { state, info: 'tails are not consistent' };
+        },
+    };
+
+    /**
+     * Handles an API request
+     *
+     * @method handleRequest
+     * @param {object} request - Parsed request body
+     *
+     * @returns {object} - { status, body }
+     */
+    const handleRequest = (request) => {
+        const { command } = request;
+        const defaultHandler = commands[command];
+
+        requests.push(request);
+
+        if (!defaultHandler) {
+            return { status: 400, body: { error: `Command [${command}] is unknown` } };
+        }
+
+        try {
+            const handler = responses[command] || defaultHandler;
+
+            return { status: 200, body: handler(request, defaultHandler) };
+        } catch (error) {
+            return { status: 400, body: { error: error.message } };
+        }
+    };
+
+    /**
+     * Overrides the response to a command, e.g. to simulate node errors.
+     * Handlers receive the request and the default handler, and may throw to respond with an error
+     *
+     * @method setResponse
+     * @param {string} command
+     * @param {function} handler - (request, defaultHandler) => responseBody
+     */
+    const setResponse = (command, handler) => {
+        responses[command] = handler;
+    };
+
+    /**
+     * Starts an HTTP server for the node
+     *
+     * @method listen
+     * @param {number} [port]
+     *
+     * @returns {Promise<string>} - Node url
+     */
+    const listen = (port = MOCK_NODE_PORT) =>
+        new Promise((resolve, reject) => {
+            server = http.createServer((req, res) => {
+                let data = '';
+
+                req.on('data', (chunk) => {
+                    data += chunk;
+                });
+
+                req.on('end', () => {
+                    let response;
+
+                    try {
+                        response = handleRequest(JSON.parse(data));
+                    } catch (error) {
+                        response = { status: 400, body: { error: 'Invalid JSON' } };
+                    }
+
+                    res.writeHead(response.status, {
+                        'Content-Type': 'application/json',
+                        'Access-Control-Allow-Origin': '*',
+                    });
+                    res.end(JSON.stringify(response.body));
+                });
+            });
+
+            server.once('error', reject);
+            server.listen(port, 'localhost', () => resolve(`http://localhost:${port}`));
+        });
+
+    /**
+     * Stops the HTTP server of the node
+     *
+     * @method close
+     *
+     * @returns {Promise}
+     */
+    const close = () =>
+        new Promise((resolve) => {
+            if (!server) {
+                return resolve();
+            }
+
+            server.close(() => resolve());
+            server = null;
+        });
+
+    /**
+     * Resets the tangle, scripted responses and request log
+     *
+     * @method reset
+     */
+    const reset = () => {
+        transactions = {};
+        confirmed = [];
+        snapshotBalances = {};
+        spentAddresses = [];
+        milestone = null;
+        responses = {};
+        requests.length = 0;
+
+        issueMilestone();
+    };
+
+    reset();
+
+    return {
+        /**
+         * Returns latest milestone { index, hash }
+         */
+        get milestone() {
+            return milestone;
+        },
+        /**
+         * Returns all transaction objects in the tangle
+         */
+        get transactions() {
+            return values(transactions);
+        },
+        /**
+         * Returns all requests made to the node
+         */
+        requests,
+        addTransactions,
+        getBundleInstance,
+        issueMilestone,
+        confirm,
+        isConfirmed: (hash) => includes(confirmed, hash),
+        getBalance,
+        setBalance,
+        setSpent,
+        wasSpentFrom,
+        snapshot,
+        findTransactions,
+        handleRequest,
+        setResponse,
+        listen,
+        close,
+        reset,
+    };
+};
@@ -0,0 +1,40 @@
+// Seed of a test account, used to sign value bundles
+const seed = 'TRINITY99999999999999999999999999999999999999999999999999999999999999999999999999';
+
+// First addresses (security level 2) of seed, so that accounts can be synced without generating addresses
+const seedAddresses = [
+    'MTBKWQCFWUUHPOQBEB9KZFQSWHUPCEYYWWAXMMQKNSYSMCVYLGNTZDFMMMCYHGNO9KQPMEHFXOTXVCWE9',
+    'QLTZOVYTWOVQEUJVOLDMFWZSHAMCLUANTNSUKNA9KPGESTVMWXSVHEXAZPNPQLWBVKDPWYBDZEZMPYFFD',
+    'NXQXLSDFUHLNIVCYEKMFQUAV9QWGZDBVIPIEMSVTIFRXFFDJZYXEMRAGZWVTXBLGAIJCP9DJFQWDHLSQX',
+    'WYMFOQTQURQNIWHSWVMFCABHAEMKWLCRTSPJNMTSBPOXNTUGOHLUQHWGAFPWKR9RAEFHE9KSNUZBPBOHZ',
+    'FORHTALLLRESWYGOBMMWUFIT9RVMFWHBT9EEMXQKNQQPPLVINZCVDHFLBRNESXDHCZIWRWKIXNWNQFRTA',
+    'QJITYAJIYQURLQXXWDEIYXSVTDQDZSUIJONTGAEUSMUYGUWQUDHSIKFYQJMPJAVPLVDDYUQMYNHOM9YHB',
+    'HC9GFNKMOFDJMEXBQ9CUARSVLGDJYXMXXPWHUNABBODHBJYFSOOKWMIBHWYEILP9OZPNEKUVMJPHBLEEZ',
+    'ZAALGSGC9FUAFSTOUIGHXQDYPZJVPFFVCMYBMXXQQDWWTIOWJ9KNP9ZMQZFSSMUTOLHZXSVRSYMNHWCYW',
+    'WMREXSEXIYZEPSODLSVQUIEBFMFXFYNFEKTRDVNJCHHSHWZEXSCSLKSXQ9WGGLLLANSN9MP9NQ9SEPRDX',
+    'XWSWPNUCUORMMZXNURMCCYLXACFBHZXSOJQNPRW9VHX9WO9JXOZEIK9Q9BOHAGVJYBSEH9BIQAYJLEBEC',
+    'MJSQMZEDQCDQXSX9B9MD9CYMLUFXJTVPWRNWKHBOPJIMRQOGBAVOJBRUWPFYFGEXVHIJXBTHU9WUGEINB',
+    'FZJFKQURLUQFVWNOUAREPESAGGJQMYUUXWXLMJZULMWUQCEXT9QICOSHPOQWN9ZABXTCIMGHCXAI9ZWHW',
+    'YJCHWZQP9QXPOYFPNRLFXBSCXEJYFOIZYUQVMPNSTPBAAWSIWQCSNGYUJGBMLFULEMCDWVYKXQUEDVIIX',
+    'OQ9IG9HA9CFSEPOFZXGZPHWGUYMZUHATLIRDHTBOAWZHROINBFUE9LILPRROCHZELXWQPPQBECGYZGHZW',
+    'GEWRNDKBBVJLKXXMHYXRAMKRVY99FDAZDJPJNNCOCQAOEKKLWVGWCXPQBWYOZPONEWZGPBMEROGKKRBIC',
+    'IKZPGBLIM99YOXXTU9QVCRSS9MOO9MVELJX9FUTQYQJTKIJVNNWWIQDPKCEPZPDCKQQXOKKCRPDIKGZ9C',
+    'LLKKEQSKLYBKHOYORPJBNSNZPVQOTQYOTMVKOCZSIGDVHUXWFMXZFLOZPHKTBJUWPGVNSAJJPKVXFUTSX',
+    'GZ9MGUPNCKNYJBYINKMHVHOKENTEURPUFBEVYHZNTLNULPKC9DPZPRJW9PJTPENCF9TJVSBHQHCYBTXYC',
+    'KZBVVBUCPQREELLKLINULDUAOTAXKXVUTVBPTFRV9BGMAQJPREKNNTFJQWIRFSQ9ICZXFYJLFJHTRTUYB',
+    'LWS9DZREKUX9HWBDELUVH9AMZS9JPOGYMHFTQHRYDELPDICUQCDQANOZVTHSCBT9UTUPVY9UFFWPLSQ9A',
+    'FKFUSETJZCRGC9JDLFS9BOCWNTVSFNUGIRWVXCDRWLEFOTNWXCRPPYENPROZAXUWYZPMJVEYPWMGKGTNW',
+    'DGGBJZGCXJCHEEZIWAEXNICLAIRSJUYJAITRSXAYPRVIX9WNMGVALMEMKUEBKOPOT9GSLZPBKUQODWRSW',
+    'TYQZMILJYKL9VTSRPBCVBJGEWKOTEBEIDKQXAPBUQVVYPOLVVPIDLCMMKAIGQWCDBHTFDW9UCLVUXQRMZ',
+    'LXSFY9LETDBTROAPIHXSHCQQICEPJFYJAWNBNUXMLUHUURQMAOD9SQV9BLQBVLSTONXVAUVXFRAFRGHLA',
+    'YDCCYE9NUOXB9ZMW9APACERVNYUWUTWDBOCB9YQOS9HQVME9DZBILKEPI9GZEZOUYREWJKETLIYRGXRBD',
+    'AWQUA9JIQKHMMIA9ZG9VZBIPIKCAYEZY9IMDEZWEHUSZYGGCVUSTPBPQXGSZTAYBFCFIWTIUDYHOUSBCA',
+    'QKHKUMABJLJLPZLEQG9KSEBDSQUIIUOZROMOSWAEBGCKZQWBKHNVKUZIOFKFQFIVY9WN9XLM9UIENJYBZ',
+    'AXYKICKRJRDENZLFXXRGWKLRJPPTGERILNYELYCMJZROBZHGKHGFHSFHNFUOHRMNKVMSMFJBDJYUTETSD',
+    'DZMQZWIDCXLTAF9VSCUWTXIHTVZQOGEINXZDYFZLIDHERAGPRER9VABCMNPLZJZAZUCLLP9XINGPQYQ9Y',
+    'NZGOKRYIEFXMJCLVHKYEUNKOVUTWBW9LSS9NLSPQXLULA9TGIPLDHZUFZJROBGYKYWYXEFEBQK9LWUATW',
+];
+
+export default seedAddresses;
+
+export { seed };
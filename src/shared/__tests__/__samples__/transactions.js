@@ -587,6 +587,7 @@ const normalisedTransactions = {
         incoming: true,
         transferValue: 0,
         message: 'Trinity test zero value one',
+        tag: 'TRINITY',
         tailTransactions: [
             {
                 hash: 'SATTUQCNMVTAIADHRQGC9SINCOYHDFQ9CZLTDESRKTWDJICSVLGRQVDFTHBDEACYFJURHBCLJPIBZ9999',
@@ -639,6 +640,7 @@ const normalisedTransactions = {
         incoming: true,
         transferValue: 1,
         message: 'Trinity test transaction one',
+        tag: 'TRINITY',
         tailTransactions: [
             {
                 hash: 'MFZXHOXKGVVBDGSVXIGEFBFDXICQDK9UQFVSQCAJMZICRXDGBRZMHHJUGTDPWTEHWSREZFDCRRYD99999',
@@ -687,6 +689,7 @@ const normalisedTransactions = {
         incoming: false,
         transferValue: 1,
         message: 'Trinity test transaction two',
+        tag: 'TRINITY',
         tailTransactions: [
             {
                 hash: 'GERAGOPQB9ULOVZJWJWQQ9ONFRNAIECCAHCMIGDOWSLJOKKDFGBFYZYGMU9UVEW9DOMKDE9VPSLJZ9999',
@@ -739,6 +742,7 @@ const normalisedTransactions = {
         incoming: true,
         transferValue: 5,
         message: 'Trinity test transaction three',
+        tag: 'TRINITY',
         tailTransactions: [
             {
                 hash: 'AWHIUDGXYYMKHGOJMDTMYPAOZHWCDUWEXH9HCNWPGXEXTJLQQHELQYZLCUC9UDNUHQUFGLKGNKENZ9999',
@@ -783,6 +787,7 @@ const normalisedTransactions = {
         incoming: false,
         transferValue: 5,
         message: 'Trinity test transaction four',
+        tag: 'TRINITY',
         tailTransactions: [
             {
                 hash: 'IXZUUKVWLWPWWTJWGSAO9GUVVDCEYOUNJRTPPDQVAJQKGTLSZHDHUPGBNJJPZHZADJENZQ9MGQVR99999',
@@ -827,6 +832,7 @@ const normalisedTransactions = {
         incoming: false,
         transferValue: 1,
         message: 'Trinity test transaction six (failed)',
+        tag: 'TRINITY',
         tailTransactions: [
             {
                 hash: 'ULVGVNQB9QBUEVHZZUWFIEFXFCODGMWQUKJFCA9QZOQPESMWGEVOWEYKIGPGUGUBI9DGIHBTUOPWZ9999',
@@ -871,6 +877,7 @@ const normalisedTransactions = {
         incoming: false,
         transferValue: 2,
         message: 'Trinity test transaction eight (failed)',
+        tag: 'TRINITY',
         tailTransactions: [
             {
                 hash: 'JTBWOTAADTOSUQDQYLS9NW9NCIM9ZQGICGXWUAVLEUUZKJYNPMFTDDBBCFBX9OXWMGQOEVMXNMHXKOQNE',
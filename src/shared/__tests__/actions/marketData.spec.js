@@ -0,0 +1,71 @@
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import map from 'lodash/map';
+import { getMarketData } from '../../actions/marketData';
+import { createMockProvider } from '../../libs/marketData/providers/mock';
+import Errors from '../../libs/errors';
+import { MarketData, PriceHistory } from '../../storage';
+
+const middlewares = [thunk];
+const mockStore = configureMockStore(middlewares);
+
+describe('actions: marketData', () => {
+    describe('#getMarketData', () => {
+        let marketDataStub;
+        let priceHistoryStub;
+
+        beforeEach(() => {
+            marketDataStub = sinon.stub(MarketData, 'update');
+            priceHistoryStub = sinon.stub(PriceHistory, 'update');
+        });
+
+        afterEach(() => {
+            marketDataStub.restore();
+            priceHistoryStub.restore();
+        });
+
+        describe('when provider is reachable', () => {
+            it('should set market data and persist it as last known good market data', () => {
+                const store = mockStore({ settings: { marketDataProvider: 'mock' }, priceHistory: { currencies: {} } });
+
+                return getMarketData(store.dispatch, store.getState, createMockProvider()).then((result) => {
+                    expect(result).to.equal(true);
+                    expect(map(store.getActions(), 'type')).to.eql([
+                        'IOTA/MARKET_DATA/SET_PRICE',
+                        'IOTA/MARKET_DATA/SET_CHART_DATA',
+                        'IOTA/PRICE_HISTORY/UPDATE_PRICE_HISTORY',
+                        'IOTA/MARKET_DATA/SET_STATISTICS',
+                        'IOTA/MARKET_DATA/SET_RATES_DATA',
+                        'IOTA/MARKET_DATA/SET_LAST_UPDATED',
+                    ]);
+
+                    expect(marketDataStub.calledOnce).to.equal(true);
+                    expect(marketDataStub.args[0][0]).to.equal('mock');
+                    expect(store.getActions()[5]).to.include({
+                        provider: 'mock',
+                        timestamp: marketDataStub.args[0][1],
+                    });
+                });
+            });
+        });
+
+        describe('when provider is unreachable', () => {
+            it('should throw without changing market data', () => {
+                const store = mockStore({ settings: { marketDataProvider: 'mock' }, priceHistory: { currencies: {} } });
+
+                return getMarketData(store.dispatch, store.getState, createMockProvider({ offline: true })).then(
+                    () => {
+                        throw new Error();
+                    },
+                    (error) => {
+                        expect(error.message).to.equal(Errors.MARKET_DATA_FAILURE);
+                        expect(store.getActions()).to.eql([]);
+                        expect(marketDataStub.called).to.equal(false);
+                    },
+                );
+            });
+        });
+    });
+});
@@ -0,0 +1,85 @@
+import map from 'lodash/map';
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import * as actions from '../../actions/sendPolicies';
+import { Account } from '../../storage';
+
+const middlewares = [thunk];
+const mockStore = configureMockStore(middlewares);
+
+describe('actions: sendPolicies', () => {
+    describe('#updateSendPolicy', () => {
+        const sendPolicy = {
+            dailyLimit: 100,
+            weeklyLimit: 500,
+            passwordThreshold: 50,
+            allowlistOnly: true,
+            newRecipientDelay: 24,
+        };
+
+        let sandbox;
+
+        const getStore = (isSendPasswordConfirmed) =>
+            mockStore({
+                accounts: { accountInfo: { TEST: { sendPolicy } } },
+                ui: { isSendPasswordConfirmed },
+            });
+
+        beforeEach(() => {
+            sandbox = sinon.sandbox.create();
+            sandbox.stub(Account, 'update').returns(undefined);
+        });
+
+        afterEach(() => {
+            sandbox.restore();
+        });
+
+        describe('when the policy is relaxed', () => {
+            const policy = { ...sendPolicy, dailyLimit: 1000, weeklyLimit: 5000 };
+
+            it('should not save the policy if password is not confirmed', () => {
+                const store = getStore(false);
+
+                expect(store.dispatch(actions.updateSendPolicy('TEST', policy))).to.equal(false);
+                expect(map(store.getActions(), 'type')).to.eql(['IOTA/ALERTS/SHOW']);
+                expect(store.getActions()[0].category).to.equal('error');
+                expect(Account.update.called).to.equal(false);
+            });
+
+            it('should not save a cleared policy if password is not confirmed', () => {
+                const store = getStore(false);
+
+                expect(store.dispatch(actions.updateSendPolicy('TEST', {}))).to.equal(false);
+                expect(Account.update.called).to.equal(false);
+            });
+
+            it('should save the policy and clear password confirmation if password is confirmed', () => {
+                const store = getStore(true);
+
+                expect(store.dispatch(actions.updateSendPolicy('TEST', policy))).to.equal(true);
+                expect(map(store.getActions(), 'type')).to.eql([
+                    'IOTA/UI/SET_SEND_PASSWORD_CONFIRMED',
+                    'IOTA/ACCOUNTS/SET_SEND_POLICY',
+                    'IOTA/ALERTS/SHOW',
+                ]);
+                expect(store.getActions()[0].payload).to.equal(false);
+                expect(store.getActions()[1].payload).to.eql({ accountName: 'TEST', policy });
+                expect(Account.update.calledOnce).to.equal(true);
+            });
+        });
+
+        describe('when the policy is tightened', () => {
+            it('should save the policy without password confirmation', () => {
+                const store = getStore(false);
+                const policy = { ...sendPolicy, dailyLimit: 50, newRecipientDelay: 48 };
+
+                expect(store.dispatch(actions.updateSendPolicy('TEST', policy))).to.equal(true);
+                expect(map(store.getActions(), 'type')).to.eql(['IOTA/ACCOUNTS/SET_SEND_POLICY', 'IOTA/ALERTS/SHOW']);
+                expect(store.getActions()[0].payload).to.eql({ accountName: 'TEST', policy });
+                expect(Account.update.calledOnce).to.equal(true);
+            });
+        });
+    });
+});
@@ -668,4 +668,225 @@ describe('actions: transfers', () => {
             });
         });
     });
+
+    describe('#prepareUnsignedTransfer', () => {
+        describe('when account is watch-only', () => {
+            it('should use an unused known address as remainder and keep the unsigned transfer', () => {
+                const store = mockStore({
+                    accounts: {
+                        ...accounts,
+                        accountInfo: { TEST: { ...accounts.accountInfo.TEST, meta: { type: 'watchonly' } } },
+                    },
+                    settings: { quorum: {} },
+                });
+
+                class WatchOnly {
+                    static get isWatchOnly() {
+                        return true;
+                    }
+                }
+
+                const wereAddressesSpentFrom = sinon.stub(quorum, 'wereAddressesSpentFrom').resolves([false]);
+
+                // Stub syncAccount implementation and return mocked address data
+                const syncAccount = sinon.stub(accountsUtils, 'syncAccount').returns(() =>
+                    Promise.resolve({
+                        transactions: [],
+                        addressData,
+                    }),
+                );
+
+                const getInputs = sinon.stub(inputUtils, 'getInputs').returns(() =>
+                    Promise.resolve({
+                        inputs: [
+                            {
+                                address:
+                                    'JEFTSJGSNYGDSYHTCIZF9WXPWGHOPKRJSGXGNNZIUJUZGOFEGXRHPJVGPUZNIZMQ9QSNAITO9QUYQZZEC',
+                                balance: 10,
+                                keyIndex: 8,
+                                security: 2,
+                            },
+                        ],
+                    }),
+                );
+
+                return store
+                    .dispatch(
+                        actions.prepareUnsignedTransfer(
+                            new WatchOnly(),
+                            [{ address: 'A'.repeat(81), value: 5, message: '' }],
+                            'TEST',
+                        ),
+                    )
+                    .then((unsignedTransfer) => {
+                        // First unused address of known address data (index 4)
+                        expect(unsignedTransfer.remainder).to.eql({
+                            address:
+                                'RRHMYUP9RNBBNAORNMNHYTLJZWXCWKOYV9TVQPGPKDNTTSTVLCXCDKDKPILANYIOPOHBTNAXZ9IUBPQCC',
+                            keyIndex: 4,
+                        });
+
+                        const addUnsignedTransferAction = store
+                            .getActions()
+                            .find((action) => action.type === 'IOTA/TRANSFERS/ADD_UNSIGNED_TRANSFER');
+
+                        expect(addUnsignedTransferAction.payload).to.eql({ accountName: 'TEST', unsignedTransfer });
+
+                        // Restore stubs
+                        wereAddressesSpentFrom.restore();
+                        syncAccount.restore();
+                        getInputs.restore();
+                    });
+            });
+        });
+
+        describe('when transfer violates the send policy of the account', () => {
+            before(() => {
+                Realm.clearTestState();
+                initialise(() => Promise.resolve(new Int8Array(64)));
+            });
+
+            after(() => {
+                Realm.clearTestState();
+            });
+
+            it('should not prepare inputs and should resolve with null', () => {
+                const store = mockStore({
+                    accounts: {
+                        ...accounts,
+                        accountInfo: {
+                            TEST: { ...accounts.accountInfo.TEST, sendPolicy: { allowlistOnly: true } },
+                        },
+                    },
+                    settings: { quorum: {} },
+                });
+
+                const syncAccount = sinon.spy(accountsUtils, 'syncAccount');
+
+                return store
+                    .dispatch(
+                        actions.prepareUnsignedTransfer(
+                            {},
+                            [{ address: 'A'.repeat(81), value: 5, message: '' }],
+                            'TEST',
+                        ),
+                    )
+                    .then((unsignedTransfer) => {
+                        expect(unsignedTransfer).to.equal(null);
+                        expect(syncAccount.called).to.equal(false);
+                        expect(
+                            store.getActions().find((action) => action.type === 'IOTA/TRANSFERS/ADD_UNSIGNED_TRANSFER'),
+                        ).to.equal(undefined);
+
+                        syncAccount.restore();
+                    });
+            });
+        });
+    });
+
+    describe('#prepareMultisigTransfer', () => {
+        describe('when transfer violates the send policy of the account', () => {
+            before(() => {
+                Realm.clearTestState();
+                initialise(() => Promise.resolve(new Int8Array(64)));
+            });
+
+            after(() => {
+                Realm.clearTestState();
+            });
+
+            it('should not prepare inputs and should resolve with null', () => {
+                const store = mockStore({
+                    accounts: {
+                        ...accounts,
+                        accountInfo: {
+                            TEST: { ...accounts.accountInfo.TEST, sendPolicy: { dailyLimit: 1 } },
+                        },
+                    },
+                    settings: { quorum: {} },
+                });
+
+                const syncAccount = sinon.spy(accountsUtils, 'syncAccount');
+
+                return store
+                    .dispatch(
+                        actions.prepareMultisigTransfer(
+                            {},
+                            [{ address: 'A'.repeat(81), value: 5, message: '' }],
+                            'TEST',
+                        ),
+                    )
+                    .then((transfer) => {
+                        expect(transfer).to.equal(null);
+                        expect(syncAccount.called).to.equal(false);
+
+                        syncAccount.restore();
+                    });
+            });
+        });
+    });
+
+    describe('#broadcastSignedTransfer', () => {
+        const inputAddress = 'ZBQWFOZVCOURPSVBNIBWOBQNRQXDBESSEJWWETTWWMGSJDUJLITMJYYBM9ZUFXTYTTPSGDTVBNIKLKXJA';
+        const receiveAddress = 'EBWVVN9UDHQRKLPOMNBWTCLYAUVKEKHPAMYPYAPXXKBY9DBXBHLBEYHBXNOONXDCOOMGZYQVTEAYNOWCY';
+
+        const getUnsignedTransfer = (value) => ({
+            version: 1,
+            type: 'unsignedTransfer',
+            transfers: [{ address: iota.utils.addChecksum(receiveAddress), value, message: '', tag: '' }],
+            inputs: [{ address: inputAddress, balance: value, keyIndex: 6, security: 2 }],
+            remainder: { address: 'A'.repeat(81), keyIndex: 10 },
+        });
+
+        const signedTransfer = {
+            ...getUnsignedTransfer(1),
+            type: 'signedTransfer',
+            trytes: newValueTransactionTrytes,
+        };
+
+        const getAlert = (store) => store.getActions().find((action) => action.type === 'IOTA/ALERTS/SHOW');
+
+        before(() => {
+            Realm.clearTestState();
+            initialise(() => Promise.resolve(new Int8Array(64)));
+        });
+
+        after(() => {
+            Realm.clearTestState();
+        });
+
+        describe('when no unsigned transfer was prepared for account', () => {
+            it('should not broadcast signed transfer', () => {
+                const store = mockStore({ accounts, settings: { quorum: {} }, ui: { unsignedTransfers: {} } });
+
+                return store.dispatch(actions.broadcastSignedTransfer({}, signedTransfer, 'TEST')).then(() => {
+                    expect(getAlert(store).title).to.equal('Signed transfer mismatch');
+                    expect(
+                        store
+                            .getActions()
+                            .find((action) => action.type === 'IOTA/ACCOUNTS/UPDATE_ACCOUNT_INFO_AFTER_SPENDING'),
+                    ).to.equal(undefined);
+                });
+            });
+        });
+
+        describe('when signed transfer does not match the prepared unsigned transfer', () => {
+            it('should not broadcast signed transfer', () => {
+                const store = mockStore({
+                    accounts,
+                    settings: { quorum: {} },
+                    ui: { unsignedTransfers: { TEST: getUnsignedTransfer(2) } },
+                });
+
+                return store.dispatch(actions.broadcastSignedTransfer({}, signedTransfer, 'TEST')).then(() => {
+                    expect(getAlert(store).title).to.equal('Signed transfer mismatch');
+                    expect(
+                        store
+                            .getActions()
+                            .find((action) => action.type === 'IOTA/ACCOUNTS/UPDATE_ACCOUNT_INFO_AFTER_SPENDING'),
+                    ).to.equal(undefined);
+                });
+            });
+        });
+    });
 });
@@ -0,0 +1,93 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import withChartData from '../../../containers/components/Chart';
+import { fetchMarketDataSnapshot } from '../../../libs/marketData';
+import { createMockProvider } from '../../../libs/marketData/providers/mock';
+
+const ChartComponent = () => null;
+const ChartData = withChartData(ChartComponent).WrappedComponent;
+
+describe('containers: Chart', () => {
+    let marketData;
+
+    before(() =>
+        fetchMarketDataSnapshot(createMockProvider()).then(({ prices, statistics, rates, chartData }) => {
+            marketData = {
+                usdPrice: prices.usd,
+                eurPrice: prices.eur,
+                btcPrice: prices.btc,
+                ethPrice: prices.eth,
+                ...statistics,
+                rates,
+                chartData,
+            };
+        }),
+    );
+
+    const render = (settings, overrides = {}) =>
+        new ChartData({
+            marketData,
+            settings: { chartCurrency: 'USD', chartTimeframe: '24h', ...settings },
+            setChartCurrency: sinon.spy(),
+            setChartTimeframe: sinon.spy(),
+            t: (str) => str,
+            theme: {},
+            history: {},
+            ...overrides,
+        });
+
+    describe('#render', () => {
+        it('should pass chart data of selected currency and timeframe', () => {
+            const { props } = render({ chartCurrency: 'EUR', chartTimeframe: '7d' }).render();
+
+            expect(props.chartData.timeframe).to.equal('7d');
+            expect(props.chartData.data.length).to.equal(marketData.chartData.eur['7d'].length);
+            expect(props.chartData.data[0]).to.eql({
+                x: 0,
+                y: marketData.chartData.eur['7d'][0][1],
+                time: marketData.chartData.eur['7d'][0][0],
+            });
+            expect(props.chartData.yAxis.ticks.length).to.equal(6);
+        });
+
+        it('should pass price data', () => {
+            const { props } = render({ chartCurrency: 'BTC' }).render();
+
+            expect(props.priceData).to.include({
+                currency: 'BTC',
+                symbol: '₿',
+                price: marketData.usdPrice,
+                change24h: '-2.431',
+                mcap: '1,023,905,435',
+            });
+            expect(props.getPriceForCurrency('ETH')).to.equal(marketData.ethPrice);
+        });
+
+        it('should pass empty chart data if market data is unavailable', () => {
+            const { props } = render({}, { marketData: { ...marketData, chartData: {} } }).render();
+
+            expect(props.chartData.data).to.eql([]);
+            expect(props.chartData.yAxis.ticks).to.equal(undefined);
+        });
+    });
+
+    describe('#changeCurrency', () => {
+        it('should cycle through market data currencies', () => {
+            const instance = render({ chartCurrency: 'ETH' });
+
+            instance.changeCurrency();
+
+            expect(instance.props.setChartCurrency.calledWith('USD')).to.equal(true);
+        });
+    });
+
+    describe('#changeTimeframe', () => {
+        it('should cycle through market data timeframes', () => {
+            const instance = render({ chartTimeframe: '7d' });
+
+            instance.changeTimeframe();
+
+            expect(instance.props.setChartTimeframe.calledWith('1m')).to.equal(true);
+        });
+    });
+});
@@ -0,0 +1,193 @@
+import { expect } from 'chai';
+import {
+    AUDIT_EVENTS,
+    chainAuditLogEntry,
+    createAuditLogEntry,
+    filterAuditLog,
+    findBrokenAuditLogEntry,
+    getAuditLogEntrySummary,
+    getTransferAuditDetails,
+    serialiseAuditLog,
+} from '../../libs/auditLog';
+
+const t = (key) => `t(${key})`;
+
+const entries = [
+    { index: 0, timestamp: 1500000000, type: AUDIT_EVENTS.login, details: {} },
+    {
+        index: 1,
+        timestamp: 1500000100,
+        type: AUDIT_EVENTS.seedViewed,
+        details: { accountName: 'Main', method: 'view' },
+    },
+    { index: 2, timestamp: 1500000200, type: AUDIT_EVENTS.nodeChanged, details: { url: 'https://foo.bar:443' } },
+    {
+        index: 3,
+        timestamp: 1500000300,
+        type: AUDIT_EVENTS.seedViewed,
+        details: { accountName: 'Savings', method: 'print' },
+    },
+];
+
+describe('libs: auditLog', () => {
+    describe('#createAuditLogEntry', () => {
+        it('should return entry with type, details and timestamp', () => {
+            expect(createAuditLogEntry(AUDIT_EVENTS.accountDeleted, { accountName: 'Main' }, 1500000000)).to.eql({
+                timestamp: 1500000000,
+                type: AUDIT_EVENTS.accountDeleted,
+                details: { accountName: 'Main' },
+            });
+        });
+
+        it('should default to empty details and current time', () => {
+            const entry = createAuditLogEntry(AUDIT_EVENTS.login);
+
+            expect(entry.details).to.eql({});
+            expect(entry.timestamp).to.be.closeTo(Math.floor(Date.now() / 1000), 1);
+        });
+
+        it('should throw for unknown event types', () => {
+            expect(() => createAuditLogEntry('foo')).to.throw('Unknown audit event foo.');
+        });
+    });
+
+    describe('#getTransferAuditDetails', () => {
+        it('should return total value and recipients of transfers', () => {
+            const transfers = [
+                { address: 'A'.repeat(90), value: 10, message: 'foo', tag: 'BAR' },
+                { address: 'B'.repeat(90), value: 5, message: '', tag: '' },
+            ];
+
+            expect(getTransferAuditDetails('Main', transfers, 'C'.repeat(81))).to.eql({
+                accountName: 'Main',
+                value: 15,
+                recipients: [
+                    { address: 'A'.repeat(90), value: 10 },
+                    { address: 'B'.repeat(90), value: 5 },
+                ],
+                bundle: 'C'.repeat(81),
+            });
+        });
+    });
+
+    describe('#chainAuditLogEntry', () => {
+        it('should assign first index and empty previous hash if audit log is empty', () => {
+            const entry = chainAuditLogEntry(createAuditLogEntry(AUDIT_EVENTS.login, {}, 1500000000));
+
+            expect(entry.index).to.equal(0);
+            expect(entry.previousHash).to.equal('');
+            expect(entry.hash).to.match(/^[0-9a-f]{64}$/);
+        });
+
+        it('should chain entry to last entry', () => {
+            const first = chainAuditLogEntry(createAuditLogEntry(AUDIT_EVENTS.login, {}, 1500000000));
+            const second = chainAuditLogEntry(createAuditLogEntry(AUDIT_EVENTS.login, {}, 1500000000), first);
+
+            expect(second.index).to.equal(1);
+            expect(second.previousHash).to.equal(first.hash);
+            expect(second.hash).to.not.equal(first.hash);
+        });
+    });
+
+    describe('#findBrokenAuditLogEntry', () => {
+        let chainedEntries;
+
+        beforeEach(() => {
+            chainedEntries = entries.reduce(
+                (acc, { timestamp, type, details }) => [
+                    ...acc,
+                    chainAuditLogEntry({ timestamp, type, details }, acc[acc.length - 1]),
+                ],
+                [],
+            );
+        });
+
+        it('should return -1 if hash chain is intact', () => {
+            expect(findBrokenAuditLogEntry(chainedEntries)).to.equal(-1);
+            expect(findBrokenAuditLogEntry([])).to.equal(-1);
+        });
+
+        it('should return position of entry with modified details', () => {
+            chainedEntries[2] = { ...chainedEntries[2], details: { url: 'https://baz.bar:443' } };
+
+            expect(findBrokenAuditLogEntry(chainedEntries)).to.equal(2);
+        });
+
+        it('should return position of entry following a removed entry', () => {
+            chainedEntries.splice(1, 1);
+
+            expect(findBrokenAuditLogEntry(chainedEntries)).to.equal(1);
+        });
+
+        it('should return position of entry with recomputed hash', () => {
+            const { timestamp, type, index, previousHash } = chainedEntries[1];
+
+            chainedEntries[1] = chainAuditLogEntry({ timestamp, type, details: {} }, chainedEntries[0]);
+
+            expect(chainedEntries[1].index).to.equal(index);
+            expect(chainedEntries[1].previousHash).to.equal(previousHash);
+            expect(findBrokenAuditLogEntry(chainedEntries)).to.equal(2);
+        });
+    });
+
+    describe('#getAuditLogEntrySummary', () => {
+        it('should return empty string if entry has no details', () => {
+            expect(getAuditLogEntrySummary(entries[0], t)).to.equal('');
+        });
+
+        it('should translate method and reason details', () => {
+            expect(getAuditLogEntrySummary(entries[1], t)).to.equal('Main · t(auditLog:view)');
+            expect(getAuditLogEntrySummary({ details: { reason: 'password' } }, t)).to.equal('t(auditLog:password)');
+        });
+
+        it('should include node url and automatic flag', () => {
+            expect(getAuditLogEntrySummary({ details: { url: 'https://foo.bar:443', automatic: true } }, t)).to.equal(
+                'https://foo.bar:443 · t(auditLog:automatic)',
+            );
+        });
+
+        it('should include formatted value and recipients of transfers', () => {
+            const details = getTransferAuditDetails('Main', [{ address: 'A'.repeat(90), value: 0 }], 'C'.repeat(81));
+
+            expect(getAuditLogEntrySummary({ details }, t)).to.equal(`Main · 0 i · ${'A'.repeat(90)}`);
+        });
+    });
+
+    describe('#filterAuditLog', () => {
+        it('should return all entries newest first if no filters are provided', () => {
+            expect(filterAuditLog(entries).map(({ index }) => index)).to.eql([3, 2, 1, 0]);
+        });
+
+        it('should filter entries by type', () => {
+            expect(filterAuditLog(entries, AUDIT_EVENTS.seedViewed).map(({ index }) => index)).to.eql([3, 1]);
+        });
+
+        it('should filter entries by case-insensitive search in details', () => {
+            expect(filterAuditLog(entries, '', 'savings').map(({ index }) => index)).to.eql([3]);
+            expect(filterAuditLog(entries, AUDIT_EVENTS.nodeChanged, 'FOO.BAR').map(({ index }) => index)).to.eql([2]);
+            expect(filterAuditLog(entries, AUDIT_EVENTS.login, 'foo')).to.eql([]);
+        });
+
+        it('should not mutate entries', () => {
+            const copy = entries.slice();
+
+            filterAuditLog(entries);
+
+            expect(entries).to.eql(copy);
+        });
+    });
+
+    describe('#serialiseAuditLog', () => {
+        it('should serialise entries with ISO dates', () => {
+            expect(JSON.parse(serialiseAuditLog(entries.slice(0, 2), 'UTC'))).to.eql([
+                { index: 0, date: '2017-07-14T02:40:00Z', type: AUDIT_EVENTS.login, details: {} },
+                {
+                    index: 1,
+                    date: '2017-07-14T02:41:40Z',
+                    type: AUDIT_EVENTS.seedViewed,
+                    details: { accountName: 'Main', method: 'view' },
+                },
+            ]);
+        });
+    });
+});
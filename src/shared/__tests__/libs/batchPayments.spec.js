@@ -0,0 +1,128 @@
+import { expect } from 'chai';
+import {
+    parseBatchPaymentAmount,
+    getBatchPaymentValidationError,
+    parseBatchPaymentsCsv,
+    getBatchPaymentsTotal,
+} from '../../libs/batchPayments';
+import { latestAddressWithChecksum } from '../__samples__/addresses';
+
+const otherAddress = 'JEFTSJGSNYGDSYHTCIZF9WXPWGHOPKRJSGXGNNZIUJUZGOFEGXRHPJVGPUZNIZMQ9QSNAITO9QUYQZZECRHAFCPMZY';
+
+describe('libs: batchPayments', () => {
+    describe('#parseBatchPaymentAmount', () => {
+        it('should parse plain iotas', () => {
+            expect(parseBatchPaymentAmount('100')).to.equal(100);
+            expect(parseBatchPaymentAmount(25)).to.equal(25);
+        });
+
+        it('should parse amounts with an IOTA unit', () => {
+            expect(parseBatchPaymentAmount('1.5Mi')).to.equal(1500000);
+            expect(parseBatchPaymentAmount('2 ki')).to.equal(2000);
+            expect(parseBatchPaymentAmount('0,5Gi')).to.equal(500000000);
+        });
+
+        it('should return NaN for invalid amounts', () => {
+            expect(parseBatchPaymentAmount('foo')).to.be.NaN;
+            expect(parseBatchPaymentAmount('-10')).to.be.NaN;
+            expect(parseBatchPaymentAmount('1.5')).to.be.NaN;
+            expect(parseBatchPaymentAmount('1.0000001Mi')).to.be.NaN;
+        });
+    });
+
+    describe('#getBatchPaymentValidationError', () => {
+        describe('when recipient is valid', () => {
+            it('should return null', () => {
+                expect(
+                    getBatchPaymentValidationError(
+                        { address: latestAddressWithChecksum, value: 10, message: 'Salary', tag: 'PAYROLL' },
+                        [{ address: otherAddress, value: 1 }],
+                    ),
+                ).to.equal(null);
+            });
+        });
+
+        describe('when address has an invalid checksum', () => {
+            it('should return "invalidAddress"', () => {
+                expect(
+                    getBatchPaymentValidationError({
+                        address: `${latestAddressWithChecksum.slice(0, 81)}${'9'.repeat(9)}`,
+                        value: 10,
+                    }),
+                ).to.equal('invalidAddress');
+            });
+        });
+
+        describe('when amount is not a positive integer', () => {
+            it('should return "invalidAmount"', () => {
+                expect(getBatchPaymentValidationError({ address: latestAddressWithChecksum, value: NaN })).to.equal(
+                    'invalidAmount',
+                );
+                expect(getBatchPaymentValidationError({ address: latestAddressWithChecksum, value: -1 })).to.equal(
+                    'invalidAmount',
+                );
+            });
+        });
+
+        describe('when address is already a recipient', () => {
+            it('should return "duplicateAddress"', () => {
+                expect(
+                    getBatchPaymentValidationError({ address: latestAddressWithChecksum, value: 1 }, [
+                        { address: latestAddressWithChecksum, value: 2 },
+                    ]),
+                ).to.equal('duplicateAddress');
+            });
+        });
+
+        describe('when tag is invalid', () => {
+            it('should return "invalidTag"', () => {
+                expect(
+                    getBatchPaymentValidationError({ address: latestAddressWithChecksum, value: 1, tag: 'foo' }),
+                ).to.equal('invalidTag');
+            });
+        });
+    });
+
+    describe('#parseBatchPaymentsCsv', () => {
+        it('should skip header and empty rows', () => {
+            const csv = `address,amount,message,tag\n\n${latestAddressWithChecksum},10,Salary,payroll\n`;
+
+            expect(parseBatchPaymentsCsv(csv)).to.eql({
+                recipients: [{ address: latestAddressWithChecksum, value: 10, message: 'Salary', tag: 'PAYROLL' }],
+                errors: [],
+            });
+        });
+
+        it('should support quoted cells', () => {
+            const csv = `${otherAddress},"1,5Mi","Invoice 42, ""March""\nThanks"`;
+
+            expect(parseBatchPaymentsCsv(csv).recipients).to.eql([
+                { address: otherAddress, value: 1500000, message: 'Invoice 42, "March"\nThanks', tag: '' },
+            ]);
+        });
+
+        it('should return validation errors with row numbers for invalid rows', () => {
+            const csv = [
+                `${latestAddressWithChecksum},10`,
+                `${otherAddress},foo`,
+                `${latestAddressWithChecksum},5`,
+                'FOO,5',
+            ].join('\r\n');
+
+            expect(parseBatchPaymentsCsv(csv)).to.eql({
+                recipients: [{ address: latestAddressWithChecksum, value: 10, message: '', tag: '' }],
+                errors: [
+                    { row: 2, error: 'invalidAmount' },
+                    { row: 3, error: 'duplicateAddress' },
+                    { row: 4, error: 'invalidAddress' },
+                ],
+            });
+        });
+    });
+
+    describe('#getBatchPaymentsTotal', () => {
+        it('should return sum of recipient values', () => {
+            expect(getBatchPaymentsTotal([{ value: 10 }, { value: 5 }, {}])).to.equal(15);
+        });
+    });
+});
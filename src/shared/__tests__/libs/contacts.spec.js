@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import { getContactValidationError, findContactByAddress } from '../../libs/contacts';
+import { iota } from '../../libs/iota';
+import { latestAddressWithChecksum } from '../__samples__/addresses';
+
+const otherAddress = 'JEFTSJGSNYGDSYHTCIZF9WXPWGHOPKRJSGXGNNZIUJUZGOFEGXRHPJVGPUZNIZMQ9QSNAITO9QUYQZZECRHAFCPMZY';
+
+describe('libs: contacts', () => {
+    describe('#getContactValidationError', () => {
+        const existingContacts = [{ address: otherAddress, name: 'Alice' }];
+
+        describe('when contact is valid', () => {
+            it('should return null', () => {
+                expect(
+                    getContactValidationError(
+                        { address: latestAddressWithChecksum, name: 'Bob', message: 'Rent', tag: 'RENT' },
+                        existingContacts,
+                    ),
+                ).to.equal(null);
+            });
+        });
+
+        describe('when name is empty', () => {
+            it('should return "emptyName"', () => {
+                expect(
+                    getContactValidationError({ address: latestAddressWithChecksum, name: '  ' }, existingContacts),
+                ).to.equal('emptyName');
+            });
+        });
+
+        describe('when address has an invalid checksum', () => {
+            it('should return "invalidAddress"', () => {
+                expect(
+                    getContactValidationError(
+                        { address: `${latestAddressWithChecksum.slice(0, 81)}${'9'.repeat(9)}`, name: 'Bob' },
+                        existingContacts,
+                    ),
+                ).to.equal('invalidAddress');
+            });
+        });
+
+        describe('when last trit of address is not 0', () => {
+            it('should return "invalidLastTrit"', () => {
+                const address = iota.utils.addChecksum(`${'A'.repeat(80)}E`);
+
+                expect(getContactValidationError({ address, name: 'Bob' }, existingContacts)).to.equal(
+                    'invalidLastTrit',
+                );
+            });
+        });
+
+        describe('when address is already saved', () => {
+            it('should return "addressAlreadyExists"', () => {
+                expect(getContactValidationError({ address: otherAddress, name: 'Bob' }, existingContacts)).to.equal(
+                    'addressAlreadyExists',
+                );
+            });
+
+            it('should return null if the existing contact is the one being edited', () => {
+                expect(
+                    getContactValidationError({ address: otherAddress, name: 'Alice' }, existingContacts, otherAddress),
+                ).to.equal(null);
+            });
+        });
+
+        describe('when name is already in use', () => {
+            it('should return "nameAlreadyExists"', () => {
+                expect(
+                    getContactValidationError({ address: latestAddressWithChecksum, name: 'alice' }, existingContacts),
+                ).to.equal('nameAlreadyExists');
+            });
+        });
+
+        describe('when default message contains non-ASCII characters', () => {
+            it('should return "invalidMessage"', () => {
+                expect(
+                    getContactValidationError(
+                        { address: latestAddressWithChecksum, name: 'Bob', message: '😀' },
+                        existingContacts,
+                    ),
+                ).to.equal('invalidMessage');
+            });
+        });
+
+        describe('when default tag is invalid', () => {
+            it('should return "invalidTag"', () => {
+                expect(
+                    getContactValidationError(
+                        { address: latestAddressWithChecksum, name: 'Bob', tag: 'rent' },
+                        existingContacts,
+                    ),
+                ).to.equal('invalidTag');
+            });
+        });
+    });
+
+    describe('#findContactByAddress', () => {
+        it('should return contact with matching address', () => {
+            const contacts = [{ address: otherAddress, name: 'Alice' }];
+
+            expect(findContactByAddress(contacts, otherAddress)).to.eql({ address: otherAddress, name: 'Alice' });
+            expect(findContactByAddress(contacts, latestAddressWithChecksum)).to.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,248 @@
+import { expect } from 'chai';
+import find from 'lodash/find';
+import map from 'lodash/map';
+import uniq from 'lodash/uniq';
+import {
+    getTransactionCounterparties,
+    prepareHistoryExport,
+    serialiseHistory,
+    serialiseHistoryAsCsv,
+    serialiseHistoryAsJson,
+    serialiseHistoryAsOfx,
+} from '../../libs/historyExport';
+import mockAccounts from '../__samples__/accounts';
+import { normalisedTransactions } from '../__samples__/transactions';
+import Errors from '../../libs/errors';
+
+const TIMEZONE = 'UTC';
+const ZERO_VALUE_BUNDLE = 'AGLVISDEBEYCZVIQFVHSSZISEZDCPKQJNQIHLQASIGHJWEJPWLHQUTPDQZUEZQIBHEDY9SRIBGJJEQQLZ';
+const SENT_BUNDLE = 'SAVG9OACQFXYIUDISAYV9HZTVVJCMCZNGJXZYOESIVIRU99RKJDAIJTRAQCKCYAOJH9NV9DEVYGSSDLAC';
+
+const defaultOptions = {
+    currency: 'EUR',
+    timezone: TIMEZONE,
+};
+
+describe('libs: historyExport', () => {
+    describe('#getTransactionCounterparties', () => {
+        it('should return outputs not belonging to the account for sent transfers', () => {
+            const transaction = {
+                incoming: false,
+                inputs: [{ address: 'A'.repeat(81), checksum: 'AAAAAAAAA' }],
+                outputs: [
+                    { address: 'B'.repeat(81), checksum: 'BBBBBBBBB' },
+                    { address: 'C'.repeat(81), checksum: 'CCCCCCCCC' },
+                ],
+            };
+
+            expect(getTransactionCounterparties(transaction, ['A'.repeat(81), 'C'.repeat(81)])).to.eql([
+                `${'B'.repeat(81)}BBBBBBBBB`,
+            ]);
+        });
+
+        it('should return inputs not belonging to the account for received transfers', () => {
+            const transaction = {
+                incoming: true,
+                inputs: [{ address: 'A'.repeat(81), checksum: 'AAAAAAAAA' }],
+                outputs: [{ address: 'B'.repeat(81), checksum: 'BBBBBBBBB' }],
+            };
+
+            expect(getTransactionCounterparties(transaction, ['B'.repeat(81)])).to.eql([`${'A'.repeat(81)}AAAAAAAAA`]);
+        });
+    });
+
+    describe('#prepareHistoryExport', () => {
+        it('should return a row for every transfer of all accounts, newest first', () => {
+            const rows = prepareHistoryExport(mockAccounts.accountInfo, defaultOptions);
+            const timestamps = map(rows, (row) => row.timestamp);
+
+            expect(uniq(map(rows, (row) => row.bundle)).length).to.equal(Object.keys(normalisedTransactions).length);
+            expect(timestamps).to.eql([...timestamps].sort((a, b) => b - a));
+        });
+
+        it('should normalise transfer fields', () => {
+            const rows = prepareHistoryExport(mockAccounts.accountInfo, {
+                ...defaultOptions,
+                getFiatPrice: () => 0.25,
+                fiatPriceNow: 0.5,
+                metadata: { [SENT_BUNDLE]: { label: 'Rent', category: 'Housing', note: 'October' } },
+            });
+
+            const { counterparty, ...row } = find(rows, { bundle: SENT_BUNDLE });
+
+            expect(counterparty).to.match(/^[A-Z9]{90}( [A-Z9]{90})*$/);
+            expect(row).to.eql({
+                account: 'TEST',
+                date: '2018-10-19T22:56:02Z',
+                timestamp: 1539989762,
+                direction: 'outgoing',
+                value: 1,
+                fiatValue: 0,
+                fiatValueNow: 0,
+                currency: 'EUR',
+                bundle: SENT_BUNDLE,
+                message: 'Trinity test transaction two',
+                status: 'confirmed',
+                label: 'Rent',
+                category: 'Housing',
+                note: 'October',
+            });
+        });
+
+        it('should set fiat values to null if fiat prices are unavailable', () => {
+            const rows = prepareHistoryExport(mockAccounts.accountInfo, defaultOptions);
+
+            expect(uniq(map(rows, (row) => row.fiatValue))).to.eql([null]);
+            expect(uniq(map(rows, (row) => row.fiatValueNow))).to.eql([null]);
+        });
+
+        it('should only return transfers within date range', () => {
+            expect(
+                prepareHistoryExport(mockAccounts.accountInfo, { ...defaultOptions, from: '2018-10-20' }).length,
+            ).to.equal(
+                prepareHistoryExport(mockAccounts.accountInfo, defaultOptions).filter(
+                    (row) => row.timestamp >= 1539993600,
+                ).length,
+            );
+            expect(prepareHistoryExport(mockAccounts.accountInfo, { ...defaultOptions, to: '2018-10-18' })).to.eql([]);
+        });
+
+        it('should apply history filters', () => {
+            const rows = prepareHistoryExport(mockAccounts.accountInfo, { ...defaultOptions, filter: 'Pending' });
+
+            expect(rows.length).to.be.above(0);
+            expect(uniq(map(rows, (row) => row.status))).to.eql(['pending']);
+
+            expect(
+                find(
+                    prepareHistoryExport(mockAccounts.accountInfo, { ...defaultOptions, hideEmptyTransactions: true }),
+                    { bundle: ZERO_VALUE_BUNDLE },
+                ),
+            ).to.equal(undefined);
+        });
+
+        it('should ignore unknown accounts', () => {
+            expect(
+                prepareHistoryExport(mockAccounts.accountInfo, { ...defaultOptions, accountNames: ['UNKNOWN'] }),
+            ).to.eql([]);
+        });
+    });
+
+    describe('serialisation', () => {
+        const rows = [
+            {
+                account: 'Main',
+                date: '2018-10-19T22:56:02Z',
+                timestamp: 1539989762,
+                direction: 'outgoing',
+                value: 1000000,
+                fiatValue: 0.25,
+                fiatValueNow: 0.3,
+                currency: 'EUR',
+                counterparty: 'B'.repeat(90),
+                bundle: 'C'.repeat(81),
+                message: 'Rent, "October"',
+                status: 'confirmed',
+                label: '',
+                category: '',
+                note: '',
+            },
+            {
+                account: 'Main',
+                date: '2018-10-19T22:00:00Z',
+                timestamp: 1539986400,
+                direction: 'incoming',
+                value: 5,
+                fiatValue: 0,
+                fiatValueNow: 0,
+                currency: 'EUR',
+                counterparty: 'D'.repeat(90),
+                bundle: 'E'.repeat(81),
+                message: '',
+                status: 'pending',
+                label: '',
+                category: '',
+                note: '',
+            },
+        ];
+
+        describe('#serialiseHistoryAsCsv', () => {
+            it('should serialise rows with a header and escaped cells', () => {
+                const lines = serialiseHistoryAsCsv(rows).split('\r\n');
+
+                expect(lines[0]).to.equal(
+                    'account,date,direction,value,fiatValue,fiatValueNow,currency,counterparty,bundle,message,status,label,category,note',
+                );
+                expect(lines[1]).to.equal(
+                    `Main,2018-10-19T22:56:02Z,outgoing,1000000,0.25,0.3,EUR,${'B'.repeat(90)},${'C'.repeat(
+                        81,
+                    )},"Rent, ""October""",confirmed,,,`,
+                );
+                expect(lines.length).to.equal(3);
+            });
+
+            it('should prefix text cells starting with formula characters with a quote', () => {
+                const lines = serialiseHistoryAsCsv([
+                    {
+                        ...rows[1],
+                        message: '=HYPERLINK("http://example.com")',
+                        label: '+1',
+                        category: '-x',
+                        note: '@SUM(A1)',
+                    },
+                    { ...rows[1], value: -5, fiatValue: -0.5 },
+                ]).split('\r\n');
+
+                expect(lines[1]).to.equal(
+                    `Main,2018-10-19T22:00:00Z,incoming,5,0,0,EUR,${'D'.repeat(90)},${'E'.repeat(
+                        81,
+                    )},"'=HYPERLINK(""http://example.com"")",pending,'+1,'-x,'@SUM(A1)`,
+                );
+                expect(lines[2]).to.equal(
+                    `Main,2018-10-19T22:00:00Z,incoming,-5,-0.5,0,EUR,${'D'.repeat(90)},${'E'.repeat(81)},,pending,,,`,
+                );
+            });
+        });
+
+        describe('#serialiseHistoryAsJson', () => {
+            it('should serialise rows', () => {
+                expect(JSON.parse(serialiseHistoryAsJson(rows))).to.eql(rows);
+            });
+        });
+
+        describe('#serialiseHistoryAsOfx', () => {
+            it('should only include confirmed transfers', () => {
+                const ofx = serialiseHistoryAsOfx(rows, 1539990000);
+
+                expect(ofx).to.include(`<FITID>${'C'.repeat(81)}`);
+                expect(ofx).to.not.include(`<FITID>${'E'.repeat(81)}`);
+            });
+
+            it('should use fiat amounts if available', () => {
+                const ofx = serialiseHistoryAsOfx(rows, 1539990000);
+
+                expect(ofx).to.include('<CURDEF>EUR');
+                expect(ofx).to.include('<TRNTYPE>DEBIT');
+                expect(ofx).to.include('<TRNAMT>-0.25');
+                expect(ofx).to.include('<DTPOSTED>20181019225602[0:GMT]');
+                expect(ofx).to.include('<MEMO>1000000i Rent, "October"');
+            });
+
+            it('should use Mi amounts if fiat values are unavailable', () => {
+                const ofx = serialiseHistoryAsOfx(
+                    map(rows, (row) => ({ ...row, fiatValue: null })),
+                    1539990000,
+                );
+
+                expect(ofx).to.include('<CURDEF>MIOTA');
+                expect(ofx).to.include('<TRNAMT>-1.000000');
+            });
+        });
+
+        describe('#serialiseHistory', () => {
+            it('should throw on unsupported formats', () => {
+                expect(() => serialiseHistory('xls', rows)).to.throw(Errors.UNSUPPORTED_HISTORY_EXPORT_FORMAT);
+            });
+        });
+    });
+});
@@ -2197,6 +2197,47 @@ describe('libs: iota/addresses', () => {
                 });
             });
         });
+
+        describe('when seedStore is watch-only', () => {
+            let watchOnlySeedStore;
+
+            before(() => {
+                class WatchOnly {
+                    static get isWatchOnly() {
+                        return true;
+                    }
+                }
+
+                watchOnlySeedStore = new WatchOnly();
+            });
+
+            it('should return first unused known address that is not blacklisted as remainder', () => {
+                return addressesUtils
+                    .getAddressDataUptoRemainder()(mockAddressData, [], watchOnlySeedStore, [
+                        // Blacklist address (index 4)
+                        'RRHMYUP9RNBBNAORNMNHYTLJZWXCWKOYV9TVQPGPKDNTTSTVLCXCDKDKPILANYIOPOHBTNAXZ9IUBPQCC',
+                    ])
+                    .then(({ remainderAddress, remainderIndex, addressDataUptoRemainder }) => {
+                        expect(remainderAddress).to.equal(latestAddressWithoutChecksum);
+                        expect(remainderIndex).to.equal(latestAddressIndex);
+                        expect(addressDataUptoRemainder).to.eql(mockAddressData);
+                    });
+            });
+
+            it('should throw with an error "No unused watch-only address is left for the remainder." if every known address is used', () => {
+                return addressesUtils
+                    .getAddressDataUptoRemainder()(mockAddressData, [], watchOnlySeedStore, [
+                        'RRHMYUP9RNBBNAORNMNHYTLJZWXCWKOYV9TVQPGPKDNTTSTVLCXCDKDKPILANYIOPOHBTNAXZ9IUBPQCC',
+                        latestAddressWithoutChecksum,
+                    ])
+                    .then(() => {
+                        throw new Error();
+                    })
+                    .catch((error) =>
+                        expect(error.message).to.equal('No unused watch-only address is left for the remainder.'),
+                    );
+            });
+        });
     });
 
     describe('#filterSpentAddressData', () => {
@@ -2702,6 +2743,41 @@ describe('libs: iota/addresses', () => {
                     });
             });
         });
+
+        describe('when seedStore is watch-only', () => {
+            it('should only add addresses from the watch-only address list that are not in address data', () => {
+                class WatchOnly {
+                    static get isWatchOnly() {
+                        return true;
+                    }
+
+                    getAddresses() {
+                        return Promise.resolve([
+                            ...map(mockAddressData, (addressObject) => addressObject.address),
+                            'A'.repeat(81),
+                        ]);
+                    }
+                }
+
+                return addressesUtils
+                    .syncAddresses()(new WatchOnly(), mockAddressData, transactions)
+                    .then((updatedAddressData) => {
+                        expect(updatedAddressData).to.eql([
+                            ...mockAddressData,
+                            {
+                                address: 'A'.repeat(81),
+                                index: mockAddressData.length,
+                                spent: {
+                                    local: false,
+                                    remote: false,
+                                },
+                                balance: 0,
+                                checksum: 'YLFHUOJUY',
+                            },
+                        ]);
+                    });
+            });
+        });
     });
 
     describe('#categoriseAddressesBySpentStatus', () => {
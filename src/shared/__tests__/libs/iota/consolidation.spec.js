@@ -0,0 +1,237 @@
+import map from 'lodash/map';
+import nock from 'nock';
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    consolidate,
+    createConsolidationPlan,
+    getConsolidationChunkInputs,
+    getConsolidationChunkSize,
+    getConsolidationInputs,
+    isConsolidationPlanComplete,
+} from '../../../libs/iota/consolidation';
+import { addressData as mockAddressData, latestAddressObject } from '../../__samples__/addresses';
+import mockTransactions from '../../__samples__/transactions';
+import { IRI_API_VERSION, MAX_CONSOLIDATION_INPUTS } from '../../../config';
+
+const createInputs = (count) =>
+    map(Array.from(Array(count).keys()), (keyIndex) => ({
+        address: `${String.fromCharCode(65 + keyIndex)}`.repeat(81),
+        keyIndex,
+        balance: keyIndex + 1,
+        security: 2,
+    }));
+
+describe('libs: iota/consolidation', () => {
+    describe('#getConsolidationInputs', () => {
+        it('should only return funded addresses that are unspent and have no pending outgoing transactions', () => {
+            // See shared/__tests__/__samples__/addresses (index 5 is spent)
+            expect(map(getConsolidationInputs(mockAddressData, mockTransactions), (input) => input.keyIndex)).to.eql([
+                7,
+                8,
+            ]);
+        });
+
+        it('should not return excluded addresses', () => {
+            const inputs = getConsolidationInputs(mockAddressData, mockTransactions, [
+                'VOVTUPNCVSEYOGYXPER9RRHPICCMTBD9DNTJMBZPCUNXHHYTZQOAVJBBIGRCMBXRVRLHVROE9OMNDKTVW',
+            ]);
+
+            expect(map(inputs, (input) => input.keyIndex)).to.eql([8]);
+        });
+
+        it('should return inputs with address, keyIndex, balance and security', () => {
+            expect(getConsolidationInputs(mockAddressData, mockTransactions)[0]).to.eql({
+                address: 'VOVTUPNCVSEYOGYXPER9RRHPICCMTBD9DNTJMBZPCUNXHHYTZQOAVJBBIGRCMBXRVRLHVROE9OMNDKTVW',
+                keyIndex: 7,
+                balance: 150,
+                security: 2,
+            });
+        });
+    });
+
+    describe('#getConsolidationChunkSize', () => {
+        it('should return max inputs if seed store limits inputs', () => {
+            expect(getConsolidationChunkSize(2)).to.equal(2);
+        });
+
+        it(`should return ${MAX_CONSOLIDATION_INPUTS} if seed store does not limit inputs`, () => {
+            expect(getConsolidationChunkSize(0)).to.equal(MAX_CONSOLIDATION_INPUTS);
+            expect(getConsolidationChunkSize(MAX_CONSOLIDATION_INPUTS + 1)).to.equal(MAX_CONSOLIDATION_INPUTS);
+        });
+    });
+
+    describe('#createConsolidationPlan', () => {
+        describe('when there are less than two inputs', () => {
+            it('should throw with an error "Funds are already held in a single address."', () => {
+                expect(() =>
+                    createConsolidationPlan(createInputs(1), { address: 'Z'.repeat(81), index: 10 }, 0),
+                ).to.throw('Funds are already held in a single address.');
+            });
+        });
+
+        describe('when consolidation address is one of the inputs', () => {
+            it('should throw with an error "Cannot send to an address used as an input in the bundle."', () => {
+                expect(() =>
+                    createConsolidationPlan(createInputs(3), { address: 'A'.repeat(81), index: 0 }, 0),
+                ).to.throw('Cannot send to an address used as an input in the bundle.');
+            });
+        });
+
+        it('should split inputs into transfers spending at most max inputs', () => {
+            const plan = createConsolidationPlan(createInputs(5), { address: 'Z'.repeat(81), index: 10 }, 2);
+
+            expect(plan.address).to.equal('Z'.repeat(81));
+            expect(plan.keyIndex).to.equal(10);
+            expect(plan.completedChunks).to.equal(0);
+            expect(plan.chunks).to.eql([
+                { inputs: ['A'.repeat(81), 'B'.repeat(81)], value: 3 },
+                { inputs: ['C'.repeat(81), 'D'.repeat(81)], value: 7 },
+                { inputs: ['E'.repeat(81)], value: 5 },
+            ]);
+        });
+
+        it('should plan a single transfer if all inputs fit in one bundle', () => {
+            const plan = createConsolidationPlan(createInputs(5), { address: 'Z'.repeat(81), index: 10 }, 0);
+
+            expect(plan.chunks).to.have.lengthOf(1);
+            expect(plan.chunks[0].value).to.equal(15);
+        });
+    });
+
+    describe('#getConsolidationChunkInputs', () => {
+        it('should only return inputs of the transfer that can still be spent', () => {
+            const inputs = createInputs(4);
+            const plan = createConsolidationPlan(inputs, { address: 'Z'.repeat(81), index: 10 }, 2);
+
+            // Input "C" was spent in the meantime
+            const chunkInputs = getConsolidationChunkInputs(plan, 1, [inputs[0], inputs[1], inputs[3]]);
+
+            expect(map(chunkInputs, (input) => input.keyIndex)).to.eql([3]);
+        });
+    });
+
+    describe('#isConsolidationPlanComplete', () => {
+        it('should return true if all transfers are completed', () => {
+            expect(isConsolidationPlanComplete({ chunks: [{}, {}], completedChunks: 2 })).to.equal(true);
+        });
+
+        it('should return false if there are transfers left', () => {
+            expect(isConsolidationPlanComplete({ chunks: [{}, {}], completedChunks: 1 })).to.equal(false);
+        });
+    });
+
+    describe('#consolidate', () => {
+        let inputs;
+        let seedStore;
+
+        const consolidationAddress = {
+            address: latestAddressObject.address,
+            keyIndex: latestAddressObject.index,
+        };
+
+        const setupNock = (resultMap) =>
+            nock('http://localhost:14265', {
+                reqheaders: {
+                    'Content-Type': 'application/json',
+                    'X-IOTA-API-Version': IRI_API_VERSION,
+                },
+                filteringScope: () => true,
+            })
+                .filteringRequestBody(() => '*')
+                .persist()
+                .post('/', '*')
+                .reply(200, (_, body) => resultMap[body.command] || {});
+
+        before(() => {
+            inputs = getConsolidationInputs(mockAddressData, mockTransactions);
+        });
+
+        beforeEach(() => {
+            seedStore = {
+                prepareTransfers: sinon.stub().returns(() => Promise.reject(new Error('Should not sign inputs'))),
+            };
+        });
+
+        afterEach(() => {
+            nock.cleanAll();
+        });
+
+        describe('when inputs are invalid', () => {
+            it('should throw with an error "Invalid input."', () => {
+                return consolidate()(seedStore, [], consolidationAddress)
+                    .then(() => {
+                        throw new Error();
+                    })
+                    .catch((error) => {
+                        expect(error.message).to.equal('Invalid input.');
+                    });
+            });
+        });
+
+        describe('when latest balances do not match input balances', () => {
+            beforeEach(() => {
+                setupNock({ getBalances: { balances: ['150', '9'] } });
+            });
+
+            it('should throw with an error "Balance mismatch." without signing inputs', () => {
+                return consolidate(null, false)(seedStore, inputs, consolidationAddress)
+                    .then(() => {
+                        throw new Error();
+                    })
+                    .catch((error) => {
+                        expect(error.message).to.equal('Balance mismatch.');
+                        expect(seedStore.prepareTransfers.called).to.equal(false);
+                    });
+            });
+        });
+
+        describe('when any input or consolidation address is spent from', () => {
+            beforeEach(() => {
+                setupNock({
+                    getBalances: { balances: ['150', '10'] },
+                    wereAddressesSpentFrom: { states: [false, false, true] },
+                });
+            });
+
+            it('should throw with an error "Addresses used in this bundle have already been spent from." without signing inputs', () => {
+                return consolidate(null, false)(seedStore, inputs, consolidationAddress)
+                    .then(() => {
+                        throw new Error();
+                    })
+                    .catch((error) => {
+                        expect(error.message).to.equal('Addresses used in this bundle have already been spent from.');
+                        expect(seedStore.prepareTransfers.called).to.equal(false);
+                    });
+            });
+        });
+
+        describe('when inputs can be spent', () => {
+            beforeEach(() => {
+                setupNock({
+                    getBalances: { balances: ['150', '10'] },
+                    wereAddressesSpentFrom: { states: [false, false, false] },
+                });
+            });
+
+            it('should sign inputs with full balance sent to consolidation address', () => {
+                const signInputs = sinon.stub().rejects(new Error('Signing cancelled'));
+                seedStore.prepareTransfers = sinon.stub().returns(signInputs);
+
+                return consolidate(null, false)(seedStore, inputs, consolidationAddress)
+                    .then(() => {
+                        throw new Error();
+                    })
+                    .catch((error) => {
+                        expect(error.message).to.equal('Signing cancelled');
+
+                        const [transfers, options] = signInputs.firstCall.args;
+
+                        expect(map(transfers, (transfer) => transfer.value)).to.eql([160]);
+                        expect(transfers[0].address.slice(0, 81)).to.equal(consolidationAddress.address);
+                        expect(options).to.eql({ inputs, address: consolidationAddress.address, keyIndex: 9 });
+                    });
+            });
+        });
+    });
+});
@@ -0,0 +1,120 @@
+import map from 'lodash/map';
+import { expect } from 'chai';
+import {
+    INPUT_SELECTION_STRATEGIES,
+    findExactMatch,
+    getInputSelectionStrategy,
+    isValidInputSelectionStrategy,
+} from '../../../libs/iota/inputSelection';
+import { prepareInputs } from '../../../libs/iota/inputs';
+import { transformAddressDataToInputs } from '../../../libs/iota/addresses';
+import { addressData as mockAddressData } from '../../__samples__/addresses';
+
+describe('libs: iota/inputSelection', () => {
+    let inputs;
+
+    before(() => {
+        // Funded sample addresses: index 5 (100 i), index 7 (150 i), index 8 (10 i)
+        inputs = transformAddressDataToInputs(mockAddressData.filter((addressObject) => addressObject.balance > 0));
+    });
+
+    const getKeyIndexes = (selectedInputs) => map(selectedInputs, (input) => input.keyIndex);
+
+    describe('#optimalValue', () => {
+        it('should select inputs with balances closest to remaining value', () => {
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.optimalValue(inputs, 110))).to.eql([5, 8]);
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.optimalValue(inputs, 140))).to.eql([7]);
+        });
+    });
+
+    describe('#fewestInputs', () => {
+        it('should select as few inputs as possible', () => {
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.fewestInputs(inputs, 110))).to.eql([7]);
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.fewestInputs(inputs, 160))).to.eql([7, 8]);
+        });
+
+        it('should replace last selected input with smallest input covering remaining value', () => {
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.fewestInputs(inputs, 90))).to.eql([5]);
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.fewestInputs(inputs, 200))).to.eql([7, 5]);
+        });
+    });
+
+    describe('#exactMatch', () => {
+        describe('when inputs exactly match value', () => {
+            it('should select exactly matching inputs', () => {
+                expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.exactMatch(inputs, 160, 0))).to.eql([7, 8]);
+                expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.exactMatch(inputs, 260, 0))).to.eql([7, 5, 8]);
+            });
+        });
+
+        describe('when exact match exceeds inputs limit', () => {
+            it('should fall back to optimal value selection', () => {
+                expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.exactMatch(inputs, 260, 2))).to.eql(
+                    getKeyIndexes(INPUT_SELECTION_STRATEGIES.optimalValue(inputs, 260)),
+                );
+            });
+        });
+
+        describe('when no inputs exactly match value', () => {
+            it('should fall back to optimal value selection', () => {
+                expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.exactMatch(inputs, 105, 0))).to.eql([5, 8]);
+            });
+        });
+    });
+
+    describe('#oldestFirst', () => {
+        it('should select inputs with lowest key indexes first', () => {
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.oldestFirst(inputs, 110))).to.eql([5, 7]);
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.oldestFirst(inputs, 50))).to.eql([5]);
+        });
+    });
+
+    describe('#consolidateDust', () => {
+        it('should additionally select inputs with small balances, smallest first', () => {
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.consolidateDust(inputs, 140, 0))).to.eql([7, 8, 5]);
+        });
+
+        it('should not exceed inputs limit', () => {
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.consolidateDust(inputs, 140, 2))).to.eql([7, 8]);
+            expect(getKeyIndexes(INPUT_SELECTION_STRATEGIES.consolidateDust(inputs, 110, 2))).to.eql([5, 8]);
+        });
+    });
+
+    describe('#findExactMatch', () => {
+        it('should return null if there is no match within limit', () => {
+            expect(findExactMatch(inputs, 260, 2)).to.equal(null);
+            expect(findExactMatch(inputs, 11, 3)).to.equal(null);
+        });
+    });
+
+    describe('#isValidInputSelectionStrategy', () => {
+        it('should return true for supported strategies', () => {
+            expect(isValidInputSelectionStrategy('oldestFirst')).to.equal(true);
+        });
+
+        it('should return false for unsupported strategies', () => {
+            expect(isValidInputSelectionStrategy('foo')).to.equal(false);
+        });
+    });
+
+    describe('#getInputSelectionStrategy', () => {
+        it('should fall back to default strategy for unsupported strategies', () => {
+            expect(getInputSelectionStrategy('foo')).to.equal(INPUT_SELECTION_STRATEGIES.optimalValue);
+        });
+    });
+
+    describe('when used with prepareInputs', () => {
+        it('should select inputs with provided strategy', () => {
+            const { inputs: selectedInputs, balance } = prepareInputs(mockAddressData, 110, 0, 2, 'fewestInputs');
+
+            expect(getKeyIndexes(selectedInputs)).to.eql([7]);
+            expect(balance).to.equal(150);
+        });
+
+        it('should throw if selected inputs exceed inputs limit', () => {
+            expect(prepareInputs.bind(null, mockAddressData, 200, 1, 2, 'oldestFirst')).to.throw(
+                'Cannot find input addresses with provided limit.',
+            );
+        });
+    });
+});
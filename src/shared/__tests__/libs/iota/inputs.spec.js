@@ -1,6 +1,7 @@
 import assign from 'lodash/assign';
 import each from 'lodash/each';
 import filter from 'lodash/filter';
+import find from 'lodash/find';
 import includes from 'lodash/includes';
 import map from 'lodash/map';
 import head from 'lodash/head';
@@ -8,7 +9,16 @@ import random from 'lodash/random';
 import reduce from 'lodash/reduce';
 import { expect } from 'chai';
 import nock from 'nock';
-import { prepareInputs, getInputs, isValidInput } from '../../../libs/iota/inputs';
+import {
+    prepareInputs,
+    getInputs,
+    isValidInput,
+    selectInputs,
+    getSelectableInputs,
+    getSelectableRemainderAddressData,
+    getInputSelectionValidationError,
+    getSelectedRemainder,
+} from '../../../libs/iota/inputs';
 import { addressData as mockAddressData, balance as totalBalanceOfMockAddressData } from '../../__samples__/addresses';
 import mockTransactions, {
     LATEST_MILESTONE,
@@ -503,6 +513,169 @@ describe('libs: iota/inputs', () => {
                 });
             });
         });
+
+        describe('when input addresses are selected', () => {
+            describe('when selection is empty', () => {
+                it('should throw with an error with message "Selected inputs cannot be spent from."', () => {
+                    return getInputs()(mockAddressData, mockTransactions, 10, 0, [])
+                        .then(() => {
+                            throw new Error();
+                        })
+                        .catch((error) => expect(error.message).to.equal('Selected inputs cannot be spent from.'));
+                });
+            });
+
+            describe('when any selected address has no balance', () => {
+                it('should throw with an error with message "Selected inputs cannot be spent from."', () => {
+                    return getInputs()(mockAddressData, mockTransactions, 10, 0, [
+                        mockAddressData[7].address,
+                        mockAddressData[4].address,
+                    ])
+                        .then(() => {
+                            throw new Error();
+                        })
+                        .catch((error) => expect(error.message).to.equal('Selected inputs cannot be spent from.'));
+                });
+            });
+
+            describe('when selected addresses do not cover threshold', () => {
+                it('should throw with an error with message "Selected inputs do not cover the transfer value."', () => {
+                    return getInputs()(mockAddressData, mockTransactions, 100, 0, [mockAddressData[8].address])
+                        .then(() => {
+                            throw new Error();
+                        })
+                        .catch((error) =>
+                            expect(error.message).to.equal('Selected inputs do not cover the transfer value.'),
+                        );
+                });
+            });
+        });
+    });
+
+    describe('#selectInputs', () => {
+        let addressData;
+
+        before(() => {
+            addressData = [
+                { index: 0, balance: 1, spent: { local: false, remote: false }, address: 'AAA' },
+                { index: 1, balance: 0, spent: { local: false, remote: false }, address: 'BBB' },
+                { index: 2, balance: 99, spent: { local: false, remote: false }, address: 'CCC' },
+            ];
+        });
+
+        it('should use all funded addresses as inputs', () => {
+            expect(selectInputs(addressData, 50)).to.eql({
+                inputs: [
+                    { address: 'AAA', balance: 1, keyIndex: 0, security: 2 },
+                    { address: 'CCC', balance: 99, keyIndex: 2, security: 2 },
+                ],
+                balance: 100,
+            });
+        });
+
+        describe('when has insufficient balance on inputs', () => {
+            it('should throw an error with message "Selected inputs do not cover the transfer value."', () => {
+                expect(selectInputs.bind(null, addressData, 101)).to.throw(
+                    'Selected inputs do not cover the transfer value.',
+                );
+            });
+        });
+
+        describe('when inputs exceed maxInputs', () => {
+            it('should throw an error with message "Cannot find input addresses with provided limit."', () => {
+                expect(selectInputs.bind(null, addressData, 50, 1)).to.throw(
+                    'Cannot find input addresses with provided limit.',
+                );
+            });
+        });
+    });
+
+    describe('#getSelectableInputs', () => {
+        it('should return all funded addresses as inputs', () => {
+            expect(map(getSelectableInputs(mockAddressData, mockTransactions), (input) => input.keyIndex)).to.eql([
+                5,
+                7,
+                8,
+            ]);
+        });
+
+        it('should not mark spent addresses as selectable', () => {
+            const inputs = getSelectableInputs(mockAddressData, mockTransactions);
+
+            expect(map(inputs, (input) => input.spent)).to.eql([true, false, false]);
+            expect(map(inputs, (input) => input.selectable)).to.eql([false, true, true]);
+        });
+
+        it('should not mark addresses with pending outgoing transactions as selectable', () => {
+            // See shared/__tests__/__samples/transactions -> failedTransactionsWithIncorrectTransactionHashes
+            const addressWithPendingOutgoingTransactions =
+                'OXCGKSXOVOFR9UMWGZMYHPWGVSSDZOTQAIKVMHVEHJBFPUNEZZKTISCKVVOVUGDHXLSVFIEWMMXGVYHOD';
+            const addressData = map(mockAddressData, (addressObject) =>
+                addressObject.address === addressWithPendingOutgoingTransactions
+                    ? { ...addressObject, balance: 10, spent: { local: false, remote: false } }
+                    : addressObject,
+            );
+
+            const input = find(
+                getSelectableInputs(addressData, mockTransactions),
+                ({ address }) => address === addressWithPendingOutgoingTransactions,
+            );
+
+            expect(input.hasPendingOutgoingTransactions).to.equal(true);
+            expect(input.selectable).to.equal(false);
+        });
+    });
+
+    describe('#getSelectableRemainderAddressData', () => {
+        it('should return unspent addresses without balance and pending outgoing transactions', () => {
+            expect(
+                map(getSelectableRemainderAddressData(mockAddressData, mockTransactions), ({ index }) => index),
+            ).to.eql([4, 9]);
+        });
+    });
+
+    describe('#getInputSelectionValidationError', () => {
+        const selectedInputs = [{ address: 'AAA', balance: 10 }, { address: 'BBB', balance: 20 }];
+
+        it('should return "zeroValue" if value is zero', () => {
+            expect(getInputSelectionValidationError(selectedInputs, 0)).to.equal('zeroValue');
+        });
+
+        it('should return "noInputsSelected" if no inputs are selected', () => {
+            expect(getInputSelectionValidationError([], 10)).to.equal('noInputsSelected');
+        });
+
+        it('should return "insufficientSelectedInputs" if selected inputs do not cover value', () => {
+            expect(getInputSelectionValidationError(selectedInputs, 31)).to.equal('insufficientSelectedInputs');
+        });
+
+        it('should return null if selected inputs cover value', () => {
+            expect(getInputSelectionValidationError(selectedInputs, 30)).to.equal(null);
+        });
+    });
+
+    describe('#getSelectedRemainder', () => {
+        describe('when remainder address is not selectable', () => {
+            it('should throw with an error with message "Selected remainder address cannot be used."', () => {
+                return getSelectedRemainder()(mockAddressData, mockTransactions, mockAddressData[7].address, [])
+                    .then(() => {
+                        throw new Error();
+                    })
+                    .catch((error) => expect(error.message).to.equal('Selected remainder address cannot be used.'));
+            });
+        });
+
+        describe('when remainder address is blacklisted', () => {
+            it('should throw with an error with message "Selected remainder address cannot be used."', () => {
+                return getSelectedRemainder()(mockAddressData, mockTransactions, mockAddressData[4].address, [
+                    mockAddressData[4].address,
+                ])
+                    .then(() => {
+                        throw new Error();
+                    })
+                    .catch((error) => expect(error.message).to.equal('Selected remainder address cannot be used.'));
+            });
+        });
     });
 
     describe('#isValidInput', () => {
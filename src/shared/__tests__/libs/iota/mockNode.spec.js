@@ -0,0 +1,293 @@
+import find from 'lodash/find';
+import map from 'lodash/map';
+import padEnd from 'lodash/padEnd';
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import { expect } from 'chai';
+import { getFullAccountInfo } from '../../../actions/accounts';
+import { makeTransaction } from '../../../actions/transfers';
+import {
+    getBalancesAsync,
+    wereAddressesSpentFromAsync,
+    isNodeHealthy,
+    allowsRemotePow,
+    prepareTransfersAsync,
+    getTransactionsToApproveAsync,
+    attachToTangleAsync,
+    storeAndBroadcastAsync,
+    getLatestInclusionAsync,
+    promoteTransactionAsync,
+} from '../../../libs/iota/extendedApi';
+import { iota } from '../../../libs/iota/index';
+import { getAccountData } from '../../../libs/iota/accounts';
+import { realm, Account, AuditLogEntry, Wallet, getRealm, initialise } from '../../../storage';
+import { AccountsActionTypes } from '../../../types';
+import { createMockNode } from '../../__mocks__/iri';
+import seedAddresses, { seed } from '../../__samples__/seed';
+
+const Realm = getRealm();
+
+const mockStore = configureMockStore([thunk]);
+
+const generateAddress = (index) => padEnd(iota.utils.toTrytes(`ADDRESS${index}`), 81, '9');
+
+const seedStore = {
+    offloadPow: true,
+    generateAddress: ({ index, total }) =>
+        Promise.resolve(
+            total
+                ? map(
+                      Array.from(Array(total), (_, idx) => index + idx),
+                      generateAddress,
+                  )
+                : generateAddress(index),
+        ),
+    getDigest: (trytes) => Promise.resolve(iota.utils.transactionObject(trytes).hash),
+};
+
+/**
+ * Seed store of an account holding a real seed, so that value bundles are signed
+ */
+const accountSeedStore = {
+    offloadPow: true,
+    generateAddress: ({ index, total }) =>
+        Promise.resolve(!total || total === 1 ? seedAddresses[index] : seedAddresses.slice(index, index + total)),
+    prepareTransfers: (settings) => (transfers, options) => prepareTransfersAsync(settings)(seed, transfers, options),
+    getDigest: (trytes) => Promise.resolve(iota.utils.transactionObject(trytes).hash),
+};
+
+/**
+ * Prepares, attaches and broadcasts a zero value transaction
+ *
+ * @param {string} address
+ *
+ * @returns {Promise<array>} - Attached transaction objects
+ */
+const sendZeroValueTransaction = (address) => {
+    const cached = { trytes: [] };
+
+    return prepareTransfersAsync()('U'.repeat(81), [{ address, value: 0, message: '', tag: '' }])
+        .then((trytes) => {
+            cached.trytes = trytes;
+
+            return getTransactionsToApproveAsync()();
+        })
+        .then(({ trunkTransaction, branchTransaction }) =>
+            attachToTangleAsync(null, seedStore)(trunkTransaction, branchTransaction, cached.trytes),
+        )
+        .then(({ trytes, transactionObjects }) => storeAndBroadcastAsync()(trytes).then(() => transactionObjects));
+};
+
+describe('libs: iota (mock node)', () => {
+    const node = createMockNode();
+
+    before(() => node.listen());
+
+    after(() => node.close());
+
+    beforeEach(() => {
+        node.reset();
+    });
+
+    describe('when node is synced', () => {
+        it('should be healthy', () => {
+            return isNodeHealthy().then((isHealthy) => expect(isHealthy).to.equal(true));
+        });
+
+        it('should allow remote proof-of-work', () => {
+            return allowsRemotePow({ url: 'http://localhost:14265' }).then((allowed) => expect(allowed).to.equal(true));
+        });
+    });
+
+    describe('when balances are set', () => {
+        it('should return balances of addresses', () => {
+            node.setBalance(generateAddress(0), 100);
+
+            return getBalancesAsync(
+                null,
+                false,
+            )([generateAddress(0), generateAddress(1)]).then(({ balances }) => expect(balances).to.eql(['100', '0']));
+        });
+    });
+
+    describe('when addresses are spent', () => {
+        it('should return spent statuses of addresses', () => {
+            node.setSpent(generateAddress(1));
+
+            return wereAddressesSpentFromAsync(
+                null,
+                false,
+            )([generateAddress(0), generateAddress(1)]).then((states) => expect(states).to.eql([false, true]));
+        });
+    });
+
+    describe('when a transaction is sent', () => {
+        it('should attach transaction to latest milestone', () => {
+            return sendZeroValueTransaction(generateAddress(0)).then(([transaction]) => {
+                expect(transaction.trunkTransaction).to.equal(node.milestone.hash);
+                expect(node.findTransactions({ addresses: [generateAddress(0)] })).to.eql([transaction.hash]);
+            });
+        });
+
+        it('should only include transaction after it is confirmed', () => {
+            let hash;
+
+            return sendZeroValueTransaction(generateAddress(0))
+                .then(([transaction]) => {
+                    hash = transaction.hash;
+
+                    return getLatestInclusionAsync()([hash]);
+                })
+                .then((states) => {
+                    expect(states).to.eql([false]);
+
+                    node.confirm([hash]);
+
+                    return getLatestInclusionAsync()([hash]);
+                })
+                .then((states) => expect(states).to.eql([true]));
+        });
+
+        it('should promote transaction', () => {
+            let hash;
+
+            return sendZeroValueTransaction(generateAddress(0))
+                .then(([transaction]) => {
+                    hash = transaction.hash;
+
+                    return promoteTransactionAsync(null, seedStore)(hash);
+                })
+                .then(() => expect(node.findTransactions({ approvees: [hash] }).length).to.equal(1));
+        });
+    });
+
+    describe('when account is synced', () => {
+        it('should return balances and transactions of account addresses', () => {
+            node.setBalance(generateAddress(0), 100);
+
+            return sendZeroValueTransaction(generateAddress(1))
+                .then(() => getAccountData(null, false)(seedStore, 'TEST'))
+                .then(({ addressData, transactions }) => {
+                    expect(map(addressData, ({ balance }) => balance)).to.eql([100, 0, 0]);
+                    expect(map(transactions, ({ address }) => address)).to.eql([generateAddress(1)]);
+                });
+        });
+    });
+
+    describe('when wallet actions are dispatched', () => {
+        before(() => {
+            Realm.clearTestState();
+            initialise(() => Promise.resolve(new Int8Array(64)));
+        });
+
+        beforeEach(() => {
+            Wallet.createIfNotExists();
+        });
+
+        afterEach(() => {
+            realm.write(() => {
+                realm.delete(Account.data);
+                realm.delete(AuditLogEntry.data);
+                realm.delete(Wallet.data);
+            });
+        });
+
+        after(() => {
+            Realm.clearTestState();
+        });
+
+        it('should fetch full account info of a new account', () => {
+            node.setBalance(seedAddresses[0], 100);
+
+            const store = mockStore({
+                accounts: {
+                    accountInfo: {},
+                    setupInfo: {},
+                    tasks: {},
+                    accountInfoDuringSetup: { usedExistingSeed: true, meta: { type: 'keychain' } },
+                },
+                settings: { quorum: { enabled: false } },
+            });
+
+            return store.dispatch(getFullAccountInfo(accountSeedStore, 'TEST')).then(() => {
+                const { payload } = find(store.getActions(), {
+                    type: AccountsActionTypes.FULL_ACCOUNT_INFO_FETCH_SUCCESS,
+                });
+
+                expect(payload.name).to.equal('TEST');
+                expect(map(payload.addressData, ({ address }) => address)).to.eql(seedAddresses.slice(0, 2));
+                expect(map(payload.addressData, ({ balance }) => balance)).to.eql([100, 0]);
+            });
+        });
+
+        it('should send a value transaction and keep remainder on a new address', () => {
+            const receiveAddress = generateAddress(0);
+
+            node.setBalance(seedAddresses[0], 100);
+
+            return getAccountData(null, false)(accountSeedStore, 'TEST')
+                .then((accountData) => {
+                    const store = mockStore({
+                        accounts: {
+                            accountInfo: { TEST: { ...accountData, index: 0, meta: { type: 'keychain' } } },
+                            setupInfo: {},
+                            tasks: {},
+                        },
+                        settings: { quorum: { enabled: false } },
+                    });
+
+                    Account.create({ name: 'TEST', index: 0 });
+
+                    return store.dispatch(makeTransaction(accountSeedStore, receiveAddress, 60, '', 'TEST', false));
+                })
+                .then((isSent) => {
+                    expect(isSent).to.equal(true);
+
+                    const tailTransaction = find(node.transactions, ({ currentIndex, address }) => {
+                        return currentIndex === 0 && address === receiveAddress;
+                    });
+
+                    expect(node.wasSpentFrom(seedAddresses[0])).to.equal(true);
+
+                    node.confirm([tailTransaction.hash]);
+
+                    return getBalancesAsync(null, false)([receiveAddress, seedAddresses[0], seedAddresses[1]]);
+                })
+                .then(({ balances }) => expect(balances).to.eql(['60', '0', '40']));
+        });
+    });
+
+    describe('when a snapshot is performed', () => {
+        it('should keep confirmed balances and prune transactions', () => {
+            node.setBalance(generateAddress(0), 100);
+
+            return sendZeroValueTransaction(generateAddress(0))
+                .then(() => {
+                    node.snapshot();
+
+                    return getBalancesAsync(null, false)([generateAddress(0)]);
+                })
+                .then(({ balances }) => {
+                    expect(balances).to.eql(['100']);
+                    expect(node.findTransactions({ addresses: [generateAddress(0)] })).to.eql([]);
+                });
+        });
+    });
+
+    describe('when a response is scripted', () => {
+        it('should respond with scripted errors', () => {
+            node.setResponse('getBalances', () => {
+                throw new Error('Internal error');
+            });
+
+            return getBalancesAsync(
+                null,
+                false,
+            )([generateAddress(0)])
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.contain('Internal error'));
+        });
+    });
+});
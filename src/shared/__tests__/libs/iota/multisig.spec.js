@@ -0,0 +1,266 @@
+import { expect } from 'chai';
+import times from 'lodash/times';
+import {
+    MULTISIG_DIGESTS_EXPORT_TYPE,
+    MULTISIG_ADDRESS_COUNT,
+    isMultisigAccount,
+    isMultisigSeedStore,
+    getMultisigDigests,
+    createMultisigDigestsExport,
+    parseMultisigDigestsExport,
+    addCosigner,
+    getMultisigAddresses,
+    getMultisigReceiveAddressObject,
+    getMultisigInputAndRemainder,
+    createMultisigTransfer,
+    getMultisigSignatureStatus,
+    isFullySignedMultisigTransfer,
+    signMultisigTransfer,
+} from '../../../libs/iota/multisig';
+import { iota } from '../../../libs/iota';
+import { DEFAULT_TAG } from '../../../config';
+import Errors from '../../../libs/errors';
+
+const receiveAddress = 'EBWVVN9UDHQRKLPOMNBWTCLYAUVKEKHPAMYPYAPXXKBY9DBXBHLBEYHBXNOONXDCOOMGZYQVTEAYNOWCY';
+
+const seeds = ['A'.repeat(81), 'B'.repeat(81)];
+
+// Only the first two key digests are derived, to keep tests fast
+const getCosigner = (name, seed) => ({
+    name,
+    security: 1,
+    digests: [...getMultisigDigests(seed, 1, 2), ...times(MULTISIG_ADDRESS_COUNT - 2, () => '9'.repeat(81))],
+});
+
+const cosigners = addCosigner(addCosigner([], getCosigner('bob', seeds[1])), getCosigner('alice', seeds[0]));
+const addresses = getMultisigAddresses(cosigners);
+
+const getSeedStore = (seed) => ({
+    getCosigners: () => Promise.resolve(cosigners),
+    getMultisigDigest: (index) => Promise.resolve(iota.multisig.getDigest(seed, index, 1)),
+    getMultisigKey: (index) => Promise.resolve(iota.multisig.getKey(seed, index, 1)),
+});
+
+// Co-signers are ordered by their first key digest
+const seedStores = cosigners.map((cosigner) => getSeedStore(seeds[cosigner.name === 'alice' ? 0 : 1]));
+
+const getAddressObject = (index, balance, spent = false) => ({
+    address: addresses[index],
+    index,
+    balance,
+    spent: { local: spent, remote: false },
+});
+
+const getTransfer = (remainder = { address: addresses[1], keyIndex: 1 }) =>
+    createMultisigTransfer(
+        [{ address: receiveAddress, value: 10, message: '', tag: DEFAULT_TAG }],
+        { address: addresses[0], balance: 100, keyIndex: 0, security: 2 },
+        remainder,
+    );
+
+describe('libs: iota/multisig', () => {
+    describe('#isMultisigAccount', () => {
+        it('should return true if account meta type is "multisig"', () => {
+            expect(isMultisigAccount({ meta: { type: 'multisig' } })).to.equal(true);
+            expect(isMultisigAccount({ meta: { type: 'keychain' } })).to.equal(false);
+        });
+    });
+
+    describe('#isMultisigSeedStore', () => {
+        it('should return true if SeedStore class is multisig', () => {
+            class Multisig {
+                static get isMultisig() {
+                    return true;
+                }
+            }
+
+            expect(isMultisigSeedStore(new Multisig())).to.equal(true);
+            expect(isMultisigSeedStore({})).to.equal(false);
+        });
+    });
+
+    describe('#parseMultisigDigestsExport', () => {
+        it('should parse exported digests', () => {
+            const { name, security, digests } = cosigners[0];
+            const content = JSON.stringify(createMultisigDigestsExport(name, security, digests));
+
+            expect(parseMultisigDigestsExport(content)).to.eql(cosigners[0]);
+        });
+
+        it('should throw if content is not a digests export', () => {
+            const { name, security, digests } = cosigners[0];
+
+            expect(() => parseMultisigDigestsExport('foo')).to.throw(Errors.INVALID_MULTISIG_DIGESTS);
+            expect(() =>
+                parseMultisigDigestsExport(
+                    JSON.stringify({ ...createMultisigDigestsExport(name, security, digests), type: 'foo' }),
+                ),
+            ).to.throw(Errors.INVALID_MULTISIG_DIGESTS);
+            expect(createMultisigDigestsExport(name, security, digests).type).to.equal(MULTISIG_DIGESTS_EXPORT_TYPE);
+        });
+
+        it('should throw if digests do not match security level', () => {
+            const { name, digests } = cosigners[0];
+            const content = JSON.stringify(createMultisigDigestsExport(name, 2, digests));
+
+            expect(() => parseMultisigDigestsExport(content)).to.throw(Errors.INVALID_MULTISIG_DIGESTS);
+        });
+    });
+
+    describe('#addCosigner', () => {
+        it('should order co-signers by first digest, regardless of the order they were added in', () => {
+            const reversed = addCosigner(addCosigner([], cosigners[1]), cosigners[0]);
+
+            expect(reversed).to.eql(cosigners);
+        });
+
+        it('should not add a co-signer twice', () => {
+            expect(addCosigner(cosigners, cosigners[0])).to.eql(cosigners);
+        });
+    });
+
+    describe('#getMultisigAddresses', () => {
+        it('should return valid addresses for every key index', () => {
+            expect(addresses).to.have.lengthOf(MULTISIG_ADDRESS_COUNT);
+            expect(addresses.every((address) => iota.valid.isTrytes(address, 81))).to.equal(true);
+        });
+    });
+
+    describe('#getMultisigReceiveAddressObject', () => {
+        it('should return lowest index unspent address', () => {
+            const addressData = [getAddressObject(1, 0), getAddressObject(0, 0, true), getAddressObject(2, 0)];
+
+            expect(getMultisigReceiveAddressObject(addressData).index).to.equal(1);
+        });
+    });
+
+    describe('#getMultisigInputAndRemainder', () => {
+        it('should select lowest index unspent address with enough balance, and another unspent remainder address', () => {
+            const addressData = [getAddressObject(0, 100, true), getAddressObject(1, 5), getAddressObject(2, 50)];
+
+            expect(getMultisigInputAndRemainder(addressData, 10, 2)).to.eql({
+                input: { address: addresses[2], balance: 50, keyIndex: 2, security: 2 },
+                remainder: { address: addresses[1], keyIndex: 1 },
+            });
+        });
+
+        it('should throw if no unspent address has enough balance', () => {
+            const addressData = [getAddressObject(0, 100, true), getAddressObject(1, 5)];
+
+            expect(() => getMultisigInputAndRemainder(addressData, 10, 2)).to.throw(Errors.MULTISIG_INSUFFICIENT_INPUT);
+        });
+
+        it('should throw if there is no unspent remainder address', () => {
+            const addressData = [getAddressObject(0, 100, true), getAddressObject(1, 50)];
+
+            expect(() => getMultisigInputAndRemainder(addressData, 10, 2)).to.throw(
+                Errors.MULTISIG_ADDRESSES_EXHAUSTED,
+            );
+        });
+    });
+
+    describe('#signMultisigTransfer', () => {
+        it('should add signatures of co-signers in turn, until fully signed', () => {
+            let unsignedTransfer;
+
+            return getTransfer()
+                .then((transfer) => {
+                    unsignedTransfer = transfer;
+
+                    expect(getMultisigSignatureStatus(transfer, cosigners).map((item) => item.isSigned)).to.eql([
+                        false,
+                        false,
+                    ]);
+
+                    return signMultisigTransfer(seedStores[0], transfer);
+                })
+                .then((transfer) => {
+                    expect(getMultisigSignatureStatus(transfer, cosigners).map((item) => item.isSigned)).to.eql([
+                        true,
+                        false,
+                    ]);
+                    expect(isFullySignedMultisigTransfer(transfer)).to.equal(false);
+
+                    return signMultisigTransfer(seedStores[1], transfer);
+                })
+                .then((transfer) => {
+                    expect(transfer.transfers).to.eql(unsignedTransfer.transfers);
+                    expect(isFullySignedMultisigTransfer(transfer)).to.equal(true);
+                });
+        });
+
+        it('should throw if previous co-signers have not signed yet', () => {
+            return getTransfer()
+                .then((transfer) => signMultisigTransfer(seedStores[1], transfer))
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.MULTISIG_SIGNING_ORDER));
+        });
+
+        it('should throw if co-signer has already signed', () => {
+            return getTransfer()
+                .then((transfer) => signMultisigTransfer(seedStores[0], transfer))
+                .then((transfer) => signMultisigTransfer(seedStores[0], transfer))
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.MULTISIG_ALREADY_SIGNED));
+        });
+
+        it('should throw if bundle does not match transfer summary', () => {
+            return getTransfer()
+                .then((transfer) =>
+                    signMultisigTransfer(seedStores[0], {
+                        ...transfer,
+                        transfers: [{ ...transfer.transfers[0], value: 20 }],
+                    }),
+                )
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.INVALID_BUNDLE));
+        });
+
+        it('should throw if remainder is not sent to the multisig address at its key index', () => {
+            return getTransfer({ address: 'F'.repeat(81), keyIndex: 1 })
+                .then((transfer) => signMultisigTransfer(seedStores[0], transfer))
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.MULTISIG_INVALID_REMAINDER));
+        });
+
+        it('should throw if remainder address is spent', () => {
+            return getTransfer()
+                .then((transfer) =>
+                    signMultisigTransfer(seedStores[0], transfer, [
+                        getAddressObject(0, 100),
+                        getAddressObject(1, 0, true),
+                    ]),
+                )
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.MULTISIG_INVALID_REMAINDER));
+        });
+
+        it('should throw if remainder address is the input address', () => {
+            return getTransfer({ address: addresses[0], keyIndex: 0 })
+                .then((transfer) => signMultisigTransfer(seedStores[0], transfer))
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.MULTISIG_INVALID_REMAINDER));
+        });
+
+        it('should throw if seed is not a co-signer', () => {
+            return getTransfer()
+                .then((transfer) => signMultisigTransfer(getSeedStore('C'.repeat(81)), transfer))
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.MULTISIG_NOT_COSIGNER));
+        });
+    });
+});
@@ -0,0 +1,151 @@
+import { expect } from 'chai';
+import map from 'lodash/map';
+import {
+    createNodeHealthRecord,
+    addNodeRequestResult,
+    addNodeHealthCheck,
+    getNodeReliability,
+    getNodeHealthScore,
+    rankNodesByHealth,
+    getReliableNodes,
+    getNodesDueForHealthCheck,
+} from '../../../libs/iota/nodeHealth';
+
+const nodes = [
+    { url: 'https://foo.io', pow: true },
+    { url: 'https://bar.io', pow: false },
+    { url: 'https://baz.io', pow: true },
+];
+
+const getRecord = (url, props) => ({ ...createNodeHealthRecord(url), ...props });
+
+const records = {
+    'https://foo.io': getRecord('https://foo.io', { requests: 10, failures: 2, lastCheckedAt: 300 }),
+    'https://bar.io': getRecord('https://bar.io', { requests: 10, failures: 0, lastCheckedAt: 100 }),
+};
+
+describe('libs: iota/nodeHealth', () => {
+    describe('#addNodeRequestResult', () => {
+        it('should count successful requests and reset consecutive failures', () => {
+            const record = getRecord('https://foo.io', { requests: 2, failures: 2, consecutiveFailures: 2 });
+
+            expect(addNodeRequestResult(record, null, 1000)).to.eql({
+                ...record,
+                requests: 3,
+                consecutiveFailures: 0,
+                lastSuccessAt: 1000,
+            });
+        });
+
+        it('should count failed requests and store last error', () => {
+            const record = createNodeHealthRecord('https://foo.io');
+
+            expect(addNodeRequestResult(record, new Error('Request timed out'), 1000)).to.eql({
+                ...record,
+                requests: 1,
+                failures: 1,
+                consecutiveFailures: 1,
+                lastError: 'Request timed out',
+                lastFailureAt: 1000,
+            });
+        });
+    });
+
+    describe('#addNodeHealthCheck', () => {
+        it('should set latency on first health check', () => {
+            const record = addNodeHealthCheck(
+                createNodeHealthRecord('https://foo.io'),
+                { latency: 200, milestoneLag: 1, pow: true },
+                1000,
+            );
+
+            expect(record.latency).to.equal(200);
+            expect(record.milestoneLag).to.equal(1);
+            expect(record.pow).to.equal(true);
+            expect(record.requests).to.equal(1);
+            expect(record.lastCheckedAt).to.equal(1000);
+        });
+
+        it('should smooth latency of subsequent health checks', () => {
+            const record = getRecord('https://foo.io', { latency: 100 });
+
+            expect(addNodeHealthCheck(record, { latency: 200, milestoneLag: 0, pow: false }).latency).to.equal(130);
+        });
+    });
+
+    describe('#getNodeReliability', () => {
+        it('should return 0.5 for nodes without records', () => {
+            expect(getNodeReliability(undefined)).to.equal(0.5);
+            expect(getNodeReliability(createNodeHealthRecord('https://foo.io'))).to.equal(0.5);
+        });
+
+        it('should return smoothed ratio of successful requests', () => {
+            expect(getNodeReliability(records['https://bar.io'])).to.equal(11 / 12);
+        });
+    });
+
+    describe('#getNodeHealthScore', () => {
+        it('should penalise consecutive failures, latency and milestone lag', () => {
+            const record = getRecord('https://foo.io', {
+                requests: 8,
+                failures: 0,
+                consecutiveFailures: 0,
+                latency: 500,
+                milestoneLag: 2,
+            });
+
+            // 90 - 5 (latency) - 10 (milestone lag)
+            expect(getNodeHealthScore(record)).to.equal(75);
+            expect(getNodeHealthScore({ ...record, consecutiveFailures: 1 })).to.equal(65);
+        });
+
+        it('should never return a negative score', () => {
+            expect(
+                getNodeHealthScore(
+                    getRecord('https://foo.io', { requests: 20, failures: 20, consecutiveFailures: 20 }),
+                ),
+            ).to.equal(0);
+        });
+    });
+
+    describe('#rankNodesByHealth', () => {
+        it('should order nodes by score, healthiest first', () => {
+            const ranked = rankNodesByHealth(nodes, records);
+
+            expect(map(ranked, 'url')).to.eql(['https://bar.io', 'https://foo.io', 'https://baz.io']);
+            expect(ranked[2]).to.include({ url: 'https://baz.io', pow: true, requests: 0, score: 50 });
+        });
+    });
+
+    describe('#getReliableNodes', () => {
+        it('should prefer nodes with higher scores', () => {
+            expect(map(getReliableNodes(nodes, 2, [], false, records), 'url')).to.eql([
+                'https://bar.io',
+                'https://foo.io',
+            ]);
+        });
+
+        it('should exclude blacklisted nodes', () => {
+            expect(map(getReliableNodes(nodes, 5, [{ url: 'https://bar.io' }], false, records), 'url')).to.eql([
+                'https://foo.io',
+                'https://baz.io',
+            ]);
+        });
+
+        it('should only return nodes with remote PoW if PoW is true', () => {
+            expect(map(getReliableNodes(nodes, 5, [], true, records), 'url')).to.eql([
+                'https://foo.io',
+                'https://baz.io',
+            ]);
+        });
+    });
+
+    describe('#getNodesDueForHealthCheck', () => {
+        it('should return nodes with the oldest health checks first', () => {
+            expect(map(getNodesDueForHealthCheck(nodes, records, 2), 'url')).to.eql([
+                'https://baz.io',
+                'https://bar.io',
+            ]);
+        });
+    });
+});
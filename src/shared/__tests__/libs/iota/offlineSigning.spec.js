@@ -0,0 +1,242 @@
+import { expect } from 'chai';
+import {
+    OFFLINE_TRANSFER_TYPES,
+    createUnsignedTransfer,
+    serializeOfflineTransfer,
+    parseOfflineTransfer,
+    getUnsignedTransferSummary,
+    getSignedTransferSummary,
+    isMatchingSignedTransfer,
+    signUnsignedTransfer,
+    getQrFrames,
+    addQrFrame,
+    joinQrFrames,
+} from '../../../libs/iota/offlineSigning';
+import { iota } from '../../../libs/iota';
+import { newValueTransactionTrytes } from '../../__samples__/trytes';
+import Errors from '../../../libs/errors';
+
+const inputAddress = 'ZBQWFOZVCOURPSVBNIBWOBQNRQXDBESSEJWWETTWWMGSJDUJLITMJYYBM9ZUFXTYTTPSGDTVBNIKLKXJA';
+const receiveAddress = 'EBWVVN9UDHQRKLPOMNBWTCLYAUVKEKHPAMYPYAPXXKBY9DBXBHLBEYHBXNOONXDCOOMGZYQVTEAYNOWCY';
+
+const getUnsignedTransfer = () =>
+    createUnsignedTransfer([{ address: iota.utils.addChecksum(receiveAddress), value: 1, message: '', tag: '' }], {
+        inputs: [{ address: inputAddress, balance: 1, keyIndex: 0, security: 2, spent: false }],
+        address: 'A'.repeat(81),
+        keyIndex: 1,
+    });
+
+const getSignedTransfer = () => ({
+    ...getUnsignedTransfer(),
+    type: OFFLINE_TRANSFER_TYPES.signed,
+    trytes: newValueTransactionTrytes,
+});
+
+describe('libs: iota/offlineSigning', () => {
+    describe('#createUnsignedTransfer', () => {
+        it('should only keep properties required for signing', () => {
+            const { inputs, remainder, version, type } = getUnsignedTransfer();
+
+            expect(version).to.equal(1);
+            expect(type).to.equal(OFFLINE_TRANSFER_TYPES.unsigned);
+            expect(inputs).to.eql([{ address: inputAddress, balance: 1, keyIndex: 0, security: 2 }]);
+            expect(remainder).to.eql({ address: 'A'.repeat(81), keyIndex: 1 });
+        });
+    });
+
+    describe('#parseOfflineTransfer', () => {
+        it('should parse a serialised unsigned transfer', () => {
+            const unsignedTransfer = getUnsignedTransfer();
+
+            expect(
+                parseOfflineTransfer(serializeOfflineTransfer(unsignedTransfer), OFFLINE_TRANSFER_TYPES.unsigned),
+            ).to.eql(unsignedTransfer);
+        });
+
+        it('should throw if content is not valid JSON', () => {
+            expect(() => parseOfflineTransfer('{foo', OFFLINE_TRANSFER_TYPES.unsigned)).to.throw(
+                Errors.INVALID_OFFLINE_TRANSFER,
+            );
+        });
+
+        it('should throw if type does not match', () => {
+            const content = serializeOfflineTransfer(getUnsignedTransfer());
+
+            expect(() => parseOfflineTransfer(content, OFFLINE_TRANSFER_TYPES.signed)).to.throw(
+                Errors.INVALID_OFFLINE_TRANSFER,
+            );
+        });
+
+        it('should throw if version is not supported', () => {
+            const content = serializeOfflineTransfer({ ...getUnsignedTransfer(), version: 2 });
+
+            expect(() => parseOfflineTransfer(content, OFFLINE_TRANSFER_TYPES.unsigned)).to.throw(
+                Errors.UNSUPPORTED_OFFLINE_TRANSFER_VERSION,
+            );
+        });
+
+        it('should throw if signed transfer contains invalid trytes', () => {
+            const content = serializeOfflineTransfer({ ...getSignedTransfer(), trytes: ['FOO'] });
+
+            expect(() => parseOfflineTransfer(content, OFFLINE_TRANSFER_TYPES.signed)).to.throw(
+                Errors.INVALID_OFFLINE_TRANSFER,
+            );
+        });
+    });
+
+    describe('#getUnsignedTransferSummary', () => {
+        it('should return outputs, inputs value and remainder value', () => {
+            const unsignedTransfer = getUnsignedTransfer();
+            unsignedTransfer.inputs[0].balance = 10;
+
+            const { value, inputsValue, remainderValue, remainderAddress } = getUnsignedTransferSummary(
+                unsignedTransfer,
+            );
+
+            expect(value).to.equal(1);
+            expect(inputsValue).to.equal(10);
+            expect(remainderValue).to.equal(9);
+            expect(remainderAddress).to.equal('A'.repeat(81));
+        });
+    });
+
+    describe('#getSignedTransferSummary', () => {
+        it('should return bundle hash, outputs and inputs of signed bundle', () => {
+            const { bundle, outputs, inputs, value } = getSignedTransferSummary(getSignedTransfer());
+
+            expect(bundle).to.equal(iota.utils.transactionObject(newValueTransactionTrytes[0]).bundle);
+            expect(outputs).to.eql([{ address: receiveAddress, value: 1 }]);
+            expect(inputs).to.eql([{ address: inputAddress, value: -1 }]);
+            expect(value).to.equal(1);
+        });
+    });
+
+    describe('#isMatchingSignedTransfer', () => {
+        it('should return true if signed bundle spends exactly what was prepared', () => {
+            expect(isMatchingSignedTransfer(getUnsignedTransfer(), getSignedTransfer())).to.equal(true);
+        });
+
+        it('should return false if signed bundle sends to a different address', () => {
+            const unsignedTransfer = getUnsignedTransfer();
+            unsignedTransfer.transfers[0].address = iota.utils.addChecksum('B'.repeat(81));
+
+            expect(isMatchingSignedTransfer(unsignedTransfer, getSignedTransfer())).to.equal(false);
+        });
+
+        it('should return false if remainder is missing from signed bundle', () => {
+            const unsignedTransfer = getUnsignedTransfer();
+            unsignedTransfer.inputs[0].balance = 10;
+
+            expect(isMatchingSignedTransfer(unsignedTransfer, getSignedTransfer())).to.equal(false);
+        });
+    });
+
+    describe('#signUnsignedTransfer', () => {
+        it('should sign with seedStore and return signed transfer', () => {
+            const seedStore = { prepareTransfers: () => () => Promise.resolve(newValueTransactionTrytes) };
+
+            return signUnsignedTransfer(seedStore, getUnsignedTransfer()).then((signedTransfer) => {
+                expect(signedTransfer.type).to.equal(OFFLINE_TRANSFER_TYPES.signed);
+                expect(signedTransfer.trytes).to.eql(newValueTransactionTrytes);
+            });
+        });
+
+        it('should throw if signed bundle does not match unsigned transfer', () => {
+            const seedStore = { prepareTransfers: () => () => Promise.resolve(newValueTransactionTrytes.slice(1)) };
+
+            return signUnsignedTransfer(seedStore, getUnsignedTransfer())
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.INVALID_BUNDLE));
+        });
+
+        it('should sign if remainder address is derived from seed at its key index', () => {
+            const unsignedTransfer = getUnsignedTransfer();
+            unsignedTransfer.inputs[0].balance = 10;
+
+            const seedStore = {
+                generateAddress: ({ index }) => Promise.resolve(index === 1 ? 'A'.repeat(81) : 'B'.repeat(81)),
+                prepareTransfers: () => () => Promise.resolve(newValueTransactionTrytes),
+            };
+
+            // Signed bundle has no remainder, so signing completes up to bundle verification
+            return signUnsignedTransfer(seedStore, unsignedTransfer)
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.INVALID_BUNDLE));
+        });
+
+        it('should throw if remainder address is not derived from seed at its key index', () => {
+            const unsignedTransfer = getUnsignedTransfer();
+            unsignedTransfer.inputs[0].balance = 10;
+            unsignedTransfer.remainder.address = 'C'.repeat(81);
+
+            let hasSigned = false;
+
+            const seedStore = {
+                generateAddress: () => Promise.resolve('A'.repeat(81)),
+                prepareTransfers: () => () => {
+                    hasSigned = true;
+
+                    return Promise.resolve(newValueTransactionTrytes);
+                },
+            };
+
+            return signUnsignedTransfer(seedStore, unsignedTransfer)
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => {
+                    expect(error.message).to.equal(Errors.OFFLINE_TRANSFER_INVALID_REMAINDER);
+                    expect(hasSigned).to.equal(false);
+                });
+        });
+
+        it('should throw if remainder key index is missing', () => {
+            const unsignedTransfer = getUnsignedTransfer();
+            unsignedTransfer.inputs[0].balance = 10;
+            delete unsignedTransfer.remainder.keyIndex;
+
+            const seedStore = {
+                generateAddress: () => Promise.resolve('A'.repeat(81)),
+                prepareTransfers: () => () => Promise.resolve(newValueTransactionTrytes),
+            };
+
+            return signUnsignedTransfer(seedStore, unsignedTransfer)
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.OFFLINE_TRANSFER_INVALID_REMAINDER));
+        });
+    });
+
+    describe('#getQrFrames, #addQrFrame, #joinQrFrames', () => {
+        it('should split content into frames and join scanned frames in any order', () => {
+            const content = serializeOfflineTransfer(getSignedTransfer());
+            const frames = getQrFrames(content, 1000);
+
+            expect(frames.length).to.equal(Math.ceil(content.length / 1000));
+            expect(frames[0].startsWith(`1/${frames.length}:`)).to.equal(true);
+
+            let scanned = { total: 0, parts: {} };
+
+            [...frames].reverse().forEach((frame, index) => {
+                expect(joinQrFrames(scanned)).to.equal(null, `Joined after ${index} frames`);
+                scanned = addQrFrame(scanned, frame);
+                // Duplicate scans should be ignored
+                scanned = addQrFrame(scanned, frame);
+            });
+
+            expect(joinQrFrames(scanned)).to.equal(content);
+        });
+
+        it('should ignore data that is not a frame', () => {
+            const scanned = { total: 2, parts: { 1: 'foo' } };
+
+            expect(addQrFrame(scanned, 'foo')).to.equal(scanned);
+            expect(addQrFrame(scanned, '3/2:foo')).to.equal(scanned);
+        });
+    });
+});
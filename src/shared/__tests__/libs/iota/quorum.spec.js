@@ -1,6 +1,13 @@
 import { expect } from 'chai';
 import sinon from 'sinon';
-import { findSyncedNodes, fallbackToSafeResult, determineQuorumResult } from '../../../libs/iota/quorum';
+import {
+    findSyncedNodes,
+    fallbackToSafeResult,
+    determineQuorumResult,
+    getQuorumThreshold,
+    setQuorumMethodPolicy,
+    createQuorumRound,
+} from '../../../libs/iota/quorum';
 import * as extendedApis from '../../../libs/iota/extendedApi';
 import { EMPTY_HASH_TRYTES } from '../../../libs/iota/utils';
 
@@ -147,6 +154,81 @@ describe('libs: iota/quorum', () => {
         });
     });
 
+    describe('#getQuorumThreshold', () => {
+        it('should return threshold of supermajority policy', () => {
+            expect(getQuorumThreshold({ policy: 'supermajority', threshold: 75 }, 'getInclusionStates')).to.equal(75);
+        });
+
+        it('should return 50 for majority policy and 100 for unanimous policy', () => {
+            expect(getQuorumThreshold({ policy: 'majority', threshold: 75 }, 'getInclusionStates')).to.equal(50);
+            expect(getQuorumThreshold({ policy: 'unanimous', threshold: 75 }, 'getInclusionStates')).to.equal(100);
+        });
+
+        it('should prefer policy of method over global policy', () => {
+            const config = {
+                policy: 'majority',
+                threshold: 66,
+                methodPolicies: setQuorumMethodPolicy([], 'wereAddressesSpentFrom', 'unanimous'),
+            };
+
+            expect(getQuorumThreshold(config, 'wereAddressesSpentFrom')).to.equal(100);
+            expect(getQuorumThreshold(config, 'getInclusionStates')).to.equal(50);
+        });
+    });
+
+    describe('#setQuorumMethodPolicy', () => {
+        it('should replace existing policy of method', () => {
+            const methodPolicies = setQuorumMethodPolicy([], 'wereAddressesSpentFrom', 'unanimous');
+
+            expect(setQuorumMethodPolicy(methodPolicies, 'wereAddressesSpentFrom', 'supermajority', 80)).to.eql([
+                { method: 'wereAddressesSpentFrom', policy: 'supermajority', threshold: 80 },
+            ]);
+        });
+
+        it('should remove policy of method if policy is null', () => {
+            const methodPolicies = setQuorumMethodPolicy([], 'wereAddressesSpentFrom', 'unanimous');
+
+            expect(setQuorumMethodPolicy(methodPolicies, 'wereAddressesSpentFrom', null)).to.eql([]);
+        });
+    });
+
+    describe('#determineQuorumResult (unanimous)', () => {
+        it('should only return most frequent result if all nodes agree', () => {
+            expect(determineQuorumResult([false, false, false], 3)('wereAddressesSpentFrom', 100)).to.equal(false);
+            expect(determineQuorumResult([false, false, true], 3)('wereAddressesSpentFrom', 100)).to.equal(true);
+            // Unresponsive nodes prevent a unanimous result
+            expect(determineQuorumResult([false, false], 3)('wereAddressesSpentFrom', 100)).to.equal(true);
+        });
+    });
+
+    describe('#createQuorumRound', () => {
+        const nodes = [{ url: 'https://foo.io' }, { url: 'https://bar.io' }, { url: 'https://baz.io' }];
+
+        it('should flag nodes disagreeing with quorum result as outliers', () => {
+            const answers = [
+                ['10', '0'],
+                ['10', '0'],
+                ['10', '5'],
+            ];
+            const round = createQuorumRound('getBalances:balances', nodes, answers, 3, 60);
+
+            expect(round.method).to.equal('getBalances:balances');
+            expect(round.nodes).to.eql(['https://foo.io', 'https://bar.io', 'https://baz.io']);
+            expect(round.answers[2]).to.eql({ url: 'https://baz.io', answer: ['10', '5'] });
+            expect(round.outliers).to.eql(['https://baz.io']);
+            expect(round.unresponsive).to.eql([]);
+        });
+
+        it('should not flag nodes for items no quorum was reached for', () => {
+            const answers = [['10', '0'], ['10', '5'], undefined];
+            const round = createQuorumRound('getBalances:balances', nodes, answers, 3, 60);
+
+            expect(round.outliers).to.eql([]);
+            expect(round.unresponsive).to.eql(['https://baz.io']);
+            expect(round.answers[2]).to.eql({ url: 'https://baz.io', answer: null });
+        });
+    });
+
     describe('#findSyncedNodes', () => {
         let nodes;
 
@@ -9,6 +9,7 @@ import sinon from 'sinon';
 import nock from 'nock';
 import {
     prepareTransferArray,
+    prepareTransfersArray,
     getTransactionsDiff,
     normaliseBundle,
     categoriseBundleByInputsOutputs,
@@ -19,6 +20,7 @@ import {
     sortTransactionTrytesArray,
     getTransferValue,
     computeTransactionMessage,
+    computeTransactionTag,
     isValidTransfer,
     isFundedBundle,
     categoriseInclusionStatesByBundleHash,
@@ -26,6 +28,7 @@ import {
     filterZeroValueBundles,
     isBundleTraversable,
     isBundle,
+    filterTransactions,
 } from '../../../libs/iota/transfers';
 import { confirmedValueBundles, unconfirmedValueBundles, confirmedZeroValueBundles } from '../../__samples__/bundles';
 import { iota } from '../../../libs/iota';
@@ -198,6 +201,22 @@ describe('libs: iota/transfers', () => {
         });
     });
 
+    describe('#computeTransactionTag', () => {
+        it('should return first non-empty tag without trailing 9s', () => {
+            expect(
+                computeTransactionTag([
+                    { tag: '9'.repeat(27) },
+                    { tag: `ORDER9ONE${'9'.repeat(18)}` },
+                    { tag: `TRINITY${'9'.repeat(20)}` },
+                ]),
+            ).to.equal('ORDER9ONE');
+        });
+
+        it('should return an empty string if bundle has no tag', () => {
+            expect(computeTransactionTag([{ tag: '9'.repeat(27) }])).to.equal('');
+        });
+    });
+
     describe('#prepareTransferArray', () => {
         let addressData;
 
@@ -268,6 +287,70 @@ describe('libs: iota/transfers', () => {
         });
     });
 
+    describe('#prepareTransfersArray', () => {
+        let addressData;
+
+        before(() => {
+            addressData = [
+                {
+                    address: 'X'.repeat(81),
+                    index: 0,
+                    balance: 0,
+                    spent: { local: false, remote: false },
+                },
+            ];
+        });
+
+        it('should throw an error with message "Empty address data." if address data has no address at index 0', () => {
+            expect(() => prepareTransfersArray([{ address: 'A'.repeat(81), value: 1 }], [])).to.throw(
+                'Empty address data.',
+            );
+        });
+
+        it('should return a transfer object for each recipient', () => {
+            expect(
+                prepareTransfersArray(
+                    [
+                        { address: 'A'.repeat(81), value: 1, message: '', tag: 'FOO' },
+                        { address: 'B'.repeat(81), value: 2 },
+                    ],
+                    addressData,
+                ),
+            ).to.eql([
+                {
+                    address: 'A'.repeat(81),
+                    tag: 'FOO',
+                    message: '',
+                    value: 1,
+                },
+                {
+                    address: 'B'.repeat(81),
+                    tag: 'TRINITY',
+                    message: '',
+                    value: 2,
+                },
+            ]);
+        });
+
+        describe('when all values are zero and no address is part of address data', () => {
+            it('should add a transfer object for address at index 0', () => {
+                const result = prepareTransfersArray(
+                    [
+                        { address: 'A'.repeat(81), value: 0, message: '', tag: 'FOO' },
+                        { address: 'B'.repeat(81), value: 0, message: '', tag: 'FOO' },
+                    ],
+                    addressData,
+                );
+
+                expect(map(result, (transfer) => transfer.address)).to.eql([
+                    'A'.repeat(81),
+                    'B'.repeat(81),
+                    'X'.repeat(81),
+                ]);
+            });
+        });
+    });
+
     describe('#getTransactionsDiff', () => {
         describe('when second argument size is not greater than first argument size', () => {
             let firstArgument;
@@ -413,6 +496,10 @@ describe('libs: iota/transfers', () => {
             expect(normaliseBundle(bundle, addresses, tailTransactions, false)).to.include.keys('transferValue');
         });
 
+        it('should return an object with "tag" prop', () => {
+            expect(normaliseBundle(bundle, addresses, tailTransactions, false)).to.include.keys('tag');
+        });
+
         it('should return an object with "tailTransactions" prop', () => {
             expect(normaliseBundle(bundle, addresses, tailTransactions, false)).to.include.keys('tailTransactions');
         });
@@ -1318,4 +1405,91 @@ describe('libs: iota/transfers', () => {
             ).to.equal(false);
         });
     });
+
+    describe('#filterTransactions', () => {
+        let transactions;
+
+        beforeEach(() => {
+            transactions = [
+                {
+                    bundle: 'A'.repeat(81),
+                    message: 'Rent',
+                    tag: 'TRINITY',
+                    transferValue: 10,
+                    incoming: false,
+                    persistence: true,
+                },
+                {
+                    bundle: 'B'.repeat(81),
+                    message: 'Empty',
+                    tag: 'ORDER9ONE',
+                    transferValue: 20,
+                    incoming: true,
+                    persistence: true,
+                },
+                {
+                    bundle: 'C'.repeat(81),
+                    message: 'Empty',
+                    tag: 'ORDER9TWO',
+                    transferValue: 0,
+                    incoming: true,
+                    persistence: false,
+                },
+            ];
+        });
+
+        it('should filter transactions by message', () => {
+            const { filteredTransactions } = filterTransactions(transactions, false, 'All', 'rent');
+
+            expect(map(filteredTransactions, (transaction) => transaction.bundle)).to.eql(['A'.repeat(81)]);
+        });
+
+        it('should filter transactions by bundle hash prefix', () => {
+            const { filteredTransactions } = filterTransactions(transactions, false, 'All', 'bbb');
+
+            expect(map(filteredTransactions, (transaction) => transaction.bundle)).to.eql(['B'.repeat(81)]);
+        });
+
+        it('should filter transactions by private label, note or category', () => {
+            const metadata = {
+                ['B'.repeat(81)]: { label: 'January salary', note: '', category: 'payroll' },
+                ['C'.repeat(81)]: { label: '', note: 'Invoice 42 from supplier', category: '' },
+            };
+
+            expect(
+                map(
+                    filterTransactions(transactions, false, 'All', 'PAYROLL', metadata).filteredTransactions,
+                    (transaction) => transaction.bundle,
+                ),
+            ).to.eql(['B'.repeat(81)]);
+            expect(
+                map(
+                    filterTransactions(transactions, false, 'All', 'invoice 42', metadata).filteredTransactions,
+                    (transaction) => transaction.bundle,
+                ),
+            ).to.eql(['C'.repeat(81)]);
+        });
+
+        it('should only filter transactions by tag prefix for "tag:" searches', () => {
+            expect(
+                map(
+                    filterTransactions(transactions, false, 'All', 'tag: order9').filteredTransactions,
+                    (transaction) => transaction.bundle,
+                ),
+            ).to.eql(['B'.repeat(81), 'C'.repeat(81)]);
+            expect(
+                map(
+                    filterTransactions(transactions, false, 'All', 'TAG:ORDER9TWO').filteredTransactions,
+                    (transaction) => transaction.bundle,
+                ),
+            ).to.eql(['C'.repeat(81)]);
+            expect(filterTransactions(transactions, false, 'All', 'tag:rent').filteredTransactions).to.eql([]);
+        });
+
+        it('should compute totals for each filter', () => {
+            const { totals } = filterTransactions(transactions, true);
+
+            expect(totals).to.eql({ All: 2, Sent: 1, Received: 1, Pending: 0 });
+        });
+    });
 });
@@ -8,6 +8,7 @@ import {
     withRetriesOnDifferentNodes,
     throwIfNodeNotHealthy,
     isLastTritZero,
+    isValidTag,
     getChecksum,
 } from '../../../libs/iota/utils';
 import { latestAddressWithoutChecksum, latestAddressChecksum } from '../../__samples__/addresses';
@@ -27,6 +28,29 @@ describe('libs: iota/utils', () => {
         });
     });
 
+    describe('#isValidTag', () => {
+        describe('when tag contains only trytes and is not longer than 27 characters', () => {
+            it('should return true', () => {
+                expect(isValidTag('')).to.equal(true);
+                expect(isValidTag('TRINITY')).to.equal(true);
+                expect(isValidTag('9'.repeat(27))).to.equal(true);
+            });
+        });
+
+        describe('when tag contains non-tryte characters', () => {
+            it('should return false', () => {
+                expect(isValidTag('trinity')).to.equal(false);
+                expect(isValidTag('TRINITY!')).to.equal(false);
+            });
+        });
+
+        describe('when tag is longer than 27 characters', () => {
+            it('should return false', () => {
+                expect(isValidTag('A'.repeat(28))).to.equal(false);
+            });
+        });
+    });
+
     describe('#convertFromTrytes', () => {
         describe('when trytes passed as an argument contains all nines', () => {
             it('should return a string "Empty"', () => {
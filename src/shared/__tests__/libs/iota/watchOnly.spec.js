@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import {
+    WATCH_ONLY_EXPORT_TYPE,
+    isWatchOnlyAccount,
+    isWatchOnlySeedStore,
+    throwIfWatchOnlyAccount,
+    createWatchOnlyExport,
+    parseWatchOnlyAddresses,
+} from '../../../libs/iota/watchOnly';
+import { iota } from '../../../libs/iota';
+import Errors from '../../../libs/errors';
+
+const addresses = [
+    'ZBQWFOZVCOURPSVBNIBWOBQNRQXDBESSEJWWETTWWMGSJDUJLITMJYYBM9ZUFXTYTTPSGDTVBNIKLKXJA',
+    'EBWVVN9UDHQRKLPOMNBWTCLYAUVKEKHPAMYPYAPXXKBY9DBXBHLBEYHBXNOONXDCOOMGZYQVTEAYNOWCY',
+];
+
+describe('libs: iota/watchOnly', () => {
+    describe('#isWatchOnlyAccount', () => {
+        it('should return true if account meta type is "watchonly"', () => {
+            expect(isWatchOnlyAccount({ meta: { type: 'watchonly' } })).to.equal(true);
+        });
+
+        it('should return false for other account types', () => {
+            expect(isWatchOnlyAccount({ meta: { type: 'keychain' } })).to.equal(false);
+            expect(isWatchOnlyAccount({})).to.equal(false);
+        });
+    });
+
+    describe('#isWatchOnlySeedStore', () => {
+        it('should return true if SeedStore class is watch-only', () => {
+            class WatchOnly {
+                static get isWatchOnly() {
+                    return true;
+                }
+            }
+
+            expect(isWatchOnlySeedStore(new WatchOnly())).to.equal(true);
+        });
+
+        it('should return false for other SeedStore objects', () => {
+            expect(isWatchOnlySeedStore({ generateAddress: () => Promise.resolve() })).to.equal(false);
+            expect(isWatchOnlySeedStore(undefined)).to.equal(false);
+        });
+    });
+
+    describe('#throwIfWatchOnlyAccount', () => {
+        it('should reject with WATCH_ONLY_ACCOUNT error for watch-only accounts', () => {
+            return throwIfWatchOnlyAccount({ meta: { type: 'watchonly' } })
+                .then(() => {
+                    throw new Error();
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.WATCH_ONLY_ACCOUNT));
+        });
+
+        it('should resolve for other accounts', () => {
+            return throwIfWatchOnlyAccount({ meta: { type: 'keychain' } });
+        });
+    });
+
+    describe('#parseWatchOnlyAddresses', () => {
+        it('should parse addresses from an address-generation export', () => {
+            const content = JSON.stringify(createWatchOnlyExport(addresses));
+
+            expect(parseWatchOnlyAddresses(content)).to.eql(addresses);
+        });
+
+        it('should parse a list of addresses with or without checksum', () => {
+            const content = `${iota.utils.addChecksum(addresses[0])}\n ${addresses[1].toLowerCase()}, ${addresses[0]}`;
+
+            expect(parseWatchOnlyAddresses(content)).to.eql(addresses);
+        });
+
+        it('should throw if an address has an invalid checksum', () => {
+            const content = `${addresses[0]}AAAAAAAAA`;
+
+            expect(() => parseWatchOnlyAddresses(content)).to.throw(Errors.INVALID_WATCH_ONLY_ADDRESSES);
+        });
+
+        it('should throw if an address could not have been generated from a seed', () => {
+            expect(() => parseWatchOnlyAddresses('M'.repeat(81))).to.throw(Errors.INVALID_WATCH_ONLY_ADDRESSES);
+        });
+
+        it('should throw if export type is not supported', () => {
+            const content = JSON.stringify({ type: 'foo', addresses });
+
+            expect(() => parseWatchOnlyAddresses(content)).to.throw(Errors.INVALID_WATCH_ONLY_ADDRESSES);
+        });
+
+        it('should throw if there are no addresses', () => {
+            const content = JSON.stringify({ type: WATCH_ONLY_EXPORT_TYPE, addresses: [] });
+
+            expect(() => parseWatchOnlyAddresses(content)).to.throw(Errors.INVALID_WATCH_ONLY_ADDRESSES);
+            expect(() => parseWatchOnlyAddresses(' ')).to.throw(Errors.INVALID_WATCH_ONLY_ADDRESSES);
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import { expect } from 'chai';
+import sinon from 'sinon';
+import {
+    DEFAULT_MARKET_DATA_PROVIDER,
+    MARKET_DATA_CURRENCIES,
+    MARKET_DATA_TIMEFRAMES,
+    fetchMarketDataSnapshot,
+    getMarketDataProvider,
+} from '../../libs/marketData';
+import { memoiseForDuration } from '../../libs/marketData/request';
+import * as trinity from '../../libs/marketData/providers/trinity';
+import * as coinGecko from '../../libs/marketData/providers/coinGecko';
+import { createMockProvider } from '../../libs/marketData/providers/mock';
+
+describe('libs: marketData', () => {
+    describe('#getMarketDataProvider', () => {
+        it('should return provider with provided id', () => {
+            expect(getMarketDataProvider('coinGecko').id).to.equal('coinGecko');
+        });
+
+        it('should return default provider for unknown ids', () => {
+            expect(getMarketDataProvider('foo').id).to.equal(DEFAULT_MARKET_DATA_PROVIDER);
+        });
+    });
+
+    describe('#fetchMarketDataSnapshot', () => {
+        it('should return prices, statistics, sorted rates and chart data for all currencies and timeframes', () => {
+            return fetchMarketDataSnapshot(createMockProvider()).then(({ prices, statistics, rates, chartData }) => {
+                expect(prices).to.eql({ usd: 0.36837355, eur: 0.32195848, btc: 9.6940408e-5, eth: 0.0027490563 });
+                expect(statistics).to.eql({ mcap: 1023905434.52, volume: 8112450.37, change24h: '-2.431' });
+                expect(Object.keys(rates)).to.eql([...Object.keys(rates)].sort());
+
+                expect(Object.keys(chartData)).to.eql(MARKET_DATA_CURRENCIES.map((currency) => currency.toLowerCase()));
+                MARKET_DATA_CURRENCIES.forEach((currency) => {
+                    expect(Object.keys(chartData[currency.toLowerCase()])).to.eql(MARKET_DATA_TIMEFRAMES);
+                });
+                expect(chartData.usd['24h'].length).to.equal(25);
+            });
+        });
+
+        it('should reject if provider is unreachable', () => {
+            return fetchMarketDataSnapshot(createMockProvider({ offline: true })).then(
+                () => {
+                    throw new Error();
+                },
+                (error) => expect(error.message).to.equal('Offline'),
+            );
+        });
+    });
+
+    describe('#memoiseForDuration', () => {
+        it('should reuse resolved promises within duration', () => {
+            const fn = sinon.stub().resolves('foo');
+            const memoised = memoiseForDuration(fn, 1000);
+
+            return Promise.all([memoised('a'), memoised('a'), memoised('b')]).then(() => {
+                expect(fn.callCount).to.equal(2);
+            });
+        });
+
+        it('should not reuse rejected promises', () => {
+            const fn = sinon.stub().rejects(new Error('foo'));
+            const memoised = memoiseForDuration(fn, 1000);
+
+            return memoised('a')
+                .catch(() => memoised('a'))
+                .catch(() => {
+                    expect(fn.callCount).to.equal(2);
+                });
+        });
+    });
+
+    describe('providers: trinity', () => {
+        describe('#parsePrices', () => {
+            it('should default missing prices and statistics to zero', () => {
+                expect(trinity.parsePrices({ currencies: { usd: 0.3 } })).to.eql({
+                    prices: { usd: 0.3, eur: 0, btc: 0, eth: 0 },
+                    statistics: { mcap: 0, volume: 0, change24h: 0 },
+                    rates: {},
+                });
+            });
+        });
+
+        describe('#parseChartData', () => {
+            it('should return data points for currency and timeframe', () => {
+                const response = { 'history-eur': { data: { '7d': [[1, 0.3]] } } };
+
+                expect(trinity.parseChartData(response, 'EUR', '7d')).to.eql([[1, 0.3]]);
+                expect(trinity.parseChartData(response, 'EUR', '24h')).to.eql([]);
+            });
+        });
+    });
+
+    describe('providers: coinGecko', () => {
+        describe('#parsePrices', () => {
+            it('should derive exchange rates relative to USD', () => {
+                const { prices, statistics, rates } = coinGecko.parsePrices({
+                    iota: {
+                        usd: 0.25,
+                        eur: 0.2,
+                        gbp: 0.125,
+                        btc: 0.00005,
+                        usd_market_cap: 700000000,
+                        usd_24h_vol: 5000000,
+                        usd_24h_change: 1.23456,
+                    },
+                });
+
+                expect(prices).to.eql({ usd: 0.25, eur: 0.2, btc: 0.00005, eth: 0 });
+                expect(statistics).to.eql({ mcap: 700000000, volume: 5000000, change24h: '1.235' });
+                expect(rates).to.eql({ USD: 1, EUR: 0.8, GBP: 0.5 });
+            });
+        });
+
+        describe('#parseChartData', () => {
+            const response = {
+                prices: [
+                    [1546297200000, 0.3],
+                    [1546298100000, 0.31],
+                    [1546300800000, 0.32],
+                    [1546304400000, 0.33],
+                ],
+            };
+
+            it('should convert times to unix time', () => {
+                expect(coinGecko.parseChartData(response, '24h')).to.eql([
+                    [1546297200, 0.3],
+                    [1546298100, 0.31],
+                    [1546300800, 0.32],
+                    [1546304400, 0.33],
+                ]);
+            });
+
+            it('should only return last hour for 1h timeframe', () => {
+                expect(coinGecko.parseChartData(response, '1h')).to.eql([
+                    [1546300800, 0.32],
+                    [1546304400, 0.33],
+                ]);
+            });
+
+            it('should return an empty array for invalid responses', () => {
+                expect(coinGecko.parseChartData({}, '24h')).to.eql([]);
+            });
+        });
+    });
+});
@@ -0,0 +1,131 @@
+import { expect } from 'chai';
+import { isCDAWithValidChecksum } from '@iota/cda';
+import {
+    PAYMENT_REQUEST_STATUSES,
+    getConditionalDepositAddress,
+    createPaymentRequestLink,
+    createPaymentRequestObject,
+    getPaymentRequestReceivedAmount,
+    getPaymentRequestStatus,
+    getUpdatedPaymentRequests,
+} from '../../libs/paymentRequests';
+import { parseCDALink } from '../../libs/iota/utils';
+import { latestAddressWithoutChecksum } from '../__samples__/addresses';
+
+const now = 1500000000;
+const timeoutAt = now + 3600;
+
+const request = createPaymentRequestObject(
+    {
+        accountName: 'TEST',
+        address: latestAddressWithoutChecksum,
+        expectedAmount: 100,
+        message: 'Invoice #1',
+        timeoutAt,
+    },
+    now,
+);
+
+const getTransaction = (value, overrides = {}) => ({
+    incoming: true,
+    persistence: true,
+    outputs: [
+        { address: latestAddressWithoutChecksum, value },
+        { address: 'A'.repeat(81), value: 5 },
+    ],
+    ...overrides,
+});
+
+describe('libs: paymentRequests', () => {
+    describe('#getConditionalDepositAddress', () => {
+        it('should append a valid CDA checksum to the address', () => {
+            const address = getConditionalDepositAddress(latestAddressWithoutChecksum, timeoutAt, 100);
+
+            expect(address).to.have.lengthOf(90);
+            expect(address.slice(0, 81)).to.equal(latestAddressWithoutChecksum);
+            expect(isCDAWithValidChecksum({ address, timeoutAt, expectedAmount: 100 })).to.equal(true);
+            expect(isCDAWithValidChecksum({ address, timeoutAt, expectedAmount: 99 })).to.equal(false);
+        });
+    });
+
+    describe('#createPaymentRequestLink', () => {
+        it('should create a link that can be parsed with parseCDALink', () => {
+            expect(parseCDALink(createPaymentRequestLink(request))).to.eql({
+                address: request.address,
+                message: 'Invoice #1',
+                expectedAmount: 100,
+                timeoutAt,
+            });
+        });
+
+        it('should omit amount and message if not provided', () => {
+            const link = createPaymentRequestLink({ ...request, expectedAmount: 0, message: '' });
+
+            expect(link).to.equal(`iota://?address=${request.address}&timeoutAt=${timeoutAt}`);
+        });
+    });
+
+    describe('#createPaymentRequestObject', () => {
+        it('should create an open request with CDA address', () => {
+            expect(request).to.eql({
+                address: getConditionalDepositAddress(latestAddressWithoutChecksum, timeoutAt, 100),
+                accountName: 'TEST',
+                expectedAmount: 100,
+                message: 'Invoice #1',
+                timeoutAt,
+                createdAt: now,
+                receivedAmount: 0,
+                status: PAYMENT_REQUEST_STATUSES.open,
+            });
+        });
+    });
+
+    describe('#getPaymentRequestReceivedAmount', () => {
+        it('should sum confirmed incoming outputs to request address', () => {
+            const transactions = [
+                getTransaction(30),
+                getTransaction(20),
+                getTransaction(50, { persistence: false }),
+                getTransaction(50, { incoming: false }),
+            ];
+
+            expect(getPaymentRequestReceivedAmount(request, transactions)).to.equal(50);
+        });
+    });
+
+    describe('#getPaymentRequestStatus', () => {
+        it('should return "paid" if received amount is at least expected amount', () => {
+            expect(getPaymentRequestStatus(request, 100, now)).to.equal('paid');
+            expect(getPaymentRequestStatus(request, 150, timeoutAt + 1)).to.equal('paid');
+        });
+
+        it('should return "paid" for any received amount if no amount is expected', () => {
+            expect(getPaymentRequestStatus({ ...request, expectedAmount: 0 }, 1, now)).to.equal('paid');
+            expect(getPaymentRequestStatus({ ...request, expectedAmount: 0 }, 0, now)).to.equal('open');
+        });
+
+        it('should return "expired" if request is not paid before it times out', () => {
+            expect(getPaymentRequestStatus(request, 0, timeoutAt)).to.equal('expired');
+            expect(getPaymentRequestStatus(request, 50, timeoutAt)).to.equal('expired');
+        });
+
+        it('should return "partiallyPaid" if received amount is less than expected amount', () => {
+            expect(getPaymentRequestStatus(request, 50, now)).to.equal('partiallyPaid');
+        });
+
+        it('should return "open" if nothing is received', () => {
+            expect(getPaymentRequestStatus(request, 0, now)).to.equal('open');
+        });
+    });
+
+    describe('#getUpdatedPaymentRequests', () => {
+        it('should return only requests with changed status or received amount', () => {
+            const paidRequest = { ...request, address: 'B'.repeat(90), status: 'paid', receivedAmount: 100 };
+            const unchangedRequest = { ...request, address: 'C'.repeat(90) };
+
+            expect(
+                getUpdatedPaymentRequests([request, paidRequest, unchangedRequest], [getTransaction(40)], now),
+            ).to.eql([{ ...request, receivedAmount: 40, status: 'partiallyPaid' }]);
+        });
+    });
+});
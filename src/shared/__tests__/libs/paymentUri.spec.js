@@ -0,0 +1,183 @@
+import { expect } from 'chai';
+import {
+    PAYMENT_URI_VERSION,
+    parsePaymentUri,
+    serialisePaymentUri,
+    isPaymentUriExpired,
+    getPaymentUriRecipients,
+    isPaymentUriFulfilled,
+    getPaymentUriCallbackUrl,
+} from '../../libs/paymentUri';
+import Errors from '../../libs/errors';
+import { latestAddressWithChecksum } from '../__samples__/addresses';
+
+const otherAddress = 'JEFTSJGSNYGDSYHTCIZF9WXPWGHOPKRJSGXGNNZIUJUZGOFEGXRHPJVGPUZNIZMQ9QSNAITO9QUYQZZECRHAFCPMZY';
+
+const market = { currency: 'EUR', usdPrice: 0.25, conversionRate: 0.8 };
+
+describe('libs: paymentUri', () => {
+    describe('#parsePaymentUri', () => {
+        it('should parse a plain address', () => {
+            expect(parsePaymentUri(latestAddressWithChecksum)).to.eql({
+                version: PAYMENT_URI_VERSION,
+                recipients: [
+                    { address: latestAddressWithChecksum, amount: 0, unit: 'i', tag: '', message: '', label: '' },
+                ],
+                expiresAt: null,
+                callback: null,
+            });
+        });
+
+        it('should parse legacy links and JSON payment requests', () => {
+            const expectedRecipient = {
+                address: latestAddressWithChecksum,
+                amount: 100,
+                unit: 'i',
+                tag: '',
+                message: 'Foo bar',
+                label: '',
+            };
+
+            expect(
+                parsePaymentUri(`iota://${latestAddressWithChecksum}?amount=100&message=Foo%20bar`).recipients,
+            ).to.eql([expectedRecipient]);
+            expect(
+                parsePaymentUri(
+                    JSON.stringify({ address: latestAddressWithChecksum, amount: 100, message: 'Foo bar', tag: 'FOO' }),
+                ).recipients,
+            ).to.eql([{ ...expectedRecipient, tag: 'FOO' }]);
+        });
+
+        it('should parse units, tags, labels, multiple recipients, expiry and callback', () => {
+            const request = parsePaymentUri(
+                `iota://${latestAddressWithChecksum}?v=1&amount=1.5Mi&tag=ORDER9ONE&label=Coffee` +
+                    `&address.1=${otherAddress}&amount.1=2.5EUR&message.1=Tip` +
+                    '&expires=1500000000&callback=https%3A%2F%2Fshop.com%2Fpaid%3Forder%3D1',
+            );
+
+            expect(request).to.eql({
+                version: 1,
+                recipients: [
+                    {
+                        address: latestAddressWithChecksum,
+                        amount: 1.5,
+                        unit: 'Mi',
+                        tag: 'ORDER9ONE',
+                        message: '',
+                        label: 'Coffee',
+                    },
+                    { address: otherAddress, amount: 2.5, unit: 'EUR', tag: '', message: 'Tip', label: '' },
+                ],
+                expiresAt: 1500000000,
+                callback: 'https://shop.com/paid?order=1',
+            });
+        });
+
+        it('should throw for newer payment URI versions', () => {
+            expect(() => parsePaymentUri(`iota://${latestAddressWithChecksum}?v=2`)).to.throw(
+                Errors.UNSUPPORTED_PAYMENT_URI_VERSION,
+            );
+        });
+
+        it('should throw for invalid addresses, amounts, tags and callbacks', () => {
+            [
+                'foo',
+                'iota://FOO?amount=1',
+                `iota://${latestAddressWithChecksum}?amount=-1`,
+                `iota://${latestAddressWithChecksum}?amount=1.5`,
+                `iota://${latestAddressWithChecksum}?amount=1.0000001Mi`,
+                `iota://${latestAddressWithChecksum}?tag=foo`,
+                `iota://${latestAddressWithChecksum}?address.1=FOO`,
+                `iota://${latestAddressWithChecksum}?expires=soon`,
+                `iota://${latestAddressWithChecksum}?callback=javascript%3Aalert(1)`,
+            ].forEach((input) => expect(() => parsePaymentUri(input)).to.throw(Errors.INVALID_PAYMENT_URI));
+        });
+    });
+
+    describe('#serialisePaymentUri', () => {
+        it('should create a payment URI that can be parsed', () => {
+            const request = {
+                version: PAYMENT_URI_VERSION,
+                recipients: [
+                    {
+                        address: latestAddressWithChecksum,
+                        amount: 1.5,
+                        unit: 'Gi',
+                        tag: 'FOO',
+                        message: 'Foo & bar?',
+                        label: 'Shop',
+                    },
+                    { address: otherAddress, amount: 10, unit: 'USD', tag: '', message: '', label: '' },
+                ],
+                expiresAt: 1500000000,
+                callback: 'https://shop.com/paid?order=1',
+            };
+
+            expect(parsePaymentUri(serialisePaymentUri(request))).to.eql(request);
+        });
+
+        it('should only include provided fields', () => {
+            expect(
+                serialisePaymentUri({ recipients: [{ address: latestAddressWithChecksum, message: 'Foo' }] }),
+            ).to.equal(`iota://${latestAddressWithChecksum}?v=1&message=Foo`);
+        });
+    });
+
+    describe('#isPaymentUriExpired', () => {
+        it('should return true only if expiry time has passed', () => {
+            expect(isPaymentUriExpired({ expiresAt: null }, 1500000000)).to.equal(false);
+            expect(isPaymentUriExpired({ expiresAt: 1500000001 }, 1500000000)).to.equal(false);
+            expect(isPaymentUriExpired({ expiresAt: 1500000000 }, 1500000000)).to.equal(true);
+        });
+    });
+
+    describe('#getPaymentUriRecipients', () => {
+        it('should convert IOTA unit and fiat amounts to iotas', () => {
+            const request = parsePaymentUri(
+                `iota://${latestAddressWithChecksum}?amount=1.5Ki&address.1=${otherAddress}&amount.1=2EUR`,
+            );
+
+            expect(getPaymentUriRecipients(request, market).map(({ value }) => value)).to.eql([1500, 10000000]);
+        });
+
+        it('should throw if fiat currency does not match selected currency', () => {
+            const request = parsePaymentUri(`iota://${latestAddressWithChecksum}?amount=2GBP`);
+
+            expect(() => getPaymentUriRecipients(request, market)).to.throw(Errors.UNSUPPORTED_PAYMENT_URI_CURRENCY);
+        });
+
+        it('should throw for fiat amounts if price is unavailable', () => {
+            const request = parsePaymentUri(`iota://${latestAddressWithChecksum}?amount=2USD`);
+
+            expect(() => getPaymentUriRecipients(request, { ...market, usdPrice: 0 })).to.throw(
+                Errors.PRICE_UNAVAILABLE,
+            );
+        });
+    });
+
+    describe('#isPaymentUriFulfilled', () => {
+        const content = { recipients: [{ address: latestAddressWithChecksum, value: 10 }] };
+
+        it('should return true if every recipient is paid', () => {
+            expect(
+                isPaymentUriFulfilled(content, [
+                    { address: otherAddress, value: 1 },
+                    { address: latestAddressWithChecksum, value: 10 },
+                ]),
+            ).to.equal(true);
+        });
+
+        it('should return false for different values or missing recipients', () => {
+            expect(isPaymentUriFulfilled(content, [{ address: latestAddressWithChecksum, value: 9 }])).to.equal(false);
+            expect(isPaymentUriFulfilled({ recipients: [] }, [])).to.equal(false);
+        });
+    });
+
+    describe('#getPaymentUriCallbackUrl', () => {
+        it('should append bundle hash to callback URL', () => {
+            expect(getPaymentUriCallbackUrl('https://shop.com/paid?order=1', 'A'.repeat(81))).to.equal(
+                `https://shop.com/paid?order=1&bundle=${'A'.repeat(81)}`,
+            );
+        });
+    });
+});
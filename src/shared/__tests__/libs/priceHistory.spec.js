@@ -0,0 +1,193 @@
+import { expect } from 'chai';
+import {
+    attachFiatValues,
+    getDailyPrices,
+    getDailyPricesFromChartData,
+    getFiatValue,
+    getHistoricalPrice,
+    mergeDailyPrice,
+    mergePriceHistory,
+} from '../../libs/priceHistory';
+
+// 2018-10-19T00:00:00Z
+const DAY_START = 1539907200;
+const HOUR = 3600;
+
+const priceHistory = {
+    USD: {
+        '2018-10-19': {
+            open: 0.5,
+            high: 0.6,
+            low: 0.4,
+            close: 0.55,
+            openTime: DAY_START,
+            closeTime: DAY_START + 23 * HOUR,
+        },
+    },
+    EUR: {
+        '2018-10-19': {
+            open: 0.4,
+            high: 0.5,
+            low: 0.3,
+            close: 0.45,
+            openTime: DAY_START,
+            closeTime: DAY_START + 23 * HOUR,
+        },
+    },
+};
+
+describe('libs: priceHistory', () => {
+    describe('#getDailyPrices', () => {
+        it('should aggregate data points to daily (UTC) open, high, low and close prices', () => {
+            const dataPoints = [
+                [DAY_START + 2 * HOUR, '0.52'],
+                [DAY_START, '0.5'],
+                [DAY_START + HOUR, '0.6'],
+                [DAY_START + HOUR, '0.6'],
+                [DAY_START + 3 * HOUR, '0.4'],
+                [DAY_START + 24 * HOUR, '0.7'],
+            ];
+
+            expect(getDailyPrices(dataPoints)).to.eql({
+                '2018-10-19': {
+                    open: 0.5,
+                    high: 0.6,
+                    low: 0.4,
+                    close: 0.4,
+                    openTime: DAY_START,
+                    closeTime: DAY_START + 3 * HOUR,
+                },
+                '2018-10-20': {
+                    open: 0.7,
+                    high: 0.7,
+                    low: 0.7,
+                    close: 0.7,
+                    openTime: DAY_START + 24 * HOUR,
+                    closeTime: DAY_START + 24 * HOUR,
+                },
+            });
+        });
+
+        it('should ignore invalid data points', () => {
+            expect(
+                getDailyPrices([
+                    [DAY_START, 'foo'],
+                    [0, 0.5],
+                    [DAY_START, 0],
+                ]),
+            ).to.eql({});
+        });
+    });
+
+    describe('#getDailyPricesFromChartData', () => {
+        it('should aggregate all timeframes per (upper case) currency', () => {
+            const chartData = {
+                usd: { '24h': [[DAY_START + HOUR, 0.6]], '7d': [[DAY_START, 0.5]] },
+                eur: {},
+                foo: { '24h': [[DAY_START, 1]] },
+            };
+
+            expect(getDailyPricesFromChartData(chartData)).to.eql({
+                USD: {
+                    '2018-10-19': {
+                        open: 0.5,
+                        high: 0.6,
+                        low: 0.5,
+                        close: 0.6,
+                        openTime: DAY_START,
+                        closeTime: DAY_START + HOUR,
+                    },
+                },
+            });
+        });
+    });
+
+    describe('#mergeDailyPrice', () => {
+        it('should keep the earliest open, the latest close and the price extremes', () => {
+            const existing = {
+                open: 0.5,
+                high: 0.6,
+                low: 0.4,
+                close: 0.55,
+                openTime: DAY_START,
+                closeTime: DAY_START + HOUR,
+            };
+            const incoming = {
+                open: 0.56,
+                high: 0.7,
+                low: 0.45,
+                close: 0.65,
+                openTime: DAY_START + 2 * HOUR,
+                closeTime: DAY_START + 3 * HOUR,
+            };
+
+            expect(mergeDailyPrice(existing, incoming)).to.eql({
+                open: 0.5,
+                high: 0.7,
+                low: 0.4,
+                close: 0.65,
+                openTime: DAY_START,
+                closeTime: DAY_START + 3 * HOUR,
+            });
+        });
+
+        it('should return incoming price if there is no existing price', () => {
+            const incoming = { open: 1, high: 1, low: 1, close: 1, openTime: DAY_START, closeTime: DAY_START };
+
+            expect(mergeDailyPrice(undefined, incoming)).to.equal(incoming);
+        });
+    });
+
+    describe('#mergePriceHistory', () => {
+        it('should only return days present in new daily prices', () => {
+            const dailyPrices = {
+                USD: {
+                    '2018-10-20': {
+                        open: 1,
+                        high: 1,
+                        low: 1,
+                        close: 1,
+                        openTime: DAY_START + 24 * HOUR,
+                        closeTime: DAY_START + 24 * HOUR,
+                    },
+                },
+            };
+
+            expect(mergePriceHistory(priceHistory, dailyPrices)).to.eql(dailyPrices);
+        });
+    });
+
+    describe('#getHistoricalPrice', () => {
+        it('should return closing price of the day for currencies with own price history', () => {
+            expect(getHistoricalPrice(priceHistory, 'EUR', 0.9, DAY_START + 5 * HOUR)).to.equal(0.45);
+        });
+
+        it('should derive price from base currency for other currencies', () => {
+            expect(getHistoricalPrice(priceHistory, 'GBP', 2, DAY_START + 5 * HOUR)).to.equal(1.1);
+        });
+
+        it('should return null if price of the day is not cached', () => {
+            expect(getHistoricalPrice(priceHistory, 'USD', 1, DAY_START - HOUR)).to.equal(null);
+        });
+    });
+
+    describe('#getFiatValue', () => {
+        it('should return value rounded to cents', () => {
+            expect(getFiatValue(1234567, 0.5)).to.equal(0.62);
+        });
+
+        it('should return null if price is unavailable', () => {
+            expect(getFiatValue(1234567, null)).to.equal(null);
+        });
+    });
+
+    describe('#attachFiatValues', () => {
+        it('should attach fiat values at the time of the transaction and at current price', () => {
+            const transaction = { bundle: 'A'.repeat(81), timestamp: DAY_START + HOUR, transferValue: 2000000 };
+
+            expect(
+                attachFiatValues(transaction, (timestamp) => getHistoricalPrice(priceHistory, 'USD', 1, timestamp), 1),
+            ).to.eql({ ...transaction, fiatValueThen: 1.1, fiatValueNow: 2 });
+        });
+    });
+});
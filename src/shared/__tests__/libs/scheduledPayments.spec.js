@@ -0,0 +1,271 @@
+import { expect } from 'chai';
+import moment from 'moment';
+import {
+    SCHEDULED_PAYMENT_EXECUTION_STATUSES,
+    SCHEDULED_PAYMENT_STATUSES,
+    createScheduledPaymentObject,
+    getDueScheduledPayments,
+    getNextExecutionTime,
+    getScheduledPaymentValidationError,
+    getScheduledPaymentValue,
+    getUpdatedScheduledPayment,
+    isScheduledPaymentPasswordRequired,
+    parseScheduledPaymentStartTime,
+    updateLatestExecution,
+} from '../../libs/scheduledPayments';
+import { convertFiatToIotas } from '../../libs/currency';
+import Errors from '../../libs/errors';
+import { MAX_SCHEDULED_PAYMENT_EXECUTIONS } from '../../config';
+import { latestAddressWithChecksum } from '../__samples__/addresses';
+
+const now = 1500000000;
+const week = 7 * 24 * 60 * 60;
+
+const getPayment = (overrides = {}) =>
+    createScheduledPaymentObject({
+        accountName: 'TEST',
+        address: latestAddressWithChecksum,
+        amountType: 'iota',
+        value: 100,
+        frequency: 'weekly',
+        startAt: now,
+        ...overrides,
+    });
+
+describe('libs: scheduledPayments', () => {
+    describe('#getScheduledPaymentValidationError', () => {
+        it('should return null for a valid payment', () => {
+            expect(getScheduledPaymentValidationError(getPayment(), now)).to.equal(null);
+            expect(
+                getScheduledPaymentValidationError(
+                    getPayment({ amountType: 'fiat', fiatAmount: 10.5, currency: 'EUR', frequency: 'monthly' }),
+                    now,
+                ),
+            ).to.equal(null);
+        });
+
+        it('should return "invalidAddress" if address has no valid checksum', () => {
+            expect(
+                getScheduledPaymentValidationError(
+                    getPayment({ address: latestAddressWithChecksum.slice(0, 81) }),
+                    now,
+                ),
+            ).to.equal('invalidAddress');
+        });
+
+        it('should return "invalidAmount" for non-positive or fractional iota amounts', () => {
+            expect(getScheduledPaymentValidationError(getPayment({ value: 0 }), now)).to.equal('invalidAmount');
+            expect(getScheduledPaymentValidationError(getPayment({ value: 1.5 }), now)).to.equal('invalidAmount');
+        });
+
+        it('should return "invalidAmount" for fiat amounts without currency', () => {
+            expect(
+                getScheduledPaymentValidationError({ ...getPayment({ amountType: 'fiat', fiatAmount: 10 }) }, now),
+            ).to.equal('invalidAmount');
+        });
+
+        it('should return "invalidFrequency" for unknown frequencies', () => {
+            expect(getScheduledPaymentValidationError(getPayment({ frequency: 'daily' }), now)).to.equal(
+                'invalidFrequency',
+            );
+        });
+
+        it('should return "invalidStartTime" if start time is in the past', () => {
+            expect(getScheduledPaymentValidationError(getPayment({ startAt: now - 1 }), now)).to.equal(
+                'invalidStartTime',
+            );
+        });
+    });
+
+    describe('#createScheduledPaymentObject', () => {
+        it('should schedule first execution at start time', () => {
+            const payment = getPayment();
+
+            expect(payment.nextExecutionAt).to.equal(now);
+            expect(payment.status).to.equal(SCHEDULED_PAYMENT_STATUSES.active);
+            expect(payment.executions).to.eql([]);
+            expect(payment.requiresConfirmation).to.equal(false);
+        });
+
+        it('should only keep the amount relevant to amount type', () => {
+            const payment = getPayment({ amountType: 'fiat', fiatAmount: 10, currency: 'EUR' });
+
+            expect(payment.value).to.equal(0);
+            expect(payment.fiatAmount).to.equal(10);
+            expect(payment.currency).to.equal('EUR');
+        });
+    });
+
+    describe('#parseScheduledPaymentStartTime', () => {
+        it('should parse local date and time', () => {
+            expect(parseScheduledPaymentStartTime('2019-01-31', '12:30')).to.equal(
+                moment('2019-01-31T12:30:00').unix(),
+            );
+        });
+
+        it('should return null for invalid date or time', () => {
+            expect(parseScheduledPaymentStartTime('2019-02-30', '12:30')).to.equal(null);
+            expect(parseScheduledPaymentStartTime('2019-01-31', '')).to.equal(null);
+        });
+    });
+
+    describe('#getNextExecutionTime', () => {
+        it('should return null for one-off payments', () => {
+            expect(getNextExecutionTime({ frequency: 'once', startAt: now }, now)).to.equal(null);
+        });
+
+        it('should return the first weekly occurrence after provided time', () => {
+            expect(getNextExecutionTime({ frequency: 'weekly', startAt: now }, now)).to.equal(now + week);
+            expect(getNextExecutionTime({ frequency: 'weekly', startAt: now }, now + 3 * week + 5)).to.equal(
+                now + 4 * week,
+            );
+        });
+
+        it('should not drift monthly occurrences starting at the end of a month', () => {
+            const startAt = moment('2019-01-31T12:00:00').unix();
+            const first = getNextExecutionTime({ frequency: 'monthly', startAt }, startAt);
+            const second = getNextExecutionTime({ frequency: 'monthly', startAt }, first);
+
+            expect(moment.unix(first).format('YYYY-MM-DD')).to.equal('2019-02-28');
+            expect(moment.unix(second).format('YYYY-MM-DD')).to.equal('2019-03-31');
+        });
+    });
+
+    describe('#getDueScheduledPayments', () => {
+        it('should return active payments due for execution, oldest first', () => {
+            const payments = [
+                { id: 'a', status: 'active', nextExecutionAt: now - 10 },
+                { id: 'b', status: 'active', nextExecutionAt: now + 10 },
+                { id: 'c', status: 'awaitingConfirmation', nextExecutionAt: now - 20 },
+                { id: 'd', status: 'active', nextExecutionAt: now - 20 },
+                { id: 'e', status: 'completed', nextExecutionAt: now - 20 },
+            ];
+
+            expect(getDueScheduledPayments(payments, now).map(({ id }) => id)).to.eql(['d', 'a']);
+        });
+    });
+
+    describe('#getScheduledPaymentValue', () => {
+        const marketData = { usdPrice: 0.25, rates: { EUR: 0.8 }, lastUpdated: now * 1000 };
+
+        it('should return value of fixed iota payments', () => {
+            expect(getScheduledPaymentValue(getPayment(), {}, now * 1000)).to.equal(100);
+        });
+
+        it('should convert fixed fiat amounts with latest market data', () => {
+            const payment = getPayment({ amountType: 'fiat', fiatAmount: 10, currency: 'EUR' });
+
+            expect(getScheduledPaymentValue(payment, marketData, now * 1000)).to.equal(50000000);
+        });
+
+        it('should throw if market data is missing or stale', () => {
+            const payment = getPayment({ amountType: 'fiat', fiatAmount: 10, currency: 'GBP' });
+
+            expect(() => getScheduledPaymentValue(payment, marketData, now * 1000)).to.throw(Errors.PRICE_UNAVAILABLE);
+            expect(() =>
+                getScheduledPaymentValue({ ...payment, currency: 'EUR' }, marketData, (now + 2 * 60 * 60) * 1000),
+            ).to.throw(Errors.PRICE_UNAVAILABLE);
+        });
+    });
+
+    describe('#isScheduledPaymentPasswordRequired', () => {
+        const marketData = { usdPrice: 0.5, rates: { EUR: 1 }, lastUpdated: now * 1000 };
+
+        it('should return true for payments above the password threshold of the send policy', () => {
+            expect(
+                isScheduledPaymentPasswordRequired(getPayment(), { passwordThreshold: 99 }, marketData, now * 1000),
+            ).to.equal(true);
+            expect(
+                isScheduledPaymentPasswordRequired(
+                    getPayment({ amountType: 'fiat', fiatAmount: 1, currency: 'EUR' }),
+                    { passwordThreshold: 1000 },
+                    marketData,
+                    now * 1000,
+                ),
+            ).to.equal(true);
+        });
+
+        it('should return false for payments within the threshold or without a send policy', () => {
+            expect(
+                isScheduledPaymentPasswordRequired(getPayment(), { passwordThreshold: 100 }, marketData, now * 1000),
+            ).to.equal(false);
+            expect(isScheduledPaymentPasswordRequired(getPayment(), null, marketData, now * 1000)).to.equal(false);
+        });
+
+        it('should return false if value of fiat payments cannot be determined', () => {
+            expect(
+                isScheduledPaymentPasswordRequired(
+                    getPayment({ amountType: 'fiat', fiatAmount: 1, currency: 'EUR' }),
+                    { passwordThreshold: 1 },
+                    {},
+                    now * 1000,
+                ),
+            ).to.equal(false);
+        });
+    });
+
+    describe('#getUpdatedScheduledPayment', () => {
+        it('should record execution and schedule next occurrence of recurring payments', () => {
+            const result = getUpdatedScheduledPayment(getPayment(), {
+                executedAt: now + 5,
+                value: 100,
+                status: 'sent',
+            });
+
+            expect(result).to.eql({
+                nextExecutionAt: now + week,
+                status: SCHEDULED_PAYMENT_STATUSES.active,
+                executions: [{ executedAt: now + 5, value: 100, status: 'sent', error: '' }],
+            });
+        });
+
+        it('should skip missed occurrences', () => {
+            const result = getUpdatedScheduledPayment(getPayment(), { executedAt: now + 2 * week + 5, status: 'sent' });
+
+            expect(result.nextExecutionAt).to.equal(now + 3 * week);
+        });
+
+        it('should complete one-off payments', () => {
+            const result = getUpdatedScheduledPayment(getPayment({ frequency: 'once' }), {
+                executedAt: now,
+                status: 'failed',
+                error: 'Error',
+            });
+
+            expect(result.status).to.equal(SCHEDULED_PAYMENT_STATUSES.completed);
+            expect(result.nextExecutionAt).to.equal(now);
+        });
+
+        it('should keep a limited number of executions', () => {
+            const payment = {
+                ...getPayment(),
+                executions: new Array(MAX_SCHEDULED_PAYMENT_EXECUTIONS).fill({ executedAt: 0, status: 'sent' }),
+            };
+
+            const { executions } = getUpdatedScheduledPayment(payment, { executedAt: now, status: 'skipped' });
+
+            expect(executions).to.have.lengthOf(MAX_SCHEDULED_PAYMENT_EXECUTIONS);
+            expect(executions[executions.length - 1].status).to.equal(SCHEDULED_PAYMENT_EXECUTION_STATUSES.skipped);
+        });
+    });
+
+    describe('#updateLatestExecution', () => {
+        it('should only update the latest execution', () => {
+            const executions = [
+                { executedAt: 1, status: 'sent' },
+                { executedAt: 2, status: 'pending' },
+            ];
+
+            expect(updateLatestExecution(executions, { status: 'failed' })).to.eql([
+                { executedAt: 1, status: 'sent' },
+                { executedAt: 2, status: 'failed' },
+            ]);
+        });
+    });
+
+    describe('#convertFiatToIotas', () => {
+        it('should convert fiat amount to whole iotas', () => {
+            expect(convertFiatToIotas(1, 0.3, 1)).to.equal(3333333);
+        });
+    });
+});
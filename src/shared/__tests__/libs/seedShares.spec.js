@@ -0,0 +1,162 @@
+import { expect } from 'chai';
+import {
+    MAX_SEED_SHARES_COUNT,
+    createSeedShares,
+    isValidSeedShareIndex,
+    isValidSeedSharesConfig,
+    recoverSeedFromShares,
+} from '../../libs/seedShares';
+import { getChecksum } from '../../libs/iota/utils';
+import Errors from '../../libs/errors';
+
+const seed = 'SEED9FOR9SEED9SHARES9TESTS9'.repeat(3);
+
+/**
+ * Deterministic (non-random) bytes generator
+ */
+const getBytes = () => {
+    let counter = 0;
+
+    return (size) =>
+        Promise.resolve(
+            new Uint8Array(size).map(() => {
+                counter += 1;
+
+                return (counter * 97) % 256;
+            }),
+        );
+};
+
+describe('libs: seedShares', () => {
+    describe('#isValidSeedSharesConfig', () => {
+        it('should return true for thresholds between two and share count', () => {
+            expect(isValidSeedSharesConfig(2, 2)).to.equal(true);
+            expect(isValidSeedSharesConfig(3, 5)).to.equal(true);
+            expect(isValidSeedSharesConfig(MAX_SEED_SHARES_COUNT, MAX_SEED_SHARES_COUNT)).to.equal(true);
+        });
+
+        it('should return false for invalid thresholds or share counts', () => {
+            expect(isValidSeedSharesConfig(1, 3)).to.equal(false);
+            expect(isValidSeedSharesConfig(4, 3)).to.equal(false);
+            expect(isValidSeedSharesConfig(2, MAX_SEED_SHARES_COUNT + 1)).to.equal(false);
+            expect(isValidSeedSharesConfig(2.5, 3)).to.equal(false);
+            expect(isValidSeedSharesConfig('2', '3')).to.equal(false);
+        });
+    });
+
+    describe('#isValidSeedShareIndex', () => {
+        it('should only accept integers between one and maximum share count', () => {
+            expect(isValidSeedShareIndex(1)).to.equal(true);
+            expect(isValidSeedShareIndex(MAX_SEED_SHARES_COUNT)).to.equal(true);
+            expect(isValidSeedShareIndex(0)).to.equal(false);
+            expect(isValidSeedShareIndex(MAX_SEED_SHARES_COUNT + 1)).to.equal(false);
+            expect(isValidSeedShareIndex('1')).to.equal(false);
+        });
+    });
+
+    describe('#createSeedShares', () => {
+        it('should create requested number of seed-like shares with checksums', async () => {
+            const shares = await createSeedShares(seed, 3, 5, getBytes());
+
+            expect(shares.length).to.equal(5);
+
+            shares.forEach((share, index) => {
+                expect(share.index).to.equal(index + 1);
+                expect(share.threshold).to.equal(3);
+                expect(share.count).to.equal(5);
+                expect(share.share).to.match(/^[A-Z9]{81}$/);
+                expect(share.share).to.not.equal(seed);
+                expect(share.checksum).to.equal(getChecksum(share.share));
+                expect(share.seedChecksum).to.equal(getChecksum(seed));
+            });
+        });
+
+        it('should discard random bytes that would bias shares', async () => {
+            let calls = 0;
+            const randomBytesFn = (size) => {
+                calls += 1;
+
+                return Promise.resolve(new Uint8Array(size).fill(calls === 1 ? 255 : 1));
+            };
+
+            const shares = await createSeedShares(seed, 2, 2, randomBytesFn);
+
+            expect(calls).to.equal(2);
+            expect(recoverSeedFromShares(shares, shares[0].seedChecksum)).to.equal(seed);
+        });
+
+        it('should throw for invalid seeds', async () => {
+            try {
+                await createSeedShares('A'.repeat(80), 2, 3, getBytes());
+                throw new Error();
+            } catch (error) {
+                expect(error.message).to.equal(Errors.INVALID_SEED);
+            }
+        });
+
+        it('should throw for invalid threshold or share count', async () => {
+            try {
+                await createSeedShares(seed, 4, 3, getBytes());
+                throw new Error();
+            } catch (error) {
+                expect(error.message).to.equal(Errors.INVALID_SEED_SHARES_CONFIG);
+            }
+        });
+    });
+
+    describe('#recoverSeedFromShares', () => {
+        let shares;
+
+        before(async () => {
+            shares = await createSeedShares(seed, 3, 5, getBytes());
+        });
+
+        it('should recover seed from any threshold of shares', () => {
+            const { seedChecksum } = shares[0];
+
+            expect(recoverSeedFromShares([shares[0], shares[1], shares[2]], seedChecksum)).to.equal(seed);
+            expect(recoverSeedFromShares([shares[4], shares[1], shares[3]], seedChecksum)).to.equal(seed);
+            expect(recoverSeedFromShares([shares[2], shares[3], shares[4]], seedChecksum)).to.equal(seed);
+        });
+
+        it('should recover seed from more than threshold of shares', () => {
+            expect(recoverSeedFromShares(shares, shares[0].seedChecksum)).to.equal(seed);
+        });
+
+        it('should recover seed from shares of maximum share count', async () => {
+            const allShares = await createSeedShares(seed, 4, MAX_SEED_SHARES_COUNT, getBytes());
+
+            expect(recoverSeedFromShares(allShares.slice(-4), allShares[0].seedChecksum)).to.equal(seed);
+        });
+
+        it('should throw if recovered seed does not match seed checksum', () => {
+            expect(() => recoverSeedFromShares([shares[0], shares[1]], shares[0].seedChecksum)).to.throw(
+                Errors.SEED_SHARES_CHECKSUM_MISMATCH,
+            );
+            expect(() =>
+                recoverSeedFromShares([shares[0], shares[1], { ...shares[2], index: 4 }], shares[0].seedChecksum),
+            ).to.throw(Errors.SEED_SHARES_CHECKSUM_MISMATCH);
+        });
+
+        it('should throw if fewer than two shares are provided', () => {
+            expect(() => recoverSeedFromShares([shares[0]], shares[0].seedChecksum)).to.throw(
+                Errors.NOT_ENOUGH_SEED_SHARES,
+            );
+        });
+
+        it('should throw for invalid shares', () => {
+            expect(() =>
+                recoverSeedFromShares([shares[0], { ...shares[1], share: 'a'.repeat(81) }], shares[0].seedChecksum),
+            ).to.throw(Errors.INVALID_SEED_SHARE);
+            expect(() =>
+                recoverSeedFromShares([shares[0], { ...shares[1], index: 0 }], shares[0].seedChecksum),
+            ).to.throw(Errors.INVALID_SEED_SHARE);
+        });
+
+        it('should throw for shares with the same index', () => {
+            expect(() =>
+                recoverSeedFromShares([shares[0], { ...shares[1], index: 1 }], shares[0].seedChecksum),
+            ).to.throw(Errors.DUPLICATE_SEED_SHARES);
+        });
+    });
+});
@@ -0,0 +1,301 @@
+import { expect } from 'chai';
+import {
+    SEND_POLICY_DEFAULTS,
+    getOutgoingValueSince,
+    getPolicyPayees,
+    getRecipientKnownSince,
+    getSendPolicy,
+    getSendPolicyValidationError,
+    getSendPolicyViolation,
+    isPasswordRequiredForTransfer,
+    isSendPolicyActive,
+    isSendPolicyRelaxed,
+    throwIfSendPolicyViolated,
+} from '../../libs/sendPolicies';
+import Errors from '../../libs/errors';
+
+const now = 1500000000;
+const hour = 60 * 60;
+const day = 24 * hour;
+
+const ownAddress = 'A'.repeat(81);
+const contactAddress = 'B'.repeat(81);
+const otherAddress = 'C'.repeat(81);
+
+const getTransfer = (overrides = {}) => ({
+    bundle: 'Z'.repeat(81),
+    timestamp: now - hour,
+    incoming: false,
+    transferValue: 100,
+    inputs: [{ address: ownAddress, value: -150, currentIndex: 1, lastIndex: 2 }],
+    outputs: [
+        { address: contactAddress, value: 100, currentIndex: 0, lastIndex: 2 },
+        { address: ownAddress, value: 50, currentIndex: 2, lastIndex: 2 },
+    ],
+    ...overrides,
+});
+
+const getContext = (overrides = {}) => ({
+    contacts: [{ address: `${contactAddress}ABCDEFGHI`, name: 'foo', createdAt: now - 2 * day }],
+    transfers: {},
+    addresses: [ownAddress],
+    now,
+    ...overrides,
+});
+
+describe('libs: sendPolicies', () => {
+    describe('#getSendPolicy', () => {
+        it('should return defaults if policy is not set', () => {
+            expect(getSendPolicy(null)).to.eql(SEND_POLICY_DEFAULTS);
+        });
+
+        it('should merge policy with defaults and ignore unknown rules', () => {
+            expect(getSendPolicy({ dailyLimit: 10, foo: 'bar' })).to.eql({ ...SEND_POLICY_DEFAULTS, dailyLimit: 10 });
+        });
+    });
+
+    describe('#isSendPolicyActive', () => {
+        it('should return false if no rule is enabled', () => {
+            expect(isSendPolicyActive(null)).to.equal(false);
+            expect(isSendPolicyActive(SEND_POLICY_DEFAULTS)).to.equal(false);
+        });
+
+        it('should return true if any rule is enabled', () => {
+            expect(isSendPolicyActive({ allowlistOnly: true })).to.equal(true);
+            expect(isSendPolicyActive({ newRecipientDelay: 24 })).to.equal(true);
+        });
+    });
+
+    describe('#getSendPolicyValidationError', () => {
+        it('should return null for a valid policy', () => {
+            expect(
+                getSendPolicyValidationError({
+                    dailyLimit: 100,
+                    weeklyLimit: 500,
+                    passwordThreshold: 50,
+                    allowlistOnly: true,
+                    newRecipientDelay: 24,
+                }),
+            ).to.equal(null);
+        });
+
+        it('should return "invalidLimit" for negative or fractional limits', () => {
+            expect(getSendPolicyValidationError({ dailyLimit: -1 })).to.equal('invalidLimit');
+            expect(getSendPolicyValidationError({ weeklyLimit: 1.5 })).to.equal('invalidLimit');
+            expect(getSendPolicyValidationError({ weeklyLimit: NaN })).to.equal('invalidLimit');
+        });
+
+        it('should return "dailyLimitAboveWeeklyLimit" if daily limit is higher than weekly limit', () => {
+            expect(getSendPolicyValidationError({ dailyLimit: 100, weeklyLimit: 50 })).to.equal(
+                'dailyLimitAboveWeeklyLimit',
+            );
+        });
+
+        it('should return "invalidThreshold" and "invalidDelay" for invalid values', () => {
+            expect(getSendPolicyValidationError({ passwordThreshold: -5 })).to.equal('invalidThreshold');
+            expect(getSendPolicyValidationError({ newRecipientDelay: 0.5 })).to.equal('invalidDelay');
+        });
+    });
+
+    describe('#isSendPolicyRelaxed', () => {
+        const currentPolicy = {
+            dailyLimit: 100,
+            weeklyLimit: 500,
+            passwordThreshold: 50,
+            allowlistOnly: true,
+            newRecipientDelay: 24,
+        };
+
+        it('should return true if a limit or the password threshold is raised or disabled', () => {
+            expect(isSendPolicyRelaxed(currentPolicy, { ...currentPolicy, dailyLimit: 200 })).to.equal(true);
+            expect(isSendPolicyRelaxed(currentPolicy, { ...currentPolicy, weeklyLimit: 0 })).to.equal(true);
+            expect(isSendPolicyRelaxed(currentPolicy, { ...currentPolicy, passwordThreshold: 0 })).to.equal(true);
+        });
+
+        it('should return true if allowlist-only mode is turned off or the new recipient delay is shortened', () => {
+            expect(isSendPolicyRelaxed(currentPolicy, { ...currentPolicy, allowlistOnly: false })).to.equal(true);
+            expect(isSendPolicyRelaxed(currentPolicy, { ...currentPolicy, newRecipientDelay: 12 })).to.equal(true);
+        });
+
+        it('should return true if the policy is cleared', () => {
+            expect(isSendPolicyRelaxed(currentPolicy, null)).to.equal(true);
+        });
+
+        it('should return false if the policy is unchanged or tightened', () => {
+            expect(isSendPolicyRelaxed(currentPolicy, currentPolicy)).to.equal(false);
+            expect(
+                isSendPolicyRelaxed(currentPolicy, {
+                    dailyLimit: 50,
+                    weeklyLimit: 400,
+                    passwordThreshold: 10,
+                    allowlistOnly: true,
+                    newRecipientDelay: 48,
+                }),
+            ).to.equal(false);
+        });
+
+        it('should return false if rules are enabled on an account without a send policy', () => {
+            expect(isSendPolicyRelaxed(null, currentPolicy)).to.equal(false);
+        });
+    });
+
+    describe('#getPolicyPayees', () => {
+        it('should leave out zero value recipients and own addresses', () => {
+            expect(
+                getPolicyPayees(
+                    [
+                        { address: `${ownAddress}ABCDEFGHI`, value: 100 },
+                        { address: contactAddress, value: 0 },
+                        { address: otherAddress, value: 10 },
+                    ],
+                    [ownAddress],
+                ),
+            ).to.eql([{ address: otherAddress, value: 10 }]);
+        });
+    });
+
+    describe('#getOutgoingValueSince', () => {
+        it('should sum value of outgoing transfers since provided time', () => {
+            const transfers = {
+                a: getTransfer(),
+                b: getTransfer({ bundle: 'Y'.repeat(81), timestamp: now - 2 * day }),
+                c: getTransfer({ bundle: 'X'.repeat(81), incoming: true }),
+            };
+
+            expect(getOutgoingValueSince(transfers, [ownAddress], now - day)).to.equal(100);
+            expect(getOutgoingValueSince(transfers, [ownAddress], now - 7 * day)).to.equal(200);
+        });
+
+        it('should not count outputs to own addresses', () => {
+            const transfers = {
+                a: getTransfer({
+                    transferValue: 150,
+                    outputs: [{ address: ownAddress, value: 150, currentIndex: 0, lastIndex: 1 }],
+                }),
+            };
+
+            expect(getOutgoingValueSince(transfers, [ownAddress], now - day)).to.equal(0);
+        });
+    });
+
+    describe('#getRecipientKnownSince', () => {
+        it('should return null for unknown recipients', () => {
+            expect(getRecipientKnownSince(otherAddress, [], {})).to.equal(null);
+        });
+
+        it('should return earliest of contact creation and first outgoing transfer', () => {
+            const contacts = [{ address: contactAddress, name: 'foo', createdAt: now - hour }];
+            const transfers = { a: getTransfer({ timestamp: now - 3 * day }) };
+
+            expect(getRecipientKnownSince(contactAddress, contacts, {})).to.equal(now - hour);
+            expect(getRecipientKnownSince(contactAddress, contacts, transfers)).to.equal(now - 3 * day);
+        });
+    });
+
+    describe('#getSendPolicyViolation', () => {
+        it('should return null if policy is not set', () => {
+            expect(getSendPolicyViolation(null, [{ address: otherAddress, value: 1000 }], getContext())).to.equal(null);
+        });
+
+        it('should ignore zero value transfers and transfers to own addresses', () => {
+            const policy = { allowlistOnly: true, dailyLimit: 1 };
+
+            expect(getSendPolicyViolation(policy, [{ address: otherAddress, value: 0 }], getContext())).to.equal(null);
+            expect(getSendPolicyViolation(policy, [{ address: ownAddress, value: 100 }], getContext())).to.equal(null);
+        });
+
+        it('should only allow saved contacts in allowlist-only mode', () => {
+            const policy = { allowlistOnly: true };
+
+            expect(getSendPolicyViolation(policy, [{ address: contactAddress, value: 10 }], getContext())).to.equal(
+                null,
+            );
+            expect(
+                getSendPolicyViolation(
+                    policy,
+                    [
+                        { address: contactAddress, value: 10 },
+                        { address: otherAddress, value: 10 },
+                    ],
+                    getContext(),
+                ),
+            ).to.equal(Errors.SEND_POLICY_RECIPIENT_NOT_ALLOWED);
+        });
+
+        it('should reject recipients known for less than the cool-off delay', () => {
+            expect(
+                getSendPolicyViolation(
+                    { newRecipientDelay: 24 },
+                    [{ address: contactAddress, value: 10 }],
+                    getContext(),
+                ),
+            ).to.equal(null);
+            expect(
+                getSendPolicyViolation(
+                    { newRecipientDelay: 72 },
+                    [{ address: contactAddress, value: 10 }],
+                    getContext(),
+                ),
+            ).to.equal(Errors.SEND_POLICY_RECIPIENT_COOLING_OFF);
+            expect(
+                getSendPolicyViolation({ newRecipientDelay: 1 }, [{ address: otherAddress, value: 10 }], getContext()),
+            ).to.equal(Errors.SEND_POLICY_RECIPIENT_COOLING_OFF);
+        });
+
+        it('should reject transfers exceeding spending limits', () => {
+            const context = getContext({
+                transfers: {
+                    a: getTransfer(),
+                    b: getTransfer({ bundle: 'Y'.repeat(81), timestamp: now - 3 * day }),
+                },
+            });
+            const recipients = [{ address: otherAddress, value: 100 }];
+
+            expect(getSendPolicyViolation({ dailyLimit: 200 }, recipients, context)).to.equal(null);
+            expect(getSendPolicyViolation({ dailyLimit: 199 }, recipients, context)).to.equal(
+                Errors.SEND_POLICY_DAILY_LIMIT_EXCEEDED,
+            );
+            expect(getSendPolicyViolation({ weeklyLimit: 299 }, recipients, context)).to.equal(
+                Errors.SEND_POLICY_WEEKLY_LIMIT_EXCEEDED,
+            );
+        });
+    });
+
+    describe('#isPasswordRequiredForTransfer', () => {
+        it('should return true only for values above the threshold', () => {
+            expect(isPasswordRequiredForTransfer(null, 1000)).to.equal(false);
+            expect(isPasswordRequiredForTransfer({ passwordThreshold: 100 }, 100)).to.equal(false);
+            expect(isPasswordRequiredForTransfer({ passwordThreshold: 100 }, 101)).to.equal(true);
+        });
+    });
+
+    describe('#throwIfSendPolicyViolated', () => {
+        const accountState = {
+            sendPolicy: { passwordThreshold: 100 },
+            transactions: {},
+            addressData: [{ address: ownAddress }],
+        };
+
+        it('should reject transfers above the threshold if password is not confirmed', () =>
+            throwIfSendPolicyViolated(accountState, [{ address: otherAddress, value: 101 }], [], false).then(
+                () => {
+                    throw new Error();
+                },
+                (error) => expect(error.message).to.equal(Errors.SEND_POLICY_PASSWORD_REQUIRED),
+            ));
+
+        it('should resolve if password is confirmed', () =>
+            throwIfSendPolicyViolated(accountState, [{ address: otherAddress, value: 101 }], [], true));
+
+        it('should not count value sent to own addresses towards the threshold', () =>
+            throwIfSendPolicyViolated(
+                accountState,
+                [
+                    { address: otherAddress, value: 100 },
+                    { address: ownAddress, value: 1000 },
+                ],
+                [],
+                false,
+            ));
+    });
+});
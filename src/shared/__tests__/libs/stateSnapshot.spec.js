@@ -0,0 +1,105 @@
+import { expect } from 'chai';
+import { getStateSnapshotStorageData, parseStateSnapshot, throwIfStateSnapshotLoaded } from '../../libs/stateSnapshot';
+import Errors from '../../libs/errors';
+
+const node = { url: 'https://foo.bar:443', pow: true, username: '', password: '' };
+const customNode = { url: 'https://baz.bar:443', pow: false, username: '', password: '' };
+
+const snapshot = {
+    notificationLog: [{ error: 'Something went wrong', time: 1500000000 }],
+    settings: {
+        node,
+        nodes: [node, customNode],
+        customNodes: [customNode],
+        themeName: 'Dark',
+        is2FAEnabled: true,
+        isFingerprintEnabled: true,
+    },
+    accounts: {
+        onboardingComplete: true,
+        accountInfo: {
+            Main: {
+                index: 0,
+                meta: { type: 'keychain' },
+                addressData: [],
+                transactions: [],
+                consolidation: null,
+                sendPolicy: { dailyLimit: 100 },
+            },
+        },
+    },
+    __globals__: {},
+};
+
+describe('libs: stateSnapshot', () => {
+    describe('#parseStateSnapshot', () => {
+        it('should return parsed snapshot for valid content', () => {
+            expect(parseStateSnapshot(JSON.stringify(snapshot))).to.eql(snapshot);
+        });
+
+        it('should throw for content that is not a state export', () => {
+            expect(() => parseStateSnapshot('foo')).to.throw(Errors.INVALID_STATE_SNAPSHOT);
+            expect(() => parseStateSnapshot(JSON.stringify({ settings: {} }))).to.throw(Errors.INVALID_STATE_SNAPSHOT);
+        });
+
+        it('should throw if account data is malformed', () => {
+            const content = JSON.stringify({
+                ...snapshot,
+                accounts: { accountInfo: { Main: { meta: { type: 'keychain' }, addressData: {}, transactions: [] } } },
+            });
+
+            expect(() => parseStateSnapshot(content)).to.throw(Errors.INVALID_STATE_SNAPSHOT);
+        });
+    });
+
+    describe('#getStateSnapshotStorageData', () => {
+        const data = getStateSnapshotStorageData(snapshot, 22);
+
+        it('should map accounts to storage objects', () => {
+            expect(data.Account).to.eql([
+                {
+                    name: 'Main',
+                    index: 0,
+                    meta: { type: 'keychain' },
+                    addressData: [],
+                    transactions: [],
+                    consolidationPlan: '',
+                    sendPolicy: JSON.stringify({ dailyLimit: 100 }),
+                    displayedSnapshotTransitionGuide: true,
+                },
+            ]);
+        });
+
+        it('should map nodes to storage objects', () => {
+            expect(data.Node).to.eql([
+                { ...node, custom: false },
+                { ...customNode, custom: true },
+            ]);
+        });
+
+        it('should map settings and notification log to wallet storage object', () => {
+            const [wallet] = data.Wallet;
+
+            expect(wallet.version).to.equal(22);
+            expect(wallet.errorLog).to.eql(snapshot.notificationLog);
+            expect(wallet.settings).to.eql({
+                node: node.url,
+                themeName: 'Dark',
+                is2FAEnabled: false,
+                isFingerprintEnabled: false,
+            });
+        });
+    });
+
+    describe('#throwIfStateSnapshotLoaded', () => {
+        it('should reject if a state snapshot is loaded', () =>
+            throwIfStateSnapshotLoaded({ wallet: { isStateSnapshotLoaded: true } })
+                .then(() => {
+                    throw new Error('Should have rejected');
+                })
+                .catch((error) => expect(error.message).to.equal(Errors.STATE_SNAPSHOT_LOADED)));
+
+        it('should resolve if no state snapshot is loaded', () =>
+            throwIfStateSnapshotLoaded({ wallet: { isStateSnapshotLoaded: false } }));
+    });
+});
@@ -0,0 +1,137 @@
+import { expect } from 'chai';
+import {
+    BACKUP_CODES_COUNT,
+    base32Decode,
+    base32Encode,
+    formatBackupCode,
+    generateBackupCodes,
+    generateTwoFactorConfig,
+    getHotpCode,
+    getTotpCode,
+    getTotpCodeStep,
+    getTwoFactorUri,
+    verifyTwoFactorCode,
+} from '../../libs/totp';
+
+// RFC 4226 / RFC 6238 (SHA1) test secret: ASCII "12345678901234567890"
+const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+const randomBytes = (size) =>
+    Promise.resolve(Array.from({ length: size }, (_, index) => (index * 7 + Math.floor(index / 32)) % 256));
+
+describe('libs: totp', () => {
+    describe('#base32Encode', () => {
+        it('should encode bytes as base32', () => {
+            expect(base32Encode(Array.from('12345678901234567890', (char) => char.charCodeAt(0)))).to.equal(secret);
+            expect(base32Encode([102, 111, 111, 98, 97])).to.equal('MZXW6YTB');
+        });
+    });
+
+    describe('#base32Decode', () => {
+        it('should decode base32 ignoring case, whitespace and padding', () => {
+            expect(base32Decode('mzxw 6ytb oi======')).to.eql([102, 111, 111, 98, 97, 114]);
+        });
+
+        it('should throw for invalid characters', () => {
+            expect(() => base32Decode('MZXW1')).to.throw('Invalid base32 character.');
+        });
+    });
+
+    describe('#getHotpCode', () => {
+        it('should return RFC 4226 test values', () => {
+            const expected = ['755224', '287082', '359152', '969429', '338314'];
+
+            expected.forEach((code, counter) => expect(getHotpCode(secret, counter)).to.equal(code));
+        });
+    });
+
+    describe('#getTotpCode', () => {
+        it('should return RFC 6238 test values (truncated to six digits)', () => {
+            expect(getTotpCode(secret, 59)).to.equal('287082');
+            expect(getTotpCode(secret, 1111111109)).to.equal('081804');
+            expect(getTotpCode(secret, 1111111111)).to.equal('050471');
+            expect(getTotpCode(secret, 1234567890)).to.equal('005924');
+            expect(getTotpCode(secret, 2000000000)).to.equal('279037');
+        });
+    });
+
+    describe('#getTotpCodeStep', () => {
+        it('should accept codes from adjacent time steps', () => {
+            expect(getTotpCodeStep(secret, '287082', 59)).to.equal(1);
+            expect(getTotpCodeStep(secret, '287082', 89)).to.equal(1);
+            expect(getTotpCodeStep(secret, '287082', 30 * 3)).to.equal(null);
+        });
+
+        it('should return null for wrong codes', () => {
+            expect(getTotpCodeStep(secret, '000000', 59)).to.equal(null);
+        });
+    });
+
+    describe('#generateBackupCodes', () => {
+        it('should generate unique base32 backup codes', async () => {
+            const codes = await generateBackupCodes(randomBytes);
+
+            expect(codes).to.have.length(BACKUP_CODES_COUNT);
+            expect(new Set(codes).size).to.equal(BACKUP_CODES_COUNT);
+            codes.forEach((code) => expect(code).to.match(/^[A-Z2-7]{8}$/));
+        });
+    });
+
+    describe('#generateTwoFactorConfig', () => {
+        it('should generate a 160-bit secret and backup codes', async () => {
+            const config = await generateTwoFactorConfig(randomBytes);
+
+            expect(base32Decode(config.secret)).to.have.length(20);
+            expect(config.backupCodes).to.have.length(BACKUP_CODES_COUNT);
+            expect(config.lastUsedStep).to.equal(0);
+        });
+    });
+
+    describe('#getTwoFactorUri', () => {
+        it('should return otpauth URI', () => {
+            expect(getTwoFactorUri(secret, 'My wallet')).to.equal(
+                `otpauth://totp/Trinity:My%20wallet?secret=${secret}&issuer=Trinity&algorithm=SHA1&digits=6&period=30`,
+            );
+        });
+    });
+
+    describe('#verifyTwoFactorCode', () => {
+        const config = { secret, backupCodes: ['ABCDEFGH', 'JKLMNOPQ'], lastUsedStep: 0 };
+
+        it('should accept valid TOTP code and record its time step', () => {
+            expect(verifyTwoFactorCode(config, '287 082', 59)).to.eql({
+                isValid: true,
+                isBackupCode: false,
+                config: { ...config, lastUsedStep: 1 },
+            });
+        });
+
+        it('should reject replayed TOTP codes', () => {
+            expect(verifyTwoFactorCode({ ...config, lastUsedStep: 1 }, '287082', 59).isValid).to.equal(false);
+        });
+
+        it('should accept backup code once', () => {
+            const result = verifyTwoFactorCode(config, formatBackupCode('abcdefgh'), 59);
+
+            expect(result.isValid).to.equal(true);
+            expect(result.isBackupCode).to.equal(true);
+            expect(result.config.backupCodes).to.eql(['JKLMNOPQ']);
+            expect(verifyTwoFactorCode(result.config, 'ABCDEFGH', 59).isValid).to.equal(false);
+        });
+
+        it('should reject invalid codes without updating configuration', () => {
+            expect(verifyTwoFactorCode(config, '123456', 59)).to.eql({
+                isValid: false,
+                isBackupCode: false,
+                config,
+            });
+            expect(verifyTwoFactorCode(config, '', 59).isValid).to.equal(false);
+        });
+
+        it('should reject codes if two-factor configuration is missing', () => {
+            expect(verifyTwoFactorCode(null, '287082', 59).isValid).to.equal(false);
+            expect(verifyTwoFactorCode(undefined, 'ABCDEFGH', 59).isValid).to.equal(false);
+            expect(verifyTwoFactorCode({ backupCodes: ['ABCDEFGH'] }, 'ABCDEFGH', 59).isValid).to.equal(false);
+        });
+    });
+});
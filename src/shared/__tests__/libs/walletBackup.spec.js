@@ -0,0 +1,127 @@
+import { expect } from 'chai';
+import {
+    WALLET_BACKUP_VERSION,
+    createWalletBackup,
+    getSkippedWalletBackupAccounts,
+    getWalletBackupAccounts,
+    parseWalletBackup,
+} from '../../libs/walletBackup';
+import Errors from '../../libs/errors';
+
+const storageData = {
+    schemaVersion: 22,
+    data: {
+        Account: [
+            { name: 'Main', index: 0, meta: { type: 'keychain' }, addressData: [], transactions: [] },
+            {
+                name: 'Ledger',
+                index: 1,
+                meta: { type: 'ledger', index: 0, page: 0 },
+                addressData: [],
+                transactions: [],
+            },
+        ],
+        Node: [{ url: 'https://foo.bar:443', custom: true, pow: false }],
+        TransactionMetadata: [{ bundle: 'A'.repeat(81), label: 'Rent', note: '', category: 'housing' }],
+        Wallet: [
+            {
+                version: 22,
+                onboardingComplete: true,
+                errorLog: [],
+                settings: { is2FAEnabled: true, isFingerprintEnabled: true, themeName: 'Dark' },
+                accountInfoDuringSetup: { name: 'Pending', meta: { type: 'keychain' }, usedExistingSeed: true },
+            },
+        ],
+    },
+};
+
+describe('libs: walletBackup', () => {
+    describe('#createWalletBackup', () => {
+        it('should include format version, schema version and timestamp', () => {
+            const backup = JSON.parse(createWalletBackup(storageData, ['Main'], 1500000000));
+
+            expect(backup.version).to.equal(WALLET_BACKUP_VERSION);
+            expect(backup.schemaVersion).to.equal(22);
+            expect(backup.timestamp).to.equal(1500000000);
+        });
+
+        it('should only include accounts with a seed in the backup', () => {
+            const backup = JSON.parse(createWalletBackup(storageData, ['Main'], 1500000000));
+
+            expect(backup.data.Account.map(({ name }) => name)).to.eql(['Main']);
+            expect(backup.data.Node).to.eql(storageData.data.Node);
+            expect(backup.data.TransactionMetadata).to.eql(storageData.data.TransactionMetadata);
+        });
+
+        it('should reset device bound settings and account setup info', () => {
+            const [wallet] = JSON.parse(createWalletBackup(storageData, ['Main'], 1500000000)).data.Wallet;
+
+            expect(wallet.settings).to.eql({ is2FAEnabled: false, isFingerprintEnabled: false, themeName: 'Dark' });
+            expect(wallet.accountInfoDuringSetup).to.eql({ name: '', meta: {}, usedExistingSeed: false });
+            expect(storageData.data.Wallet[0].settings.is2FAEnabled).to.equal(true);
+        });
+    });
+
+    describe('#getSkippedWalletBackupAccounts', () => {
+        it('should return names of accounts without a seed in the backup', () => {
+            const accountInfo = {
+                Main: { meta: { type: 'keychain' } },
+                Ledger: { meta: { type: 'ledger' } },
+                Watched: { meta: { type: 'watchonly' } },
+                Shared: { meta: { type: 'multisig' } },
+            };
+
+            expect(getSkippedWalletBackupAccounts(accountInfo, ['Main'])).to.eql(['Ledger', 'Watched', 'Shared']);
+            expect(getSkippedWalletBackupAccounts(accountInfo, Object.keys(accountInfo))).to.eql([]);
+        });
+    });
+
+    describe('#parseWalletBackup', () => {
+        it('should return parsed backup for valid content', () => {
+            const content = createWalletBackup(storageData, ['Main'], 1500000000);
+
+            expect(parseWalletBackup(content)).to.eql(JSON.parse(content));
+        });
+
+        it('should throw for content that is not a wallet backup', () => {
+            expect(() => parseWalletBackup('foo')).to.throw(Errors.INVALID_WALLET_BACKUP);
+            expect(() => parseWalletBackup(JSON.stringify({ version: 1 }))).to.throw(Errors.INVALID_WALLET_BACKUP);
+        });
+
+        it('should throw for newer backup format versions', () => {
+            const content = JSON.stringify({ version: WALLET_BACKUP_VERSION + 1, schemaVersion: 22, data: {} });
+
+            expect(() => parseWalletBackup(content)).to.throw(Errors.UNSUPPORTED_WALLET_BACKUP_VERSION);
+        });
+
+        it('should throw if wallet data does not match schema version', () => {
+            const backup = JSON.parse(createWalletBackup(storageData, ['Main'], 1500000000));
+
+            expect(() => parseWalletBackup(JSON.stringify({ ...backup, schemaVersion: 21 }))).to.throw(
+                Errors.INVALID_WALLET_BACKUP,
+            );
+            expect(() =>
+                parseWalletBackup(JSON.stringify({ ...backup, data: { ...backup.data, Node: undefined } })),
+            ).to.throw(Errors.INVALID_WALLET_BACKUP);
+        });
+    });
+
+    describe('#getWalletBackupAccounts', () => {
+        const backup = parseWalletBackup(createWalletBackup(storageData, ['Main'], 1500000000));
+
+        it('should pair backed up accounts with their seeds', () => {
+            expect(
+                getWalletBackupAccounts(backup, [
+                    { title: 'Other', seed: [2] },
+                    { title: 'Main', seed: [1] },
+                ]),
+            ).to.eql([{ name: 'Main', meta: { type: 'keychain' }, seed: [1] }]);
+        });
+
+        it('should throw if an account seed is missing', () => {
+            expect(() => getWalletBackupAccounts(backup, [{ title: 'Other', seed: [2] }])).to.throw(
+                Errors.INVALID_WALLET_BACKUP,
+            );
+        });
+    });
+});
@@ -282,6 +282,101 @@ describe('Reducer: accounts', () => {
         });
     });
 
+    describe(AccountsActionTypes.SET_INPUT_SELECTION_STRATEGY, () => {
+        it('should set "strategy" in payload as input selection strategy for "accountName"', () => {
+            const initialState = {
+                accountInfo: {
+                    foo: { index: 0, inputSelectionStrategy: 'optimalValue' },
+                    baz: { index: 1 },
+                },
+            };
+
+            const action = {
+                type: AccountsActionTypes.SET_INPUT_SELECTION_STRATEGY,
+                payload: {
+                    accountName: 'foo',
+                    strategy: 'oldestFirst',
+                },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                accountInfo: {
+                    foo: { index: 0, inputSelectionStrategy: 'oldestFirst' },
+                    baz: { index: 1 },
+                },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe(AccountsActionTypes.SET_CONSOLIDATION_PLAN, () => {
+        it('should set "plan" in payload as consolidation plan for "accountName"', () => {
+            const plan = { address: 'A'.repeat(81), keyIndex: 3, chunks: [], completedChunks: 0, createdAt: 0 };
+            const initialState = {
+                accountInfo: {
+                    foo: { index: 0 },
+                    baz: { index: 1 },
+                },
+            };
+
+            const action = {
+                type: AccountsActionTypes.SET_CONSOLIDATION_PLAN,
+                payload: {
+                    accountName: 'foo',
+                    plan,
+                },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                accountInfo: {
+                    foo: { index: 0, consolidation: plan },
+                    baz: { index: 1 },
+                },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe(AccountsActionTypes.SET_SEND_POLICY, () => {
+        it('should set "policy" in payload as send policy for "accountName"', () => {
+            const policy = {
+                dailyLimit: 100,
+                weeklyLimit: 500,
+                passwordThreshold: 0,
+                allowlistOnly: true,
+                newRecipientDelay: 0,
+            };
+            const initialState = {
+                accountInfo: {
+                    foo: { index: 0 },
+                    baz: { index: 1 },
+                },
+            };
+
+            const action = {
+                type: AccountsActionTypes.SET_SEND_POLICY,
+                payload: {
+                    accountName: 'foo',
+                    policy,
+                },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                accountInfo: {
+                    foo: { index: 0, sendPolicy: policy },
+                    baz: { index: 1 },
+                },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
     describe('#removeAccountAndReorderIndexes', () => {
         describe('when accountName does not exist in accountInfo', () => {
             it('should return existing accountInfo', () => {
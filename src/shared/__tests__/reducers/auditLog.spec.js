@@ -0,0 +1,31 @@
+import { expect } from 'chai';
+import reducer from '../../reducers/auditLog';
+import { AuditLogActionTypes } from '../../types';
+
+describe('Reducer: auditLog', () => {
+    describe('initial state', () => {
+        it('should have an initial state', () => {
+            expect(reducer(undefined, {})).to.eql({ entries: [] });
+        });
+    });
+
+    describe(AuditLogActionTypes.ADD_AUDIT_LOG_ENTRY, () => {
+        it('should append payload to entries', () => {
+            const initialState = {
+                entries: [{ index: 0, timestamp: 1500000000, type: 'login', details: {} }],
+            };
+
+            const action = {
+                type: AuditLogActionTypes.ADD_AUDIT_LOG_ENTRY,
+                payload: { index: 1, timestamp: 1500000100, type: 'loginFailed', details: { reason: 'password' } },
+            };
+
+            expect(reducer(initialState, action)).to.eql({
+                entries: [
+                    { index: 0, timestamp: 1500000000, type: 'login', details: {} },
+                    { index: 1, timestamp: 1500000100, type: 'loginFailed', details: { reason: 'password' } },
+                ],
+            });
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import { expect } from 'chai';
+import reducer from '../../reducers/contacts';
+
+describe('Reducer: contacts', () => {
+    describe('initial state', () => {
+        it('should have an initial state', () => {
+            const initialState = {
+                list: [],
+            };
+
+            expect(reducer(undefined, {})).to.eql(initialState);
+        });
+    });
+
+    describe('IOTA/CONTACTS/ADD_CONTACT', () => {
+        it('should add "payload" to "list" state prop', () => {
+            const initialState = {
+                list: [{ address: 'FOO', name: 'foo' }],
+            };
+
+            const action = {
+                type: 'IOTA/CONTACTS/ADD_CONTACT',
+                payload: { address: 'BAR', name: 'bar' },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [
+                    { address: 'FOO', name: 'foo' },
+                    { address: 'BAR', name: 'bar' },
+                ],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+
+        it('should replace existing contact with the same address', () => {
+            const initialState = {
+                list: [{ address: 'FOO', name: 'foo' }],
+            };
+
+            const action = {
+                type: 'IOTA/CONTACTS/ADD_CONTACT',
+                payload: { address: 'FOO', name: 'baz' },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [{ address: 'FOO', name: 'baz' }],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/CONTACTS/UPDATE_CONTACT', () => {
+        it('should merge "payload" into contact with matching address', () => {
+            const initialState = {
+                list: [
+                    { address: 'FOO', name: 'foo', tag: '' },
+                    { address: 'BAR', name: 'bar', tag: '' },
+                ],
+            };
+
+            const action = {
+                type: 'IOTA/CONTACTS/UPDATE_CONTACT',
+                payload: { address: 'BAR', tag: 'TRINITY' },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [
+                    { address: 'FOO', name: 'foo', tag: '' },
+                    { address: 'BAR', name: 'bar', tag: 'TRINITY' },
+                ],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/CONTACTS/REMOVE_CONTACT', () => {
+        it('should remove contact with address "payload" from "list" state prop', () => {
+            const initialState = {
+                list: [
+                    { address: 'FOO', name: 'foo' },
+                    { address: 'BAR', name: 'bar' },
+                ],
+            };
+
+            const action = {
+                type: 'IOTA/CONTACTS/REMOVE_CONTACT',
+                payload: 'FOO',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [{ address: 'BAR', name: 'bar' }],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/CONTACTS/MARK_CONTACT_AS_SPENT', () => {
+        it('should set "spent" to true for contact with address "payload"', () => {
+            const initialState = {
+                list: [
+                    { address: 'FOO', name: 'foo', spent: false },
+                    { address: 'BAR', name: 'bar', spent: false },
+                ],
+            };
+
+            const action = {
+                type: 'IOTA/CONTACTS/MARK_CONTACT_AS_SPENT',
+                payload: 'FOO',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [
+                    { address: 'FOO', name: 'foo', spent: true },
+                    { address: 'BAR', name: 'bar', spent: false },
+                ],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+});
@@ -15,6 +15,8 @@ describe('Reducer: marketData', () => {
                 btcPrice: 0,
                 ethPrice: 0,
                 rates: availableCurrencies,
+                provider: '',
+                lastUpdated: 0,
             };
 
             expect(reducer(undefined, {})).to.eql(initialState);
@@ -170,4 +172,27 @@ describe('Reducer: marketData', () => {
             expect(newState).to.eql(expectedState);
         });
     });
+
+    describe('IOTA/MARKET_DATA/SET_LAST_UPDATED', () => {
+        it('should assign "provider" and "timestamp" to "provider" and "lastUpdated" state props', () => {
+            const initialState = {
+                provider: '',
+                lastUpdated: 0,
+            };
+
+            const action = {
+                type: 'IOTA/MARKET_DATA/SET_LAST_UPDATED',
+                provider: 'coinGecko',
+                timestamp: 1546300800000,
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                provider: 'coinGecko',
+                lastUpdated: 1546300800000,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
 });
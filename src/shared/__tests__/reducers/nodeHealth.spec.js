@@ -0,0 +1,117 @@
+import { expect } from 'chai';
+import reducer from '../../reducers/nodeHealth';
+import { QUORUM_ROUNDS_HISTORY_SIZE } from '../../config';
+
+describe('Reducer: nodeHealth', () => {
+    describe('initial state', () => {
+        it('should have an initial state', () => {
+            const initialState = {
+                records: {},
+                isCheckingNodeHealth: false,
+                quorumRounds: [],
+            };
+
+            expect(reducer(undefined, {})).to.eql(initialState);
+        });
+    });
+
+    describe('IOTA/NODE_HEALTH/UPDATE_NODE_HEALTH', () => {
+        it('should set "payload" as record for its url in "records" state prop', () => {
+            const initialState = {
+                records: {
+                    'https://foo.io': { url: 'https://foo.io', requests: 1 },
+                    'https://bar.io': { url: 'https://bar.io', requests: 1 },
+                },
+                isCheckingNodeHealth: false,
+            };
+
+            const action = {
+                type: 'IOTA/NODE_HEALTH/UPDATE_NODE_HEALTH',
+                payload: { url: 'https://bar.io', requests: 2 },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                records: {
+                    'https://foo.io': { url: 'https://foo.io', requests: 1 },
+                    'https://bar.io': { url: 'https://bar.io', requests: 2 },
+                },
+                isCheckingNodeHealth: false,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/NODE_HEALTH/SET_CHECKING_NODE_HEALTH', () => {
+        it('should set "isCheckingNodeHealth" state prop to "payload"', () => {
+            const initialState = {
+                records: {},
+                isCheckingNodeHealth: false,
+            };
+
+            const action = {
+                type: 'IOTA/NODE_HEALTH/SET_CHECKING_NODE_HEALTH',
+                payload: true,
+            };
+
+            expect(reducer(initialState, action).isCheckingNodeHealth).to.equal(true);
+        });
+    });
+
+    describe('IOTA/NODE_HEALTH/ADD_QUORUM_ROUND', () => {
+        it('should prepend "payload" to "quorumRounds" state prop', () => {
+            const initialState = {
+                quorumRounds: [{ method: 'getBalances', timestamp: 1 }],
+            };
+
+            const action = {
+                type: 'IOTA/NODE_HEALTH/ADD_QUORUM_ROUND',
+                payload: { method: 'wereAddressesSpentFrom', timestamp: 2 },
+            };
+
+            expect(reducer(initialState, action).quorumRounds).to.eql([
+                { method: 'wereAddressesSpentFrom', timestamp: 2 },
+                { method: 'getBalances', timestamp: 1 },
+            ]);
+        });
+
+        it('should keep at most QUORUM_ROUNDS_HISTORY_SIZE rounds in "quorumRounds" state prop', () => {
+            const initialState = {
+                quorumRounds: Array.from(Array(QUORUM_ROUNDS_HISTORY_SIZE), (_, timestamp) => ({ timestamp })),
+            };
+
+            const action = {
+                type: 'IOTA/NODE_HEALTH/ADD_QUORUM_ROUND',
+                payload: { timestamp: -1 },
+            };
+
+            const { quorumRounds } = reducer(initialState, action);
+
+            expect(quorumRounds.length).to.equal(QUORUM_ROUNDS_HISTORY_SIZE);
+            expect(quorumRounds[0]).to.eql({ timestamp: -1 });
+        });
+    });
+
+    describe('IOTA/NODE_HEALTH/CLEAR_NODE_HEALTH', () => {
+        it('should clear "records" and "quorumRounds" state props', () => {
+            const initialState = {
+                records: {
+                    'https://foo.io': { url: 'https://foo.io', requests: 1 },
+                },
+                isCheckingNodeHealth: true,
+                quorumRounds: [{ method: 'getBalances', timestamp: 1 }],
+            };
+
+            const action = {
+                type: 'IOTA/NODE_HEALTH/CLEAR_NODE_HEALTH',
+            };
+
+            expect(reducer(initialState, action)).to.eql({
+                records: {},
+                isCheckingNodeHealth: true,
+                quorumRounds: [],
+            });
+        });
+    });
+});
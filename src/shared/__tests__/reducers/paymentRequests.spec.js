@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import reducer from '../../reducers/paymentRequests';
+
+describe('Reducer: paymentRequests', () => {
+    describe('initial state', () => {
+        it('should have an initial state', () => {
+            const initialState = {
+                list: [],
+            };
+
+            expect(reducer(undefined, {})).to.eql(initialState);
+        });
+    });
+
+    describe('IOTA/PAYMENT_REQUESTS/ADD_PAYMENT_REQUEST', () => {
+        it('should add "payload" to "list" state prop', () => {
+            const initialState = {
+                list: [{ address: 'FOO', status: 'open' }],
+            };
+
+            const action = {
+                type: 'IOTA/PAYMENT_REQUESTS/ADD_PAYMENT_REQUEST',
+                payload: { address: 'BAR', status: 'open' },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [
+                    { address: 'FOO', status: 'open' },
+                    { address: 'BAR', status: 'open' },
+                ],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/PAYMENT_REQUESTS/UPDATE_PAYMENT_REQUESTS', () => {
+        it('should merge "payload" items into requests with matching address', () => {
+            const initialState = {
+                list: [
+                    { address: 'FOO', status: 'open', receivedAmount: 0 },
+                    { address: 'BAR', status: 'open', receivedAmount: 0 },
+                ],
+            };
+
+            const action = {
+                type: 'IOTA/PAYMENT_REQUESTS/UPDATE_PAYMENT_REQUESTS',
+                payload: [{ address: 'BAR', status: 'partiallyPaid', receivedAmount: 10 }],
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [
+                    { address: 'FOO', status: 'open', receivedAmount: 0 },
+                    { address: 'BAR', status: 'partiallyPaid', receivedAmount: 10 },
+                ],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/PAYMENT_REQUESTS/REMOVE_PAYMENT_REQUEST', () => {
+        it('should remove request with address equal to "payload"', () => {
+            const initialState = {
+                list: [{ address: 'FOO' }, { address: 'BAR' }],
+            };
+
+            const action = {
+                type: 'IOTA/PAYMENT_REQUESTS/REMOVE_PAYMENT_REQUEST',
+                payload: 'FOO',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [{ address: 'BAR' }],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+});
@@ -6,7 +6,14 @@ import { PollingActionTypes } from '../../types';
 describe('Reducer: polling', () => {
     it('should have an initial state', () => {
         const initialState = {
-            allPollingServices: ['promotion', 'broadcast', 'marketData', 'nodeList', 'accountInfo'],
+            allPollingServices: [
+                'promotion',
+                'broadcast',
+                'marketData',
+                'nodeList',
+                'accountInfo',
+                'scheduledPayments',
+            ],
             pollFor: 'promotion',
             retryCount: 0,
             isFetchingPrice: false,
@@ -15,6 +22,7 @@ describe('Reducer: polling', () => {
             isFetchingMarketData: false,
             isFetchingAccountInfo: false,
             isAutoPromoting: false,
+            isRunningScheduledPayment: false,
         };
 
         expect(reducer(undefined, {})).to.eql(initialState);
@@ -232,6 +240,59 @@ describe('Reducer: polling', () => {
         expect(newState.isAutoPromoting).to.eql(expectedState.isAutoPromoting);
     });
 
+    it('RUN_SCHEDULED_PAYMENT_REQUEST should set isRunningScheduledPayment to true', () => {
+        const initialState = {
+            isRunningScheduledPayment: false,
+        };
+
+        const action = {
+            type: PollingActionTypes.RUN_SCHEDULED_PAYMENT_REQUEST,
+        };
+
+        const newState = reducer(initialState, action);
+        const expectedState = {
+            isRunningScheduledPayment: true,
+        };
+
+        expect(newState).to.eql(expectedState);
+    });
+
+    it('RUN_SCHEDULED_PAYMENT_SUCCESS should set isRunningScheduledPayment to false', () => {
+        const initialState = {
+            isRunningScheduledPayment: true,
+            allPollingServices: [],
+        };
+
+        const action = {
+            type: PollingActionTypes.RUN_SCHEDULED_PAYMENT_SUCCESS,
+        };
+
+        const newState = reducer(initialState, action);
+        const expectedState = {
+            isRunningScheduledPayment: false,
+        };
+
+        expect(newState.isRunningScheduledPayment).to.eql(expectedState.isRunningScheduledPayment);
+    });
+
+    it('RUN_SCHEDULED_PAYMENT_ERROR should set isRunningScheduledPayment to false', () => {
+        const initialState = {
+            isRunningScheduledPayment: true,
+            allPollingServices: [],
+        };
+
+        const action = {
+            type: PollingActionTypes.RUN_SCHEDULED_PAYMENT_ERROR,
+        };
+
+        const newState = reducer(initialState, action);
+        const expectedState = {
+            isRunningScheduledPayment: false,
+        };
+
+        expect(newState.isRunningScheduledPayment).to.eql(expectedState.isRunningScheduledPayment);
+    });
+
     it('SET_POLL_FOR should set pollFor to payload in action', () => {
         const initialState = {
             pollFor: 'foo',
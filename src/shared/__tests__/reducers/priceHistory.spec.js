@@ -0,0 +1,44 @@
+import { expect } from 'chai';
+import reducer from '../../reducers/priceHistory';
+
+describe('Reducer: priceHistory', () => {
+    describe('initial state', () => {
+        it('should have an initial state', () => {
+            const initialState = {
+                currencies: {},
+            };
+
+            expect(reducer(undefined, {})).to.eql(initialState);
+        });
+    });
+
+    describe('IOTA/PRICE_HISTORY/UPDATE_PRICE_HISTORY', () => {
+        it('should merge "payload" days into "currencies" state prop', () => {
+            const initialState = {
+                currencies: {
+                    USD: { '2018-10-18': { close: 1 }, '2018-10-19': { close: 2 } },
+                    EUR: { '2018-10-19': { close: 3 } },
+                },
+            };
+
+            const action = {
+                type: 'IOTA/PRICE_HISTORY/UPDATE_PRICE_HISTORY',
+                payload: {
+                    USD: { '2018-10-19': { close: 4 }, '2018-10-20': { close: 5 } },
+                    BTC: { '2018-10-20': { close: 6 } },
+                },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                currencies: {
+                    USD: { '2018-10-18': { close: 1 }, '2018-10-19': { close: 4 }, '2018-10-20': { close: 5 } },
+                    EUR: { '2018-10-19': { close: 3 } },
+                    BTC: { '2018-10-20': { close: 6 } },
+                },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+});
@@ -0,0 +1,78 @@
+import { expect } from 'chai';
+import reducer from '../../reducers/scheduledPayments';
+
+describe('Reducer: scheduledPayments', () => {
+    describe('initial state', () => {
+        it('should have an initial state', () => {
+            const initialState = {
+                list: [],
+            };
+
+            expect(reducer(undefined, {})).to.eql(initialState);
+        });
+    });
+
+    describe('IOTA/SCHEDULED_PAYMENTS/ADD_SCHEDULED_PAYMENT', () => {
+        it('should add "payload" to "list" state prop', () => {
+            const initialState = {
+                list: [{ id: 'foo', status: 'active' }],
+            };
+
+            const action = {
+                type: 'IOTA/SCHEDULED_PAYMENTS/ADD_SCHEDULED_PAYMENT',
+                payload: { id: 'bar', status: 'active' },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [
+                    { id: 'foo', status: 'active' },
+                    { id: 'bar', status: 'active' },
+                ],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/SCHEDULED_PAYMENTS/UPDATE_SCHEDULED_PAYMENT', () => {
+        it('should merge "payload" into payment with matching id', () => {
+            const initialState = {
+                list: [
+                    { id: 'foo', status: 'active', nextExecutionAt: 1 },
+                    { id: 'bar', status: 'active', nextExecutionAt: 1 },
+                ],
+            };
+
+            const action = {
+                type: 'IOTA/SCHEDULED_PAYMENTS/UPDATE_SCHEDULED_PAYMENT',
+                payload: { id: 'bar', nextExecutionAt: 2 },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                list: [
+                    { id: 'foo', status: 'active', nextExecutionAt: 1 },
+                    { id: 'bar', status: 'active', nextExecutionAt: 2 },
+                ],
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/SCHEDULED_PAYMENTS/REMOVE_SCHEDULED_PAYMENT', () => {
+        it('should remove payment with id equal to "payload"', () => {
+            const initialState = {
+                list: [{ id: 'foo' }, { id: 'bar' }],
+            };
+
+            const action = {
+                type: 'IOTA/SCHEDULED_PAYMENTS/REMOVE_SCHEDULED_PAYMENT',
+                payload: 'foo',
+            };
+
+            expect(reducer(initialState, action)).to.eql({ list: [{ id: 'bar' }] });
+        });
+    });
+});
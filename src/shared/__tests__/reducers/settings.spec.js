@@ -1,7 +1,7 @@
 import { expect } from 'chai';
 import reducer from '../../reducers/settings';
 import { SettingsActionTypes } from '../../types';
-import { DEFAULT_NODES, DEFAULT_NODE, QUORUM_SIZE } from '../../config';
+import { DEFAULT_NODES, DEFAULT_NODE, QUORUM_SIZE, QUORUM_POLICY, QUORUM_THRESHOLD } from '../../config';
 
 describe('Reducer: settings', () => {
     describe('initial state', () => {
@@ -23,6 +23,7 @@ describe('Reducer: settings', () => {
                 lockScreenTimeout: 3,
                 versions: {},
                 isFingerprintEnabled: false,
+                is2FAEnabled: false,
                 acceptedTerms: false,
                 acceptedPrivacy: false,
                 autoPromotion: true,
@@ -39,11 +40,15 @@ describe('Reducer: settings', () => {
                 quorum: {
                     size: QUORUM_SIZE,
                     enabled: true,
+                    policy: QUORUM_POLICY,
+                    threshold: QUORUM_THRESHOLD,
+                    methodPolicies: [],
                 },
                 nodeAutoSwitch: true,
                 autoNodeList: true,
                 chartCurrency: 'USD',
                 chartTimeframe: '24h',
+                marketDataProvider: 'trinity',
             };
 
             expect(reducer(undefined, {})).to.eql(initialState);
@@ -541,6 +546,26 @@ describe('Reducer: settings', () => {
         });
     });
 
+    describe(SettingsActionTypes.SET_2FA_STATUS, () => {
+        it('should set is2FAEnabled to payload', () => {
+            const initialState = {
+                is2FAEnabled: false,
+            };
+
+            const action = {
+                type: SettingsActionTypes.SET_2FA_STATUS,
+                payload: true,
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                is2FAEnabled: true,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
     describe(SettingsActionTypes.SET_VERSIONS, () => {
         it('should merge payload in "versions" state prop', () => {
             const initialState = {
@@ -802,4 +827,24 @@ describe('Reducer: settings', () => {
             expect(newState).to.eql(expectedState);
         });
     });
+
+    describe('SET_MARKET_DATA_PROVIDER', () => {
+        it('should set market data provider to payload', () => {
+            const initialState = {
+                marketDataProvider: 'trinity',
+            };
+
+            const action = {
+                type: SettingsActionTypes.SET_MARKET_DATA_PROVIDER,
+                payload: 'coinGecko',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                marketDataProvider: 'coinGecko',
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
 });
@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import reducer from '../../reducers/transactionMetadata';
+
+describe('Reducer: transactionMetadata', () => {
+    describe('initial state', () => {
+        it('should have an initial state', () => {
+            const initialState = {
+                bundles: {},
+            };
+
+            expect(reducer(undefined, {})).to.eql(initialState);
+        });
+    });
+
+    describe('IOTA/TRANSACTION_METADATA/SET_METADATA', () => {
+        it('should assign "payload.metadata" to "payload.bundle" in "bundles" state prop', () => {
+            const initialState = {
+                bundles: {
+                    FOO: { label: 'foo', note: '', category: '' },
+                },
+            };
+
+            const action = {
+                type: 'IOTA/TRANSACTION_METADATA/SET_METADATA',
+                payload: { bundle: 'BAR', metadata: { label: 'bar', note: 'baz', category: 'payroll' } },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                bundles: {
+                    FOO: { label: 'foo', note: '', category: '' },
+                    BAR: { label: 'bar', note: 'baz', category: 'payroll' },
+                },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/TRANSACTION_METADATA/REMOVE_METADATA', () => {
+        it('should remove "payload" from "bundles" state prop', () => {
+            const initialState = {
+                bundles: {
+                    FOO: { label: 'foo', note: '', category: '' },
+                    BAR: { label: 'bar', note: '', category: '' },
+                },
+            };
+
+            const action = {
+                type: 'IOTA/TRANSACTION_METADATA/REMOVE_METADATA',
+                payload: 'FOO',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                bundles: {
+                    BAR: { label: 'bar', note: '', category: '' },
+                },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+});
@@ -13,12 +13,18 @@ describe('Reducer: ui', () => {
                 hasErrorFetchingAccountInfo: false,
                 hasErrorFetchingFullAccountInfo: false,
                 isSendingTransfer: false,
+                isSendPasswordConfirmed: false,
+                isPreparingUnsignedTransfer: false,
+                unsignedTransfers: {},
                 isSyncing: false,
+                isPlanningConsolidation: false,
+                isConsolidatingFunds: false,
                 inactive: false,
                 minimised: false,
                 sendAddressFieldText: '',
                 sendAmountFieldText: '',
                 sendMessageFieldText: '',
+                sendTagFieldText: '',
                 sendDenomination: 'i',
                 doNotMinimise: false,
                 isModalActive: false,
@@ -39,6 +45,7 @@ describe('Reducer: ui', () => {
                 isKeyboardActive: false,
                 animateChartOnMount: true,
                 CDAContent: {},
+                paymentUriContent: {},
             };
 
             expect(reducer(undefined, {})).to.eql(initialState);
@@ -105,6 +112,26 @@ describe('Reducer: ui', () => {
         });
     });
 
+    describe('IOTA/UI/SET_SEND_TAG_FIELD', () => {
+        it('should set "sendTagFieldText" state prop to "payload"', () => {
+            const initialState = {
+                sendTagFieldText: '',
+            };
+
+            const action = {
+                type: 'IOTA/UI/SET_SEND_TAG_FIELD',
+                payload: 'FOO',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                sendTagFieldText: 'FOO',
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
     describe('IOTA/UI/CLEAR_SEND_FIELDS', () => {
         it('should set "sendAddressFieldText" state prop to an empty string', () => {
             const initialState = {
@@ -156,6 +183,23 @@ describe('Reducer: ui', () => {
 
             expect(newState.sendMessageFieldText).to.eql(expectedState.sendMessageFieldText);
         });
+
+        it('should set "sendTagFieldText" state prop to an empty string', () => {
+            const initialState = {
+                sendTagFieldText: 'FOO',
+            };
+
+            const action = {
+                type: 'IOTA/UI/CLEAR_SEND_FIELDS',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                sendTagFieldText: '',
+            };
+
+            expect(newState.sendTagFieldText).to.eql(expectedState.sendTagFieldText);
+        });
     });
 
     describe('IOTA/APP/WALLET/SET_DEEP_LINK_CONTENT:', () => {
@@ -445,6 +489,217 @@ describe('Reducer: ui', () => {
         });
     });
 
+    describe('IOTA/ACCOUNTS/PLAN_CONSOLIDATION_REQUEST', () => {
+        it('should set "isPlanningConsolidation" state prop to true', () => {
+            const initialState = {
+                isPlanningConsolidation: false,
+            };
+
+            const action = {
+                type: 'IOTA/ACCOUNTS/PLAN_CONSOLIDATION_REQUEST',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isPlanningConsolidation: true,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/ACCOUNTS/PLAN_CONSOLIDATION_SUCCESS', () => {
+        it('should set "isPlanningConsolidation" state prop to false', () => {
+            const initialState = {
+                isPlanningConsolidation: true,
+            };
+
+            const action = {
+                type: 'IOTA/ACCOUNTS/PLAN_CONSOLIDATION_SUCCESS',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isPlanningConsolidation: false,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/ACCOUNTS/PLAN_CONSOLIDATION_ERROR', () => {
+        it('should set "isPlanningConsolidation" state prop to false', () => {
+            const initialState = {
+                isPlanningConsolidation: true,
+            };
+
+            const action = {
+                type: 'IOTA/ACCOUNTS/PLAN_CONSOLIDATION_ERROR',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isPlanningConsolidation: false,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_REQUEST', () => {
+        it('should set "isConsolidatingFunds" state prop to true', () => {
+            const initialState = {
+                isConsolidatingFunds: false,
+            };
+
+            const action = {
+                type: 'IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_REQUEST',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isConsolidatingFunds: true,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_SUCCESS', () => {
+        it('should set "isConsolidatingFunds" state prop to false', () => {
+            const initialState = {
+                isConsolidatingFunds: true,
+            };
+
+            const action = {
+                type: 'IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_SUCCESS',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isConsolidatingFunds: false,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_ERROR', () => {
+        it('should set "isConsolidatingFunds" state prop to false', () => {
+            const initialState = {
+                isConsolidatingFunds: true,
+            };
+
+            const action = {
+                type: 'IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_ERROR',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isConsolidatingFunds: false,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_REQUEST', () => {
+        it('should set "isPreparingUnsignedTransfer" state prop to true', () => {
+            const initialState = {
+                isPreparingUnsignedTransfer: false,
+            };
+
+            const action = {
+                type: 'IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_REQUEST',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isPreparingUnsignedTransfer: true,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_SUCCESS', () => {
+        it('should set "isPreparingUnsignedTransfer" state prop to false', () => {
+            const initialState = {
+                isPreparingUnsignedTransfer: true,
+            };
+
+            const action = {
+                type: 'IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_SUCCESS',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isPreparingUnsignedTransfer: false,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_ERROR', () => {
+        it('should set "isPreparingUnsignedTransfer" state prop to false', () => {
+            const initialState = {
+                isPreparingUnsignedTransfer: true,
+            };
+
+            const action = {
+                type: 'IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_ERROR',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isPreparingUnsignedTransfer: false,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/TRANSFERS/ADD_UNSIGNED_TRANSFER', () => {
+        it('should set unsigned transfer of account in "unsignedTransfers" state prop', () => {
+            const initialState = {
+                unsignedTransfers: { foo: { value: 1 } },
+            };
+
+            const action = {
+                type: 'IOTA/TRANSFERS/ADD_UNSIGNED_TRANSFER',
+                payload: { accountName: 'baz', unsignedTransfer: { value: 2 } },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                unsignedTransfers: { foo: { value: 1 }, baz: { value: 2 } },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/TRANSFERS/REMOVE_UNSIGNED_TRANSFER', () => {
+        it('should remove unsigned transfer of account from "unsignedTransfers" state prop', () => {
+            const initialState = {
+                unsignedTransfers: { foo: { value: 1 }, baz: { value: 2 } },
+            };
+
+            const action = {
+                type: 'IOTA/TRANSFERS/REMOVE_UNSIGNED_TRANSFER',
+                payload: 'baz',
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                unsignedTransfers: { foo: { value: 1 } },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
     describe('IOTA/WALLET/CLEAR_WALLET_DATA', () => {
         it('should set "isSendingTransfer" state prop to false', () => {
             const initialState = {
@@ -966,4 +1221,44 @@ describe('Reducer: ui', () => {
             expect(newState).to.eql(expectedState);
         });
     });
+
+    describe('IOTA/UI/SET_SEND_PASSWORD_CONFIRMED', () => {
+        it('should set "isSendPasswordConfirmed" state prop to payload', () => {
+            const initialState = {
+                isSendPasswordConfirmed: false,
+            };
+
+            const action = {
+                type: 'IOTA/UI/SET_SEND_PASSWORD_CONFIRMED',
+                payload: true,
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isSendPasswordConfirmed: true,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
+
+    describe('IOTA/UI/SET_PAYMENT_URI_CONTENT', () => {
+        it('should set "paymentUriContent" state prop to payload', () => {
+            const initialState = {
+                paymentUriContent: {},
+            };
+
+            const action = {
+                type: 'IOTA/UI/SET_PAYMENT_URI_CONTENT',
+                payload: { recipients: [], expiresAt: null, callback: 'https://foo.bar' },
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                paymentUriContent: { recipients: [], expiresAt: null, callback: 'https://foo.bar' },
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
 });
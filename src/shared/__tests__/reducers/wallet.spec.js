@@ -21,6 +21,7 @@ describe('Reducer: wallet', () => {
                 displayTestWarning: false,
                 displaySeedMigrationAlert: false,
                 seedMigrationUrl: '',
+                isStateSnapshotLoaded: false,
             };
 
             expect(reducer(undefined, {})).to.eql(initialState);
@@ -495,4 +496,24 @@ describe('Reducer: wallet', () => {
             expect(newState).to.eql(expectedState);
         });
     });
+
+    describe('IOTA/APP/WALLET/SET_STATE_SNAPSHOT_LOADED', () => {
+        it('should assign payload to "isStateSnapshotLoaded" in state', () => {
+            const initialState = {
+                isStateSnapshotLoaded: false,
+            };
+
+            const action = {
+                type: 'IOTA/APP/WALLET/SET_STATE_SNAPSHOT_LOADED',
+                payload: true,
+            };
+
+            const newState = reducer(initialState, action);
+            const expectedState = {
+                isStateSnapshotLoaded: true,
+            };
+
+            expect(newState).to.eql(expectedState);
+        });
+    });
 });
@@ -1,4 +1,5 @@
 import keys from 'lodash/keys';
+import mapValues from 'lodash/mapValues';
 import transform from 'lodash/transform';
 import { expect } from 'chai';
 import {
@@ -8,6 +9,7 @@ import {
     getAccountNamesFromState,
     selectAccountInfo,
     getTransactionsForSelectedAccount,
+    getTransactionsWithFiatValuesForSelectedAccount,
     getAddressesForSelectedAccount,
     getBalanceForSelectedAccount,
     getSelectedAccountName,
@@ -231,6 +233,26 @@ describe('selectors: accounts', () => {
         });
     });
 
+    describe('#getTransactionsWithFiatValuesForSelectedAccount', () => {
+        it('should attach fiat values then and now to normalised transactions', () => {
+            const transactions = getTransactionsWithFiatValuesForSelectedAccount({
+                accounts,
+                wallet: {
+                    seedIndex: 0,
+                },
+                marketData: { usdPrice: 2000000 },
+                settings: { currency: 'USD', conversionRate: 1 },
+                priceHistory: { currencies: {} },
+            });
+
+            expect(keys(transactions)).to.eql(keys(normalisedTransactions));
+            keys(transactions).forEach((bundle) => {
+                expect(transactions[bundle].fiatValueThen).to.equal(null);
+                expect(transactions[bundle].fiatValueNow).to.equal(normalisedTransactions[bundle].transferValue * 2);
+            });
+        });
+    });
+
     describe('#getAddressesForSelectedAccount', () => {
         it('should return list of addresses', () => {
             expect(
@@ -430,6 +452,23 @@ describe('selectors: accounts', () => {
 
             expect(keys(promotableBundles)).to.eql(promotableBundleHashes);
         });
+
+        it('should not return bundle hashes of watch-only accounts', () => {
+            const promotableBundles = getPromotableBundlesFromState({
+                accounts: {
+                    ...accounts,
+                    accountInfo: mapValues(accounts.accountInfo, (accountInfo) => ({
+                        ...accountInfo,
+                        meta: { type: 'watchonly' },
+                    })),
+                },
+                wallet: {
+                    seedIndex: 0,
+                },
+            });
+
+            expect(promotableBundles).to.eql({});
+        });
     });
 
     describe('#isSettingUpNewAccount', () => {
@@ -8,6 +8,8 @@ import {
     getThemeFromState,
     getCustomNodesFromState,
     nodesConfigurationFactory,
+    getFiatPriceNow,
+    getHistoricalFiatPriceGetter,
 } from '../../selectors/global';
 import Themes from '../../themes/themes';
 import { DEFAULT_NODE } from '../../config';
@@ -252,4 +254,27 @@ describe('selectors: global', () => {
             });
         });
     });
+
+    describe('#getFiatPriceNow', () => {
+        it('should return current price of 1 Mi in selected currency', () => {
+            expect(getFiatPriceNow({ marketData: { usdPrice: 0.5 }, settings: { conversionRate: 2 } })).to.equal(1);
+        });
+
+        it('should return null if current price is unavailable', () => {
+            expect(getFiatPriceNow({ marketData: { usdPrice: 0 }, settings: { conversionRate: 2 } })).to.equal(null);
+        });
+    });
+
+    describe('#getHistoricalFiatPriceGetter', () => {
+        it('should return a function returning the price of 1 Mi in selected currency at a unix time', () => {
+            const getPrice = getHistoricalFiatPriceGetter({
+                priceHistory: { currencies: { USD: { '2018-10-19': { close: 0.5 } } } },
+                settings: { currency: 'GBP', conversionRate: 0.8 },
+            });
+
+            // 2018-10-19T12:00:00Z
+            expect(getPrice(1539950400)).to.equal(0.4);
+            expect(getPrice(1539950400 + 86400)).to.equal(null);
+        });
+    });
 });
@@ -1,4 +1,5 @@
 import assign from 'lodash/assign';
+import get from 'lodash/get';
 import some from 'lodash/some';
 import isEmpty from 'lodash/isEmpty';
 import isNumber from 'lodash/isNumber';
@@ -12,6 +13,8 @@ import {
 import { nodesConfigurationFactory } from '../selectors/global';
 import { syncAccount, getAccountData } from '../libs/iota/accounts';
 import { setSeedIndex } from './wallet';
+import { logAuditEvent } from './auditLog';
+import { AUDIT_EVENTS } from '../libs/auditLog';
 import {
     generateAccountInfoErrorAlert,
     generateSyncingCompleteAlert,
@@ -300,6 +303,24 @@ export const markTaskAsDone = (payload) => {
     };
 };
 
+/**
+ * Dispatch to set input selection strategy for an account
+ *
+ * @method setInputSelectionStrategy
+ *
+ * @param {object} payload - { accountName, strategy }
+ * @returns {{type: {string}, payload: {object} }}
+ */
+export const setInputSelectionStrategy = (payload) => {
+    const { accountName, strategy } = payload;
+    Account.update(accountName, { inputSelectionStrategy: strategy });
+
+    return {
+        type: AccountsActionTypes.SET_INPUT_SELECTION_STRATEGY,
+        payload,
+    };
+};
+
 /**
  * Dispatch to update account state before recovering/sweeping
  *
@@ -375,6 +396,12 @@ export const getFullAccountInfo = (seedStore, accountName, quorum = false) => {
 
                 // Update redux store with newly fetched account info
                 dispatch(fullAccountInfoFetchSuccess(resultWithAccountMeta));
+                dispatch(
+                    logAuditEvent(AUDIT_EVENTS.accountAdded, {
+                        accountName,
+                        type: get(resultWithAccountMeta, 'meta.type', 'keychain'),
+                    }),
+                );
             })
             .catch((err) => {
                 dispatch(fullAccountInfoFetchError());
@@ -470,6 +497,7 @@ export const getAccountInfo = (seedStore, accountName, notificationFn, quorum =
  */
 export const deleteAccount = (accountName) => (dispatch) => {
     dispatch(removeAccount(accountName));
+    dispatch(logAuditEvent(AUDIT_EVENTS.accountDeleted, { accountName }));
     dispatch(generateAccountDeletedAlert());
 };
 
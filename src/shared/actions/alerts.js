@@ -386,6 +386,67 @@ export const generateLedgerIncorrectIndexAlert = (err) => (dispatch) => {
     );
 };
 
+/**
+ * Generates an error for spend, promotion or reattachment attempts from a watch-only account
+ *
+ * @method generateWatchOnlyAccountAlert
+ * @param {object} err
+ *
+ * @returns {function} dispatch
+ */
+export const generateWatchOnlyAccountAlert = (err) => (dispatch) => {
+    dispatch(
+        generateAlert(
+            'error',
+            i18next.t('watchOnly:watchOnlyAccount'),
+            i18next.t('watchOnly:watchOnlyAccountExplanation'),
+            10000,
+            err,
+        ),
+    );
+};
+
+/**
+ * Generates an error for spend or address generation attempts while a state snapshot is loaded
+ *
+ * @method generateStateSnapshotLoadedAlert
+ * @param {object} err
+ *
+ * @returns {function} dispatch
+ */
+export const generateStateSnapshotLoadedAlert = (err) => (dispatch) => {
+    dispatch(
+        generateAlert(
+            'error',
+            i18next.t('stateSnapshot:snapshotLoaded'),
+            i18next.t('stateSnapshot:snapshotLoadedExplanation'),
+            10000,
+            err,
+        ),
+    );
+};
+
+/**
+ * Generates an error for an invalid, expired or unsupported payment URI
+ * Delayed, so that it is not dismissed while a (QR scanner) modal closes
+ *
+ * @method generatePaymentUriErrorAlert
+ * @param {object} err
+ *
+ * @returns {function} dispatch
+ */
+export const generatePaymentUriErrorAlert = (err) => (dispatch) => {
+    const keys = {
+        [Errors.PAYMENT_URI_EXPIRED]: 'send:paymentRequestExpired',
+        [Errors.UNSUPPORTED_PAYMENT_URI_VERSION]: 'paymentUri:unsupportedVersion',
+        [Errors.UNSUPPORTED_PAYMENT_URI_CURRENCY]: 'paymentUri:unsupportedCurrency',
+        [Errors.PRICE_UNAVAILABLE]: 'paymentUri:priceUnavailable',
+    };
+    const key = keys[err.message] || 'paymentUri:invalidPaymentUri';
+
+    dispatch(generateAlert('error', i18next.t(key), i18next.t(`${key}Explanation`), undefined, undefined, 500));
+};
+
 /**
  * Hides an active alert
  *
@@ -0,0 +1,31 @@
+import { createAuditLogEntry } from '../libs/auditLog';
+import { AuditLogEntry } from '../storage';
+import { AuditLogActionTypes } from '../types';
+
+/**
+ * Dispatch to add a persisted entry to the audit log in state
+ *
+ * @method addAuditLogEntry
+ * @param {object} payload
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+export const addAuditLogEntry = (payload) => ({
+    type: AuditLogActionTypes.ADD_AUDIT_LOG_ENTRY,
+    payload,
+});
+
+/**
+ * Appends a security-relevant event to the (append-only) audit log in realm and state
+ *
+ * @method logAuditEvent
+ * @param {string} type - See AUDIT_EVENTS in libs/auditLog
+ * @param {object} [details]
+ *
+ * @returns {function} dispatch
+ */
+export const logAuditEvent = (type, details = {}) => (dispatch) => {
+    const entry = AuditLogEntry.add(createAuditLogEntry(type, details));
+
+    dispatch(addAuditLogEntry(entry));
+};
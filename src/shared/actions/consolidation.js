@@ -0,0 +1,369 @@
+import assign from 'lodash/assign';
+import extend from 'lodash/extend';
+import get from 'lodash/get';
+import has from 'lodash/has';
+import isEmpty from 'lodash/isEmpty';
+import map from 'lodash/map';
+import range from 'lodash/range';
+import reduce from 'lodash/reduce';
+import size from 'lodash/size';
+import slice from 'lodash/slice';
+import sumBy from 'lodash/sumBy';
+import { selectedAccountStateFactory } from '../selectors/accounts';
+import { getRemotePoWFromState, nodesConfigurationFactory } from '../selectors/global';
+import { syncAccount, syncAccountAfterSpending } from '../libs/iota/accounts';
+import { getAddressDataUptoRemainder } from '../libs/iota/addresses';
+import {
+    consolidate,
+    createConsolidationPlan,
+    getConsolidationChunkInputs,
+    getConsolidationInputs,
+} from '../libs/iota/consolidation';
+import { throwIfWatchOnlyAccount } from '../libs/iota/watchOnly';
+import { throwIfStateSnapshotLoaded } from '../libs/stateSnapshot';
+import { SEND_POLICY_ERRORS } from '../libs/sendPolicies';
+import { updateAccountInfoAfterSpending } from './accounts';
+import { generateAlert, generateErrorAlert, generateStateSnapshotLoadedAlert } from './alerts';
+import { enforceSendPolicy, generateSendPolicyErrorAlert } from './sendPolicies';
+import { setActiveStepIndex, startTrackingProgress, reset as resetProgress } from './progress';
+import i18next from '../libs/i18next';
+import Errors from '../libs/errors';
+import { serialise } from '../libs/utils';
+import NodesManager from '../libs/iota/NodesManager';
+import { Account } from '../storage';
+import { AccountsActionTypes } from '../types';
+
+/**
+ * Dispatch when a funds consolidation is about to be planned
+ *
+ * @method planConsolidationRequest
+ *
+ * @returns {{type: {string} }}
+ */
+export const planConsolidationRequest = () => ({
+    type: AccountsActionTypes.PLAN_CONSOLIDATION_REQUEST,
+});
+
+/**
+ * Dispatch when a funds consolidation is successfully planned
+ *
+ * @method planConsolidationSuccess
+ *
+ * @returns {{type: {string} }}
+ */
+export const planConsolidationSuccess = () => ({
+    type: AccountsActionTypes.PLAN_CONSOLIDATION_SUCCESS,
+});
+
+/**
+ * Dispatch when an error occurs while planning a funds consolidation
+ *
+ * @method planConsolidationError
+ *
+ * @returns {{type: {string} }}
+ */
+export const planConsolidationError = () => ({
+    type: AccountsActionTypes.PLAN_CONSOLIDATION_ERROR,
+});
+
+/**
+ * Dispatch when planned consolidation transfers are about to be sent
+ *
+ * @method consolidateFundsRequest
+ *
+ * @returns {{type: {string} }}
+ */
+export const consolidateFundsRequest = () => ({
+    type: AccountsActionTypes.CONSOLIDATE_FUNDS_REQUEST,
+});
+
+/**
+ * Dispatch when all planned consolidation transfers are sent
+ *
+ * @method consolidateFundsSuccess
+ *
+ * @returns {{type: {string} }}
+ */
+export const consolidateFundsSuccess = () => ({
+    type: AccountsActionTypes.CONSOLIDATE_FUNDS_SUCCESS,
+});
+
+/**
+ * Dispatch when an error occurs while sending consolidation transfers
+ *
+ * @method consolidateFundsError
+ *
+ * @returns {{type: {string} }}
+ */
+export const consolidateFundsError = () => ({
+    type: AccountsActionTypes.CONSOLIDATE_FUNDS_ERROR,
+});
+
+/**
+ * Dispatch to update account state before planning or sending consolidation transfers
+ *
+ * @method syncAccountBeforeConsolidation
+ *
+ * @param {object} payload
+ * @returns {{type: {string}, payload: {object} }}
+ */
+export const syncAccountBeforeConsolidation = (payload) => ({
+    type: AccountsActionTypes.SYNC_ACCOUNT_BEFORE_CONSOLIDATION,
+    payload,
+});
+
+/**
+ * Dispatch to set (or clear) pending funds consolidation plan of an account
+ *
+ * @method setConsolidationPlan
+ *
+ * @param {object} payload - { accountName, plan }
+ * @returns {{type: {string}, payload: {object} }}
+ */
+export const setConsolidationPlan = (payload) => {
+    const { accountName, plan } = payload;
+    Account.update(accountName, { consolidationPlan: plan ? serialise(plan) : '' });
+
+    return {
+        type: AccountsActionTypes.SET_CONSOLIDATION_PLAN,
+        payload,
+    };
+};
+
+/**
+ * Generates an error alert if consolidation could not be planned or completed
+ *
+ * @method generateConsolidationErrorAlert
+ * @param {object} error
+ *
+ * @returns {function} dispatch
+ */
+const generateConsolidationErrorAlert = (error) => (dispatch) => {
+    if (get(error, 'message') === Errors.NOTHING_TO_CONSOLIDATE) {
+        return dispatch(
+            generateAlert(
+                'info',
+                i18next.t('consolidation:nothingToConsolidate'),
+                i18next.t('consolidation:nothingToConsolidateExplanation'),
+            ),
+        );
+    }
+
+    if (has(SEND_POLICY_ERRORS, get(error, 'message'))) {
+        return dispatch(generateSendPolicyErrorAlert(error));
+    }
+
+    if (get(error, 'message') === Errors.STATE_SNAPSHOT_LOADED) {
+        return dispatch(generateStateSnapshotLoadedAlert(error));
+    }
+
+    return dispatch(
+        generateAlert(
+            'error',
+            i18next.t('consolidation:consolidationInterrupted'),
+            i18next.t('consolidation:consolidationInterruptedExplanation'),
+            20000,
+            error,
+        ),
+    );
+};
+
+/**
+ * Syncs account and plans consolidation transfers moving all spendable funds to a single unused address.
+ * Each transfer spends at most as many inputs as supported by the seed store
+ *
+ * @method planConsolidation
+ *
+ * @param {object} seedStore - SeedStore class object
+ * @param {string} accountName
+ * @param {boolean} [quorum]
+ *
+ * @returns {function(function, function): Promise<object|null>} - Resolves with consolidation plan (or null on error)
+ */
+export const planConsolidation = (seedStore, accountName, quorum = true) => (dispatch, getState) => {
+    dispatch(planConsolidationRequest());
+
+    const planConsolidationFn = (maxInputs) => (settings, withQuorum) => () =>
+        syncAccount(settings, withQuorum)(selectedAccountStateFactory(accountName)(getState()), seedStore).then(
+            (newState) => {
+                const inputs = getConsolidationInputs(newState.addressData, newState.transactions);
+
+                if (size(inputs) < 2) {
+                    throw new Error(Errors.NOTHING_TO_CONSOLIDATE);
+                }
+
+                // Consolidate funds to the latest unused address
+                return getAddressDataUptoRemainder(settings, withQuorum)(
+                    newState.addressData,
+                    newState.transactions,
+                    seedStore,
+                    map(inputs, (input) => input.address),
+                ).then(({ remainderAddress, remainderIndex, addressDataUptoRemainder }) => ({
+                    newState: assign({}, newState, { addressData: addressDataUptoRemainder }),
+                    plan: createConsolidationPlan(
+                        inputs,
+                        { address: remainderAddress, index: remainderIndex },
+                        maxInputs,
+                    ),
+                }));
+            },
+        );
+
+    return throwIfStateSnapshotLoaded(getState())
+        .then(() => throwIfWatchOnlyAccount(selectedAccountStateFactory(accountName)(getState())))
+        .then(() => (typeof seedStore.getMaxInputs === 'function' ? seedStore.getMaxInputs() : 0))
+        .then((maxInputs) =>
+            new NodesManager(nodesConfigurationFactory({ quorum })(getState())).withRetries()(
+                planConsolidationFn(maxInputs),
+            )(),
+        )
+        .then(({ newState, plan }) => {
+            // Update storage (realm)
+            Account.update(accountName, newState);
+            // Update redux store
+            dispatch(syncAccountBeforeConsolidation(newState));
+            dispatch(setConsolidationPlan({ accountName, plan }));
+            dispatch(planConsolidationSuccess());
+
+            return plan;
+        })
+        .catch((error) => {
+            dispatch(planConsolidationError());
+            dispatch(generateErrorAlert(generateConsolidationErrorAlert, error));
+
+            return null;
+        });
+};
+
+/**
+ * Sequentially sends planned consolidation transfers (See planConsolidation).
+ *
+ * Progress is persisted after each broadcast transfer, so that an interrupted consolidation
+ * can be resumed without repeating transfers. Before each transfer the account is synced and
+ * inputs that were spent in the meantime are left out.
+ *
+ * @method consolidateFunds
+ *
+ * @param {object} seedStore - SeedStore class object
+ * @param {string} accountName
+ * @param {boolean} [quorum]
+ *
+ * @returns {function(function, function): Promise<boolean>} - Resolves with true if all planned transfers are sent
+ */
+export const consolidateFunds = (seedStore, accountName, quorum = true) => (dispatch, getState) => {
+    const getAccountState = () => selectedAccountStateFactory(accountName)(getState());
+    const getPlan = () => get(getAccountState(), 'consolidation');
+
+    if (!getPlan()) {
+        return Promise.resolve(false);
+    }
+
+    dispatch(consolidateFundsRequest());
+    dispatch(startTrackingProgress(getPlan().chunks));
+
+    const markTransferAsCompleted = (chunkIndex) =>
+        dispatch(
+            setConsolidationPlan({
+                accountName,
+                plan: assign({}, getPlan(), { completedChunks: chunkIndex + 1 }),
+            }),
+        );
+
+    const consolidateFundsFn = (settings, withQuorum) => () =>
+        // Read plan on every (re)try, so that completed transfers are skipped
+        reduce(
+            range(getPlan().completedChunks, size(getPlan().chunks)),
+            (promise, chunkIndex) =>
+                promise.then(() => {
+                    dispatch(setActiveStepIndex(chunkIndex));
+
+                    return syncAccount(settings, withQuorum)(getAccountState(), seedStore).then((newState) => {
+                        // Update storage (realm)
+                        Account.update(accountName, newState);
+                        // Update redux store
+                        dispatch(syncAccountBeforeConsolidation(newState));
+
+                        const plan = getPlan();
+                        const inputs = getConsolidationChunkInputs(
+                            plan,
+                            chunkIndex,
+                            getConsolidationInputs(newState.addressData, newState.transactions, [plan.address]),
+                        );
+
+                        // Inputs could have been spent by an interrupted consolidation
+                        if (isEmpty(inputs)) {
+                            return markTransferAsCompleted(chunkIndex);
+                        }
+
+                        return consolidate(settings, withQuorum)(
+                            // See: extendedApi#attachToTangle
+                            getRemotePoWFromState(getState())
+                                ? extend(
+                                      {
+                                          __proto__: seedStore.__proto__,
+                                      },
+                                      seedStore,
+                                      { offloadPow: true },
+                                  )
+                                : seedStore,
+                            inputs,
+                            plan,
+                        )
+                            .then(({ transactionObjects }) => {
+                                // Persist progress as soon as transfer is broadcast
+                                markTransferAsCompleted(chunkIndex);
+
+                                return syncAccountAfterSpending(settings, withQuorum)(
+                                    seedStore,
+                                    transactionObjects,
+                                    getAccountState(),
+                                );
+                            })
+                            .then((updatedState) => {
+                                // Update storage (realm)
+                                Account.update(accountName, updatedState);
+                                // Update redux store
+                                dispatch(updateAccountInfoAfterSpending(updatedState));
+                            });
+                    });
+                }),
+            Promise.resolve(),
+        );
+
+    return throwIfStateSnapshotLoaded(getState())
+        .then(() => throwIfWatchOnlyAccount(getAccountState()))
+        .then(() =>
+            // Consolidation transfers only send to an own address, but are still checked against the send policy
+            enforceSendPolicy(accountName, [
+                {
+                    address: getPlan().address,
+                    value: sumBy(slice(getPlan().chunks, getPlan().completedChunks), 'value'),
+                },
+            ])(dispatch, getState),
+        )
+        .then(() =>
+            new NodesManager(nodesConfigurationFactory({ quorum })(getState())).withRetries()(consolidateFundsFn)(),
+        )
+        .then(() => {
+            dispatch(setConsolidationPlan({ accountName, plan: null }));
+            dispatch(consolidateFundsSuccess());
+            dispatch(resetProgress());
+            dispatch(
+                generateAlert(
+                    'success',
+                    i18next.t('consolidation:consolidationComplete'),
+                    i18next.t('consolidation:consolidationCompleteExplanation'),
+                    20000,
+                ),
+            );
+
+            return true;
+        })
+        .catch((error) => {
+            dispatch(consolidateFundsError());
+            dispatch(resetProgress());
+            dispatch(generateErrorAlert(generateConsolidationErrorAlert, error));
+
+            return false;
+        });
+};
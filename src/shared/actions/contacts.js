@@ -0,0 +1,163 @@
+import assign from 'lodash/assign';
+import trim from 'lodash/trim';
+import i18next from '../libs/i18next';
+import { getContactValidationError } from '../libs/contacts';
+import { getContactsList } from '../selectors/global';
+import { generateAlert } from './alerts';
+import { Contact } from '../storage';
+import { ContactsActionTypes } from '../types';
+
+/**
+ * Dispatch when a contact is added to the address book
+ *
+ * @method addContactSuccess
+ * @param {object} payload
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+const addContactSuccess = (payload) => ({
+    type: ContactsActionTypes.ADD_CONTACT,
+    payload,
+});
+
+/**
+ * Dispatch when a contact is updated
+ *
+ * @method updateContactSuccess
+ * @param {object} payload
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+const updateContactSuccess = (payload) => ({
+    type: ContactsActionTypes.UPDATE_CONTACT,
+    payload,
+});
+
+/**
+ * Dispatch to remove a contact from the address book
+ *
+ * @method removeContact
+ * @param {string} address
+ *
+ * @returns {{type: {string}, payload: {string} }}
+ */
+export const removeContact = (address) => {
+    Contact.delete(address);
+
+    return {
+        type: ContactsActionTypes.REMOVE_CONTACT,
+        payload: address,
+    };
+};
+
+/**
+ * Dispatch to mark a contact address as spent
+ *
+ * @method markContactAsSpent
+ * @param {string} address
+ *
+ * @returns {{type: {string}, payload: {string} }}
+ */
+export const markContactAsSpent = (address) => {
+    Contact.update(address, { spent: true });
+
+    return {
+        type: ContactsActionTypes.MARK_CONTACT_AS_SPENT,
+        payload: address,
+    };
+};
+
+/**
+ * Generates an alert for a contact validation error
+ *
+ * @method generateContactValidationErrorAlert
+ * @param {string} error
+ *
+ * @returns {function}
+ */
+const generateContactValidationErrorAlert = (error) =>
+    generateAlert('error', i18next.t(`contacts:${error}`), i18next.t(`contacts:${error}Explanation`));
+
+/**
+ * Validates and adds a contact to the address book
+ *
+ * @method addContact
+ * @param {object} contact - { address, name, message, tag, notes }
+ *
+ * @returns {function(dispatch, getState): boolean}
+ */
+export const addContact = (contact) => (dispatch, getState) => {
+    const error = getContactValidationError(contact, getContactsList(getState()));
+
+    if (error) {
+        dispatch(generateContactValidationErrorAlert(error));
+
+        return false;
+    }
+
+    const newContact = assign({ message: '', tag: '', notes: '' }, contact, {
+        name: trim(contact.name),
+        spent: false,
+        createdAt: Math.floor(Date.now() / 1000),
+    });
+
+    Contact.create(newContact);
+    dispatch(addContactSuccess(newContact));
+    dispatch(
+        generateAlert(
+            'success',
+            i18next.t('contacts:contactAdded'),
+            i18next.t('contacts:contactAddedExplanation', { name: newContact.name }),
+        ),
+    );
+
+    return true;
+};
+
+/**
+ * Validates and updates an existing contact.
+ * If the address has changed, the contact is stored under the new address
+ *
+ * @method updateContact
+ * @param {string} previousAddress
+ * @param {object} contact - { address, name, message, tag, notes }
+ *
+ * @returns {function(dispatch, getState): boolean}
+ */
+export const updateContact = (previousAddress, contact) => (dispatch, getState) => {
+    const error = getContactValidationError(contact, getContactsList(getState()), previousAddress);
+
+    if (error) {
+        dispatch(generateContactValidationErrorAlert(error));
+
+        return false;
+    }
+
+    const data = assign({}, contact, { name: trim(contact.name) });
+
+    if (previousAddress !== contact.address) {
+        dispatch(removeContact(previousAddress));
+
+        // A changed address is a new recipient (See libs/sendPolicies)
+        const newContact = assign({ message: '', tag: '', notes: '' }, data, {
+            spent: false,
+            createdAt: Math.floor(Date.now() / 1000),
+        });
+
+        Contact.create(newContact);
+        dispatch(addContactSuccess(newContact));
+    } else {
+        Contact.update(previousAddress, data);
+        dispatch(updateContactSuccess(data));
+    }
+
+    dispatch(
+        generateAlert(
+            'success',
+            i18next.t('contacts:contactUpdated'),
+            i18next.t('contacts:contactUpdatedExplanation', { name: data.name }),
+        ),
+    );
+
+    return true;
+};
@@ -0,0 +1,140 @@
+import each from 'lodash/each';
+import get from 'lodash/get';
+import map from 'lodash/map';
+import { getNodeHealthAsync } from '../libs/iota/extendedApi';
+import { createNodeHealthRecord, addNodeRequestResult, addNodeHealthCheck } from '../libs/iota/nodeHealth';
+import { getNodeHealthRecords } from '../selectors/global';
+import { NodeHealth } from '../storage';
+import { NodeHealthActionTypes } from '../types';
+import Errors from '../libs/errors';
+
+/**
+ * Dispatch when a node health record is updated
+ *
+ * @method updateNodeHealth
+ * @param {object} payload
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+const updateNodeHealth = (payload) => ({
+    type: NodeHealthActionTypes.UPDATE_NODE_HEALTH,
+    payload,
+});
+
+/**
+ * Dispatch when node health checks start or finish
+ *
+ * @method setCheckingNodeHealth
+ * @param {boolean} payload
+ *
+ * @returns {{type: {string}, payload: {boolean} }}
+ */
+const setCheckingNodeHealth = (payload) => ({
+    type: NodeHealthActionTypes.SET_CHECKING_NODE_HEALTH,
+    payload,
+});
+
+/**
+ * Dispatch when a quorum round is completed
+ *
+ * @method addQuorumRound
+ * @param {object} payload
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+const addQuorumRound = (payload) => ({
+    type: NodeHealthActionTypes.ADD_QUORUM_ROUND,
+    payload,
+});
+
+/**
+ * Applies an update to a node health record and persists it
+ *
+ * @method applyNodeHealthUpdate
+ * @param {string} url
+ * @param {function} update - (record) => updatedRecord
+ *
+ * @returns {function(dispatch, getState): object} Updated record
+ */
+const applyNodeHealthUpdate = (url, update) => (dispatch, getState) => {
+    const record = update(get(getNodeHealthRecords(getState()), [url]) || createNodeHealthRecord(url));
+
+    NodeHealth.createOrUpdate(record);
+    dispatch(updateNodeHealth(record));
+
+    return record;
+};
+
+/**
+ * Records the result of a request made to a node
+ *
+ * @method recordNodeRequest
+ * @param {string} url
+ * @param {Error|string} [error] - Request error, omitted if the request succeeded
+ *
+ * @returns {function(dispatch): object}
+ */
+export const recordNodeRequest = (url, error = null) => (dispatch) =>
+    dispatch(applyNodeHealthUpdate(url, (record) => addNodeRequestResult(record, error)));
+
+/**
+ * Measures latency, milestone lag and remote PoW availability of a node
+ *
+ * @method checkNodeHealth
+ * @param {object} node - { url, username, password }
+ *
+ * @returns {function(dispatch): Promise<object>}
+ */
+export const checkNodeHealth = (node) => (dispatch) =>
+    getNodeHealthAsync(node)
+        .then((health) => dispatch(applyNodeHealthUpdate(node.url, (record) => addNodeHealthCheck(record, health))))
+        .catch((error) => dispatch(recordNodeRequest(node.url, error)));
+
+/**
+ * Checks health of multiple nodes
+ *
+ * @method checkNodesHealth
+ * @param {array} nodes
+ *
+ * @returns {function(dispatch, getState): Promise}
+ */
+export const checkNodesHealth = (nodes) => (dispatch, getState) => {
+    if (getState().nodeHealth.isCheckingNodeHealth) {
+        return Promise.resolve();
+    }
+
+    dispatch(setCheckingNodeHealth(true));
+
+    return Promise.all(map(nodes, (node) => dispatch(checkNodeHealth(node)))).then(() =>
+        dispatch(setCheckingNodeHealth(false)),
+    );
+};
+
+/**
+ * Records a quorum round and counts disagreeing with the quorum result as a failed request
+ *
+ * @method recordQuorumRound
+ * @param {object} round - See libs/iota/quorum#createQuorumRound
+ *
+ * @returns {function(dispatch): void}
+ */
+export const recordQuorumRound = (round) => (dispatch) => {
+    dispatch(addQuorumRound(round));
+
+    each(round.outliers, (url) => dispatch(recordNodeRequest(url, Errors.QUORUM_DISAGREEMENT)));
+};
+
+/**
+ * Removes all node health records
+ *
+ * @method clearNodeHealth
+ *
+ * @returns {{type: {string} }}
+ */
+export const clearNodeHealth = () => {
+    NodeHealth.deleteAll();
+
+    return {
+        type: NodeHealthActionTypes.CLEAR_NODE_HEALTH,
+    };
+};
@@ -0,0 +1,152 @@
+import filter from 'lodash/filter';
+import each from 'lodash/each';
+import isInteger from 'lodash/isInteger';
+import i18next from '../libs/i18next';
+import { isValidMessage } from '../libs/iota/utils';
+import { mapNormalisedTransactions } from '../libs/iota/transfers';
+import {
+    PAYMENT_REQUEST_STATUSES,
+    createPaymentRequestObject,
+    getUpdatedPaymentRequests,
+} from '../libs/paymentRequests';
+import { selectedAccountStateFactory, getPaymentRequestsFromState } from '../selectors/accounts';
+import { generateAlert } from './alerts';
+import { PaymentRequest } from '../storage';
+import { PaymentRequestsActionTypes } from '../types';
+
+/**
+ * Dispatch when a payment request is created
+ *
+ * @method addPaymentRequestSuccess
+ * @param {object} payload
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+const addPaymentRequestSuccess = (payload) => ({
+    type: PaymentRequestsActionTypes.ADD_PAYMENT_REQUEST,
+    payload,
+});
+
+/**
+ * Dispatch when payment requests are matched against incoming transactions
+ *
+ * @method updatePaymentRequestsSuccess
+ * @param {array} payload
+ *
+ * @returns {{type: {string}, payload: {array} }}
+ */
+const updatePaymentRequestsSuccess = (payload) => ({
+    type: PaymentRequestsActionTypes.UPDATE_PAYMENT_REQUESTS,
+    payload,
+});
+
+/**
+ * Dispatch to remove a payment request
+ *
+ * @method removePaymentRequest
+ * @param {string} address
+ *
+ * @returns {{type: {string}, payload: {string} }}
+ */
+export const removePaymentRequest = (address) => {
+    PaymentRequest.delete(address);
+
+    return {
+        type: PaymentRequestsActionTypes.REMOVE_PAYMENT_REQUEST,
+        payload: address,
+    };
+};
+
+/**
+ * Validates and stores a payment request for an account address
+ *
+ * @method createPaymentRequest
+ * @param {object} data - { accountName, address, expectedAmount, message, timeoutAt }
+ *
+ * @returns {function(dispatch): object|null} Created payment request
+ */
+export const createPaymentRequest = (data) => (dispatch) => {
+    const { expectedAmount = 0, message = '', timeoutAt } = data;
+
+    if (!isInteger(expectedAmount) || expectedAmount < 0) {
+        dispatch(
+            generateAlert(
+                'error',
+                i18next.t('paymentRequests:invalidAmount'),
+                i18next.t('paymentRequests:invalidAmountExplanation'),
+            ),
+        );
+
+        return null;
+    }
+
+    if (!isValidMessage(message)) {
+        dispatch(generateAlert('error', i18next.t('send:invalidMessage'), i18next.t('send:invalidMessageExplanation')));
+
+        return null;
+    }
+
+    if (!isInteger(timeoutAt) || timeoutAt <= Date.now() / 1000) {
+        dispatch(
+            generateAlert(
+                'error',
+                i18next.t('paymentRequests:invalidTimeout'),
+                i18next.t('paymentRequests:invalidTimeoutExplanation'),
+            ),
+        );
+
+        return null;
+    }
+
+    const request = createPaymentRequestObject(data);
+
+    PaymentRequest.create(request);
+    dispatch(addPaymentRequestSuccess(request));
+
+    return request;
+};
+
+/**
+ * Matches (confirmed) incoming transactions of an account to its payment requests,
+ * and updates request statuses and received amounts
+ *
+ * @method updatePaymentRequests
+ * @param {string} accountName
+ *
+ * @returns {function(dispatch, getState): undefined}
+ */
+export const updatePaymentRequests = (accountName) => (dispatch, getState) => {
+    const requests = filter(
+        getPaymentRequestsFromState(getState()).list,
+        (request) => request.accountName === accountName,
+    );
+
+    if (!requests.length) {
+        return;
+    }
+
+    const { transactions, addressData } = selectedAccountStateFactory(accountName)(getState());
+    const updatedRequests = getUpdatedPaymentRequests(requests, mapNormalisedTransactions(transactions, addressData));
+
+    if (!updatedRequests.length) {
+        return;
+    }
+
+    each(updatedRequests, ({ address, receivedAmount, status }) => {
+        PaymentRequest.update(address, { receivedAmount, status });
+    });
+
+    dispatch(updatePaymentRequestsSuccess(updatedRequests));
+
+    each(filter(updatedRequests, { status: PAYMENT_REQUEST_STATUSES.paid }), (request) => {
+        dispatch(
+            generateAlert(
+                'success',
+                i18next.t('paymentRequests:requestPaid'),
+                i18next.t('paymentRequests:requestPaidExplanation', {
+                    message: request.message || request.address.slice(0, 12),
+                }),
+            ),
+        );
+    });
+};
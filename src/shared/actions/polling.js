@@ -10,12 +10,22 @@ import { getMarketData } from './marketData';
 import { quorum } from '../libs/iota';
 import { setNodeList, setAutoPromotion } from './settings';
 import { fetchRemoteNodes } from '../libs/iota/utils';
+import { getNodesDueForHealthCheck } from '../libs/iota/nodeHealth';
 import { generateAccountInfoErrorAlert, generateAlert, prepareLogUpdate } from './alerts';
 import { constructBundlesFromTransactions, findPromotableTail, isFundedBundle } from '../libs/iota/transfers';
 import { selectedAccountStateFactory } from '../selectors/accounts';
-import { nodesConfigurationFactory, getCustomNodesFromState, getNodesFromState } from '../selectors/global';
+import {
+    nodesConfigurationFactory,
+    getCustomNodesFromState,
+    getNodesFromState,
+    getNodeHealthRecords,
+} from '../selectors/global';
 import { syncAccount } from '../libs/iota/accounts';
+import { throwIfWatchOnlyAccount } from '../libs/iota/watchOnly';
 import { forceTransactionPromotion } from './transfers';
+import { updatePaymentRequests } from './paymentRequests';
+import { processScheduledPayment } from './scheduledPayments';
+import { checkNodesHealth } from './nodeHealth';
 import { DEFAULT_NODES } from '../config';
 import Errors from '../libs/errors';
 import i18next from '../libs/i18next';
@@ -158,6 +168,41 @@ const promoteTransactionError = () => ({
     type: PollingActionTypes.PROMOTE_TRANSACTION_ERROR,
 });
 
+/**
+ * Dispatch when a due scheduled payment is about to be processed
+ *
+ * @method runScheduledPaymentRequest
+ * @param {string} payload
+ *
+ * @returns {{type: {string}, payload: {string} }}
+ */
+const runScheduledPaymentRequest = (payload) => ({
+    type: PollingActionTypes.RUN_SCHEDULED_PAYMENT_REQUEST,
+    payload,
+});
+
+/**
+ * Dispatch when a due scheduled payment is processed
+ *
+ * @method runScheduledPaymentSuccess
+ *
+ * @returns {{type: {string} }}
+ */
+const runScheduledPaymentSuccess = () => ({
+    type: PollingActionTypes.RUN_SCHEDULED_PAYMENT_SUCCESS,
+});
+
+/**
+ * Dispatch when an error occurs while processing a due scheduled payment
+ *
+ * @method runScheduledPaymentError
+ *
+ * @returns {{type: {string} }}
+ */
+const runScheduledPaymentError = () => ({
+    type: PollingActionTypes.RUN_SCHEDULED_PAYMENT_ERROR,
+});
+
 /**
  * Dispatch to set active polling service
  *
@@ -218,9 +263,9 @@ export const syncAccountWhilePolling = (payload) => ({
  *   @returns {function} - dispatch
  **/
 export const fetchMarketData = () => {
-    return (dispatch) => {
+    return (dispatch, getState) => {
         dispatch(fetchMarketDataRequest());
-        getMarketData(dispatch)
+        getMarketData(dispatch, getState)
             .then((successful) => {
                 if (successful) {
                     dispatch(fetchMarketDataSuccess());
@@ -265,6 +310,16 @@ export const fetchNodeList = () => {
 
                 dispatch(setNodeList(nodes));
                 dispatch(fetchNodeListSuccess());
+
+                // Refresh health records of nodes with the oldest health checks
+                dispatch(
+                    checkNodesHealth(
+                        getNodesDueForHealthCheck(
+                            unionBy(getCustomNodesFromState(getState()), nodes, 'url'),
+                            getNodeHealthRecords(getState()),
+                        ),
+                    ),
+                );
             })
             .catch(() => {
                 dispatch(fetchNodeListError());
@@ -299,6 +354,7 @@ export const getAccountInfoForAllAccounts = (accountNames, notificationFn, quoru
                         .withRetries()(syncAccount)(existingAccountState, undefined, notificationFn, settings)
                         .then((result) => {
                             dispatch(syncAccountWhilePolling(result));
+                            dispatch(updatePaymentRequests(accountName));
                         });
                 });
             },
@@ -342,10 +398,8 @@ export const promoteTransfer = (bundleHash, accountName, seedStore, quorum = tru
         filter(transactions, (transaction) => transaction.bundle === bundleHash);
 
     const executePrePromotionChecks = (settings, withQuorum) => () => {
-        return syncAccount(
-            settings,
-            withQuorum,
-        )(accountState)
+        return throwIfWatchOnlyAccount(accountState)
+            .then(() => syncAccount(settings, withQuorum)(accountState))
             .then((newState) => {
                 accountState = newState;
 
@@ -431,3 +485,23 @@ export const promoteTransfer = (bundleHash, accountName, seedStore, quorum = tru
             dispatch(promoteTransactionError());
         });
 };
+
+/**
+ * Processes a due scheduled payment during poll cycle.
+ * Failed transfers are recorded against the scheduled payment and do not count as a failed poll
+ *
+ * @method runScheduledPayment
+ *
+ * @param {string} paymentId
+ * @param {object} seedStore - SeedStore class object
+ *
+ * @returns {function} - dispatch
+ **/
+export const runScheduledPayment = (paymentId, seedStore) => (dispatch) => {
+    dispatch(runScheduledPaymentRequest(paymentId));
+
+    return Promise.resolve()
+        .then(() => dispatch(processScheduledPayment(paymentId, seedStore)))
+        .then(() => dispatch(runScheduledPaymentSuccess()))
+        .catch(() => dispatch(runScheduledPaymentError()));
+};
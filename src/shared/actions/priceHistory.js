@@ -0,0 +1,33 @@
+import isEmpty from 'lodash/isEmpty';
+import { PriceHistory } from '../storage';
+import { PriceHistoryActionTypes } from '../types';
+import { getDailyPricesFromChartData, mergePriceHistory } from '../libs/priceHistory';
+import { getPriceHistoryFromState } from '../selectors/global';
+
+/**
+ * Caches daily prices derived from market data chart data
+ *
+ * @method updatePriceHistory
+ * @param {object} chartData - Chart data keyed by (lower case) currency and timeframe
+ *
+ * @returns {function} dispatch
+ */
+export const updatePriceHistory = (chartData) => (dispatch, getState) => {
+    const priceHistory = mergePriceHistory(
+        getPriceHistoryFromState(getState()),
+        getDailyPricesFromChartData(chartData),
+    );
+
+    if (isEmpty(priceHistory)) {
+        return;
+    }
+
+    PriceHistory.update(priceHistory);
+
+    dispatch({
+        type: PriceHistoryActionTypes.UPDATE_PRICE_HISTORY,
+        payload: priceHistory,
+    });
+};
+
+export default updatePriceHistory;
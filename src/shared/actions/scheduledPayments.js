@@ -0,0 +1,298 @@
+import find from 'lodash/find';
+import get from 'lodash/get';
+import i18next from '../libs/i18next';
+import {
+    SCHEDULED_PAYMENT_EXECUTION_STATUSES,
+    SCHEDULED_PAYMENT_STATUSES,
+    createScheduledPaymentObject,
+    getScheduledPaymentName,
+    getScheduledPaymentValidationError,
+    getScheduledPaymentValue,
+    getUpdatedScheduledPayment,
+    isScheduledPaymentPasswordRequired,
+    updateLatestExecution,
+} from '../libs/scheduledPayments';
+import { getAccountInfoFromState, getScheduledPaymentsFromState } from '../selectors/accounts';
+import { getMarketDataFromState } from '../selectors/global';
+import { throwIfStateSnapshotLoaded } from '../libs/stateSnapshot';
+import { generateAlert, generateStateSnapshotLoadedAlert } from './alerts';
+import { makeTransaction } from './transfers';
+import Errors from '../libs/errors';
+import { ScheduledPayment } from '../storage';
+import { ScheduledPaymentsActionTypes } from '../types';
+
+/**
+ * Dispatch when a scheduled payment is created
+ *
+ * @method addScheduledPaymentSuccess
+ * @param {object} payload
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+const addScheduledPaymentSuccess = (payload) => ({
+    type: ScheduledPaymentsActionTypes.ADD_SCHEDULED_PAYMENT,
+    payload,
+});
+
+/**
+ * Dispatch when a scheduled payment is updated (e.g. after an execution)
+ *
+ * @method updateScheduledPaymentSuccess
+ * @param {object} payload - { id, ...data }
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+const updateScheduledPaymentSuccess = (payload) => ({
+    type: ScheduledPaymentsActionTypes.UPDATE_SCHEDULED_PAYMENT,
+    payload,
+});
+
+/**
+ * Updates a scheduled payment in storage and redux store
+ *
+ * @method updateScheduledPayment
+ * @param {string} id
+ * @param {object} data
+ *
+ * @returns {function(dispatch): undefined}
+ */
+const updateScheduledPayment = (id, data) => (dispatch) => {
+    ScheduledPayment.update(id, data);
+    dispatch(updateScheduledPaymentSuccess({ id, ...data }));
+};
+
+/**
+ * Dispatch to remove a scheduled payment
+ *
+ * @method removeScheduledPayment
+ * @param {string} id
+ *
+ * @returns {{type: {string}, payload: {string} }}
+ */
+export const removeScheduledPayment = (id) => {
+    ScheduledPayment.delete(id);
+
+    return {
+        type: ScheduledPaymentsActionTypes.REMOVE_SCHEDULED_PAYMENT,
+        payload: id,
+    };
+};
+
+/**
+ * Validates and stores a scheduled payment
+ *
+ * @method createScheduledPayment
+ * @param {object} data - { accountName, address, label, message, amountType, value, fiatAmount, currency, frequency, startAt, requiresConfirmation }
+ *
+ * @returns {function(dispatch): object|null} Created scheduled payment
+ */
+export const createScheduledPayment = (data) => (dispatch) => {
+    const error = getScheduledPaymentValidationError(data);
+
+    if (error) {
+        dispatch(
+            generateAlert(
+                'error',
+                i18next.t('scheduledPayments:invalidPayment'),
+                i18next.t(`scheduledPayments:${error}`),
+            ),
+        );
+
+        return null;
+    }
+
+    const payment = createScheduledPaymentObject(data);
+
+    ScheduledPayment.create(payment);
+    dispatch(addScheduledPaymentSuccess(payment));
+    dispatch(
+        generateAlert(
+            'success',
+            i18next.t('scheduledPayments:paymentScheduled'),
+            i18next.t('scheduledPayments:paymentScheduledExplanation'),
+        ),
+    );
+
+    return payment;
+};
+
+/**
+ * Gets a scheduled payment from state
+ *
+ * @method findScheduledPayment
+ * @param {object} state
+ * @param {string} id
+ *
+ * @returns {object}
+ */
+const findScheduledPayment = (state, id) => {
+    const payment = find(getScheduledPaymentsFromState(state).list, { id });
+
+    if (!payment) {
+        throw new Error(Errors.SCHEDULED_PAYMENT_NOT_FOUND);
+    }
+
+    return payment;
+};
+
+/**
+ * Skips the (due) occurrence of a scheduled payment and schedules the next one
+ *
+ * @method skipScheduledPayment
+ * @param {string} id
+ *
+ * @returns {function(dispatch, getState): undefined}
+ */
+export const skipScheduledPayment = (id) => (dispatch, getState) => {
+    const payment = findScheduledPayment(getState(), id);
+
+    dispatch(
+        updateScheduledPayment(
+            id,
+            getUpdatedScheduledPayment(payment, {
+                executedAt: Math.floor(Date.now() / 1000),
+                status: SCHEDULED_PAYMENT_EXECUTION_STATUSES.skipped,
+            }),
+        ),
+    );
+};
+
+/**
+ * Sends the (due) occurrence of a scheduled payment.
+ *
+ * The next occurrence is scheduled before the transfer is made, so that a payment is never sent twice
+ * (e.g. if the wallet is closed while sending). Failed occurrences are recorded and not retried.
+ * Payments are never sent while a state snapshot is loaded.
+ *
+ * @method executeScheduledPayment
+ * @param {string} id
+ * @param {object} seedStore - SeedStore class object
+ * @param {boolean} [quorum]
+ *
+ * @returns {function(dispatch, getState): Promise<boolean>} - Resolves with true if payment is sent
+ */
+export const executeScheduledPayment = (id, seedStore, quorum = true) => (dispatch, getState) =>
+    throwIfStateSnapshotLoaded(getState()).then(
+        () => {
+            const payment = findScheduledPayment(getState(), id);
+            const name = getScheduledPaymentName(payment);
+            const executedAt = Math.floor(Date.now() / 1000);
+
+            let value = 0;
+
+            try {
+                value = getScheduledPaymentValue(payment, getMarketDataFromState(getState()));
+            } catch (error) {
+                dispatch(
+                    updateScheduledPayment(
+                        id,
+                        getUpdatedScheduledPayment(payment, {
+                            executedAt,
+                            status: SCHEDULED_PAYMENT_EXECUTION_STATUSES.failed,
+                            error: error.message,
+                        }),
+                    ),
+                );
+                dispatch(
+                    generateAlert(
+                        'error',
+                        i18next.t('scheduledPayments:paymentFailed'),
+                        i18next.t('scheduledPayments:priceUnavailableExplanation', {
+                            name,
+                            currency: payment.currency,
+                        }),
+                        20000,
+                        error,
+                    ),
+                );
+
+                return Promise.resolve(false);
+            }
+
+            const updatedPayment = getUpdatedScheduledPayment(payment, {
+                executedAt,
+                value,
+                status: SCHEDULED_PAYMENT_EXECUTION_STATUSES.pending,
+            });
+
+            dispatch(updateScheduledPayment(id, updatedPayment));
+
+            return dispatch(
+                makeTransaction(seedStore, payment.address, value, payment.message, payment.accountName, quorum),
+            )
+                .catch(() => false)
+                .then((isSent) => {
+                    dispatch(
+                        updateScheduledPayment(id, {
+                            executions: updateLatestExecution(updatedPayment.executions, {
+                                status: isSent
+                                    ? SCHEDULED_PAYMENT_EXECUTION_STATUSES.sent
+                                    : SCHEDULED_PAYMENT_EXECUTION_STATUSES.failed,
+                            }),
+                        }),
+                    );
+
+                    if (!isSent) {
+                        dispatch(
+                            generateAlert(
+                                'error',
+                                i18next.t('scheduledPayments:paymentFailed'),
+                                i18next.t('scheduledPayments:paymentFailedExplanation', { name }),
+                                20000,
+                            ),
+                        );
+                    }
+
+                    return isSent;
+                });
+        },
+        (error) => {
+            dispatch(generateStateSnapshotLoadedAlert(error));
+
+            return false;
+        },
+    );
+
+/**
+ * Processes a due scheduled payment.
+ * Payments requiring confirmation (or the password, See isScheduledPaymentPasswordRequired) are marked as awaiting confirmation,
+ * others are sent straight away. Due payments are left untouched while a state snapshot is loaded
+ *
+ * @method processScheduledPayment
+ * @param {string} id
+ * @param {object} seedStore - SeedStore class object
+ *
+ * @returns {function(dispatch, getState): Promise<boolean>}
+ */
+export const processScheduledPayment = (id, seedStore) => (dispatch, getState) =>
+    throwIfStateSnapshotLoaded(getState()).then(
+        () => {
+            const payment = findScheduledPayment(getState(), id);
+            const isPasswordRequired = isScheduledPaymentPasswordRequired(
+                payment,
+                get(getAccountInfoFromState(getState()), [payment.accountName, 'sendPolicy']),
+                getMarketDataFromState(getState()),
+            );
+
+            if (payment.requiresConfirmation || isPasswordRequired) {
+                const alert = isPasswordRequired ? 'passwordRequired' : 'confirmationRequired';
+
+                dispatch(updateScheduledPayment(id, { status: SCHEDULED_PAYMENT_STATUSES.awaitingConfirmation }));
+                dispatch(
+                    generateAlert(
+                        'info',
+                        i18next.t(`scheduledPayments:${alert}`),
+                        i18next.t(`scheduledPayments:${alert}Explanation`, {
+                            name: getScheduledPaymentName(payment),
+                        }),
+                        20000,
+                    ),
+                );
+
+                return Promise.resolve(false);
+            }
+
+            return dispatch(executeScheduledPayment(id, seedStore));
+        },
+        () => false,
+    );
@@ -0,0 +1,139 @@
+import get from 'lodash/get';
+import i18next from '../libs/i18next';
+import {
+    getSendPolicy,
+    getSendPolicyValidationError,
+    isSendPolicyActive,
+    isSendPolicyRelaxed,
+    SEND_POLICY_ERRORS,
+    throwIfSendPolicyViolated,
+} from '../libs/sendPolicies';
+import { serialise } from '../libs/utils';
+import { getAccountInfoFromState, selectedAccountStateFactory } from '../selectors/accounts';
+import { getContactsList } from '../selectors/global';
+import { generateAlert } from './alerts';
+import { setSendPasswordConfirmed } from './ui';
+import { Account } from '../storage';
+import { AccountsActionTypes } from '../types';
+
+/**
+ * Dispatch to set (or clear) send policy of an account
+ *
+ * @method setSendPolicy
+ *
+ * @param {object} payload - { accountName, policy }
+ * @returns {{type: {string}, payload: {object} }}
+ */
+export const setSendPolicy = (payload) => {
+    const { accountName, policy } = payload;
+    Account.update(accountName, { sendPolicy: policy ? serialise(policy) : '' });
+
+    return {
+        type: AccountsActionTypes.SET_SEND_POLICY,
+        payload,
+    };
+};
+
+/**
+ * Validates and saves send policy of an account.
+ * A policy without any enabled rule is cleared. Changes that loosen the current policy
+ * are only saved if the password was re-entered (See ui.isSendPasswordConfirmed)
+ *
+ * @method updateSendPolicy
+ * @param {string} accountName
+ * @param {object} policy - { dailyLimit, weeklyLimit, passwordThreshold, allowlistOnly, newRecipientDelay }
+ *
+ * @returns {function(function, function): boolean}
+ */
+export const updateSendPolicy = (accountName, policy) => (dispatch, getState) => {
+    const isPasswordConfirmed = get(getState(), 'ui.isSendPasswordConfirmed') === true;
+
+    if (isPasswordConfirmed) {
+        dispatch(setSendPasswordConfirmed(false));
+    }
+
+    const error = getSendPolicyValidationError(policy);
+
+    if (error) {
+        dispatch(
+            generateAlert(
+                'error',
+                i18next.t('sendPolicies:invalidPolicy'),
+                i18next.t(`sendPolicies:${error}Explanation`),
+            ),
+        );
+
+        return false;
+    }
+
+    if (
+        !isPasswordConfirmed &&
+        isSendPolicyRelaxed(get(getAccountInfoFromState(getState()), [accountName, 'sendPolicy']), policy)
+    ) {
+        dispatch(
+            generateAlert(
+                'error',
+                i18next.t('sendPolicies:passwordRequired'),
+                i18next.t('sendPolicies:passwordRequiredToRelaxExplanation'),
+            ),
+        );
+
+        return false;
+    }
+
+    dispatch(setSendPolicy({ accountName, policy: isSendPolicyActive(policy) ? getSendPolicy(policy) : null }));
+    dispatch(
+        generateAlert(
+            'success',
+            i18next.t('sendPolicies:policyUpdated'),
+            i18next.t('sendPolicies:policyUpdatedExplanation', { accountName }),
+        ),
+    );
+
+    return true;
+};
+
+/**
+ * Generates an alert for a transfer rejected by the send policy of an account
+ *
+ * @method generateSendPolicyErrorAlert
+ * @param {object} error
+ *
+ * @returns {function} dispatch
+ */
+export const generateSendPolicyErrorAlert = (error) => (dispatch) =>
+    dispatch(
+        generateAlert(
+            'error',
+            i18next.t(`sendPolicies:${SEND_POLICY_ERRORS[error.message]}`),
+            i18next.t(`sendPolicies:${SEND_POLICY_ERRORS[error.message]}Explanation`),
+            20000,
+            error,
+        ),
+    );
+
+/**
+ * Checks an outgoing transfer against the send policy of an account.
+ * Every value transfer (single, batch, offline, multisig, scheduled and consolidation) must pass this check
+ * before its bundle is prepared. Password confirmation (See libs/sendPolicies) only applies to a single transfer
+ *
+ * @method enforceSendPolicy
+ * @param {string} accountName
+ * @param {array} recipients - [{ address, value }]
+ *
+ * @returns {function(function, function): Promise}
+ */
+export const enforceSendPolicy = (accountName, recipients) => (dispatch, getState) => {
+    const isPasswordConfirmed = get(getState(), 'ui.isSendPasswordConfirmed') === true;
+
+    if (isPasswordConfirmed) {
+        dispatch(setSendPasswordConfirmed(false));
+    }
+
+    return throwIfSendPolicyViolated(
+        selectedAccountStateFactory(accountName)(getState()),
+        recipients,
+        getContactsList(getState()),
+        isPasswordConfirmed,
+    );
+};
@@ -5,7 +5,9 @@ import omit from 'lodash/omit';
 import { changeIotaNode, quorum } from '../libs/iota/index';
 import i18next from '../libs/i18next';
 import { generateAlert, generateNodeOutOfSyncErrorAlert, generateUnsupportedNodeErrorAlert } from '../actions/alerts';
-import { fetchNodeList } from '../actions/polling';
+import { fetchMarketData, fetchNodeList } from '../actions/polling';
+import { logAuditEvent } from '../actions/auditLog';
+import { AUDIT_EVENTS } from '../libs/auditLog';
 import { allowsRemotePow } from '../libs/iota/extendedApi';
 import {
     getSelectedNodeFromState,
@@ -333,6 +335,7 @@ export const changeNode = (payload) => (dispatch, getState) => {
 
     if (selectedNode.url !== payload.url) {
         dispatch(setNode(payload));
+        dispatch(logAuditEvent(AUDIT_EVENTS.nodeChanged, { url: payload.url, automatic: true }));
         // Change provider on global iota instance
         changeIotaNode(assign({}, omit(payload, 'url'), { provider: payload.url }));
     }
@@ -431,6 +434,13 @@ export function setFullNode(node, addingCustomNode = false) {
                     ),
                 );
 
+                dispatch(
+                    logAuditEvent(addingCustomNode ? AUDIT_EVENTS.customNodeAdded : AUDIT_EVENTS.nodeChanged, {
+                        url: node.url,
+                        automatic: false,
+                    }),
+                );
+
                 if (addingCustomNode) {
                     return dispatch(
                         generateAlert(
@@ -584,6 +594,23 @@ export const setFingerprintStatus = (payload) => {
     };
 };
 
+/**
+ * Dispatch to update wallet's two-factor authentication configuration
+ *
+ * @method set2FAStatus
+ * @param {boolean} payload
+ *
+ * @returns {{type: {string}, payload: {boolean} }}
+ */
+export const set2FAStatus = (payload) => {
+    Wallet.update2FASetting(payload);
+
+    return {
+        type: SettingsActionTypes.SET_2FA_STATUS,
+        payload,
+    };
+};
+
 // FIXME: Temporarily needed for password migration
 export const setCompletedForcedPasswordUpdate = () => {
     Wallet.completeForcedPasswordUpdate();
@@ -742,6 +769,9 @@ export const updateQuorumConfig = (payload) => {
         quorum.setSize(quorumSize);
     }
 
+    // Also update consensus policy of global quorum instance
+    quorum.setPolicy(payload);
+
     // Finally, update it in redux store
     return {
         type: SettingsActionTypes.UPDATE_QUORUM_CONFIG,
@@ -860,3 +890,22 @@ export const setChartCurrency = (currency) => {
         payload: currency,
     };
 };
+
+/**
+ * Dispatch to change market data provider and fetch market data from it
+ *
+ * @method setMarketDataProvider
+ * @param {string} provider - Market data provider id
+ *
+ * @returns {function} dispatch
+ */
+export const setMarketDataProvider = (provider) => (dispatch) => {
+    Wallet.updateMarketDataProvider(provider);
+
+    dispatch({
+        type: SettingsActionTypes.SET_MARKET_DATA_PROVIDER,
+        payload: provider,
+    });
+
+    dispatch(fetchMarketData());
+};
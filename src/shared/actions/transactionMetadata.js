@@ -0,0 +1,46 @@
+import every from 'lodash/every';
+import trim from 'lodash/trim';
+import { TransactionMetadata } from '../storage';
+import { TransactionMetadataActionTypes } from '../types';
+
+/**
+ * Dispatch to remove (private) metadata for a bundle
+ *
+ * @method removeTransactionMetadata
+ * @param {string} bundle
+ *
+ * @returns {{type: {string}, payload: {string} }}
+ */
+export const removeTransactionMetadata = (bundle) => {
+    TransactionMetadata.delete(bundle);
+
+    return {
+        type: TransactionMetadataActionTypes.REMOVE_METADATA,
+        payload: bundle,
+    };
+};
+
+/**
+ * Dispatch to set (private) label, note and category for a bundle.
+ * Metadata is removed if all fields are empty
+ *
+ * @method setTransactionMetadata
+ * @param {string} bundle
+ * @param {object} data - { label, note, category }
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+export const setTransactionMetadata = (bundle, { label = '', note = '', category = '' }) => {
+    const metadata = { label: trim(label), note: trim(note), category: trim(category) };
+
+    if (every(metadata, (value) => value === '')) {
+        return removeTransactionMetadata(bundle);
+    }
+
+    TransactionMetadata.update(bundle, metadata);
+
+    return {
+        type: TransactionMetadataActionTypes.SET_METADATA,
+        payload: { bundle, metadata },
+    };
+};
@@ -16,6 +16,8 @@ import size from 'lodash/size';
 import every from 'lodash/every';
 import includes from 'lodash/includes';
 import uniq from 'lodash/uniq';
+import each from 'lodash/each';
+import sumBy from 'lodash/sumBy';
 import { verifyCDA } from '@iota/cda';
 import { iota } from '../libs/iota';
 import {
@@ -24,15 +26,27 @@ import {
     getTransactionsToApproveAsync,
     attachToTangleAsync,
     storeAndBroadcastAsync,
+    wereAddressesSpentFromAsync,
 } from '../libs/iota/extendedApi';
-import { getRemotePoWFromState, nodesConfigurationFactory } from '../selectors/global';
+import { getRemotePoWFromState, getContactsList, nodesConfigurationFactory } from '../selectors/global';
 import { selectedAccountStateFactory } from '../selectors/accounts';
 import { isLastTritZero } from '../libs/iota/utils';
+import { findContactByAddress } from '../libs/contacts';
 import { setNextStepAsActive, reset as resetProgress } from './progress';
-import { clearSendFields, setCDAContent, setSendAmountField, setSendMessageField, setSendAddressField } from './ui';
+import { logAuditEvent } from './auditLog';
+import { AUDIT_EVENTS, getTransferAuditDetails } from '../libs/auditLog';
+import {
+    clearSendFields,
+    setCDAContent,
+    setSendAmountField,
+    setSendMessageField,
+    setSendTagField,
+    setSendAddressField,
+    setPaymentUriContent,
+} from './ui';
 import {
     findPromotableTail,
-    prepareTransferArray,
+    prepareTransfersArray,
     retryFailedTransaction as retry,
     constructBundlesFromTransactions,
     isFundedBundle,
@@ -40,6 +54,23 @@ import {
     isFatalTransactionError,
     isAboveMaxDepth,
 } from '../libs/iota/transfers';
+import {
+    OFFLINE_TRANSFER_TYPES,
+    createUnsignedTransfer,
+    getUnsignedTransferSummary,
+    isMatchingSignedTransfer,
+} from '../libs/iota/offlineSigning';
+import { throwIfWatchOnlyAccount } from '../libs/iota/watchOnly';
+import { throwIfStateSnapshotLoaded } from '../libs/stateSnapshot';
+import { getPaymentUriRecipients, isPaymentUriExpired, isPaymentUriFulfilled } from '../libs/paymentUri';
+import { SEND_POLICY_ERRORS } from '../libs/sendPolicies';
+import {
+    createMultisigTransfer,
+    getMultisigInputAndRemainder,
+    getMultisigSecuritySum,
+    isFullySignedMultisigTransfer,
+    signMultisigTransfer,
+} from '../libs/iota/multisig';
 import {
     syncAccountAfterReattachment,
     syncAccount,
@@ -51,14 +82,17 @@ import {
 import {
     updateAccountAfterReattachment,
     updateAccountInfoAfterSpending,
+    updateAddressData,
     syncAccountBeforeManualPromotion,
 } from './accounts';
+import { markContactAsSpent } from './contacts';
+import { enforceSendPolicy, generateSendPolicyErrorAlert } from './sendPolicies';
 import {
     isAnyAddressSpent,
     getAddressDataUptoRemainder,
     categoriseAddressesBySpentStatus,
 } from '../libs/iota/addresses';
-import { getInputs } from '../libs/iota/inputs';
+import { getInputs, getSelectedRemainder } from '../libs/iota/inputs';
 import {
     generateAlert,
     generateTransferErrorAlert,
@@ -66,6 +100,9 @@ import {
     generateNodeOutOfSyncErrorAlert,
     generateUnsupportedNodeErrorAlert,
     generateTransactionSuccessAlert,
+    generateWatchOnlyAccountAlert,
+    generateStateSnapshotLoadedAlert,
+    generatePaymentUriErrorAlert,
     prepareLogUpdate,
 } from './alerts';
 import i18next from '../libs/i18next';
@@ -178,6 +215,66 @@ export const retryFailedTransactionError = (payload) => ({
     payload,
 });
 
+/**
+ * Dispatch when inputs and remainder of a transfer to be signed offline are about to be prepared
+ *
+ * @method prepareUnsignedTransferRequest
+ *
+ * @returns {{type: {string} }}
+ */
+export const prepareUnsignedTransferRequest = () => ({
+    type: TransfersActionTypes.PREPARE_UNSIGNED_TRANSFER_REQUEST,
+});
+
+/**
+ * Dispatch when a transfer to be signed offline is successfully prepared
+ *
+ * @method prepareUnsignedTransferSuccess
+ *
+ * @returns {{type: {string} }}
+ */
+export const prepareUnsignedTransferSuccess = () => ({
+    type: TransfersActionTypes.PREPARE_UNSIGNED_TRANSFER_SUCCESS,
+});
+
+/**
+ * Dispatch when an error occurs while preparing a transfer to be signed offline
+ *
+ * @method prepareUnsignedTransferError
+ *
+ * @returns {{type: {string} }}
+ */
+export const prepareUnsignedTransferError = () => ({
+    type: TransfersActionTypes.PREPARE_UNSIGNED_TRANSFER_ERROR,
+});
+
+/**
+ * Dispatch to keep the unsigned transfer prepared for an account, to verify its signed transfer against
+ *
+ * @method addUnsignedTransfer
+ * @param {string} accountName
+ * @param {object} unsignedTransfer
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+export const addUnsignedTransfer = (accountName, unsignedTransfer) => ({
+    type: TransfersActionTypes.ADD_UNSIGNED_TRANSFER,
+    payload: { accountName, unsignedTransfer },
+});
+
+/**
+ * Dispatch to remove the unsigned transfer prepared for an account once its signed transfer is broadcast
+ *
+ * @method removeUnsignedTransfer
+ * @param {string} accountName
+ *
+ * @returns {{type: {string}, payload: {string} }}
+ */
+export const removeUnsignedTransfer = (accountName) => ({
+    type: TransfersActionTypes.REMOVE_UNSIGNED_TRANSFER,
+    payload: accountName,
+});
+
 /**
  *  On successful transfer, update store, generate alert and clear send page text fields
  *
@@ -189,6 +286,7 @@ export const completeTransfer = () => {
     return (dispatch) => {
         dispatch(clearSendFields());
         dispatch(clearCDAContent());
+        dispatch(setPaymentUriContent({}));
         dispatch(sendTransferSuccess());
     };
 };
@@ -225,10 +323,8 @@ export const promoteTransaction = (bundleHash, accountName, seedStore, quorum =
         filter(transactions, (transaction) => transaction.bundle === bundleHash);
 
     const executePrePromotionChecks = (settings, withQuorum) => () => {
-        return syncAccount(
-            settings,
-            withQuorum,
-        )(accountState)
+        return throwIfWatchOnlyAccount(accountState)
+            .then(() => syncAccount(settings, withQuorum)(accountState))
             .then((newAccountState) => {
                 accountState = newAccountState;
 
@@ -343,6 +439,8 @@ export const promoteTransaction = (bundleHash, accountName, seedStore, quorum =
                         i18next.t('global:transactionAlreadyConfirmedExplanation'),
                     ),
                 );
+            } else if (get(err, 'message') === Errors.WATCH_ONLY_ACCOUNT) {
+                dispatch(generateWatchOnlyAccountAlert(err));
             } else {
                 dispatch(generatePromotionErrorAlert(err));
             }
@@ -476,13 +574,14 @@ export const forceTransactionPromotion = (
         })(getState()),
     );
 
-    const _execute = (settings) => () => {
-        if (has(consistentTail, 'hash')) {
-            return promote(settings)(consistentTail);
-        }
+    const _execute = (settings) => () =>
+        throwIfWatchOnlyAccount(selectedAccountStateFactory(accountName)(getState())).then(() => {
+            if (has(consistentTail, 'hash')) {
+                return promote(settings)(consistentTail);
+            }
 
-        return reattachAndPromote(settings)();
-    };
+            return reattachAndPromote(settings)();
+        });
 
     return manager
         .withRetries()(_execute)()
@@ -491,6 +590,402 @@ export const forceTransactionPromotion = (
         });
 };
 
+/** Translation keys (multisig namespace) of multisig transfer error alerts */
+const MULTISIG_ERROR_ALERTS = {
+    [Errors.MULTISIG_ACCOUNT]: 'multisigAccount',
+    [Errors.MULTISIG_INSUFFICIENT_INPUT]: 'insufficientInput',
+    [Errors.MULTISIG_ADDRESSES_EXHAUSTED]: 'addressesExhausted',
+    [Errors.MULTISIG_NOT_COSIGNER]: 'notCosigner',
+    [Errors.MULTISIG_SIGNING_ORDER]: 'signingOrder',
+    [Errors.MULTISIG_ALREADY_SIGNED]: 'alreadySigned',
+    [Errors.MULTISIG_SIGNATURES_MISSING]: 'signaturesMissing',
+    [Errors.MULTISIG_INVALID_REMAINDER]: 'invalidRemainder',
+};
+
+/** Translation keys (coinControl namespace) of manual input selection error alerts */
+const COIN_CONTROL_ERROR_ALERTS = {
+    [Errors.INVALID_INPUT_SELECTION]: 'invalidInputSelection',
+    [Errors.INSUFFICIENT_SELECTED_INPUTS]: 'insufficientSelectedInputs',
+    [Errors.INVALID_REMAINDER_ADDRESS]: 'invalidRemainderAddress',
+};
+
+/**
+ * Generates an alert for an error that occurred while sending a transfer
+ *
+ * @method generateSendTransferErrorAlert
+ * @param {object} error
+ *
+ * @returns {function} dispatch
+ */
+const generateSendTransferErrorAlert = (error) => (dispatch) => {
+    const message = error.message;
+
+    if (message === Errors.NODE_NOT_SYNCED) {
+        return dispatch(generateNodeOutOfSyncErrorAlert(error));
+    } else if (message === Errors.UNSUPPORTED_NODE) {
+        return dispatch(generateUnsupportedNodeErrorAlert(error));
+    } else if (message === Errors.INVALID_LAST_TRIT) {
+        return dispatch(
+            generateAlert('error', i18next.t('send:invalidAddress'), i18next.t('send:invalidAddressExplanation4')),
+            undefined,
+            error,
+        );
+    } else if (message === Errors.KEY_REUSE) {
+        return dispatch(
+            generateAlert('error', i18next.t('global:keyReuse'), i18next.t('global:keyReuseError'), undefined, error),
+        );
+    } else if (message === Errors.WATCH_ONLY_ACCOUNT) {
+        return dispatch(generateWatchOnlyAccountAlert(error));
+    } else if (message === Errors.STATE_SNAPSHOT_LOADED) {
+        return dispatch(generateStateSnapshotLoadedAlert(error));
+    } else if (has(MULTISIG_ERROR_ALERTS, message)) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t(`multisig:${MULTISIG_ERROR_ALERTS[message]}`),
+                i18next.t(`multisig:${MULTISIG_ERROR_ALERTS[message]}Explanation`),
+                20000,
+                error,
+            ),
+        );
+    } else if (has(COIN_CONTROL_ERROR_ALERTS, message)) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t(`coinControl:${COIN_CONTROL_ERROR_ALERTS[message]}`),
+                i18next.t(`coinControl:${COIN_CONTROL_ERROR_ALERTS[message]}Explanation`),
+                20000,
+                error,
+            ),
+        );
+    } else if (has(SEND_POLICY_ERRORS, message)) {
+        return dispatch(generateSendPolicyErrorAlert(error));
+    } else if (message === Errors.CONTACT_ADDRESS_SPENT) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('contacts:contactAddressSpent'),
+                i18next.t('contacts:contactAddressSpentExplanation'),
+                undefined,
+                error,
+            ),
+        );
+    } else if (message === Errors.INSUFFICIENT_BALANCE) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('global:balanceError'),
+                i18next.t('global:balanceErrorMessage'),
+                undefined,
+                error,
+            ),
+        );
+    } else if (message === Errors.ADDRESS_HAS_PENDING_TRANSFERS) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('global:pleaseWait'),
+                i18next.t('global:pleaseWaitTransferExplanation'),
+                20000,
+                error,
+            ),
+        );
+    } else if (message === Errors.FUNDS_AT_SPENT_ADDRESSES) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('global:spentAddressExplanation'),
+                i18next.t('global:discordInformation'),
+                20000,
+                error,
+            ),
+        );
+    } else if (message === Errors.INCOMING_TRANSFERS) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('global:pleaseWait'),
+                i18next.t('global:pleaseWaitIncomingTransferExplanation'),
+                20000,
+                error,
+            ),
+        );
+    } else if (message === Errors.CANNOT_SEND_TO_OWN_ADDRESS) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('global:cannotSendToOwn'),
+                i18next.t('global:cannotSendToOwnExplanation'),
+                20000,
+                error,
+            ),
+        );
+    } else if (message === Errors.LEDGER_ZERO_VALUE) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('ledger:cannotSendZeroValueTitle'),
+                i18next.t('ledger:cannotSendZeroValueExplanation'),
+                20000,
+                error,
+            ),
+        );
+    } else if (message === Errors.LEDGER_DISCONNECTED) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('ledger:ledgerDisconnectedTitle'),
+                i18next.t('ledger:ledgerDisconnectedExplanation'),
+                20000,
+                error,
+            ),
+        );
+    } else if (message === Errors.LEDGER_DENIED) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('ledger:ledgerDeniedTitle'),
+                i18next.t('ledger:ledgerDeniedExplanation'),
+                20000,
+                error,
+            ),
+        );
+    } else if (message === Errors.LEDGER_INVALID_INDEX) {
+        return dispatch(
+            generateAlert(
+                'error',
+                i18next.t('ledger:ledgerIncorrectIndex'),
+                i18next.t('ledger:ledgerIncorrectIndexExplanation'),
+                undefined,
+                error,
+            ),
+        );
+    } else if (message === Errors.LEDGER_CANCELLED) {
+        return;
+    }
+    return dispatch(generateTransferErrorAlert(error));
+};
+
+/**
+ * Adds checksum to recipient addresses without checksum
+ *
+ * @method addChecksumToRecipients
+ * @param {array} recipients - [{ address, value, message, [tag] }]
+ *
+ * @returns {array}
+ */
+const addChecksumToRecipients = (recipients) =>
+    map(recipients, (recipient) =>
+        assign({}, recipient, {
+            address: size(recipient.address) === 90 ? recipient.address : iota.utils.addChecksum(recipient.address),
+        }),
+    );
+
+/**
+ * Validates receive addresses, syncs account and prepares inputs and a remainder address for a value transfer
+ *
+ * @method prepareInputsAndRemainder
+ * @param {object} seedStore - SeedStore class object
+ * @param {array} addresses - Receive addresses (with checksum)
+ * @param {number} value - Total value to send
+ * @param {object} accountState
+ * @param {object} [coinControl] - Manually selected { inputs: [address], remainderAddress }
+ *
+ * @returns {function(function, function): function(object, boolean): function(): Promise<object>} - Resolves with { options: { inputs, address, keyIndex }, accountState }
+ */
+const prepareInputsAndRemainder = (seedStore, addresses, value, accountState, coinControl = null) => (
+    dispatch,
+    getState,
+) => (settings, withQuorum) => () => {
+    let maxInputs = 0;
+    let latestAccountState = accountState;
+
+    // Progressbar step => (Validating receive address)
+    dispatch(setNextStepAsActive());
+
+    // Check the last trit for validity
+    return Promise.resolve(every(addresses, isLastTritZero))
+        .then((lastTritIsZero) => {
+            if (!lastTritIsZero) {
+                throw new Error(Errors.INVALID_LAST_TRIT);
+            }
+
+            return typeof seedStore.getMaxInputs === 'function' ? seedStore.getMaxInputs() : Promise.resolve(0);
+        })
+        .then((maxInputResponse) => {
+            maxInputs = maxInputResponse;
+
+            // Make sure that none of the addresses a user is about to send to are already used.
+            return wereAddressesSpentFromAsync(
+                settings,
+                withQuorum,
+            )(addresses).then((spendStatuses) => {
+                const spentAddresses = filter(addresses, (_, index) => spendStatuses[index] === true);
+
+                if (!isEmpty(spentAddresses)) {
+                    // Flag saved contacts so that the address book warns before the next transfer
+                    const spentContactAddresses = filter(spentAddresses, (spentAddress) =>
+                        findContactByAddress(getContactsList(getState()), spentAddress),
+                    );
+
+                    if (!isEmpty(spentContactAddresses)) {
+                        each(spentContactAddresses, (spentAddress) => dispatch(markContactAsSpent(spentAddress)));
+
+                        throw new Error(Errors.CONTACT_ADDRESS_SPENT);
+                    }
+
+                    throw new Error(Errors.KEY_REUSE);
+                }
+
+                // Progressbar step => (Syncing account)
+                dispatch(setNextStepAsActive());
+
+                return syncAccount(settings, withQuorum, true)(accountState, seedStore);
+            });
+        })
+        .then((newState) => {
+            // Assign latest account but do not update the local store yet.
+            // Only update the local store with updated account information after this transaction is successfully completed.
+            latestAccountState = newState;
+
+            // Progressbar step => (Preparing inputs)
+            dispatch(setNextStepAsActive());
+
+            return getInputs(settings, withQuorum)(
+                latestAccountState.addressData,
+                latestAccountState.transactions,
+                value,
+                maxInputs,
+                get(coinControl, 'inputs') || null,
+                get(accountState, 'inputSelectionStrategy'),
+            );
+        })
+        .then(({ inputs }) => {
+            // Do not allow any receiving address to be one of the user's own input addresses.
+            const isSendingToAnyInputAddress = some(inputs, (input) =>
+                some(addresses, (address) => input.address === iota.utils.noChecksum(address)),
+            );
+
+            if (isSendingToAnyInputAddress) {
+                throw new Error(Errors.CANNOT_SEND_TO_OWN_ADDRESS);
+            }
+
+            const blacklistedAddresses = [
+                // Make sure inputs are blacklisted
+                ...map(inputs, (input) => input.address),
+                // Make sure receive addresses are blacklisted
+                ...map(addresses, (address) => iota.utils.noChecksum(address)),
+            ];
+
+            if (get(coinControl, 'remainderAddress')) {
+                return getSelectedRemainder(settings, withQuorum)(
+                    latestAccountState.addressData,
+                    latestAccountState.transactions,
+                    coinControl.remainderAddress,
+                    blacklistedAddresses,
+                ).then(({ remainderAddress, remainderIndex }) => ({
+                    options: {
+                        inputs,
+                        address: remainderAddress,
+                        keyIndex: remainderIndex,
+                    },
+                    accountState: latestAccountState,
+                }));
+            }
+
+            return getAddressDataUptoRemainder(settings, withQuorum)(
+                latestAccountState.addressData,
+                latestAccountState.transactions,
+                seedStore,
+                blacklistedAddresses,
+            ).then(({ remainderAddress, remainderIndex, addressDataUptoRemainder }) => {
+                // getAddressesUptoRemainder returns the latest unused address as the remainder address
+                // Also returns updated address data including new address data for the intermediate addresses.
+                // E.g: If latest locally stored address has an index 50 and remainder address was calculated to be
+                // at index 53 it would include address data for 51, 52 and 53.
+                latestAccountState.addressData = addressDataUptoRemainder;
+
+                return {
+                    options: {
+                        inputs,
+                        address: remainderAddress,
+                        keyIndex: remainderIndex,
+                    },
+                    accountState: latestAccountState,
+                };
+            });
+        });
+};
+
+/**
+ * Performs proof of work on a bundle.
+ * Offloads proof of work to a node if remote PoW is enabled and falls back to local proof of work on failure
+ *
+ * @method attachToTangleWithPowFallback
+ * @param {object} seedStore - SeedStore class object
+ * @param {boolean} quorum
+ *
+ * @returns {function(function, function): function(string, string, array): Promise<object>} - Resolves with { trytes, transactionObjects }
+ */
+const attachToTangleWithPowFallback = (seedStore, quorum) => (dispatch, getState) => (
+    trunkTransaction,
+    branchTransaction,
+    trytes,
+) => {
+    const shouldOffloadPow = getRemotePoWFromState(getState());
+
+    const performLocalPow = () => attachToTangleAsync(null, seedStore)(trunkTransaction, branchTransaction, trytes);
+
+    if (!shouldOffloadPow) {
+        return performLocalPow();
+    }
+
+    // Find nodes with proof of work enabled
+    return new NodesManager(
+        nodesConfigurationFactory({
+            quorum,
+            useOnlyPowNodes: true,
+        })(getState()),
+    )
+        .withRetries(() =>
+            dispatch(
+                generateAlert(
+                    'info',
+                    i18next.t('global:pleaseWait'),
+                    `${i18next.t('global:problemPerformingProofOfWork')} ${i18next.t(
+                        'global:tryingAgainWithDifferentNode',
+                    )}`,
+                    20000,
+                ),
+            ),
+        )((settings) =>
+            attachToTangleAsync(
+                settings,
+                extend(
+                    {
+                        __proto__: seedStore.__proto__,
+                    },
+                    seedStore,
+                    { offloadPow: true },
+                ),
+            ),
+        )(trunkTransaction, branchTransaction, trytes)
+        .catch(() => {
+            // If outsourced proof of work fails on all nodes, fallback to local proof of work.
+            dispatch(
+                generateAlert(
+                    'info',
+                    i18next.t('global:pleaseWait'),
+                    `${i18next.t('global:problemPerformingProofOfWork')} ${i18next.t(
+                        'global:tryingAgainWithLocalPoW',
+                    )}`,
+                ),
+            );
+
+            return performLocalPow();
+        });
+};
+
 /**
  * Sends a transaction
  *
@@ -500,16 +995,54 @@ export const forceTransactionPromotion = (
  * @param {string} message
  * @param {string} accountName
  * @param {boolean} [quorum]
+ * @param {object} [coinControl] - Manually selected { inputs: [address], remainderAddress }
+ * @param {string} [tag] - Defaults to DEFAULT_TAG if empty
  *
- * @returns {function} dispatch
+ * @returns {function(function, function): Promise<boolean>} - See makeBatchTransaction
+ */
+export const makeTransaction = (
+    seedStore,
+    receiveAddress,
+    value,
+    message,
+    accountName,
+    quorum = true,
+    coinControl = null,
+    tag = '',
+) =>
+    makeBatchTransaction(
+        seedStore,
+        [{ address: receiveAddress, value, message, tag }],
+        accountName,
+        quorum,
+        coinControl,
+    );
+
+/**
+ * Sends a single bundle with an output for each recipient.
+ * Inputs are selected once over the total value and a single remainder is used.
+ * Transfers violating the send policy of the account are rejected before any input is prepared
+ *
+ * @param {object} seedStore - SeedStore class object
+ * @param {array} recipients - [{ address, value, message, [tag] }]
+ * @param {string} accountName
+ * @param {boolean} [quorum]
+ * @param {object} [coinControl] - Manually selected { inputs: [address], remainderAddress }
+ *
+ * @returns {function(function, function): Promise<boolean>} - Resolves with true if the transfer is broadcast (or stored for rebroadcast)
  */
-export const makeTransaction = (seedStore, receiveAddress, value, message, accountName, quorum = true) => (
+export const makeBatchTransaction = (seedStore, recipients, accountName, quorum = true, coinControl = null) => (
     dispatch,
     getState,
 ) => {
+    // Check send policy before recipients are prepared, so that password confirmation is always consumed
+    const sendPolicyCheck = enforceSendPolicy(accountName, recipients)(dispatch, getState);
+
     dispatch(sendTransferRequest());
 
-    const address = size(receiveAddress) === 90 ? receiveAddress : iota.utils.addChecksum(receiveAddress);
+    const transfers = addChecksumToRecipients(recipients);
+    const addresses = map(transfers, (transfer) => transfer.address);
+    const value = sumBy(transfers, (transfer) => transfer.value);
 
     // Keep track if the inputs are signed
     let hasSignedInputs = false;
@@ -520,95 +1053,10 @@ export const makeTransaction = (seedStore, receiveAddress, value, message, accou
     // Keep track if the created bundle is valid after inputs are signed
     let isValidBundle = false;
 
-    let maxInputs = 0;
-
     // Initialize account state
     // Reassign with latest state when account is synced
     let accountState = selectedAccountStateFactory(accountName)(getState());
 
-    const withPreTransactionSecurityChecks = (settings, withQuorum) => () => {
-        // Progressbar step => (Validating receive address)
-        dispatch(setNextStepAsActive());
-
-        // Check the last trit for validity
-        return Promise.resolve(isLastTritZero(address))
-            .then((lastTritIsZero) => {
-                if (!lastTritIsZero) {
-                    throw new Error(Errors.INVALID_LAST_TRIT);
-                }
-
-                return typeof seedStore.getMaxInputs === 'function' ? seedStore.getMaxInputs() : Promise.resolve(0);
-            })
-            .then((maxInputResponse) => {
-                maxInputs = maxInputResponse;
-
-                // Make sure that the address a user is about to send to is not already used.
-                return isAnyAddressSpent(
-                    settings,
-                    withQuorum,
-                )([address]).then((isSpent) => {
-                    if (isSpent) {
-                        throw new Error(Errors.KEY_REUSE);
-                    }
-
-                    // Progressbar step => (Syncing account)
-                    dispatch(setNextStepAsActive());
-
-                    return syncAccount(settings, withQuorum, true)(accountState, seedStore);
-                });
-            })
-            .then((newState) => {
-                // Assign latest account but do not update the local store yet.
-                // Only update the local store with updated account information after this transaction is successfully completed.
-                accountState = newState;
-
-                // Progressbar step => (Preparing inputs)
-                dispatch(setNextStepAsActive());
-
-                return getInputs(settings, withQuorum)(
-                    accountState.addressData,
-                    accountState.transactions,
-                    value,
-                    maxInputs,
-                );
-            })
-            .then(({ inputs }) => {
-                // Do not allow receiving address to be one of the user's own input addresses.
-                const isSendingToAnyInputAddress = some(
-                    inputs,
-                    (input) => input.address === iota.utils.noChecksum(address),
-                );
-
-                if (isSendingToAnyInputAddress) {
-                    throw new Error(Errors.CANNOT_SEND_TO_OWN_ADDRESS);
-                }
-
-                return getAddressDataUptoRemainder(settings, withQuorum)(
-                    accountState.addressData,
-                    accountState.transactions,
-                    seedStore,
-                    [
-                        // Make sure inputs are blacklisted
-                        ...map(inputs, (input) => input.address),
-                        // Make sure receive address is blacklisted
-                        iota.utils.noChecksum(receiveAddress),
-                    ],
-                ).then(({ remainderAddress, remainderIndex, addressDataUptoRemainder }) => {
-                    // getAddressesUptoRemainder returns the latest unused address as the remainder address
-                    // Also returns updated address data including new address data for the intermediate addresses.
-                    // E.g: If latest locally stored address has an index 50 and remainder address was calculated to be
-                    // at index 53 it would include address data for 51, 52 and 53.
-                    accountState.addressData = addressDataUptoRemainder;
-
-                    return {
-                        inputs,
-                        address: remainderAddress,
-                        keyIndex: remainderIndex,
-                    };
-                });
-            });
-    };
-
     const isZeroValue = value === 0;
 
     const cached = {
@@ -617,17 +1065,33 @@ export const makeTransaction = (seedStore, receiveAddress, value, message, accou
     };
 
     return (
-        (isZeroValue
-            ? Promise.resolve(null)
-            : new NodesManager(nodesConfigurationFactory({ quorum })(getState())).withRetries()(
-                  withPreTransactionSecurityChecks,
-              )()
-        )
+        sendPolicyCheck
+            .then(() => throwIfStateSnapshotLoaded(getState()))
+            .then(() => throwIfWatchOnlyAccount(accountState))
+            .then(() =>
+                isZeroValue
+                    ? null
+                    : new NodesManager(nodesConfigurationFactory({ quorum })(getState()))
+                          .withRetries()(
+                              prepareInputsAndRemainder(
+                                  seedStore,
+                                  addresses,
+                                  value,
+                                  accountState,
+                                  coinControl,
+                              )(dispatch, getState),
+                          )()
+                          .then((result) => {
+                              accountState = result.accountState;
+
+                              return result.options;
+                          }),
+            )
             // If we are making a zero value transaction, options would be null
             // Otherwise, it would be a dictionary with inputs and remainder address
             // Forward options to prepareTransfersAsync as is, because it contains a null check
             .then((options) => {
-                const transfer = prepareTransferArray(address, value, message, accountState.addressData);
+                const transfer = prepareTransfersArray(transfers, accountState.addressData);
 
                 // Progressbar step => (Preparing transfers)
                 dispatch(setNextStepAsActive());
@@ -661,75 +1125,27 @@ export const makeTransaction = (seedStore, receiveAddress, value, message, accou
                 )();
             })
             .then(({ trunkTransaction, branchTransaction }) => {
-                const shouldOffloadPow = getRemotePoWFromState(getState());
-
                 // Progressbar step => (Proof of work)
                 dispatch(setNextStepAsActive());
 
-                const performLocalPow = () =>
-                    attachToTangleAsync(null, seedStore)(trunkTransaction, branchTransaction, cached.trytes);
-
-                if (!shouldOffloadPow) {
-                    return performLocalPow();
+                return attachToTangleWithPowFallback(seedStore, quorum)(dispatch, getState)(
+                    trunkTransaction,
+                    branchTransaction,
+                    cached.trytes,
+                );
+            })
+            // Re-check spend statuses of all addresses in bundle
+            .then(({ trytes, transactionObjects }) => {
+                // Skip this check if it's a zero value transaction
+                if (isZeroValue) {
+                    return Promise.resolve({ trytes, transactionObjects });
                 }
 
-                // Find nodes with proof of work enabled
-                return new NodesManager(
-                    nodesConfigurationFactory({
-                        quorum,
-                        useOnlyPowNodes: true,
-                    })(getState()),
-                )
-                    .withRetries(() =>
-                        dispatch(
-                            generateAlert(
-                                'info',
-                                i18next.t('global:pleaseWait'),
-                                `${i18next.t('global:problemPerformingProofOfWork')} ${i18next.t(
-                                    'global:tryingAgainWithDifferentNode',
-                                )}`,
-                                20000,
-                            ),
-                        ),
-                    )((settings) =>
-                        attachToTangleAsync(
-                            settings,
-                            extend(
-                                {
-                                    __proto__: seedStore.__proto__,
-                                },
-                                seedStore,
-                                { offloadPow: true },
-                            ),
-                        ),
-                    )(trunkTransaction, branchTransaction, cached.trytes)
-                    .catch(() => {
-                        // If outsourced proof of work fails on all nodes, fallback to local proof of work.
-                        dispatch(
-                            generateAlert(
-                                'info',
-                                i18next.t('global:pleaseWait'),
-                                `${i18next.t('global:problemPerformingProofOfWork')} ${i18next.t(
-                                    'global:tryingAgainWithLocalPoW',
-                                )}`,
-                            ),
-                        );
-
-                        return performLocalPow();
-                    });
-            })
-            // Re-check spend statuses of all addresses in bundle
-            .then(({ trytes, transactionObjects }) => {
-                // Skip this check if it's a zero value transaction
-                if (isZeroValue) {
-                    return Promise.resolve({ trytes, transactionObjects });
-                }
-
-                // Progressbar step => (Validating transaction addresses)
-                dispatch(setNextStepAsActive());
-
-                const addresses = uniq(map(transactionObjects, (transaction) => transaction.address));
-
+                // Progressbar step => (Validating transaction addresses)
+                dispatch(setNextStepAsActive());
+
+                const addresses = uniq(map(transactionObjects, (transaction) => transaction.address));
+
                 return new NodesManager(
                     nodesConfigurationFactory({
                         quorum,
@@ -792,6 +1208,27 @@ export const makeTransaction = (seedStore, receiveAddress, value, message, accou
                 Account.update(accountName, newState);
 
                 dispatch(updateAccountInfoAfterSpending(assign({}, newState, { accountName })));
+                dispatch(
+                    logAuditEvent(
+                        AUDIT_EVENTS.transferSent,
+                        getTransferAuditDetails(accountName, transfers, get(cached.transactionObjects, '[0].bundle')),
+                    ),
+                );
+
+                // Keep bundle hash of a paid payment request, so that its callback can be opened
+                const paymentUriContent = get(getState(), 'ui.paymentUriContent');
+
+                if (isPaymentUriFulfilled(paymentUriContent, transfers)) {
+                    dispatch(
+                        setPaymentUriContent(
+                            paymentUriContent.callback
+                                ? assign({}, paymentUriContent, {
+                                      bundle: get(cached.transactionObjects, '[0].bundle'),
+                                  })
+                                : {},
+                        ),
+                    );
+                }
 
                 // Progressbar => (Progress complete)
                 dispatch(setNextStepAsActive());
@@ -801,6 +1238,8 @@ export const makeTransaction = (seedStore, receiveAddress, value, message, accou
                     dispatch(completeTransfer());
                     dispatch(resetProgress());
                 }, 3500);
+
+                return true;
             })
             .catch((error) => {
                 dispatch(sendTransferError());
@@ -829,7 +1268,7 @@ export const makeTransaction = (seedStore, receiveAddress, value, message, accou
                     dispatch(clearSendFields());
                     dispatch(setCDAContent({}));
 
-                    return dispatch(
+                    dispatch(
                         generateAlert(
                             'error',
                             i18next.t('global:rebroadcastError'),
@@ -838,128 +1277,437 @@ export const makeTransaction = (seedStore, receiveAddress, value, message, accou
                             error,
                         ),
                     );
+
+                    // Signed bundle is stored locally and rebroadcast by the poll cycle
+                    return true;
                 }
 
-                if (message === Errors.NODE_NOT_SYNCED) {
-                    return dispatch(generateNodeOutOfSyncErrorAlert(error));
-                } else if (message === Errors.UNSUPPORTED_NODE) {
-                    return dispatch(generateUnsupportedNodeErrorAlert(error));
-                } else if (message === Errors.INVALID_LAST_TRIT) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('send:invalidAddress'),
-                            i18next.t('send:invalidAddressExplanation4'),
-                        ),
-                        undefined,
-                        error,
-                    );
-                } else if (message === Errors.KEY_REUSE) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('global:keyReuse'),
-                            i18next.t('global:keyReuseError'),
-                            undefined,
-                            error,
-                        ),
-                    );
-                } else if (message === Errors.INSUFFICIENT_BALANCE) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('global:balanceError'),
-                            i18next.t('global:balanceErrorMessage'),
-                            undefined,
-                            error,
-                        ),
-                    );
-                } else if (message === Errors.ADDRESS_HAS_PENDING_TRANSFERS) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('global:pleaseWait'),
-                            i18next.t('global:pleaseWaitTransferExplanation'),
-                            20000,
-                            error,
-                        ),
-                    );
-                } else if (message === Errors.FUNDS_AT_SPENT_ADDRESSES) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('global:spentAddressExplanation'),
-                            i18next.t('global:discordInformation'),
-                            20000,
-                            error,
-                        ),
-                    );
-                } else if (message === Errors.INCOMING_TRANSFERS) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('global:pleaseWait'),
-                            i18next.t('global:pleaseWaitIncomingTransferExplanation'),
-                            20000,
-                            error,
-                        ),
-                    );
-                } else if (message === Errors.CANNOT_SEND_TO_OWN_ADDRESS) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('global:cannotSendToOwn'),
-                            i18next.t('global:cannotSendToOwnExplanation'),
-                            20000,
-                            error,
-                        ),
-                    );
-                } else if (message === Errors.LEDGER_ZERO_VALUE) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('ledger:cannotSendZeroValueTitle'),
-                            i18next.t('ledger:cannotSendZeroValueExplanation'),
-                            20000,
-                            error,
-                        ),
-                    );
-                } else if (message === Errors.LEDGER_DISCONNECTED) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('ledger:ledgerDisconnectedTitle'),
-                            i18next.t('ledger:ledgerDisconnectedExplanation'),
-                            20000,
-                            error,
-                        ),
-                    );
-                } else if (message === Errors.LEDGER_DENIED) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('ledger:ledgerDeniedTitle'),
-                            i18next.t('ledger:ledgerDeniedExplanation'),
-                            20000,
-                            error,
-                        ),
+                dispatch(generateSendTransferErrorAlert(error));
+
+                return false;
+            })
+    );
+};
+
+/**
+ * Prepares inputs and a remainder address for a transfer and exports it as an unsigned transfer,
+ * so that it can be signed on an offline device holding the seed
+ *
+ * @method prepareUnsignedTransfer
+ * @param {object} seedStore - SeedStore class object
+ * @param {array} recipients - [{ address, value, message, [tag] }]
+ * @param {string} accountName
+ * @param {boolean} [quorum]
+ *
+ * @returns {function(function, function): Promise<object|null>} - Resolves with the unsigned transfer (or null on error)
+ */
+export const prepareUnsignedTransfer = (seedStore, recipients, accountName, quorum = true) => (dispatch, getState) => {
+    const sendPolicyCheck = enforceSendPolicy(accountName, recipients)(dispatch, getState);
+
+    dispatch(prepareUnsignedTransferRequest());
+
+    const transfers = addChecksumToRecipients(recipients);
+    const addresses = map(transfers, (transfer) => transfer.address);
+    const value = sumBy(transfers, (transfer) => transfer.value);
+
+    const accountState = selectedAccountStateFactory(accountName)(getState());
+
+    return sendPolicyCheck
+        .then(() => throwIfStateSnapshotLoaded(getState()))
+        .then(() =>
+            value === 0
+                ? Promise.reject(new Error(Errors.OFFLINE_TRANSFER_ZERO_VALUE))
+                : new NodesManager(nodesConfigurationFactory({ quorum })(getState())).withRetries()(
+                      prepareInputsAndRemainder(seedStore, addresses, value, accountState)(dispatch, getState),
+                  )(),
+        )
+        .then(({ options, accountState: latestAccountState }) => {
+            dispatch(resetProgress());
+            const unsignedTransfer = createUnsignedTransfer(
+                prepareTransfersArray(transfers, latestAccountState.addressData),
+                options,
+            );
+
+            dispatch(prepareUnsignedTransferSuccess());
+            dispatch(addUnsignedTransfer(accountName, unsignedTransfer));
+
+            return unsignedTransfer;
+        })
+        .catch((error) => {
+            dispatch(resetProgress());
+            dispatch(prepareUnsignedTransferError());
+
+            if (error.message === Errors.OFFLINE_TRANSFER_ZERO_VALUE) {
+                dispatch(
+                    generateAlert(
+                        'error',
+                        i18next.t('offlineSigning:zeroValue'),
+                        i18next.t('offlineSigning:zeroValueExplanation'),
+                    ),
+                );
+            } else {
+                dispatch(generateSendTransferErrorAlert(error));
+            }
+
+            return null;
+        });
+};
+
+/**
+ * Attaches and broadcasts a transfer signed on an offline device
+ *
+ * @method broadcastSignedTransfer
+ * @param {object} seedStore - SeedStore class object
+ * @param {object} signedTransfer - Signed transfer imported from the offline device
+ * @param {string} accountName
+ * @param {boolean} [quorum]
+ *
+ * @returns {function} dispatch
+ */
+export const broadcastSignedTransfer = (seedStore, signedTransfer, accountName, quorum = true) => (
+    dispatch,
+    getState,
+) => {
+    dispatch(sendTransferRequest());
+
+    const accountState = selectedAccountStateFactory(accountName)(getState());
+
+    // Unsigned transfer prepared by this wallet, which the signed bundle must match
+    const unsignedTransfer = get(getState().ui.unsignedTransfers, accountName);
+
+    const cached = {
+        trytes: signedTransfer.trytes,
+        transactionObjects: [],
+    };
+
+    // Keep track if the bundle was successfully attached
+    let hasAttached = false;
+
+    // Keep track if the bundle was successfully broadcasted
+    let hasBroadcast = false;
+
+    // Make sure that inputs belong to this account
+    const isSpendingOwnInputs = every(signedTransfer.inputs, (input) =>
+        some(accountState.addressData, (addressObject) => addressObject.address === input.address),
+    );
+
+    return throwIfStateSnapshotLoaded(getState())
+        .then(() => {
+            // Multisig bundles can only be broadcast once every co-signer has signed
+            if (
+                signedTransfer.type === OFFLINE_TRANSFER_TYPES.multisig &&
+                !isFullySignedMultisigTransfer(signedTransfer)
+            ) {
+                throw new Error(Errors.MULTISIG_SIGNATURES_MISSING);
+            }
+
+            // Multisig transfers can be prepared by any co-signer, so their remainder must be a known multisig address
+            if (signedTransfer.type === OFFLINE_TRANSFER_TYPES.multisig) {
+                const { remainderValue, remainderAddress } = getUnsignedTransferSummary(signedTransfer);
+                const isOwnRemainder =
+                    remainderValue === 0 ||
+                    some(
+                        accountState.addressData,
+                        (addressObject) => addressObject.address === iota.utils.noChecksum(remainderAddress),
                     );
-                } else if (message === Errors.LEDGER_INVALID_INDEX) {
-                    return dispatch(
-                        generateAlert(
-                            'error',
-                            i18next.t('ledger:ledgerIncorrectIndex'),
-                            i18next.t('ledger:ledgerIncorrectIndexExplanation'),
-                            undefined,
-                            error,
-                        ),
+
+                return (
+                    isSpendingOwnInputs && isOwnRemainder && isMatchingSignedTransfer(signedTransfer, signedTransfer)
+                );
+            }
+
+            if (!unsignedTransfer) {
+                throw new Error(Errors.OFFLINE_TRANSFER_NOT_PREPARED);
+            }
+
+            return isSpendingOwnInputs && isMatchingSignedTransfer(unsignedTransfer, signedTransfer);
+        })
+        .then((isMatching) => {
+            // Never broadcast a bundle that does not spend exactly what was prepared
+            if (!isMatching) {
+                throw new Error(Errors.OFFLINE_TRANSFER_MISMATCH);
+            }
+
+            return new NodesManager(nodesConfigurationFactory({ quorum })(getState())).withRetries()(
+                getTransactionsToApproveAsync,
+            )();
+        })
+        .then(({ trunkTransaction, branchTransaction }) =>
+            attachToTangleWithPowFallback(seedStore, quorum)(dispatch, getState)(
+                trunkTransaction,
+                branchTransaction,
+                cached.trytes,
+            ),
+        )
+        .then(({ trytes, transactionObjects }) => {
+            hasAttached = true;
+            cached.trytes = trytes;
+            cached.transactionObjects = transactionObjects;
+
+            const addresses = uniq(map(transactionObjects, (transaction) => transaction.address));
+
+            return new NodesManager(nodesConfigurationFactory({ quorum })(getState())).withRetries()(isAnyAddressSpent)(
+                addresses,
+            );
+        })
+        .then((isSpent) => {
+            if (isSpent) {
+                throw new Error(Errors.KEY_REUSE);
+            }
+
+            return new NodesManager(nodesConfigurationFactory({ quorum })(getState())).withRetries()(
+                storeAndBroadcastAsync,
+            )(cached.trytes);
+        })
+        .then(() => {
+            hasBroadcast = true;
+
+            return new NodesManager(nodesConfigurationFactory({ quorum })(getState()))
+                .withRetries()(syncAccountAfterSpending)(seedStore, cached.transactionObjects, accountState)
+                .catch((error) => {
+                    dispatch(prepareLogUpdate(error));
+
+                    return syncAccountOnErrorAfterSigning(
+                        // Sort in ascending order
+                        orderBy(cached.transactionObjects, ['currentIndex']),
+                        accountState,
+                        hasBroadcast,
                     );
-                } else if (message === Errors.LEDGER_CANCELLED) {
-                    return;
+                });
+        })
+        .then((newState) => {
+            // Update account in (Realm) storage
+            Account.update(accountName, newState);
+
+            dispatch(updateAccountInfoAfterSpending(assign({}, newState, { accountName })));
+            dispatch(
+                logAuditEvent(
+                    AUDIT_EVENTS.transferSent,
+                    getTransferAuditDetails(
+                        accountName,
+                        signedTransfer.transfers,
+                        get(cached.transactionObjects, '[0].bundle'),
+                    ),
+                ),
+            );
+            dispatch(removeUnsignedTransfer(accountName));
+            dispatch(generateTransactionSuccessAlert());
+            dispatch(completeTransfer());
+        })
+        .catch((error) => {
+            dispatch(sendTransferError());
+
+            // Keep the attached bundle locally so that it can be retried, as its signatures are already exposed
+            if (hasAttached && error.message !== Errors.KEY_REUSE) {
+                dispatch(removeUnsignedTransfer(accountName));
+
+                const newState = syncAccountOnErrorAfterSigning(
+                    // Sort in ascending order
+                    orderBy(cached.transactionObjects, ['currentIndex']),
+                    accountState,
+                    hasBroadcast,
+                );
+
+                // Update account in (Realm) storage
+                Account.update(accountName, newState);
+
+                dispatch(updateAccountInfoAfterSpending(assign({}, newState, { accountName })));
+
+                return dispatch(
+                    generateAlert(
+                        'error',
+                        i18next.t('global:rebroadcastError'),
+                        i18next.t('global:signedTrytesBroadcastErrorExplanation'),
+                        20000,
+                        error,
+                    ),
+                );
+            }
+
+            if (
+                error.message === Errors.OFFLINE_TRANSFER_MISMATCH ||
+                error.message === Errors.OFFLINE_TRANSFER_NOT_PREPARED
+            ) {
+                return dispatch(
+                    generateAlert(
+                        'error',
+                        i18next.t('offlineSigning:transferMismatch'),
+                        i18next.t('offlineSigning:transferMismatchExplanation'),
+                        undefined,
+                        error,
+                    ),
+                );
+            }
+
+            return dispatch(generateSendTransferErrorAlert(error));
+        });
+};
+
+/**
+ * Selects the input and remainder address of a multisig transfer on latest account state
+ *
+ * @method prepareMultisigInputAndRemainder
+ * @param {object} seedStore - Multisig SeedStore class object
+ * @param {array} addresses - Recipient addresses
+ * @param {number} value
+ * @param {object} accountState
+ *
+ * @returns {function(object, boolean): function(): Promise<object>}
+ */
+const prepareMultisigInputAndRemainder = (seedStore, addresses, value, accountState) => (
+    settings,
+    withQuorum,
+) => () => {
+    let latestAccountState = accountState;
+
+    return Promise.resolve(every(addresses, isLastTritZero))
+        .then((lastTritIsZero) => {
+            if (!lastTritIsZero) {
+                throw new Error(Errors.INVALID_LAST_TRIT);
+            }
+
+            return isAnyAddressSpent(settings, withQuorum)(addresses);
+        })
+        .then((isSpent) => {
+            if (isSpent) {
+                throw new Error(Errors.KEY_REUSE);
+            }
+
+            return syncAccount(settings, withQuorum, true)(accountState, seedStore);
+        })
+        .then((newState) => {
+            latestAccountState = newState;
+
+            return seedStore.getCosigners();
+        })
+        .then((cosigners) => {
+            const { input, remainder } = getMultisigInputAndRemainder(
+                latestAccountState.addressData,
+                value,
+                getMultisigSecuritySum(cosigners),
+            );
+
+            if (some(addresses, (address) => iota.utils.noChecksum(address) === input.address)) {
+                throw new Error(Errors.CANNOT_SEND_TO_OWN_ADDRESS);
+            }
+
+            // Double check with the network that neither multisig address was ever spent from
+            return isAnyAddressSpent(
+                settings,
+                withQuorum,
+            )([input.address, remainder.address]).then((isSpent) => {
+                if (isSpent) {
+                    throw new Error(Errors.KEY_REUSE);
                 }
-                return dispatch(generateTransferErrorAlert(error));
-            })
-    );
+
+                return { input, remainder, accountState: latestAccountState };
+            });
+        });
+};
+
+/**
+ * Prepares an unsigned multisig transfer, that co-signers sign in turn
+ *
+ * @method prepareMultisigTransfer
+ * @param {object} seedStore - Multisig SeedStore class object
+ * @param {array} recipients - [{ address, value, message, [tag] }]
+ * @param {string} accountName
+ * @param {boolean} [quorum]
+ *
+ * @returns {function(function, function): Promise<object|null>} - Resolves with the multisig transfer (or null on error)
+ */
+export const prepareMultisigTransfer = (seedStore, recipients, accountName, quorum = true) => (dispatch, getState) => {
+    const sendPolicyCheck = enforceSendPolicy(accountName, recipients)(dispatch, getState);
+
+    dispatch(prepareUnsignedTransferRequest());
+
+    const transfers = addChecksumToRecipients(recipients);
+    const addresses = map(transfers, (transfer) => transfer.address);
+    const value = sumBy(transfers, (transfer) => transfer.value);
+
+    const accountState = selectedAccountStateFactory(accountName)(getState());
+
+    return sendPolicyCheck
+        .then(() => throwIfStateSnapshotLoaded(getState()))
+        .then(() =>
+            value === 0
+                ? Promise.reject(new Error(Errors.OFFLINE_TRANSFER_ZERO_VALUE))
+                : new NodesManager(nodesConfigurationFactory({ quorum })(getState())).withRetries()(
+                      prepareMultisigInputAndRemainder(seedStore, addresses, value, accountState),
+                  )(),
+        )
+        .then(({ input, remainder, accountState: latestAccountState }) =>
+            createMultisigTransfer(prepareTransfersArray(transfers, latestAccountState.addressData), input, remainder),
+        )
+        .then((transfer) => {
+            dispatch(prepareUnsignedTransferSuccess());
+
+            return transfer;
+        })
+        .catch((error) => {
+            dispatch(prepareUnsignedTransferError());
+
+            if (error.message === Errors.OFFLINE_TRANSFER_ZERO_VALUE) {
+                dispatch(
+                    generateAlert(
+                        'error',
+                        i18next.t('offlineSigning:zeroValue'),
+                        i18next.t('multisig:zeroValueExplanation'),
+                    ),
+                );
+            } else {
+                dispatch(generateSendTransferErrorAlert(error));
+            }
+
+            return null;
+        });
+};
+
+/**
+ * Signs a multisig transfer as a co-signer.
+ * Marks the multisig input address as spent, so that it is never used again by this co-signer.
+ * Transfers sending the remainder anywhere but an unspent multisig address are never signed
+ *
+ * @method addMultisigSignature
+ * @param {object} seedStore - Multisig SeedStore class object
+ * @param {object} transfer - Multisig transfer
+ * @param {string} accountName
+ *
+ * @returns {function(function, function): Promise<object|null>} - Resolves with the signed multisig transfer (or null on error)
+ */
+export const addMultisigSignature = (seedStore, transfer, accountName) => (dispatch, getState) => {
+    const { addressData } = selectedAccountStateFactory(accountName)(getState());
+    const input = head(transfer.inputs);
+    const inputAddressObject = find(addressData, { address: input.address });
+
+    // A co-signer signs a single bundle per multisig address, otherwise its key would be reused
+    if (inputAddressObject && (inputAddressObject.spent.local || inputAddressObject.spent.remote)) {
+        dispatch(generateSendTransferErrorAlert(new Error(Errors.KEY_REUSE)));
+
+        return Promise.resolve(null);
+    }
+
+    return throwIfStateSnapshotLoaded(getState())
+        .then(() => signMultisigTransfer(seedStore, transfer, addressData))
+        .then((signedTransfer) => {
+            const newAddressData = map(addressData, (addressObject) =>
+                addressObject.address === input.address
+                    ? { ...addressObject, spent: { ...addressObject.spent, local: true } }
+                    : addressObject,
+            );
+
+            // Update address data in storage (realm)
+            Account.update(accountName, { addressData: newAddressData });
+
+            dispatch(updateAddressData(accountName, newAddressData));
+
+            return signedTransfer;
+        })
+        .catch((error) => {
+            dispatch(generateSendTransferErrorAlert(error));
+
+            return null;
+        });
 };
 
 /**
@@ -987,11 +1735,14 @@ export const retryFailedTransaction = (accountName, bundleHash, seedStore, quoru
 
     const retryFn = (settings, withQuorum) => () => {
         return (
-            // First check spent statuses against transaction addresses
-            categoriseAddressesBySpentStatus(
-                settings,
-                withQuorum,
-            )(map(failedTransactionsForThisBundleHash, (tx) => tx.address))
+            throwIfWatchOnlyAccount(existingAccountState)
+                // First check spent statuses against transaction addresses
+                .then(() =>
+                    categoriseAddressesBySpentStatus(
+                        settings,
+                        withQuorum,
+                    )(map(failedTransactionsForThisBundleHash, (tx) => tx.address)),
+                )
                 // If any address (input, remainder, receive) is spent, error out
                 .then(({ spent }) => {
                     if (size(spent)) {
@@ -1049,7 +1800,9 @@ export const retryFailedTransaction = (accountName, bundleHash, seedStore, quoru
                 dispatch(retryFailedTransactionError());
             }
 
-            if (err.message && err.message.includes(Errors.ALREADY_SPENT_FROM_ADDRESSES)) {
+            if (err.message === Errors.WATCH_ONLY_ACCOUNT) {
+                dispatch(generateWatchOnlyAccountAlert(err));
+            } else if (err.message && err.message.includes(Errors.ALREADY_SPENT_FROM_ADDRESSES)) {
                 dispatch(
                     generateAlert(
                         'error',
@@ -1113,6 +1866,60 @@ export const verifyCDAContent = (data) => {
     };
 };
 
+/**
+ * Verifies payment URI content, converts recipient amounts to iotas and prefills send fields.
+ * Payment requests with multiple recipients are only kept in state (See batch payments)
+ *
+ * @method verifyPaymentUriContent
+ *
+ * @param {object} request - Parsed payment URI (See libs/paymentUri)
+ *
+ * @returns {function(function, function): boolean} - True if payment request is valid
+ */
+export const verifyPaymentUriContent = (request) => {
+    return (dispatch, getState) => {
+        const { settings, marketData } = getState();
+
+        try {
+            if (isPaymentUriExpired(request)) {
+                throw new Error(Errors.PAYMENT_URI_EXPIRED);
+            }
+
+            const recipients = getPaymentUriRecipients(request, {
+                currency: settings.currency,
+                usdPrice: marketData.usdPrice,
+                conversionRate: settings.conversionRate,
+            });
+
+            dispatch(setPaymentUriContent({ recipients, expiresAt: request.expiresAt, callback: request.callback }));
+
+            if (recipients.length === 1) {
+                dispatch(setSendAddressField(recipients[0].address));
+                dispatch(setSendAmountField(recipients[0].value.toString()));
+                dispatch(setSendMessageField(recipients[0].message));
+                dispatch(setSendTagField(recipients[0].tag));
+            } else {
+                dispatch(
+                    generateAlert(
+                        'info',
+                        i18next.t('paymentUri:multipleRecipients', { count: recipients.length }),
+                        i18next.t('paymentUri:multipleRecipientsExplanation'),
+                        undefined,
+                        undefined,
+                        500,
+                    ),
+                );
+            }
+
+            return true;
+        } catch (err) {
+            dispatch(generatePaymentUriErrorAlert(err));
+
+            return false;
+        }
+    };
+};
+
 /**
  * Clears CDA content
  *
@@ -103,6 +103,19 @@ export const setSendMessageField = (payload) => ({
     payload,
 });
 
+/**
+ * Dispatch to set tag field text on send page
+ *
+ * @method setSendTagField
+ * @param {string} payload
+ *
+ * @returns {{type: {string}, payload: {string} }}
+ */
+export const setSendTagField = (payload) => ({
+    type: UiActionTypes.SET_SEND_TAG_FIELD,
+    payload,
+});
+
 /**
  * Dispatch to clear text fields on send page (mobile)
  *
@@ -244,3 +257,33 @@ export const setCDAContent = (payload) => {
         payload,
     };
 };
+
+/**
+ * Dispatch to mark password as re-entered (or reset) before sending a transfer
+ *
+ * @method setSendPasswordConfirmed
+ * @param {bool} payload
+ *
+ * @returns {{type: {string}, payload: {bool} }}
+ */
+export const setSendPasswordConfirmed = (payload) => {
+    return {
+        type: UiActionTypes.SET_SEND_PASSWORD_CONFIRMED,
+        payload,
+    };
+};
+
+/**
+ * Dispatch to set content of an opened payment URI (See libs/paymentUri)
+ *
+ * @method setPaymentUriContent
+ * @param {object} payload
+ *
+ * @returns {{type: {string}, payload: {object} }}
+ */
+export const setPaymentUriContent = (payload) => {
+    return {
+        type: UiActionTypes.SET_PAYMENT_URI_CONTENT,
+        payload,
+    };
+};
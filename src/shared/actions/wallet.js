@@ -9,6 +9,7 @@ import {
     generateTransitionErrorAlert,
     generateAddressesSyncRetryAlert,
     generateErrorAlert,
+    generateStateSnapshotLoadedAlert,
 } from '../actions/alerts';
 import { setActiveStepIndex, startTrackingProgress, reset as resetProgress } from '../actions/progress';
 import { accumulateBalance, attachAndFormatAddress, syncAddresses } from '../libs/iota/addresses';
@@ -18,7 +19,9 @@ import { getBalancesAsync } from '../libs/iota/extendedApi';
 import Errors from '../libs/errors';
 import { selectedAccountStateFactory, getSelectedAccountName } from '../selectors/accounts';
 import { getRemotePoWFromState, nodesConfigurationFactory } from '../selectors/global';
-import { Account } from '../storage';
+import mapStorageToStateFn from '../libs/storageToStateMappers';
+import { getStateSnapshotStorageData, throwIfStateSnapshotLoaded } from '../libs/stateSnapshot';
+import { Account, Wallet, restoreBackupData, openStateSnapshot, closeStateSnapshot } from '../storage';
 import { DEFAULT_SECURITY } from '../config';
 import NodesManager from '../libs/iota/NodesManager';
 import { WalletActionTypes } from '../types';
@@ -281,6 +284,64 @@ export const mapStorageToState = (payload) => ({
     payload,
 });
 
+/**
+ * Restores accounts, nodes, transaction metadata and wallet settings from a wallet backup
+ * and maps restored data to redux state
+ *
+ * @method restoreWalletBackup
+ * @param {object} backup - Parsed wallet backup (See libs/walletBackup)
+ * @param {Promise} getEncryptionKeyPromise
+ *
+ * @returns {function(*): Promise}
+ */
+export const restoreWalletBackup = (backup, getEncryptionKeyPromise) => (dispatch) =>
+    restoreBackupData(backup, getEncryptionKeyPromise).then(() => dispatch(mapStorageToState(mapStorageToStateFn())));
+
+/**
+ * Dispatch to set if a state snapshot is loaded
+ *
+ * @method setStateSnapshotLoaded
+ * @param {boolean} payload
+ *
+ * @returns {{type: {string}, payload: {boolean} }}
+ */
+export const setStateSnapshotLoaded = (payload) => ({
+    type: WalletActionTypes.SET_STATE_SNAPSHOT_LOADED,
+    payload,
+});
+
+/**
+ * Loads a state snapshot into isolated read-only storage and maps it to redux state.
+ * Sending and address generation are disabled until the snapshot is unloaded
+ *
+ * @method loadStateSnapshot
+ * @param {object} snapshot - Parsed state snapshot (See libs/stateSnapshot)
+ * @param {Promise} getEncryptionKeyPromise
+ *
+ * @returns {function(*): Promise}
+ */
+export const loadStateSnapshot = (snapshot, getEncryptionKeyPromise) => (dispatch) =>
+    openStateSnapshot(getStateSnapshotStorageData(snapshot, Wallet.version), getEncryptionKeyPromise).then(() => {
+        dispatch(setSeedIndex(0));
+        dispatch(mapStorageToState(mapStorageToStateFn()));
+        dispatch(setStateSnapshotLoaded(true));
+    });
+
+/**
+ * Unloads state snapshot and maps wallet storage back to redux state
+ *
+ * @method unloadStateSnapshot
+ *
+ * @returns {function(*)}
+ */
+export const unloadStateSnapshot = () => (dispatch) => {
+    closeStateSnapshot();
+
+    dispatch(setSeedIndex(0));
+    dispatch(mapStorageToState(mapStorageToStateFn()));
+    dispatch(setStateSnapshotLoaded(false));
+};
+
 /**
  * Generate new receive address for wallet
  *
@@ -296,11 +357,11 @@ export const generateNewAddress = (seedStore, accountName, existingAccountData)
     return (dispatch, getState) => {
         dispatch(generateNewAddressRequest());
 
-        return new NodesManager(nodesConfigurationFactory()(getState()))
-            .withRetries(() => dispatch(generateAddressesSyncRetryAlert()))(syncAddresses)(
-                seedStore,
-                existingAccountData.addressData,
-                existingAccountData.transactions,
+        return throwIfStateSnapshotLoaded(getState())
+            .then(() =>
+                new NodesManager(nodesConfigurationFactory()(getState())).withRetries(() =>
+                    dispatch(generateAddressesSyncRetryAlert()),
+                )(syncAddresses)(seedStore, existingAccountData.addressData, existingAccountData.transactions),
             )
             .then((result) => {
                 // Update address data in storage (realm)
@@ -310,15 +371,19 @@ export const generateNewAddress = (seedStore, accountName, existingAccountData)
                 dispatch(generateNewAddressSuccess());
             })
             .catch((err) => {
-                dispatch(
-                    generateAlert(
-                        'error',
-                        i18next.t('global:somethingWentWrong'),
-                        i18next.t('global:somethingWentWrongTryAgain'),
-                        10000,
-                        err,
-                    ),
-                );
+                if (err.message === Errors.STATE_SNAPSHOT_LOADED) {
+                    dispatch(generateStateSnapshotLoadedAlert(err));
+                } else {
+                    dispatch(
+                        generateAlert(
+                            'error',
+                            i18next.t('global:somethingWentWrong'),
+                            i18next.t('global:somethingWentWrongTryAgain'),
+                            10000,
+                            err,
+                        ),
+                    );
+                }
                 dispatch(generateNewAddressError());
             });
     };
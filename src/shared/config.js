@@ -59,6 +59,19 @@ export const DEFAULT_TAG = 'TRINITY';
 export const DEFAULT_SECURITY = 2;
 export const DEFAULT_BALANCES_THRESHOLD = 100;
 
+export const DEFAULT_INPUT_SELECTION_STRATEGY = 'optimalValue';
+// Balances (in iotas) below which inputs are consolidated by the consolidateDust input selection strategy
+export const DUST_THRESHOLD = 1000000;
+export const MAX_DUST_INPUTS = 5;
+// Maximum number of inputs searched for an exact match if no input limit is provided
+export const EXACT_MATCH_MAX_INPUTS = 4;
+// Maximum number of inputs spent in a single consolidation transfer if the seed store does not limit inputs
+export const MAX_CONSOLIDATION_INPUTS = 10;
+// Maximum age (ms) of market data used to convert fixed fiat amounts of scheduled payments
+export const SCHEDULED_PAYMENT_MAX_PRICE_AGE = 60 * 60 * 1000;
+// Maximum number of executions kept in the history of a scheduled payment
+export const MAX_SCHEDULED_PAYMENT_EXECUTIONS = 50;
+
 export const BUNDLE_OUTPUTS_THRESHOLD = 50;
 
 export const MAX_REQUEST_TIMEOUT = 60 * 1000 * 2;
@@ -81,6 +94,10 @@ export const QUORUM_SIZE = 3;
 export const QUORUM_SYNC_CHECK_INTERVAL = 120;
 export const MINIMUM_QUORUM_SIZE = 2;
 export const MAXIMUM_QUORUM_SIZE = 7;
+export const QUORUM_POLICY = 'supermajority';
+// Duration (seconds) a node disagreeing with the quorum result is excluded from quorum rounds
+export const QUORUM_OUTLIER_BLACKLIST_DURATION = 600;
+export const QUORUM_ROUNDS_HISTORY_SIZE = 20;
 
 /** Maximum milestone fallbehind threshold for node sync checks */
 export const MAX_MILESTONE_FALLBEHIND = 2;
@@ -7,6 +7,7 @@ import { round } from '../../libs/utils';
 
 import { setChartCurrency, setChartTimeframe } from '../../actions/settings';
 import { getCurrencySymbol } from '../../libs/currency';
+import { MARKET_DATA_CURRENCIES, MARKET_DATA_TIMEFRAMES } from '../../libs/marketData';
 
 import { getThemeFromState } from '../../selectors/global';
 
@@ -26,8 +27,8 @@ export default function withChartData(ChartComponent) {
             history: PropTypes.object.isRequired,
         };
 
-        currencies = ['USD', 'EUR', 'BTC', 'ETH']; // eslint-disable-line react/sort-comp
-        timeframes = ['24h', '7d', '1m', '1h'];
+        currencies = MARKET_DATA_CURRENCIES; // eslint-disable-line react/sort-comp
+        timeframes = MARKET_DATA_TIMEFRAMES;
 
         getPriceFormat = (x) => {
             const { settings } = this.props;
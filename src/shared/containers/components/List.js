@@ -7,10 +7,18 @@ import { getSelectedAccountName, getSelectedAccountMeta, getAccountNamesFromStat
 import { generateAlert } from '../../actions/alerts';
 import { toggleEmptyTransactions } from '../../actions/settings';
 import { promoteTransaction, retryFailedTransaction } from '../../actions/transfers';
+import { setTransactionMetadata } from '../../actions/transactionMetadata';
 
-import { getThemeFromState } from '../../selectors/global';
+import {
+    getThemeFromState,
+    getTransactionMetadataFromState,
+    getTransactionCategories,
+    getFiatPriceNow,
+    getHistoricalFiatPriceGetter,
+} from '../../selectors/global';
 
 import { mapNormalisedTransactions, formatRelevantTransactions } from '../../libs/iota/transfers';
+import { attachFiatValues } from '../../libs/priceHistory';
 
 /**
  * List component container
@@ -43,11 +51,28 @@ export default function withListData(ListComponent) {
             password: PropTypes.object.isRequired,
             /** Wallet account names */
             accountNames: PropTypes.array.isRequired,
+            /** Private transaction labels, notes and categories keyed by bundle hash */
+            transactionMetadata: PropTypes.object.isRequired,
+            /** Unique transaction categories in use */
+            transactionCategories: PropTypes.array.isRequired,
+            setTransactionMetadata: PropTypes.func.isRequired,
+            /** Selected fiat currency */
+            currency: PropTypes.string.isRequired,
+            /** Wallet locale */
+            locale: PropTypes.string.isRequired,
+            /** Returns price of 1 Mi in selected currency at a unix time */
+            getHistoricalFiatPrice: PropTypes.func.isRequired,
+            /** Current price of 1 Mi in selected currency */
+            fiatPriceNow: PropTypes.number,
         };
 
         getAccountTransactions = (accountData) => {
             const addresses = map(accountData.addressData, (addressData) => addressData.address);
-            const transactions = mapNormalisedTransactions(accountData.transactions, accountData.addressData);
+            const { getHistoricalFiatPrice, fiatPriceNow } = this.props;
+            const transactions = map(
+                mapNormalisedTransactions(accountData.transactions, accountData.addressData),
+                (transaction) => attachFiatValues(transaction, getHistoricalFiatPrice, fiatPriceNow),
+            );
             return formatRelevantTransactions(transactions, addresses);
         };
 
@@ -78,6 +103,11 @@ export default function withListData(ListComponent) {
                 hideEmptyTransactions,
                 theme,
                 generateAlert,
+                transactionMetadata,
+                transactionCategories,
+                setTransactionMetadata,
+                currency,
+                locale,
                 ui,
                 t,
             } = this.props;
@@ -120,6 +150,11 @@ export default function withListData(ListComponent) {
                 promoteTransaction: this.promoteTransaction,
                 retryFailedTransaction: this.retryFailedTransaction,
                 generateAlert,
+                transactionMetadata,
+                transactionCategories,
+                setTransactionMetadata,
+                currency,
+                locale,
                 t,
             };
 
@@ -140,6 +175,12 @@ export default function withListData(ListComponent) {
         ui: state.ui,
         hideEmptyTransactions: state.settings.hideEmptyTransactions,
         password: state.wallet.password,
+        transactionMetadata: getTransactionMetadataFromState(state),
+        transactionCategories: getTransactionCategories(state),
+        currency: state.settings.currency,
+        locale: state.settings.locale,
+        getHistoricalFiatPrice: getHistoricalFiatPriceGetter(state),
+        fiatPriceNow: getFiatPriceNow(state),
     });
 
     const mapDispatchToProps = {
@@ -147,6 +188,7 @@ export default function withListData(ListComponent) {
         promoteTransaction,
         retryFailedTransaction,
         generateAlert,
+        setTransactionMetadata,
     };
 
     return connect(mapStateToProps, mapDispatchToProps)(ListData);
@@ -2,7 +2,8 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 
-import { setCurrency } from '../../actions/settings';
+import { setCurrency, setMarketDataProvider } from '../../actions/settings';
+import { MARKET_DATA_PROVIDERS } from '../../libs/marketData';
 
 import { getThemeFromState } from '../../selectors/global';
 
@@ -16,6 +17,8 @@ export default function withCurrencyData(CurrencyComponent) {
             currentCurrency: PropTypes.string.isRequired,
             availableCurrencies: PropTypes.arrayOf(PropTypes.string).isRequired,
             setCurrency: PropTypes.func.isRequired,
+            marketDataProvider: PropTypes.string.isRequired,
+            setMarketDataProvider: PropTypes.func.isRequired,
             backPress: PropTypes.func,
             t: PropTypes.func.isRequired,
             theme: PropTypes.object.isRequired,
@@ -25,13 +28,20 @@ export default function withCurrencyData(CurrencyComponent) {
             this.props.setCurrency(currency);
         };
 
+        changeMarketDataProvider = (provider) => {
+            this.props.setMarketDataProvider(provider);
+        };
+
         render() {
-            const { theme, t, availableCurrencies, currentCurrency, backPress } = this.props;
+            const { theme, t, availableCurrencies, currentCurrency, marketDataProvider, backPress } = this.props;
 
             const currencyProps = {
                 currencies: availableCurrencies,
                 currency: currentCurrency,
                 setCurrency: this.changeCurrency,
+                marketDataProvider,
+                marketDataProviders: MARKET_DATA_PROVIDERS.map(({ id, name }) => ({ id, name })),
+                setMarketDataProvider: this.changeMarketDataProvider,
                 backPress: backPress,
                 theme,
                 t,
@@ -46,11 +56,13 @@ export default function withCurrencyData(CurrencyComponent) {
     const mapStateToProps = (state) => ({
         currentCurrency: state.settings.currency,
         availableCurrencies: Object.keys(state.marketData.rates),
+        marketDataProvider: state.settings.marketDataProvider,
         theme: getThemeFromState(state),
     });
 
     const mapDispatchToProps = {
         setCurrency,
+        setMarketDataProvider,
     };
 
     return connect(
@@ -47,6 +47,9 @@ export default function withNodeData(NodeComponent) {
             generateAlert: PropTypes.func.isRequired,
             quorumEnabled: PropTypes.bool.isRequired,
             quorumSize: PropTypes.number.isRequired,
+            quorumPolicy: PropTypes.string.isRequired,
+            quorumThreshold: PropTypes.number.isRequired,
+            quorumMethodPolicies: PropTypes.array.isRequired,
             autoNodeList: PropTypes.bool.isRequired,
             backPress: PropTypes.func,
             onClose: PropTypes.func,
@@ -133,6 +136,9 @@ export default function withNodeData(NodeComponent) {
                 quorumEnabled,
                 generateAlert,
                 quorumSize,
+                quorumPolicy,
+                quorumThreshold,
+                quorumMethodPolicies,
                 onClose,
                 changeAutoNodeListSetting,
                 setFullNode,
@@ -154,6 +160,9 @@ export default function withNodeData(NodeComponent) {
                     autoNodeList,
                     quorumEnabled,
                     quorumSize,
+                    quorumPolicy,
+                    quorumThreshold,
+                    quorumMethodPolicies,
                     powNode,
                     remotePoW,
                     powNodeAutoSwitch,
@@ -195,6 +204,9 @@ export default function withNodeData(NodeComponent) {
         autoNodeList: state.settings.autoNodeList,
         quorumSize: state.settings.quorum.size,
         quorumEnabled: state.settings.quorum.enabled,
+        quorumPolicy: state.settings.quorum.policy,
+        quorumThreshold: state.settings.quorum.threshold,
+        quorumMethodPolicies: state.settings.quorum.methodPolicies,
     });
 
     const mapDispatchToProps = {
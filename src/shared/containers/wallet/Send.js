@@ -4,8 +4,21 @@ import PropTypes from 'prop-types';
 import { connect } from 'react-redux';
 import { generateAlert } from '../../actions/alerts';
 import { completeDeepLinkRequest } from '../../actions/wallet';
-import { makeTransaction, clearCDAContent, verifyCDAContent } from '../../actions/transfers';
-import { setSendAddressField, setSendAmountField, setSendMessageField, clearSendFields } from '../../actions/ui';
+import {
+    makeTransaction,
+    makeBatchTransaction,
+    clearCDAContent,
+    verifyCDAContent,
+    verifyPaymentUriContent,
+} from '../../actions/transfers';
+import {
+    setSendAddressField,
+    setSendAmountField,
+    setSendMessageField,
+    setSendTagField,
+    clearSendFields,
+    setSendPasswordConfirmed,
+} from '../../actions/ui';
 import { reset as resetProgress, startTrackingProgress } from '../../actions/progress';
 
 import {
@@ -13,12 +26,24 @@ import {
     getSelectedAccountMeta,
     getBalanceForSelectedAccount,
     getAvailableBalanceForSelectedAccount,
+    getSelectableInputsForSelectedAccount,
+    getSelectableRemainderAddressDataForSelectedAccount,
+    getSendPolicyForSelectedAccount,
+    getTransactionsForSelectedAccount,
+    getAddressesForSelectedAccount,
 } from '../../selectors/accounts';
-import { VALID_SEED_REGEX, ADDRESS_LENGTH, isValidMessage } from '../../libs/iota/utils';
+import { VALID_SEED_REGEX, ADDRESS_LENGTH, MAX_TAG_LENGTH, isValidMessage, isValidTag } from '../../libs/iota/utils';
 
 import { iota } from '../../libs/iota';
+import { getInputSelectionValidationError } from '../../libs/iota/inputs';
+import {
+    getBatchPaymentValidationError,
+    getBatchPaymentsTotal,
+    parseBatchPaymentsCsv,
+} from '../../libs/batchPayments';
+import { SEND_POLICY_ERRORS, getSendPolicyViolation, isPasswordRequiredForTransfer } from '../../libs/sendPolicies';
 
-import { getThemeFromState } from '../../selectors/global';
+import { getThemeFromState, getContactsList } from '../../selectors/global';
 
 /**
  * Send transaction component container
@@ -39,12 +64,14 @@ export default function withSendData(SendComponent) {
             marketData: PropTypes.object.isRequired,
             generateAlert: PropTypes.func.isRequired,
             makeTransaction: PropTypes.func.isRequired,
+            makeBatchTransaction: PropTypes.func.isRequired,
             theme: PropTypes.object.isRequired,
             themeName: PropTypes.string.isRequired,
             t: PropTypes.func.isRequired,
             setSendAddressField: PropTypes.func.isRequired,
             setSendAmountField: PropTypes.func.isRequired,
             setSendMessageField: PropTypes.func.isRequired,
+            setSendTagField: PropTypes.func.isRequired,
             deepLinkRequestActive: PropTypes.bool.isRequired,
             startTrackingProgress: PropTypes.func.isRequired,
             completeDeepLinkRequest: PropTypes.func.isRequired,
@@ -53,6 +80,15 @@ export default function withSendData(SendComponent) {
             clearSendFields: PropTypes.func.isRequired,
             CDAContent: PropTypes.object.isRequired,
             verifyCDAContent: PropTypes.func.isRequired,
+            paymentUriContent: PropTypes.object.isRequired,
+            verifyPaymentUriContent: PropTypes.func.isRequired,
+            contacts: PropTypes.array.isRequired,
+            selectableInputs: PropTypes.array.isRequired,
+            selectableRemainderAddressData: PropTypes.array.isRequired,
+            sendPolicy: PropTypes.object,
+            transfers: PropTypes.object.isRequired,
+            addresses: PropTypes.array.isRequired,
+            setSendPasswordConfirmed: PropTypes.func.isRequired,
         };
 
         componentWillMount() {
@@ -69,6 +105,7 @@ export default function withSendData(SendComponent) {
                 this.props.setSendAddressField('');
                 this.props.setSendAmountField('');
                 this.props.setSendMessageField('');
+                this.props.setSendTagField('');
             }
         }
 
@@ -107,12 +144,18 @@ export default function withSendData(SendComponent) {
             }
         };
 
-        validateInputs = () => {
+        /**
+         * Validates send fields and, if coin control is used, manually selected inputs
+         * @param {array} [selectedInputs]
+         * @returns {boolean}
+         */
+        validateInputs = (selectedInputs = null) => {
             const { CDAContent, ui, generateAlert, balance, t } = this.props;
 
             const address = ui.sendAddressFieldText;
             const amount = ui.sendAmountFieldText;
             const message = ui.sendMessageFieldText;
+            const tag = ui.sendTagFieldText;
 
             // Validate address length
             if (address.length !== ADDRESS_LENGTH) {
@@ -149,10 +192,161 @@ export default function withSendData(SendComponent) {
                 return false;
             }
 
+            // Validate tag (trytes only)
+            if (!isValidTag(tag)) {
+                generateAlert(
+                    'error',
+                    t('send:invalidTag'),
+                    t('send:invalidTagExplanation', { maxLength: MAX_TAG_LENGTH }),
+                );
+                return false;
+            }
+
+            if (!this.validateSendPolicy([{ address, value: parseInt(amount) || 0 }])) {
+                return false;
+            }
+
+            if (selectedInputs !== null) {
+                const inputSelectionError = getInputSelectionValidationError(selectedInputs, parseInt(amount) || 0);
+
+                if (inputSelectionError) {
+                    generateAlert(
+                        'error',
+                        t(`coinControl:${inputSelectionError}`),
+                        t(`coinControl:${inputSelectionError}Explanation`),
+                    );
+                    return false;
+                }
+            }
+
+            return true;
+        };
+
+        /**
+         * Validates batch payment recipients and checks that the total value can be covered by balance
+         * @param {array} recipients
+         * @returns {boolean}
+         */
+        validateBatchRecipients = (recipients) => {
+            const { generateAlert, balance, t } = this.props;
+
+            if (!recipients.length) {
+                generateAlert('error', t('batchPayments:noRecipients'), t('batchPayments:noRecipientsExplanation'));
+                return false;
+            }
+
+            for (let index = 0; index < recipients.length; index += 1) {
+                const error = getBatchPaymentValidationError(recipients[index], recipients.slice(0, index));
+
+                if (error) {
+                    generateAlert(
+                        'error',
+                        t('batchPayments:invalidRecipient', { row: index + 1 }),
+                        t(`batchPayments:${error}`),
+                    );
+                    return false;
+                }
+            }
+
+            if (getBatchPaymentsTotal(recipients) > balance) {
+                generateAlert('error', t('send:notEnoughFunds'), t('send:notEnoughFundsExplanation'));
+                return false;
+            }
+
+            return this.validateSendPolicy(recipients);
+        };
+
+        /**
+         * Checks recipients against the send policy of the account
+         * @param {array} recipients - [{ address, value }]
+         * @returns {boolean}
+         */
+        validateSendPolicy = (recipients) => {
+            const { sendPolicy, contacts, transfers, addresses, generateAlert, t } = this.props;
+
+            const violation = getSendPolicyViolation(sendPolicy, recipients, { contacts, transfers, addresses });
+
+            if (violation) {
+                generateAlert(
+                    'error',
+                    t(`sendPolicies:${SEND_POLICY_ERRORS[violation]}`),
+                    t(`sendPolicies:${SEND_POLICY_ERRORS[violation]}Explanation`),
+                );
+                return false;
+            }
+
             return true;
         };
 
-        sendTransfer = (seedStore, address, value, message) => {
+        /**
+         * Checks if password must be re-entered before sending provided value
+         * @param {number} value
+         * @returns {boolean}
+         */
+        isPasswordRequired = (value) => isPasswordRequiredForTransfer(this.props.sendPolicy, value);
+
+        /**
+         * Parses batch payment recipients from CSV file content
+         * @param {string} csv
+         * @returns {array|null} Recipients or null if any row is invalid
+         */
+        importBatchRecipients = (csv) => {
+            const { generateAlert, t } = this.props;
+            const { recipients, errors } = parseBatchPaymentsCsv(csv);
+
+            if (errors.length) {
+                generateAlert(
+                    'error',
+                    t('batchPayments:invalidRecipient', { row: errors[0].row }),
+                    t(`batchPayments:${errors[0].error}`),
+                );
+                return null;
+            }
+
+            if (!recipients.length) {
+                generateAlert('error', t('batchPayments:noRecipients'), t('batchPayments:csvEmptyExplanation'));
+                return null;
+            }
+
+            generateAlert(
+                'success',
+                t('batchPayments:recipientsImported'),
+                t('batchPayments:recipientsImportedExplanation', { count: recipients.length }),
+            );
+
+            return recipients;
+        };
+
+        /**
+         * Fills send fields with saved contact details
+         * @param {object} contact
+         */
+        selectContact = (contact) => {
+            const { generateAlert, t } = this.props;
+
+            this.props.setSendAddressField(contact.address);
+            this.props.setSendMessageField(contact.message);
+            this.props.setSendTagField(contact.tag || '');
+
+            if (contact.spent) {
+                generateAlert(
+                    'error',
+                    t('contacts:contactAddressSpent'),
+                    t('contacts:spentContactWarning', { name: contact.name }),
+                );
+            }
+        };
+
+        /**
+         * Sends a transfer
+         * @param {object} seedStore
+         * @param {string} address
+         * @param {number} value
+         * @param {string} message
+         * @param {object} [coinControl] - Manually selected { inputs: [address], remainderAddress }
+         * @param {string} [tag]
+         */
+        sendTransfer = (seedStore, address, value, message, coinControl = null, tag = '') => {
             const { ui, accountName, generateAlert, t } = this.props;
 
             if (ui.isSyncing) {
@@ -167,7 +361,25 @@ export default function withSendData(SendComponent) {
 
             this.setProgressSteps(value === 0);
 
-            this.props.makeTransaction(seedStore, address, value, message, accountName);
+            this.props.makeTransaction(seedStore, address, value, message, accountName, true, coinControl, tag);
+        };
+
+        sendBatchTransfer = (seedStore, recipients) => {
+            const { ui, accountName, generateAlert, t } = this.props;
+
+            if (ui.isSyncing) {
+                generateAlert('error', t('global:syncInProgress'), t('global:syncInProgressExplanation'));
+                return;
+            }
+
+            if (ui.isTransitioning) {
+                generateAlert('error', t('snapshotTransitionInProgress'), t('snapshotTransitionInProgressExplanation'));
+                return;
+            }
+
+            this.setProgressSteps(getBatchPaymentsTotal(recipients) === 0);
+
+            this.props.makeBatchTransaction(seedStore, recipients, accountName);
         };
 
         render() {
@@ -184,6 +396,7 @@ export default function withSendData(SendComponent) {
                 setSendAddressField,
                 setSendAmountField,
                 setSendMessageField,
+                setSendTagField,
                 generateAlert,
                 progress,
                 accountName,
@@ -192,6 +405,11 @@ export default function withSendData(SendComponent) {
                 clearSendFields,
                 CDAContent,
                 verifyCDAContent,
+                paymentUriContent,
+                verifyPaymentUriContent,
+                contacts,
+                selectableInputs,
+                selectableRemainderAddressData,
             } = this.props;
 
             const progressTitle =
@@ -206,18 +424,31 @@ export default function withSendData(SendComponent) {
                     address: ui.sendAddressFieldText,
                     amount: ui.sendAmountFieldText,
                     message: ui.sendMessageFieldText,
+                    tag: ui.sendTagFieldText,
                 },
                 CDAContent,
                 setSendAddressField,
                 setSendAmountField,
                 setSendMessageField,
+                setSendTagField,
                 clearCDAContent,
                 clearSendFields,
                 verifyCDAContent,
+                paymentUriContent,
+                verifyPaymentUriContent,
+                contacts,
+                selectableInputs,
+                selectableRemainderAddressData,
+                selectContact: this.selectContact,
                 isSending: ui.isSendingTransfer,
                 password: wallet.password,
                 validateInputs: this.validateInputs,
                 sendTransfer: this.sendTransfer,
+                validateBatchRecipients: this.validateBatchRecipients,
+                importBatchRecipients: this.importBatchRecipients,
+                sendBatchTransfer: this.sendBatchTransfer,
+                isPasswordRequired: this.isPasswordRequired,
+                confirmPassword: () => this.props.setSendPasswordConfirmed(true),
                 settings: {
                     currency: settings.currency,
                     conversionRate: settings.conversionRate,
@@ -259,20 +490,31 @@ export default function withSendData(SendComponent) {
         ui: state.ui,
         deepLinkRequestActive: state.wallet.deepLinkRequestActive,
         CDAContent: state.ui.CDAContent,
+        paymentUriContent: state.ui.paymentUriContent,
+        contacts: getContactsList(state),
+        selectableInputs: getSelectableInputsForSelectedAccount(state),
+        selectableRemainderAddressData: getSelectableRemainderAddressDataForSelectedAccount(state),
+        sendPolicy: getSendPolicyForSelectedAccount(state),
+        transfers: getTransactionsForSelectedAccount(state),
+        addresses: getAddressesForSelectedAccount(state),
     });
 
     const mapDispatchToProps = {
         completeDeepLinkRequest,
         generateAlert,
         makeTransaction,
+        makeBatchTransaction,
         setSendAddressField,
         setSendAmountField,
         setSendMessageField,
+        setSendTagField,
         startTrackingProgress,
         resetProgress,
         clearCDAContent,
         clearSendFields,
         verifyCDAContent,
+        verifyPaymentUriContent,
+        setSendPasswordConfirmed,
     };
 
     return connect(mapStateToProps, mapDispatchToProps)(SendData);
@@ -0,0 +1,183 @@
+import compact from 'lodash/compact';
+import filter from 'lodash/filter';
+import findIndex from 'lodash/findIndex';
+import includes from 'lodash/includes';
+import isNumber from 'lodash/isNumber';
+import map from 'lodash/map';
+import reverse from 'lodash/reverse';
+import sumBy from 'lodash/sumBy';
+import toLower from 'lodash/toLower';
+import values from 'lodash/values';
+import SHA256 from 'crypto-js/sha256';
+import Hex from 'crypto-js/enc-hex';
+import { formatUnixTimeAsISO } from './date';
+import { formatIotas } from './iota/utils';
+import { serialise } from './utils';
+
+/** Security-relevant events recorded in the audit log */
+export const AUDIT_EVENTS = {
+    login: 'login',
+    loginFailed: 'loginFailed',
+    seedViewed: 'seedViewed',
+    seedVaultExported: 'seedVaultExported',
+    passwordChanged: 'passwordChanged',
+    twoFAEnabled: 'twoFAEnabled',
+    twoFADisabled: 'twoFADisabled',
+    accountAdded: 'accountAdded',
+    accountDeleted: 'accountDeleted',
+    nodeChanged: 'nodeChanged',
+    customNodeAdded: 'customNodeAdded',
+    transferSent: 'transferSent',
+    auditLogExported: 'auditLogExported',
+    walletBackupExported: 'walletBackupExported',
+};
+
+/**
+ * Creates an audit log entry
+ *
+ * @method createAuditLogEntry
+ * @param {string} type - See AUDIT_EVENTS
+ * @param {object} [details]
+ * @param {number} [timestamp] - Unix time in seconds
+ *
+ * @returns {object} { timestamp, type, details }
+ */
+export const createAuditLogEntry = (type, details = {}, timestamp = Math.floor(Date.now() / 1000)) => {
+    if (!includes(values(AUDIT_EVENTS), type)) {
+        throw new Error(`Unknown audit event ${type}.`);
+    }
+
+    return { timestamp, type, details };
+};
+
+/**
+ * Computes the hash of an audit log entry.
+ * Each entry commits to the hash of the entry before it, so that editing, removing or reordering
+ * a stored entry breaks the chain from that entry onwards. Removing the latest entries is not detected
+ *
+ * @method getAuditLogEntryHash
+ * @param {object} entry - { index, timestamp, type, details }
+ * @param {string} previousHash - Hash of preceding entry (empty for the first entry)
+ *
+ * @returns {string}
+ */
+export const getAuditLogEntryHash = ({ index, timestamp, type, details }, previousHash) =>
+    SHA256(serialise([index, timestamp, type, serialise(details), previousHash])).toString(Hex);
+
+/**
+ * Chains an audit log entry to the (current) last entry of the audit log
+ *
+ * @method chainAuditLogEntry
+ * @param {object} entry - { timestamp, type, details }
+ * @param {object} [lastEntry] - Last stored entry. Undefined if audit log is empty
+ *
+ * @returns {object} { index, timestamp, type, details, previousHash, hash }
+ */
+export const chainAuditLogEntry = (entry, lastEntry) => {
+    const index = lastEntry ? lastEntry.index + 1 : 0;
+    const previousHash = lastEntry ? lastEntry.hash : '';
+
+    return {
+        ...entry,
+        index,
+        previousHash,
+        hash: getAuditLogEntryHash({ ...entry, index }, previousHash),
+    };
+};
+
+/**
+ * Finds the first audit log entry that breaks the hash chain
+ *
+ * @method findBrokenAuditLogEntry
+ * @param {array} entries - Audit log entries (oldest first)
+ *
+ * @returns {number} Position of first broken entry, -1 if the chain is intact
+ */
+export const findBrokenAuditLogEntry = (entries) =>
+    findIndex(entries, (entry, position) => {
+        const previousHash = position ? entries[position - 1].hash : '';
+
+        return (
+            entry.index !== position ||
+            entry.previousHash !== previousHash ||
+            entry.hash !== getAuditLogEntryHash(entry, previousHash)
+        );
+    });
+
+/**
+ * Gets audit log details of a sent transfer
+ *
+ * @method getTransferAuditDetails
+ * @param {string} accountName
+ * @param {array} transfers - [{ address, value }]
+ * @param {string} bundle
+ *
+ * @returns {object} { accountName, value, recipients, bundle }
+ */
+export const getTransferAuditDetails = (accountName, transfers, bundle) => ({
+    accountName,
+    value: sumBy(transfers, 'value'),
+    recipients: map(transfers, ({ address, value }) => ({ address, value })),
+    bundle,
+});
+
+/**
+ * Gets a one-line summary of audit log entry details
+ *
+ * @method getAuditLogEntrySummary
+ * @param {object} entry
+ * @param {function} t - Translation function
+ *
+ * @returns {string}
+ */
+export const getAuditLogEntrySummary = ({ details }, t) =>
+    compact([
+        details.accountName,
+        details.url,
+        details.method && t(`auditLog:${details.method}`),
+        details.reason && t(`auditLog:${details.reason}`),
+        details.automatic && t('auditLog:automatic'),
+        isNumber(details.value) && formatIotas(details.value, false, true),
+        ...map(details.recipients, ({ address }) => address),
+    ]).join(' · ');
+
+/**
+ * Filters audit log entries by event type and search text (matched against details) and orders them newest first
+ *
+ * @method filterAuditLog
+ * @param {array} entries
+ * @param {string} [type] - See AUDIT_EVENTS. All events if empty
+ * @param {string} [search]
+ *
+ * @returns {array}
+ */
+export const filterAuditLog = (entries, type = '', search = '') =>
+    reverse(
+        filter(
+            entries,
+            (entry) =>
+                (!type || entry.type === type) &&
+                (!search || includes(toLower(JSON.stringify(entry.details)), toLower(search))),
+        ),
+    );
+
+/**
+ * Serialises audit log entries for export
+ *
+ * @method serialiseAuditLog
+ * @param {array} entries
+ * @param {string} timezone
+ *
+ * @returns {string}
+ */
+export const serialiseAuditLog = (entries, timezone) =>
+    JSON.stringify(
+        map(entries, ({ index, timestamp, type, details }) => ({
+            index,
+            date: formatUnixTimeAsISO(timestamp, timezone),
+            type,
+            details,
+        })),
+        null,
+        4,
+    );
@@ -0,0 +1,190 @@
+import every from 'lodash/every';
+import find from 'lodash/find';
+import isEmpty from 'lodash/isEmpty';
+import map from 'lodash/map';
+import sumBy from 'lodash/sumBy';
+import trim from 'lodash/trim';
+import { BigNumber } from 'bignumber.js';
+import { isValidAddress, isLastTritZero, isValidMessage, isValidTag } from './iota/utils';
+
+/** Columns of a batch payments CSV file, in order */
+export const BATCH_PAYMENTS_CSV_COLUMNS = ['address', 'amount', 'message', 'tag'];
+
+const UNIT_MULTIPLIERS = {
+    i: 1,
+    ki: 1000,
+    mi: 1000000,
+    gi: 1000000000,
+    ti: 1000000000000,
+};
+
+/**
+ * Splits CSV content into rows of cells.
+ * Supports quoted cells containing commas, line breaks and escaped ("") quotes
+ *
+ * @method parseCsv
+ * @param {string} csv
+ *
+ * @returns {array}
+ */
+const parseCsv = (csv) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let isQuoted = false;
+
+    for (let index = 0; index < csv.length; index += 1) {
+        const char = csv[index];
+
+        if (isQuoted) {
+            if (char === '"' && csv[index + 1] === '"') {
+                cell += '"';
+                index += 1;
+            } else if (char === '"') {
+                isQuoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            isQuoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && csv[index + 1] === '\n') {
+                index += 1;
+            }
+
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+/**
+ * Converts a batch payment amount to iotas.
+ * Accepts plain iotas (e.g. "100") or a value with an IOTA unit (e.g. "1.5Mi")
+ *
+ * @method parseBatchPaymentAmount
+ * @param {string|number} amount
+ *
+ * @returns {number} Value in iotas or NaN if the amount is invalid
+ */
+export const parseBatchPaymentAmount = (amount) => {
+    const match = trim(String(amount)).match(/^(\d+(?:[.,]\d+)?)\s*(i|ki|mi|gi|ti)?$/i);
+
+    if (!match) {
+        return NaN;
+    }
+
+    const value = new BigNumber(match[1].replace(',', '.')).times(UNIT_MULTIPLIERS[(match[2] || 'i').toLowerCase()]);
+
+    return value.isInteger() ? value.toNumber() : NaN;
+};
+
+/**
+ * Validates a single batch payment recipient.
+ * Returns the (batchPayments) translation key of the first validation failure or null if the recipient is valid
+ *
+ * @method getBatchPaymentValidationError
+ * @param {object} recipient - { address, value, message, tag }
+ * @param {array} otherRecipients
+ *
+ * @returns {string|null}
+ */
+export const getBatchPaymentValidationError = (recipient, otherRecipients = []) => {
+    const { address, value, message = '', tag = '' } = recipient;
+
+    if (!isValidAddress(address)) {
+        return 'invalidAddress';
+    }
+
+    if (!isLastTritZero(address)) {
+        return 'invalidLastTrit';
+    }
+
+    if (!Number.isInteger(value) || value < 0) {
+        return 'invalidAmount';
+    }
+
+    if (find(otherRecipients, (other) => other.address === address)) {
+        return 'duplicateAddress';
+    }
+
+    if (!isValidMessage(message)) {
+        return 'invalidMessage';
+    }
+
+    if (!isValidTag(tag)) {
+        return 'invalidTag';
+    }
+
+    return null;
+};
+
+/**
+ * Parses batch payment recipients from CSV content.
+ * Each row should contain an address (with checksum), an amount and optionally a message and a tag.
+ * An optional header row starting with "address" is skipped
+ *
+ * @method parseBatchPaymentsCsv
+ * @param {string} csv
+ *
+ * @returns {{recipients: array, errors: array}} Valid recipients and validation errors ({ row, error }) of invalid rows
+ */
+export const parseBatchPaymentsCsv = (csv) => {
+    const recipients = [];
+    const errors = [];
+
+    parseCsv(csv).forEach((cells, index) => {
+        const [address = '', amount = '', message = '', tag = ''] = map(cells, (cell) => trim(cell));
+
+        if (every(cells, (cell) => isEmpty(trim(cell)))) {
+            return;
+        }
+
+        const isFirstRow = isEmpty(recipients) && isEmpty(errors);
+
+        if (isFirstRow && address.toLowerCase() === BATCH_PAYMENTS_CSV_COLUMNS[0]) {
+            return;
+        }
+
+        const recipient = {
+            address: address.toUpperCase(),
+            value: amount === '' ? 0 : parseBatchPaymentAmount(amount),
+            message,
+            tag: tag.toUpperCase(),
+        };
+
+        const error = getBatchPaymentValidationError(recipient, recipients);
+
+        if (error) {
+            errors.push({ row: index + 1, error });
+        } else {
+            recipients.push(recipient);
+        }
+    });
+
+    return { recipients, errors };
+};
+
+/**
+ * Computes total value of batch payment recipients
+ *
+ * @method getBatchPaymentsTotal
+ * @param {array} recipients
+ *
+ * @returns {number}
+ */
+export const getBatchPaymentsTotal = (recipients) => sumBy(recipients, (recipient) => recipient.value || 0);
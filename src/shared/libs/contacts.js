@@ -0,0 +1,61 @@
+import find from 'lodash/find';
+import isEmpty from 'lodash/isEmpty';
+import trim from 'lodash/trim';
+import { isValidAddress, isLastTritZero, isValidMessage, isValidTag } from './iota/utils';
+
+/**
+ * Validates a contact before it is saved to the address book.
+ * Returns the (contacts) translation key of the first validation failure or null if the contact is valid
+ *
+ * @method getContactValidationError
+ * @param {object} contact - { address, name, message, tag }
+ * @param {array} existingContacts
+ * @param {string} [previousAddress] - Address of the contact being edited
+ *
+ * @returns {string|null}
+ */
+export const getContactValidationError = (contact, existingContacts, previousAddress = null) => {
+    const { address, name, message = '', tag = '' } = contact;
+    const otherContacts = existingContacts.filter((existing) => existing.address !== previousAddress);
+
+    if (isEmpty(trim(name))) {
+        return 'emptyName';
+    }
+
+    if (!isValidAddress(address)) {
+        return 'invalidAddress';
+    }
+
+    if (!isLastTritZero(address)) {
+        return 'invalidLastTrit';
+    }
+
+    if (find(otherContacts, (existing) => existing.address === address)) {
+        return 'addressAlreadyExists';
+    }
+
+    if (find(otherContacts, (existing) => existing.name.toLowerCase() === trim(name).toLowerCase())) {
+        return 'nameAlreadyExists';
+    }
+
+    if (!isValidMessage(message)) {
+        return 'invalidMessage';
+    }
+
+    if (!isValidTag(tag)) {
+        return 'invalidTag';
+    }
+
+    return null;
+};
+
+/**
+ * Finds a saved contact for provided address
+ *
+ * @method findContactByAddress
+ * @param {array} contacts
+ * @param {string} address
+ *
+ * @returns {object|undefined}
+ */
+export const findContactByAddress = (contacts, address) => find(contacts, (contact) => contact.address === address);
@@ -125,6 +125,17 @@ export const getFiatBalance = (balance, usdPrice, conversionRate) => {
     return ((balance * usdPrice) / 1000000) * conversionRate;
 };
 
+/**
+ * Converts a fiat amount to (whole) iotas
+ * @param {number} fiatAmount
+ * @param {number} usdPrice - USD price per Miota
+ * @param {number} conversionRate
+ * @returns {number}
+ */
+export const convertFiatToIotas = (fiatAmount, usdPrice, conversionRate) => {
+    return Math.round((fiatAmount / (usdPrice * conversionRate)) * 1000000);
+};
+
 /**
  * Format fiat balance
  * @param  {string} locale
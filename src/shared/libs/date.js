@@ -75,6 +75,65 @@ export const formatModalTime = (locale, timezone, ts) => {
 
 export const convertUnixTimeToJSDate = (time) => convertUnixTimeToDateObject(time);
 
+/**
+ *   Formats unix time as an ISO 8601 date time with timezone offset
+ *
+ *   @method formatUnixTimeAsISO
+ *   @param {number} time - Unix time in seconds
+ *   @param {string} timezone
+ *   @returns {string}
+ **/
+export const formatUnixTimeAsISO = (time, timezone) => moment.unix(time).tz(timezone).format();
+
+/**
+ *   Formats unix time as an OFX (UTC) date time
+ *
+ *   @method formatUnixTimeAsOFX
+ *   @param {number} time - Unix time in seconds
+ *   @returns {string}
+ **/
+export const formatUnixTimeAsOFX = (time) => moment.unix(time).utc().format('YYYYMMDDHHmmss[[0:GMT]]');
+
+/**
+ *   Formats unix time as a UTC day (YYYY-MM-DD)
+ *
+ *   @method formatUnixTimeAsUTCDay
+ *   @param {number} time - Unix time in seconds
+ *   @returns {string}
+ **/
+export const formatUnixTimeAsUTCDay = (time) => moment.unix(time).utc().format('YYYY-MM-DD');
+
+/**
+ *   Checks if unix time falls within a range of days (YYYY-MM-DD), inclusive.
+ *   Unset range boundaries are ignored
+ *
+ *   @method isWithinDayRange
+ *   @param {number} time - Unix time in seconds
+ *   @param {string} [from]
+ *   @param {string} [to]
+ *   @param {string} timezone
+ *   @returns {boolean}
+ **/
+export const isWithinDayRange = (time, from, to, timezone) => {
+    const m = moment.unix(time).tz(timezone);
+
+    if (from && m.isBefore(moment.tz(from, 'YYYY-MM-DD', timezone).startOf('day'))) {
+        return false;
+    }
+
+    return !(to && m.isAfter(moment.tz(to, 'YYYY-MM-DD', timezone).endOf('day')));
+};
+
+/**
+ *   Formats time relative to now (e.g. "5 minutes ago")
+ *
+ *   @method formatTimeAgo
+ *   @param {string} locale
+ *   @param {number} time - Time in milliseconds
+ *   @returns {string}
+ **/
+export const formatTimeAgo = (locale, time) => moment(time).locale(chooseMomentLocale(locale)).fromNow();
+
 /**
  *   Checks if time falls within specified minutes
  *
@@ -3,6 +3,7 @@ export default {
         'Cannot peform a snapshot transition if all addresses have zero balance.',
     ADDRESS_ALREADY_ATTACHED: 'Address already attached.',
     KEY_REUSE: 'Key reuse detected. One or more of the input addresses have been spent from.',
+    CONTACT_ADDRESS_SPENT: 'The address saved for this contact has already been spent from.',
     NOT_ENOUGH_BALANCE: 'Insufficient balance to send the transfer.',
     ADDRESS_HAS_PENDING_TRANSFERS:
         'The input addresses have pending outgoing transfers. Confirm them before trying again.',
@@ -34,6 +35,10 @@ export default {
         'The nodes in quorum failed to agree on the state of the Tangle.',
     METHOD_NOT_SUPPORTED_FOR_QUORUM: 'Method not supported for quorum.',
     NOT_ENOUGH_QUORUM_NODES: 'Too few nodes added to conduct a quorum of the specified size.',
+    QUORUM_DISAGREEMENT: 'Node disagreed with the quorum result.',
+    INVALID_INPUT_SELECTION: 'Selected inputs cannot be spent from.',
+    INSUFFICIENT_SELECTED_INPUTS: 'Selected inputs do not cover the transfer value.',
+    INVALID_REMAINDER_ADDRESS: 'Selected remainder address cannot be used.',
     EMPTY_ADDRESS_DATA: 'Empty address data.',
     INVALID_INPUT: 'Invalid input.',
     INVALID_TRANSFER: 'Invalid transfer.',
@@ -70,4 +75,45 @@ export default {
     MARKET_DATA_FAILURE: 'Could not fetch market data',
     NO_PAYMENT_CARDS: 'No payment cards',
     EXPIRED_TIMEOUT: 'Expired timeout.',
+    INVALID_OFFLINE_TRANSFER: 'Invalid offline transfer.',
+    UNSUPPORTED_OFFLINE_TRANSFER_VERSION: 'Unsupported offline transfer version.',
+    OFFLINE_TRANSFER_MISMATCH: 'Signed transfer does not match the unsigned transfer.',
+    OFFLINE_TRANSFER_ZERO_VALUE: 'Zero value transfers do not need to be signed offline.',
+    OFFLINE_TRANSFER_INVALID_REMAINDER: 'Remainder address of the unsigned transfer does not belong to this seed.',
+    OFFLINE_TRANSFER_NOT_PREPARED: 'Signed transfer was not prepared by this wallet.',
+    WATCH_ONLY_REMAINDER_UNAVAILABLE: 'No unused watch-only address is left for the remainder.',
+    WATCH_ONLY_ACCOUNT: 'Cannot spend, promote or reattach from a watch-only account.',
+    INVALID_WATCH_ONLY_ADDRESSES: 'Invalid watch-only addresses.',
+    MULTISIG_ACCOUNT: 'Multisig transfers must be signed by all co-signers.',
+    INVALID_MULTISIG_DIGESTS: 'Invalid multisig digests.',
+    MULTISIG_INSUFFICIENT_INPUT: 'No unspent multisig address holds enough balance.',
+    MULTISIG_ADDRESSES_EXHAUSTED: 'No unspent multisig address left for the remainder.',
+    MULTISIG_NOT_COSIGNER: 'Not a co-signer of this multisig transfer.',
+    MULTISIG_SIGNING_ORDER: 'Previous co-signers have not signed this multisig transfer yet.',
+    MULTISIG_ALREADY_SIGNED: 'This co-signer has already signed this multisig transfer.',
+    MULTISIG_SIGNATURES_MISSING: 'Multisig transfer is not signed by all co-signers.',
+    MULTISIG_INVALID_REMAINDER: 'Remainder of the multisig transfer is not sent to an unspent multisig address.',
+    UNSUPPORTED_HISTORY_EXPORT_FORMAT: 'Unsupported history export format.',
+    NOTHING_TO_CONSOLIDATE: 'Funds are already held in a single address.',
+    PRICE_UNAVAILABLE: 'Up-to-date price is unavailable.',
+    SCHEDULED_PAYMENT_NOT_FOUND: 'Scheduled payment not found.',
+    SEND_POLICY_DAILY_LIMIT_EXCEEDED: 'Transfer exceeds the daily spending limit.',
+    SEND_POLICY_WEEKLY_LIMIT_EXCEEDED: 'Transfer exceeds the weekly spending limit.',
+    SEND_POLICY_RECIPIENT_NOT_ALLOWED: 'Recipient is not a saved contact.',
+    SEND_POLICY_RECIPIENT_COOLING_OFF: 'Recipient is still in its cool-off period.',
+    SEND_POLICY_PASSWORD_REQUIRED: 'Password must be re-entered for this transfer.',
+    INVALID_SEED: 'Invalid seed.',
+    INVALID_SEED_SHARES_CONFIG: 'Invalid seed shares threshold or count.',
+    NOT_ENOUGH_SEED_SHARES: 'Not enough seed shares.',
+    INVALID_SEED_SHARE: 'Invalid seed share.',
+    DUPLICATE_SEED_SHARES: 'Seed shares must have different share numbers.',
+    SEED_SHARES_CHECKSUM_MISMATCH: 'Recovered seed does not match the seed checksum of the shares.',
+    INVALID_WALLET_BACKUP: 'Invalid wallet backup.',
+    UNSUPPORTED_WALLET_BACKUP_VERSION: 'Unsupported wallet backup version.',
+    INVALID_STATE_SNAPSHOT: 'Invalid state snapshot.',
+    STATE_SNAPSHOT_LOADED: 'Cannot send or generate addresses while a state snapshot is loaded.',
+    INVALID_PAYMENT_URI: 'Invalid payment URI.',
+    UNSUPPORTED_PAYMENT_URI_VERSION: 'Unsupported payment URI version.',
+    UNSUPPORTED_PAYMENT_URI_CURRENCY: 'Payment URI currency does not match the selected currency.',
+    PAYMENT_URI_EXPIRED: 'Payment request has expired.',
 };
@@ -0,0 +1,319 @@
+import every from 'lodash/every';
+import filter from 'lodash/filter';
+import flatMap from 'lodash/flatMap';
+import get from 'lodash/get';
+import includes from 'lodash/includes';
+import isEmpty from 'lodash/isEmpty';
+import isFunction from 'lodash/isFunction';
+import keys from 'lodash/keys';
+import map from 'lodash/map';
+import orderBy from 'lodash/orderBy';
+import uniq from 'lodash/uniq';
+import values from 'lodash/values';
+import { formatUnixTimeAsISO, formatUnixTimeAsOFX, isWithinDayRange } from './date';
+import { getFiatValue } from './priceHistory';
+import { EMPTY_TRANSACTION_MESSAGE } from './iota/utils';
+import { filterTransactions, mapNormalisedTransactions } from './iota/transfers';
+import Errors from './errors';
+
+/** Supported history export formats */
+export const HISTORY_EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    ofx: { extension: 'ofx', mimeType: 'application/x-ofx' },
+};
+
+/** Columns of a history CSV export, in order */
+export const HISTORY_EXPORT_COLUMNS = [
+    'account',
+    'date',
+    'direction',
+    'value',
+    'fiatValue',
+    'fiatValueNow',
+    'currency',
+    'counterparty',
+    'bundle',
+    'message',
+    'status',
+    'label',
+    'category',
+    'note',
+];
+
+/** Currency code used in OFX exports when no fiat value is available */
+const OFX_IOTA_CURRENCY = 'MIOTA';
+
+/**
+ * Gets addresses (with checksum) of the other party of a transaction
+ *
+ * @method getTransactionCounterparties
+ * @param {object} transaction - Normalised transaction
+ * @param {array} addresses - Own addresses (without checksum)
+ *
+ * @returns {array}
+ */
+export const getTransactionCounterparties = (transaction, addresses) =>
+    uniq(
+        map(
+            filter(
+                transaction.incoming ? transaction.inputs : transaction.outputs,
+                (tx) => !includes(addresses, tx.address),
+            ),
+            (tx) => `${tx.address}${tx.checksum || ''}`,
+        ),
+    );
+
+/**
+ * Converts normalised transactions of an account to export rows
+ *
+ * @method getHistoryExportRows
+ * @param {string} accountName
+ * @param {array} transactions - Normalised transactions
+ * @param {array} addresses - Own addresses (without checksum)
+ * @param {object} options
+ *   @property {string} currency - Selected fiat currency
+ *   @property {function} [getFiatPrice] - Returns the price of 1 Mi in selected currency at a unix time
+ *   @property {number} [fiatPriceNow] - Current price of 1 Mi in selected currency
+ *   @property {string} timezone
+ *   @property {object} [metadata] - Private transaction metadata (label, note, category) keyed by bundle hash
+ *
+ * @returns {array}
+ */
+export const getHistoryExportRows = (accountName, transactions, addresses, options) => {
+    const { currency, getFiatPrice, fiatPriceNow = null, timezone, metadata = {} } = options;
+
+    return map(transactions, (transaction) => {
+        const price = isFunction(getFiatPrice) ? getFiatPrice(transaction.timestamp) : null;
+        const bundleMetadata = metadata[transaction.bundle] || {};
+
+        return {
+            account: accountName,
+            date: formatUnixTimeAsISO(transaction.timestamp, timezone),
+            timestamp: transaction.timestamp,
+            direction: transaction.incoming ? 'incoming' : 'outgoing',
+            value: transaction.transferValue,
+            fiatValue: getFiatValue(transaction.transferValue, price),
+            fiatValueNow: getFiatValue(transaction.transferValue, fiatPriceNow),
+            currency,
+            counterparty: getTransactionCounterparties(transaction, addresses).join(' '),
+            bundle: transaction.bundle,
+            message: transaction.message === EMPTY_TRANSACTION_MESSAGE ? '' : transaction.message,
+            status: transaction.persistence ? 'confirmed' : 'pending',
+            label: bundleMetadata.label || '',
+            category: bundleMetadata.category || '',
+            note: bundleMetadata.note || '',
+        };
+    });
+};
+
+/**
+ * Selects transaction history export rows of accounts, newest first
+ *
+ * @method prepareHistoryExport
+ * @param {object} accountInfo - Accounts keyed by account name
+ * @param {object} options
+ *   @property {array} [accountNames] - Accounts to export. Exports all accounts if empty
+ *   @property {string} [from] - Start day (YYYY-MM-DD), inclusive
+ *   @property {string} [to] - End day (YYYY-MM-DD), inclusive
+ *   @property {string} [filter] - History filter (All, Sent, Received, Pending)
+ *   @property {string} [search] - History search
+ *   @property {boolean} [hideEmptyTransactions]
+ *   @property {string} currency - Selected fiat currency
+ *   @property {function} [getFiatPrice] - Returns the price of 1 Mi in selected currency at a unix time
+ *   @property {number} [fiatPriceNow] - Current price of 1 Mi in selected currency
+ *   @property {string} timezone
+ *   @property {object} [metadata] - Private transaction metadata (label, note, category) keyed by bundle hash
+ *
+ * @returns {array}
+ */
+export const prepareHistoryExport = (accountInfo, options) => {
+    const { from, to, timezone, search, hideEmptyTransactions, metadata = {} } = options;
+    const accountNames = isEmpty(options.accountNames) ? keys(accountInfo) : options.accountNames;
+
+    const rows = flatMap(accountNames, (accountName) => {
+        const account = accountInfo[accountName];
+
+        if (!account) {
+            return [];
+        }
+
+        const addresses = map(account.addressData, (addressObject) => addressObject.address);
+        const transactions = filter(
+            values(mapNormalisedTransactions(account.transactions, account.addressData)),
+            (tx) => isWithinDayRange(tx.timestamp, from, to, timezone),
+        );
+
+        const { filteredTransactions } = filterTransactions(
+            transactions,
+            hideEmptyTransactions,
+            options.filter,
+            search,
+            metadata,
+        );
+
+        return getHistoryExportRows(accountName, filteredTransactions, addresses, options);
+    });
+
+    return orderBy(rows, ['timestamp'], ['desc']);
+};
+
+/**
+ * Escapes a CSV cell.
+ * Text starting with a formula character is prefixed with a quote, so that spreadsheets do not evaluate it
+ *
+ * @method escapeCsvCell
+ * @param {*} value
+ *
+ * @returns {string}
+ */
+const escapeCsvCell = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    const cell = typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Serialises export rows as CSV
+ *
+ * @method serialiseHistoryAsCsv
+ * @param {array} rows
+ *
+ * @returns {string}
+ */
+export const serialiseHistoryAsCsv = (rows) =>
+    map(
+        [HISTORY_EXPORT_COLUMNS, ...map(rows, (row) => map(HISTORY_EXPORT_COLUMNS, (column) => row[column]))],
+        (cells) => map(cells, escapeCsvCell).join(','),
+    ).join('\r\n');
+
+/**
+ * Serialises export rows as JSON
+ *
+ * @method serialiseHistoryAsJson
+ * @param {array} rows
+ *
+ * @returns {string}
+ */
+export const serialiseHistoryAsJson = (rows) => JSON.stringify(rows, null, 4);
+
+/**
+ * Escapes OFX element content
+ *
+ * @method escapeOfx
+ * @param {string} value
+ *
+ * @returns {string}
+ */
+const escapeOfx = (value) => String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Serialises export rows as an OFX (1.0.2) bank statement per account.
+ * Pending transactions are left out, as OFX has no notion of unconfirmed transactions.
+ * Amounts are in selected fiat currency, or in Mi when fiat values are unavailable.
+ *
+ * @method serialiseHistoryAsOfx
+ * @param {array} rows
+ * @param {number} [now] - Unix time of the export
+ *
+ * @returns {string}
+ */
+export const serialiseHistoryAsOfx = (rows, now = Math.floor(Date.now() / 1000)) => {
+    const confirmedRows = filter(rows, (row) => row.status === 'confirmed');
+    const isFiat = every(confirmedRows, (row) => row.fiatValue !== null);
+    const currency = isFiat ? get(rows, '[0].currency') || 'USD' : OFX_IOTA_CURRENCY;
+
+    const statements = map(uniq(map(rows, (row) => row.account)), (accountName) => {
+        const accountRows = filter(confirmedRows, (row) => row.account === accountName);
+        const timestamps = map(accountRows, (row) => row.timestamp);
+
+        const transactions = map(accountRows, (row) => {
+            const amount = isFiat ? row.fiatValue.toFixed(2) : (row.value / 1000000).toFixed(6);
+
+            return [
+                '<STMTTRN>',
+                `<TRNTYPE>${row.direction === 'incoming' ? 'CREDIT' : 'DEBIT'}`,
+                `<DTPOSTED>${formatUnixTimeAsOFX(row.timestamp)}`,
+                `<TRNAMT>${row.direction === 'incoming' ? '' : '-'}${amount}`,
+                `<FITID>${row.bundle}`,
+                `<NAME>${escapeOfx((row.label || row.counterparty || row.bundle).slice(0, 32))}`,
+                `<MEMO>${escapeOfx(`${row.value}i ${row.message}`.trim().slice(0, 255))}`,
+                '</STMTTRN>',
+            ].join('\n');
+        });
+
+        return [
+            '<STMTTRNRS>',
+            '<TRNUID>0',
+            '<STATUS>',
+            '<CODE>0',
+            '<SEVERITY>INFO',
+            '</STATUS>',
+            '<STMTRS>',
+            `<CURDEF>${currency}`,
+            '<BANKACCTFROM>',
+            '<BANKID>IOTA',
+            `<ACCTID>${escapeOfx(accountName)}`,
+            '<ACCTTYPE>CHECKING',
+            '</BANKACCTFROM>',
+            '<BANKTRANLIST>',
+            `<DTSTART>${formatUnixTimeAsOFX(isEmpty(timestamps) ? now : Math.min(...timestamps))}`,
+            `<DTEND>${formatUnixTimeAsOFX(isEmpty(timestamps) ? now : Math.max(...timestamps))}`,
+            ...transactions,
+            '</BANKTRANLIST>',
+            '</STMTRS>',
+            '</STMTTRNRS>',
+        ].join('\n');
+    });
+
+    return [
+        'OFXHEADER:100',
+        'DATA:OFXSGML',
+        'VERSION:102',
+        'SECURITY:NONE',
+        'ENCODING:USASCII',
+        'CHARSET:1252',
+        'COMPRESSION:NONE',
+        'OLDFILEUID:NONE',
+        'NEWFILEUID:NONE',
+        '',
+        '<OFX>',
+        '<SIGNONMSGSRSV1>',
+        '<SONRS>',
+        '<STATUS>',
+        '<CODE>0',
+        '<SEVERITY>INFO',
+        '</STATUS>',
+        `<DTSERVER>${formatUnixTimeAsOFX(now)}`,
+        '<LANGUAGE>ENG',
+        '</SONRS>',
+        '</SIGNONMSGSRSV1>',
+        '<BANKMSGSRSV1>',
+        ...statements,
+        '</BANKMSGSRSV1>',
+        '</OFX>',
+    ].join('\n');
+};
+
+/**
+ * Serialises export rows in a supported format
+ *
+ * @method serialiseHistory
+ * @param {string} format - csv, json or ofx
+ * @param {array} rows
+ *
+ * @returns {string}
+ */
+export const serialiseHistory = (format, rows) => {
+    switch (format) {
+        case 'csv':
+            return serialiseHistoryAsCsv(rows);
+        case 'json':
+            return serialiseHistoryAsJson(rows);
+        case 'ofx':
+            return serialiseHistoryAsOfx(rows);
+        default:
+            throw new Error(Errors.UNSUPPORTED_HISTORY_EXPORT_FORMAT);
+    }
+};
@@ -5,9 +5,10 @@ import get from 'lodash/get';
 import isUndefined from 'lodash/isUndefined';
 import unionBy from 'lodash/unionBy';
 import Errors from '../errors';
-import { getRandomNodes } from './utils';
+import { getReliableNodes } from './nodeHealth';
 import { DEFAULT_RETRIES } from '../../config';
 import { changeNode, setPowNode } from '../../actions/settings';
+import { recordNodeRequest } from '../../actions/nodeHealth';
 import store from '../../store';
 
 export default class NodesManager {
@@ -34,17 +35,31 @@ export default class NodesManager {
      * @returns {function(function): function(...[*]): Promise}
      */
     withRetries(failureCallbacks, retryAttempts = DEFAULT_RETRIES) {
-        const { priorityNode, primaryNode, nodeAutoSwitch, powNodeAutoSwitch, nodes, quorum, powNode } = this.config;
+        const {
+            priorityNode,
+            primaryNode,
+            nodeAutoSwitch,
+            powNodeAutoSwitch,
+            nodes,
+            quorum,
+            powNode,
+            nodeHealth,
+        } = this.config;
 
         let attempt = 0;
         let executedCallback = false;
-        const randomNodes = getRandomNodes(nodes, retryAttempts, [primaryNode], !isUndefined(powNode));
+        // Prefer historically reliable nodes, see libs/iota/nodeHealth
+        const reliableNodes = getReliableNodes(nodes, retryAttempts, [primaryNode], !isUndefined(powNode), nodeHealth);
 
         const retryNodes = isUndefined(powNode)
-            ? unionBy([priorityNode], randomNodes, 'url')
-            : unionBy([powNode], randomNodes, 'url');
+            ? unionBy([priorityNode], reliableNodes, 'url')
+            : unionBy([powNode], reliableNodes, 'url');
         // Abort retries on these errors
-        const cancellationErrors = [Errors.LEDGER_CANCELLED, Errors.CANNOT_TRANSITION_ADDRESSES_WITH_ZERO_BALANCE];
+        const cancellationErrors = [
+            Errors.LEDGER_CANCELLED,
+            Errors.CANNOT_TRANSITION_ADDRESSES_WITH_ZERO_BALANCE,
+            Errors.WATCH_ONLY_ACCOUNT,
+        ];
 
         return (promiseFunc) => {
             const execute = (...args) => {
@@ -57,6 +72,8 @@ export default class NodesManager {
                     quorum.enabled,
                 )(...args)
                     .then((result) => {
+                        store.dispatch(recordNodeRequest(get(retryNodes[attempt], 'url')));
+
                         if (powNode) {
                             store.dispatch(setPowNode(get(retryNodes[attempt], 'url')));
                         } else {
@@ -70,6 +87,8 @@ export default class NodesManager {
                             throw err;
                         }
 
+                        store.dispatch(recordNodeRequest(get(retryNodes[attempt], 'url'), err));
+
                         // If a function is passed as failure callback
                         // Just trigger it once.
                         if (isFunction(failureCallbacks)) {
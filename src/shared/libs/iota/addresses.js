@@ -12,6 +12,7 @@ import isNumber from 'lodash/isNumber';
 import isObject from 'lodash/isObject';
 import isBoolean from 'lodash/isBoolean';
 import includes from 'lodash/includes';
+import indexOf from 'lodash/indexOf';
 import map from 'lodash/map';
 import maxBy from 'lodash/maxBy';
 import reduce from 'lodash/reduce';
@@ -20,6 +21,8 @@ import size from 'lodash/size';
 import { iota } from './index';
 import { getBalancesAsync, wereAddressesSpentFromAsync, findTransactionsAsync, sendTransferAsync } from './extendedApi';
 import { prepareTransferArray } from './transfers';
+import { isWatchOnlySeedStore } from './watchOnly';
+import { isMultisigSeedStore } from './multisig';
 import Errors from '../errors';
 import { DEFAULT_SECURITY } from '../../config';
 import { ADDRESS_LENGTH_WITHOUT_CHECKSUM, CHECKSUM_LENGTH, VALID_ADDRESS_WITHOUT_CHECKSUM_REGEX } from './utils';
@@ -296,6 +299,13 @@ export const getFullAddressHistory = (settings, withQuorum) => (seedStore, exist
     const addressData = { hashes: [], balances: [], wereSpent: [] };
     const { transactions } = existingAccountState;
 
+    // Watch-only and multisig accounts hold a fixed list of addresses, so there are no addresses to generate
+    if (isWatchOnlySeedStore(seedStore) || isMultisigSeedStore(seedStore)) {
+        return seedStore
+            .getAddresses()
+            .then((addresses) => findAddressesData(settings, withQuorum)(addresses, transactions || []));
+    }
+
     const generateAndStoreAddressesInBatch = (currentOptions) => {
         return seedStore
             .generateAddress(currentOptions)
@@ -632,7 +642,8 @@ export const getLatestAddress = (addressData, withChecksum = false) => {
 export const getLatestAddressObject = (addressData) => maxBy(addressData, 'index');
 
 /**
- * Generate addresses till remainder (unused and also not blacklisted for being a remainder address)
+ * Generate addresses till remainder (unused and also not blacklisted for being a remainder address).
+ * Watch-only accounts cannot generate addresses, so their first unused known address is used instead
  *
  * @method getAddressDataUptoRemainder
  *
@@ -652,6 +663,24 @@ export const getAddressDataUptoRemainder = (provider, withQuorum) => (
 
     const isBlacklisted = (address) => includes(blacklistedRemainderAddresses, address);
 
+    if (isWatchOnlySeedStore(seedStore)) {
+        const remainderAddressData = find(
+            orderBy(addressData, ['index']),
+            (addressObject) =>
+                !isBlacklisted(addressObject.address) &&
+                !addressObject.spent.remote &&
+                !isAddressUsedSync(addressObject, transactions),
+        );
+
+        return remainderAddressData
+            ? Promise.resolve({
+                  remainderAddress: remainderAddressData.address,
+                  remainderIndex: remainderAddressData.index,
+                  addressDataUptoRemainder: addressData,
+              })
+            : Promise.reject(new Error(Errors.WATCH_ONLY_REMAINDER_UNAVAILABLE));
+    }
+
     if (isBlacklisted(latestAddress)) {
         const startIndex = latestAddressData.index + 1;
 
@@ -699,6 +728,24 @@ export const getAddressDataUptoRemainder = (provider, withQuorum) => (
  * @returns {function(string, array, array): Promise<object>}
  **/
 export const syncAddresses = (settings, withQuorum) => (seedStore, addressData, transactions) => {
+    // Watch-only and multisig accounts only add addresses (from their fixed list) that are not yet in address data
+    if (isWatchOnlySeedStore(seedStore) || isMultisigSeedStore(seedStore)) {
+        return seedStore.getAddresses().then((addresses) => {
+            const existingAddresses = map(addressData, (addressObject) => addressObject.address);
+            const newAddresses = filter(addresses, (address) => !includes(existingAddresses, address));
+
+            return [
+                ...addressData,
+                ...createAddressData(
+                    newAddresses,
+                    map(newAddresses, () => 0),
+                    map(newAddresses, () => ({ local: false, remote: false })),
+                    map(newAddresses, (address) => indexOf(addresses, address)),
+                ),
+            ];
+        });
+    }
+
     // Find the address object with highest index from existing address data
     const latestAddressObject = getLatestAddressObject(addressData);
 
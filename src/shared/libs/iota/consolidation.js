@@ -0,0 +1,190 @@
+import chunk from 'lodash/chunk';
+import every from 'lodash/every';
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import includes from 'lodash/includes';
+import isEmpty from 'lodash/isEmpty';
+import map from 'lodash/map';
+import reduce from 'lodash/reduce';
+import size from 'lodash/size';
+import some from 'lodash/some';
+import sortBy from 'lodash/sortBy';
+import {
+    attachToTangleAsync,
+    getBalancesAsync,
+    getTransactionsToApproveAsync,
+    storeAndBroadcastAsync,
+    wereAddressesSpentFromAsync,
+} from './extendedApi';
+import { iota } from './index';
+import { getSelectableInputs, isValidInput } from './inputs';
+import { isBundle } from './transfers';
+import { DEFAULT_TAG, MAX_CONSOLIDATION_INPUTS } from '../../config';
+import Errors from '../errors';
+
+/**
+ * Gets inputs that can be consolidated
+ * i.e., funded addresses that are neither spent from nor have pending outgoing transactions
+ *
+ * @method getConsolidationInputs
+ * @param {array} addressData
+ * @param {array} transactions
+ * @param {array} [excludedAddresses] - Addresses (e.g. consolidation address) that should not be used as inputs
+ *
+ * @returns {array} - Inputs [{ address, keyIndex, balance, security }] ordered by key index
+ */
+export const getConsolidationInputs = (addressData, transactions, excludedAddresses = []) =>
+    sortBy(
+        map(
+            filter(
+                getSelectableInputs(addressData, transactions),
+                (input) => input.selectable && !includes(excludedAddresses, input.address),
+            ),
+            ({ address, keyIndex, balance, security }) => ({ address, keyIndex, balance, security }),
+        ),
+        'keyIndex',
+    );
+
+/**
+ * Gets number of inputs spent in a single consolidation transfer
+ *
+ * @method getConsolidationChunkSize
+ * @param {number} maxInputs - Max inputs supported by seed store (zero if unlimited)
+ *
+ * @returns {number}
+ */
+export const getConsolidationChunkSize = (maxInputs) =>
+    maxInputs > 0 ? Math.min(maxInputs, MAX_CONSOLIDATION_INPUTS) : MAX_CONSOLIDATION_INPUTS;
+
+/**
+ * Plans a series of self-transfers, each spending (up to) max inputs, moving all funds to a single address
+ *
+ * @method createConsolidationPlan
+ * @param {array} inputs - Inputs to consolidate (See getConsolidationInputs)
+ * @param {object} addressObject - Consolidation address { address, index }
+ * @param {number} maxInputs - Max inputs supported by seed store (zero if unlimited)
+ *
+ * @returns {object} - { address, keyIndex, chunks: [{ inputs: [address], value }], completedChunks, createdAt }
+ */
+export const createConsolidationPlan = (inputs, { address, index }, maxInputs) => {
+    if (size(inputs) < 2) {
+        throw new Error(Errors.NOTHING_TO_CONSOLIDATE);
+    }
+
+    if (some(inputs, (input) => input.address === address)) {
+        throw new Error(Errors.CANNOT_SEND_TO_OWN_ADDRESS);
+    }
+
+    return {
+        address,
+        keyIndex: index,
+        chunks: map(chunk(inputs, getConsolidationChunkSize(maxInputs)), (inputsChunk) => ({
+            inputs: map(inputsChunk, (input) => input.address),
+            value: reduce(inputsChunk, (acc, input) => acc + input.balance, 0),
+        })),
+        completedChunks: 0,
+        createdAt: Date.now(),
+    };
+};
+
+/**
+ * Gets inputs of a planned consolidation transfer that can still be spent.
+ * Inputs already spent (e.g. by an interrupted consolidation) are left out
+ *
+ * @method getConsolidationChunkInputs
+ * @param {object} plan - Consolidation plan (See createConsolidationPlan)
+ * @param {number} chunkIndex
+ * @param {array} inputs - Inputs that can currently be consolidated (See getConsolidationInputs)
+ *
+ * @returns {array}
+ */
+export const getConsolidationChunkInputs = (plan, chunkIndex, inputs) =>
+    filter(inputs, (input) => includes(plan.chunks[chunkIndex].inputs, input.address));
+
+/**
+ * Determines if a consolidation plan has transfers left to execute
+ *
+ * @method isConsolidationPlanComplete
+ * @param {object} plan
+ *
+ * @returns {boolean}
+ */
+export const isConsolidationPlanComplete = (plan) => plan.completedChunks >= size(plan.chunks);
+
+/**
+ * Sends a consolidation transfer, moving full balance of inputs to an (unused) address of the same seed.
+ * Since inputs are spent completely, no remainder is needed
+ *
+ * @method consolidate
+ * @param {object} [settings]
+ * @param {boolean} withQuorum
+ *
+ * @returns {function(object, array, object): Promise<object>} - Resolves with { trytes, transactionObjects }
+ */
+export const consolidate = (settings, withQuorum) => (seedStore, inputs, { address, keyIndex }) => {
+    if (isEmpty(inputs) || !every(inputs, isValidInput)) {
+        return Promise.reject(new Error(Errors.INVALID_INPUT));
+    }
+
+    if (some(inputs, (input) => input.address === address)) {
+        return Promise.reject(new Error(Errors.CANNOT_SEND_TO_OWN_ADDRESS));
+    }
+
+    const inputAddresses = map(inputs, (input) => input.address);
+    const value = reduce(inputs, (acc, input) => acc + input.balance, 0);
+
+    const cached = {
+        transactionObjects: [],
+        trytes: [],
+    };
+
+    // Before proceeding make sure:
+    //  - Latest balances haven't changed (so that we don't require a remainder transaction)
+    //  - Neither inputs nor consolidation address are spent from
+    return getBalancesAsync(
+        settings,
+        withQuorum,
+    )(inputAddresses)
+        .then(({ balances }) => {
+            if (some(inputs, (input, index) => Number(balances[index]) !== input.balance)) {
+                throw new Error(Errors.BALANCE_MISMATCH);
+            }
+
+            return wereAddressesSpentFromAsync(settings, withQuorum)([...inputAddresses, address]);
+        })
+        .then((spendStatuses) => {
+            if (some(spendStatuses, (status) => status === true)) {
+                throw new Error(Errors.ALREADY_SPENT_FROM_ADDRESSES);
+            }
+
+            return seedStore.prepareTransfers(settings)(
+                [{ address: iota.utils.addChecksum(address), value, message: '', tag: DEFAULT_TAG }],
+                // Pass consolidation address as remainder as some seed stores (Ledger) always expect one
+                { inputs, address, keyIndex },
+            );
+        })
+        .then((trytes) => {
+            cached.trytes = trytes;
+            cached.transactionObjects = map(trytes, (tryteString) => iota.utils.transactionObject(tryteString));
+
+            // Check if prepared bundle is valid, especially if its signed correctly.
+            if (
+                isBundle(cached.transactionObjects) &&
+                !find(cached.transactionObjects, (tx) => tx.value > 0 && tx.address !== address)
+            ) {
+                return getTransactionsToApproveAsync(settings)();
+            }
+
+            throw new Error(Errors.INVALID_BUNDLE);
+        })
+        .then(({ trunkTransaction, branchTransaction }) =>
+            attachToTangleAsync(settings, seedStore)(trunkTransaction, branchTransaction, cached.trytes),
+        )
+        .then(({ trytes, transactionObjects }) => {
+            cached.trytes = trytes;
+            cached.transactionObjects = transactionObjects;
+
+            return storeAndBroadcastAsync(settings)(cached.trytes);
+        })
+        .then(() => cached);
+};
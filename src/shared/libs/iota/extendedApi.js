@@ -542,6 +542,33 @@ const allowsRemotePow = (settings) => {
     });
 };
 
+/**
+ * Measures node info response latency, milestone lag and remote PoW availability of the provided node
+ *
+ * @method getNodeHealthAsync
+ * @param {object} settings
+ *
+ * @returns {Promise<object>} - { latency, milestoneLag, pow }
+ */
+const getNodeHealthAsync = (settings) => {
+    const start = Date.now();
+
+    return getNodeInfoAsync(settings)().then((info) => {
+        const latency = Date.now() - start;
+        const milestoneLag = Math.max(0, info.latestMilestoneIndex - info.latestSolidSubtangleMilestoneIndex);
+
+        if (has(info, 'features')) {
+            return { latency, milestoneLag, pow: includes(info.features, 'RemotePOW') };
+        }
+
+        return checkAttachToTangleAsync(settings.url).then((response) => ({
+            latency,
+            milestoneLag,
+            pow: includes(response.error, Errors.INVALID_PARAMETERS),
+        }));
+    });
+};
+
 /**
  * Promisified version of iota.api.attachToTangle
  *
@@ -724,6 +751,7 @@ export {
     attachToTangleAsync,
     checkAttachToTangleAsync,
     allowsRemotePow,
+    getNodeHealthAsync,
     isNodeHealthy,
     isPromotable,
 };
@@ -0,0 +1,192 @@
+import differenceBy from 'lodash/differenceBy';
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import head from 'lodash/head';
+import includes from 'lodash/includes';
+import keys from 'lodash/keys';
+import reduce from 'lodash/reduce';
+import size from 'lodash/size';
+import sortBy from 'lodash/sortBy';
+import {
+    DEFAULT_INPUT_SELECTION_STRATEGY,
+    DUST_THRESHOLD,
+    MAX_DUST_INPUTS,
+    EXACT_MATCH_MAX_INPUTS,
+} from '../../config';
+
+/**
+ * Sums balances of inputs
+ *
+ * @method getInputsBalance
+ * @param {array} inputs
+ *
+ * @returns {number}
+ */
+const getInputsBalance = (inputs) => reduce(inputs, (acc, input) => acc + input.balance, 0);
+
+/**
+ * Selects inputs (in provided order) until threshold is reached
+ *
+ * @method takeUntilThreshold
+ * @param {array} inputs
+ * @param {number} threshold
+ *
+ * @returns {array}
+ */
+const takeUntilThreshold = (inputs, threshold) =>
+    reduce(inputs, (acc, input) => (getInputsBalance(acc) < threshold ? [...acc, input] : acc), []);
+
+/**
+ * Sorts inputs by optimal value
+ *
+ * @method sortInputsByOptimalValue
+ * @param {array} inputs
+ * @param {number} diff
+ *
+ * @returns {array}
+ */
+const sortInputsByOptimalValue = (inputs, diff) =>
+    inputs.slice().sort((a, b) => Math.abs(diff - a.balance) - Math.abs(diff - b.balance));
+
+/**
+ * Searches for inputs (within provided limit) whose balances exactly match threshold
+ *
+ * @method findExactMatch
+ * @param {array} inputs
+ * @param {number} threshold
+ * @param {number} limit
+ * @param {number} [maxCallTimes]
+ *
+ * @returns {array|null}
+ */
+export const findExactMatch = (inputs, threshold, limit, maxCallTimes = 100000) => {
+    // Try bigger balances first so that matches with less inputs are found earlier
+    const sortedInputs = sortBy(inputs, (input) => -input.balance);
+    let callTimes = 0;
+
+    const search = (startIndex, remaining, partial) => {
+        callTimes += 1;
+
+        if (remaining === 0) {
+            return partial;
+        }
+
+        if (size(partial) === limit || callTimes > maxCallTimes) {
+            return null;
+        }
+
+        for (let index = startIndex; index < size(sortedInputs); index += 1) {
+            const input = sortedInputs[index];
+
+            if (input.balance <= remaining) {
+                const match = search(index + 1, remaining - input.balance, [...partial, input]);
+
+                if (match) {
+                    return match;
+                }
+            }
+        }
+
+        return null;
+    };
+
+    return search(0, threshold, []);
+};
+
+/**
+ * Input selection strategies
+ *
+ * Each strategy receives funded inputs, threshold and inputs limit (zero if unlimited)
+ * and returns the inputs to spend from. Balance of available inputs is always sufficient.
+ */
+export const INPUT_SELECTION_STRATEGIES = {
+    /**
+     * Repeatedly selects the input with balance closest to the remaining value
+     */
+    optimalValue: (inputs, threshold) => {
+        const selectedInputs = [];
+        let availableBalance = 0;
+
+        while (availableBalance < threshold) {
+            const input = head(
+                sortInputsByOptimalValue(differenceBy(inputs, selectedInputs, 'address'), threshold - availableBalance),
+            );
+
+            selectedInputs.push(input);
+
+            availableBalance += input.balance;
+        }
+
+        return selectedInputs;
+    },
+    /**
+     * Selects as few inputs as possible (biggest balances first).
+     * The last selected input is replaced with the smallest input still covering the value, to reduce remainder
+     */
+    fewestInputs: (inputs, threshold) => {
+        const selectedInputs = takeUntilThreshold(
+            sortBy(inputs, (input) => -input.balance),
+            threshold,
+        );
+        const otherInputs = selectedInputs.slice(0, -1);
+        const remaining = threshold - getInputsBalance(otherInputs);
+
+        const replacement = find(
+            sortBy(differenceBy(inputs, otherInputs, 'address'), (input) => input.balance),
+            (input) => input.balance >= remaining,
+        );
+
+        return [...otherInputs, replacement];
+    },
+    /**
+     * Selects inputs exactly matching the value (so that no remainder is needed) if any,
+     * otherwise falls back to optimal value selection
+     */
+    exactMatch: (inputs, threshold, maxInputs) =>
+        findExactMatch(inputs, threshold, maxInputs > 0 ? maxInputs : EXACT_MATCH_MAX_INPUTS) ||
+        INPUT_SELECTION_STRATEGIES.optimalValue(inputs, threshold),
+    /**
+     * Selects inputs with the lowest key indexes first
+     */
+    oldestFirst: (inputs, threshold) =>
+        takeUntilThreshold(
+            sortBy(inputs, (input) => input.keyIndex),
+            threshold,
+        ),
+    /**
+     * Selects inputs by optimal value and additionally includes inputs with small balances (dust)
+     * so that they are consolidated into the remainder address
+     */
+    consolidateDust: (inputs, threshold, maxInputs) => {
+        const selectedInputs = INPUT_SELECTION_STRATEGIES.optimalValue(inputs, threshold);
+        const dustLimit = maxInputs > 0 ? Math.min(MAX_DUST_INPUTS, maxInputs - size(selectedInputs)) : MAX_DUST_INPUTS;
+
+        const dustInputs = sortBy(
+            filter(differenceBy(inputs, selectedInputs, 'address'), (input) => input.balance < DUST_THRESHOLD),
+            (input) => input.balance,
+        ).slice(0, Math.max(dustLimit, 0));
+
+        return [...selectedInputs, ...dustInputs];
+    },
+};
+
+/**
+ * Checks if input selection strategy is supported
+ *
+ * @method isValidInputSelectionStrategy
+ * @param {string} strategy
+ *
+ * @returns {boolean}
+ */
+export const isValidInputSelectionStrategy = (strategy) => includes(keys(INPUT_SELECTION_STRATEGIES), strategy);
+
+/**
+ * Gets input selection strategy function. Falls back to the default strategy for unknown strategies
+ *
+ * @method getInputSelectionStrategy
+ * @param {string} strategy
+ *
+ * @returns {function(array, number, number): array}
+ */
+export const getInputSelectionStrategy = (strategy) =>
+    INPUT_SELECTION_STRATEGIES[isValidInputSelectionStrategy(strategy) ? strategy : DEFAULT_INPUT_SELECTION_STRATEGY];
@@ -1,13 +1,17 @@
+import assign from 'lodash/assign';
 import flatMap from 'lodash/flatMap';
+import find from 'lodash/find';
 import isObject from 'lodash/isObject';
-import differenceBy from 'lodash/differenceBy';
-import head from 'lodash/head';
 import each from 'lodash/each';
+import includes from 'lodash/includes';
 import isEmpty from 'lodash/isEmpty';
+import isNull from 'lodash/isNull';
 import isNumber from 'lodash/isNumber';
 import filter from 'lodash/filter';
+import map from 'lodash/map';
 import reduce from 'lodash/reduce';
 import size from 'lodash/size';
+import uniq from 'lodash/uniq';
 import {
     filterSpentAddressData,
     filterAddressDataWithPendingIncomingTransactions,
@@ -15,23 +19,31 @@ import {
     filterAddressDataWithPendingOutgoingTransactions,
 } from './addresses';
 import { VALID_ADDRESS_WITHOUT_CHECKSUM_REGEX } from './utils';
-import { DEFAULT_SECURITY } from '../../config';
+import { DEFAULT_SECURITY, DEFAULT_INPUT_SELECTION_STRATEGY } from '../../config';
 import Errors from '../errors';
 import { filterNonFundedBundles, constructBundlesFromTransactions } from './transfers';
+import { getInputSelectionStrategy } from './inputSelection';
 
 /**
  *   Prepares inputs for sending transfer from locally stored address related information
- *   Starts from the search index (start) and stops when the threshold is reached
+ *   Selects inputs with provided input selection strategy and stops when the threshold is reached
  *
  *   @method prepareInputs
  *   @param {array} addressData
  *   @param {number} maxInputs - Inputs limit
  *   @param {number} threshold - Maximum value (balance) to stop the search
  *   @param {number} [security= 2]
+ *   @param {string} [strategy] - Input selection strategy (See libs/iota/inputSelection#INPUT_SELECTION_STRATEGIES)
  *
  *   @returns {object} inputs, balance
  **/
-export const prepareInputs = (addressData, threshold, maxInputs = 2, security = DEFAULT_SECURITY) => {
+export const prepareInputs = (
+    addressData,
+    threshold,
+    maxInputs = 2,
+    security = DEFAULT_SECURITY,
+    strategy = DEFAULT_INPUT_SELECTION_STRATEGY,
+) => {
     const _throw = (error) => {
         throw new Error(error);
     };
@@ -56,22 +68,8 @@ export const prepareInputs = (addressData, threshold, maxInputs = 2, security =
         (input) => input.balance > 0,
     );
 
-    // First try to select inputs by optimal value i.e., select less inputs as possible
-    const selectedInputs = [];
-    let availableBalance = 0;
-
-    while (availableBalance < threshold) {
-        const sortedInputs = sortInputsByOptimalValue(
-            differenceBy(availableInputs, selectedInputs, 'address'),
-            threshold - availableBalance,
-        );
-
-        const input = head(sortedInputs);
-
-        selectedInputs.push(input);
-
-        availableBalance += input.balance;
-    }
+    const selectedInputs = getInputSelectionStrategy(strategy)(availableInputs, threshold, maxInputs);
+    const availableBalance = reduce(selectedInputs, (acc, input) => acc + input.balance, 0);
 
     if (maxInputs > 0 && size(selectedInputs) > maxInputs) {
         _throw(Errors.CANNOT_FIND_INPUTS_WITH_PROVIDED_LIMIT);
@@ -83,18 +81,6 @@ export const prepareInputs = (addressData, threshold, maxInputs = 2, security =
     };
 };
 
-/**
- * Sorts inputs by optimal value
- *
- * @method sortInputsByOptimalValue
- * @param {array} inputs
- * @param {number} diff
- *
- * @returns {array}
- */
-const sortInputsByOptimalValue = (inputs, diff) =>
-    inputs.slice().sort((a, b) => Math.abs(diff - a.balance) - Math.abs(diff - b.balance));
-
 /**
  * Given a list of balances and a threshold
  * attempts to find a subset (within provided limit) with an exact match.
@@ -177,18 +163,55 @@ export const subsetSumWithLimit = (limit = 2, MAX_CALL_TIMES = 100000) => {
  * Returns an object with all inputs with addresses that are unspent, total computed balance and
  * balance associated with all addresses.
  *
+ * If input addresses are selected (coin control), all of them are used as inputs.
+ * Throws if any selected address cannot be spent from.
+ * Otherwise, inputs are selected with the (account) input selection strategy.
+ *
  * @method getInputs
  *
  * @param {object} {settings}
  * @param {boolean} withQuorum
  *
- * @returns {function(array, array, number, *): Promise<object>}
+ * @returns {function(array, array, number, *, [array], [string]): Promise<object>}
  **/
-export const getInputs = (settings, withQuorum) => (addressData, transactions, threshold, maxInputs = 0) => {
+export const getInputs = (settings, withQuorum) => (
+    addressData,
+    transactions,
+    threshold,
+    maxInputs = 0,
+    selectedAddresses = null,
+    strategy = DEFAULT_INPUT_SELECTION_STRATEGY,
+) => {
+    const hasSelectedInputs = !isNull(selectedAddresses);
+
+    // Only consider (funded) selected addresses if inputs are selected manually
+    const candidateAddressData = hasSelectedInputs
+        ? filter(
+              addressData,
+              (addressObject) => includes(selectedAddresses, addressObject.address) && addressObject.balance > 0,
+          )
+        : addressData;
+
+    // Throws if any of the selected addresses were filtered out
+    const throwIfAnySelectedAddressIsFiltered = (filteredAddressData, error) => {
+        if (hasSelectedInputs && size(filteredAddressData) < size(candidateAddressData)) {
+            throw new Error(error);
+        }
+    };
+
+    if (
+        hasSelectedInputs &&
+        (isEmpty(selectedAddresses) || size(candidateAddressData) < size(uniq(selectedAddresses)))
+    ) {
+        return Promise.reject(new Error(Errors.INVALID_INPUT_SELECTION));
+    }
+
     // TODO: Validate address data & transactions
     // Check if there is sufficient balance
-    if (reduce(addressData, (acc, addressObject) => acc + addressObject.balance, 0) < threshold) {
-        return Promise.reject(new Error(Errors.INSUFFICIENT_BALANCE));
+    if (reduce(candidateAddressData, (acc, addressObject) => acc + addressObject.balance, 0) < threshold) {
+        return Promise.reject(
+            new Error(hasSelectedInputs ? Errors.INSUFFICIENT_SELECTED_INPUTS : Errors.INSUFFICIENT_BALANCE),
+        );
     }
 
     if (!isNumber(maxInputs)) {
@@ -206,10 +229,12 @@ export const getInputs = (settings, withQuorum) => (addressData, transactions, t
             // Remove addresses from addressData with (still funded) pending incoming transactions
             // This mitigates an attack where an adversary could broadcast a fake transaction to block spending from this input address.
             let addressDataForInputs = filterAddressDataWithPendingIncomingTransactions(
-                addressData,
+                candidateAddressData,
                 flatMap(fundedBundles),
             );
 
+            throwIfAnySelectedAddressIsFiltered(addressDataForInputs, Errors.INCOMING_TRANSFERS);
+
             if (reduce(addressDataForInputs, (acc, addressObject) => acc + addressObject.balance, 0) < threshold) {
                 throw new Error(Errors.INCOMING_TRANSFERS);
             }
@@ -217,6 +242,8 @@ export const getInputs = (settings, withQuorum) => (addressData, transactions, t
             // Filter addresses with pending outgoing transactions
             addressDataForInputs = filterAddressDataWithPendingOutgoingTransactions(addressDataForInputs, transactions);
 
+            throwIfAnySelectedAddressIsFiltered(addressDataForInputs, Errors.ADDRESS_HAS_PENDING_TRANSFERS);
+
             if (reduce(addressDataForInputs, (acc, addressObject) => acc + addressObject.balance, 0) < threshold) {
                 throw new Error(Errors.ADDRESS_HAS_PENDING_TRANSFERS);
             }
@@ -225,12 +252,160 @@ export const getInputs = (settings, withQuorum) => (addressData, transactions, t
             return filterSpentAddressData(settings, withQuorum)(addressDataForInputs, transactions);
         })
         .then((unspentAddressData) => {
+            throwIfAnySelectedAddressIsFiltered(unspentAddressData, Errors.FUNDS_AT_SPENT_ADDRESSES);
+
             if (reduce(unspentAddressData, (acc, addressObject) => acc + addressObject.balance, 0) < threshold) {
                 throw new Error(Errors.FUNDS_AT_SPENT_ADDRESSES);
             }
 
-            return prepareInputs(unspentAddressData, threshold, maxInputs);
+            return hasSelectedInputs
+                ? selectInputs(unspentAddressData, threshold, maxInputs)
+                : prepareInputs(unspentAddressData, threshold, maxInputs, DEFAULT_SECURITY, strategy);
+        });
+};
+
+/**
+ * Uses all (funded) addresses as inputs, without optimising for value
+ *
+ * @method selectInputs
+ * @param {array} addressData - Address data of selected addresses
+ * @param {number} threshold
+ * @param {number} [maxInputs]
+ * @param {number} [security]
+ *
+ * @returns {object} inputs, balance
+ */
+export const selectInputs = (addressData, threshold, maxInputs = 0, security = DEFAULT_SECURITY) => {
+    const inputs = transformAddressDataToInputs(
+        filter(addressData, (addressObject) => addressObject.balance > 0),
+        security,
+    );
+    const balance = reduce(inputs, (acc, input) => acc + input.balance, 0);
+
+    if (!threshold) {
+        throw new Error(Errors.INPUTS_THRESHOLD_CANNOT_BE_ZERO);
+    }
+
+    if (balance < threshold) {
+        throw new Error(Errors.INSUFFICIENT_SELECTED_INPUTS);
+    }
+
+    if (maxInputs > 0 && size(inputs) > maxInputs) {
+        throw new Error(Errors.CANNOT_FIND_INPUTS_WITH_PROVIDED_LIMIT);
+    }
+
+    return {
+        inputs,
+        balance,
+    };
+};
+
+/**
+ * Lists funded addresses for manual input selection (coin control) with their spent status.
+ * Addresses that are spent or have pending outgoing transactions cannot be selected
+ *
+ * @method getSelectableInputs
+ * @param {array} addressData
+ * @param {array} transactions
+ * @param {number} [security]
+ *
+ * @returns {array} - [{ address, balance, keyIndex, security, spent, hasPendingOutgoingTransactions, selectable }]
+ */
+export const getSelectableInputs = (addressData, transactions, security = DEFAULT_SECURITY) => {
+    const fundedAddressData = filter(addressData, (addressObject) => addressObject.balance > 0);
+    const addressesWithoutPendingOutgoingTransactions = map(
+        filterAddressDataWithPendingOutgoingTransactions(fundedAddressData, transactions),
+        (addressObject) => addressObject.address,
+    );
+
+    return map(transformAddressDataToInputs(fundedAddressData, security), (input, index) => {
+        const spent = fundedAddressData[index].spent.local || fundedAddressData[index].spent.remote;
+        const hasPendingOutgoingTransactions = !includes(addressesWithoutPendingOutgoingTransactions, input.address);
+
+        return assign({}, input, {
+            spent,
+            hasPendingOutgoingTransactions,
+            selectable: !spent && !hasPendingOutgoingTransactions,
         });
+    });
+};
+
+/**
+ * Gets address data that can be selected as remainder address (coin control)
+ * i.e., unspent addresses without balance or pending outgoing transactions
+ *
+ * @method getSelectableRemainderAddressData
+ * @param {array} addressData
+ * @param {array} transactions
+ *
+ * @returns {array}
+ */
+export const getSelectableRemainderAddressData = (addressData, transactions) =>
+    filter(
+        filterAddressDataWithPendingOutgoingTransactions(addressData, transactions),
+        (addressObject) => !addressObject.spent.local && !addressObject.spent.remote && addressObject.balance === 0,
+    );
+
+/**
+ * Validates manually selected inputs (coin control) against the value to send
+ *
+ * @method getInputSelectionValidationError
+ * @param {array} selectedInputs - Selected inputs (see getSelectableInputs)
+ * @param {number} value
+ *
+ * @returns {string|null} - Validation error (coinControl translation key) or null if selection is valid
+ */
+export const getInputSelectionValidationError = (selectedInputs, value) => {
+    if (!value) {
+        return 'zeroValue';
+    }
+
+    if (isEmpty(selectedInputs)) {
+        return 'noInputsSelected';
+    }
+
+    if (reduce(selectedInputs, (acc, input) => acc + input.balance, 0) < value) {
+        return 'insufficientSelectedInputs';
+    }
+
+    return null;
+};
+
+/**
+ * Validates a selected remainder address (coin control).
+ * Remainder address must belong to the account, must not be an input or receive address and must not be spent from
+ *
+ * @method getSelectedRemainder
+ * @param {object} settings
+ * @param {boolean} withQuorum
+ *
+ * @returns {function(array, array, string, array): Promise<object>} - Resolves with { remainderAddress, remainderIndex }
+ */
+export const getSelectedRemainder = (settings, withQuorum) => (
+    addressData,
+    transactions,
+    remainderAddress,
+    blacklistedAddresses,
+) => {
+    const addressObject = find(
+        getSelectableRemainderAddressData(addressData, transactions),
+        (item) => item.address === remainderAddress,
+    );
+
+    if (!addressObject || includes(blacklistedAddresses, remainderAddress)) {
+        return Promise.reject(new Error(Errors.INVALID_REMAINDER_ADDRESS));
+    }
+
+    return filterSpentAddressData(settings, withQuorum)([addressObject], transactions).then((unspentAddressData) => {
+        if (isEmpty(unspentAddressData)) {
+            throw new Error(Errors.KEY_REUSE);
+        }
+
+        return {
+            remainderAddress,
+            remainderIndex: addressObject.index,
+        };
+    });
 };
 
 /**
@@ -0,0 +1,432 @@
+import Bundle from 'iota.lib.js/lib/crypto/bundle/bundle';
+import cloneDeep from 'lodash/cloneDeep';
+import every from 'lodash/every';
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import findIndex from 'lodash/findIndex';
+import get from 'lodash/get';
+import head from 'lodash/head';
+import isArray from 'lodash/isArray';
+import isNumber from 'lodash/isNumber';
+import isString from 'lodash/isString';
+import map from 'lodash/map';
+import minBy from 'lodash/minBy';
+import orderBy from 'lodash/orderBy';
+import size from 'lodash/size';
+import sumBy from 'lodash/sumBy';
+import take from 'lodash/take';
+import times from 'lodash/times';
+import uniqBy from 'lodash/uniqBy';
+import { iota } from './index';
+import {
+    OFFLINE_TRANSFER_TYPES,
+    OFFLINE_TRANSFER_VERSION,
+    getSignedTransferSummary,
+    getUnsignedTransferSummary,
+    isMatchingTransferSummary,
+} from './offlineSigning';
+import Errors from '../errors';
+import { DEFAULT_SECURITY } from '../../config';
+
+/** SeedStore type of multisig accounts */
+export const MULTISIG_SEED_STORE_TYPE = 'multisig';
+
+/** Version of the multisig digests export format */
+export const MULTISIG_EXPORT_VERSION = 1;
+
+/** Type of the multisig digests export file */
+export const MULTISIG_DIGESTS_EXPORT_TYPE = 'multisigDigests';
+
+/** Number of key digests (and therefore multisig addresses) exchanged between co-signers */
+export const MULTISIG_ADDRESS_COUNT = 20;
+
+/** Length of a key digest (in trytes) per security level */
+const DIGEST_LENGTH = 81;
+
+/**
+ * Checks if an account is a multisig account
+ *
+ * @method isMultisigAccount
+ * @param {object} accountState
+ *
+ * @returns {boolean}
+ */
+export const isMultisigAccount = (accountState) => get(accountState, 'meta.type') === MULTISIG_SEED_STORE_TYPE;
+
+/**
+ * Checks if a SeedStore object holds a multisig co-signer seed
+ *
+ * @method isMultisigSeedStore
+ * @param {object} seedStore - SeedStore class object
+ *
+ * @returns {boolean}
+ */
+export const isMultisigSeedStore = (seedStore) => get(seedStore, 'constructor.isMultisig') === true;
+
+/**
+ * Gets key digests of a co-signer seed, one per multisig address
+ *
+ * @method getMultisigDigests
+ * @param {string|array} seed - Seed trytes or trits
+ * @param {number} [security]
+ * @param {number} [total]
+ *
+ * @returns {array} Key digests ordered by key index
+ */
+export const getMultisigDigests = (seed, security = DEFAULT_SECURITY, total = MULTISIG_ADDRESS_COUNT) =>
+    times(total, (index) => iota.multisig.getDigest(seed, index, security));
+
+/**
+ * Creates an export of a co-signer's key digests, that other co-signers import to create the multisig account
+ *
+ * @method createMultisigDigestsExport
+ * @param {string} name - Co-signer name
+ * @param {number} security
+ * @param {array} digests
+ *
+ * @returns {object}
+ */
+export const createMultisigDigestsExport = (name, security, digests) => ({
+    version: MULTISIG_EXPORT_VERSION,
+    type: MULTISIG_DIGESTS_EXPORT_TYPE,
+    name,
+    security,
+    digests,
+});
+
+/**
+ * Parses and validates an exported co-signer's key digests
+ *
+ * @method parseMultisigDigestsExport
+ * @param {string} content
+ *
+ * @returns {object} Co-signer ({ name, security, digests })
+ */
+export const parseMultisigDigestsExport = (content) => {
+    let data;
+
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(Errors.INVALID_MULTISIG_DIGESTS);
+    }
+
+    const isValid =
+        get(data, 'type') === MULTISIG_DIGESTS_EXPORT_TYPE &&
+        data.version === MULTISIG_EXPORT_VERSION &&
+        isString(data.name) &&
+        [1, 2, 3].indexOf(data.security) > -1 &&
+        isArray(data.digests) &&
+        size(data.digests) === MULTISIG_ADDRESS_COUNT &&
+        every(data.digests, (digest) => iota.valid.isTrytes(digest, DIGEST_LENGTH * data.security));
+
+    if (!isValid) {
+        throw new Error(Errors.INVALID_MULTISIG_DIGESTS);
+    }
+
+    return { name: data.name, security: data.security, digests: data.digests };
+};
+
+/**
+ * Adds a co-signer to a list of co-signers.
+ * Co-signers are ordered by their first key digest, so that every co-signer derives the same multisig addresses
+ * and signs in the same order, regardless of the order in which digests were exchanged.
+ *
+ * @method addCosigner
+ * @param {array} cosigners
+ * @param {object} cosigner - { name, security, digests }
+ *
+ * @returns {array}
+ */
+export const addCosigner = (cosigners, cosigner) =>
+    orderBy(
+        uniqBy([...cosigners, cosigner], (item) => head(item.digests)),
+        [(item) => head(item.digests)],
+    );
+
+/**
+ * Gets multisig addresses of co-signers
+ *
+ * @method getMultisigAddresses
+ * @param {array} cosigners - Ordered co-signers ({ name, security, digests })
+ *
+ * @returns {array} Addresses (without checksum) ordered by key index
+ */
+export const getMultisigAddresses = (cosigners) =>
+    times(MULTISIG_ADDRESS_COUNT, (index) =>
+        new iota.multisig.address().absorb(map(cosigners, (cosigner) => cosigner.digests[index])).finalize(),
+    );
+
+/**
+ * Gets the sum of co-signer security levels, i.e. the number of signature transactions of a multisig input
+ *
+ * @method getMultisigSecuritySum
+ * @param {array} cosigners
+ *
+ * @returns {number}
+ */
+export const getMultisigSecuritySum = (cosigners) => sumBy(cosigners, 'security');
+
+/**
+ * Checks if an address object was ever spent from
+ *
+ * @method isSpentAddressObject
+ * @param {object} addressObject
+ *
+ * @returns {boolean}
+ */
+const isSpentAddressObject = (addressObject) => addressObject.spent.local || addressObject.spent.remote;
+
+/**
+ * Gets the address object to receive on. Spent multisig addresses are never reused
+ *
+ * @method getMultisigReceiveAddressObject
+ * @param {array} addressData
+ *
+ * @returns {object|undefined}
+ */
+export const getMultisigReceiveAddressObject = (addressData) =>
+    minBy(
+        filter(addressData, (addressObject) => !isSpentAddressObject(addressObject)),
+        'index',
+    );
+
+/**
+ * Selects the input and the remainder address of a multisig transfer.
+ * A multisig transfer spends the full balance of a single unspent address,
+ * and sends the remainder to another unspent address
+ *
+ * @method getMultisigInputAndRemainder
+ * @param {array} addressData
+ * @param {number} value
+ * @param {number} securitySum
+ *
+ * @returns {object} { input: { address, balance, keyIndex, security }, remainder: { address, keyIndex } }
+ */
+export const getMultisigInputAndRemainder = (addressData, value, securitySum) => {
+    const unspentAddressData = orderBy(
+        filter(addressData, (addressObject) => !isSpentAddressObject(addressObject)),
+        ['index'],
+    );
+
+    const input = find(unspentAddressData, (addressObject) => addressObject.balance >= value);
+
+    if (!input) {
+        throw new Error(Errors.MULTISIG_INSUFFICIENT_INPUT);
+    }
+
+    const remainder = find(unspentAddressData, (addressObject) => addressObject.address !== input.address);
+
+    if (!remainder) {
+        throw new Error(Errors.MULTISIG_ADDRESSES_EXHAUSTED);
+    }
+
+    return {
+        input: { address: input.address, balance: input.balance, keyIndex: input.index, security: securitySum },
+        remainder: { address: remainder.address, keyIndex: remainder.index },
+    };
+};
+
+/**
+ * Converts bundle transaction objects to trytes, ordered like prepared transfers (descending current index)
+ *
+ * @method getBundleTrytes
+ * @param {array} transactionObjects
+ *
+ * @returns {array}
+ */
+const getBundleTrytes = (transactionObjects) =>
+    map(orderBy(transactionObjects, ['currentIndex'], ['desc']), (transaction) =>
+        iota.utils.transactionTrytes(transaction),
+    );
+
+/**
+ * Creates an unsigned multisig transfer. Co-signers sign its bundle in turn, before it is broadcast
+ *
+ * @method createMultisigTransfer
+ * @param {array} transfers - Prepared transfers array ({ address, value, message, tag })
+ * @param {object} input - { address, balance, keyIndex, security }
+ * @param {object} remainder - { address, keyIndex }
+ *
+ * @returns {Promise<object>}
+ */
+export const createMultisigTransfer = (transfers, input, remainder) =>
+    new Promise((resolve, reject) => {
+        iota.multisig.initiateTransfer(
+            { address: input.address, securitySum: input.security, balance: input.balance },
+            remainder.address,
+            cloneDeep(transfers),
+            (error, bundle) => {
+                if (error) {
+                    return reject(error);
+                }
+
+                resolve({
+                    version: OFFLINE_TRANSFER_VERSION,
+                    type: OFFLINE_TRANSFER_TYPES.multisig,
+                    transfers,
+                    inputs: [input],
+                    remainder,
+                    trytes: getBundleTrytes(bundle),
+                });
+            },
+        );
+    });
+
+/**
+ * Checks if the bundle hash of a multisig transfer matches its bundle essence,
+ * so that co-signers never sign a bundle hash of a different bundle
+ *
+ * @method hasValidBundleHash
+ * @param {array} transactionObjects - Ordered by current index
+ *
+ * @returns {boolean}
+ */
+const hasValidBundleHash = (transactionObjects) => {
+    const bundle = new Bundle();
+    bundle.bundle = cloneDeep(transactionObjects);
+    bundle.finalize();
+
+    return every(transactionObjects, (transaction) => transaction.bundle === head(bundle.bundle).bundle);
+};
+
+/**
+ * Gets the number of signed input transactions of a multisig transfer
+ *
+ * @method getSignedTransactionsCount
+ * @param {object} transfer
+ *
+ * @returns {number}
+ */
+const getSignedTransactionsCount = (transfer) =>
+    size(
+        filter(
+            getSignedTransferSummary(transfer).transactionObjects,
+            (transaction) =>
+                transaction.address === head(transfer.inputs).address &&
+                !/^9+$/.test(transaction.signatureMessageFragment),
+        ),
+    );
+
+/**
+ * Gets which co-signers have signed a multisig transfer
+ *
+ * @method getMultisigSignatureStatus
+ * @param {object} transfer
+ * @param {array} cosigners - Ordered co-signers
+ *
+ * @returns {array} [{ name, isSigned }] in signing order
+ */
+export const getMultisigSignatureStatus = (transfer, cosigners) => {
+    const signedTransactionsCount = getSignedTransactionsCount(transfer);
+
+    return map(cosigners, (cosigner, index) => ({
+        name: cosigner.name,
+        isSigned: getMultisigSecuritySum(take(cosigners, index + 1)) <= signedTransactionsCount,
+    }));
+};
+
+/**
+ * Checks if all co-signers have signed a multisig transfer, and all signatures are valid
+ *
+ * @method isFullySignedMultisigTransfer
+ * @param {object} transfer
+ *
+ * @returns {boolean}
+ */
+export const isFullySignedMultisigTransfer = (transfer) =>
+    iota.utils.validateSignatures(getSignedTransferSummary(transfer).transactionObjects, head(transfer.inputs).address);
+
+/**
+ * Checks if the remainder of a multisig transfer is sent back to an unspent address of the multisig account.
+ * The remainder address is chosen by the initiator, so every co-signer derives it from the co-signer digests before signing.
+ * Transfers without a remainder value do not send anything to the remainder address
+ *
+ * @method isValidMultisigRemainder
+ * @param {object} transfer
+ * @param {array} addresses - Multisig addresses (See getMultisigAddresses)
+ * @param {array} [addressData] - Address data of the multisig account
+ *
+ * @returns {boolean}
+ */
+export const isValidMultisigRemainder = (transfer, addresses, addressData = []) => {
+    const { remainderValue, remainderAddress } = getUnsignedTransferSummary(transfer);
+
+    if (remainderValue <= 0) {
+        return true;
+    }
+
+    const address = iota.utils.noChecksum(remainderAddress);
+    const { keyIndex } = transfer.remainder;
+    const addressObject = find(addressData, { address });
+
+    return (
+        isNumber(keyIndex) &&
+        address === addresses[keyIndex] &&
+        address !== head(transfer.inputs).address &&
+        !(addressObject && isSpentAddressObject(addressObject))
+    );
+};
+
+/**
+ * Adds this co-signer's signature to a multisig transfer.
+ * Co-signers sign in the order of their first key digest.
+ *
+ * @method signMultisigTransfer
+ * @param {object} seedStore - Multisig SeedStore class object
+ * @param {object} transfer
+ * @param {array} [addressData] - Address data of the multisig account, so that spent remainder addresses are rejected
+ *
+ * @returns {Promise<object>} Transfer with updated bundle trytes
+ */
+export const signMultisigTransfer = (seedStore, transfer, addressData = []) => {
+    const input = head(transfer.inputs);
+    const { transactionObjects } = getSignedTransferSummary(transfer);
+
+    return Promise.all([seedStore.getCosigners(), seedStore.getMultisigDigest(input.keyIndex)])
+        .then(([cosigners, digest]) => {
+            const position = findIndex(cosigners, (cosigner) => cosigner.digests[input.keyIndex] === digest);
+
+            const addresses = getMultisigAddresses(cosigners);
+
+            if (position === -1 || addresses[input.keyIndex] !== input.address) {
+                throw new Error(Errors.MULTISIG_NOT_COSIGNER);
+            }
+
+            if (!isValidMultisigRemainder(transfer, addresses, addressData)) {
+                throw new Error(Errors.MULTISIG_INVALID_REMAINDER);
+            }
+
+            // Never sign a bundle other than the one that was verified by this co-signer
+            const isValidBundle =
+                size(filter(transactionObjects, { address: input.address })) === getMultisigSecuritySum(cosigners) &&
+                hasValidBundleHash(transactionObjects) &&
+                isMatchingTransferSummary(transfer, transfer);
+
+            if (!isValidBundle) {
+                throw new Error(Errors.INVALID_BUNDLE);
+            }
+
+            const signedTransactionsCount = getSignedTransactionsCount(transfer);
+            const expectedSignedTransactionsCount = getMultisigSecuritySum(take(cosigners, position));
+
+            if (signedTransactionsCount > expectedSignedTransactionsCount) {
+                throw new Error(Errors.MULTISIG_ALREADY_SIGNED);
+            }
+
+            if (signedTransactionsCount < expectedSignedTransactionsCount) {
+                throw new Error(Errors.MULTISIG_SIGNING_ORDER);
+            }
+
+            return seedStore.getMultisigKey(input.keyIndex);
+        })
+        .then(
+            (key) =>
+                new Promise((resolve, reject) => {
+                    iota.multisig.addSignature(transactionObjects, input.address, key, (error, bundle) =>
+                        error ? reject(error) : resolve(bundle),
+                    );
+                }),
+        )
+        .then((bundle) => ({ ...transfer, trytes: getBundleTrytes(bundle) }));
+};
@@ -0,0 +1,193 @@
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import get from 'lodash/get';
+import isNull from 'lodash/isNull';
+import map from 'lodash/map';
+import orderBy from 'lodash/orderBy';
+import shuffle from 'lodash/shuffle';
+import sortBy from 'lodash/sortBy';
+import take from 'lodash/take';
+
+/**
+ * Weight of the latest latency measurement in the (exponential moving) average latency
+ */
+export const NODE_LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Creates an empty health record for a node
+ *
+ * @method createNodeHealthRecord
+ * @param {string} url
+ *
+ * @returns {object}
+ */
+export const createNodeHealthRecord = (url) => ({
+    url,
+    requests: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    latency: null,
+    milestoneLag: null,
+    pow: null,
+    lastError: '',
+    lastSuccessAt: 0,
+    lastFailureAt: 0,
+    lastCheckedAt: 0,
+});
+
+/**
+ * Adds the result of a node request to its health record
+ *
+ * @method addNodeRequestResult
+ * @param {object} record
+ * @param {Error|string|null} error - Request error, null if the request succeeded
+ * @param {number} [now] - Current time (ms)
+ *
+ * @returns {object}
+ */
+export const addNodeRequestResult = (record, error, now = Date.now()) => {
+    if (!error) {
+        return {
+            ...record,
+            requests: record.requests + 1,
+            consecutiveFailures: 0,
+            lastSuccessAt: now,
+        };
+    }
+
+    return {
+        ...record,
+        requests: record.requests + 1,
+        failures: record.failures + 1,
+        consecutiveFailures: record.consecutiveFailures + 1,
+        lastError: get(error, 'message') || String(error),
+        lastFailureAt: now,
+    };
+};
+
+/**
+ * Adds a health check measurement to a node health record
+ *
+ * @method addNodeHealthCheck
+ * @param {object} record
+ * @param {object} health - { latency, milestoneLag, pow }
+ * @param {number} [now] - Current time (ms)
+ *
+ * @returns {object}
+ */
+export const addNodeHealthCheck = (record, { latency, milestoneLag, pow }, now = Date.now()) => ({
+    ...addNodeRequestResult(record, null, now),
+    latency: isNull(record.latency)
+        ? latency
+        : Math.round(NODE_LATENCY_SMOOTHING * latency + (1 - NODE_LATENCY_SMOOTHING) * record.latency),
+    milestoneLag,
+    pow,
+    lastCheckedAt: now,
+});
+
+/**
+ * Gets (smoothed) ratio of successful requests to a node
+ * Nodes without any requests have a reliability of 0.5
+ *
+ * @method getNodeReliability
+ * @param {object} [record]
+ *
+ * @returns {number}
+ */
+export const getNodeReliability = (record) => {
+    if (!record) {
+        return 0.5;
+    }
+
+    return (record.requests - record.failures + 1) / (record.requests + 2);
+};
+
+/**
+ * Scores a node (0 - 100) from its reliability, consecutive failures, latency and milestone lag
+ *
+ * @method getNodeHealthScore
+ * @param {object} [record]
+ *
+ * @returns {number}
+ */
+export const getNodeHealthScore = (record) => {
+    const score = getNodeReliability(record) * 100;
+
+    if (!record) {
+        return score;
+    }
+
+    const failurePenalty = record.consecutiveFailures * 10;
+    const latencyPenalty = isNull(record.latency) ? 0 : Math.min(record.latency / 100, 20);
+    const lagPenalty = isNull(record.milestoneLag) ? 0 : Math.min(record.milestoneLag * 5, 30);
+
+    return Math.max(0, Math.round(score - failurePenalty - latencyPenalty - lagPenalty));
+};
+
+/**
+ * Ranks nodes by health score, healthiest first
+ *
+ * @method rankNodesByHealth
+ * @param {array} nodes
+ * @param {object} records - Node health records keyed by node url
+ *
+ * @returns {array} - Nodes with their health record and score
+ */
+export const rankNodesByHealth = (nodes, records) =>
+    orderBy(
+        map(nodes, (node) => {
+            const record = get(records, [node.url]);
+
+            return {
+                ...createNodeHealthRecord(node.url),
+                ...record,
+                ...node,
+                reliability: getNodeReliability(record),
+                score: getNodeHealthScore(record),
+            };
+        }),
+        ['score'],
+        ['desc'],
+    );
+
+/**
+ * Gets nodes to retry requests on, preferring historically reliable nodes.
+ * Nodes with equal scores (e.g. without health records) are picked at random
+ *
+ * @method getReliableNodes
+ * @param {array} nodes
+ * @param {number} [size]
+ * @param {array} [blacklistedNodes]
+ * @param {bool} [PoW] - Only pick nodes with remote PoW
+ * @param {object} [records] - Node health records keyed by node url
+ *
+ * @returns {array}
+ */
+export const getReliableNodes = (nodes, size = 5, blacklistedNodes = [], PoW = false, records = {}) => {
+    const candidates = filter(
+        nodes,
+        (node) => (!PoW || node.pow === true) && !find(blacklistedNodes, { url: get(node, 'url') }),
+    );
+
+    // Shuffle first, as sortBy is stable
+    return take(
+        sortBy(shuffle(candidates), (node) => -getNodeHealthScore(get(records, [node.url]))),
+        size,
+    );
+};
+
+/**
+ * Gets nodes with the oldest health checks
+ *
+ * @method getNodesDueForHealthCheck
+ * @param {array} nodes
+ * @param {object} records - Node health records keyed by node url
+ * @param {number} [size]
+ *
+ * @returns {array}
+ */
+export const getNodesDueForHealthCheck = (nodes, records, size = 3) =>
+    take(
+        sortBy(nodes, (node) => get(records, [node.url, 'lastCheckedAt'], 0)),
+        size,
+    );
@@ -0,0 +1,371 @@
+import every from 'lodash/every';
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import isArray from 'lodash/isArray';
+import isEmpty from 'lodash/isEmpty';
+import isNumber from 'lodash/isNumber';
+import isString from 'lodash/isString';
+import keys from 'lodash/keys';
+import map from 'lodash/map';
+import orderBy from 'lodash/orderBy';
+import pick from 'lodash/pick';
+import size from 'lodash/size';
+import sumBy from 'lodash/sumBy';
+import { iota } from './index';
+import { isBundle } from './transfers';
+import Errors from '../errors';
+import { DEFAULT_SECURITY } from '../../config';
+
+/** Version of the offline signing exchange format */
+export const OFFLINE_TRANSFER_VERSION = 1;
+
+/** Types of offline signing exchange files */
+export const OFFLINE_TRANSFER_TYPES = {
+    unsigned: 'unsignedTransfer',
+    signed: 'signedTransfer',
+    multisig: 'multisigTransfer',
+};
+
+/** Maximum number of characters encoded in a single animated QR code frame */
+export const OFFLINE_TRANSFER_QR_FRAME_SIZE = 500;
+
+const QR_FRAME_REGEX = /^(\d+)\/(\d+):([\s\S]*)$/;
+
+/**
+ * Creates an unsigned transfer that can be signed on an offline device
+ *
+ * @method createUnsignedTransfer
+ * @param {array} transfers - Prepared transfers array ({ address, value, message, tag })
+ * @param {object} options - { inputs, address, keyIndex }
+ *
+ * @returns {object}
+ */
+export const createUnsignedTransfer = (transfers, options) => ({
+    version: OFFLINE_TRANSFER_VERSION,
+    type: OFFLINE_TRANSFER_TYPES.unsigned,
+    transfers: map(transfers, (transfer) => pick(transfer, ['address', 'value', 'message', 'tag'])),
+    inputs: map(options.inputs, (input) => pick(input, ['address', 'balance', 'keyIndex', 'security'])),
+    remainder: {
+        address: options.address,
+        keyIndex: options.keyIndex,
+    },
+});
+
+/**
+ * Creates a signed transfer from an unsigned transfer and its signed bundle trytes.
+ * Keeps the unsigned transfer so that the signed bundle can be verified against it before broadcast
+ *
+ * @method createSignedTransfer
+ * @param {object} unsignedTransfer
+ * @param {array} trytes
+ *
+ * @returns {object}
+ */
+export const createSignedTransfer = (unsignedTransfer, trytes) => ({
+    ...unsignedTransfer,
+    type: OFFLINE_TRANSFER_TYPES.signed,
+    trytes,
+});
+
+/**
+ * Checks if an object has a valid unsigned transfer structure
+ *
+ * @method isValidUnsignedTransfer
+ * @param {object} transfer
+ *
+ * @returns {boolean}
+ */
+const isValidUnsignedTransfer = (transfer) =>
+    isArray(transfer.transfers) &&
+    !isEmpty(transfer.transfers) &&
+    every(transfer.transfers, (item) => isString(item.address) && isNumber(item.value)) &&
+    isArray(transfer.inputs) &&
+    !isEmpty(transfer.inputs) &&
+    every(transfer.inputs, (input) => isString(input.address) && isNumber(input.balance) && isNumber(input.keyIndex)) &&
+    isString(transfer.remainder && transfer.remainder.address);
+
+/**
+ * Checks if an object has a valid signed transfer structure
+ *
+ * @method isValidSignedTransfer
+ * @param {object} transfer
+ *
+ * @returns {boolean}
+ */
+const isValidSignedTransfer = (transfer) =>
+    isValidUnsignedTransfer(transfer) &&
+    isArray(transfer.trytes) &&
+    !isEmpty(transfer.trytes) &&
+    every(transfer.trytes, (tryteString) => iota.valid.isTrytes(tryteString, 2673));
+
+/**
+ * Serialises an unsigned or signed transfer for file or QR code exchange
+ *
+ * @method serializeOfflineTransfer
+ * @param {object} transfer
+ *
+ * @returns {string}
+ */
+export const serializeOfflineTransfer = (transfer) => JSON.stringify(transfer);
+
+/**
+ * Parses and validates an exchanged unsigned or signed transfer
+ *
+ * @method parseOfflineTransfer
+ * @param {string} content
+ * @param {string} type - Expected type (see OFFLINE_TRANSFER_TYPES)
+ *
+ * @returns {object}
+ */
+export const parseOfflineTransfer = (content, type) => {
+    let transfer;
+
+    try {
+        transfer = JSON.parse(content);
+    } catch (error) {
+        throw new Error(Errors.INVALID_OFFLINE_TRANSFER);
+    }
+
+    if (!transfer || transfer.type !== type) {
+        throw new Error(Errors.INVALID_OFFLINE_TRANSFER);
+    }
+
+    if (transfer.version !== OFFLINE_TRANSFER_VERSION) {
+        throw new Error(Errors.UNSUPPORTED_OFFLINE_TRANSFER_VERSION);
+    }
+
+    // Multisig transfers carry (partially signed) bundle trytes, like signed transfers
+    const isValid =
+        type === OFFLINE_TRANSFER_TYPES.unsigned ? isValidUnsignedTransfer(transfer) : isValidSignedTransfer(transfer);
+
+    if (!isValid) {
+        throw new Error(Errors.INVALID_OFFLINE_TRANSFER);
+    }
+
+    return transfer;
+};
+
+/**
+ * Summarises an unsigned transfer for verification before signing
+ *
+ * @method getUnsignedTransferSummary
+ * @param {object} unsignedTransfer
+ *
+ * @returns {{outputs: array, value: number, inputsValue: number, remainderValue: number, remainderAddress: string}}
+ */
+export const getUnsignedTransferSummary = (unsignedTransfer) => {
+    const value = sumBy(unsignedTransfer.transfers, 'value');
+    const inputsValue = sumBy(unsignedTransfer.inputs, 'balance');
+
+    return {
+        outputs: map(unsignedTransfer.transfers, (transfer) => pick(transfer, ['address', 'value'])),
+        value,
+        inputsValue,
+        remainderValue: inputsValue - value,
+        remainderAddress: unsignedTransfer.remainder.address,
+    };
+};
+
+/**
+ * Summarises signed bundle trytes for verification before broadcast
+ *
+ * @method getSignedTransferSummary
+ * @param {object} signedTransfer
+ *
+ * @returns {{bundle: string, outputs: array, inputs: array, value: number, transactionObjects: array}}
+ */
+export const getSignedTransferSummary = (signedTransfer) => {
+    const transactionObjects = orderBy(
+        map(signedTransfer.trytes, (tryteString) => iota.utils.transactionObject(tryteString)),
+        ['currentIndex'],
+    );
+
+    const outputs = map(
+        filter(transactionObjects, (transaction) => transaction.value > 0),
+        (transaction) => pick(transaction, ['address', 'value']),
+    );
+
+    return {
+        bundle: isEmpty(transactionObjects) ? '' : transactionObjects[0].bundle,
+        outputs,
+        inputs: map(
+            filter(transactionObjects, (transaction) => transaction.value < 0),
+            (transaction) => pick(transaction, ['address', 'value']),
+        ),
+        value: sumBy(outputs, 'value'),
+        transactionObjects,
+    };
+};
+
+/**
+ * Checks if bundle trytes send exactly what was requested in the unsigned transfer.
+ * Does not validate the bundle (or its signatures)
+ *
+ * @method isMatchingTransferSummary
+ * @param {object} unsignedTransfer
+ * @param {object} signedTransfer - { trytes }
+ *
+ * @returns {boolean}
+ */
+export const isMatchingTransferSummary = (unsignedTransfer, signedTransfer) => {
+    const { outputs, inputs } = getSignedTransferSummary(signedTransfer);
+    const { remainderValue, remainderAddress } = getUnsignedTransferSummary(unsignedTransfer);
+
+    const expectedOutputs = [
+        ...filter(unsignedTransfer.transfers, (transfer) => transfer.value > 0),
+        ...(remainderValue > 0 ? [{ address: remainderAddress, value: remainderValue }] : []),
+    ];
+
+    const isMatchingOutput = (expected) =>
+        find(
+            outputs,
+            (output) => output.address === iota.utils.noChecksum(expected.address) && output.value === expected.value,
+        );
+
+    const isMatchingInput = (expected) =>
+        find(
+            inputs,
+            (input) => input.address === iota.utils.noChecksum(expected.address) && input.value === -expected.balance,
+        );
+
+    return (
+        size(outputs) === size(expectedOutputs) &&
+        every(expectedOutputs, isMatchingOutput) &&
+        size(inputs) === size(unsignedTransfer.inputs) &&
+        every(unsignedTransfer.inputs, isMatchingInput)
+    );
+};
+
+/**
+ * Checks if signed bundle trytes are a valid bundle that sends exactly what was requested in the unsigned transfer
+ *
+ * @method isMatchingSignedTransfer
+ * @param {object} unsignedTransfer
+ * @param {object} signedTransfer - { trytes }
+ *
+ * @returns {boolean}
+ */
+export const isMatchingSignedTransfer = (unsignedTransfer, signedTransfer) =>
+    isBundle(getSignedTransferSummary(signedTransfer).transactionObjects) &&
+    isMatchingTransferSummary(unsignedTransfer, signedTransfer);
+
+/**
+ * Checks if the remainder address of an unsigned transfer is derived from the signing seed at its key index.
+ * Transfers without a remainder value do not send anything to the remainder address
+ *
+ * @method isOwnRemainderAddress
+ * @param {object} seedStore - SeedStore class object
+ * @param {object} unsignedTransfer
+ *
+ * @returns {Promise<boolean>}
+ */
+export const isOwnRemainderAddress = (seedStore, unsignedTransfer) => {
+    const { remainderValue, remainderAddress } = getUnsignedTransferSummary(unsignedTransfer);
+
+    if (remainderValue <= 0) {
+        return Promise.resolve(true);
+    }
+
+    if (!isNumber(unsignedTransfer.remainder.keyIndex)) {
+        return Promise.resolve(false);
+    }
+
+    return seedStore
+        .generateAddress({ index: unsignedTransfer.remainder.keyIndex, security: DEFAULT_SECURITY })
+        .then((address) => address === iota.utils.noChecksum(remainderAddress));
+};
+
+/**
+ * Signs an unsigned transfer (offline) with the existing SeedStore signing.
+ * Rejects transfers whose remainder address is not derived from the signing seed
+ *
+ * @method signUnsignedTransfer
+ * @param {object} seedStore - SeedStore class object
+ * @param {object} unsignedTransfer
+ *
+ * @returns {Promise<object>} Signed transfer
+ */
+export const signUnsignedTransfer = (seedStore, unsignedTransfer) =>
+    isOwnRemainderAddress(seedStore, unsignedTransfer)
+        .then((isOwnRemainder) => {
+            if (!isOwnRemainder) {
+                throw new Error(Errors.OFFLINE_TRANSFER_INVALID_REMAINDER);
+            }
+
+            return seedStore.prepareTransfers(null)(unsignedTransfer.transfers, {
+                inputs: unsignedTransfer.inputs,
+                address: unsignedTransfer.remainder.address,
+            });
+        })
+        .then((trytes) => {
+            const signedTransfer = createSignedTransfer(unsignedTransfer, trytes);
+
+            if (!isMatchingSignedTransfer(unsignedTransfer, signedTransfer)) {
+                throw new Error(Errors.INVALID_BUNDLE);
+            }
+
+            return signedTransfer;
+        });
+
+/**
+ * Splits serialised transfer into frames for an animated QR code
+ *
+ * @method getQrFrames
+ * @param {string} content
+ * @param {number} [frameSize]
+ *
+ * @returns {array} Frames prefixed with "<index>/<total>:"
+ */
+export const getQrFrames = (content, frameSize = OFFLINE_TRANSFER_QR_FRAME_SIZE) => {
+    const total = Math.max(Math.ceil(content.length / frameSize), 1);
+
+    return map(
+        Array.from({ length: total }),
+        (_, index) => `${index + 1}/${total}:${content.slice(index * frameSize, (index + 1) * frameSize)}`,
+    );
+};
+
+/**
+ * Adds a scanned animated QR code frame to already scanned frames
+ *
+ * @method addQrFrame
+ * @param {object} frames - Scanned frames ({ total, parts })
+ * @param {string} data - Scanned QR code data
+ *
+ * @returns {object} Updated frames ({ total, parts }). Returns provided frames if data is not a valid frame
+ */
+export const addQrFrame = (frames, data) => {
+    const match = QR_FRAME_REGEX.exec(data);
+
+    if (!match) {
+        return frames;
+    }
+
+    const index = parseInt(match[1], 10);
+    const total = parseInt(match[2], 10);
+
+    if (index < 1 || index > total) {
+        return frames;
+    }
+
+    // Restart if a frame of a different transfer is scanned
+    const parts = frames.total === total ? frames.parts : {};
+
+    return { total, parts: { ...parts, [index]: match[3] } };
+};
+
+/**
+ * Joins scanned animated QR code frames
+ *
+ * @method joinQrFrames
+ * @param {object} frames - Scanned frames ({ total, parts })
+ *
+ * @returns {string|null} Serialised transfer or null if some frames have not been scanned yet
+ */
+export const joinQrFrames = (frames) => {
+    if (!frames.total || size(keys(frames.parts)) !== frames.total) {
+        return null;
+    }
+
+    return map(Array.from({ length: frames.total }), (_, index) => frames.parts[index + 1]).join('');
+};
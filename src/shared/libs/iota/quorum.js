@@ -1,3 +1,5 @@
+import assign from 'lodash/assign';
+import each from 'lodash/each';
 import get from 'lodash/get';
 import head from 'lodash/head';
 import find from 'lodash/find';
@@ -7,14 +9,24 @@ import keys from 'lodash/keys';
 import includes from 'lodash/includes';
 import isEmpty from 'lodash/isEmpty';
 import isUndefined from 'lodash/isUndefined';
+import noop from 'lodash/noop';
+import pick from 'lodash/pick';
+import some from 'lodash/some';
 import transform from 'lodash/transform';
 import size from 'lodash/size';
 import split from 'lodash/split';
 import sampleSize from 'lodash/sampleSize';
 import unionBy from 'lodash/unionBy';
 import uniqBy from 'lodash/uniqBy';
+import without from 'lodash/without';
 import { isNodeHealthy, getIotaInstance, getApiTimeout } from './extendedApi';
-import { QUORUM_THRESHOLD, QUORUM_SIZE, QUORUM_SYNC_CHECK_INTERVAL, DEFAULT_BALANCES_THRESHOLD } from '../../config';
+import {
+    QUORUM_THRESHOLD,
+    QUORUM_SIZE,
+    QUORUM_SYNC_CHECK_INTERVAL,
+    QUORUM_OUTLIER_BLACKLIST_DURATION,
+    DEFAULT_BALANCES_THRESHOLD,
+} from '../../config';
 import { EMPTY_HASH_TRYTES } from './utils';
 import { findMostFrequent } from '../utils';
 import Errors from '../errors';
@@ -53,6 +65,82 @@ const rejectIfEmptyHashTrytes = (trytes) => {
     return Promise.resolve(trytes);
 };
 
+/**
+ * Supported quorum consensus policies
+ * - majority: more than half of the quorum nodes agree
+ * - supermajority: more than (threshold) percent of the quorum nodes agree
+ * - unanimous: all quorum nodes agree
+ */
+export const QUORUM_POLICIES = ['majority', 'supermajority', 'unanimous'];
+
+/**
+ * Methods supported for quorum
+ */
+export const QUORUM_METHODS = [
+    'wereAddressesSpentFrom',
+    'getInclusionStates',
+    'getBalances:balances',
+    'getNodeInfo:latestSolidSubtangleMilestone',
+];
+
+/**
+ *   Gets (percentage) threshold of agreeing quorum nodes for a method.
+ *   Per-method policies take precedence over the global policy.
+ *
+ *   @method getQuorumThreshold
+ *   @param {object} config - { policy, threshold, methodPolicies: [{ method, policy, threshold }] }
+ *   @param {string} method
+ *
+ *   @returns {number}
+ **/
+const getQuorumThreshold = (config, method) => {
+    const { policy, threshold } = find(get(config, 'methodPolicies'), { method }) || config || {};
+
+    switch (policy) {
+        case 'majority':
+            return 50;
+        case 'unanimous':
+            return 100;
+        default:
+            return threshold || QUORUM_THRESHOLD;
+    }
+};
+
+/**
+ *   Sets (or removes) the consensus policy for a method
+ *
+ *   @method setQuorumMethodPolicy
+ *   @param {array} methodPolicies - [{ method, policy, threshold }]
+ *   @param {string} method
+ *   @param {string|null} policy - Removes method policy if null
+ *   @param {number} [threshold]
+ *
+ *   @returns {array}
+ **/
+export const setQuorumMethodPolicy = (methodPolicies, method, policy, threshold = QUORUM_THRESHOLD) => {
+    const otherPolicies = filter(methodPolicies, (methodPolicy) => methodPolicy.method !== method);
+
+    return policy ? [...otherPolicies, { method, policy, threshold }] : otherPolicies;
+};
+
+/**
+ *   Checks if enough quorum nodes agree on a result
+ *
+ *   @method isQuorumReached
+ *   @param {number} count - Number of agreeing nodes
+ *   @param {number} quorumSize - Size of quorum nodes
+ *   @param {number} threshold
+ *
+ *   @returns {boolean}
+ **/
+const isQuorumReached = (count, quorumSize, threshold) => {
+    // Always calculate percentage out of quorum size i.e., all (responsive + unresponsive) nodes.
+    const percentage = (count / quorumSize) * 100;
+
+    // A threshold of 100 (unanimous policy) is only reached if all nodes agree
+    return percentage > threshold || count === quorumSize;
+};
+
 /**
  *   Determines quorum result for supported methods.
  *
@@ -66,10 +154,7 @@ const determineQuorumResult = (validResults, quorumSize) => {
     const { frequency, mostFrequent } = findMostFrequent(validResults);
 
     return (method, threshold = QUORUM_THRESHOLD) => {
-        // Always calculate percentage out of quorum size i.e., all (responsive + unresponsive) nodes.
-        const percentage = (frequency[mostFrequent] / quorumSize) * 100;
-
-        if (percentage > threshold) {
+        if (isQuorumReached(frequency[mostFrequent], quorumSize, threshold)) {
             return mostFrequent;
         }
 
@@ -100,6 +185,69 @@ const fallbackToSafeResult = (method) => {
     return allowedMethodsMap[method];
 };
 
+/**
+ *   Transforms a node response into the (array) format quorum results are determined for
+ *
+ *   @method normaliseQuorumResult
+ *   @param {string} method
+ *   @param {*} result - Node response, undefined for unresponsive nodes
+ *
+ *   @returns {array}
+ **/
+const normaliseQuorumResult = (method, result) => {
+    if (isUndefined(result)) {
+        return undefined;
+    }
+
+    switch (method) {
+        case 'getBalances:balances':
+            return result.balances;
+        case 'getNodeInfo:latestSolidSubtangleMilestone':
+            return [result.latestSolidSubtangleMilestone];
+        default:
+            return result;
+    }
+};
+
+/**
+ *   Creates a record of a quorum round with the answer of every quorum node.
+ *   Nodes with an answer different from the quorum result are outliers.
+ *   Payload items nodes failed to reach a quorum for are not taken into account for outliers.
+ *
+ *   @method createQuorumRound
+ *   @param {string} method
+ *   @param {array} nodes - Quorum nodes
+ *   @param {array} answers - Normalised answers of quorum nodes, undefined for unresponsive nodes
+ *   @param {number} quorumSize
+ *   @param {number} threshold
+ *
+ *   @returns {object}
+ **/
+const createQuorumRound = (method, nodes, answers, quorumSize, threshold) => {
+    const validAnswers = filter(answers, (answer) => !isUndefined(answer));
+
+    // Quorum result of every payload item, undefined if no quorum was reached
+    const agreedAnswers = map(head(validAnswers), (_, idx) => {
+        const { frequency, mostFrequent } = findMostFrequent(map(validAnswers, (answer) => answer[idx]));
+
+        return isQuorumReached(frequency[mostFrequent], quorumSize, threshold) ? mostFrequent : undefined;
+    });
+
+    const isOutlier = (answer) =>
+        !isUndefined(answer) &&
+        some(agreedAnswers, (agreedAnswer, idx) => !isUndefined(agreedAnswer) && answer[idx] !== agreedAnswer);
+
+    return {
+        method,
+        timestamp: Date.now(),
+        threshold,
+        nodes: map(nodes, 'url'),
+        answers: map(nodes, ({ url }, idx) => ({ url, answer: isUndefined(answers[idx]) ? null : answers[idx] })),
+        unresponsive: map(nodes, 'url').filter((url, idx) => isUndefined(answers[idx])),
+        outliers: map(nodes, 'url').filter((url, idx) => isOutlier(answers[idx])),
+    };
+};
+
 /**
  *   For a list of nodes, find healthy (synced) nodes N, where size(N) === quorumSize
  *
@@ -180,11 +328,12 @@ const findSyncedNodes = (nodes, quorumSize, selectedNodes = [], blacklistedNodes
  *
  * @param {string} method
  * @param {number} quorumSize
+ * @param {number} quorumThreshold
  * @param  {...any} requestArgs
  *
  * @returns {function(array, number): {array | object | string}}
  */
-const prepareQuorumResults = (method, quorumSize, ...requestArgs) => {
+const prepareQuorumResults = (method, quorumSize, quorumThreshold, ...requestArgs) => {
     const prepare = (results, payloadSize) => {
         // Before determining the actual quorum result, filter results from unresponsive nodes.
         // See #getQuorum where we explicitly resolve undefined as a result from unresponsive nodes.
@@ -195,7 +344,9 @@ const prepareQuorumResults = (method, quorumSize, ...requestArgs) => {
 
         while (idx < payloadSize) {
             /* eslint-disable no-loop-func */
-            quorumResult.push(determineQuorumResult(map(validResults, (result) => result[idx]), quorumSize)(method));
+            const itemResults = map(validResults, (result) => result[idx]);
+
+            quorumResult.push(determineQuorumResult(itemResults, quorumSize)(method, quorumThreshold));
             /* eslint-enable no-loop-func */
 
             idx += 1;
@@ -260,13 +411,15 @@ const prepareQuorumResults = (method, quorumSize, ...requestArgs) => {
  * Gets quorum results for provided method.
  *
  * @param {number} quorumSize
+ * @param {object} [policy] - See #getQuorumThreshold
+ * @param {function} [onRound] - Called with a record of the quorum round, see #createQuorumRound
  * @param {array} syncedNodes
  * @param {array} [payload]
  * @param  {...any} [args]
  *
  * @returns {function(string, array, [array], *) => Promise<array | object | string>}
  */
-const getQuorum = (quorumSize) => (method, syncedNodes, payload, ...args) => {
+const getQuorum = (quorumSize, policy = {}, onRound = noop) => (method, syncedNodes, payload, ...args) => {
     const requestArgs = [...(isEmpty(payload) ? [] : [payload]), ...(isEmpty(args) ? [] : args)];
     const iotaApiMethod = head(split(method, ':'));
 
@@ -302,8 +455,19 @@ const getQuorum = (quorumSize) => (method, syncedNodes, payload, ...args) => {
         )
         .then((results) => {
             const requestPayloadSize = size(payload);
+            const quorumThreshold = getQuorumThreshold(policy, method);
 
-            return prepareQuorumResults(method, quorumSize, ...args)(results, requestPayloadSize);
+            onRound(
+                createQuorumRound(
+                    method,
+                    syncedNodes,
+                    map(results, (result) => normaliseQuorumResult(method, result)),
+                    quorumSize,
+                    quorumThreshold,
+                ),
+            );
+
+            return prepareQuorumResults(method, quorumSize, quorumThreshold, ...args)(results, requestPayloadSize);
         });
 };
 
@@ -312,7 +476,7 @@ const getQuorum = (quorumSize) => (method, syncedNodes, payload, ...args) => {
  *
  *   @method Quorum
  *
- *   @param {object} config - { nodes: <Array>, quorumSize: <Number> }
+ *   @param {object} config - { nodes: <Array>, quorumSize: <Number>, policy: <String>, threshold: <Number>, methodPolicies: <Array> }
  *
  *   @returns {object}
  **/
@@ -327,16 +491,47 @@ export default function Quorum(config) {
         throw new Error(Errors.NOT_ENOUGH_QUORUM_NODES);
     }
 
+    // Consensus policy, supermajority (config#QUORUM_THRESHOLD) if not set. See #getQuorumThreshold
+    let policy = pick(config, ['policy', 'threshold', 'methodPolicies']);
+
     let selectedNodes = [];
     let lastSyncedAt = new Date();
 
+    // Time (ms) nodes were last flagged for disagreeing with the quorum result, keyed by node url
+    const outliers = {};
+    let listeners = [];
+
+    const getBlacklistedNodes = () =>
+        filter(
+            nodes,
+            ({ url }) => outliers[url] && (Date.now() - outliers[url]) / 1000 < QUORUM_OUTLIER_BLACKLIST_DURATION,
+        );
+
+    const onRound = (round) => {
+        each(round.outliers, (url) => {
+            outliers[url] = round.timestamp;
+        });
+
+        // Replace outliers in subsequent rounds
+        selectedNodes = filter(selectedNodes, ({ url }) => !includes(round.outliers, url));
+
+        each(listeners, (listener) => listener(round));
+    };
+
+    // Quorum size and policy may change between rounds
+    const performQuorum = (...args) => getQuorum(quorumSize, policy, onRound)(...args);
+
     const findSyncedNodesIfNecessary = () => {
+        const blacklistedNodes = getBlacklistedNodes();
+        const trustedNodes = filter(nodes, ({ url }) => !find(blacklistedNodes, { url }));
+
         // Select a pool of nodes a maximum of 3 times the size of quorum
-        let nodePool = sampleSize(nodes, quorumSize * 3);
+        // Only leave out outliers if there are enough remaining nodes to perform a quorum
+        let nodePool = sampleSize(size(trustedNodes) < quorumSize ? nodes : trustedNodes, quorumSize * 3);
 
         const timeElapsed = (new Date() - lastSyncedAt) / 1000;
 
-        if (isEmpty(selectedNodes) || timeElapsed >= QUORUM_SYNC_CHECK_INTERVAL) {
+        if (size(selectedNodes) < quorumSize || timeElapsed >= QUORUM_SYNC_CHECK_INTERVAL) {
             return findSyncedNodes(nodePool, quorumSize, selectedNodes).then((syncedNodes) => {
                 selectedNodes = syncedNodes;
                 lastSyncedAt = new Date();
@@ -361,6 +556,18 @@ export default function Quorum(config) {
         get size() {
             return quorumSize;
         },
+        /**
+         * Returns quorum consensus policy
+         */
+        get policy() {
+            return policy;
+        },
+        /**
+         * Returns nodes excluded from quorum rounds for disagreeing with the quorum result
+         */
+        get blacklistedNodes() {
+            return getBlacklistedNodes();
+        },
         /**
          * Set quorum nodes.
          *
@@ -380,6 +587,32 @@ export default function Quorum(config) {
         setSize(size) {
             quorumSize = size;
         },
+        /**
+         * Sets quorum consensus policy.
+         *
+         * @method setPolicy
+         *
+         * @param {object} newPolicy - { policy, threshold, methodPolicies }
+         */
+        setPolicy(newPolicy) {
+            policy = assign({}, policy, pick(newPolicy, ['policy', 'threshold', 'methodPolicies']));
+        },
+        /**
+         * Adds a listener called with a record of every quorum round.
+         *
+         * @method subscribe
+         *
+         * @param {function} listener
+         *
+         * @returns {function} Removes listener
+         */
+        subscribe(listener) {
+            listeners = [...listeners, listener];
+
+            return () => {
+                listeners = without(listeners, listener);
+            };
+        },
         /**
          * Performs a quorum for wereAddressesSpentFrom api endpoint.
          *
@@ -392,7 +625,7 @@ export default function Quorum(config) {
             return isEmpty(addresses)
                 ? Promise.resolve([])
                 : findSyncedNodesIfNecessary().then((syncedNodes) =>
-                      getQuorum(quorumSize)('wereAddressesSpentFrom', syncedNodes, addresses),
+                      performQuorum('wereAddressesSpentFrom', syncedNodes, addresses),
                   );
         },
         /**
@@ -409,14 +642,12 @@ export default function Quorum(config) {
             return isEmpty(hashes)
                 ? Promise.resolve([])
                 : findSyncedNodesIfNecessary().then((syncedNodes) =>
-                      getQuorum(quorumSize)('getNodeInfo:latestSolidSubtangleMilestone', syncedNodes)
+                      performQuorum('getNodeInfo:latestSolidSubtangleMilestone', syncedNodes)
                           // If nodes cannot agree on the latestSolidSubtangleMilestone
                           // No need to proceed further.
                           .then(rejectIfEmptyHashTrytes)
                           .then((latestSolidSubtangleMilestone) =>
-                              getQuorum(quorumSize)('getInclusionStates', syncedNodes, hashes, [
-                                  latestSolidSubtangleMilestone,
-                              ]),
+                              performQuorum('getInclusionStates', syncedNodes, hashes, [latestSolidSubtangleMilestone]),
                           ),
                   );
         },
@@ -435,12 +666,12 @@ export default function Quorum(config) {
             return isEmpty(addresses)
                 ? Promise.resolve([])
                 : findSyncedNodesIfNecessary().then((syncedNodes) =>
-                      getQuorum(quorumSize)('getNodeInfo:latestSolidSubtangleMilestone', syncedNodes)
+                      performQuorum('getNodeInfo:latestSolidSubtangleMilestone', syncedNodes)
                           // If nodes cannot agree on the latestSolidSubtangleMilestone
                           // No need to proceed further.
                           .then(rejectIfEmptyHashTrytes)
                           .then((latestSolidSubtangleMilestone) =>
-                              getQuorum(quorumSize)('getBalances:balances', syncedNodes, addresses, threshold, [
+                              performQuorum('getBalances:balances', syncedNodes, addresses, threshold, [
                                   latestSolidSubtangleMilestone,
                               ]),
                           ),
@@ -449,4 +680,11 @@ export default function Quorum(config) {
     };
 }
 
-export { determineQuorumResult, fallbackToSafeResult, findSyncedNodes };
+export {
+    determineQuorumResult,
+    fallbackToSafeResult,
+    findSyncedNodes,
+    getQuorumThreshold,
+    createQuorumRound,
+    normaliseQuorumResult,
+};
@@ -99,6 +99,28 @@ export const computeTransactionMessage = (bundle) => {
     return message;
 };
 
+/**
+ * Finds transaction tag from a bundle (trailing 9s removed).
+ *
+ * @method computeTransactionTag
+ * @param {array} bundle
+ *
+ * @returns {string}
+ */
+export const computeTransactionTag = (bundle) => {
+    let tag = '';
+
+    each(bundle, (tx) => {
+        tag = (tx.tag || '').replace(/9+$/, '');
+
+        if (tag) {
+            return false;
+        }
+    });
+
+    return tag;
+};
+
 /**
  * Finds a promotable (consistent & above max depth) tail transaction
  *
@@ -174,33 +196,45 @@ export const isAboveMaxDepth = (attachmentTimestamp) => {
  *
  *   @returns {array} Transfer object
  **/
-export const prepareTransferArray = (address, value, message, addressData, tag = DEFAULT_TAG) => {
+export const prepareTransferArray = (address, value, message, addressData, tag = DEFAULT_TAG) =>
+    prepareTransfersArray([{ address, value, message, tag }], addressData);
+
+/**
+ *   Returns a transfer array with a transfer object for each recipient (multiple outputs in a single bundle).
+ *   If all transfers are zero value and none of them is sent to one of seed's own addresses,
+ *   a second transfer to seed's own address at index 0 is added (See prepareTransferArray).
+ *
+ *   @method prepareTransfersArray
+ *   @param {array} recipients - [{ address, value, [message], [tag] }]
+ *   @param {object} addressData
+ *
+ *   @returns {array} Transfer objects
+ **/
+export const prepareTransfersArray = (recipients, addressData) => {
     const firstAddress = get(find(addressData, { index: 0 }), 'address');
 
     if (!firstAddress) {
         throw new Error(Errors.EMPTY_ADDRESS_DATA);
     }
 
-    const trytesConvertedMessage = iota.utils.toTrytes(message);
-    const transfer = {
+    const transfers = map(recipients, ({ address, value, message = '', tag = DEFAULT_TAG }) => ({
         address,
         value,
-        message: trytesConvertedMessage,
-        tag,
-    };
+        message: iota.utils.toTrytes(message),
+        tag: tag || DEFAULT_TAG,
+    }));
 
-    const isZeroValueTransaction = value === 0;
+    const isZeroValueTransaction = every(transfers, (transfer) => transfer.value === 0);
 
     if (isZeroValueTransaction) {
-        return includes(
-            map(addressData, (addressObject) => addressObject.address),
-            iota.utils.noChecksum(address),
-        )
-            ? [transfer]
-            : [transfer, assign({}, transfer, { address: firstAddress })];
+        const addresses = map(addressData, (addressObject) => addressObject.address);
+
+        return some(transfers, (transfer) => includes(addresses, iota.utils.noChecksum(transfer.address)))
+            ? transfers
+            : [...transfers, assign({}, head(transfers), { address: firstAddress })];
     }
 
-    return [transfer];
+    return transfers;
 };
 
 /**
@@ -426,6 +460,7 @@ export const normaliseBundle = (bundle, addressData, tailTransactions, persisten
         incoming: isReceivedTransfer(bundle, addresses),
         transferValue: getTransferValue(inputs, outputs, addresses),
         message: computeTransactionMessage(bundle),
+        tag: computeTransactionTag(bundle),
         tailTransactions: map(
             filter(tailTransactions, (tx) => tx.bundle === bundleHash),
             (tx) => ({
@@ -1101,6 +1136,23 @@ export const isFatalTransactionError = (err) => {
     );
 };
 
+/**
+ * Checks if any of the (private) transaction metadata fields contain the search string
+ *
+ * @method isMetadataMatchingSearch
+ *
+ * @param {object} [metadata] - { label, note, category }
+ * @param {string} search
+ *
+ * @returns {boolean}
+ */
+export const isMetadataMatchingSearch = (metadata, search) =>
+    !isEmpty(metadata) &&
+    some(
+        [metadata.label, metadata.note, metadata.category],
+        (value) => includes((value || '').toLowerCase(), search.toLowerCase()),
+    );
+
 /**
  * Applies transaction history filters
  *
@@ -1109,11 +1161,18 @@ export const isFatalTransactionError = (err) => {
  * @param {array} transactions
  * @param {boolean} hideEmptyTransactions
  * @param {string} currentFilter
- * @param {string} search
+ * @param {string} search - Prefix with "tag:" to only match bundle tags
+ * @param {object} metadata - Private transaction metadata (label, note, category) keyed by bundle hash
  *
  * @returns {object}
  */
-export const filterTransactions = (transactions, hideEmptyTransactions, currentFilter = 'All', search = '') => {
+export const filterTransactions = (
+    transactions,
+    hideEmptyTransactions,
+    currentFilter = 'All',
+    search = '',
+    metadata = {},
+) => {
     const totals = {
         All: 0,
         Sent: 0,
@@ -1121,6 +1180,8 @@ export const filterTransactions = (transactions, hideEmptyTransactions, currentF
         Pending: 0,
     };
 
+    const tagSearch = search.toLowerCase().indexOf('tag:') === 0 ? search.substr(4).trim().toUpperCase() : null;
+
     const filteredTransactions = filter(transactions, (transaction) => {
         const isReceived = transaction.incoming;
         const isConfirmed = transaction.persistence;
@@ -1129,9 +1190,14 @@ export const filterTransactions = (transactions, hideEmptyTransactions, currentF
             return false;
         }
 
-        if (
+        if (tagSearch !== null) {
+            if ((transaction.tag || '').indexOf(tagSearch) !== 0) {
+                return false;
+            }
+        } else if (
             search.length &&
             transaction.message.toLowerCase().indexOf(search.toLowerCase()) < 0 &&
+            !isMetadataMatchingSearch(metadata[transaction.bundle], search) &&
             transaction.bundle.toLowerCase().indexOf(search.toLowerCase()) !== 0 &&
             !(search[0] === '>' && unitStringToValue(search.substr(1)) < transaction.transferValue) &&
             !(search[0] === '<' && unitStringToValue(search.substr(1)) > transaction.transferValue) &&
@@ -273,6 +273,18 @@ export const isValidMessage = (message) => {
     return iota.utils.fromTrytes(iota.utils.toTrytes(message)) === message;
 };
 
+/**
+ * Checks if provided IOTA tag is valid
+ *
+ * @method isValidTag
+ * @param {string} tag
+ *
+ * @returns {boolean}
+ */
+export const isValidTag = (tag) => {
+    return /^[A-Z9]*$/.test(tag) && size(tag) <= MAX_TAG_LENGTH;
+};
+
 /**
  * Checks if provided amount is valid
  *
@@ -0,0 +1,130 @@
+import compact from 'lodash/compact';
+import every from 'lodash/every';
+import get from 'lodash/get';
+import isArray from 'lodash/isArray';
+import isEmpty from 'lodash/isEmpty';
+import isString from 'lodash/isString';
+import map from 'lodash/map';
+import uniq from 'lodash/uniq';
+import { iota } from './index';
+import {
+    ADDRESS_LENGTH,
+    ADDRESS_LENGTH_WITHOUT_CHECKSUM,
+    VALID_ADDRESS_WITHOUT_CHECKSUM_REGEX,
+    isValidAddress,
+    isLastTritZero,
+} from './utils';
+import Errors from '../errors';
+
+/** SeedStore type of watch-only accounts */
+export const WATCH_ONLY_SEED_STORE_TYPE = 'watchonly';
+
+/** Version of the watch-only address export format */
+export const WATCH_ONLY_EXPORT_VERSION = 1;
+
+/** Type of the watch-only address export file */
+export const WATCH_ONLY_EXPORT_TYPE = 'watchOnlyAddresses';
+
+/** Number of unused addresses appended to a watch-only address export */
+export const WATCH_ONLY_EXPORT_LOOKAHEAD = 50;
+
+/**
+ * Checks if an account is a watch-only account
+ *
+ * @method isWatchOnlyAccount
+ * @param {object} accountState
+ *
+ * @returns {boolean}
+ */
+export const isWatchOnlyAccount = (accountState) => get(accountState, 'meta.type') === WATCH_ONLY_SEED_STORE_TYPE;
+
+/**
+ * Checks if a SeedStore object only holds addresses
+ *
+ * @method isWatchOnlySeedStore
+ * @param {object} seedStore - SeedStore class object
+ *
+ * @returns {boolean}
+ */
+export const isWatchOnlySeedStore = (seedStore) => get(seedStore, 'constructor.isWatchOnly') === true;
+
+/**
+ * Throws an error if an account is a watch-only account
+ *
+ * @method throwIfWatchOnlyAccount
+ * @param {object} accountState
+ *
+ * @returns {Promise}
+ */
+export const throwIfWatchOnlyAccount = (accountState) =>
+    isWatchOnlyAccount(accountState) ? Promise.reject(new Error(Errors.WATCH_ONLY_ACCOUNT)) : Promise.resolve();
+
+/**
+ * Creates an address-generation export of a seed's addresses, that can be imported as a watch-only account
+ *
+ * @method createWatchOnlyExport
+ * @param {array} addresses - Addresses (without checksum) ordered by key index
+ *
+ * @returns {object}
+ */
+export const createWatchOnlyExport = (addresses) => ({
+    version: WATCH_ONLY_EXPORT_VERSION,
+    type: WATCH_ONLY_EXPORT_TYPE,
+    addresses: map(addresses, (address) => iota.utils.addChecksum(address)),
+});
+
+/**
+ * Checks if an address of a watch-only address list is valid.
+ * Addresses without checksum are accepted, as long as they could have been generated from a seed
+ *
+ * @method isValidWatchOnlyAddress
+ * @param {string} address
+ *
+ * @returns {boolean}
+ */
+const isValidWatchOnlyAddress = (address) => {
+    if (address.length === ADDRESS_LENGTH) {
+        return isValidAddress(address) && isLastTritZero(address);
+    }
+
+    return (
+        address.length === ADDRESS_LENGTH_WITHOUT_CHECKSUM &&
+        VALID_ADDRESS_WITHOUT_CHECKSUM_REGEX.test(address) &&
+        isLastTritZero(address)
+    );
+};
+
+/**
+ * Parses watch-only addresses from an address-generation export or from a list of addresses
+ * separated by new lines, commas or spaces
+ *
+ * @method parseWatchOnlyAddresses
+ * @param {string} content
+ *
+ * @returns {array} Unique addresses without checksum, in provided order
+ */
+export const parseWatchOnlyAddresses = (content) => {
+    let addresses;
+
+    try {
+        const data = JSON.parse(content);
+
+        if (get(data, 'type') !== WATCH_ONLY_EXPORT_TYPE || !isArray(data.addresses)) {
+            throw new Error(Errors.INVALID_WATCH_ONLY_ADDRESSES);
+        }
+
+        addresses = data.addresses;
+    } catch (error) {
+        if (error.message === Errors.INVALID_WATCH_ONLY_ADDRESSES) {
+            throw error;
+        }
+
+        addresses = compact(map(String(content).split(/[\s,;]+/), (address) => address.trim().toUpperCase()));
+    }
+
+    if (isEmpty(addresses) || !every(addresses, (address) => isString(address) && isValidWatchOnlyAddress(address))) {
+        throw new Error(Errors.INVALID_WATCH_ONLY_ADDRESSES);
+    }
+
+    return uniq(map(addresses, (address) => address.slice(0, ADDRESS_LENGTH_WITHOUT_CHECKSUM)));
+};
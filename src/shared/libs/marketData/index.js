@@ -0,0 +1,79 @@
+import find from 'lodash/find';
+import keys from 'lodash/keys';
+import reduce from 'lodash/reduce';
+import { __DEV__, __TEST__ } from '../../config';
+import coinGecko from './providers/coinGecko';
+import mock from './providers/mock';
+import trinity from './providers/trinity';
+
+/** Currencies with spot prices and chart data */
+export const MARKET_DATA_CURRENCIES = ['USD', 'EUR', 'BTC', 'ETH'];
+
+/** Chart timeframes */
+export const MARKET_DATA_TIMEFRAMES = ['24h', '7d', '1m', '1h'];
+
+export const DEFAULT_MARKET_DATA_PROVIDER = trinity.id;
+
+/** Minutes after which last fetched market data is considered outdated */
+export const MARKET_DATA_STALE_MINUTES = 15;
+
+/**
+ * Selectable market data providers.
+ *
+ * A provider is an object with:
+ * - id {string} - Persisted in settings
+ * - name {string}
+ * - fetchPrices {function} - Resolves { prices: { usd, eur, btc, eth }, statistics: { mcap, volume, change24h }, rates }
+ * - fetchChartData {function} - (currency, timeframe) => resolves [[unix time, price], ...]
+ */
+export const MARKET_DATA_PROVIDERS = [trinity, coinGecko, ...(__DEV__ || __TEST__ ? [mock] : [])];
+
+/**
+ * Gets a market data provider, falling back to the default provider if unknown
+ *
+ * @method getMarketDataProvider
+ * @param {string} id
+ *
+ * @returns {object}
+ */
+export const getMarketDataProvider = (id) =>
+    find(MARKET_DATA_PROVIDERS, { id }) || find(MARKET_DATA_PROVIDERS, { id: DEFAULT_MARKET_DATA_PROVIDER });
+
+/**
+ * Fetches spot prices, market statistics, exchange rates and chart data (all currencies and timeframes) from a provider
+ *
+ * @method fetchMarketDataSnapshot
+ * @param {object} provider
+ *
+ * @returns {Promise<object>} { prices, statistics, rates, chartData }
+ */
+export const fetchMarketDataSnapshot = (provider) =>
+    Promise.all([
+        provider.fetchPrices(),
+        Promise.all(
+            MARKET_DATA_CURRENCIES.map((currency) =>
+                Promise.all(MARKET_DATA_TIMEFRAMES.map((timeframe) => provider.fetchChartData(currency, timeframe))),
+            ),
+        ),
+    ]).then(([{ prices, statistics, rates }, chartDataPoints]) => ({
+        prices,
+        statistics,
+        rates: reduce(keys(rates).sort(), (result, key) => ((result[key] = rates[key]), result), {}),
+        chartData: reduce(
+            MARKET_DATA_CURRENCIES,
+            (result, currency, currencyIndex) => {
+                result[currency.toLowerCase()] = reduce(
+                    MARKET_DATA_TIMEFRAMES,
+                    (acc, timeframe, timeframeIndex) => {
+                        acc[timeframe] = chartDataPoints[currencyIndex][timeframeIndex];
+
+                        return acc;
+                    },
+                    {},
+                );
+
+                return result;
+            },
+            {},
+        ),
+    }));
@@ -0,0 +1,119 @@
+import get from 'lodash/get';
+import isArray from 'lodash/isArray';
+import isNumber from 'lodash/isNumber';
+import keys from 'lodash/keys';
+import last from 'lodash/last';
+import transform from 'lodash/transform';
+import uniq from 'lodash/uniq';
+import { availableCurrencies } from '../../currency';
+import { fetchJSON, memoiseForDuration } from '../request';
+
+const API_URL = 'https://api.coingecko.com/api/v3';
+
+/** Duration (ms) a response is reused, as the 1h and 24h timeframes share a request */
+const RESPONSE_CACHE_DURATION = 30 * 1000;
+
+/** Currencies to request prices in; crypto currencies are not part of the exchange rates */
+const VS_CURRENCIES = uniq([
+    'usd',
+    'eur',
+    'btc',
+    'eth',
+    ...keys(availableCurrencies).map((currency) => currency.toLowerCase()),
+]);
+
+/** Days of history requested per timeframe */
+const TIMEFRAME_DAYS = {
+    '1h': 1,
+    '24h': 1,
+    '7d': 7,
+    '1m': 30,
+};
+
+/**
+ * Parses spot prices, market statistics and exchange rates (relative to USD) from a simple price response
+ *
+ * @method parsePrices
+ * @param {object} response
+ *
+ * @returns {object} { prices: { usd, eur, btc, eth }, statistics: { mcap, volume, change24h }, rates }
+ */
+export const parsePrices = (response) => {
+    const iota = get(response, 'iota', {});
+
+    return {
+        prices: {
+            usd: iota.usd || 0,
+            eur: iota.eur || 0,
+            btc: iota.btc || 0,
+            eth: iota.eth || 0,
+        },
+        statistics: {
+            mcap: iota.usd_market_cap || 0,
+            volume: iota.usd_24h_vol || 0,
+            change24h: iota.usd_24h_change ? iota.usd_24h_change.toFixed(3) : 0,
+        },
+        rates: iota.usd
+            ? transform(
+                  keys(availableCurrencies),
+                  (result, currency) => {
+                      const price = iota[currency.toLowerCase()];
+
+                      if (isNumber(price)) {
+                          result[currency] = price / iota.usd;
+                      }
+                  },
+                  {},
+              )
+            : {},
+    };
+};
+
+/**
+ * Parses chart data points for a timeframe from a market chart response
+ *
+ * @method parseChartData
+ * @param {object} response
+ * @param {string} timeframe
+ *
+ * @returns {array} [[unix time, price], ...]
+ */
+export const parseChartData = (response, timeframe) => {
+    const prices = get(response, 'prices');
+
+    if (!isArray(prices) || !prices.length) {
+        return [];
+    }
+
+    const dataPoints = prices.map(([time, price]) => [Math.floor(time / 1000), price]);
+
+    if (timeframe === '1h') {
+        const from = last(dataPoints)[0] - 60 * 60;
+
+        return dataPoints.filter(([time]) => time >= from);
+    }
+
+    return dataPoints;
+};
+
+const fetchCached = memoiseForDuration(fetchJSON, RESPONSE_CACHE_DURATION);
+
+/**
+ * Market data provider backed by the CoinGecko public API
+ */
+export default {
+    id: 'coinGecko',
+    name: 'CoinGecko',
+    fetchPrices: () =>
+        fetchCached(
+            `${API_URL}/simple/price?ids=iota&vs_currencies=${VS_CURRENCIES.join(
+                ',',
+            )}&include_market_cap=true&include_24hr_vol=true&include_24hr_change=true`,
+        ).then(parsePrices),
+    fetchChartData: (currency, timeframe) =>
+        fetchCached(
+            `${API_URL}/coins/iota/market_chart?vs_currency=${currency.toLowerCase()}&days=${
+                TIMEFRAME_DAYS[timeframe]
+            }`,
+        ).then((response) => parseChartData(response, timeframe)),
+};
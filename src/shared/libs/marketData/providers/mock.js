@@ -0,0 +1,26 @@
+import { parseChartData, parsePrices } from './trinity';
+import mockResponse from './mock.json';
+
+/**
+ * Creates a market data provider serving a local (Trinity market endpoint formatted) response.
+ * Used in development and tests to render market data without network access.
+ *
+ * @method createMockProvider
+ * @param {object} [options]
+ * @param {object} [options.response] - Market endpoint formatted response; defaults to mock.json
+ * @param {boolean} [options.offline] - Rejects all requests if true
+ *
+ * @returns {object}
+ */
+export const createMockProvider = ({ response = mockResponse, offline = false } = {}) => {
+    const respond = (parse) => (offline ? Promise.reject(new Error('Offline')) : Promise.resolve(parse(response)));
+
+    return {
+        id: 'mock',
+        name: 'Mock',
+        fetchPrices: () => respond(parsePrices),
+        fetchChartData: (currency, timeframe) => respond((data) => parseChartData(data, currency, timeframe)),
+    };
+};
+
+export default createMockProvider();
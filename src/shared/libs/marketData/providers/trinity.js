@@ -0,0 +1,84 @@
+import get from 'lodash/get';
+import isArray from 'lodash/isArray';
+import isObject from 'lodash/isObject';
+import { MARKETDATA_ENDPOINTS } from '../../../config';
+import { fetchJSON, memoiseForDuration } from '../request';
+
+/** Duration (ms) a market endpoint response is reused for spot prices and chart data */
+const RESPONSE_CACHE_DURATION = 30 * 1000;
+
+/**
+ * Parses spot prices, market statistics and exchange rates from a Trinity market endpoint response
+ *
+ * @method parsePrices
+ * @param {object} response
+ *
+ * @returns {object} { prices: { usd, eur, btc, eth }, statistics: { mcap, volume, change24h }, rates }
+ */
+export const parsePrices = (response) => {
+    const currencies = get(response, 'currencies', {});
+    const market = get(response, 'market', {});
+
+    return {
+        prices: {
+            usd: currencies.usd || 0,
+            eur: currencies.eur || 0,
+            btc: currencies.btc || 0,
+            eth: currencies.eth || 0,
+        },
+        statistics: {
+            mcap: market.usd_market_cap || 0,
+            volume: market.usd_24h_vol || 0,
+            change24h: market.usd_24h_change ? market.usd_24h_change.toFixed(3) : 0,
+        },
+        rates: isObject(response.rates) ? response.rates : {},
+    };
+};
+
+/**
+ * Parses chart data points for a currency and timeframe from a Trinity market endpoint response
+ *
+ * @method parseChartData
+ * @param {object} response
+ * @param {string} currency
+ * @param {string} timeframe
+ *
+ * @returns {array} [[unix time, price], ...]
+ */
+export const parseChartData = (response, currency, timeframe) => {
+    const data = get(response, [`history-${currency.toLowerCase()}`, 'data', timeframe]);
+
+    return isArray(data) ? data : [];
+};
+
+/**
+ * Fetches market data from the first responsive Trinity market endpoint
+ *
+ * @method fetchMarket
+ *
+ * @returns {Promise<object>}
+ */
+const fetchMarket = memoiseForDuration(async () => {
+    let lastError = null;
+
+    for (let index = 0; index < MARKETDATA_ENDPOINTS.length; index++) {
+        try {
+            return await fetchJSON(MARKETDATA_ENDPOINTS[index]);
+        } catch (error) {
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}, RESPONSE_CACHE_DURATION);
+
+/**
+ * Market data provider backed by Trinity market endpoints (config#MARKETDATA_ENDPOINTS)
+ */
+export default {
+    id: 'trinity',
+    name: 'Trinity',
+    fetchPrices: () => fetchMarket().then(parsePrices),
+    fetchChartData: (currency, timeframe) =>
+        fetchMarket().then((response) => parseChartData(response, currency, timeframe)),
+};
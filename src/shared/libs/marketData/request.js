@@ -0,0 +1,60 @@
+import { FETCH_REMOTE_NODES_REQUEST_TIMEOUT } from '../../config';
+
+/**
+ * Fetches JSON from a market data endpoint, rejecting on timeout or unsuccessful responses
+ *
+ * @method fetchJSON
+ * @param {string} url
+ * @param {number} [timeout]
+ *
+ * @returns {Promise<object>}
+ */
+export const fetchJSON = (url, timeout = FETCH_REMOTE_NODES_REQUEST_TIMEOUT) =>
+    Promise.race([
+        fetch(url, { headers: { Accept: 'application/json' } }).then((response) => {
+            if (response.ok) {
+                return response.json();
+            }
+
+            throw new Error(`Request failed with status ${response.status}`);
+        }),
+        new Promise((_, reject) => setTimeout(() => reject(new Error('Fetch timeout')), timeout)),
+    ]);
+
+/**
+ * Memoises a promise returning function for a limited time.
+ * Used by providers that serve spot prices and chart data from the same response.
+ * Rejected promises are not memoised.
+ *
+ * @method memoiseForDuration
+ * @param {function} fn
+ * @param {number} duration - Milliseconds
+ *
+ * @returns {function}
+ */
+export const memoiseForDuration = (fn, duration) => {
+    const cache = {};
+
+    const memoised = (...args) => {
+        const key = args.join('|');
+        const cached = cache[key];
+
+        if (cached && Date.now() - cached.time < duration) {
+            return cached.promise;
+        }
+
+        const promise = fn(...args).catch((error) => {
+            delete cache[key];
+
+            throw error;
+        });
+
+        cache[key] = { time: Date.now(), promise };
+
+        return promise;
+    };
+
+    memoised.clear = () => Object.keys(cache).forEach((key) => delete cache[key]);
+
+    return memoised;
+};
@@ -0,0 +1,174 @@
+import filter from 'lodash/filter';
+import reduce from 'lodash/reduce';
+import { CDAChecksum, CDAMultiUseBooleanAsTrit } from '@iota/cda';
+import Converter from 'iota.lib.js/lib/crypto/converter/converter';
+
+/**
+ * Payment request statuses
+ */
+export const PAYMENT_REQUEST_STATUSES = {
+    open: 'open',
+    partiallyPaid: 'partiallyPaid',
+    paid: 'paid',
+    expired: 'expired',
+};
+
+/**
+ * Selectable payment request lifetimes (seconds)
+ */
+export const PAYMENT_REQUEST_TIMEOUTS = {
+    hour: 60 * 60,
+    day: 24 * 60 * 60,
+    week: 7 * 24 * 60 * 60,
+};
+
+/**
+ * Appends a Conditional Deposit Address checksum to an address
+ *
+ * @method getConditionalDepositAddress
+ * @param {string} address - Address (with or without checksum)
+ * @param {number} timeoutAt - Time (seconds) the deposit address expires
+ * @param {number} [expectedAmount]
+ *
+ * @returns {string}
+ */
+export const getConditionalDepositAddress = (address, timeoutAt, expectedAmount = 0) => {
+    const addressWithoutChecksum = address.slice(0, 81);
+    const checksum = CDAChecksum(
+        Int8Array.from(Converter.trits(addressWithoutChecksum)),
+        Int8Array.from(Converter.fromValue(timeoutAt)),
+        CDAMultiUseBooleanAsTrit(false),
+        Int8Array.from(Converter.fromValue(expectedAmount || 0)),
+    );
+
+    return `${addressWithoutChecksum}${Converter.trytes(Array.from(checksum))}`;
+};
+
+/**
+ * Creates a Conditional Deposit Address link for a payment request
+ * Links can be parsed with parseCDALink
+ *
+ * @method createPaymentRequestLink
+ * @param {object} request - { address, expectedAmount, message, timeoutAt }
+ *
+ * @returns {string}
+ */
+export const createPaymentRequestLink = ({ address, expectedAmount, message, timeoutAt }) => {
+    const query = [`address=${address}`];
+
+    if (expectedAmount) {
+        query.push(`amount=${expectedAmount}`);
+    }
+
+    if (message) {
+        query.push(`message=${encodeURIComponent(message)}`);
+    }
+
+    query.push(`timeoutAt=${timeoutAt}`);
+
+    return `iota://?${query.join('&')}`;
+};
+
+/**
+ * Creates a (new) payment request for an account address
+ *
+ * @method createPaymentRequestObject
+ * @param {object} data - { accountName, address, expectedAmount, message, timeoutAt }
+ * @param {number} [now] - Current time (seconds)
+ *
+ * @returns {object}
+ */
+export const createPaymentRequestObject = (
+    { accountName, address, expectedAmount = 0, message = '', timeoutAt },
+    now = Math.floor(Date.now() / 1000),
+) => ({
+    address: getConditionalDepositAddress(address, timeoutAt, expectedAmount),
+    accountName,
+    expectedAmount,
+    message,
+    timeoutAt,
+    createdAt: now,
+    receivedAmount: 0,
+    status: PAYMENT_REQUEST_STATUSES.open,
+});
+
+/**
+ * Sums the value of confirmed incoming transfers to a payment request address
+ *
+ * @method getPaymentRequestReceivedAmount
+ * @param {object} request
+ * @param {array} transactions - Normalised transactions
+ *
+ * @returns {number}
+ */
+export const getPaymentRequestReceivedAmount = (request, transactions) => {
+    const address = request.address.slice(0, 81);
+
+    return reduce(
+        filter(transactions, (transaction) => transaction.incoming && transaction.persistence),
+        (acc, transaction) =>
+            acc +
+            reduce(
+                transaction.outputs,
+                (sum, output) => (output.address.slice(0, 81) === address ? sum + output.value : sum),
+                0,
+            ),
+        0,
+    );
+};
+
+/**
+ * Determines payment request status from the amount received so far
+ * A paid request stays paid, even after it has expired
+ *
+ * @method getPaymentRequestStatus
+ * @param {object} request
+ * @param {number} receivedAmount
+ * @param {number} [now] - Current time (seconds)
+ *
+ * @returns {string}
+ */
+export const getPaymentRequestStatus = (request, receivedAmount, now = Math.floor(Date.now() / 1000)) => {
+    const { expectedAmount, timeoutAt } = request;
+
+    if (receivedAmount > 0 && receivedAmount >= expectedAmount) {
+        return PAYMENT_REQUEST_STATUSES.paid;
+    }
+
+    if (now >= timeoutAt) {
+        return PAYMENT_REQUEST_STATUSES.expired;
+    }
+
+    return receivedAmount > 0 ? PAYMENT_REQUEST_STATUSES.partiallyPaid : PAYMENT_REQUEST_STATUSES.open;
+};
+
+/**
+ * Matches transactions to payment requests
+ * Returns only requests with a changed status or received amount
+ *
+ * @method getUpdatedPaymentRequests
+ * @param {array} requests
+ * @param {array} transactions - Normalised transactions
+ * @param {number} [now] - Current time (seconds)
+ *
+ * @returns {array}
+ */
+export const getUpdatedPaymentRequests = (requests, transactions, now = Math.floor(Date.now() / 1000)) =>
+    reduce(
+        requests,
+        (acc, request) => {
+            if (request.status === PAYMENT_REQUEST_STATUSES.paid) {
+                return acc;
+            }
+
+            const receivedAmount = getPaymentRequestReceivedAmount(request, transactions);
+            const status = getPaymentRequestStatus(request, receivedAmount, now);
+
+            if (receivedAmount !== request.receivedAmount || status !== request.status) {
+                acc.push({ ...request, receivedAmount, status });
+            }
+
+            return acc;
+        },
+        [],
+    );
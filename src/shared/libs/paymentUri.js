@@ -0,0 +1,314 @@
+import every from 'lodash/every';
+import find from 'lodash/find';
+import isEmpty from 'lodash/isEmpty';
+import isPlainObject from 'lodash/isPlainObject';
+import map from 'lodash/map';
+import URL from 'url-parse';
+import { BigNumber } from 'bignumber.js';
+import { IOTA_DENOMINATIONS, VALID_ADDRESS_WITH_CHECKSUM_REGEX, isValidTag } from './iota/utils';
+import { convertFiatToIotas, getIOTAUnitMultiplier } from './currency';
+import Errors from './errors';
+
+/**
+ * Current payment URI version
+ *
+ * iota://ADDRESS?v=1&amount=1.5Mi&tag=TAG&message=Text&label=Text
+ *     &address.1=ADDRESS&amount.1=10EUR...&expires=1600000000&callback=https%3A%2F%2Fshop.com%2Fpaid
+ *
+ * The first recipient address is kept as host, so that older versions can still parse the first recipient.
+ * Amounts are iotas, or a value with an IOTA unit (Ki, Mi, Gi, Ti) or a fiat currency code.
+ * Additional recipients are suffixed with their (consecutive) index
+ */
+export const PAYMENT_URI_VERSION = 1;
+
+/** Recipient fields of a payment URI, in order */
+const RECIPIENT_FIELDS = ['amount', 'tag', 'message', 'label'];
+
+const AMOUNT_REGEX = /^(\d+(?:\.\d+)?)(i|Ki|Mi|Gi|Ti|[A-Z]{3})?$/;
+
+/**
+ * Parses a payment URI amount
+ *
+ * @method parseAmount
+ * @param {string|number} [input]
+ *
+ * @returns {object} { amount, unit }
+ */
+const parseAmount = (input) => {
+    if (input === undefined || input === '') {
+        return { amount: 0, unit: 'i' };
+    }
+
+    const match = String(input).match(AMOUNT_REGEX);
+
+    if (!match) {
+        throw new Error(Errors.INVALID_PAYMENT_URI);
+    }
+
+    const unit = match[2] || 'i';
+
+    if (
+        IOTA_DENOMINATIONS.indexOf(unit) > -1 &&
+        !new BigNumber(match[1]).times(getIOTAUnitMultiplier(unit)).isInteger()
+    ) {
+        throw new Error(Errors.INVALID_PAYMENT_URI);
+    }
+
+    return { amount: parseFloat(match[1]), unit };
+};
+
+/**
+ * Validates and normalises a payment URI recipient
+ *
+ * @method parseRecipient
+ * @param {object} fields - { address, amount, tag, message, label }
+ *
+ * @returns {object} { address, amount, unit, tag, message, label }
+ */
+const parseRecipient = ({ address, amount, tag = '', message = '', label = '' }) => {
+    if (typeof address !== 'string' || !address.toUpperCase().match(VALID_ADDRESS_WITH_CHECKSUM_REGEX)) {
+        throw new Error(Errors.INVALID_PAYMENT_URI);
+    }
+
+    if (!isValidTag(tag) || typeof message !== 'string' || typeof label !== 'string') {
+        throw new Error(Errors.INVALID_PAYMENT_URI);
+    }
+
+    return { address: address.toUpperCase(), ...parseAmount(amount), tag, message, label };
+};
+
+/**
+ * Validates a payment URI callback URL. Only http(s) URLs are allowed
+ *
+ * @method parseCallback
+ * @param {string} [callback]
+ *
+ * @returns {string|null}
+ */
+const parseCallback = (callback) => {
+    if (!callback) {
+        return null;
+    }
+
+    const url = new URL(callback, {});
+
+    if (['http:', 'https:'].indexOf(url.protocol) === -1 || !url.hostname) {
+        throw new Error(Errors.INVALID_PAYMENT_URI);
+    }
+
+    return url.toString();
+};
+
+/**
+ * Parses a payment request.
+ * Accepts a payment URI, a (checksummed) address or a JSON encoded { address, amount, message, tag } object
+ *
+ * @method parsePaymentUri
+ * @param {string} input
+ *
+ * @returns {object} { version, recipients: [{ address, amount, unit, tag, message, label }], expiresAt, callback }
+ */
+export const parsePaymentUri = (input) => {
+    if (!input || typeof input !== 'string') {
+        throw new Error(Errors.INVALID_PAYMENT_URI);
+    }
+
+    const request = {
+        version: PAYMENT_URI_VERSION,
+        recipients: [],
+        expiresAt: null,
+        callback: null,
+    };
+
+    if (input.match(VALID_ADDRESS_WITH_CHECKSUM_REGEX)) {
+        request.recipients.push(parseRecipient({ address: input }));
+
+        return request;
+    }
+
+    if (input.toLowerCase().indexOf('iota:') !== 0) {
+        let parsed = null;
+
+        try {
+            parsed = JSON.parse(input);
+        } catch (error) {
+            throw new Error(Errors.INVALID_PAYMENT_URI);
+        }
+
+        if (!isPlainObject(parsed)) {
+            throw new Error(Errors.INVALID_PAYMENT_URI);
+        }
+
+        request.recipients.push(
+            parseRecipient({
+                address: parsed.address,
+                amount: parsed.amount ? Math.abs(parseInt(parsed.amount, 10)) : undefined,
+                tag: parsed.tag || '',
+                message: parsed.message || '',
+            }),
+        );
+
+        return request;
+    }
+
+    const url = new URL(input, true);
+    const { query } = url;
+
+    if (query.v !== undefined) {
+        if (String(query.v) !== String(parseInt(query.v, 10))) {
+            throw new Error(Errors.INVALID_PAYMENT_URI);
+        }
+
+        if (parseInt(query.v, 10) > PAYMENT_URI_VERSION) {
+            throw new Error(Errors.UNSUPPORTED_PAYMENT_URI_VERSION);
+        }
+
+        request.version = parseInt(query.v, 10);
+    }
+
+    request.recipients.push(parseRecipient({ ...query, address: url.hostname || url.pathname.replace(/^\/+/, '') }));
+
+    for (let index = 1; query[`address.${index}`] !== undefined; index += 1) {
+        request.recipients.push(
+            parseRecipient({
+                address: query[`address.${index}`],
+                amount: query[`amount.${index}`],
+                tag: query[`tag.${index}`],
+                message: query[`message.${index}`],
+                label: query[`label.${index}`],
+            }),
+        );
+    }
+
+    if (query.expires !== undefined) {
+        if (String(query.expires) !== String(parseInt(query.expires, 10))) {
+            throw new Error(Errors.INVALID_PAYMENT_URI);
+        }
+
+        request.expiresAt = parseInt(query.expires, 10);
+    }
+
+    request.callback = parseCallback(query.callback);
+
+    return request;
+};
+
+/**
+ * Creates a payment URI (See PAYMENT_URI_VERSION)
+ *
+ * @method serialisePaymentUri
+ * @param {object} request - { recipients: [{ address, [amount], [unit], [tag], [message], [label] }], [expiresAt], [callback] }
+ *
+ * @returns {string}
+ */
+export const serialisePaymentUri = ({ recipients, expiresAt, callback }) => {
+    const query = [`v=${PAYMENT_URI_VERSION}`];
+
+    recipients.forEach((recipient, index) => {
+        const suffix = index === 0 ? '' : `.${index}`;
+
+        if (index > 0) {
+            query.push(`address${suffix}=${recipient.address}`);
+        }
+
+        const values = {
+            ...recipient,
+            amount:
+                recipient.amount && recipient.unit && recipient.unit !== 'i'
+                    ? `${recipient.amount}${recipient.unit}`
+                    : recipient.amount,
+        };
+
+        RECIPIENT_FIELDS.forEach((field) => {
+            const value = values[field];
+
+            if (value) {
+                query.push(`${field}${suffix}=${encodeURIComponent(value)}`);
+            }
+        });
+    });
+
+    if (expiresAt) {
+        query.push(`expires=${expiresAt}`);
+    }
+
+    if (callback) {
+        query.push(`callback=${encodeURIComponent(callback)}`);
+    }
+
+    return `iota://${recipients[0].address}?${query.join('&')}`;
+};
+
+/**
+ * Checks if a payment request has expired
+ *
+ * @method isPaymentUriExpired
+ * @param {object} request
+ * @param {number} [now] - Current time (seconds)
+ *
+ * @returns {boolean}
+ */
+export const isPaymentUriExpired = (request, now = Math.floor(Date.now() / 1000)) =>
+    request.expiresAt !== null && request.expiresAt !== undefined && now >= request.expiresAt;
+
+/**
+ * Converts payment request recipient amounts to iotas.
+ * Fiat amounts can only be converted for the selected currency or USD
+ *
+ * @method getPaymentUriRecipients
+ * @param {object} request
+ * @param {object} market - { currency, usdPrice, conversionRate }
+ *
+ * @returns {array} [{ address, value, tag, message, label }]
+ */
+export const getPaymentUriRecipients = (request, { currency, usdPrice, conversionRate }) =>
+    map(request.recipients, ({ address, amount, unit, tag, message, label }) => {
+        let value = amount;
+
+        if (IOTA_DENOMINATIONS.indexOf(unit) > -1) {
+            value = new BigNumber(amount).times(getIOTAUnitMultiplier(unit)).toNumber();
+        } else if (unit !== currency && unit !== 'USD') {
+            throw new Error(Errors.UNSUPPORTED_PAYMENT_URI_CURRENCY);
+        } else if (!usdPrice) {
+            throw new Error(Errors.PRICE_UNAVAILABLE);
+        } else {
+            value = convertFiatToIotas(amount, usdPrice, unit === currency ? conversionRate : 1);
+        }
+
+        return { address, value, tag, message, label };
+    });
+
+/**
+ * Checks if transfers pay all recipients of a payment request
+ *
+ * @method isPaymentUriFulfilled
+ * @param {object} content - Payment request with recipient values in iotas (See getPaymentUriRecipients)
+ * @param {array} transfers - [{ address, value }]
+ *
+ * @returns {boolean}
+ */
+export const isPaymentUriFulfilled = (content, transfers) =>
+    !isEmpty(content.recipients) &&
+    every(content.recipients, (recipient) =>
+        find(
+            transfers,
+            (transfer) =>
+                transfer.address.slice(0, 81) === recipient.address.slice(0, 81) && transfer.value === recipient.value,
+        ),
+    );
+
+/**
+ * Appends the hash of the bundle that paid a payment request to its callback URL
+ *
+ * @method getPaymentUriCallbackUrl
+ * @param {string} callback
+ * @param {string} bundle
+ *
+ * @returns {string}
+ */
+export const getPaymentUriCallbackUrl = (callback, bundle) => {
+    const url = new URL(callback, true);
+    url.set('query', { ...url.query, bundle });
+
+    return url.toString();
+};
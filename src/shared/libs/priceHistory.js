@@ -0,0 +1,178 @@
+import flatMap from 'lodash/flatMap';
+import get from 'lodash/get';
+import groupBy from 'lodash/groupBy';
+import isEmpty from 'lodash/isEmpty';
+import isFunction from 'lodash/isFunction';
+import isNumber from 'lodash/isNumber';
+import map from 'lodash/map';
+import mapValues from 'lodash/mapValues';
+import maxBy from 'lodash/maxBy';
+import minBy from 'lodash/minBy';
+import sortBy from 'lodash/sortBy';
+import transform from 'lodash/transform';
+import uniqBy from 'lodash/uniqBy';
+import values from 'lodash/values';
+import { formatUnixTimeAsUTCDay } from './date';
+import { MARKET_DATA_CURRENCIES } from './marketData';
+
+/** Currencies with price history provided by market data endpoints */
+export const PRICE_HISTORY_CURRENCIES = MARKET_DATA_CURRENCIES;
+
+/** Currency used to derive historical prices of currencies without own price history */
+export const PRICE_HISTORY_BASE_CURRENCY = 'USD';
+
+/**
+ * Rounds a fiat value to cents
+ *
+ * @method roundFiatValue
+ * @param {number} value
+ *
+ * @returns {number}
+ */
+const roundFiatValue = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Aggregates price data points to daily (UTC) open, high, low and close prices
+ *
+ * @method getDailyPrices
+ * @param {array} dataPoints - [[unix time, price per Mi], ...], possibly overlapping
+ *
+ * @returns {object} Prices keyed by day (YYYY-MM-DD) - { open, high, low, close, openTime, closeTime }
+ */
+export const getDailyPrices = (dataPoints) => {
+    const points = sortBy(
+        uniqBy(
+            map(dataPoints, ([time, price]) => ({ time: Math.floor(Number(time)), price: parseFloat(price) })),
+            'time',
+        ).filter(({ time, price }) => time > 0 && price > 0),
+        'time',
+    );
+
+    return mapValues(
+        groupBy(points, ({ time }) => formatUnixTimeAsUTCDay(time)),
+        (dayPoints) => ({
+            open: dayPoints[0].price,
+            high: maxBy(dayPoints, 'price').price,
+            low: minBy(dayPoints, 'price').price,
+            close: dayPoints[dayPoints.length - 1].price,
+            openTime: dayPoints[0].time,
+            closeTime: dayPoints[dayPoints.length - 1].time,
+        }),
+    );
+};
+
+/**
+ * Aggregates market data chart data (all timeframes) to daily prices per currency
+ *
+ * @method getDailyPricesFromChartData
+ * @param {object} chartData - { usd: { '24h': [[time, price]], '7d': [...] }, eur: {...} }
+ *
+ * @returns {object} Daily prices keyed by (upper case) currency and day
+ */
+export const getDailyPricesFromChartData = (chartData) =>
+    transform(
+        chartData,
+        (result, timeframes, currency) => {
+            const days = getDailyPrices(flatMap(values(timeframes)));
+
+            if (PRICE_HISTORY_CURRENCIES.includes(currency.toUpperCase()) && !isEmpty(days)) {
+                result[currency.toUpperCase()] = days;
+            }
+        },
+        {},
+    );
+
+/**
+ * Merges prices of the same day, keeping the earliest open and the latest close
+ *
+ * @method mergeDailyPrice
+ * @param {object} [existing]
+ * @param {object} incoming
+ *
+ * @returns {object}
+ */
+export const mergeDailyPrice = (existing, incoming) => {
+    if (!existing) {
+        return incoming;
+    }
+
+    const first = existing.openTime <= incoming.openTime ? existing : incoming;
+    const last = existing.closeTime >= incoming.closeTime ? existing : incoming;
+
+    return {
+        open: first.open,
+        high: Math.max(existing.high, incoming.high),
+        low: Math.min(existing.low, incoming.low),
+        close: last.close,
+        openTime: first.openTime,
+        closeTime: last.closeTime,
+    };
+};
+
+/**
+ * Merges new daily prices into cached price history
+ *
+ * @method mergePriceHistory
+ * @param {object} priceHistory - Cached daily prices keyed by currency and day
+ * @param {object} dailyPrices - New daily prices keyed by currency and day
+ *
+ * @returns {object} Merged prices of days present in dailyPrices, keyed by currency and day
+ */
+export const mergePriceHistory = (priceHistory, dailyPrices) =>
+    mapValues(dailyPrices, (days, currency) =>
+        mapValues(days, (price, day) => mergeDailyPrice(get(priceHistory, [currency, day]), price)),
+    );
+
+/**
+ * Gets the (closing) price of 1 Mi in a currency on the day of a unix time.
+ * Currencies without own price history are derived from the base currency using the current conversion rate.
+ *
+ * @method getHistoricalPrice
+ * @param {object} priceHistory - Cached daily prices keyed by currency and day
+ * @param {string} currency - Selected currency
+ * @param {number} conversionRate - Current conversion rate of selected currency to base currency
+ * @param {number} timestamp - Unix time in seconds
+ *
+ * @returns {number|null}
+ */
+export const getHistoricalPrice = (priceHistory, currency, conversionRate, timestamp) => {
+    const day = formatUnixTimeAsUTCDay(timestamp);
+    const hasOwnHistory = PRICE_HISTORY_CURRENCIES.includes(currency);
+    const price = get(priceHistory, [hasOwnHistory ? currency : PRICE_HISTORY_BASE_CURRENCY, day, 'close']);
+
+    if (!isNumber(price)) {
+        return null;
+    }
+
+    return hasOwnHistory ? price : price * conversionRate;
+};
+
+/**
+ * Gets fiat value of iotas at a price of 1 Mi
+ *
+ * @method getFiatValue
+ * @param {number} iotas
+ * @param {number|null} price
+ *
+ * @returns {number|null}
+ */
+export const getFiatValue = (iotas, price) => (isNumber(price) ? roundFiatValue((iotas * price) / 1000000) : null);
+
+/**
+ * Attaches fiat value at the time of a transaction (fiatValueThen) and at current price (fiatValueNow)
+ *
+ * @method attachFiatValues
+ * @param {object} transaction - Normalised transaction
+ * @param {function} getPriceThen - Returns the price of 1 Mi at a unix time
+ * @param {number|null} priceNow - Current price of 1 Mi
+ *
+ * @returns {object}
+ */
+export const attachFiatValues = (transaction, getPriceThen, priceNow) => ({
+    ...transaction,
+    fiatValueThen: getFiatValue(
+        transaction.transferValue,
+        isFunction(getPriceThen) ? getPriceThen(transaction.timestamp) : null,
+    ),
+    fiatValueNow: getFiatValue(transaction.transferValue, priceNow),
+});
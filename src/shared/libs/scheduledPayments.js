@@ -0,0 +1,290 @@
+import filter from 'lodash/filter';
+import includes from 'lodash/includes';
+import keys from 'lodash/keys';
+import sortBy from 'lodash/sortBy';
+import moment from 'moment';
+import { isValidAddress, isLastTritZero, isValidMessage } from './iota/utils';
+import { convertFiatToIotas } from './currency';
+import { isPasswordRequiredForTransfer } from './sendPolicies';
+import { MAX_SCHEDULED_PAYMENT_EXECUTIONS, SCHEDULED_PAYMENT_MAX_PRICE_AGE } from '../config';
+import Errors from './errors';
+
+/**
+ * Scheduled payment frequencies
+ */
+export const SCHEDULED_PAYMENT_FREQUENCIES = {
+    once: 'once',
+    weekly: 'weekly',
+    monthly: 'monthly',
+};
+
+/**
+ * Scheduled payment amount types
+ * Fiat amounts are converted to iotas at execution time
+ */
+export const SCHEDULED_PAYMENT_AMOUNT_TYPES = {
+    iota: 'iota',
+    fiat: 'fiat',
+};
+
+/**
+ * Scheduled payment statuses
+ */
+export const SCHEDULED_PAYMENT_STATUSES = {
+    active: 'active',
+    awaitingConfirmation: 'awaitingConfirmation',
+    completed: 'completed',
+};
+
+/**
+ * Scheduled payment execution statuses
+ */
+export const SCHEDULED_PAYMENT_EXECUTION_STATUSES = {
+    pending: 'pending',
+    sent: 'sent',
+    failed: 'failed',
+    skipped: 'skipped',
+};
+
+/**
+ * Validates a scheduled payment before it is saved.
+ * Returns the (scheduledPayments) translation key of the first validation failure or null if the payment is valid
+ *
+ * @method getScheduledPaymentValidationError
+ * @param {object} payment - { address, amountType, value, fiatAmount, currency, frequency, startAt, message }
+ * @param {number} [now] - Current time (seconds)
+ *
+ * @returns {string|null}
+ */
+export const getScheduledPaymentValidationError = (payment, now = Math.floor(Date.now() / 1000)) => {
+    const { address, amountType, value, fiatAmount, currency, frequency, startAt, message = '' } = payment;
+
+    if (!isValidAddress(address)) {
+        return 'invalidAddress';
+    }
+
+    if (!isLastTritZero(address)) {
+        return 'invalidLastTrit';
+    }
+
+    if (!includes(keys(SCHEDULED_PAYMENT_AMOUNT_TYPES), amountType)) {
+        return 'invalidAmount';
+    }
+
+    if (amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.iota && (!Number.isInteger(value) || value <= 0)) {
+        return 'invalidAmount';
+    }
+
+    if (amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat && (!(fiatAmount > 0) || !currency)) {
+        return 'invalidAmount';
+    }
+
+    if (!includes(keys(SCHEDULED_PAYMENT_FREQUENCIES), frequency)) {
+        return 'invalidFrequency';
+    }
+
+    if (!Number.isInteger(startAt) || startAt < now) {
+        return 'invalidStartTime';
+    }
+
+    if (!isValidMessage(message)) {
+        return 'invalidMessage';
+    }
+
+    return null;
+};
+
+/**
+ * Creates a scheduled payment object (as stored in realm)
+ *
+ * @method createScheduledPaymentObject
+ * @param {object} data - { accountName, address, label, message, amountType, value, fiatAmount, currency, frequency, startAt, requiresConfirmation }
+ *
+ * @returns {object}
+ */
+export const createScheduledPaymentObject = (data) => {
+    const createdAt = Math.floor(Date.now() / 1000);
+    const isFiat = data.amountType === SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat;
+
+    return {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+        accountName: data.accountName,
+        address: data.address,
+        label: data.label || '',
+        message: data.message || '',
+        amountType: data.amountType,
+        value: isFiat ? 0 : data.value,
+        fiatAmount: isFiat ? data.fiatAmount : 0,
+        currency: isFiat ? data.currency : '',
+        frequency: data.frequency,
+        startAt: data.startAt,
+        nextExecutionAt: data.startAt,
+        requiresConfirmation: Boolean(data.requiresConfirmation),
+        status: SCHEDULED_PAYMENT_STATUSES.active,
+        createdAt,
+        executions: [],
+    };
+};
+
+/**
+ * Parses a (local) start date and time entered by the user
+ *
+ * @method parseScheduledPaymentStartTime
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:mm
+ *
+ * @returns {number|null} Time (seconds) or null if date or time is invalid
+ */
+export const parseScheduledPaymentStartTime = (date, time) => {
+    const startAt = moment(`${date.trim()} ${time.trim()}`, 'YYYY-MM-DD HH:mm', true);
+
+    return startAt.isValid() ? startAt.unix() : null;
+};
+
+/**
+ * Gets the first occurrence of a scheduled payment after provided time.
+ * Occurrences are always computed from the start time so that monthly payments do not drift
+ * (e.g. a payment starting on the 31st is executed on the last day of shorter months)
+ *
+ * @method getNextExecutionTime
+ * @param {object} payment - { frequency, startAt }
+ * @param {number} after - Time (seconds)
+ *
+ * @returns {number|null} Time (seconds) or null if the payment does not recur
+ */
+export const getNextExecutionTime = ({ frequency, startAt }, after) => {
+    if (frequency === SCHEDULED_PAYMENT_FREQUENCIES.once) {
+        return null;
+    }
+
+    const unit = frequency === SCHEDULED_PAYMENT_FREQUENCIES.weekly ? 'weeks' : 'months';
+    const start = moment.unix(startAt);
+
+    // Estimate number of elapsed occurrences and step forward from there
+    let count = Math.max(moment.unix(after).diff(start, unit), 0);
+    let next = start.clone().add(count, unit);
+
+    while (next.unix() <= after) {
+        count += 1;
+        next = start.clone().add(count, unit);
+    }
+
+    return next.unix();
+};
+
+/**
+ * Gets scheduled payments that are due for execution, oldest first
+ *
+ * @method getDueScheduledPayments
+ * @param {array} payments
+ * @param {number} [now] - Current time (seconds)
+ *
+ * @returns {array}
+ */
+export const getDueScheduledPayments = (payments, now = Math.floor(Date.now() / 1000)) =>
+    sortBy(
+        filter(
+            payments,
+            (payment) => payment.status === SCHEDULED_PAYMENT_STATUSES.active && payment.nextExecutionAt <= now,
+        ),
+        'nextExecutionAt',
+    );
+
+/**
+ * Gets the value (iotas) to send for a scheduled payment.
+ * Fixed fiat amounts are converted with the latest market data
+ *
+ * @method getScheduledPaymentValue
+ * @param {object} payment
+ * @param {object} marketData - { usdPrice, rates, lastUpdated }
+ * @param {number} [now] - Current time (ms)
+ *
+ * @returns {number}
+ */
+export const getScheduledPaymentValue = (payment, marketData, now = Date.now()) => {
+    if (payment.amountType !== SCHEDULED_PAYMENT_AMOUNT_TYPES.fiat) {
+        return payment.value;
+    }
+
+    const { usdPrice, rates, lastUpdated } = marketData;
+    const conversionRate = rates[payment.currency];
+
+    if (!usdPrice || !conversionRate || now - lastUpdated > SCHEDULED_PAYMENT_MAX_PRICE_AGE) {
+        throw new Error(Errors.PRICE_UNAVAILABLE);
+    }
+
+    return convertFiatToIotas(payment.fiatAmount, usdPrice, conversionRate);
+};
+
+/**
+ * Determines if password must be re-entered before a scheduled payment is sent (See libs/sendPolicies).
+ * Such payments cannot be sent unattended and always await confirmation.
+ * Payments without an up-to-date price fail when sent, so they need no password
+ *
+ * @method isScheduledPaymentPasswordRequired
+ * @param {object} payment
+ * @param {object|null} sendPolicy - Send policy of the paying account
+ * @param {object} marketData - { usdPrice, rates, lastUpdated }
+ * @param {number} [now] - Current time (ms)
+ *
+ * @returns {boolean}
+ */
+export const isScheduledPaymentPasswordRequired = (payment, sendPolicy, marketData, now = Date.now()) => {
+    try {
+        return isPasswordRequiredForTransfer(sendPolicy, getScheduledPaymentValue(payment, marketData, now));
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Records an execution of a scheduled payment and schedules its next occurrence.
+ * Missed occurrences (e.g. while the wallet was locked) are not caught up
+ *
+ * @method getUpdatedScheduledPayment
+ * @param {object} payment
+ * @param {object} execution - { executedAt, value, status, error }
+ *
+ * @returns {object} - { nextExecutionAt, status, executions }
+ */
+export const getUpdatedScheduledPayment = (payment, execution) => {
+    const nextExecutionAt = getNextExecutionTime(payment, Math.max(execution.executedAt, payment.nextExecutionAt));
+
+    return {
+        nextExecutionAt: nextExecutionAt || payment.nextExecutionAt,
+        status: nextExecutionAt ? SCHEDULED_PAYMENT_STATUSES.active : SCHEDULED_PAYMENT_STATUSES.completed,
+        executions: [
+            ...payment.executions,
+            {
+                executedAt: execution.executedAt,
+                value: execution.value || 0,
+                status: execution.status,
+                error: execution.error || '',
+            },
+        ].slice(-MAX_SCHEDULED_PAYMENT_EXECUTIONS),
+    };
+};
+
+/**
+ * Updates the latest execution of a scheduled payment (e.g. once a pending transfer is sent)
+ *
+ * @method updateLatestExecution
+ * @param {array} executions
+ * @param {object} data - { status, error }
+ *
+ * @returns {array}
+ */
+export const updateLatestExecution = (executions, data) => [
+    ...executions.slice(0, -1),
+    { ...executions[executions.length - 1], ...data },
+];
+
+/**
+ * Gets a readable name for a scheduled payment
+ *
+ * @method getScheduledPaymentName
+ * @param {object} payment
+ *
+ * @returns {string}
+ */
+export const getScheduledPaymentName = (payment) => payment.label || `${payment.address.slice(0, 12)}...`;
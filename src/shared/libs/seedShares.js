@@ -0,0 +1,216 @@
+import every from 'lodash/every';
+import isString from 'lodash/isString';
+import map from 'lodash/map';
+import range from 'lodash/range';
+import reduce from 'lodash/reduce';
+import uniq from 'lodash/uniq';
+import { getChecksum, MAX_SEED_LENGTH, VALID_SEED_REGEX } from './iota/utils';
+import Errors from './errors';
+
+/**
+ * Seeds are split tryte by tryte in GF(27), so that every share is itself 81 trytes
+ * and can be written down, printed and stored in a SeedVault exactly like a seed.
+ *
+ * Field elements are the tryte values 0-26 ('9', 'A'...'Z'), read as polynomials over GF(3)
+ * (value = a0 + 3 * a1 + 9 * a2) modulo the primitive polynomial x^3 + 2x + 1.
+ */
+
+const TRYTE_ALPHABET = '9ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const FIELD_SIZE = 27;
+
+/** Minimum number of shares required to recover a seed */
+export const MIN_SEED_SHARES_THRESHOLD = 2;
+
+/** Maximum number of shares, one per non-zero field element */
+export const MAX_SEED_SHARES_COUNT = FIELD_SIZE - 1;
+
+const toDigits = (value) => [value % 3, Math.floor(value / 3) % 3, Math.floor(value / 9)];
+
+const fromDigits = (digits) => digits[0] + 3 * digits[1] + 9 * digits[2];
+
+const add = (a, b) => {
+    const x = toDigits(a);
+    const y = toDigits(b);
+
+    return fromDigits([(x[0] + y[0]) % 3, (x[1] + y[1]) % 3, (x[2] + y[2]) % 3]);
+};
+
+const subtract = (a, b) => {
+    const x = toDigits(a);
+    const y = toDigits(b);
+
+    return fromDigits([(x[0] - y[0] + 3) % 3, (x[1] - y[1] + 3) % 3, (x[2] - y[2] + 3) % 3]);
+};
+
+/**
+ * Multiplies a field element by x (x^3 = x + 2)
+ */
+const multiplyByX = (value) => {
+    const [a0, a1, a2] = toDigits(value);
+
+    return fromDigits([(2 * a2) % 3, (a0 + a2) % 3, a1]);
+};
+
+const EXP = reduce(range(1, MAX_SEED_SHARES_COUNT), (acc) => [...acc, multiplyByX(acc[acc.length - 1])], [1]);
+
+const LOG = reduce(EXP, (acc, value, power) => ({ ...acc, [value]: power }), {});
+
+const multiply = (a, b) => (a === 0 || b === 0 ? 0 : EXP[(LOG[a] + LOG[b]) % MAX_SEED_SHARES_COUNT]);
+
+const divide = (a, b) => (a === 0 ? 0 : EXP[(LOG[a] - LOG[b] + MAX_SEED_SHARES_COUNT) % MAX_SEED_SHARES_COUNT]);
+
+const toTrytes = (values) => map(values, (value) => TRYTE_ALPHABET.charAt(value)).join('');
+
+const fromTrytes = (trytes) => map(trytes.split(''), (tryte) => TRYTE_ALPHABET.indexOf(tryte));
+
+/**
+ * Evaluates polynomial (coefficients in ascending order) at x
+ */
+const evaluate = (coefficients, x) =>
+    reduce(coefficients.slice().reverse(), (result, coefficient) => add(multiply(result, x), coefficient), 0);
+
+/**
+ * Gets uniformly random field elements
+ *
+ * @param {number} count
+ * @param {function} randomBytesFn
+ *
+ * @returns {Promise<array>}
+ */
+const getRandomFieldElements = async (count, randomBytesFn) => {
+    let elements = [];
+
+    while (elements.length < count) {
+        const bytes = await randomBytesFn(count - elements.length);
+
+        // 243 is the largest multiple of 27 below 256, higher bytes would bias the result
+        elements = elements.concat(
+            Array.from(bytes)
+                .filter((byte) => byte < 243)
+                .map((byte) => byte % FIELD_SIZE),
+        );
+    }
+
+    return elements;
+};
+
+/**
+ * Checks if seed shares can be created for provided threshold and share count
+ *
+ * @method isValidSeedSharesConfig
+ * @param {number} threshold - Number of shares required for recovery
+ * @param {number} count - Total number of shares
+ *
+ * @returns {boolean}
+ */
+export const isValidSeedSharesConfig = (threshold, count) =>
+    Number.isInteger(threshold) &&
+    Number.isInteger(count) &&
+    threshold >= MIN_SEED_SHARES_THRESHOLD &&
+    threshold <= count &&
+    count <= MAX_SEED_SHARES_COUNT;
+
+/**
+ * Checks if a share index is valid
+ *
+ * @method isValidSeedShareIndex
+ * @param {number} index
+ *
+ * @returns {boolean}
+ */
+export const isValidSeedShareIndex = (index) => Number.isInteger(index) && index > 0 && index <= MAX_SEED_SHARES_COUNT;
+
+/**
+ * Splits a seed into shares, any threshold of which recover the seed
+ *
+ * @method createSeedShares
+ * @param {string} seed - Seed trytes
+ * @param {number} threshold - Number of shares required for recovery
+ * @param {number} count - Total number of shares
+ * @param {function} randomBytesFn
+ *
+ * @returns {Promise<array>} [{ index, threshold, count, share, checksum, seedChecksum }]
+ */
+export const createSeedShares = async (seed, threshold, count, randomBytesFn) => {
+    if (!isString(seed) || seed.length !== MAX_SEED_LENGTH || !VALID_SEED_REGEX.test(seed)) {
+        throw new Error(Errors.INVALID_SEED);
+    }
+
+    if (!isValidSeedSharesConfig(threshold, count)) {
+        throw new Error(Errors.INVALID_SEED_SHARES_CONFIG);
+    }
+
+    const randomElements = await getRandomFieldElements(MAX_SEED_LENGTH * (threshold - 1), randomBytesFn);
+
+    const polynomials = map(fromTrytes(seed), (value, position) => [
+        value,
+        ...randomElements.slice(position * (threshold - 1), (position + 1) * (threshold - 1)),
+    ]);
+
+    const seedChecksum = getChecksum(seed);
+
+    return map(range(1, count + 1), (index) => {
+        const share = toTrytes(map(polynomials, (coefficients) => evaluate(coefficients, index)));
+
+        return { index, threshold, count, share, checksum: getChecksum(share), seedChecksum };
+    });
+};
+
+/**
+ * Recovers a seed from shares and validates it against the seed checksum stored with the shares
+ *
+ * @method recoverSeedFromShares
+ * @param {array} shares - [{ index, share }]
+ * @param {string} seedChecksum
+ *
+ * @returns {string} Seed trytes
+ */
+export const recoverSeedFromShares = (shares, seedChecksum) => {
+    if (shares.length < MIN_SEED_SHARES_THRESHOLD) {
+        throw new Error(Errors.NOT_ENOUGH_SEED_SHARES);
+    }
+
+    if (
+        !every(
+            shares,
+            ({ index, share }) =>
+                isValidSeedShareIndex(index) &&
+                isString(share) &&
+                share.length === MAX_SEED_LENGTH &&
+                VALID_SEED_REGEX.test(share),
+        )
+    ) {
+        throw new Error(Errors.INVALID_SEED_SHARE);
+    }
+
+    const indexes = map(shares, 'index');
+
+    if (uniq(indexes).length !== indexes.length) {
+        throw new Error(Errors.DUPLICATE_SEED_SHARES);
+    }
+
+    // Lagrange basis polynomials evaluated at zero
+    const weights = map(indexes, (index) =>
+        reduce(
+            indexes,
+            (weight, otherIndex) =>
+                otherIndex === index ? weight : multiply(weight, divide(otherIndex, subtract(otherIndex, index))),
+            1,
+        ),
+    );
+
+    const values = map(shares, ({ share }) => fromTrytes(share));
+
+    const seed = toTrytes(
+        map(range(MAX_SEED_LENGTH), (position) =>
+            reduce(values, (result, shareValues, i) => add(result, multiply(weights[i], shareValues[position])), 0),
+        ),
+    );
+
+    if (getChecksum(seed) !== seedChecksum) {
+        throw new Error(Errors.SEED_SHARES_CHECKSUM_MISMATCH);
+    }
+
+    return seed;
+};
@@ -0,0 +1,315 @@
+import assign from 'lodash/assign';
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import includes from 'lodash/includes';
+import isBoolean from 'lodash/isBoolean';
+import map from 'lodash/map';
+import min from 'lodash/min';
+import pick from 'lodash/pick';
+import reduce from 'lodash/reduce';
+import some from 'lodash/some';
+import sumBy from 'lodash/sumBy';
+import { ADDRESS_LENGTH_WITHOUT_CHECKSUM } from './iota/utils';
+import { mapNormalisedTransactions } from './iota/transfers';
+import Errors from './errors';
+
+/**
+ * Default (disabled) send policy.
+ * Limits and thresholds are in iotas, the new recipient delay is in hours. Zero disables a rule
+ */
+export const SEND_POLICY_DEFAULTS = {
+    dailyLimit: 0,
+    weeklyLimit: 0,
+    passwordThreshold: 0,
+    allowlistOnly: false,
+    newRecipientDelay: 0,
+};
+
+/** Translation keys (sendPolicies namespace) of send policy violations */
+export const SEND_POLICY_ERRORS = {
+    [Errors.SEND_POLICY_DAILY_LIMIT_EXCEEDED]: 'dailyLimitExceeded',
+    [Errors.SEND_POLICY_WEEKLY_LIMIT_EXCEEDED]: 'weeklyLimitExceeded',
+    [Errors.SEND_POLICY_RECIPIENT_NOT_ALLOWED]: 'recipientNotAllowed',
+    [Errors.SEND_POLICY_RECIPIENT_COOLING_OFF]: 'recipientCoolingOff',
+    [Errors.SEND_POLICY_PASSWORD_REQUIRED]: 'passwordRequired',
+};
+
+const DAY = 24 * 60 * 60;
+const WEEK = 7 * DAY;
+
+/**
+ * Gets a complete send policy (with defaults for missing rules)
+ *
+ * @method getSendPolicy
+ * @param {object|null} policy
+ *
+ * @returns {object}
+ */
+export const getSendPolicy = (policy) =>
+    assign({}, SEND_POLICY_DEFAULTS, pick(policy || {}, Object.keys(SEND_POLICY_DEFAULTS)));
+
+/**
+ * Checks if any rule of a send policy is enabled
+ *
+ * @method isSendPolicyActive
+ * @param {object|null} policy
+ *
+ * @returns {boolean}
+ */
+export const isSendPolicyActive = (policy) => {
+    const { dailyLimit, weeklyLimit, passwordThreshold, allowlistOnly, newRecipientDelay } = getSendPolicy(policy);
+
+    return dailyLimit > 0 || weeklyLimit > 0 || passwordThreshold > 0 || allowlistOnly || newRecipientDelay > 0;
+};
+
+/**
+ * Validates a send policy before it is saved.
+ * Returns the (sendPolicies) translation key of the first validation failure or null if the policy is valid
+ *
+ * @method getSendPolicyValidationError
+ * @param {object} policy
+ *
+ * @returns {string|null}
+ */
+export const getSendPolicyValidationError = (policy) => {
+    const { dailyLimit, weeklyLimit, passwordThreshold, allowlistOnly, newRecipientDelay } = getSendPolicy(policy);
+    const isValidAmount = (value) => Number.isInteger(value) && value >= 0;
+
+    if (!isValidAmount(dailyLimit) || !isValidAmount(weeklyLimit)) {
+        return 'invalidLimit';
+    }
+
+    if (dailyLimit > 0 && weeklyLimit > 0 && dailyLimit > weeklyLimit) {
+        return 'dailyLimitAboveWeeklyLimit';
+    }
+
+    if (!isValidAmount(passwordThreshold)) {
+        return 'invalidThreshold';
+    }
+
+    if (!isValidAmount(newRecipientDelay)) {
+        return 'invalidDelay';
+    }
+
+    if (!isBoolean(allowlistOnly)) {
+        return 'invalidPolicy';
+    }
+
+    return null;
+};
+
+/**
+ * Checks if a send policy change loosens any rule of the current policy.
+ * A limit or threshold is loosened when it is raised or disabled, the new recipient delay when it is shortened
+ * and the allowlist-only mode when it is turned off
+ *
+ * @method isSendPolicyRelaxed
+ * @param {object|null} currentPolicy
+ * @param {object|null} policy
+ *
+ * @returns {boolean}
+ */
+export const isSendPolicyRelaxed = (currentPolicy, policy) => {
+    const current = getSendPolicy(currentPolicy);
+    const updated = getSendPolicy(policy);
+    const isAmountRelaxed = (rule) => current[rule] > 0 && (updated[rule] === 0 || updated[rule] > current[rule]);
+
+    return (
+        some(['dailyLimit', 'weeklyLimit', 'passwordThreshold'], isAmountRelaxed) ||
+        (current.allowlistOnly && !updated.allowlistOnly) ||
+        updated.newRecipientDelay < current.newRecipientDelay
+    );
+};
+
+/**
+ * Strips checksum from an address
+ *
+ * @method withoutChecksum
+ * @param {string} address
+ *
+ * @returns {string}
+ */
+const withoutChecksum = (address) => address.slice(0, ADDRESS_LENGTH_WITHOUT_CHECKSUM);
+
+/**
+ * Gets recipients of an outgoing transfer that receive funds from other wallets.
+ * Outputs to own addresses (e.g. remainder or funds consolidation) are left out
+ *
+ * @method getPolicyPayees
+ * @param {array} recipients - [{ address, value }]
+ * @param {array} addresses - Own addresses (without checksum)
+ *
+ * @returns {array}
+ */
+export const getPolicyPayees = (recipients, addresses) =>
+    filter(recipients, (recipient) => recipient.value > 0 && !includes(addresses, withoutChecksum(recipient.address)));
+
+/**
+ * Gets value (iotas) sent to other wallets since provided time.
+ * Outputs to own addresses (e.g. funds consolidation) are not counted
+ *
+ * @method getOutgoingValueSince
+ * @param {object|array} transfers - Normalised transfers
+ * @param {array} addresses - Own addresses (without checksum)
+ * @param {number} since - Time (seconds)
+ *
+ * @returns {number}
+ */
+export const getOutgoingValueSince = (transfers, addresses, since) =>
+    reduce(
+        filter(transfers, (transfer) => !transfer.incoming && transfer.timestamp >= since),
+        (total, transfer) => {
+            const ownOutputsValue = sumBy(
+                filter(
+                    transfer.outputs,
+                    (output) =>
+                        includes(addresses, output.address) &&
+                        // Remainder is already deducted from the transfer value
+                        !(output.currentIndex === output.lastIndex && output.lastIndex !== 0),
+                ),
+                'value',
+            );
+
+            return total + Math.max(transfer.transferValue - ownOutputsValue, 0);
+        },
+        0,
+    );
+
+/**
+ * Gets the time (seconds) a recipient became known to the wallet,
+ * i.e. when it was saved as a contact or first sent funds to, whichever is earlier
+ *
+ * @method getRecipientKnownSince
+ * @param {string} address
+ * @param {array} contacts
+ * @param {object|array} transfers - Normalised transfers
+ *
+ * @returns {number|null} Time (seconds) or null if the recipient is unknown
+ */
+export const getRecipientKnownSince = (address, contacts, transfers) => {
+    const recipient = withoutChecksum(address);
+    const contact = find(contacts, (item) => withoutChecksum(item.address) === recipient);
+
+    const times = [
+        ...(contact ? [contact.createdAt || 0] : []),
+        ...map(
+            filter(
+                transfers,
+                (transfer) =>
+                    !transfer.incoming &&
+                    some(transfer.outputs, (output) => output.address === recipient && output.value > 0),
+            ),
+            'timestamp',
+        ),
+    ];
+
+    return times.length ? min(times) : null;
+};
+
+/**
+ * Checks outgoing transfer against a send policy.
+ * Returns the error of the first violated rule or null if the transfer is allowed.
+ * Password confirmation is not checked (See isPasswordRequiredForTransfer)
+ *
+ * @method getSendPolicyViolation
+ * @param {object|null} policy
+ * @param {array} recipients - [{ address, value }]
+ * @param {object} context - { contacts, transfers, addresses, [now] }
+ *
+ * @returns {string|null}
+ */
+export const getSendPolicyViolation = (policy, recipients, context) => {
+    const { dailyLimit, weeklyLimit, allowlistOnly, newRecipientDelay } = getSendPolicy(policy);
+    const { contacts, transfers, addresses, now = Math.floor(Date.now() / 1000) } = context;
+
+    // Only check recipients that receive funds from other wallets
+    const payees = getPolicyPayees(recipients, addresses);
+    const value = sumBy(payees, 'value');
+
+    if (!value) {
+        return null;
+    }
+
+    if (
+        allowlistOnly &&
+        some(
+            payees,
+            (recipient) =>
+                !find(contacts, (contact) => withoutChecksum(contact.address) === withoutChecksum(recipient.address)),
+        )
+    ) {
+        return Errors.SEND_POLICY_RECIPIENT_NOT_ALLOWED;
+    }
+
+    if (
+        newRecipientDelay > 0 &&
+        some(payees, (recipient) => {
+            const knownSince = getRecipientKnownSince(recipient.address, contacts, transfers);
+
+            return knownSince === null || now - knownSince < newRecipientDelay * 60 * 60;
+        })
+    ) {
+        return Errors.SEND_POLICY_RECIPIENT_COOLING_OFF;
+    }
+
+    if (dailyLimit > 0 && getOutgoingValueSince(transfers, addresses, now - DAY) + value > dailyLimit) {
+        return Errors.SEND_POLICY_DAILY_LIMIT_EXCEEDED;
+    }
+
+    if (weeklyLimit > 0 && getOutgoingValueSince(transfers, addresses, now - WEEK) + value > weeklyLimit) {
+        return Errors.SEND_POLICY_WEEKLY_LIMIT_EXCEEDED;
+    }
+
+    return null;
+};
+
+/**
+ * Checks if password must be re-entered before sending provided value
+ *
+ * @method isPasswordRequiredForTransfer
+ * @param {object|null} policy
+ * @param {number} value
+ *
+ * @returns {boolean}
+ */
+export const isPasswordRequiredForTransfer = (policy, value) => {
+    const { passwordThreshold } = getSendPolicy(policy);
+
+    return passwordThreshold > 0 && value > passwordThreshold;
+};
+
+/**
+ * Throws an error if an outgoing transfer violates the send policy of an account.
+ * Value sent to own addresses is neither limited nor counted towards the password threshold
+ *
+ * @method throwIfSendPolicyViolated
+ * @param {object} accountState - { sendPolicy, transactions, addressData }
+ * @param {array} recipients - [{ address, value }]
+ * @param {array} contacts
+ * @param {boolean} isPasswordConfirmed - Determines if password was re-entered for this transfer
+ *
+ * @returns {Promise}
+ */
+export const throwIfSendPolicyViolated = (accountState, recipients, contacts, isPasswordConfirmed) => {
+    const { sendPolicy, transactions, addressData } = accountState;
+    const addresses = map(addressData, (addressObject) => addressObject.address);
+
+    const violation = getSendPolicyViolation(sendPolicy, recipients, {
+        contacts,
+        transfers: mapNormalisedTransactions(transactions, addressData),
+        addresses,
+    });
+
+    if (violation) {
+        return Promise.reject(new Error(violation));
+    }
+
+    if (
+        !isPasswordConfirmed &&
+        isPasswordRequiredForTransfer(sendPolicy, sumBy(getPolicyPayees(recipients, addresses), 'value'))
+    ) {
+        return Promise.reject(new Error(Errors.SEND_POLICY_PASSWORD_REQUIRED));
+    }
+
+    return Promise.resolve();
+};
@@ -0,0 +1,106 @@
+import assign from 'lodash/assign';
+import every from 'lodash/every';
+import get from 'lodash/get';
+import isArray from 'lodash/isArray';
+import isPlainObject from 'lodash/isPlainObject';
+import isUndefined from 'lodash/isUndefined';
+import map from 'lodash/map';
+import omit from 'lodash/omit';
+import omitBy from 'lodash/omitBy';
+import some from 'lodash/some';
+import { parse, serialise } from './utils';
+import Errors from './errors';
+
+/**
+ * Parses and validates a state export (See settings/Advanced (desktop) & StateExport (mobile))
+ *
+ * @method parseStateSnapshot
+ * @param {string} content
+ *
+ * @returns {object} { settings, accounts, notificationLog }
+ */
+export const parseStateSnapshot = (content) => {
+    const snapshot = parse(content);
+
+    if (
+        !isPlainObject(snapshot) ||
+        !isPlainObject(snapshot.settings) ||
+        !isPlainObject(get(snapshot, 'accounts.accountInfo')) ||
+        !every(
+            snapshot.accounts.accountInfo,
+            ({ meta, addressData, transactions }) =>
+                isPlainObject(meta) && isArray(addressData) && isArray(transactions),
+        )
+    ) {
+        throw new Error(Errors.INVALID_STATE_SNAPSHOT);
+    }
+
+    return snapshot;
+};
+
+/**
+ * Maps (redux) state of a state snapshot to storage objects.
+ * Device bound settings (2FA, biometrics) are disabled
+ *
+ * @method getStateSnapshotStorageData
+ * @param {object} snapshot - Parsed state snapshot
+ * @param {number} schemaVersion - Latest storage schema version
+ *
+ * @returns {object} { Account, Node, Wallet }
+ */
+export const getStateSnapshotStorageData = ({ settings, accounts, notificationLog }, schemaVersion) => ({
+    Account: map(accounts.accountInfo, (account, name) =>
+        omitBy(
+            {
+                name,
+                index: account.index,
+                meta: account.meta,
+                addressData: account.addressData,
+                transactions: account.transactions,
+                inputSelectionStrategy: account.inputSelectionStrategy,
+                consolidationPlan: account.consolidation ? serialise(account.consolidation) : '',
+                sendPolicy: account.sendPolicy ? serialise(account.sendPolicy) : '',
+                displayedSnapshotTransitionGuide: true,
+            },
+            isUndefined,
+        ),
+    ),
+    Node: map(settings.nodes, (node) =>
+        omitBy(
+            {
+                url: node.url,
+                pow: node.pow,
+                username: node.username,
+                password: node.password,
+                custom: some(settings.customNodes, { url: node.url }),
+            },
+            isUndefined,
+        ),
+    ),
+    Wallet: [
+        {
+            version: schemaVersion,
+            onboardingComplete: true,
+            errorLog: isArray(notificationLog) ? notificationLog : [],
+            settings: assign({}, omit(settings, ['node', 'nodes', 'customNodes']), {
+                node: get(settings, 'node.url', ''),
+                is2FAEnabled: false,
+                isFingerprintEnabled: false,
+            }),
+            accountInfoDuringSetup: { name: '', meta: {}, usedExistingSeed: false },
+        },
+    ],
+});
+
+/**
+ * Rejects if a state snapshot is loaded
+ *
+ * @method throwIfStateSnapshotLoaded
+ * @param {object} state - Redux state
+ *
+ * @returns {Promise}
+ */
+export const throwIfStateSnapshotLoaded = (state) =>
+    get(state, 'wallet.isStateSnapshotLoaded') === true
+        ? Promise.reject(new Error(Errors.STATE_SNAPSHOT_LOADED))
+        : Promise.resolve();
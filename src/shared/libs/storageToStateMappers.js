@@ -1,10 +1,50 @@
 import assign from 'lodash/assign';
 import filter from 'lodash/filter';
 import find from 'lodash/find';
+import keyBy from 'lodash/keyBy';
 import map from 'lodash/map';
+import isEmpty from 'lodash/isEmpty';
 import transform from 'lodash/transform';
 import { DEFAULT_NODE } from '../config';
-import { Account, Node, Wallet } from '../storage';
+import { parse } from './utils';
+import { initialState as marketDataInitialState } from '../reducers/marketData';
+import { initialState as nodeHealthInitialState } from '../reducers/nodeHealth';
+import {
+    Account,
+    AuditLogEntry,
+    Contact,
+    MarketData,
+    Node,
+    NodeHealth,
+    PaymentRequest,
+    PriceHistory,
+    ScheduledPayment,
+    TransactionMetadata,
+    Wallet,
+} from '../storage';
+
+/**
+ * Maps last known good (persisted) market data to market data state
+ *
+ * @method mapMarketDataToState
+ * @param {object} marketData - { provider, timestamp, prices, statistics, rates, chartData }
+ *
+ * @returns {object}
+ */
+const mapMarketDataToState = ({ provider, timestamp, prices, statistics, rates, chartData }) =>
+    assign({}, marketDataInitialState, {
+        usdPrice: prices.usd,
+        eurPrice: prices.eur,
+        btcPrice: prices.btc,
+        ethPrice: prices.eth,
+        mcap: statistics.mcap,
+        volume: statistics.volume,
+        change24h: statistics.change24h,
+        chartData,
+        rates: isEmpty(rates) ? marketDataInitialState.rates : rates,
+        provider,
+        lastUpdated: timestamp,
+    });
 
 /**
  * Map persisted state to redux state
@@ -18,6 +58,7 @@ const mapStorageToState = () => {
 
     const { settings, onboardingComplete, errorLog, accountInfoDuringSetup } = Wallet.latestDataAsPlainObject;
     const nodes = Node.getDataAsArray();
+    const marketData = MarketData.getLatest();
 
     return {
         accounts: {
@@ -34,6 +75,9 @@ const mapStorageToState = () => {
                         index,
                         addressData,
                         transactions,
+                        inputSelectionStrategy,
+                        consolidationPlan,
+                        sendPolicy,
                     } = data;
 
                     acc.accountInfo[name] = {
@@ -41,6 +85,9 @@ const mapStorageToState = () => {
                         meta,
                         addressData,
                         transactions,
+                        inputSelectionStrategy,
+                        consolidation: consolidationPlan ? parse(consolidationPlan) : null,
+                        sendPolicy: sendPolicy ? parse(sendPolicy) : null,
                     };
 
                     acc.setupInfo[name] = { usedExistingSeed };
@@ -70,6 +117,31 @@ const mapStorageToState = () => {
             chartCurrency: 'USD',
         }),
         alerts: { notificationLog: map(errorLog, (error) => error) },
+        auditLog: { entries: AuditLogEntry.getDataAsArray() },
+        contacts: { list: Contact.getDataAsArray() },
+        paymentRequests: { list: PaymentRequest.getDataAsArray() },
+        scheduledPayments: { list: ScheduledPayment.getDataAsArray() },
+        nodeHealth: assign({}, nodeHealthInitialState, { records: keyBy(NodeHealth.getDataAsArray(), 'url') }),
+        transactionMetadata: {
+            bundles: transform(
+                TransactionMetadata.getDataAsArray(),
+                (acc, { bundle, label, note, category }) => {
+                    acc[bundle] = { label, note, category };
+                },
+                {},
+            ),
+        },
+        priceHistory: {
+            currencies: transform(
+                PriceHistory.getDataAsArray(),
+                (acc, { currency, day, open, high, low, close, openTime, closeTime }) => {
+                    acc[currency] = acc[currency] || {};
+                    acc[currency][day] = { open, high, low, close, openTime, closeTime };
+                },
+                {},
+            ),
+        },
+        ...(marketData && { marketData: mapMarketDataToState(marketData) }),
     };
 };
 
@@ -0,0 +1,328 @@
+import findIndex from 'lodash/findIndex';
+import map from 'lodash/map';
+import range from 'lodash/range';
+import HmacSHA1 from 'crypto-js/hmac-sha1';
+import Hex from 'crypto-js/enc-hex';
+import { TWOFA_TOKEN_LENGTH } from './utils';
+
+/** Time step (seconds) of a TOTP code (RFC 6238) */
+export const TOTP_PERIOD = 30;
+
+/** Number of time steps before and after the current one a TOTP code is accepted for (clock drift) */
+export const TOTP_WINDOW = 1;
+
+/** Two-factor authentication secret length (bytes) */
+export const TWOFA_SECRET_LENGTH = 20;
+
+/** Number of one-time backup codes generated on enrolment */
+export const BACKUP_CODES_COUNT = 10;
+
+/** Backup code length (excluding separator) */
+export const BACKUP_CODE_LENGTH = 8;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const ISSUER = 'Trinity';
+
+/**
+ * Encodes bytes as (unpadded) RFC 4648 base32
+ *
+ * @method base32Encode
+ * @param {array|Uint8Array} bytes
+ *
+ * @returns {string}
+ */
+export const base32Encode = (bytes) => {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+
+    for (let i = 0; i < bytes.length; i++) {
+        buffer = (buffer << 8) | bytes[i];
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decodes RFC 4648 base32 (case insensitive, whitespace and padding are ignored)
+ *
+ * @method base32Decode
+ * @param {string} input
+ *
+ * @returns {array} bytes
+ */
+export const base32Decode = (input) => {
+    const characters = input.toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+
+    for (let i = 0; i < characters.length; i++) {
+        const value = BASE32_ALPHABET.indexOf(characters[i]);
+
+        if (value === -1) {
+            throw new Error('Invalid base32 character.');
+        }
+
+        buffer = (buffer << 5) | value;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((buffer >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return bytes;
+};
+
+/**
+ * Encodes bytes as hex
+ *
+ * @method bytesToHex
+ * @param {array} bytes
+ *
+ * @returns {string}
+ */
+const bytesToHex = (bytes) => map(bytes, (byte) => `0${byte.toString(16)}`.slice(-2)).join('');
+
+/**
+ * Decodes hex to bytes
+ *
+ * @method hexToBytes
+ * @param {string} hex
+ *
+ * @returns {array}
+ */
+const hexToBytes = (hex) => map(range(0, hex.length, 2), (index) => parseInt(hex.substr(index, 2), 16));
+
+/**
+ * Computes HMAC-SHA1 (RFC 2104)
+ *
+ * @method hmacSha1
+ * @param {array} key
+ * @param {array} message
+ *
+ * @returns {array} 20 bytes MAC
+ */
+const hmacSha1 = (key, message) =>
+    hexToBytes(HmacSHA1(Hex.parse(bytesToHex(message)), Hex.parse(bytesToHex(key))).toString(Hex));
+
+/**
+ * Computes HOTP code (RFC 4226) for a counter
+ *
+ * @method getHotpCode
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter
+ *
+ * @returns {string}
+ */
+export const getHotpCode = (secret, counter) => {
+    const highBits = Math.floor(counter / 0x100000000);
+    const lowBits = counter >>> 0;
+    const message = [
+        (highBits >>> 24) & 255,
+        (highBits >>> 16) & 255,
+        (highBits >>> 8) & 255,
+        highBits & 255,
+        (lowBits >>> 24) & 255,
+        (lowBits >>> 16) & 255,
+        (lowBits >>> 8) & 255,
+        lowBits & 255,
+    ];
+
+    const mac = hmacSha1(base32Decode(secret), message);
+    const offset = mac[mac.length - 1] & 0xf;
+    const binary = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+
+    return (binary % Math.pow(10, TWOFA_TOKEN_LENGTH)).toString().padStart(TWOFA_TOKEN_LENGTH, '0');
+};
+
+/**
+ * Gets TOTP time step for provided time
+ *
+ * @method getTotpStep
+ * @param {number} time - Time (seconds)
+ *
+ * @returns {number}
+ */
+export const getTotpStep = (time) => Math.floor(time / TOTP_PERIOD);
+
+/**
+ * Computes TOTP code (RFC 6238) for provided time
+ *
+ * @method getTotpCode
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} [time] - Time (seconds)
+ *
+ * @returns {string}
+ */
+export const getTotpCode = (secret, time = Date.now() / 1000) => getHotpCode(secret, getTotpStep(time));
+
+/**
+ * Compares two codes in constant time
+ *
+ * @method isEqualCode
+ * @param {string} a
+ * @param {string} b
+ *
+ * @returns {boolean}
+ */
+const isEqualCode = (a, b) => {
+    if (a.length !== b.length) {
+        return false;
+    }
+
+    let difference = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+
+    return difference === 0;
+};
+
+/**
+ * Gets time step a TOTP code is valid for (within the accepted window around provided time)
+ *
+ * @method getTotpCodeStep
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code
+ * @param {number} [time] - Time (seconds)
+ *
+ * @returns {number|null} Time step or null if the code is invalid
+ */
+export const getTotpCodeStep = (secret, code, time = Date.now() / 1000) => {
+    const currentStep = getTotpStep(time);
+
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+        if (isEqualCode(getHotpCode(secret, currentStep + drift), code)) {
+            return currentStep + drift;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Normalises user input of a TOTP or backup code (strips whitespace and separators)
+ *
+ * @method normaliseCode
+ * @param {string} code
+ *
+ * @returns {string}
+ */
+export const normaliseCode = (code) => (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Formats a backup code for display
+ *
+ * @method formatBackupCode
+ * @param {string} code
+ *
+ * @returns {string}
+ */
+export const formatBackupCode = (code) =>
+    `${code.slice(0, BACKUP_CODE_LENGTH / 2)}-${code.slice(BACKUP_CODE_LENGTH / 2)}`;
+
+/**
+ * Generates one-time backup codes
+ *
+ * @method generateBackupCodes
+ * @param {function} randomBytesFn
+ *
+ * @returns {Promise<array>}
+ */
+export const generateBackupCodes = async (randomBytesFn) => {
+    const bytes = await randomBytesFn(BACKUP_CODES_COUNT * BACKUP_CODE_LENGTH);
+
+    return map(range(BACKUP_CODES_COUNT), (index) =>
+        Array.from(bytes.slice(index * BACKUP_CODE_LENGTH, (index + 1) * BACKUP_CODE_LENGTH))
+            // 256 is a multiple of 32, so uniformly random bytes map to uniformly random characters
+            .map((byte) => BASE32_ALPHABET[byte % 32])
+            .join(''),
+    );
+};
+
+/**
+ * Generates a new two-factor authentication configuration
+ *
+ * @method generateTwoFactorConfig
+ * @param {function} randomBytesFn
+ *
+ * @returns {Promise<object>} { secret, backupCodes, lastUsedStep }
+ */
+export const generateTwoFactorConfig = async (randomBytesFn) => {
+    const secret = base32Encode(await randomBytesFn(TWOFA_SECRET_LENGTH));
+    const backupCodes = await generateBackupCodes(randomBytesFn);
+
+    return { secret, backupCodes, lastUsedStep: 0 };
+};
+
+/**
+ * Gets otpauth URI (for QR code enrolment in authenticator apps)
+ *
+ * @method getTwoFactorUri
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} [label]
+ *
+ * @returns {string}
+ */
+export const getTwoFactorUri = (secret, label = ISSUER) =>
+    `otpauth://totp/${encodeURIComponent(ISSUER)}:${encodeURIComponent(
+        label,
+    )}?secret=${secret}&issuer=${encodeURIComponent(
+        ISSUER,
+    )}&algorithm=SHA1&digits=${TWOFA_TOKEN_LENGTH}&period=${TOTP_PERIOD}`;
+
+/**
+ * Verifies a TOTP or backup code against a two-factor authentication configuration.
+ * Used backup codes are removed and the time step of used TOTP codes is recorded so that codes cannot be replayed
+ *
+ * @method verifyTwoFactorCode
+ * @param {object|null} config - { secret, backupCodes, lastUsedStep }
+ * @param {string} code
+ * @param {number} [time] - Time (seconds)
+ *
+ * @returns {object} { isValid, isBackupCode, config } - config is the updated configuration to persist
+ */
+export const verifyTwoFactorCode = (config, code, time = Date.now() / 1000) => {
+    const token = normaliseCode(code);
+
+    // Fail closed if two-factor authentication is enabled but its configuration is missing
+    if (!config || !config.secret) {
+        return { isValid: false, isBackupCode: false, config };
+    }
+
+    if (token.length === TWOFA_TOKEN_LENGTH) {
+        const step = getTotpCodeStep(config.secret, token, time);
+
+        if (step !== null && step > (config.lastUsedStep || 0)) {
+            return { isValid: true, isBackupCode: false, config: { ...config, lastUsedStep: step } };
+        }
+    } else if (token.length === BACKUP_CODE_LENGTH) {
+        const backupCodes = config.backupCodes || [];
+        const index = findIndex(backupCodes, (backupCode) => isEqualCode(normaliseCode(backupCode), token));
+
+        if (index !== -1) {
+            return {
+                isValid: true,
+                isBackupCode: true,
+                config: { ...config, backupCodes: backupCodes.filter((_, codeIndex) => codeIndex !== index) },
+            };
+        }
+    }
+
+    return { isValid: false, isBackupCode: false, config };
+};
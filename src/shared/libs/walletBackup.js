@@ -0,0 +1,115 @@
+import assign from 'lodash/assign';
+import every from 'lodash/every';
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import includes from 'lodash/includes';
+import isArray from 'lodash/isArray';
+import isEmpty from 'lodash/isEmpty';
+import isInteger from 'lodash/isInteger';
+import isPlainObject from 'lodash/isPlainObject';
+import keys from 'lodash/keys';
+import map from 'lodash/map';
+import merge from 'lodash/merge';
+import size from 'lodash/size';
+import { parse, serialise } from './utils';
+import Errors from './errors';
+
+/** Current wallet backup format version */
+export const WALLET_BACKUP_VERSION = 1;
+
+/** Storage models included in a wallet backup */
+export const WALLET_BACKUP_MODELS = ['Account', 'Node', 'TransactionMetadata', 'Wallet'];
+
+/**
+ * Creates serialised wallet backup content.
+ * Only accounts with a seed in the backup are included. Device bound settings (2FA, biometrics) are reset
+ *
+ * @method createWalletBackup
+ * @param {object} storageData - { schemaVersion, data } (See storage/getBackupData)
+ * @param {array} accountNames - Names of accounts with a seed in the backup
+ * @param {number} [timestamp] - Unix time in seconds
+ *
+ * @returns {string}
+ */
+export const createWalletBackup = ({ schemaVersion, data }, accountNames, timestamp = Math.floor(Date.now() / 1000)) =>
+    serialise({
+        version: WALLET_BACKUP_VERSION,
+        timestamp,
+        schemaVersion,
+        data: assign({}, data, {
+            Account: filter(data.Account, ({ name }) => includes(accountNames, name)),
+            Wallet: map(data.Wallet, (wallet) =>
+                assign(merge({}, wallet, { settings: { is2FAEnabled: false, isFingerprintEnabled: false } }), {
+                    accountInfoDuringSetup: { name: '', meta: {}, usedExistingSeed: false },
+                }),
+            ),
+        }),
+    });
+
+/**
+ * Gets names of accounts left out of a wallet backup,
+ * i.e. accounts without a seed (hardware wallet, watch-only and multisignature accounts)
+ *
+ * @method getSkippedWalletBackupAccounts
+ * @param {object} accountInfo - Accounts keyed by name
+ * @param {array} accountNames - Names of accounts with a seed in the backup
+ *
+ * @returns {array}
+ */
+export const getSkippedWalletBackupAccounts = (accountInfo, accountNames) =>
+    filter(keys(accountInfo), (name) => !includes(accountNames, name));
+
+/**
+ * Parses and validates serialised wallet backup content
+ *
+ * @method parseWalletBackup
+ * @param {string} content
+ *
+ * @returns {object} { version, timestamp, schemaVersion, data }
+ */
+export const parseWalletBackup = (content) => {
+    const backup = parse(content);
+
+    if (
+        !isPlainObject(backup) ||
+        !isInteger(backup.version) ||
+        !isInteger(backup.schemaVersion) ||
+        !isPlainObject(backup.data)
+    ) {
+        throw new Error(Errors.INVALID_WALLET_BACKUP);
+    }
+
+    if (backup.version > WALLET_BACKUP_VERSION) {
+        throw new Error(Errors.UNSUPPORTED_WALLET_BACKUP_VERSION);
+    }
+
+    if (
+        !every(WALLET_BACKUP_MODELS, (model) => isArray(backup.data[model])) ||
+        size(backup.data.Wallet) !== 1 ||
+        backup.data.Wallet[0].version !== backup.schemaVersion
+    ) {
+        throw new Error(Errors.INVALID_WALLET_BACKUP);
+    }
+
+    return backup;
+};
+
+/**
+ * Pairs backed up accounts with their seeds
+ *
+ * @method getWalletBackupAccounts
+ * @param {object} backup - Parsed wallet backup
+ * @param {array} seeds - [{ title, seed }]
+ *
+ * @returns {array} [{ name, meta, seed }]
+ */
+export const getWalletBackupAccounts = (backup, seeds) =>
+    map(backup.data.Account, ({ name, meta }) => {
+        const entry = find(seeds, { title: name });
+
+        if (!entry || isEmpty(entry.seed)) {
+            throw new Error(Errors.INVALID_WALLET_BACKUP);
+        }
+
+        return { name, meta, seed: entry.seed };
+    });
@@ -219,6 +219,7 @@ const account = (state = initialState, action) => {
         case AccountsActionTypes.ACCOUNT_INFO_FETCH_SUCCESS:
         case TransfersActionTypes.RETRY_FAILED_TRANSACTION_SUCCESS:
         case AccountsActionTypes.SYNC_ACCOUNT_BEFORE_SWEEPING:
+        case AccountsActionTypes.SYNC_ACCOUNT_BEFORE_CONSOLIDATION:
         case AccountsActionTypes.MANUAL_SYNC_SUCCESS:
         case AccountsActionTypes.OVERRIDE_ACCOUNT_INFO:
             return {
@@ -242,6 +243,39 @@ const account = (state = initialState, action) => {
                     usedExistingSeed: false,
                 },
             };
+        case AccountsActionTypes.SET_INPUT_SELECTION_STRATEGY:
+            return {
+                ...state,
+                accountInfo: {
+                    ...state.accountInfo,
+                    [action.payload.accountName]: {
+                        ...state.accountInfo[action.payload.accountName],
+                        inputSelectionStrategy: action.payload.strategy,
+                    },
+                },
+            };
+        case AccountsActionTypes.SET_SEND_POLICY:
+            return {
+                ...state,
+                accountInfo: {
+                    ...state.accountInfo,
+                    [action.payload.accountName]: {
+                        ...state.accountInfo[action.payload.accountName],
+                        sendPolicy: action.payload.policy,
+                    },
+                },
+            };
+        case AccountsActionTypes.SET_CONSOLIDATION_PLAN:
+            return {
+                ...state,
+                accountInfo: {
+                    ...state.accountInfo,
+                    [action.payload.accountName]: {
+                        ...state.accountInfo[action.payload.accountName],
+                        consolidation: action.payload.plan,
+                    },
+                },
+            };
         case AccountsActionTypes.ASSIGN_ACCOUNT_INDEX:
             return {
                 ...state,
@@ -0,0 +1,20 @@
+import { AuditLogActionTypes } from '../types';
+
+const initialState = {
+    /**
+     * Security audit log entries (oldest first)
+     */
+    entries: [],
+};
+
+export default (state = initialState, action) => {
+    switch (action.type) {
+        case AuditLogActionTypes.ADD_AUDIT_LOG_ENTRY:
+            return {
+                ...state,
+                entries: [...state.entries, action.payload],
+            };
+        default:
+            return state;
+    }
+};
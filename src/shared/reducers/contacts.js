@@ -0,0 +1,42 @@
+import assign from 'lodash/assign';
+import filter from 'lodash/filter';
+import map from 'lodash/map';
+import { ContactsActionTypes } from '../types';
+
+const initialState = {
+    /**
+     * Address book contacts
+     */
+    list: [],
+};
+
+export default (state = initialState, action) => {
+    switch (action.type) {
+        case ContactsActionTypes.ADD_CONTACT:
+            return {
+                ...state,
+                list: [...filter(state.list, (contact) => contact.address !== action.payload.address), action.payload],
+            };
+        case ContactsActionTypes.UPDATE_CONTACT:
+            return {
+                ...state,
+                list: map(state.list, (contact) =>
+                    contact.address === action.payload.address ? assign({}, contact, action.payload) : contact,
+                ),
+            };
+        case ContactsActionTypes.REMOVE_CONTACT:
+            return {
+                ...state,
+                list: filter(state.list, (contact) => contact.address !== action.payload),
+            };
+        case ContactsActionTypes.MARK_CONTACT_AS_SPENT:
+            return {
+                ...state,
+                list: map(state.list, (contact) =>
+                    contact.address === action.payload ? assign({}, contact, { spent: true }) : contact,
+                ),
+            };
+        default:
+            return state;
+    }
+};
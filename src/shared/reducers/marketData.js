@@ -1,7 +1,7 @@
 import { MarketDataActionTypes } from '../types';
 import { availableCurrencies } from '../libs/currency';
 
-const initialState = {
+export const initialState = {
     /**
      * Price data points for mapping on chart
      */
@@ -38,6 +38,14 @@ const initialState = {
      * Exchange rates
      */
     rates: availableCurrencies,
+    /**
+     * Market data provider the current market data was fetched from
+     */
+    provider: '',
+    /**
+     * Time (ms) market data was last fetched successfully
+     */
+    lastUpdated: 0,
 };
 
 const marketData = (state = initialState, action) => {
@@ -67,6 +75,12 @@ const marketData = (state = initialState, action) => {
                 ...state,
                 rates: action.payload,
             };
+        case MarketDataActionTypes.SET_LAST_UPDATED:
+            return {
+                ...state,
+                provider: action.provider,
+                lastUpdated: action.timestamp,
+            };
         default:
             return state;
     }
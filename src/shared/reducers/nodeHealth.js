@@ -0,0 +1,48 @@
+import { NodeHealthActionTypes } from '../types';
+import { QUORUM_ROUNDS_HISTORY_SIZE } from '../config';
+
+export const initialState = {
+    /**
+     * Node health records keyed by node url
+     */
+    records: {},
+    /**
+     * Determines if node health checks are in progress
+     */
+    isCheckingNodeHealth: false,
+    /**
+     * Records of latest quorum rounds, latest first (See libs/iota/quorum#createQuorumRound)
+     */
+    quorumRounds: [],
+};
+
+export default (state = initialState, action) => {
+    switch (action.type) {
+        case NodeHealthActionTypes.UPDATE_NODE_HEALTH:
+            return {
+                ...state,
+                records: {
+                    ...state.records,
+                    [action.payload.url]: action.payload,
+                },
+            };
+        case NodeHealthActionTypes.SET_CHECKING_NODE_HEALTH:
+            return {
+                ...state,
+                isCheckingNodeHealth: action.payload,
+            };
+        case NodeHealthActionTypes.ADD_QUORUM_ROUND:
+            return {
+                ...state,
+                quorumRounds: [action.payload, ...state.quorumRounds].slice(0, QUORUM_ROUNDS_HISTORY_SIZE),
+            };
+        case NodeHealthActionTypes.CLEAR_NODE_HEALTH:
+            return {
+                ...state,
+                records: {},
+                quorumRounds: [],
+            };
+        default:
+            return state;
+    }
+};
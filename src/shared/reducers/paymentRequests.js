@@ -0,0 +1,37 @@
+import filter from 'lodash/filter';
+import find from 'lodash/find';
+import map from 'lodash/map';
+import { PaymentRequestsActionTypes } from '../types';
+
+const initialState = {
+    /**
+     * Payment requests (Conditional Deposit Addresses) created by the wallet
+     */
+    list: [],
+};
+
+export default (state = initialState, action) => {
+    switch (action.type) {
+        case PaymentRequestsActionTypes.ADD_PAYMENT_REQUEST:
+            return {
+                ...state,
+                list: [...filter(state.list, (request) => request.address !== action.payload.address), action.payload],
+            };
+        case PaymentRequestsActionTypes.UPDATE_PAYMENT_REQUESTS:
+            return {
+                ...state,
+                list: map(state.list, (request) => {
+                    const update = find(action.payload, { address: request.address });
+
+                    return update ? { ...request, ...update } : request;
+                }),
+            };
+        case PaymentRequestsActionTypes.REMOVE_PAYMENT_REQUEST:
+            return {
+                ...state,
+                list: filter(state.list, (request) => request.address !== action.payload),
+            };
+        default:
+            return state;
+    }
+};
@@ -44,7 +44,7 @@ const polling = (
         /**
          * Polling service names
          */
-        allPollingServices: ['promotion', 'broadcast', 'marketData', 'nodeList', 'accountInfo'],
+        allPollingServices: ['promotion', 'broadcast', 'marketData', 'nodeList', 'accountInfo', 'scheduledPayments'],
         /**
          * Determines the service currently being run during the poll cycle
          */
@@ -77,6 +77,10 @@ const polling = (
          * Determines if poll cycle is promoting an unconfirmed transaction
          */
         isAutoPromoting: false,
+        /**
+         * Determines if poll cycle is processing a due scheduled payment
+         */
+        isRunningScheduledPayment: false,
     },
     action,
 ) => {
@@ -149,6 +153,23 @@ const polling = (
                 isAutoPromoting: false,
                 ...setNextPollIfUnsuccessful(state),
             };
+        case PollingActionTypes.RUN_SCHEDULED_PAYMENT_REQUEST:
+            return {
+                ...state,
+                isRunningScheduledPayment: true,
+            };
+        case PollingActionTypes.RUN_SCHEDULED_PAYMENT_SUCCESS:
+            return {
+                ...state,
+                isRunningScheduledPayment: false,
+                ...setNextPollIfSuccessful(state),
+            };
+        case PollingActionTypes.RUN_SCHEDULED_PAYMENT_ERROR:
+            return {
+                ...state,
+                isRunningScheduledPayment: false,
+                ...setNextPollIfUnsuccessful(state),
+            };
         case TransfersActionTypes.RETRY_FAILED_TRANSACTION_SUCCESS:
             return {
                 ...state,
@@ -0,0 +1,28 @@
+import mapValues from 'lodash/mapValues';
+import { PriceHistoryActionTypes } from '../types';
+
+const initialState = {
+    /**
+     * Cached daily IOTA prices keyed by currency and day (YYYY-MM-DD, UTC)
+     * { [currency]: { [day]: { open, high, low, close, openTime, closeTime } } }
+     */
+    currencies: {},
+};
+
+export default (state = initialState, action) => {
+    switch (action.type) {
+        case PriceHistoryActionTypes.UPDATE_PRICE_HISTORY:
+            return {
+                ...state,
+                currencies: {
+                    ...state.currencies,
+                    ...mapValues(action.payload, (days, currency) => ({
+                        ...state.currencies[currency],
+                        ...days,
+                    })),
+                },
+            };
+        default:
+            return state;
+    }
+};
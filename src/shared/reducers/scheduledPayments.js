@@ -0,0 +1,34 @@
+import filter from 'lodash/filter';
+import map from 'lodash/map';
+import { ScheduledPaymentsActionTypes } from '../types';
+
+const initialState = {
+    /**
+     * Scheduled (one-off and recurring) payments
+     */
+    list: [],
+};
+
+export default (state = initialState, action) => {
+    switch (action.type) {
+        case ScheduledPaymentsActionTypes.ADD_SCHEDULED_PAYMENT:
+            return {
+                ...state,
+                list: [...filter(state.list, (payment) => payment.id !== action.payload.id), action.payload],
+            };
+        case ScheduledPaymentsActionTypes.UPDATE_SCHEDULED_PAYMENT:
+            return {
+                ...state,
+                list: map(state.list, (payment) =>
+                    payment.id === action.payload.id ? { ...payment, ...action.payload } : payment,
+                ),
+            };
+        case ScheduledPaymentsActionTypes.REMOVE_SCHEDULED_PAYMENT:
+            return {
+                ...state,
+                list: filter(state.list, (payment) => payment.id !== action.payload),
+            };
+        default:
+            return state;
+    }
+};
@@ -1,7 +1,8 @@
 import merge from 'lodash/merge';
 import unionBy from 'lodash/unionBy';
 import { SettingsActionTypes, MarketDataActionTypes, MigrationsActionTypes } from '../types';
-import { DEFAULT_NODE, DEFAULT_NODES, QUORUM_SIZE } from '../config';
+import { DEFAULT_NODE, DEFAULT_NODES, QUORUM_SIZE, QUORUM_POLICY, QUORUM_THRESHOLD } from '../config';
+import { DEFAULT_MARKET_DATA_PROVIDER } from '../libs/marketData';
 
 export const initialState = {
     /**
@@ -65,6 +66,11 @@ export const initialState = {
      * Determines if user has enabled finger print authentication
      */
     isFingerprintEnabled: false,
+    /**
+     * Determines if user has enabled two-factor (TOTP) authentication.
+     * Two-factor secret itself is kept in the keychain
+     */
+    is2FAEnabled: false,
     /**
      * Keeps track if user has accepted terms and conditions during the initial setup
      */
@@ -117,6 +123,18 @@ export const initialState = {
          * Determines if quorum is enabled
          */
         enabled: true,
+        /**
+         * Consensus policy (majority | supermajority | unanimous)
+         */
+        policy: QUORUM_POLICY,
+        /**
+         * Percentage of agreeing nodes required by supermajority policy
+         */
+        threshold: QUORUM_THRESHOLD,
+        /**
+         * Policies overriding the consensus policy for specific methods - [{ method, policy, threshold }]
+         */
+        methodPolicies: [],
     },
     /**
      * Determines if (primary) node should be auto-switched
@@ -139,6 +157,10 @@ export const initialState = {
      * Time frame for price
      */
     chartTimeframe: '24h',
+    /**
+     * Selected market data provider
+     */
+    marketDataProvider: DEFAULT_MARKET_DATA_PROVIDER,
 };
 
 const settingsReducer = (state = initialState, action) => {
@@ -214,6 +236,11 @@ const settingsReducer = (state = initialState, action) => {
                 ...state,
                 isFingerprintEnabled: action.payload,
             };
+        case SettingsActionTypes.SET_2FA_STATUS:
+            return {
+                ...state,
+                is2FAEnabled: action.payload,
+            };
         case SettingsActionTypes.SET_VERSIONS:
             return merge({}, state, {
                 versions: action.payload,
@@ -323,6 +350,11 @@ const settingsReducer = (state = initialState, action) => {
                 ...state,
                 chartTimeframe: action.payload,
             };
+        case SettingsActionTypes.SET_MARKET_DATA_PROVIDER:
+            return {
+                ...state,
+                marketDataProvider: action.payload,
+            };
     }
 
     return state;
@@ -0,0 +1,30 @@
+import omit from 'lodash/omit';
+import { TransactionMetadataActionTypes } from '../types';
+
+const initialState = {
+    /**
+     * Private (local-only) metadata keyed by bundle hash
+     * { [bundle]: { label, note, category } }
+     */
+    bundles: {},
+};
+
+export default (state = initialState, action) => {
+    switch (action.type) {
+        case TransactionMetadataActionTypes.SET_METADATA:
+            return {
+                ...state,
+                bundles: {
+                    ...state.bundles,
+                    [action.payload.bundle]: action.payload.metadata,
+                },
+            };
+        case TransactionMetadataActionTypes.REMOVE_METADATA:
+            return {
+                ...state,
+                bundles: omit(state.bundles, action.payload),
+            };
+        default:
+            return state;
+    }
+};
@@ -1,4 +1,5 @@
 import merge from 'lodash/merge';
+import omit from 'lodash/omit';
 import {
     AccountsActionTypes,
     PollingActionTypes,
@@ -41,10 +42,31 @@ const initialState = {
      * Determines if wallet is making a transaction
      */
     isSendingTransfer: false,
+    /**
+     * Determines if user has re-entered password for the next transfer (See libs/sendPolicies)
+     */
+    isSendPasswordConfirmed: false,
+    /**
+     * Determines if wallet is preparing inputs and remainder of a transfer to be signed offline
+     */
+    isPreparingUnsignedTransfer: false,
+    /**
+     * Unsigned transfers prepared for offline signing, by account name.
+     * Signed transfers are only broadcast if they match the unsigned transfer prepared for the account
+     */
+    unsignedTransfers: {},
     /**
      * Determines if wallet is manually syncing
      */
     isSyncing: false,
+    /**
+     * Determines if wallet is planning a funds consolidation
+     */
+    isPlanningConsolidation: false,
+    /**
+     * Determines if wallet is sending (planned) consolidation transfers
+     */
+    isConsolidatingFunds: false,
     /**
      * Determines if application is in an inactive state
      */
@@ -65,10 +87,18 @@ const initialState = {
      * Transaction message text field data
      */
     sendMessageFieldText: '',
+    /**
+     * Transaction tag text field data
+     */
+    sendTagFieldText: '',
     /**
      * An opened CDA's content
      */
     CDAContent: {},
+    /**
+     * An opened payment URI's content (See libs/paymentUri)
+     */
+    paymentUriContent: {},
     /**
      * Active denomination on send screen
      */
@@ -167,12 +197,18 @@ export default (state = initialState, action) => {
                 ...state,
                 sendMessageFieldText: action.payload,
             };
+        case UiActionTypes.SET_SEND_TAG_FIELD:
+            return {
+                ...state,
+                sendTagFieldText: action.payload,
+            };
         case UiActionTypes.CLEAR_SEND_FIELDS:
             return {
                 ...state,
                 sendAddressFieldText: '',
                 sendAmountFieldText: '',
                 sendMessageFieldText: '',
+                sendTagFieldText: '',
             };
         case WalletActionTypes.SET_DEEP_LINK_CONTENT:
             return {
@@ -239,6 +275,30 @@ export default (state = initialState, action) => {
                 ...state,
                 isSendingTransfer: false,
             };
+        case TransfersActionTypes.PREPARE_UNSIGNED_TRANSFER_REQUEST:
+            return {
+                ...state,
+                isPreparingUnsignedTransfer: true,
+            };
+        case TransfersActionTypes.PREPARE_UNSIGNED_TRANSFER_SUCCESS:
+        case TransfersActionTypes.PREPARE_UNSIGNED_TRANSFER_ERROR:
+            return {
+                ...state,
+                isPreparingUnsignedTransfer: false,
+            };
+        case TransfersActionTypes.ADD_UNSIGNED_TRANSFER:
+            return {
+                ...state,
+                unsignedTransfers: {
+                    ...state.unsignedTransfers,
+                    [action.payload.accountName]: action.payload.unsignedTransfer,
+                },
+            };
+        case TransfersActionTypes.REMOVE_UNSIGNED_TRANSFER:
+            return {
+                ...state,
+                unsignedTransfers: omit(state.unsignedTransfers, action.payload),
+            };
         case WalletActionTypes.CLEAR_WALLET_DATA:
             return {
                 ...state,
@@ -256,6 +316,7 @@ export default (state = initialState, action) => {
                 sendAddressFieldText: '',
                 sendAmountFieldText: '',
                 sendMessageFieldText: '',
+                sendTagFieldText: '',
                 sendDenomination: 'i',
                 doNotMinimise: false,
                 isModalActive: false,
@@ -265,6 +326,8 @@ export default (state = initialState, action) => {
                 qrDenomination: 'i',
                 selectedQrTab: 'message',
                 CDAContent: {},
+                paymentUriContent: {},
+                unsignedTransfers: {},
             };
         case AccountsActionTypes.FULL_ACCOUNT_INFO_FETCH_REQUEST:
             return {
@@ -311,6 +374,28 @@ export default (state = initialState, action) => {
                 ...state,
                 isSyncing: false,
             };
+        case AccountsActionTypes.PLAN_CONSOLIDATION_REQUEST:
+            return {
+                ...state,
+                isPlanningConsolidation: true,
+            };
+        case AccountsActionTypes.PLAN_CONSOLIDATION_SUCCESS:
+        case AccountsActionTypes.PLAN_CONSOLIDATION_ERROR:
+            return {
+                ...state,
+                isPlanningConsolidation: false,
+            };
+        case AccountsActionTypes.CONSOLIDATE_FUNDS_REQUEST:
+            return {
+                ...state,
+                isConsolidatingFunds: true,
+            };
+        case AccountsActionTypes.CONSOLIDATE_FUNDS_SUCCESS:
+        case AccountsActionTypes.CONSOLIDATE_FUNDS_ERROR:
+            return {
+                ...state,
+                isConsolidatingFunds: false,
+            };
         case WalletActionTypes.SNAPSHOT_TRANSITION_REQUEST:
             return {
                 ...state,
@@ -445,6 +530,16 @@ export default (state = initialState, action) => {
                 ...state,
                 CDAContent: action.payload,
             };
+        case UiActionTypes.SET_SEND_PASSWORD_CONFIRMED:
+            return {
+                ...state,
+                isSendPasswordConfirmed: action.payload,
+            };
+        case UiActionTypes.SET_PAYMENT_URI_CONTENT:
+            return {
+                ...state,
+                paymentUriContent: action.payload,
+            };
         default:
             return state;
     }
@@ -67,6 +67,10 @@ const initialState = {
      * Seed migration url
      */
     seedMigrationUrl: '',
+    /**
+     * Determines if a (read-only) state snapshot is loaded in place of wallet storage
+     */
+    isStateSnapshotLoaded: false,
 };
 
 export default (state = initialState, action) => {
@@ -221,6 +225,11 @@ export default (state = initialState, action) => {
                 displaySeedMigrationAlert: true,
                 seedMigrationUrl: action.payload,
             };
+        case WalletActionTypes.SET_STATE_SNAPSHOT_LOADED:
+            return {
+                ...state,
+                isStateSnapshotLoaded: action.payload,
+            };
         default:
             return state;
     }
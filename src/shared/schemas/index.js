@@ -14,6 +14,18 @@ import v7Schema, { migration as v7Migration } from './v7';
 import v8Schema, { migration as v8Migration } from './v8';
 import v9Schema, { migration as v9Migration } from './v9';
 import v10Schema, { migration as v10Migration } from './v10';
+import v11Schema, { migration as v11Migration } from './v11';
+import v12Schema, { migration as v12Migration } from './v12';
+import v13Schema, { migration as v13Migration } from './v13';
+import v14Schema, { migration as v14Migration } from './v14';
+import v15Schema, { migration as v15Migration } from './v15';
+import v16Schema, { migration as v16Migration } from './v16';
+import v17Schema, { migration as v17Migration } from './v17';
+import v18Schema, { migration as v18Migration } from './v18';
+import v19Schema, { migration as v19Migration } from './v19';
+import v20Schema, { migration as v20Migration } from './v20';
+import v21Schema, { migration as v21Migration } from './v21';
+import v22Schema, { migration as v22Migration } from './v22';
 import { __MOBILE__, __TEST__, __DEV__ } from '../config';
 import { initialState as reduxSettingsState } from '../reducers/settings';
 import { initialState as reduxAccountsState } from '../reducers/accounts';
@@ -184,6 +196,78 @@ export default [
         path: STORAGE_PATH,
         migration: v10Migration,
     },
+    {
+        schema: v11Schema,
+        schemaVersion: 11,
+        path: STORAGE_PATH,
+        migration: v11Migration,
+    },
+    {
+        schema: v12Schema,
+        schemaVersion: 12,
+        path: STORAGE_PATH,
+        migration: v12Migration,
+    },
+    {
+        schema: v13Schema,
+        schemaVersion: 13,
+        path: STORAGE_PATH,
+        migration: v13Migration,
+    },
+    {
+        schema: v14Schema,
+        schemaVersion: 14,
+        path: STORAGE_PATH,
+        migration: v14Migration,
+    },
+    {
+        schema: v15Schema,
+        schemaVersion: 15,
+        path: STORAGE_PATH,
+        migration: v15Migration,
+    },
+    {
+        schema: v16Schema,
+        schemaVersion: 16,
+        path: STORAGE_PATH,
+        migration: v16Migration,
+    },
+    {
+        schema: v17Schema,
+        schemaVersion: 17,
+        path: STORAGE_PATH,
+        migration: v17Migration,
+    },
+    {
+        schema: v18Schema,
+        schemaVersion: 18,
+        path: STORAGE_PATH,
+        migration: v18Migration,
+    },
+    {
+        schema: v19Schema,
+        schemaVersion: 19,
+        path: STORAGE_PATH,
+        migration: v19Migration,
+    },
+    {
+        schema: v20Schema,
+        schemaVersion: 20,
+        path: STORAGE_PATH,
+        migration: v20Migration,
+    },
+    {
+        schema: v21Schema,
+        schemaVersion: 21,
+        path: STORAGE_PATH,
+        migration: v21Migration,
+    },
+    {
+        schema: v22Schema,
+        schemaVersion: 22,
+        path: STORAGE_PATH,
+        migration: v22Migration,
+    },
 ];
 
 export { v0Schema, v1Schema, STORAGE_PATH, getDeprecatedStoragePath };
@@ -0,0 +1,58 @@
+import v10Schema from '../v10';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 10);
+
+    // Bump wallet version.
+    walletData.version = 11;
+};
+
+/**
+ * Schema for address book contacts
+ */
+export const ContactSchema = {
+    name: 'Contact',
+    primaryKey: 'address',
+    properties: {
+        /**
+         * Contact address (with checksum)
+         */
+        address: 'string',
+        /**
+         * Contact name
+         */
+        name: 'string',
+        /**
+         * Default message for transfers to this contact
+         */
+        message: {
+            type: 'string',
+            default: '',
+        },
+        /**
+         * Default tag for transfers to this contact
+         */
+        tag: {
+            type: 'string',
+            default: '',
+        },
+        /**
+         * Private notes
+         */
+        notes: {
+            type: 'string',
+            default: '',
+        },
+        /**
+         * Determines if contact address was found to be spent from
+         */
+        spent: {
+            type: 'bool',
+            default: false,
+        },
+    },
+};
+
+export default [ContactSchema, ...v10Schema];
+
+export { migration };
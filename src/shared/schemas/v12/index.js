@@ -0,0 +1,47 @@
+import v11Schema from '../v11';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 11);
+
+    // Bump wallet version.
+    walletData.version = 12;
+};
+
+/**
+ * Schema for locally stored (private) transaction metadata
+ */
+export const TransactionMetadataSchema = {
+    name: 'TransactionMetadata',
+    primaryKey: 'bundle',
+    properties: {
+        /**
+         * Bundle hash
+         */
+        bundle: 'string',
+        /**
+         * Short label
+         */
+        label: {
+            type: 'string',
+            default: '',
+        },
+        /**
+         * Free-text note
+         */
+        note: {
+            type: 'string',
+            default: '',
+        },
+        /**
+         * Category (e.g. payroll, supplier)
+         */
+        category: {
+            type: 'string',
+            default: '',
+        },
+    },
+};
+
+export default [TransactionMetadataSchema, ...v11Schema];
+
+export { migration };
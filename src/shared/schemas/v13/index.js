@@ -0,0 +1,58 @@
+import v12Schema from '../v12';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 12);
+
+    // Bump wallet version.
+    walletData.version = 13;
+};
+
+/**
+ * Schema for cached daily (UTC) IOTA prices
+ */
+export const PriceHistorySchema = {
+    name: 'PriceHistory',
+    primaryKey: 'id',
+    properties: {
+        /**
+         * Currency and day (e.g. USD:2019-01-31)
+         */
+        id: 'string',
+        /**
+         * Currency code
+         */
+        currency: 'string',
+        /**
+         * Day (YYYY-MM-DD, UTC)
+         */
+        day: 'string',
+        /**
+         * Price of 1 Mi at first data point of the day
+         */
+        open: 'double',
+        /**
+         * Highest price of 1 Mi
+         */
+        high: 'double',
+        /**
+         * Lowest price of 1 Mi
+         */
+        low: 'double',
+        /**
+         * Price of 1 Mi at last data point of the day
+         */
+        close: 'double',
+        /**
+         * Unix time of first data point of the day
+         */
+        openTime: 'int',
+        /**
+         * Unix time of last data point of the day
+         */
+        closeTime: 'int',
+    },
+};
+
+export default [PriceHistorySchema, ...v12Schema];
+
+export { migration };
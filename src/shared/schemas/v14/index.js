@@ -0,0 +1,61 @@
+import each from 'lodash/each';
+import map from 'lodash/map';
+import merge from 'lodash/merge';
+import v13Schema from '../v13';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 13);
+    const newWalletSettings = newRealm.objects('WalletSettings');
+
+    // Bump wallet version.
+    walletData.version = 14;
+
+    each(newWalletSettings, (settings) => {
+        settings.marketDataProvider = 'trinity';
+    });
+};
+
+/**
+ * Schema for last known good market data
+ */
+export const MarketDataSchema = {
+    name: 'MarketData',
+    primaryKey: 'id',
+    properties: {
+        /**
+         * Market data provider id
+         */
+        id: 'string',
+        /**
+         * Time (ms) market data was fetched
+         */
+        timestamp: 'int',
+        /**
+         * Serialised spot prices, statistics, exchange rates and chart data
+         */
+        data: 'string',
+    },
+};
+
+export default [
+    MarketDataSchema,
+    ...map(v13Schema, (schema) => {
+        if (schema.name === 'WalletSettings') {
+            return merge({}, schema, {
+                properties: {
+                    /*
+                     * Selected market data provider
+                     */
+                    marketDataProvider: {
+                        type: 'string',
+                        default: 'trinity',
+                    },
+                },
+            });
+        }
+
+        return schema;
+    }),
+];
+
+export { migration };
@@ -0,0 +1,54 @@
+import v14Schema from '../v14';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 14);
+
+    // Bump wallet version.
+    walletData.version = 15;
+};
+
+/**
+ * Schema for payment requests (Conditional Deposit Addresses) created by the wallet
+ */
+export const PaymentRequestSchema = {
+    name: 'PaymentRequest',
+    primaryKey: 'address',
+    properties: {
+        /**
+         * Conditional deposit address (with CDA checksum)
+         */
+        address: 'string',
+        /**
+         * Name of the account the request was created for
+         */
+        accountName: 'string',
+        /**
+         * Expected amount (0 if any amount is accepted)
+         */
+        expectedAmount: { type: 'int', default: 0 },
+        /**
+         * Message attached to the request
+         */
+        message: { type: 'string', default: '' },
+        /**
+         * Time (seconds) the request expires
+         */
+        timeoutAt: 'int',
+        /**
+         * Time (seconds) the request was created
+         */
+        createdAt: 'int',
+        /**
+         * Amount received on the request address so far
+         */
+        receivedAmount: { type: 'int', default: 0 },
+        /**
+         * Request status (open, partiallyPaid, paid, expired)
+         */
+        status: { type: 'string', default: 'open' },
+    },
+};
+
+export default [PaymentRequestSchema, ...v14Schema];
+
+export { migration };
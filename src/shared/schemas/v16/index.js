@@ -0,0 +1,66 @@
+import v15Schema from '../v15';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 15);
+
+    // Bump wallet version.
+    walletData.version = 16;
+};
+
+/**
+ * Schema for node health records collected during requests and health checks
+ */
+export const NodeHealthSchema = {
+    name: 'NodeHealth',
+    primaryKey: 'url',
+    properties: {
+        /**
+         * Node url
+         */
+        url: 'string',
+        /**
+         * Number of requests made to the node
+         */
+        requests: { type: 'int', default: 0 },
+        /**
+         * Number of failed requests
+         */
+        failures: { type: 'int', default: 0 },
+        /**
+         * Number of failed requests since the last successful request
+         */
+        consecutiveFailures: { type: 'int', default: 0 },
+        /**
+         * Average node info response latency (ms)
+         */
+        latency: { type: 'int', optional: true },
+        /**
+         * Difference between latest and latest solid milestone index
+         */
+        milestoneLag: { type: 'int', optional: true },
+        /**
+         * Determines if node allows remote proof of work
+         */
+        pow: { type: 'bool', optional: true },
+        /**
+         * Error message of the last failed request
+         */
+        lastError: { type: 'string', default: '' },
+        /**
+         * Time (ms) of the last successful request
+         */
+        lastSuccessAt: { type: 'int', default: 0 },
+        /**
+         * Time (ms) of the last failed request
+         */
+        lastFailureAt: { type: 'int', default: 0 },
+        /**
+         * Time (ms) of the last health check
+         */
+        lastCheckedAt: { type: 'int', default: 0 },
+    },
+};
+
+export default [NodeHealthSchema, ...v15Schema];
+
+export { migration };
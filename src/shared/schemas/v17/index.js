@@ -0,0 +1,60 @@
+import map from 'lodash/map';
+import merge from 'lodash/merge';
+import v16Schema from '../v16';
+import { QUORUM_POLICY, QUORUM_THRESHOLD } from '../../config';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 16);
+
+    // Bump wallet version.
+    walletData.version = 17;
+};
+
+/**
+ * Schema for per-method quorum consensus policies
+ */
+export const QuorumMethodPolicySchema = {
+    name: 'QuorumMethodPolicy',
+    properties: {
+        /**
+         * Quorum method (See libs/iota/quorum#QUORUM_METHODS)
+         */
+        method: 'string',
+        /**
+         * Consensus policy (majority | supermajority | unanimous)
+         */
+        policy: { type: 'string', default: QUORUM_POLICY },
+        /**
+         * Percentage of agreeing nodes required by supermajority policy
+         */
+        threshold: { type: 'int', default: QUORUM_THRESHOLD },
+    },
+};
+
+export default [
+    QuorumMethodPolicySchema,
+    ...map(v16Schema, (schema) => {
+        if (schema.name === 'QuorumConfig') {
+            return merge({}, schema, {
+                properties: {
+                    /**
+                     * Consensus policy (majority | supermajority | unanimous)
+                     */
+                    policy: { type: 'string', default: QUORUM_POLICY },
+                    /**
+                     * Percentage of agreeing nodes required by supermajority policy
+                     */
+                    threshold: { type: 'int', default: QUORUM_THRESHOLD },
+                    /**
+                     * Policies overriding the consensus policy for specific methods
+                     */
+                    methodPolicies: 'QuorumMethodPolicy[]',
+                },
+            });
+        }
+
+        return schema;
+    }),
+];
+
+export { migration };
@@ -0,0 +1,28 @@
+import map from 'lodash/map';
+import merge from 'lodash/merge';
+import v17Schema from '../v17';
+import { DEFAULT_INPUT_SELECTION_STRATEGY } from '../../config';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 17);
+
+    // Bump wallet version.
+    walletData.version = 18;
+};
+
+export default map(v17Schema, (schema) => {
+    if (schema.name === 'Account') {
+        return merge({}, schema, {
+            properties: {
+                /**
+                 * Input selection strategy (See libs/iota/inputSelection#INPUT_SELECTION_STRATEGIES)
+                 */
+                inputSelectionStrategy: { type: 'string', default: DEFAULT_INPUT_SELECTION_STRATEGY },
+            },
+        });
+    }
+
+    return schema;
+});
+
+export { migration };
@@ -0,0 +1,27 @@
+import map from 'lodash/map';
+import merge from 'lodash/merge';
+import v18Schema from '../v18';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 18);
+
+    // Bump wallet version.
+    walletData.version = 19;
+};
+
+export default map(v18Schema, (schema) => {
+    if (schema.name === 'Account') {
+        return merge({}, schema, {
+            properties: {
+                /**
+                 * Serialised pending funds consolidation plan (See libs/iota/consolidation#createConsolidationPlan)
+                 */
+                consolidationPlan: { type: 'string', default: '' },
+            },
+        });
+    }
+
+    return schema;
+});
+
+export { migration };
@@ -0,0 +1,108 @@
+import v19Schema from '../v19';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 19);
+
+    // Bump wallet version.
+    walletData.version = 20;
+};
+
+/**
+ * Schema for executions of scheduled payments
+ */
+export const ScheduledPaymentExecutionSchema = {
+    name: 'ScheduledPaymentExecution',
+    properties: {
+        /**
+         * Time (seconds) of execution
+         */
+        executedAt: 'int',
+        /**
+         * Value (iotas) sent
+         */
+        value: { type: 'int', default: 0 },
+        /**
+         * Execution status (sent, failed, skipped)
+         */
+        status: 'string',
+        /**
+         * Error message of failed execution
+         */
+        error: { type: 'string', default: '' },
+    },
+};
+
+/**
+ * Schema for scheduled (one-off and recurring) payments
+ */
+export const ScheduledPaymentSchema = {
+    name: 'ScheduledPayment',
+    primaryKey: 'id',
+    properties: {
+        id: 'string',
+        /**
+         * Name of the account funds are sent from
+         */
+        accountName: 'string',
+        /**
+         * Recipient address (with checksum)
+         */
+        address: 'string',
+        /**
+         * Label of the payment
+         */
+        label: { type: 'string', default: '' },
+        /**
+         * Message attached to the transfer
+         */
+        message: { type: 'string', default: '' },
+        /**
+         * Amount type (iota, fiat)
+         */
+        amountType: { type: 'string', default: 'iota' },
+        /**
+         * Fixed value (iotas)
+         */
+        value: { type: 'int', default: 0 },
+        /**
+         * Fixed fiat amount (converted to iotas at execution time)
+         */
+        fiatAmount: { type: 'double', default: 0 },
+        /**
+         * Currency of fixed fiat amount
+         */
+        currency: { type: 'string', default: '' },
+        /**
+         * Frequency (once, weekly, monthly)
+         */
+        frequency: 'string',
+        /**
+         * Time (seconds) of first execution
+         */
+        startAt: 'int',
+        /**
+         * Time (seconds) of next execution
+         */
+        nextExecutionAt: 'int',
+        /**
+         * Determines if the user should confirm each execution
+         */
+        requiresConfirmation: { type: 'bool', default: false },
+        /**
+         * Payment status (active, awaitingConfirmation, completed)
+         */
+        status: { type: 'string', default: 'active' },
+        /**
+         * Time (seconds) the payment was created
+         */
+        createdAt: 'int',
+        /**
+         * History of executions
+         */
+        executions: 'ScheduledPaymentExecution[]',
+    },
+};
+
+export default [ScheduledPaymentExecutionSchema, ScheduledPaymentSchema, ...v19Schema];
+
+export { migration };
@@ -0,0 +1,38 @@
+import map from 'lodash/map';
+import merge from 'lodash/merge';
+import v20Schema from '../v20';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 20);
+
+    // Bump wallet version.
+    walletData.version = 21;
+};
+
+export default map(v20Schema, (schema) => {
+    if (schema.name === 'Account') {
+        return merge({}, schema, {
+            properties: {
+                /**
+                 * Serialised send policy (See libs/sendPolicies)
+                 */
+                sendPolicy: { type: 'string', default: '' },
+            },
+        });
+    }
+
+    if (schema.name === 'Contact') {
+        return merge({}, schema, {
+            properties: {
+                /**
+                 * Time (seconds) contact was saved. Zero for contacts saved before send policies were introduced
+                 */
+                createdAt: { type: 'int', default: 0 },
+            },
+        });
+    }
+
+    return schema;
+});
+
+export { migration };
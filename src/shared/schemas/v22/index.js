@@ -0,0 +1,47 @@
+import v21Schema from '../v21';
+
+const migration = (_, newRealm) => {
+    const walletData = newRealm.objectForPrimaryKey('Wallet', 21);
+
+    // Bump wallet version.
+    walletData.version = 22;
+};
+
+/**
+ * Schema for security audit log entries.
+ * Entries are only ever appended and hash chained (See storage/AuditLogEntry) and are encrypted at rest along with the rest of the realm
+ */
+export const AuditLogEntrySchema = {
+    name: 'AuditLogEntry',
+    primaryKey: 'index',
+    properties: {
+        /**
+         * Sequence number of entry
+         */
+        index: 'int',
+        /**
+         * Time (seconds) of event
+         */
+        timestamp: 'int',
+        /**
+         * Event type (See libs/auditLog)
+         */
+        type: 'string',
+        /**
+         * Serialised event details
+         */
+        details: { type: 'string', default: '{}' },
+        /**
+         * Hash of preceding entry (empty for the first entry)
+         */
+        previousHash: { type: 'string', default: '' },
+        /**
+         * Hash of entry (See libs/auditLog)
+         */
+        hash: 'string',
+    },
+};
+
+export default [...v21Schema, AuditLogEntrySchema];
+
+export { migration };
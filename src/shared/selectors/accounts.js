@@ -3,15 +3,21 @@ import get from 'lodash/get';
 import isEmpty from 'lodash/isEmpty';
 import isUndefined from 'lodash/isUndefined';
 import map from 'lodash/map';
+import mapValues from 'lodash/mapValues';
 import orderBy from 'lodash/orderBy';
 import pickBy from 'lodash/pickBy';
 import reduce from 'lodash/reduce';
 import filter from 'lodash/filter';
 import transform from 'lodash/transform';
 import { createSelector } from 'reselect';
-import { getSeedIndexFromState } from './global';
+import { getSeedIndexFromState, getFiatPriceNow, getHistoricalFiatPriceGetter } from './global';
 import { accumulateBalance, getLatestAddress } from '../libs/iota/addresses';
 import { categoriseInclusionStatesByBundleHash, mapNormalisedTransactions } from '../libs/iota/transfers';
+import { getSelectableInputs, getSelectableRemainderAddressData } from '../libs/iota/inputs';
+import { isWatchOnlyAccount } from '../libs/iota/watchOnly';
+import { isMultisigAccount, getMultisigReceiveAddressObject } from '../libs/iota/multisig';
+import { attachFiatValues } from '../libs/priceHistory';
+import { DEFAULT_INPUT_SELECTION_STRATEGY } from '../config';
 
 /**
  *   Selects accounts prop from state.
@@ -88,7 +94,19 @@ export const selectAccountInfo = createSelector(
  *   @returns {string}
  **/
 export const selectLatestAddressFromAccountFactory = (withChecksum = true) =>
-    createSelector(selectAccountInfo, (state) => getLatestAddress(state.addressData, withChecksum));
+    createSelector(selectAccountInfo, (state) => {
+        // Multisig accounts hold a fixed list of addresses, and never receive on a spent address
+        if (isMultisigAccount(state)) {
+            const addressObject = getMultisigReceiveAddressObject(state.addressData);
+
+            return (
+                addressObject &&
+                (withChecksum ? `${addressObject.address}${addressObject.checksum}` : addressObject.address)
+            );
+        }
+
+        return getLatestAddress(state.addressData, withChecksum);
+    });
 
 /**
  *   Selects account meta from account info state partial.
@@ -99,6 +117,42 @@ export const selectLatestAddressFromAccountFactory = (withChecksum = true) =>
  **/
 export const getSelectedAccountMeta = createSelector(selectAccountInfo, (account) => get(account, 'meta'));
 
+/**
+ *   Selects input selection strategy for currently selected account.
+ *
+ *   @method getInputSelectionStrategyForSelectedAccount
+ *   @param {object} state
+ *   @returns {string}
+ **/
+export const getInputSelectionStrategyForSelectedAccount = createSelector(
+    selectAccountInfo,
+    (account) => get(account, 'inputSelectionStrategy') || DEFAULT_INPUT_SELECTION_STRATEGY,
+);
+
+/**
+ *   Selects pending funds consolidation plan for currently selected account.
+ *
+ *   @method getConsolidationPlanForSelectedAccount
+ *   @param {object} state
+ *   @returns {object|null}
+ **/
+export const getConsolidationPlanForSelectedAccount = createSelector(
+    selectAccountInfo,
+    (account) => get(account, 'consolidation') || null,
+);
+
+/**
+ *   Selects send policy for currently selected account.
+ *
+ *   @method getSendPolicyForSelectedAccount
+ *   @param {object} state
+ *   @returns {object|null}
+ **/
+export const getSendPolicyForSelectedAccount = createSelector(
+    selectAccountInfo,
+    (account) => get(account, 'sendPolicy') || null,
+);
+
 /**
  *   Selects account name for currently selected account.
  *
@@ -122,6 +176,22 @@ export const getTransactionsForSelectedAccount = createSelector(selectAccountInf
     mapNormalisedTransactions(transactions, addressData),
 );
 
+/**
+ *   Selects transfers from accountInfo object with fiat values at the time of each transfer (fiatValueThen)
+ *   and at current price (fiatValueNow).
+ *
+ *   @method getTransactionsWithFiatValuesForSelectedAccount
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getTransactionsWithFiatValuesForSelectedAccount = createSelector(
+    getTransactionsForSelectedAccount,
+    getHistoricalFiatPriceGetter,
+    getFiatPriceNow,
+    (transactions, getPriceThen, priceNow) =>
+        mapValues(transactions, (transaction) => attachFiatValues(transaction, getPriceThen, priceNow)),
+);
+
 /**
  *   Selects addresses from accountInfo object.
  *
@@ -156,6 +226,28 @@ export const getAvailableBalanceForSelectedAccount = createSelector(selectAccoun
     return reduce(unspentAddresses, (res, item) => res + item.balance, 0);
 });
 
+/**
+ *   Selects funded addresses of selected account as inputs for manual input selection (coin control).
+ *
+ *   @method getSelectableInputsForSelectedAccount
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getSelectableInputsForSelectedAccount = createSelector(selectAccountInfo, (account) =>
+    getSelectableInputs(account.addressData, account.transactions),
+);
+
+/**
+ *   Selects address data of selected account that can be used as remainder address (coin control).
+ *
+ *   @method getSelectableRemainderAddressDataForSelectedAccount
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getSelectableRemainderAddressDataForSelectedAccount = createSelector(selectAccountInfo, (account) =>
+    getSelectableRemainderAddressData(account.addressData, account.transactions),
+);
+
 /**
  *   Selects getSetupInfoFromAccounts prop from accounts reducer state object.
  *   Uses getAccountFromState selector for slicing accounts state from the state object.
@@ -283,6 +375,11 @@ export const getPromotableBundlesFromState = createSelector(
         return transform(
             state,
             (acc, accountState, accountName) => {
+                // Watch-only accounts cannot promote
+                if (isWatchOnlyAccount(accountState)) {
+                    return;
+                }
+
                 const promotableTailTransactions = filter(
                     accountState.transactions,
                     (transaction) =>
@@ -372,3 +469,57 @@ export const getFailedBundleHashes = createSelector(getAccountInfoFromState, (ac
         {},
     ),
 );
+
+/**
+ *   Selects payment requests state partial.
+ *
+ *   @method getPaymentRequestsFromState
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getPaymentRequestsFromState = (state) => state.paymentRequests || {};
+
+/**
+ *   Selects payment requests created for the selected account, newest first.
+ *
+ *   @method getPaymentRequestsForSelectedAccount
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getPaymentRequestsForSelectedAccount = createSelector(
+    getPaymentRequestsFromState,
+    getSelectedAccountName,
+    (state, accountName) =>
+        orderBy(
+            filter(state.list, (request) => request.accountName === accountName),
+            ['createdAt'],
+            ['desc'],
+        ),
+);
+
+/**
+ *   Selects scheduled payments state partial.
+ *
+ *   @method getScheduledPaymentsFromState
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getScheduledPaymentsFromState = (state) => state.scheduledPayments || {};
+
+/**
+ *   Selects scheduled payments of the selected account, next due first.
+ *
+ *   @method getScheduledPaymentsForSelectedAccount
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getScheduledPaymentsForSelectedAccount = createSelector(
+    getScheduledPaymentsFromState,
+    getSelectedAccountName,
+    (state, accountName) =>
+        orderBy(
+            filter(state.list, (payment) => payment.accountName === accountName),
+            ['nextExecutionAt'],
+            ['asc'],
+        ),
+);
@@ -4,9 +4,16 @@ import filter from 'lodash/filter';
 import find from 'lodash/find';
 import get from 'lodash/get';
 import sample from 'lodash/sample';
+import map from 'lodash/map';
+import sortBy from 'lodash/sortBy';
+import uniq from 'lodash/uniq';
+import unionBy from 'lodash/unionBy';
 import { createSelector } from 'reselect';
 import Themes from '../themes/themes';
 import { DEFAULT_NODE } from '../config';
+import { getHistoricalPrice } from '../libs/priceHistory';
+import { rankNodesByHealth } from '../libs/iota/nodeHealth';
+import { findBrokenAuditLogEntry } from '../libs/auditLog';
 
 /**
  *   Selects ui prop from state.
@@ -178,6 +185,50 @@ export const getCustomNodesFromState = createSelector(
     (state) => state.customNodes || [],
 );
 
+/**
+ *   Selects node health prop from state.
+ *
+ *   @method getNodeHealthFromState
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getNodeHealthFromState = (state) => state.nodeHealth || {};
+
+/**
+ *   Selects node health records keyed by node url.
+ *
+ *   @method getNodeHealthRecords
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getNodeHealthRecords = createSelector(getNodeHealthFromState, (state) => state.records || {});
+
+/**
+ *   Selects all (remote and custom) nodes ranked by health score, healthiest first.
+ *
+ *   @method getNodesRankedByHealth
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getNodesRankedByHealth = createSelector(
+    getNodesFromState,
+    getCustomNodesFromState,
+    getNodeHealthRecords,
+    (nodes, customNodes, records) => rankNodesByHealth(unionBy(customNodes, nodes, 'url'), records),
+);
+
+/**
+ *   Selects latest quorum rounds with nodes disagreeing with the quorum result.
+ *
+ *   @method getQuorumDisagreements
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getQuorumDisagreements = createSelector(
+    getNodeHealthFromState,
+    (state) => filter(state.quorumRounds || [], (round) => round.outliers.length > 0),
+);
+
 /**
  * Gets configuration for node manager from state.
  *
@@ -190,7 +241,8 @@ export const getCustomNodesFromState = createSelector(
 export const nodesConfigurationFactory = (overrides) =>
     createSelector(
         getSettingsFromState,
-        (state) => {
+        getNodeHealthRecords,
+        (state, nodeHealth) => {
             const config = {
                 /** Node that should be given priority while connecting. */
                 priorityNode: DEFAULT_NODE,
@@ -219,6 +271,8 @@ export const nodesConfigurationFactory = (overrides) =>
                  * - When false: only use custom nodes in quorum selection
                  */
                 autoNodeList: state.autoNodeList,
+                /** Node health records keyed by node url, used to prefer reliable nodes while auto-retrying */
+                nodeHealth,
             };
 
             const shouldOverrideQuorumConfig = has(overrides, 'quorum');
@@ -241,3 +295,111 @@ export const nodesConfigurationFactory = (overrides) =>
             return config;
         },
     );
+
+/**
+ *   Selects contacts prop from state.
+ *
+ *   @method getContactsFromState
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getContactsFromState = (state) => state.contacts || {};
+
+/**
+ *   Selects address book contacts, sorted by name.
+ *
+ *   @method getContactsList
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getContactsList = createSelector(
+    getContactsFromState,
+    (state) => sortBy(state.list || [], (contact) => contact.name.toLowerCase()),
+);
+
+/**
+ *   Selects security audit log entries (oldest first).
+ *
+ *   @method getAuditLogFromState
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getAuditLogFromState = (state) => get(state, 'auditLog.entries') || [];
+
+/**
+ *   Selects whether the hash chain of audit log entries is intact (See findBrokenAuditLogEntry).
+ *
+ *   @method isAuditLogIntact
+ *   @param {object} state
+ *   @returns {boolean}
+ **/
+export const isAuditLogIntact = createSelector(
+    getAuditLogFromState,
+    (entries) => findBrokenAuditLogEntry(entries) === -1,
+);
+
+/**
+ *   Selects (private) transaction metadata keyed by bundle hash.
+ *
+ *   @method getTransactionMetadataFromState
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getTransactionMetadataFromState = (state) => get(state, 'transactionMetadata.bundles') || {};
+
+/**
+ *   Selects all categories assigned to transactions, sorted alphabetically.
+ *
+ *   @method getTransactionCategories
+ *   @param {object} state
+ *   @returns {array}
+ **/
+export const getTransactionCategories = createSelector(
+    getTransactionMetadataFromState,
+    (bundles) => sortBy(uniq(filter(map(bundles, (metadata) => metadata.category), (category) => category !== ''))),
+);
+
+/**
+ *   Selects marketData prop from state.
+ *
+ *   @method getMarketDataFromState
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getMarketDataFromState = (state) => state.marketData || {};
+
+/**
+ *   Selects cached daily prices keyed by currency and day.
+ *
+ *   @method getPriceHistoryFromState
+ *   @param {object} state
+ *   @returns {object}
+ **/
+export const getPriceHistoryFromState = (state) => get(state, 'priceHistory.currencies') || {};
+
+/**
+ *   Selects current price of 1 Mi in selected currency (null if unavailable).
+ *
+ *   @method getFiatPriceNow
+ *   @param {object} state
+ *   @returns {number|null}
+ **/
+export const getFiatPriceNow = createSelector(
+    getMarketDataFromState,
+    getSettingsFromState,
+    (marketData, settings) => (marketData.usdPrice ? marketData.usdPrice * settings.conversionRate : null),
+);
+
+/**
+ *   Selects a function returning the price of 1 Mi in selected currency at a unix time (null if unavailable).
+ *
+ *   @method getHistoricalFiatPriceGetter
+ *   @param {object} state
+ *   @returns {function}
+ **/
+export const getHistoricalFiatPriceGetter = createSelector(
+    getPriceHistoryFromState,
+    getSettingsFromState,
+    (priceHistory, settings) => (timestamp) =>
+        getHistoricalPrice(priceHistory, settings.currency, settings.conversionRate, timestamp),
+);
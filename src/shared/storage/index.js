@@ -6,13 +6,19 @@ import find from 'lodash/find';
 import includes from 'lodash/includes';
 import isArray from 'lodash/isArray';
 import isEmpty from 'lodash/isEmpty';
+import isObject from 'lodash/isObject';
 import isUndefined from 'lodash/isUndefined';
+import last from 'lodash/last';
 import map from 'lodash/map';
+import mapValues from 'lodash/mapValues';
 import merge from 'lodash/merge';
 import orderBy from 'lodash/orderBy';
 import size from 'lodash/size';
 import some from 'lodash/some';
 import { serialise, parse } from '../libs/utils';
+import Errors from '../libs/errors';
+import { chainAuditLogEntry } from '../libs/auditLog';
+import { WALLET_BACKUP_MODELS } from '../libs/walletBackup';
 import schemas, { getDeprecatedStoragePath, STORAGE_PATH as latestStoragePath, v0Schema, v1Schema } from '../schemas';
 import { __MOBILE__, __TEST__ } from '../config';
 import { preserveAddressLocalSpendStatus } from '../libs/iota/addresses';
@@ -23,6 +29,9 @@ let realm = {}; // eslint-disable-line import/no-mutable-exports
 // Initialise Realm constructor as null and reinitialise after importing the correct (platform) Realm dependency
 let Realm = null;
 
+// Wallet realm instance while a state snapshot (See openStateSnapshot) is loaded
+let primaryRealm = null;
+
 /**
  * Imports Realm dependency
  *
@@ -41,6 +50,21 @@ export const getRealm = () => {
     return Electron.getRealm();
 };
 
+/**
+ * Performs a write transaction on the active realm instance.
+ * Skipped if the instance is read-only so that changes are only reflected in redux state
+ *
+ * @method write
+ * @param {function} callback
+ *
+ * @returns {undefined}
+ */
+const write = (callback) => {
+    if (!realm.readOnly) {
+        realm.write(callback);
+    }
+};
+
 /**
  * Model for Account.
  */
@@ -96,7 +120,7 @@ class Account {
         const orderedAccounts = orderBy(Account.getDataAsArray(), ['index']);
 
         if (some(orderedAccounts, (account, index) => index !== account.index)) {
-            realm.write(() => {
+            write(() => {
                 each(orderedAccounts, (account, index) => {
                     realm.create('Account', assign({}, account, { index }), 'modified');
                 });
@@ -111,7 +135,7 @@ class Account {
      * @param {object} data
      */
     static create(data) {
-        realm.write(() => realm.create('Account', data));
+        write(() => realm.create('Account', data));
     }
 
     /**
@@ -121,7 +145,7 @@ class Account {
      * @param {object} data
      */
     static createMultiple(accountsData) {
-        realm.write(() => {
+        write(() => {
             each(accountsData, (data) => realm.create('Account', data));
         });
     }
@@ -149,7 +173,7 @@ class Account {
      * @param {object} data
      */
     static update(name, data) {
-        realm.write(() => {
+        write(() => {
             const existingData = Account.getObjectForId(name);
             const updatedData = assign({}, existingData, {
                 ...data,
@@ -173,7 +197,7 @@ class Account {
      * @param {string} name
      */
     static delete(name) {
-        realm.write(() => {
+        write(() => {
             const accountsBeforeDeletion = Account.getDataAsArray();
             const accountForDeletion = find(accountsBeforeDeletion, { name });
 
@@ -207,7 +231,7 @@ class Account {
     static migrate(from, to) {
         const accountData = Account.getObjectForId(from);
 
-        realm.write(() => {
+        write(() => {
             // Create account with new name.
             const newAccount = assign({}, parse(serialise(accountData)), {
                 addressData: map(accountData.addressData, (addressObject) => parse(serialise(addressObject))),
@@ -265,7 +289,7 @@ class Node {
      * @param {string} url Node URL
      */
     static addCustomNode(node, pow) {
-        realm.write(() => {
+        write(() => {
             realm.create('Node', {
                 url: node.url,
                 custom: true,
@@ -285,7 +309,7 @@ class Node {
     static delete(url) {
         const node = Node.getObjectForId(url);
 
-        realm.write(() => realm.delete(node));
+        write(() => realm.delete(node));
     }
 
     /**
@@ -298,7 +322,7 @@ class Node {
             const existingNodes = Node.getDataAsArray();
             const existingUrls = map(existingNodes, (node) => node.url);
 
-            realm.write(() => {
+            write(() => {
                 each(nodes, (node) => {
                     // If it's an existing node, just update properties.
                     if (includes(existingUrls, node.url)) {
@@ -324,6 +348,477 @@ class Node {
     }
 }
 
+/**
+ * Model for node health records.
+ */
+class NodeHealth {
+    /**
+     * Returns a list of node health records
+     *
+     * @return {Realm.Results}
+     */
+    static get data() {
+        return realm.objects('NodeHealth');
+    }
+
+    /**
+     * Returns node health records as array
+     *
+     * @method getDataAsArray
+     *
+     * @return {array}
+     */
+    static getDataAsArray() {
+        return map(NodeHealth.data, (record) => parse(serialise(record)));
+    }
+
+    /**
+     * Creates or updates a node health record.
+     *
+     * @method createOrUpdate
+     * @param {object} record
+     */
+    static createOrUpdate(record) {
+        write(() => {
+            realm.create('NodeHealth', record, 'modified');
+        });
+    }
+
+    /**
+     * Removes all node health records.
+     *
+     * @method deleteAll
+     */
+    static deleteAll() {
+        write(() => realm.delete(NodeHealth.data));
+    }
+}
+
+/**
+ * Model for address book contacts.
+ */
+class Contact {
+    /**
+     * Gets object for provided id (address)
+     *
+     * @method getObjectForId
+     * @param {string} id
+     *
+     * @returns {object}
+     */
+    static getObjectForId(id) {
+        return realm.objectForPrimaryKey('Contact', id);
+    }
+
+    /**
+     * Returns a list of contacts
+     *
+     * @return {Realm.Results}
+     */
+    static get data() {
+        return realm.objects('Contact');
+    }
+
+    /**
+     * Returns contacts as array
+     *
+     * @method getDataAsArray
+     *
+     * @return {array}
+     */
+    static getDataAsArray() {
+        return map(Contact.data, (contact) => parse(serialise(contact)));
+    }
+
+    /**
+     * Creates a contact.
+     *
+     * @method create
+     * @param {object} data
+     */
+    static create(data) {
+        write(() => realm.create('Contact', data));
+    }
+
+    /**
+     * Updates a contact.
+     *
+     * @method update
+     * @param {string} address
+     * @param {object} data
+     */
+    static update(address, data) {
+        write(() => {
+            realm.create('Contact', assign({}, data, { address }), 'modified');
+        });
+    }
+
+    /**
+     * Removes a contact.
+     *
+     * @method delete
+     * @param {string} address
+     */
+    static delete(address) {
+        const contact = Contact.getObjectForId(address);
+
+        if (contact) {
+            write(() => realm.delete(contact));
+        }
+    }
+}
+
+/**
+ * Model for payment requests.
+ */
+class PaymentRequest {
+    /**
+     * Gets object for provided id (address)
+     *
+     * @method getObjectForId
+     * @param {string} id
+     *
+     * @returns {object}
+     */
+    static getObjectForId(id) {
+        return realm.objectForPrimaryKey('PaymentRequest', id);
+    }
+
+    /**
+     * Returns a list of payment requests
+     *
+     * @return {Realm.Results}
+     */
+    static get data() {
+        return realm.objects('PaymentRequest');
+    }
+
+    /**
+     * Returns payment requests as array
+     *
+     * @method getDataAsArray
+     *
+     * @return {array}
+     */
+    static getDataAsArray() {
+        return map(PaymentRequest.data, (request) => parse(serialise(request)));
+    }
+
+    /**
+     * Creates a payment request.
+     *
+     * @method create
+     * @param {object} data
+     */
+    static create(data) {
+        write(() => realm.create('PaymentRequest', data));
+    }
+
+    /**
+     * Updates a payment request.
+     *
+     * @method update
+     * @param {string} address
+     * @param {object} data
+     */
+    static update(address, data) {
+        write(() => {
+            realm.create('PaymentRequest', assign({}, data, { address }), 'modified');
+        });
+    }
+
+    /**
+     * Removes a payment request.
+     *
+     * @method delete
+     * @param {string} address
+     */
+    static delete(address) {
+        const request = PaymentRequest.getObjectForId(address);
+
+        if (request) {
+            write(() => realm.delete(request));
+        }
+    }
+}
+
+/**
+ * Model for scheduled payments.
+ */
+class ScheduledPayment {
+    /**
+     * Gets object for provided id
+     *
+     * @method getObjectForId
+     * @param {string} id
+     *
+     * @returns {object}
+     */
+    static getObjectForId(id) {
+        return realm.objectForPrimaryKey('ScheduledPayment', id);
+    }
+
+    /**
+     * Returns a list of scheduled payments
+     *
+     * @return {Realm.Results}
+     */
+    static get data() {
+        return realm.objects('ScheduledPayment');
+    }
+
+    /**
+     * Returns scheduled payments as array
+     *
+     * @method getDataAsArray
+     *
+     * @return {array}
+     */
+    static getDataAsArray() {
+        return map(ScheduledPayment.data, (payment) => {
+            const parsedPayment = parse(serialise(payment));
+
+            return assign({}, parsedPayment, {
+                executions: map(parsedPayment.executions, (execution) => parse(serialise(execution))),
+            });
+        });
+    }
+
+    /**
+     * Creates a scheduled payment.
+     *
+     * @method create
+     * @param {object} data
+     */
+    static create(data) {
+        write(() => realm.create('ScheduledPayment', data));
+    }
+
+    /**
+     * Updates a scheduled payment.
+     *
+     * @method update
+     * @param {string} id
+     * @param {object} data
+     */
+    static update(id, data) {
+        write(() => {
+            realm.create('ScheduledPayment', assign({}, data, { id }), 'modified');
+        });
+    }
+
+    /**
+     * Removes a scheduled payment.
+     *
+     * @method delete
+     * @param {string} id
+     */
+    static delete(id) {
+        const payment = ScheduledPayment.getObjectForId(id);
+
+        if (payment) {
+            write(() => realm.delete(payment));
+        }
+    }
+}
+
+/**
+ * Model for security audit log entries.
+ * Entries are only ever appended and are hash chained (See libs/auditLog), so that entries modified
+ * outside of the wallet are detected when the audit log is read
+ */
+class AuditLogEntry {
+    /**
+     * Returns a list of audit log entries (oldest first)
+     *
+     * @return {Realm.Results}
+     */
+    static get data() {
+        return realm.objects('AuditLogEntry').sorted('index');
+    }
+
+    /**
+     * Returns audit log entries as array
+     *
+     * @method getDataAsArray
+     *
+     * @return {array}
+     */
+    static getDataAsArray() {
+        return map(AuditLogEntry.data, (entry) => {
+            const parsedEntry = parse(serialise(entry));
+
+            return assign({}, parsedEntry, { details: parse(parsedEntry.details) });
+        });
+    }
+
+    /**
+     * Appends an entry to the audit log, chained to the last stored entry.
+     *
+     * @method add
+     * @param {object} data - { timestamp, type, details }
+     *
+     * @returns {object} Stored entry
+     */
+    static add(data) {
+        const entry = chainAuditLogEntry(data, last(AuditLogEntry.data));
+
+        write(() => realm.create('AuditLogEntry', assign({}, entry, { details: serialise(entry.details) })));
+
+        return entry;
+    }
+}
+
+/**
+ * Model for (private) transaction metadata.
+ */
+class TransactionMetadata {
+    /**
+     * Gets object for provided id (bundle hash)
+     *
+     * @method getObjectForId
+     * @param {string} id
+     *
+     * @returns {object}
+     */
+    static getObjectForId(id) {
+        return realm.objectForPrimaryKey('TransactionMetadata', id);
+    }
+
+    /**
+     * Returns metadata for all bundles
+     *
+     * @return {Realm.Results}
+     */
+    static get data() {
+        return realm.objects('TransactionMetadata');
+    }
+
+    /**
+     * Returns metadata for all bundles as array
+     *
+     * @method getDataAsArray
+     *
+     * @return {array}
+     */
+    static getDataAsArray() {
+        return map(TransactionMetadata.data, (metadata) => parse(serialise(metadata)));
+    }
+
+    /**
+     * Creates or updates metadata for a bundle.
+     *
+     * @method update
+     * @param {string} bundle
+     * @param {object} data
+     */
+    static update(bundle, data) {
+        write(() => {
+            realm.create('TransactionMetadata', assign({}, data, { bundle }), 'modified');
+        });
+    }
+
+    /**
+     * Removes metadata for a bundle.
+     *
+     * @method delete
+     * @param {string} bundle
+     */
+    static delete(bundle) {
+        const metadata = TransactionMetadata.getObjectForId(bundle);
+
+        if (metadata) {
+            write(() => realm.delete(metadata));
+        }
+    }
+}
+
+/**
+ * Model for cached daily IOTA prices.
+ */
+class PriceHistory {
+    /**
+     * Returns cached prices for all currencies and days
+     *
+     * @return {Realm.Results}
+     */
+    static get data() {
+        return realm.objects('PriceHistory');
+    }
+
+    /**
+     * Returns cached prices for all currencies and days as array
+     *
+     * @method getDataAsArray
+     *
+     * @return {array}
+     */
+    static getDataAsArray() {
+        return map(PriceHistory.data, (price) => parse(serialise(price)));
+    }
+
+    /**
+     * Creates or updates daily prices.
+     *
+     * @method update
+     * @param {object} priceHistory - Daily prices keyed by currency and day
+     */
+    static update(priceHistory) {
+        write(() => {
+            each(priceHistory, (days, currency) => {
+                each(days, (price, day) => {
+                    realm.create(
+                        'PriceHistory',
+                        assign({}, price, { id: `${currency}:${day}`, currency, day }),
+                        'modified',
+                    );
+                });
+            });
+        });
+    }
+}
+
+/**
+ * Model for last known good market data.
+ */
+class MarketData {
+    /**
+     * Returns market data of all providers
+     *
+     * @return {Realm.Results}
+     */
+    static get data() {
+        return realm.objects('MarketData');
+    }
+
+    /**
+     * Returns the most recently fetched market data
+     *
+     * @method getLatest
+     *
+     * @return {object|null} { provider, timestamp, prices, statistics, rates, chartData }
+     */
+    static getLatest() {
+        const latest = MarketData.data.sorted('timestamp', true)[0];
+
+        return latest ? assign({ provider: latest.id, timestamp: latest.timestamp }, parse(latest.data)) : null;
+    }
+
+    /**
+     * Creates or updates market data of a provider.
+     *
+     * @method update
+     * @param {string} provider
+     * @param {number} timestamp
+     * @param {object} marketData - { prices, statistics, rates, chartData }
+     */
+    static update(provider, timestamp, marketData) {
+        write(() => {
+            realm.create('MarketData', { id: provider, timestamp, data: serialise(marketData) }, 'modified');
+        });
+    }
+}
+
 /**
  * Model for wallet data and settings.
  */
@@ -380,7 +875,7 @@ class Wallet {
      * @method setOnboardingComplete
      */
     static setOnboardingComplete() {
-        realm.write(() => {
+        write(() => {
             Wallet.latestData.onboardingComplete = true;
         });
     }
@@ -392,7 +887,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updateRemotePowSetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.remotePoW = payload;
         });
     }
@@ -404,7 +899,7 @@ class Wallet {
      * @param {string} payload
      */
     static updatePowNodeSetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.powNode = payload;
         });
     }
@@ -416,7 +911,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updateAutoPromotionSetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.autoPromotion = payload;
         });
     }
@@ -428,7 +923,7 @@ class Wallet {
      * @param {number} payload
      */
     static updateLockScreenTimeout(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.lockScreenTimeout = payload;
         });
     }
@@ -440,7 +935,7 @@ class Wallet {
      * @param {string} payload
      */
     static updateLocale(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.locale = payload;
         });
     }
@@ -452,7 +947,7 @@ class Wallet {
      * @param {string} payload
      */
     static updateMode(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.mode = payload;
         });
     }
@@ -464,11 +959,23 @@ class Wallet {
      * @param {string} payload
      */
     static updateCurrency(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.currency = payload;
         });
     }
 
+    /**
+     * Updates market data provider.
+     *
+     * @method updateMarketDataProvider
+     * @param {string} payload
+     */
+    static updateMarketDataProvider(payload) {
+        write(() => {
+            Wallet.latestSettings.marketDataProvider = payload;
+        });
+    }
+
     /**
      * Updates chart timeframe.
      *
@@ -476,7 +983,7 @@ class Wallet {
      * @param {string} payload
      */
     static updateTimeframe(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.timeframe = payload;
         });
     }
@@ -489,7 +996,7 @@ class Wallet {
      * @param {string} payload
      */
     static updateNode(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.node = payload;
         });
     }
@@ -501,7 +1008,7 @@ class Wallet {
      * @param {string} payload
      */
     static updateLanguage(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.language = payload;
         });
     }
@@ -515,7 +1022,7 @@ class Wallet {
     static updateCurrencyData(payload) {
         const { currency } = payload;
 
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.currency = currency;
         });
     }
@@ -527,7 +1034,7 @@ class Wallet {
      * @param {string} payload
      */
     static updateTheme(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.themeName = payload;
         });
     }
@@ -539,7 +1046,7 @@ class Wallet {
      * @param {string} payload
      */
     static setRandomlySelectedNode(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.node = payload;
             Wallet.latestSettings.hasRandomizedNode = true;
         });
@@ -552,7 +1059,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static update2FASetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.is2FAEnabled = payload;
         });
     }
@@ -564,7 +1071,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updateFingerprintAuthenticationSetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.isFingerprintEnabled = payload;
         });
     }
@@ -576,7 +1083,7 @@ class Wallet {
      * @param {object} payload
      */
     static setVersions(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.versions = payload;
         });
     }
@@ -588,7 +1095,7 @@ class Wallet {
      * @param {object} payload
      */
     static acceptTerms() {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.acceptedTerms = true;
         });
     }
@@ -600,7 +1107,7 @@ class Wallet {
      * @param {object} payload
      */
     static acceptPrivacyPolicy() {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.acceptedPrivacy = true;
         });
     }
@@ -612,7 +1119,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updateDeepLinkingSetting() {
-        realm.write(() => {
+        write(() => {
             const settings = Wallet.latestSettings;
             settings.deepLinking = !settings.deepLinking;
         });
@@ -624,7 +1131,7 @@ class Wallet {
      * @method toggleEmptyTransactionsDisplay
      */
     static toggleEmptyTransactionsDisplay() {
-        realm.write(() => {
+        write(() => {
             const settings = Wallet.latestSettings;
             settings.hideEmptyTransactions = !settings.hideEmptyTransactions;
         });
@@ -636,7 +1143,7 @@ class Wallet {
      * @method completeForcedPasswordUpdate
      */
     static completeForcedPasswordUpdate() {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.completedForcedPasswordUpdate = true;
         });
     }
@@ -648,7 +1155,7 @@ class Wallet {
      * @param {bool} payload
      */
     static setRealmMigrationStatus(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.completedMigration = payload;
         });
     }
@@ -660,7 +1167,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updateByteTritSweepSetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.completedByteTritSweep = payload;
         });
     }
@@ -672,7 +1179,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updateTraySetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.isTrayEnabled = payload;
         });
     }
@@ -686,7 +1193,7 @@ class Wallet {
     static updateNotificationsSetting(payload) {
         const { type, enabled } = payload;
 
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.notifications[type] = enabled;
         });
     }
@@ -698,7 +1205,7 @@ class Wallet {
      * @param {object} payload
      */
     static updateIgnoreProxySetting(enabled) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.ignoreProxy = enabled;
         });
     }
@@ -712,7 +1219,7 @@ class Wallet {
      */
     static updateQuorumConfig(payload) {
         const existingConfig = Wallet.latestSettings.quorum;
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.quorum = assign({}, existingConfig, payload);
         });
     }
@@ -725,7 +1232,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updateNodeAutoSwitchSetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.nodeAutoSwitch = payload;
         });
     }
@@ -738,7 +1245,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updatePowNodeAutoSwitchSetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.powNodeAutoSwitch = payload;
         });
     }
@@ -751,7 +1258,7 @@ class Wallet {
      * @param {boolean} payload
      */
     static updateAutoNodeListSetting(payload) {
-        realm.write(() => {
+        write(() => {
             Wallet.latestSettings.autoNodeList = payload;
         });
     }
@@ -763,7 +1270,7 @@ class Wallet {
      * @param {object | array} payload
      */
     static updateErrorLog(payload) {
-        realm.write(() => {
+        write(() => {
             if (isArray(payload)) {
                 each(payload, (value) => Wallet.latestData.errorLog.push(value));
             } else {
@@ -778,7 +1285,7 @@ class Wallet {
      * @method clearErrorLog
      */
     static clearErrorLog() {
-        realm.write(() => {
+        write(() => {
             Wallet.latestData.errorLog = [];
         });
     }
@@ -790,7 +1297,7 @@ class Wallet {
      * @param {object} payload
      */
     static updateAccountInfoDuringSetup(payload) {
-        realm.write(() => {
+        write(() => {
             const data = Wallet.latestData;
             data.accountInfoDuringSetup = assign({}, data.accountInfoDuringSetup, payload);
         });
@@ -804,7 +1311,7 @@ class Wallet {
      * @param {object} accountData
      */
     static addAccount(accountData) {
-        realm.write(() => {
+        write(() => {
             const data = Wallet.latestData;
             data.accountInfoDuringSetup = { name: '', meta: {}, usedExistingSeed: false };
             realm.create('Account', accountData);
@@ -819,7 +1326,7 @@ class Wallet {
         const shouldCreate = Wallet.getObjectForId() === undefined;
 
         if (shouldCreate) {
-            realm.write(() =>
+            write(() =>
                 realm.create('Wallet', {
                     version: Wallet.version,
                     settings: { notifications: {}, quorum: {}, powNode: '' },
@@ -836,7 +1343,7 @@ class Wallet {
      * @param {object} data
      */
     static updateLatest(data) {
-        realm.write(() =>
+        write(() =>
             realm.create(
                 'Wallet',
                 {
@@ -860,7 +1367,7 @@ const purge = () =>
     new Promise((resolve, reject) => {
         try {
             realm.removeAllListeners();
-            realm.write(() => realm.deleteAll());
+            write(() => realm.deleteAll());
             realm.close();
             Realm.deleteFile(schemas[size(schemas) - 1]);
 
@@ -905,6 +1412,172 @@ const migrateToNewStoragePath = (config) => {
     oldRealm.write(() => oldRealm.deleteAll());
 };
 
+/**
+ * Converts realm object to plain object, including nested objects and lists
+ *
+ * @method toPlainObject
+ * @param {object} object
+ *
+ * @returns {object}
+ */
+const toPlainObject = (object) =>
+    mapValues(object.objectSchema().properties, ({ type }, key) => {
+        const value = object[key];
+
+        if (type === 'list') {
+            return map(value, (item) => (isObject(item) ? toPlainObject(item) : item));
+        }
+
+        if (type === 'object') {
+            return value ? toPlainObject(value) : value;
+        }
+
+        return value;
+    });
+
+/**
+ * Gets data for a wallet backup
+ *
+ * @method getBackupData
+ *
+ * @returns {object} { schemaVersion, data: { Account, Node, TransactionMetadata, Wallet } }
+ */
+const getBackupData = () => ({
+    schemaVersion: Wallet.version,
+    data: {
+        Account: map(Account.data, toPlainObject),
+        Node: map(Node.data, toPlainObject),
+        TransactionMetadata: map(TransactionMetadata.data, toPlainObject),
+        Wallet: [toPlainObject(Wallet.latestData)],
+    },
+});
+
+/**
+ * Restores wallet backup data.
+ * Backup data is written to a temporary realm with the schema it was created with,
+ * migrated to the latest schema and then copied to storage
+ *
+ * @method restoreBackupData
+ * @param {object} backup - Parsed wallet backup (See libs/walletBackup)
+ * @param {Promise} getEncryptionKeyPromise
+ *
+ * @returns {Promise}
+ */
+const restoreBackupData = ({ schemaVersion, data }, getEncryptionKeyPromise) =>
+    getEncryptionKeyPromise().then((encryptionKey) => {
+        if (schemaVersion > Wallet.version) {
+            throw new Error(Errors.UNSUPPORTED_WALLET_BACKUP_VERSION);
+        }
+
+        const schemasSize = size(schemas);
+        const getConfig = (index) =>
+            assign({}, schemas[index], {
+                encryptionKey,
+                path: latestStoragePath.replace(/\.realm$/, '-backup.realm'),
+            });
+
+        // Temporary realm instance the backup is migrated in
+        let backupRealm = null;
+
+        Realm.deleteFile(getConfig(schemaVersion));
+
+        try {
+            backupRealm = new Realm(getConfig(schemaVersion));
+
+            backupRealm.write(() =>
+                each(WALLET_BACKUP_MODELS, (model) => each(data[model], (object) => backupRealm.create(model, object))),
+            );
+            backupRealm.close();
+
+            let nextSchemaIndex = schemaVersion + 1;
+
+            while (nextSchemaIndex < schemasSize) {
+                backupRealm = new Realm(getConfig(nextSchemaIndex++));
+                backupRealm.close();
+            }
+
+            backupRealm = new Realm(getConfig(schemasSize - 1));
+
+            write(() =>
+                each(WALLET_BACKUP_MODELS, (model) =>
+                    each(backupRealm.objects(model), (object) => realm.create(model, object, 'modified')),
+                ),
+            );
+        } finally {
+            // Never leave the temporary realm behind, even if the backup could not be restored
+            if (backupRealm && !backupRealm.isClosed) {
+                backupRealm.close();
+            }
+
+            Realm.deleteFile(getConfig(schemasSize - 1));
+        }
+    });
+
+/**
+ * Gets config for (isolated) state snapshot storage
+ *
+ * @method getStateSnapshotConfig
+ * @param {array} encryptionKey
+ *
+ * @returns {object}
+ */
+const getStateSnapshotConfig = (encryptionKey) =>
+    assign({}, schemas[size(schemas) - 1], {
+        encryptionKey,
+        path: latestStoragePath.replace(/\.realm$/, '-snapshot.realm'),
+    });
+
+/**
+ * Loads state snapshot data into an isolated read-only realm instance and makes it the active instance.
+ * Wallet storage is left untouched until the snapshot is unloaded
+ *
+ * @method openStateSnapshot
+ * @param {object} data - { Account, Node, Wallet } (See libs/stateSnapshot)
+ * @param {Promise} getEncryptionKeyPromise
+ *
+ * @returns {Promise}
+ */
+const openStateSnapshot = (data, getEncryptionKeyPromise) =>
+    getEncryptionKeyPromise().then((encryptionKey) => {
+        const config = getStateSnapshotConfig(encryptionKey);
+
+        if (primaryRealm) {
+            realm.close();
+        } else {
+            primaryRealm = realm;
+        }
+
+        Realm.deleteFile(config);
+
+        const snapshotRealm = new Realm(config);
+
+        snapshotRealm.write(() =>
+            each(data, (objects, model) => each(objects, (object) => snapshotRealm.create(model, object))),
+        );
+        snapshotRealm.close();
+
+        realm = new Realm(assign({}, config, { readOnly: true }));
+    });
+
+/**
+ * Closes state snapshot realm instance and restores wallet realm instance
+ *
+ * @method closeStateSnapshot
+ *
+ * @returns {undefined}
+ */
+const closeStateSnapshot = () => {
+    if (primaryRealm) {
+        const { path } = realm;
+
+        realm.close();
+        Realm.deleteFile({ path });
+
+        realm = primaryRealm;
+        primaryRealm = null;
+    }
+};
+
 /**
  * Initialises storage.
  *
@@ -1014,4 +1687,25 @@ const initialiseSync = () => {
  */
 const reinitialise = (getEncryptionKeyPromise) => purge().then(() => initialise(getEncryptionKeyPromise));
 
-export { realm, initialise, initialiseSync, reinitialise, purge, Account, Node, Wallet };
+export {
+    realm,
+    initialise,
+    initialiseSync,
+    reinitialise,
+    purge,
+    getBackupData,
+    restoreBackupData,
+    openStateSnapshot,
+    closeStateSnapshot,
+    Account,
+    AuditLogEntry,
+    Contact,
+    MarketData,
+    Node,
+    NodeHealth,
+    PaymentRequest,
+    PriceHistory,
+    ScheduledPayment,
+    TransactionMetadata,
+    Wallet,
+};
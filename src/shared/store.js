@@ -9,11 +9,18 @@ import wallet from './reducers/wallet';
 import accounts from './reducers/accounts';
 import settings from './reducers/settings';
 import alerts from './reducers/alerts';
+import auditLog from './reducers/auditLog';
+import contacts from './reducers/contacts';
 import home from './reducers/home';
 import keychain from './reducers/keychain';
+import nodeHealth from './reducers/nodeHealth';
+import paymentRequests from './reducers/paymentRequests';
 import polling from './reducers/polling';
+import priceHistory from './reducers/priceHistory';
 import progress from './reducers/progress';
+import scheduledPayments from './reducers/scheduledPayments';
 import ui from './reducers/ui';
+import transactionMetadata from './reducers/transactionMetadata';
 import { SettingsActionTypes, WalletActionTypes } from './types';
 import networkMiddleware from './middlewares/network';
 import versionMiddleware from './middlewares/version';
@@ -30,13 +37,20 @@ if (__MOBILE__) {
 
 const reducers = combineReducers({
     alerts,
+    auditLog,
+    contacts,
     marketData,
     accounts,
     settings,
     home,
     keychain,
+    nodeHealth,
+    paymentRequests,
     polling,
+    priceHistory,
     progress,
+    scheduledPayments,
+    transactionMetadata,
     ui,
     wallet,
 });
@@ -23,6 +23,16 @@ export const AccountsActionTypes = {
     SYNC_ACCOUNT_BEFORE_SWEEPING: 'IOTA/ACCOUNTS/SYNC_ACCOUNT_BEFORE_SWEEPING',
     OVERRIDE_ACCOUNT_INFO: 'IOTA/ACCOUNTS/OVERRIDE_ACCOUNT_INFO',
     ASSIGN_ACCOUNT_INDEX: 'IOTA/ACCOUNTS/ASSIGN_ACCOUNT_INDEX',
+    SET_INPUT_SELECTION_STRATEGY: 'IOTA/ACCOUNTS/SET_INPUT_SELECTION_STRATEGY',
+    SET_CONSOLIDATION_PLAN: 'IOTA/ACCOUNTS/SET_CONSOLIDATION_PLAN',
+    SET_SEND_POLICY: 'IOTA/ACCOUNTS/SET_SEND_POLICY',
+    SYNC_ACCOUNT_BEFORE_CONSOLIDATION: 'IOTA/ACCOUNTS/SYNC_ACCOUNT_BEFORE_CONSOLIDATION',
+    PLAN_CONSOLIDATION_REQUEST: 'IOTA/ACCOUNTS/PLAN_CONSOLIDATION_REQUEST',
+    PLAN_CONSOLIDATION_SUCCESS: 'IOTA/ACCOUNTS/PLAN_CONSOLIDATION_SUCCESS',
+    PLAN_CONSOLIDATION_ERROR: 'IOTA/ACCOUNTS/PLAN_CONSOLIDATION_ERROR',
+    CONSOLIDATE_FUNDS_REQUEST: 'IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_REQUEST',
+    CONSOLIDATE_FUNDS_SUCCESS: 'IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_SUCCESS',
+    CONSOLIDATE_FUNDS_ERROR: 'IOTA/ACCOUNTS/CONSOLIDATE_FUNDS_ERROR',
 };
 
 /** Alerts action types */
@@ -33,6 +43,41 @@ export const AlertsActionTypes = {
     CLEAR_LOG: 'IOTA/ALERTS/CLEAR_LOG',
 };
 
+/** Contacts action types */
+export const ContactsActionTypes = {
+    ADD_CONTACT: 'IOTA/CONTACTS/ADD_CONTACT',
+    UPDATE_CONTACT: 'IOTA/CONTACTS/UPDATE_CONTACT',
+    REMOVE_CONTACT: 'IOTA/CONTACTS/REMOVE_CONTACT',
+    MARK_CONTACT_AS_SPENT: 'IOTA/CONTACTS/MARK_CONTACT_AS_SPENT',
+};
+
+/** Payment requests action types */
+export const PaymentRequestsActionTypes = {
+    ADD_PAYMENT_REQUEST: 'IOTA/PAYMENT_REQUESTS/ADD_PAYMENT_REQUEST',
+    UPDATE_PAYMENT_REQUESTS: 'IOTA/PAYMENT_REQUESTS/UPDATE_PAYMENT_REQUESTS',
+    REMOVE_PAYMENT_REQUEST: 'IOTA/PAYMENT_REQUESTS/REMOVE_PAYMENT_REQUEST',
+};
+
+/** Audit log action types */
+export const AuditLogActionTypes = {
+    ADD_AUDIT_LOG_ENTRY: 'IOTA/AUDIT_LOG/ADD_AUDIT_LOG_ENTRY',
+};
+
+/** Scheduled payments action types */
+export const ScheduledPaymentsActionTypes = {
+    ADD_SCHEDULED_PAYMENT: 'IOTA/SCHEDULED_PAYMENTS/ADD_SCHEDULED_PAYMENT',
+    UPDATE_SCHEDULED_PAYMENT: 'IOTA/SCHEDULED_PAYMENTS/UPDATE_SCHEDULED_PAYMENT',
+    REMOVE_SCHEDULED_PAYMENT: 'IOTA/SCHEDULED_PAYMENTS/REMOVE_SCHEDULED_PAYMENT',
+};
+
+/** Node health action types */
+export const NodeHealthActionTypes = {
+    UPDATE_NODE_HEALTH: 'IOTA/NODE_HEALTH/UPDATE_NODE_HEALTH',
+    SET_CHECKING_NODE_HEALTH: 'IOTA/NODE_HEALTH/SET_CHECKING_NODE_HEALTH',
+    CLEAR_NODE_HEALTH: 'IOTA/NODE_HEALTH/CLEAR_NODE_HEALTH',
+    ADD_QUORUM_ROUND: 'IOTA/NODE_HEALTH/ADD_QUORUM_ROUND',
+};
+
 /** Home screen (mobile) action types */
 export const HomeActionTypes = {
     CHANGE_HOME_SCREEN_CHILD_ROUTE: 'IOTA/HOME/ROUTE/CHANGE',
@@ -53,6 +98,12 @@ export const MarketDataActionTypes = {
     SET_RATES_DATA: 'IOTA/MARKET_DATA/SET_RATES_DATA',
     SET_STATISTICS: 'IOTA/MARKET_DATA/SET_STATISTICS',
     SET_PRICE: 'IOTA/MARKET_DATA/SET_PRICE',
+    SET_LAST_UPDATED: 'IOTA/MARKET_DATA/SET_LAST_UPDATED',
+};
+
+/** Price history action types */
+export const PriceHistoryActionTypes = {
+    UPDATE_PRICE_HISTORY: 'IOTA/PRICE_HISTORY/UPDATE_PRICE_HISTORY',
 };
 
 /**
@@ -78,6 +129,9 @@ export const PollingActionTypes = {
     PROMOTE_TRANSACTION_REQUEST: 'IOTA/POLLING/PROMOTE_TRANSACTION_REQUEST',
     PROMOTE_TRANSACTION_SUCCESS: 'IOTA/POLLING/PROMOTE_TRANSACTION_SUCCESS',
     PROMOTE_TRANSACTION_ERROR: 'IOTA/POLLING/PROMOTE_TRANSACTION_ERROR',
+    RUN_SCHEDULED_PAYMENT_REQUEST: 'IOTA/POLLING/RUN_SCHEDULED_PAYMENT_REQUEST',
+    RUN_SCHEDULED_PAYMENT_SUCCESS: 'IOTA/POLLING/RUN_SCHEDULED_PAYMENT_SUCCESS',
+    RUN_SCHEDULED_PAYMENT_ERROR: 'IOTA/POLLING/RUN_SCHEDULED_PAYMENT_ERROR',
     SYNC_ACCOUNT_BEFORE_AUTO_PROMOTION: 'IOTA/POLLING/SYNC_ACCOUNT_BEFORE_AUTO_PROMOTION',
     SYNC_ACCOUNT_WHILE_POLLING: 'IOTA/POLLING/SYNC_ACCOUNT_WHILE_POLLING',
 };
@@ -117,6 +171,7 @@ export const SettingsActionTypes = {
     SET_VERSIONS: 'IOTA/SETTINGS/WALLET/SET_VERSIONS',
     WALLET_RESET: 'IOTA/SETTINGS/WALLET/RESET',
     SET_FINGERPRINT_STATUS: 'IOTA/SETTINGS/SET_FINGERPRINT_STATUS',
+    SET_2FA_STATUS: 'IOTA/SETTINGS/SET_2FA_STATUS',
     ACCEPT_TERMS: 'IOTA/SETTINGS/ACCEPT_TERMS',
     ACCEPT_PRIVACY: 'IOTA/SETTINGS/ACCEPT_PRIVACY',
     TOGGLE_EMPTY_TRANSACTIONS: 'IOTA/SETTINGS/TOGGLE_EMPTY_TRANSACTIONS',
@@ -134,6 +189,7 @@ export const SettingsActionTypes = {
     UPDATE_AUTO_NODE_LIST_SETTING: 'IOTA/SETTINGS/UPDATE_AUTO_NODE_LIST_SETTING',
     SET_CHART_CURRENCY: 'IOTA/SETTINGS/SET_CHART_CURRENCY',
     SET_CHART_TIMEFRAME: 'IOTA/SETTINGS/SET_CHART_TIMEFRAME',
+    SET_MARKET_DATA_PROVIDER: 'IOTA/SETTINGS/SET_MARKET_DATA_PROVIDER',
 };
 
 /** Transfers action types */
@@ -147,6 +203,17 @@ export const TransfersActionTypes = {
     RETRY_FAILED_TRANSACTION_REQUEST: 'IOTA/TRANSFERS/RETRY_FAILED_TRANSACTION_REQUEST',
     RETRY_FAILED_TRANSACTION_SUCCESS: 'IOTA/TRANSFERS/RETRY_FAILED_TRANSACTION_SUCCESS',
     RETRY_FAILED_TRANSACTION_ERROR: 'IOTA/TRANSFERS/RETRY_FAILED_TRANSACTION_ERROR',
+    PREPARE_UNSIGNED_TRANSFER_REQUEST: 'IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_REQUEST',
+    PREPARE_UNSIGNED_TRANSFER_SUCCESS: 'IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_SUCCESS',
+    PREPARE_UNSIGNED_TRANSFER_ERROR: 'IOTA/TRANSFERS/PREPARE_UNSIGNED_TRANSFER_ERROR',
+    ADD_UNSIGNED_TRANSFER: 'IOTA/TRANSFERS/ADD_UNSIGNED_TRANSFER',
+    REMOVE_UNSIGNED_TRANSFER: 'IOTA/TRANSFERS/REMOVE_UNSIGNED_TRANSFER',
+};
+
+/** Transaction metadata action types */
+export const TransactionMetadataActionTypes = {
+    SET_METADATA: 'IOTA/TRANSACTION_METADATA/SET_METADATA',
+    REMOVE_METADATA: 'IOTA/TRANSACTION_METADATA/REMOVE_METADATA',
 };
 
 /** UI action types */
@@ -154,6 +221,7 @@ export const UiActionTypes = {
     SET_SEND_ADDRESS_FIELD: 'IOTA/UI/SET_SEND_ADDRESS_FIELD',
     SET_SEND_AMOUNT_FIELD: 'IOTA/UI/SET_SEND_AMOUNT_FIELD',
     SET_SEND_MESSAGE_FIELD: 'IOTA/UI/SET_SEND_MESSAGE_FIELD',
+    SET_SEND_TAG_FIELD: 'IOTA/UI/SET_SEND_TAG_FIELD',
     CLEAR_SEND_FIELDS: 'IOTA/UI/CLEAR_SEND_FIELDS',
     SET_SEND_DENOMINATION: 'IOTA/UI/SET_SEND_DENOMINATION',
     SET_USER_ACTIVITY: 'IOTA/UI/SET_USER_ACTIVITY',
@@ -170,6 +238,8 @@ export const UiActionTypes = {
     SET_KEYBOARD_ACTIVITY: 'IOTA/UI/SET_KEYBOARD_ACTIVITY',
     SET_ANIMATE_CHART_ON_MOUNT: 'IOTA/UI/SET_ANIMATE_CHART_ON_MOUNT',
     SET_CDA_CONTENT: 'IOTA/UI/SET_CDA_CONTENT',
+    SET_SEND_PASSWORD_CONFIRMED: 'IOTA/UI/SET_SEND_PASSWORD_CONFIRMED',
+    SET_PAYMENT_URI_CONTENT: 'IOTA/UI/SET_PAYMENT_URI_CONTENT',
 };
 
 /** Wallet action types */
@@ -208,4 +278,5 @@ export const WalletActionTypes = {
     POP_TO_ROUTE: 'IOTA/APP/WALLET/POP_TO_ROUTE',
     RESET_ROUTE: 'IOTA/APP/WALLET/RESET_ROUTE',
     DISPLAY_SEED_MIGRATION_ALERT: 'DISPLAY_SEED_MIGRATION_ALERT',
+    SET_STATE_SNAPSHOT_LOADED: 'IOTA/APP/WALLET/SET_STATE_SNAPSHOT_LOADED',
 };